@@ -7,10 +7,18 @@ import BinomialCalculator from './components/calculators/BinomialCalculator';
 import PoissonCalculator from './components/calculators/PoissonCalculator';
 import HypothesisTestCalculator from './components/calculators/HypothesisTestCalculator';
 import TwoSampleCalculator from './components/calculators/TwoSampleCalculator';
+import ChiSquareCalculator from './components/calculators/ChiSquareCalculator';
+import AnovaCalculator from './components/calculators/AnovaCalculator';
 import ProbabilityCalculator from './components/calculators/ProbabilityCalculator';
 import NormalDistributionCalculator from './components/calculators/NormalDistributionCalculator';
 import CorrelationRegressionCalculator from './components/calculators/CorrelationRegressionCalculator';
 import FrequencyDistributionCalculator from './components/calculators/FrequencyDistributionCalculator';
+import PowerCalculator from './components/calculators/PowerCalculator';
+import TDistributionCalculator from './components/calculators/TDistributionCalculator';
+import NonparametricCalculator from './components/calculators/NonparametricCalculator';
+import DiscreteDistributionsCalculator from './components/calculators/DiscreteDistributionsCalculator';
+import ContinuousDistributionsCalculator from './components/calculators/ContinuousDistributionsCalculator';
+import ConfidenceIntervalCalculator from './components/calculators/ConfidenceIntervalCalculator';
 import AccessibilityPage from './pages/AccessibilityPage';
 import ChatWidget from './components/chat/ChatWidget';
 import VoiceCommands from './components/ui/VoiceCommands';
@@ -33,8 +41,16 @@ function App() {
             <Route path="poisson" element={<PoissonCalculator />} />
             <Route path="hypothesis-test" element={<HypothesisTestCalculator />} />
             <Route path="two-sample" element={<TwoSampleCalculator />} />
+            <Route path="chi-square" element={<ChiSquareCalculator />} />
+            <Route path="anova" element={<AnovaCalculator />} />
             <Route path="correlation-regression" element={<CorrelationRegressionCalculator />} />
             <Route path="frequency-distribution" element={<FrequencyDistributionCalculator />} />
+            <Route path="power" element={<PowerCalculator />} />
+            <Route path="t-distribution" element={<TDistributionCalculator />} />
+            <Route path="nonparametric" element={<NonparametricCalculator />} />
+            <Route path="discrete-distributions" element={<DiscreteDistributionsCalculator />} />
+            <Route path="continuous-distributions" element={<ContinuousDistributionsCalculator />} />
+            <Route path="confidence-intervals" element={<ConfidenceIntervalCalculator />} />
           </Route>
         </Routes>
       </Router>
@@ -0,0 +1,1072 @@
+/**
+ * AnovaCalculator.jsx
+ *
+ * One-way ANOVA calculator for comparing the means of three or more groups.
+ * Accepts raw data for each group (typed, pasted or dropped as a file), builds
+ * the full ANOVA table, shades the F-distribution rejection region, draws
+ * side-by-side box plots and follows up with Tukey HSD pairwise comparisons.
+ *
+ * Dependencies: Chart.js, react-chartjs-2, jStat
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import React, { useState, useRef, useCallback, useMemo } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, BarController, LineElement, PointElement, ScatterController, Title, Tooltip, Legend, Filler } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { jStat } from 'jstat';
+import InfoIcon from './InfoIcon';
+import BoxPlotSVG from './BoxPlotSVG';
+import useDocumentTitle from '../../hooks/useDocumentTitle';
+import useFocusTrap from '../../hooks/useFocusTrap';
+import { announcePolite } from '../../utils/announce';
+import { extractNumbers } from '../../utils/parseNumbers';
+import { calculateAllStatistics } from '../../stats/descriptive';
+import { oneWayAnova, tukeyHSD, getFCriticalValue } from '../../stats/anova';
+
+// Register required Chart.js components
+ChartJS.register(CategoryScale, LinearScale, BarElement, BarController, LineElement, PointElement, ScatterController, Title, Tooltip, Legend, Filler);
+
+/**
+ * Configuration constants
+ */
+const CHART_COLORS = {
+  rejection: {
+    line: 'rgba(255, 99, 71, 0.8)',
+    fill: 'rgba(255, 99, 71, 0.2)'
+  },
+  acceptance: {
+    line: 'rgba(78, 205, 196, 0.8)',
+    fill: 'rgba(78, 205, 196, 0.2)'
+  },
+  testStatistic: 'rgba(180, 83, 9, 1)',
+  criticalValue: 'rgba(138, 43, 226, 1)'
+};
+
+// Box and border colors for each group row in the SVG box plot
+const GROUP_COLORS = [
+  { fill: 'rgba(78, 205, 196, 0.35)', border: '#0F766E' },
+  { fill: 'rgba(245, 158, 11, 0.35)', border: '#B45309' },
+  { fill: 'rgba(139, 92, 246, 0.35)', border: '#6D28D9' },
+  { fill: 'rgba(236, 72, 153, 0.35)', border: '#BE185D' },
+  { fill: 'rgba(59, 130, 246, 0.35)', border: '#1D4ED8' },
+  { fill: 'rgba(34, 197, 94, 0.35)', border: '#15803D' },
+  { fill: 'rgba(239, 68, 68, 0.35)', border: '#B91C1C' },
+  { fill: 'rgba(107, 114, 128, 0.35)', border: '#374151' }
+];
+
+const MIN_GROUPS = 2;
+const MAX_GROUPS = GROUP_COLORS.length;
+const MAX_INPUT_COUNT = 1000;
+
+// Default input values for better UX
+const DEFAULT_VALUES = {
+  groups: [
+    { name: 'Group 1', text: '' },
+    { name: 'Group 2', text: '' },
+    { name: 'Group 3', text: '' }
+  ],
+  significanceLevel: 0.05
+};
+
+/**
+ * Story-based example scenarios with their expected conclusions,
+ * so students can predict the outcome before pressing Calculate
+ */
+const PRESET_SCENARIOS = [
+  {
+    name: 'Fertilizer Showdown',
+    groups: [
+      { name: 'Control', text: '20, 22, 19, 24, 25, 21' },
+      { name: 'Fertilizer A', text: '28, 30, 27, 26, 29, 31' },
+      { name: 'Fertilizer B', text: '22, 25, 24, 23, 26, 21' }
+    ],
+    description: 'Plant heights (cm) after six weeks with no fertilizer and two brands. Does fertilizer matter?',
+    expectedOutcome: 'Reject — F ≈ 17.52, p ≈ 0.0001. Tukey HSD shows Fertilizer A beats both others, while Control vs Fertilizer B is not significant.'
+  },
+  {
+    name: 'Three Teaching Methods',
+    groups: [
+      { name: 'Lecture', text: '85, 78, 92, 88, 75, 81, 90' },
+      { name: 'Flipped', text: '82, 88, 79, 91, 84, 77, 86' },
+      { name: 'Online', text: '80, 85, 83, 89, 78, 87, 82' }
+    ],
+    description: 'Exam scores from three sections taught different ways. Is any method better?',
+    expectedOutcome: 'Fail to reject — F ≈ 0.03, p ≈ 0.97. The box plots overlap almost completely: the differences between methods are tiny compared with the spread inside each class.'
+  },
+  {
+    name: 'Coffee Shop Wait Times',
+    groups: [
+      { name: 'Monday', text: '5, 7, 6, 8, 4, 6' },
+      { name: 'Wednesday', text: '6, 8, 7, 9, 7, 8' },
+      { name: 'Friday', text: '8, 9, 7, 10, 9, 11' },
+      { name: 'Saturday', text: '7, 6, 8, 9, 7, 8' }
+    ],
+    description: 'Minutes waited for a drink on four days of the week. Do wait times differ by day?',
+    expectedOutcome: 'Reject — F ≈ 5.81, p ≈ 0.005. Only Monday vs Friday clears the Tukey HSD bar, a reminder that a significant F does not mean every pair differs.'
+  }
+];
+
+/**
+ * Main AnovaCalculator component
+ * Handles one-way ANOVA calculations, post-hoc comparisons and visualizations
+ */
+const AnovaCalculator = () => {
+  useDocumentTitle('One-Way ANOVA Calculator');
+
+  // State management
+  const [groups, setGroups] = useState(DEFAULT_VALUES.groups);
+  const [significanceLevel, setSignificanceLevel] = useState(DEFAULT_VALUES.significanceLevel);
+  const [result, setResult] = useState({});
+  const [chartData, setChartData] = useState(null);
+  const [error, setError] = useState("");
+  const [draggingIndex, setDraggingIndex] = useState(null);
+  const [showOutliers, setShowOutliers] = useState(true);
+  const [showChartModal, setShowChartModal] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const chartRef = useRef(null);
+
+  const chartModalTrapRef = useFocusTrap(showChartModal);
+
+  const handleChartModalKeyDown = useCallback((e) => {
+    if (e.key === 'Escape') setShowChartModal(false);
+  }, []);
+
+  /**
+   * Load a story scenario: replaces every group at once
+   */
+  const applyPreset = (preset) => {
+    setGroups(preset.groups);
+    setResult({});
+    setChartData(null);
+    setError("");
+    announcePolite('Loaded scenario: ' + preset.name + '. Press Run ANOVA to run it.');
+  };
+
+  const updateGroup = (index, field, value) => {
+    setGroups(prev => prev.map((g, i) => (i === index ? { ...g, [field]: value } : g)));
+  };
+
+  const addGroup = () => {
+    if (groups.length >= MAX_GROUPS) return;
+    setGroups([...groups, { name: `Group ${groups.length + 1}`, text: '' }]);
+  };
+
+  const removeGroup = (index) => {
+    if (groups.length <= MIN_GROUPS) return;
+    setGroups(groups.filter((_, i) => i !== index));
+    setResult({});
+    setChartData(null);
+  };
+
+  /**
+   * Load numbers from a CSV or text file into the chosen group.
+   * Non-numeric tokens (e.g., header rows) are skipped automatically.
+   */
+  const loadFileIntoGroup = (file, index) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const numbers = extractNumbers(String(e.target.result));
+      if (numbers.length === 0) {
+        setError(`No numbers found in "${file.name}". Make sure the file contains numeric values.`);
+        return;
+      }
+      const truncated = numbers.length > MAX_INPUT_COUNT;
+      const values = numbers.slice(0, MAX_INPUT_COUNT);
+      updateGroup(index, 'text', values.join(", "));
+      setError("");
+      announcePolite(
+        `Loaded ${values.length} values from ${file.name} into ${groups[index]?.name || `group ${index + 1}`}.` +
+        (truncated ? ` File had more values; only the first ${MAX_INPUT_COUNT} were kept.` : '')
+      );
+    };
+    reader.onerror = () => setError(`Could not read "${file.name}".`);
+    reader.readAsText(file);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    setDraggingIndex(null);
+    loadFileIntoGroup(e.dataTransfer.files?.[0], index);
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    setDraggingIndex(index);
+  };
+
+  /**
+   * Run the ANOVA and the Tukey HSD follow-up
+   */
+  const calculate = () => {
+    setError("");
+    const alpha = parseFloat(significanceLevel);
+    if (isNaN(alpha) || alpha <= 0 || alpha >= 1) {
+      setError("Significance level must be between 0 and 1 (commonly 0.05).");
+      return;
+    }
+
+    const parsed = groups.map(g => extractNumbers(g.text));
+    const names = groups.map((g, i) => g.name.trim() || `Group ${i + 1}`);
+
+    const tooSmall = parsed.findIndex(values => values.length < 2);
+    if (tooSmall !== -1) {
+      setError(`${names[tooSmall]} needs at least 2 numbers. Every group must have data.`);
+      return;
+    }
+    const tooLarge = parsed.findIndex(values => values.length > MAX_INPUT_COUNT);
+    if (tooLarge !== -1) {
+      setError(`${names[tooLarge]} exceeds the maximum of ${MAX_INPUT_COUNT} numbers.`);
+      return;
+    }
+
+    const anova = oneWayAnova(parsed);
+    if (anova.msw === 0) {
+      setError("Every group has zero spread (all values identical within each group), so F cannot be computed.");
+      return;
+    }
+
+    const criticalValue = getFCriticalValue(alpha, anova.dfBetween, anova.dfWithin);
+    const reject = anova.f > criticalValue;
+    const tukey = tukeyHSD(anova, alpha);
+
+    const sds = anova.groupStats.map(g => g.stdDev);
+    const sdRatio = Math.max(...sds) / Math.min(...sds);
+    const smallestN = Math.min(...anova.groupStats.map(g => g.n));
+
+    setResult({
+      ...anova,
+      names,
+      values: parsed,
+      descriptive: parsed.map(values => calculateAllStatistics(values)),
+      criticalValue,
+      reject,
+      alphaNum: alpha,
+      tukey,
+      assumptions: [
+        {
+          label: Number.isFinite(sdRatio)
+            ? `Similar spreads: largest SD ÷ smallest SD = ${sdRatio.toFixed(2)} (rule of thumb: below 2)`
+            : 'Similar spreads: one group has zero spread, so the SDs cannot be compared',
+          pass: Number.isFinite(sdRatio) ? sdRatio < 2 : false
+        },
+        {
+          label: smallestN >= 30
+            ? `Every group has n ≥ 30 (smallest n = ${smallestN}), so the Central Limit Theorem covers non-normal populations`
+            : `Smallest group has n = ${smallestN} < 30 — each population should be roughly normal (check the box plots for strong skew or outliers)`,
+          pass: smallestN >= 30 ? true : null
+        },
+        {
+          label: 'Groups are independent random samples (you must judge this from how the data was collected)',
+          pass: null
+        }
+      ]
+    });
+
+    createVisualization(anova.f, criticalValue, anova.dfBetween, anova.dfWithin);
+    announcePolite(`ANOVA complete. F: ${anova.f.toFixed(4)}, p-value: ${anova.pValue.toFixed(4)}. ${reject ? 'Reject' : 'Fail to reject'} the null hypothesis.`);
+  };
+
+  /**
+   * Create visualization data for the F test
+   * The rejection region is always the right tail
+   * @param {number} testStatistic - Calculated F statistic
+   * @param {number} criticalValue - Right-tail critical value
+   * @param {number} df1 - Between-groups degrees of freedom
+   * @param {number} df2 - Within-groups degrees of freedom
+   */
+  const createVisualization = (testStatistic, criticalValue, df1, df2) => {
+    const xMin = 0;
+    const xMax = Math.max(criticalValue * 1.8, 4);
+    const points = 300;
+    const step = (xMax - xMin) / points;
+
+    const xValues = [];
+    const yValues = [];
+    const rejectionRegion = [];
+    const acceptanceRegion = [];
+
+    // Generate distribution curve (density is infinite at 0 when df1 = 1)
+    for (let i = 0; i <= points; i++) {
+      const x = xMin + i * step;
+      xValues.push(x);
+
+      const density = jStat.centralF.pdf(x, df1, df2);
+      const y = Number.isFinite(density) ? density : null;
+      yValues.push(y);
+
+      const inRejection = x >= criticalValue;
+      rejectionRegion.push(inRejection ? y : null);
+      acceptanceRegion.push(inRejection ? null : y);
+    }
+
+    const datasets = [
+      {
+        label: 'Acceptance Region',
+        data: acceptanceRegion,
+        borderColor: CHART_COLORS.acceptance.line,
+        backgroundColor: CHART_COLORS.acceptance.fill,
+        fill: true,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 3
+      },
+      {
+        label: 'Rejection Region',
+        data: rejectionRegion,
+        borderColor: CHART_COLORS.rejection.line,
+        backgroundColor: CHART_COLORS.rejection.fill,
+        fill: true,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 2
+      },
+      {
+        label: 'Distribution Curve',
+        data: yValues,
+        borderColor: 'rgba(100, 100, 100, 0.8)',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        fill: false,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 1
+      }
+    ];
+
+    // Vertical line for the critical value
+    const cvIndex = xValues.findIndex(x => Math.abs(x - criticalValue) <= step / 2);
+    if (cvIndex !== -1) {
+      const verticalLine = new Array(xValues.length).fill(null);
+      verticalLine[cvIndex] = yValues[cvIndex];
+      datasets.push({
+        label: 'Critical Value',
+        data: verticalLine,
+        borderColor: CHART_COLORS.criticalValue,
+        backgroundColor: CHART_COLORS.criticalValue,
+        borderWidth: 3,
+        pointRadius: 0,
+        type: 'bar',
+        barThickness: 2,
+        order: 0
+      });
+    }
+
+    // Test statistic marker on the x-axis, pinned to the right edge when it runs off the chart
+    const testStatIndex = testStatistic >= xMax
+      ? xValues.length - 1
+      : xValues.findIndex(x => Math.abs(x - testStatistic) <= step / 2);
+    if (testStatIndex !== -1) {
+      const testStatData = new Array(xValues.length).fill(null);
+      testStatData[testStatIndex] = 0;
+      datasets.push({
+        label: 'Test Statistic',
+        data: testStatData,
+        borderColor: CHART_COLORS.testStatistic,
+        backgroundColor: CHART_COLORS.testStatistic,
+        pointRadius: 8,
+        pointStyle: 'triangle',
+        pointBorderWidth: 2,
+        type: 'scatter',
+        order: -1
+      });
+    }
+
+    setChartData({
+      labels: xValues.map(x => x.toFixed(2)),
+      datasets,
+      statOffChart: testStatistic >= xMax
+    });
+  };
+
+  /**
+   * Chart configuration options
+   */
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: true,
+        position: 'bottom',
+        labels: {
+          filter: (item) => item.text !== '' && !item.text.includes('Distribution Curve'),
+          usePointStyle: true
+        }
+      },
+      tooltip: {
+        enabled: true,
+        callbacks: {
+          label: (context) => {
+            if (context.dataset.label === 'Test Statistic') {
+              return `F = ${result.f?.toFixed(4)}`;
+            }
+            if (context.dataset.label.includes('Critical')) {
+              return `Critical Value: ${result.criticalValue?.toFixed(4)}`;
+            }
+            return context.dataset.label;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        display: true,
+        title: {
+          display: true,
+          text: 'F Value'
+        },
+        ticks: {
+          maxTicksLimit: 12
+        }
+      },
+      y: {
+        display: true,
+        title: {
+          display: true,
+          text: 'Probability Density'
+        }
+      }
+    }
+  };
+
+  /**
+   * Dataset rows for the SVG box plot, built from the last calculation
+   */
+  const boxPlotGroups = useMemo(() => {
+    if (!result.descriptive) return [];
+    return result.descriptive.map((stats, i) => ({
+      label: result.names[i],
+      stats,
+      values: result.values[i],
+      colors: GROUP_COLORS[i % GROUP_COLORS.length]
+    }));
+  }, [result]);
+
+  /**
+   * Word the strength of evidence based on the p-value
+   */
+  const evidenceStrength = (pVal) =>
+    pVal < 0.01 ? 'very strong' : pVal < 0.05 ? 'strong' : pVal < 0.10 ? 'moderate' : 'weak or no';
+
+  /**
+   * Describe eta-squared in everyday words (Cohen's benchmarks)
+   */
+  const effectSizeWords = (eta) =>
+    eta < 0.01 ? 'negligible' : eta < 0.06 ? 'small' : eta < 0.14 ? 'medium' : 'large';
+
+  /**
+   * Plain-English conclusion sentence for the completed test
+   */
+  const conclusionText = () => {
+    const level = `At the ${(result.alphaNum * 100).toFixed(0)}% significance level`;
+    return result.reject
+      ? `${level}, the data provide sufficient evidence that at least one of the ${result.names.length} group means is different from the others.`
+      : `${level}, the data do NOT provide sufficient evidence that any of the ${result.names.length} group means differ.`;
+  };
+
+  const formatP = (p) => (p < 0.0001 ? '< 0.0001' : p.toFixed(4));
+
+  /**
+   * Copy the ANOVA table and Tukey comparisons as tab-separated text
+   */
+  const copyResultsToClipboard = async () => {
+    const rows = [
+      ['One-Way ANOVA'],
+      ['Group', 'n', 'Mean', 'SD'],
+      ...result.groupStats.map((g, i) => [result.names[i], String(g.n), g.mean.toFixed(4), g.stdDev.toFixed(4)]),
+      [],
+      ['Source', 'SS', 'df', 'MS', 'F', 'P-value'],
+      ['Between groups', result.ssb.toFixed(4), String(result.dfBetween), result.msb.toFixed(4), result.f.toFixed(4), formatP(result.pValue)],
+      ['Within groups', result.ssw.toFixed(4), String(result.dfWithin), result.msw.toFixed(4), '', ''],
+      ['Total', result.sst.toFixed(4), String(result.dfTotal), '', '', ''],
+      [],
+      ['Critical F', result.criticalValue.toFixed(4)],
+      ['η²', result.etaSquared.toFixed(4)],
+      ['Decision', result.reject ? 'Reject H₀' : 'Fail to reject H₀'],
+      ['Conclusion', conclusionText()],
+      [],
+      [`Tukey HSD (q critical = ${result.tukey.qCritical.toFixed(4)})`],
+      ['Comparison', 'Difference', 'Lower', 'Upper', 'Adjusted p', 'Significant'],
+      ...result.tukey.comparisons.map(c => [
+        `${result.names[c.i]} − ${result.names[c.j]}`,
+        c.diff.toFixed(4),
+        c.lower.toFixed(4),
+        c.upper.toFixed(4),
+        formatP(c.pValue),
+        c.significant ? 'Yes' : 'No'
+      ])
+    ];
+    const text = rows.map(row => row.join('\t')).join('\n');
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      announcePolite('Results copied to clipboard.');
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      announcePolite('Could not access the clipboard.');
+    }
+  };
+
+  /**
+   * Download the F-distribution chart as a PNG on a white background
+   */
+  const downloadChartPNG = () => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const source = chart.canvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0);
+    const link = document.createElement('a');
+    link.href = canvas.toDataURL('image/png');
+    link.download = 'anova-f-distribution.png';
+    link.click();
+    announcePolite('Chart image downloaded.');
+  };
+
+  const inputClass = "w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none";
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-6xl mx-auto bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-3xl font-bold text-darkGrey mb-2">
+          One-Way ANOVA Calculator
+        </h2>
+
+        {/* Educational explanation section */}
+        <div className="mb-6 p-4 bg-blue-50 rounded-lg border-l-4 border-blue-500">
+          <h3 className="text-lg font-semibold text-darkGrey mb-2">
+            📊 Understanding ANOVA
+          </h3>
+          <p className="text-darkGrey mb-3">
+            ANOVA (analysis of variance) compares the means of three or more groups at once. Instead of running many
+            two-sample tests — which inflates the chance of a false alarm — it asks one question: is the spread
+            <em> between</em> the group means large compared with the spread <em>within</em> the groups?
+          </p>
+
+          <div className="grid md:grid-cols-2 gap-4 text-sm text-darkGrey">
+            <div>
+              <h4 className="font-semibold mb-1">🧩 The Pieces:</h4>
+              <ul className="list-disc list-inside space-y-1">
+                <li><strong>SSB:</strong> How far group means sit from the grand mean</li>
+                <li><strong>SSW:</strong> How far values sit from their own group mean</li>
+                <li><strong>MS = SS / df:</strong> Average variability per degree of freedom</li>
+                <li><strong>F = MSB / MSW:</strong> Signal-to-noise ratio</li>
+              </ul>
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-1">🔍 After a Significant F:</h4>
+              <ul className="list-disc list-inside space-y-1">
+                <li>F only says <strong>some</strong> mean differs</li>
+                <li>Tukey HSD checks <strong>every pair</strong> of groups</li>
+                <li>It controls the overall error rate at α</li>
+                <li>Pairs whose interval excludes 0 differ</li>
+              </ul>
+            </div>
+          </div>
+
+          <p className="text-sm text-darkGrey mt-3 italic">
+            💡 <strong>Remember:</strong> F near 1 means the groups differ about as much as random noise would predict.
+            The further F climbs above 1, the stronger the evidence that the group means are not all equal.
+          </p>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          {/* Input Controls */}
+          <div className="space-y-4">
+            {/* Test Configuration */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4">Test Configuration</h3>
+
+              <div className="space-y-3">
+                <div>
+                  <label htmlFor="anova-significance" className="flex items-center text-darkGrey font-medium mb-1">
+                    Significance Level (α)
+                    <InfoIcon info="The probability of Type I error (typically 0.05). Also used as the family-wise level for Tukey HSD." />
+                  </label>
+                  <input
+                    id="anova-significance"
+                    type="number"
+                    step="0.01"
+                    value={significanceLevel}
+                    onChange={(e) => setSignificanceLevel(e.target.value)}
+                    placeholder="e.g., 0.05"
+                    className={inputClass}
+                    aria-invalid={!!error}
+                    aria-describedby="anova-error"
+                  />
+                </div>
+
+                {/* Live hypotheses preview */}
+                <div className="p-3 bg-white rounded-lg border-2 border-darkTeal/30">
+                  <p className="text-sm font-semibold text-darkGrey mb-1">Your Hypotheses:</p>
+                  <p className="font-mono text-darkGrey">H₀: {groups.map((_, i) => `μ${i + 1}`).join(' = ')}</p>
+                  <p className="font-mono text-darkGrey">H₁: At least one μ differs</p>
+                  <p className="text-xs text-darkGrey/70 mt-1">
+                    ANOVA is always right-tailed: only a large F (means far apart) counts against H₀.
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Group data */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4">Group Data</h3>
+
+              <div className="space-y-3">
+                {groups.map((group, index) => {
+                  const count = extractNumbers(group.text).length;
+                  return (
+                    <div
+                      key={index}
+                      className="bg-white p-3 rounded-lg border-l-4"
+                      style={{ borderLeftColor: GROUP_COLORS[index % GROUP_COLORS.length].border }}
+                      onDrop={(e) => handleDrop(e, index)}
+                      onDragOver={(e) => handleDragOver(e, index)}
+                      onDragLeave={() => setDraggingIndex(null)}
+                    >
+                      <div className="flex items-center gap-2 mb-2">
+                        <input
+                          type="text"
+                          value={group.name}
+                          onChange={(e) => updateGroup(index, 'name', e.target.value)}
+                          className="flex-1 p-1 border-2 border-darkGrey/20 rounded focus:border-darkTeal outline-none font-medium"
+                          aria-label={`Name of group ${index + 1}`}
+                        />
+                        <label className="text-sm px-3 py-1 bg-darkTeal text-white rounded-lg hover:bg-darkTeal/80 transition-colors cursor-pointer focus-within:ring-2 focus-within:ring-darkTeal">
+                          📁 Upload
+                          <input
+                            type="file"
+                            accept=".csv,.txt,text/csv,text/plain"
+                            className="sr-only"
+                            aria-label={`Upload a CSV or text file for ${group.name || `group ${index + 1}`}`}
+                            onChange={(e) => { loadFileIntoGroup(e.target.files?.[0], index); e.target.value = ''; }}
+                          />
+                        </label>
+                        <button
+                          onClick={() => removeGroup(index)}
+                          disabled={groups.length <= MIN_GROUPS}
+                          className="text-red-500 hover:text-red-700 font-bold text-xl px-1 disabled:opacity-30"
+                          aria-label={`Remove ${group.name || `group ${index + 1}`}`}
+                        >
+                          ×
+                        </button>
+                      </div>
+                      <textarea
+                        id={`anova-group-${index}`}
+                        value={group.text}
+                        onChange={(e) => updateGroup(index, 'text', e.target.value)}
+                        placeholder="e.g., 12, 15.5, 18, 22 — or drop a CSV file here"
+                        className={`w-full p-2 border-2 rounded-lg focus:border-darkTeal outline-none transition-colors text-sm ${draggingIndex === index ? 'border-darkTeal bg-darkTeal/10 border-dashed' : 'border-darkGrey/20'}`}
+                        rows="2"
+                        aria-label={`Values for ${group.name || `group ${index + 1}`}`}
+                        aria-describedby={`anova-group-${index}-count anova-error`}
+                      />
+                      <p id={`anova-group-${index}-count`} className="text-xs text-darkGrey/70" aria-live="polite">
+                        {count} valid number{count === 1 ? '' : 's'} detected
+                      </p>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <button
+                onClick={addGroup}
+                disabled={groups.length >= MAX_GROUPS}
+                className="mt-3 w-full bg-darkTeal text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors disabled:opacity-50"
+              >
+                + Add Group (up to {MAX_GROUPS})
+              </button>
+
+              <button
+                onClick={calculate}
+                className="mt-4 w-full bg-accent border-2 border-darkGrey text-darkGrey px-4 py-3 rounded-lg font-bold hover:bg-darkGrey hover:text-white transition-all"
+              >
+                Run ANOVA
+              </button>
+              <p id="anova-error" className="text-red-500 text-sm mt-2" role="status">{error || ''}</p>
+            </div>
+          </div>
+
+          {/* Results and Visualization */}
+          <div className="space-y-4">
+            {result.f !== undefined && (
+              <>
+                {/* Visualization */}
+                <div className="bg-platinum p-4 rounded-lg">
+                  <h3 className="text-xl font-bold text-darkGrey mb-4">
+                    F Distribution (df = {result.dfBetween}, {result.dfWithin})
+                  </h3>
+                  <div className="h-64">
+                    {chartData && <div role="img" className="h-full" aria-label={`F distribution with ${result.dfBetween} and ${result.dfWithin} degrees of freedom, right-tail rejection region beyond ${result.criticalValue.toFixed(4)}, test statistic ${result.f.toFixed(4)}`}><Line ref={chartRef} data={chartData} options={chartOptions} /></div>}
+                  </div>
+                  <div className="mt-2 text-xs text-darkGrey">
+                    <div className="flex items-center space-x-4">
+                      <span className="flex items-center">
+                        <span className="inline-block w-3 h-3 mr-1" style={{backgroundColor: CHART_COLORS.testStatistic}}></span>
+                        F: {result.f.toFixed(4)}{chartData?.statOffChart ? ' (beyond the right edge)' : ''}
+                      </span>
+                      <span className="flex items-center">
+                        <span className="inline-block w-3 h-3 mr-1" style={{backgroundColor: CHART_COLORS.criticalValue}}></span>
+                        Critical Value: {result.criticalValue.toFixed(4)}
+                      </span>
+                    </div>
+                    <p className="mt-1">
+                      <span className="text-red-500">Red area:</span> Rejection region |
+                      <span className="text-darkTeal ml-2">Teal area:</span> Acceptance region
+                    </p>
+                  </div>
+                  <div className="mt-3 flex flex-col sm:flex-row gap-2">
+                    <button
+                      onClick={() => setShowChartModal(true)}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      🔍 View Larger Chart
+                    </button>
+                    <button
+                      onClick={copyResultsToClipboard}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      {copied ? '✓ Copied!' : '📋 Copy Results'}
+                    </button>
+                    <button
+                      onClick={downloadChartPNG}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      🖼️ Download PNG
+                    </button>
+                  </div>
+                </div>
+
+                {/* Decision Box */}
+                <div className={`p-4 rounded-lg border-2 ${result.reject ? 'bg-red-50 border-red-300' : 'bg-green-50 border-green-300'}`}>
+                  <h3 className="text-xl font-bold text-darkGrey mb-2">
+                    Statistical Decision
+                  </h3>
+                  <p className="text-lg font-semibold text-darkGrey">
+                    {result.reject ? '✓ Reject the null hypothesis' : '✗ Fail to reject the null hypothesis'}
+                  </p>
+                  <p className="text-sm text-darkGrey mt-2">
+                    <strong>In plain words:</strong> {conclusionText()}
+                  </p>
+                  <p className="text-sm text-darkGrey opacity-80 mt-1">
+                    The p-value of {formatP(result.pValue)} indicates <strong>{evidenceStrength(result.pValue)}</strong> evidence against H₀.
+                    Group membership explains {(result.etaSquared * 100).toFixed(1)}% of the variability (η² = {result.etaSquared.toFixed(3)}, a {effectSizeWords(result.etaSquared)} effect).
+                  </p>
+                  {result.reject && (
+                    <p className="text-sm text-darkGrey mt-2 italic">
+                      Note: A significant F does not say which groups differ — check the Tukey HSD comparisons below
+                    </p>
+                  )}
+                  {!result.reject && (
+                    <p className="text-sm text-darkGrey mt-2 italic">
+                      Note: Failing to reject H₀ is not proof that the means are equal - the samples may simply be too small to detect a real difference
+                    </p>
+                  )}
+                </div>
+
+                {/* ANOVA table */}
+                <div className="bg-accent/20 border-2 border-accent p-4 rounded-lg">
+                  <h3 className="text-xl font-bold text-darkGrey mb-3">ANOVA Table</h3>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-darkGrey">
+                      <thead>
+                        <tr className="border-b-2 border-accent">
+                          <th scope="col" className="text-left p-1">Source</th>
+                          <th scope="col" className="text-right p-1">SS</th>
+                          <th scope="col" className="text-right p-1">df</th>
+                          <th scope="col" className="text-right p-1">MS</th>
+                          <th scope="col" className="text-right p-1">F</th>
+                          <th scope="col" className="text-right p-1">P-Value</th>
+                        </tr>
+                      </thead>
+                      <tbody className="font-mono">
+                        <tr className="border-b border-accent/50">
+                          <th scope="row" className="text-left p-1 font-sans font-medium">Between (SSB)</th>
+                          <td className="text-right p-1">{result.ssb.toFixed(4)}</td>
+                          <td className="text-right p-1">{result.dfBetween}</td>
+                          <td className="text-right p-1">{result.msb.toFixed(4)}</td>
+                          <td className="text-right p-1 font-bold">{result.f.toFixed(4)}</td>
+                          <td className="text-right p-1 font-bold">{formatP(result.pValue)}</td>
+                        </tr>
+                        <tr className="border-b border-accent/50">
+                          <th scope="row" className="text-left p-1 font-sans font-medium">Within (SSW)</th>
+                          <td className="text-right p-1">{result.ssw.toFixed(4)}</td>
+                          <td className="text-right p-1">{result.dfWithin}</td>
+                          <td className="text-right p-1">{result.msw.toFixed(4)}</td>
+                          <td className="p-1"></td>
+                          <td className="p-1"></td>
+                        </tr>
+                        <tr>
+                          <th scope="row" className="text-left p-1 font-sans font-medium">Total</th>
+                          <td className="text-right p-1">{result.sst.toFixed(4)}</td>
+                          <td className="text-right p-1">{result.dfTotal}</td>
+                          <td className="p-1"></td>
+                          <td className="p-1"></td>
+                          <td className="p-1"></td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="mt-3 pt-3 border-t border-accent/50 text-sm text-darkGrey space-y-1">
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">Critical Value F({result.dfBetween}, {result.dfWithin}):</span>
+                      <span className="font-mono font-bold">{result.criticalValue.toFixed(4)}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium flex items-center">
+                        Effect Size (η²):
+                        <InfoIcon info="Share of the total variability explained by group membership: SSB / SST" />
+                      </span>
+                      <span className="font-mono font-bold">{result.etaSquared.toFixed(4)}</span>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Group summaries and box plots */}
+                <div className="bg-platinum p-4 rounded-lg">
+                  <h3 className="text-xl font-bold text-darkGrey mb-3">Group Comparison</h3>
+                  <div className="overflow-x-auto mb-3">
+                    <table className="w-full text-sm text-darkGrey">
+                      <thead>
+                        <tr className="border-b-2 border-darkGrey/20">
+                          <th scope="col" className="text-left p-1">Group</th>
+                          <th scope="col" className="text-right p-1">n</th>
+                          <th scope="col" className="text-right p-1">Mean</th>
+                          <th scope="col" className="text-right p-1">SD</th>
+                        </tr>
+                      </thead>
+                      <tbody className="font-mono">
+                        {result.groupStats.map((g, i) => (
+                          <tr key={i} className="border-b border-darkGrey/10">
+                            <th scope="row" className="text-left p-1 font-sans font-medium">
+                              <span className="inline-block w-3 h-3 mr-2 align-middle" style={{ backgroundColor: GROUP_COLORS[i % GROUP_COLORS.length].fill, border: `1.5px solid ${GROUP_COLORS[i % GROUP_COLORS.length].border}` }} aria-hidden="true"></span>
+                              {result.names[i]}
+                            </th>
+                            <td className="text-right p-1">{g.n}</td>
+                            <td className="text-right p-1">{g.mean.toFixed(4)}</td>
+                            <td className="text-right p-1">{g.stdDev.toFixed(4)}</td>
+                          </tr>
+                        ))}
+                        <tr>
+                          <th scope="row" className="text-left p-1 font-sans font-medium">Grand mean</th>
+                          <td className="text-right p-1">{result.dfTotal + 1}</td>
+                          <td className="text-right p-1">{result.grandMean.toFixed(4)}</td>
+                          <td className="p-1"></td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="text-center font-semibold text-darkGrey mb-1">Side-by-Side Box Plots</p>
+                  <div className="flex items-center justify-center bg-white rounded-lg p-2">
+                    <BoxPlotSVG groups={boxPlotGroups} showOutliers={showOutliers} />
+                  </div>
+                  <p className="text-xs text-darkGrey opacity-60 mt-2 text-center">
+                    Box = middle 50% of the data · thick dark line = median · ◇ = mean · red dots = outliers
+                  </p>
+                  <label className="flex items-center justify-center text-sm text-darkGrey mt-2">
+                    <input
+                      type="checkbox"
+                      checked={showOutliers}
+                      onChange={(e) => setShowOutliers(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Show outliers
+                  </label>
+                </div>
+
+                {/* Tukey HSD */}
+                <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                  <h3 className="text-lg font-bold text-darkGrey mb-1 flex items-center">
+                    🔀 Tukey HSD Pairwise Comparisons
+                    <InfoIcon info="Honestly Significant Difference: compares every pair of group means while keeping the overall chance of any false alarm at α" />
+                  </h3>
+                  <p className="text-xs text-darkGrey/70 mb-2">
+                    Studentized range critical value q = {result.tukey.qCritical.toFixed(4)} (k = {result.groupStats.length}, df = {result.dfWithin}).
+                    A pair differs when its {((1 - result.alphaNum) * 100).toFixed(0)}% interval excludes 0.
+                  </p>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b-2 border-darkGrey/20">
+                          <th scope="col" className="text-left p-1">Comparison</th>
+                          <th scope="col" className="text-right p-1">Difference</th>
+                          <th scope="col" className="text-right p-1">Interval</th>
+                          <th scope="col" className="text-right p-1">Adj. p</th>
+                          <th scope="col" className="text-center p-1">Differ?</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.tukey.comparisons.map((c, index) => (
+                          <tr key={index} className={`border-b border-darkGrey/10 ${c.significant ? 'bg-red-50' : ''}`}>
+                            <th scope="row" className="text-left p-1 font-medium">{result.names[c.i]} − {result.names[c.j]}</th>
+                            <td className="text-right p-1 font-mono">{c.diff.toFixed(3)}</td>
+                            <td className="text-right p-1 font-mono">[{c.lower.toFixed(3)}, {c.upper.toFixed(3)}]</td>
+                            <td className="text-right p-1 font-mono">{formatP(c.pValue)}</td>
+                            <td className="text-center p-1 font-bold">{c.significant ? '✓ Yes' : 'No'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {!result.reject && result.tukey.comparisons.some(c => c.significant) && (
+                    <p className="mt-2 text-xs italic">
+                      Note: The overall F was not significant, so treat any "Yes" here with caution.
+                    </p>
+                  )}
+                </div>
+
+                {/* The math, step by step */}
+                <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                  <h3 className="text-lg font-bold text-darkGrey mb-2">🧮 The Math, Step by Step</h3>
+                  <ol className="list-decimal list-inside space-y-2">
+                    <li>
+                      <strong>Grand mean</strong> — the average of all {result.dfTotal + 1} values:
+                      <p className="font-mono ml-5">x̄ = {result.grandMean.toFixed(4)}</p>
+                    </li>
+                    <li>
+                      <strong>Between-groups variability</strong> — how far each group mean sits from the grand mean:
+                      <p className="font-mono ml-5">SSB = Σ nᵢ(x̄ᵢ − x̄)² = {result.ssb.toFixed(4)}</p>
+                      <p className="font-mono ml-5">MSB = SSB / (k − 1) = {result.ssb.toFixed(4)} / {result.dfBetween} = {result.msb.toFixed(4)}</p>
+                    </li>
+                    <li>
+                      <strong>Within-groups variability</strong> — how far values sit from their own group mean:
+                      <p className="font-mono ml-5">SSW = Σ (nᵢ − 1)sᵢ² = {result.ssw.toFixed(4)}</p>
+                      <p className="font-mono ml-5">MSW = SSW / (N − k) = {result.ssw.toFixed(4)} / {result.dfWithin} = {result.msw.toFixed(4)}</p>
+                    </li>
+                    <li>
+                      <strong>Test statistic</strong> — the signal-to-noise ratio:
+                      <p className="font-mono ml-5">F = MSB / MSW = {result.msb.toFixed(4)} / {result.msw.toFixed(4)} = {result.f.toFixed(4)}</p>
+                    </li>
+                    <li>
+                      <strong>Compare</strong> — F = {result.f.toFixed(4)} vs critical value {result.criticalValue.toFixed(4)} (right tail, α = {result.alphaNum}):
+                      the test statistic {result.reject ? 'falls in the rejection region → reject H₀' : 'stays outside the rejection region → fail to reject H₀'}.
+                    </li>
+                  </ol>
+                </div>
+
+                {/* Assumption checks */}
+                <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                  <h3 className="text-lg font-bold text-darkGrey mb-2">✅ Conditions Check</h3>
+                  <ul className="space-y-1">
+                    {result.assumptions.map((assumption, index) => (
+                      <li key={index} className="flex items-start gap-2">
+                        <span aria-hidden="true">{assumption.pass === true ? '✓' : assumption.pass === false ? '⚠️' : 'ℹ️'}</span>
+                        <span className={assumption.pass === false ? 'text-red-700 font-medium' : ''}>{assumption.label}</span>
+                      </li>
+                    ))}
+                  </ul>
+                  {result.assumptions.some(a => a.pass === false) && (
+                    <p className="mt-2 text-red-700 text-xs font-medium">
+                      One or more conditions fail — the F test's p-value may not be trustworthy. Consider Welch's ANOVA or the Kruskal-Wallis test.
+                    </p>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Story-based example scenarios */}
+        <div className="mt-6 bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-2">Try a Real Scenario</h3>
+          <p className="text-xs text-darkGrey/70 mb-2">
+            Each scenario predicts its outcome — load one, press Run ANOVA, and check the prediction against the decision and the charts.
+          </p>
+          <div className="grid md:grid-cols-3 gap-2">
+            {PRESET_SCENARIOS.map((preset, index) => (
+              <button
+                key={index}
+                onClick={() => applyPreset(preset)}
+                className="p-3 text-left bg-platinum hover:bg-darkTeal/20 rounded transition-colors text-sm text-darkGrey"
+                aria-label={`Load ${preset.name} scenario`}
+              >
+                <div className="font-medium">{preset.name}</div>
+                <div className="text-xs text-darkGrey/70 mt-1">{preset.description}</div>
+                <div className="text-xs text-darkTeal mt-1 italic">What to expect: {preset.expectedOutcome}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Enlarged chart modal */}
+        {showChartModal && chartData && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onKeyDown={handleChartModalKeyDown}>
+            <div ref={chartModalTrapRef} role="dialog" aria-modal="true" aria-labelledby="anova-chart-modal-title" className="bg-white rounded-lg shadow-xl p-6 w-11/12 max-w-5xl max-h-screen overflow-y-auto">
+              <div className="flex justify-between items-center mb-4">
+                <h3 id="anova-chart-modal-title" className="text-2xl font-bold text-darkGrey">
+                  One-Way ANOVA — F distribution (df = {result.dfBetween}, {result.dfWithin})
+                </h3>
+                <button
+                  onClick={() => setShowChartModal(false)}
+                  className="text-darkGrey hover:text-red-500 text-2xl font-bold"
+                  aria-label="Close enlarged chart"
+                >
+                  ×
+                </button>
+              </div>
+
+              {/* How to read this chart */}
+              <div className="mb-4 p-4 bg-blue-50 rounded">
+                <h4 className="font-semibold text-darkGrey mb-2">
+                  📊 How to Read This Chart:
+                </h4>
+                <div className="grid md:grid-cols-2 gap-3 text-sm text-darkGrey">
+                  <div>
+                    <p>• <span className="font-semibold">The Curve:</span> Where F would land if all group means were equal — it piles up near 1 and is skewed right</p>
+                    <p>• <span className="font-semibold text-red-500">Red Region:</span> The rejection region — its area is exactly α = {result.alphaNum}</p>
+                    <p>• <span className="font-semibold text-darkTeal">Teal Region:</span> Differences between means small enough to blame on chance</p>
+                  </div>
+                  <div>
+                    <p>• <span className="font-semibold" style={{color: CHART_COLORS.testStatistic}}>Amber Triangle:</span> YOUR F ({result.f.toFixed(4)}) — the decision is just asking which region it landed in</p>
+                    <p>• <span className="font-semibold" style={{color: CHART_COLORS.criticalValue}}>Purple Line:</span> Critical value ({result.criticalValue.toFixed(4)}) — the boundary between the regions</p>
+                  </div>
+                </div>
+              </div>
+
+              {/* Enlarged chart */}
+              <div className="h-96 mb-4">
+                <div role="img" className="h-full" aria-label="Enlarged F distribution curve">
+                  <Line data={chartData} options={chartOptions} />
+                </div>
+              </div>
+
+              {/* Key numbers strip */}
+              <div className="bg-gray-50 p-4 rounded">
+                <h4 className="font-semibold text-darkGrey mb-2">Key Numbers:</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                  <div className="text-center">
+                    <p className="text-gray-600">F Statistic</p>
+                    <p className="font-mono font-bold">{result.f.toFixed(4)}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">Critical Value</p>
+                    <p className="font-mono font-bold">{result.criticalValue.toFixed(4)}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">P-Value</p>
+                    <p className="font-mono font-bold">{formatP(result.pValue)}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">Decision</p>
+                    <p className="font-bold">{result.reject ? 'Reject H₀' : 'Fail to reject H₀'}</p>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnovaCalculator;
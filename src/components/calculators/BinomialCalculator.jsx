@@ -12,16 +12,17 @@
  */
 
 import React, { useState, useMemo, useRef, useCallback } from 'react';
-import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, LineController, LineElement, PointElement, Title, Tooltip, Legend } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
 import { jStat } from 'jstat';
 import InfoIcon from './InfoIcon';
 import useDocumentTitle from '../../hooks/useDocumentTitle';
 import useFocusTrap from '../../hooks/useFocusTrap';
 import { announcePolite } from '../../utils/announce';
+import { binomialCoefficient, BinomialApproximationMath } from '../../stats/distributions';
 
 // Register required Chart.js components
-ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
+ChartJS.register(CategoryScale, LinearScale, BarElement, LineController, LineElement, PointElement, Title, Tooltip, Legend);
 
 /**
  * Color configuration for chart visualization
@@ -85,18 +86,6 @@ const PARAMETER_RANGES = {
   p: { min: 0, max: 1, step: 0.01 }
 };
 
-/**
- * Binomial coefficient C(n, k) — number of ways to choose k successes from n trials.
- * Computed multiplicatively to stay exact within double precision for n ≤ 50.
- */
-const binomialCoefficient = (n, k) => {
-  let result = 1;
-  for (let i = 1; i <= k; i++) {
-    result = (result * (n - k + i)) / i;
-  }
-  return Math.round(result);
-};
-
 /**
  * Format a probability for display: fixed decimals normally,
  * scientific notation when the value is vanishingly small
@@ -118,6 +107,7 @@ const BinomialCalculator = () => {
   const [x, setX] = useState(5);                     // Target value
   const [probabilityType, setProbabilityType] = useState('exact');  // Calculation type
   const [showTable, setShowTable] = useState(false); // Probability table visibility
+  const [showNormalApprox, setShowNormalApprox] = useState(false); // Normal curve overlay
   const [showChartModal, setShowChartModal] = useState(false);
   const [copied, setCopied] = useState(false);
   const chartRef = useRef(null);
@@ -170,6 +160,21 @@ const BinomialCalculator = () => {
     atLeast: 1 - jStat.binomial.cdf(x - 1, n, p)
   }), [n, p, x]);
 
+  /**
+   * Normal approximation to the selected probability, with and without the
+   * ±0.5 continuity correction, and whether np ≥ 10 and n(1 − p) ≥ 10 hold
+   */
+  const normalApproximation = useMemo(() => {
+    const withoutCorrection = BinomialApproximationMath.normal(x, n, p, probabilityType, false);
+    const withCorrection = BinomialApproximationMath.normal(x, n, p, probabilityType, true);
+    return {
+      conditions: BinomialApproximationMath.normalConditions(n, p),
+      withoutCorrection,
+      withCorrection,
+      defined: withCorrection.sd > 0
+    };
+  }, [n, p, x, probabilityType]);
+
   /**
    * Full probability table: P(X = k), P(X ≤ k), and P(X ≥ k) for every k
    */
@@ -223,17 +228,31 @@ const BinomialCalculator = () => {
       borderColors.push(colors.border);
     }
 
-    return {
-      labels,
-      datasets: [{
-        label: 'Probability',
-        data: probabilities,
-        backgroundColor: backgroundColors,
-        borderColor: borderColors,
-        borderWidth: 2,
-      }]
-    };
-  }, [n, p, x, probabilityType]);
+    const datasets = [{
+      label: 'Binomial Probability',
+      data: probabilities,
+      backgroundColor: backgroundColors,
+      borderColor: borderColors,
+      borderWidth: 2,
+    }];
+
+    // Normal curve with the same mean and SD; each bar has width 1, so the
+    // density at k is directly comparable with the bar height
+    if (showNormalApprox && statistics.standardDeviation > 0) {
+      datasets.push({
+        label: 'Normal Approximation',
+        data: labels.map(k => jStat.normal.pdf(Number(k), statistics.mean, statistics.standardDeviation)),
+        borderColor: 'rgba(42, 42, 42, 0.8)',
+        backgroundColor: 'transparent',
+        borderWidth: 3,
+        type: 'line',
+        tension: 0.4,
+        pointRadius: 0
+      });
+    }
+
+    return { labels, datasets };
+  }, [n, p, x, probabilityType, showNormalApprox, statistics]);
 
   /**
    * Chart display configuration
@@ -243,10 +262,12 @@ const BinomialCalculator = () => {
     responsive: true,
     maintainAspectRatio: false,
     plugins: {
-      legend: { display: false },
+      legend: { display: showNormalApprox },
       tooltip: {
         callbacks: {
-          label: (context) => `P(X = ${context.label}) = ${context.parsed.y.toFixed(4)}`
+          label: (context) => context.dataset.type === 'line'
+            ? `Normal density at ${context.label} = ${context.parsed.y.toFixed(4)}`
+            : `P(X = ${context.label}) = ${context.parsed.y.toFixed(4)}`
         }
       }
     },
@@ -288,6 +309,8 @@ const BinomialCalculator = () => {
       [`P(X = ${x})`, formatProbability(probabilityTrio.exact)],
       [`P(X ≤ ${x})`, formatProbability(probabilityTrio.atMost)],
       [`P(X ≥ ${x})`, formatProbability(probabilityTrio.atLeast)],
+      ['Normal approximation, no correction', normalApproximation.defined ? formatProbability(normalApproximation.withoutCorrection.probability) : 'undefined (σ = 0)'],
+      ['Normal approximation, continuity correction', normalApproximation.defined ? formatProbability(normalApproximation.withCorrection.probability) : 'undefined (σ = 0)'],
       ['Mean (μ = np)', statistics.mean.toFixed(4)],
       ['Variance (σ² = np(1−p))', statistics.variance.toFixed(4)],
       ['Std Dev (σ)', statistics.standardDeviation.toFixed(4)]
@@ -604,18 +627,95 @@ const BinomialCalculator = () => {
                 </>
               )}
             </div>
+
+            {/* Normal approximation compared with the exact answer */}
+            <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+              <h3 className="text-lg font-bold text-darkGrey mb-2">📐 Normal Approximation</h3>
+              {normalApproximation.defined ? (
+                <>
+                  <p className="mb-2">
+                    For large n the bars follow a bell curve: Normal(μ = np = {statistics.mean.toFixed(2)}, σ = √(np(1−p)) = {statistics.standardDeviation.toFixed(4)}).
+                  </p>
+                  <ul className="mb-2 space-y-1">
+                    <li>{normalApproximation.conditions.successesOk ? '✓' : '✗'} np = {normalApproximation.conditions.expectedSuccesses.toFixed(2)} (needs ≥ 10)</li>
+                    <li>{normalApproximation.conditions.failuresOk ? '✓' : '✗'} n(1 − p) = {normalApproximation.conditions.expectedFailures.toFixed(2)} (needs ≥ 10)</li>
+                  </ul>
+                  {!normalApproximation.conditions.met && (
+                    <div className="mb-2 p-2 bg-amber-50 border border-amber-400 rounded text-amber-900">
+                      <span aria-hidden="true">⚠️ </span>
+                      <strong>Approximation not reliable:</strong> with fewer than 10 expected {normalApproximation.conditions.successesOk ? 'failures' : normalApproximation.conditions.failuresOk ? 'successes' : 'successes and failures'} the
+                      bars are too lopsided or too few to follow a smooth bell curve. Use the exact binomial answer.
+                    </div>
+                  )}
+                  <table className="w-full text-sm my-2">
+                    <thead>
+                      <tr className="border-b-2 border-darkGrey/20">
+                        <th scope="col" className="p-1 text-left">Method</th>
+                        <th scope="col" className="p-1 text-left">Normal area</th>
+                        <th scope="col" className="p-1 text-right">Probability</th>
+                        <th scope="col" className="p-1 text-right">Error</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <tr className="border-b border-darkGrey/10 font-semibold">
+                        <td className="p-1">Exact binomial</td>
+                        <td className="p-1">—</td>
+                        <td className="p-1 font-mono text-right">{formatProbability(probability)}</td>
+                        <td className="p-1 font-mono text-right">—</td>
+                      </tr>
+                      {[
+                        { label: 'Normal, no correction', approx: normalApproximation.withoutCorrection },
+                        { label: 'Normal, ±0.5 correction', approx: normalApproximation.withCorrection }
+                      ].map(({ label, approx }) => (
+                        <tr key={label} className="border-b border-darkGrey/10">
+                          <td className="p-1">{label}</td>
+                          <td className="p-1 font-mono">
+                            {probabilityType === 'exact'
+                              ? (approx.lower === approx.upper ? `P(Y = ${x})` : `P(${approx.lower} < Y < ${approx.upper})`)
+                              : probabilityType === 'atMost' ? `P(Y ≤ ${approx.upper})` : `P(Y ≥ ${approx.lower})`}
+                          </td>
+                          <td className="p-1 font-mono text-right">{formatProbability(approx.probability)}</td>
+                          <td className="p-1 font-mono text-right">{approx.probability - probability >= 0 ? '+' : '−'}{formatProbability(Math.abs(approx.probability - probability))}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className="text-xs text-darkGrey/70 mb-2">
+                    Error = approximation − exact. Y is the normal variable.
+                    {probabilityType === 'exact'
+                      ? ` Without the correction P(Y = ${x}) is 0 — a single point has no area under a curve.`
+                      : ` The correction ${probabilityType === 'atMost' ? `extends the area to ${x} + 0.5` : `starts the area at ${x} − 0.5`} so the whole bar for k = ${x} is included.`}
+                    {' '}Bar k covers k − 0.5 to k + 0.5, which is why the ±0.5 version is usually much closer.
+                  </p>
+                  <label className="flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={showNormalApprox}
+                      onChange={(e) => setShowNormalApprox(e.target.checked)}
+                      className="mr-2 w-4 h-4"
+                    />
+                    Overlay the normal curve on the chart
+                  </label>
+                </>
+              ) : (
+                <p>
+                  With p = {p.toFixed(2)} every trial has the same result, so σ = 0 and there is no bell curve to approximate with.
+                </p>
+              )}
+            </div>
           </div>
 
           {/* Visualization panel */}
           <div className="bg-platinum p-4 rounded-lg">
             <h3 className="text-xl font-bold text-darkGrey mb-4">Distribution Visualization</h3>
             <div className="h-96">
-              <div role="img" className="h-full" aria-label="Binomial distribution bar chart showing probability for each number of successes">
+              <div role="img" className="h-full" aria-label={`Binomial distribution bar chart showing probability for each number of successes${showNormalApprox && normalApproximation.defined ? ', with the approximating normal curve' : ''}`}>
                 <Bar ref={chartRef} data={chartData} options={chartOptions} />
               </div>
             </div>
             <p className="text-xs text-darkGrey opacity-70 mt-2 text-center">
               Amber bars are the outcomes included in {probabilityType === 'exact' ? `P(X = ${x})` : probabilityType === 'atMost' ? `P(X ≤ ${x})` : `P(X ≥ ${x})`} — all bar heights together add up to 1.
+              {showNormalApprox && normalApproximation.defined && ' The black curve is the approximating normal density.'}
             </p>
             <div className="mt-3 flex flex-col sm:flex-row gap-2">
               <button
@@ -762,6 +862,9 @@ const BinomialCalculator = () => {
                   <div>
                     <p>• <span className="font-semibold">All bars together add up to 1</span> — some number of successes must happen</p>
                     <p>• <span className="font-semibold">The peak</span> sits at or next to the mean μ = {statistics.mean.toFixed(1)}; bars shrink as outcomes get further from it</p>
+                    {showNormalApprox && normalApproximation.defined && (
+                      <p>• <span className="font-semibold">Black Curve:</span> Normal(μ = {statistics.mean.toFixed(1)}, σ = {statistics.standardDeviation.toFixed(2)}) — the closer it hugs the bar tops, the better the approximation</p>
+                    )}
                   </div>
                 </div>
               </div>
@@ -0,0 +1,143 @@
+import React from 'react';
+import { formatStatValue, niceTicks } from '../../utils/axisTicks';
+
+/**
+ * Clean horizontal box plot rendered as SVG.
+ * Boxes sit on a shared number line with the five-number summary labeled
+ * directly on the plot, a diamond marker for the mean, and red dots for outliers.
+ *
+ * @param {Array} groups - [{ label, stats, values, colors: {fill, border} }]
+ * @param {boolean} showOutliers - Render outlier dots beyond the whiskers
+ * @param {Object} svgRef - Optional ref to the <svg> element (used for PNG export)
+ */
+const BoxPlotSVG = ({ groups, showOutliers, svgRef }) => {
+  const W = 860;
+  const M_LEFT = 28, M_RIGHT = 28, M_TOP = 8;
+  const ROW_H = 124, AXIS_H = 50;
+  const H = M_TOP + groups.length * ROW_H + AXIS_H;
+  const innerW = W - M_LEFT - M_RIGHT;
+
+  // Whisker ends and outliers per group, plus the shared value domain
+  let dMin = Infinity, dMax = -Infinity;
+  const prepared = groups.map(g => {
+    const { stats, values } = g;
+    const outliers = values.filter(v => v < stats.outlierMin || v > stats.outlierMax);
+    const inliers = values.filter(v => v >= stats.outlierMin && v <= stats.outlierMax);
+    const whiskerMin = inliers.length > 0 ? Math.min(...inliers) : stats.min;
+    const whiskerMax = inliers.length > 0 ? Math.max(...inliers) : stats.max;
+    const lo = showOutliers && outliers.length > 0 ? Math.min(stats.min, whiskerMin) : whiskerMin;
+    const hi = showOutliers && outliers.length > 0 ? Math.max(stats.max, whiskerMax) : whiskerMax;
+    dMin = Math.min(dMin, lo);
+    dMax = Math.max(dMax, hi);
+    return { ...g, outliers, whiskerMin, whiskerMax };
+  });
+
+  if (prepared.length === 0 || !isFinite(dMin)) return null;
+  if (dMax === dMin) { dMin -= 1; dMax += 1; }
+  const pad = (dMax - dMin) * 0.07;
+  dMin -= pad;
+  dMax += pad;
+
+  const x = (v) => M_LEFT + ((v - dMin) / (dMax - dMin)) * innerW;
+  const ticks = niceTicks(dMin, dMax);
+  const axisY = M_TOP + groups.length * ROW_H + 4;
+
+  const ariaLabel = prepared.map(g => {
+    const s = g.stats;
+    return `${g.label}: minimum ${formatStatValue(s.min)}, first quartile ${formatStatValue(s.q1)}, median ${formatStatValue(s.median)}, third quartile ${formatStatValue(s.q3)}, maximum ${formatStatValue(s.max)}, mean ${formatStatValue(s.mean)}${g.outliers.length > 0 ? `, ${g.outliers.length} outlier${g.outliers.length === 1 ? '' : 's'}` : ''}`;
+  }).join('. ');
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${W} ${H}`}
+      width={W}
+      height={H}
+      className="w-full h-full"
+      preserveAspectRatio="xMidYMid meet"
+      role="img"
+      aria-label={`Box plot. ${ariaLabel}`}
+    >
+      {/* Vertical gridlines and axis tick labels */}
+      {ticks.map(t => (
+        <g key={t}>
+          <line x1={x(t)} x2={x(t)} y1={M_TOP} y2={axisY} stroke="#E5E7EB" strokeWidth="1" />
+          <text x={x(t)} y={axisY + 20} textAnchor="middle" fontSize="13" fill="#4B5563">{formatStatValue(t)}</text>
+        </g>
+      ))}
+      <line x1={M_LEFT} x2={W - M_RIGHT} y1={axisY} y2={axisY} stroke="#2A2A2A" strokeWidth="1.5" />
+      <text x={W / 2} y={axisY + 40} textAnchor="middle" fontSize="13" fontWeight="600" fill="#2A2A2A">Values</text>
+
+      {prepared.map((g, gi) => {
+        const rowTop = M_TOP + gi * ROW_H;
+        const cy = rowTop + 68;
+        const boxH = 38;
+        const boxTop = cy - boxH / 2;
+        const boxBottom = cy + boxH / 2;
+        const s = g.stats;
+        return (
+          <g key={g.label}>
+            {/* Group name with color chip */}
+            <rect x={M_LEFT} y={rowTop + 6} width="11" height="11" fill={g.colors.fill} stroke={g.colors.border} strokeWidth="1.5" />
+            <text x={M_LEFT + 17} y={rowTop + 16} fontSize="13.5" fontWeight="700" fill="#2A2A2A">{g.label}</text>
+
+            {/* Whiskers with end caps */}
+            <line x1={x(g.whiskerMin)} x2={x(s.q1)} y1={cy} y2={cy} stroke="#4B5563" strokeWidth="2">
+              <title>{`Lower whisker: ${formatStatValue(g.whiskerMin)} to Q1 ${formatStatValue(s.q1)}`}</title>
+            </line>
+            <line x1={x(s.q3)} x2={x(g.whiskerMax)} y1={cy} y2={cy} stroke="#4B5563" strokeWidth="2">
+              <title>{`Upper whisker: Q3 ${formatStatValue(s.q3)} to ${formatStatValue(g.whiskerMax)}`}</title>
+            </line>
+            <line x1={x(g.whiskerMin)} x2={x(g.whiskerMin)} y1={cy - 11} y2={cy + 11} stroke="#4B5563" strokeWidth="2" />
+            <line x1={x(g.whiskerMax)} x2={x(g.whiskerMax)} y1={cy - 11} y2={cy + 11} stroke="#4B5563" strokeWidth="2" />
+
+            {/* IQR box */}
+            <rect
+              x={x(s.q1)}
+              y={boxTop}
+              width={Math.max(x(s.q3) - x(s.q1), 2)}
+              height={boxH}
+              fill={g.colors.fill}
+              stroke={g.colors.border}
+              strokeWidth="2.5"
+              rx="3"
+            >
+              <title>{`${g.label} — middle 50% of the data: Q1 ${formatStatValue(s.q1)} to Q3 ${formatStatValue(s.q3)} (IQR ${formatStatValue(s.iqr)})`}</title>
+            </rect>
+
+            {/* Median line */}
+            <line x1={x(s.median)} x2={x(s.median)} y1={boxTop - 5} y2={boxBottom + 5} stroke="#2A2A2A" strokeWidth="3.5">
+              <title>{`Median: ${formatStatValue(s.median)}`}</title>
+            </line>
+
+            {/* Mean diamond */}
+            <polygon
+              points={`${x(s.mean)},${cy - 8} ${x(s.mean) + 8},${cy} ${x(s.mean)},${cy + 8} ${x(s.mean) - 8},${cy}`}
+              fill="#FFFFFF"
+              stroke="#2A2A2A"
+              strokeWidth="2"
+            >
+              <title>{`Mean: ${formatStatValue(s.mean)}`}</title>
+            </polygon>
+
+            {/* Direct value labels */}
+            <text x={x(s.median)} y={boxTop - 11} textAnchor="middle" fontSize="13" fontWeight="700" fill="#2A2A2A">{`Median ${formatStatValue(s.median)}`}</text>
+            <text x={x(s.q1)} y={boxBottom + 19} textAnchor="middle" fontSize="12.5" fill="#374151">{`Q1 ${formatStatValue(s.q1)}`}</text>
+            <text x={x(s.q3)} y={boxBottom + 35} textAnchor="middle" fontSize="12.5" fill="#374151">{`Q3 ${formatStatValue(s.q3)}`}</text>
+            <text x={x(g.whiskerMin) - 7} y={cy + 4.5} textAnchor="end" fontSize="12.5" fill="#374151">{formatStatValue(g.whiskerMin)}</text>
+            <text x={x(g.whiskerMax) + 7} y={cy + 4.5} textAnchor="start" fontSize="12.5" fill="#374151">{formatStatValue(g.whiskerMax)}</text>
+
+            {/* Outliers */}
+            {showOutliers && g.outliers.map((v, i) => (
+              <circle key={`${v}-${i}`} cx={x(v)} cy={cy + ((i % 3) - 1) * 10} r="5.5" fill="rgba(220, 38, 38, 0.85)" stroke="#991B1B" strokeWidth="1.5">
+                <title>{`Outlier: ${formatStatValue(v)} (beyond the 1.5×IQR fence)`}</title>
+              </circle>
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default BoxPlotSVG;
@@ -0,0 +1,1308 @@
+/**
+ * ChiSquareCalculator.jsx
+ *
+ * Chi-square test calculator for categorical data with visual representation.
+ * Supports goodness-of-fit tests (observed vs expected counts) and tests of
+ * independence for r×c contingency tables, with expected counts, per-cell
+ * contributions and a shaded chi-square density chart.
+ *
+ * Dependencies: Chart.js, react-chartjs-2, jStat
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import React, { useState, useRef, useCallback } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, BarController, LineElement, PointElement, ScatterController, Title, Tooltip, Legend, Filler } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { jStat } from 'jstat';
+import InfoIcon from './InfoIcon';
+import useDocumentTitle from '../../hooks/useDocumentTitle';
+import useFocusTrap from '../../hooks/useFocusTrap';
+import { announcePolite } from '../../utils/announce';
+import { chiSquareGoodnessOfFit, chiSquareIndependence, getChiSquareCriticalValue } from '../../stats/chiSquare';
+
+// Register required Chart.js components
+ChartJS.register(CategoryScale, LinearScale, BarElement, BarController, LineElement, PointElement, ScatterController, Title, Tooltip, Legend, Filler);
+
+/**
+ * Configuration constants
+ */
+const MODES = {
+  GOODNESS: 'goodness-of-fit',
+  INDEPENDENCE: 'independence'
+};
+
+const EXPECTED_TYPES = {
+  COUNTS: 'counts',
+  PROPORTIONS: 'proportions'
+};
+
+const CHART_COLORS = {
+  rejection: {
+    line: 'rgba(255, 99, 71, 0.8)',
+    fill: 'rgba(255, 99, 71, 0.2)'
+  },
+  acceptance: {
+    line: 'rgba(78, 205, 196, 0.8)',
+    fill: 'rgba(78, 205, 196, 0.2)'
+  },
+  testStatistic: 'rgba(180, 83, 9, 1)',
+  criticalValue: 'rgba(138, 43, 226, 1)'
+};
+
+const MIN_CATEGORIES = 2;
+const MAX_CATEGORIES = 12;
+const TABLE_SIZE_RANGE = { min: 2, max: 6 };
+
+// Default input values for better UX
+const DEFAULT_VALUES = {
+  categories: [
+    { label: 'A', observed: '25', expected: '20' },
+    { label: 'B', observed: '15', expected: '20' },
+    { label: 'C', observed: '20', expected: '20' }
+  ],
+  table: [
+    ['20', '30'],
+    ['25', '25']
+  ],
+  rowLabels: ['Row 1', 'Row 2'],
+  colLabels: ['Col 1', 'Col 2'],
+  significanceLevel: 0.05
+};
+
+/**
+ * Story-based example scenarios with their expected conclusions,
+ * so students can predict the outcome before pressing Calculate
+ */
+const PRESET_SCENARIOS = [
+  {
+    name: 'Is This Die Fair?',
+    mode: MODES.GOODNESS,
+    expectedType: EXPECTED_TYPES.COUNTS,
+    categories: [
+      { label: '1', observed: '8', expected: '10' },
+      { label: '2', observed: '12', expected: '10' },
+      { label: '3', observed: '9', expected: '10' },
+      { label: '4', observed: '11', expected: '10' },
+      { label: '5', observed: '6', expected: '10' },
+      { label: '6', observed: '14', expected: '10' }
+    ],
+    description: 'You roll a die 60 times. Sixes came up 14 times and fives only 6. Is the die loaded?',
+    expectedOutcome: 'Fail to reject — χ² = 4.20, df = 5, p ≈ 0.52. Swings of ±4 around 10 are normal for 60 rolls; the amber triangle lands well inside the teal region.'
+  },
+  {
+    name: 'Candy Color Claim',
+    mode: MODES.GOODNESS,
+    expectedType: EXPECTED_TYPES.PROPORTIONS,
+    categories: [
+      { label: 'Blue', observed: '30', expected: '0.24' },
+      { label: 'Orange', observed: '50', expected: '0.20' },
+      { label: 'Green', observed: '32', expected: '0.16' },
+      { label: 'Yellow', observed: '28', expected: '0.14' },
+      { label: 'Red', observed: '34', expected: '0.13' },
+      { label: 'Brown', observed: '26', expected: '0.13' }
+    ],
+    description: 'A candy maker claims its color mix is 24/20/16/14/13/13%. Your 200 candies look short on blue. Does the claim hold?',
+    expectedOutcome: 'Reject, just barely — χ² ≈ 11.71 against a critical value of 11.07, p ≈ 0.039. Check the contributions: blue alone supplies 6.75 of the total.'
+  },
+  {
+    name: 'Class Format vs Passing',
+    mode: MODES.INDEPENDENCE,
+    table: [['30', '20'], ['45', '5']],
+    rowLabels: ['Online', 'In-person'],
+    colLabels: ['Pass', 'Fail'],
+    description: 'Of 50 online students 30 passed; of 50 in-person students 45 passed. Is passing related to class format?',
+    expectedOutcome: 'Reject — χ² = 12.00, df = 1, p ≈ 0.0005. Each "Fail" cell contributes 4.5 because 12.5 failures were expected per group but the groups got 20 and 5.'
+  }
+];
+
+/**
+ * Build an empty r×c table of string inputs
+ */
+const createEmptyTable = (rows, cols) => Array.from({ length: rows }, () => Array(cols).fill(''));
+
+/**
+ * Main ChiSquareCalculator component
+ * Handles goodness-of-fit and independence tests and their visualization
+ */
+const ChiSquareCalculator = () => {
+  useDocumentTitle('Chi-Square Test Calculator');
+
+  // State management
+  const [mode, setMode] = useState(MODES.GOODNESS);
+  const [expectedType, setExpectedType] = useState(EXPECTED_TYPES.COUNTS);
+  const [categories, setCategories] = useState(DEFAULT_VALUES.categories);
+  const [table, setTable] = useState(DEFAULT_VALUES.table);
+  const [rowLabels, setRowLabels] = useState(DEFAULT_VALUES.rowLabels);
+  const [colLabels, setColLabels] = useState(DEFAULT_VALUES.colLabels);
+  const [significanceLevel, setSignificanceLevel] = useState(DEFAULT_VALUES.significanceLevel);
+  const [result, setResult] = useState({});
+  const [chartData, setChartData] = useState(null);
+  const [error, setError] = useState("");
+  const [showChartModal, setShowChartModal] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const chartRef = useRef(null);
+
+  const chartModalTrapRef = useFocusTrap(showChartModal);
+
+  const handleChartModalKeyDown = useCallback((e) => {
+    if (e.key === 'Escape') setShowChartModal(false);
+  }, []);
+
+  /**
+   * Clear previous results whenever the test setup changes
+   */
+  const resetResults = () => {
+    setResult({});
+    setChartData(null);
+    setError("");
+  };
+
+  /**
+   * Load a story scenario: sets the mode and all inputs at once
+   */
+  const applyPreset = (preset) => {
+    setMode(preset.mode);
+    if (preset.mode === MODES.GOODNESS) {
+      setExpectedType(preset.expectedType);
+      setCategories(preset.categories);
+    } else {
+      setTable(preset.table);
+      setRowLabels(preset.rowLabels);
+      setColLabels(preset.colLabels);
+    }
+    resetResults();
+    announcePolite('Loaded scenario: ' + preset.name + '. Press Calculate Test to run it.');
+  };
+
+  /**
+   * Handle test mode change
+   * @param {Event} e - Select change event
+   */
+  const handleModeChange = (e) => {
+    setMode(e.target.value);
+    resetResults();
+  };
+
+  /**
+   * Update one field of a goodness-of-fit category row
+   */
+  const updateCategory = (index, field, value) => {
+    setCategories(categories.map((cat, i) => (i === index ? { ...cat, [field]: value } : cat)));
+  };
+
+  const addCategory = () => {
+    if (categories.length >= MAX_CATEGORIES) return;
+    setCategories([...categories, { label: String.fromCharCode(65 + categories.length), observed: '', expected: '' }]);
+  };
+
+  const removeCategory = (index) => {
+    if (categories.length <= MIN_CATEGORIES) return;
+    setCategories(categories.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Fill the expected column so every category is equally likely
+   */
+  const fillEqualExpected = () => {
+    const k = categories.length;
+    if (expectedType === EXPECTED_TYPES.PROPORTIONS) {
+      setCategories(categories.map(cat => ({ ...cat, expected: (1 / k).toFixed(4) })));
+      return;
+    }
+    const total = categories.reduce((sum, cat) => sum + (parseFloat(cat.observed) || 0), 0);
+    setCategories(categories.map(cat => ({ ...cat, expected: total > 0 ? parseFloat((total / k).toFixed(4)).toString() : '' })));
+  };
+
+  /**
+   * Resize the contingency table, keeping any counts already typed
+   */
+  const resizeTable = (rows, cols) => {
+    const next = createEmptyTable(rows, cols).map((row, i) =>
+      row.map((_, j) => (table[i] && table[i][j] !== undefined ? table[i][j] : ''))
+    );
+    setTable(next);
+    setRowLabels(Array.from({ length: rows }, (_, i) => rowLabels[i] || `Row ${i + 1}`));
+    setColLabels(Array.from({ length: cols }, (_, j) => colLabels[j] || `Col ${j + 1}`));
+    resetResults();
+  };
+
+  const updateCell = (i, j, value) => {
+    setTable(table.map((row, r) => (r === i ? row.map((cell, c) => (c === j ? value : cell)) : row)));
+  };
+
+  const updateLabel = (labels, setLabels, index, value) => {
+    setLabels(labels.map((label, i) => (i === index ? value : label)));
+  };
+
+  /**
+   * Validate the shared significance level input
+   * @returns {number|null} Parsed alpha or null when invalid
+   */
+  const parseAlpha = () => {
+    const alpha = parseFloat(significanceLevel);
+    if (isNaN(alpha) || alpha <= 0 || alpha >= 1) {
+      setError("Significance level must be between 0 and 1 (commonly 0.05).");
+      return null;
+    }
+    return alpha;
+  };
+
+  /**
+   * Main calculation orchestrator
+   */
+  const calculate = () => {
+    setError("");
+    if (mode === MODES.GOODNESS) {
+      calculateGoodnessOfFit();
+    } else {
+      calculateIndependence();
+    }
+  };
+
+  /**
+   * Build the standard condition checks shared by both tests
+   * @param {number[]} expectedCounts - Every expected count in the test
+   */
+  const expectedCountAssumptions = (expectedCounts) => {
+    const below5 = expectedCounts.filter(e => e < 5).length;
+    const minExpected = Math.min(...expectedCounts);
+    return [
+      {
+        label: `Every expected count is at least 1 (smallest = ${minExpected.toFixed(2)})`,
+        pass: minExpected >= 1
+      },
+      {
+        label: `No more than 20% of expected counts are below 5 (${below5} of ${expectedCounts.length} = ${((below5 / expectedCounts.length) * 100).toFixed(0)}%)`,
+        pass: below5 / expectedCounts.length <= 0.2
+      },
+      {
+        label: 'Counts come from a random sample and each observation falls in exactly one cell (you must judge this from how the data was collected)',
+        pass: null
+      }
+    ];
+  };
+
+  /**
+   * Perform chi-square goodness-of-fit test
+   * Compares observed category counts to the counts a claimed distribution predicts
+   */
+  const calculateGoodnessOfFit = () => {
+    const alpha = parseAlpha();
+    if (alpha === null) return;
+
+    const observed = categories.map(cat => parseFloat(cat.observed));
+    const expectedInputs = categories.map(cat => parseFloat(cat.expected));
+
+    if (observed.some(isNaN) || expectedInputs.some(isNaN)) {
+      setError("Please fill in every observed and expected value with a number.");
+      return;
+    }
+    if (observed.some(o => o < 0 || !Number.isInteger(o))) {
+      setError("Observed values must be whole-number counts (0 or more).");
+      return;
+    }
+
+    const total = observed.reduce((a, b) => a + b, 0);
+    if (total === 0) {
+      setError("At least one observed count must be greater than 0.");
+      return;
+    }
+
+    let expected = expectedInputs;
+    if (expectedType === EXPECTED_TYPES.PROPORTIONS) {
+      const proportionSum = expectedInputs.reduce((a, b) => a + b, 0);
+      if (expectedInputs.some(p => p <= 0) || Math.abs(proportionSum - 1) > 0.01) {
+        setError(`Expected proportions must be positive and add up to 1 (yours add to ${proportionSum.toFixed(4)}). For 25%, enter 0.25.`);
+        return;
+      }
+      expected = expectedInputs.map(p => (p / proportionSum) * total);
+    } else {
+      if (expectedInputs.some(e => e <= 0)) {
+        setError("Expected counts must be greater than 0.");
+        return;
+      }
+      const expectedSum = expectedInputs.reduce((a, b) => a + b, 0);
+      if (Math.abs(expectedSum - total) > 0.01 * total) {
+        setError(`Expected counts add to ${expectedSum.toFixed(2)} but observed counts add to ${total}. They must match — or switch to proportions.`);
+        return;
+      }
+    }
+
+    const test = chiSquareGoodnessOfFit(observed, expected);
+    const criticalValue = getChiSquareCriticalValue(alpha, test.df);
+    const reject = test.statistic > criticalValue;
+
+    setResult({
+      calcMode: MODES.GOODNESS,
+      testStatistic: test.statistic.toFixed(4),
+      testStatisticNum: test.statistic,
+      criticalValue: criticalValue.toFixed(4),
+      pValue: test.pValue.toFixed(4),
+      pValueNum: test.pValue,
+      df: test.df,
+      reject,
+      alphaNum: alpha,
+      total,
+      cells: categories.map((cat, i) => ({
+        label: cat.label || `Category ${i + 1}`,
+        observed: observed[i],
+        expected: expected[i],
+        contribution: test.contributions[i]
+      })),
+      steps: {
+        expectedFormula: expectedType === EXPECTED_TYPES.PROPORTIONS
+          ? `E = n × p₀ = ${total} × p₀ for each category`
+          : 'E = the expected counts you entered',
+        dfFormula: `df = k − 1 = ${categories.length} − 1 = ${test.df}`
+      },
+      assumptions: expectedCountAssumptions(expected)
+    });
+
+    createVisualization(test.statistic, criticalValue, test.df);
+    announcePolite(`Goodness-of-fit test complete. Chi-square: ${test.statistic.toFixed(4)}, p-value: ${test.pValue.toFixed(4)}. ${reject ? 'Reject' : 'Fail to reject'} the null hypothesis.`);
+  };
+
+  /**
+   * Perform chi-square test of independence
+   * Asks whether the row variable and the column variable are related
+   */
+  const calculateIndependence = () => {
+    const alpha = parseAlpha();
+    if (alpha === null) return;
+
+    const observed = table.map(row => row.map(cell => parseFloat(cell)));
+    if (observed.flat().some(isNaN)) {
+      setError("Please fill in every cell of the table with a count.");
+      return;
+    }
+    if (observed.flat().some(o => o < 0 || !Number.isInteger(o))) {
+      setError("Table cells must be whole-number counts (0 or more).");
+      return;
+    }
+    if (observed.some(row => row.every(o => o === 0)) || observed[0].some((_, j) => observed.every(row => row[j] === 0))) {
+      setError("Every row and every column needs at least one non-zero count.");
+      return;
+    }
+
+    const test = chiSquareIndependence(observed);
+    const criticalValue = getChiSquareCriticalValue(alpha, test.df);
+    const reject = test.statistic > criticalValue;
+
+    setResult({
+      calcMode: MODES.INDEPENDENCE,
+      testStatistic: test.statistic.toFixed(4),
+      testStatisticNum: test.statistic,
+      criticalValue: criticalValue.toFixed(4),
+      pValue: test.pValue.toFixed(4),
+      pValueNum: test.pValue,
+      df: test.df,
+      reject,
+      alphaNum: alpha,
+      total: test.grandTotal,
+      observed,
+      expected: test.expected,
+      contributions: test.contributions,
+      rowTotals: test.rowTotals,
+      colTotals: test.colTotals,
+      rowLabels: rowLabels.map((label, i) => label || `Row ${i + 1}`),
+      colLabels: colLabels.map((label, j) => label || `Col ${j + 1}`),
+      cramersV: test.cramersV,
+      steps: {
+        expectedFormula: `E = (row total × column total) / grand total, grand total = ${test.grandTotal}`,
+        dfFormula: `df = (r − 1)(c − 1) = (${observed.length} − 1)(${observed[0].length} − 1) = ${test.df}`
+      },
+      assumptions: expectedCountAssumptions(test.expected.flat())
+    });
+
+    createVisualization(test.statistic, criticalValue, test.df);
+    announcePolite(`Independence test complete. Chi-square: ${test.statistic.toFixed(4)}, p-value: ${test.pValue.toFixed(4)}. ${reject ? 'Reject' : 'Fail to reject'} the null hypothesis.`);
+  };
+
+  /**
+   * Create visualization data for the chi-square test
+   * The rejection region is always the right tail
+   * @param {number} testStatistic - Calculated χ² statistic
+   * @param {number} criticalValue - Right-tail critical value
+   * @param {number} df - Degrees of freedom
+   */
+  const createVisualization = (testStatistic, criticalValue, df) => {
+    const xMin = 0;
+    const xMax = Math.max(criticalValue * 1.5, df + 4 * Math.sqrt(2 * df));
+    const points = 300;
+    const step = (xMax - xMin) / points;
+
+    const xValues = [];
+    const yValues = [];
+    const rejectionRegion = [];
+    const acceptanceRegion = [];
+
+    // Generate distribution curve (density is infinite at 0 when df = 1)
+    for (let i = 0; i <= points; i++) {
+      const x = xMin + i * step;
+      xValues.push(x);
+
+      const density = jStat.chisquare.pdf(x, df);
+      const y = Number.isFinite(density) ? density : null;
+      yValues.push(y);
+
+      const inRejection = x >= criticalValue;
+      rejectionRegion.push(inRejection ? y : null);
+      acceptanceRegion.push(inRejection ? null : y);
+    }
+
+    const datasets = [
+      {
+        label: 'Acceptance Region',
+        data: acceptanceRegion,
+        borderColor: CHART_COLORS.acceptance.line,
+        backgroundColor: CHART_COLORS.acceptance.fill,
+        fill: true,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 3
+      },
+      {
+        label: 'Rejection Region',
+        data: rejectionRegion,
+        borderColor: CHART_COLORS.rejection.line,
+        backgroundColor: CHART_COLORS.rejection.fill,
+        fill: true,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 2
+      },
+      {
+        label: 'Distribution Curve',
+        data: yValues,
+        borderColor: 'rgba(100, 100, 100, 0.8)',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        fill: false,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 1
+      }
+    ];
+
+    // Vertical line for the critical value
+    const cvIndex = xValues.findIndex(x => Math.abs(x - criticalValue) <= step / 2);
+    if (cvIndex !== -1) {
+      const verticalLine = new Array(xValues.length).fill(null);
+      verticalLine[cvIndex] = yValues[cvIndex];
+      datasets.push({
+        label: 'Critical Value',
+        data: verticalLine,
+        borderColor: CHART_COLORS.criticalValue,
+        backgroundColor: CHART_COLORS.criticalValue,
+        borderWidth: 3,
+        pointRadius: 0,
+        type: 'bar',
+        barThickness: 2,
+        order: 0
+      });
+    }
+
+    // Test statistic marker on the x-axis, pinned to the right edge when it runs off the chart
+    const testStatIndex = testStatistic >= xMax
+      ? xValues.length - 1
+      : xValues.findIndex(x => Math.abs(x - testStatistic) <= step / 2);
+    if (testStatIndex !== -1) {
+      const testStatData = new Array(xValues.length).fill(null);
+      testStatData[testStatIndex] = 0;
+      datasets.push({
+        label: 'Test Statistic',
+        data: testStatData,
+        borderColor: CHART_COLORS.testStatistic,
+        backgroundColor: CHART_COLORS.testStatistic,
+        pointRadius: 8,
+        pointStyle: 'triangle',
+        pointBorderWidth: 2,
+        type: 'scatter',
+        order: -1
+      });
+    }
+
+    setChartData({
+      labels: xValues.map(x => x.toFixed(2)),
+      datasets,
+      statOffChart: testStatistic >= xMax
+    });
+  };
+
+  /**
+   * Chart configuration options
+   */
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: true,
+        position: 'bottom',
+        labels: {
+          filter: (item) => item.text !== '' && !item.text.includes('Distribution Curve'),
+          usePointStyle: true
+        }
+      },
+      tooltip: {
+        enabled: true,
+        callbacks: {
+          label: (context) => {
+            if (context.dataset.label === 'Test Statistic') {
+              return `χ² = ${result.testStatistic}`;
+            }
+            if (context.dataset.label.includes('Critical')) {
+              return `Critical Value: ${result.criticalValue}`;
+            }
+            return context.dataset.label;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        display: true,
+        title: {
+          display: true,
+          text: 'χ² Value'
+        },
+        ticks: {
+          maxTicksLimit: 12
+        }
+      },
+      y: {
+        display: true,
+        title: {
+          display: true,
+          text: 'Probability Density'
+        }
+      }
+    }
+  };
+
+  /**
+   * Word the strength of evidence based on the p-value
+   */
+  const evidenceStrength = (pVal) =>
+    pVal < 0.01 ? 'very strong' : pVal < 0.05 ? 'strong' : pVal < 0.10 ? 'moderate' : 'weak or no';
+
+  /**
+   * Describe Cramér's V in everyday words
+   */
+  const associationWords = (v) =>
+    v < 0.1 ? 'negligible' : v < 0.3 ? 'weak' : v < 0.5 ? 'moderate' : 'strong';
+
+  /**
+   * Plain-English conclusion sentence for the completed test
+   */
+  const conclusionText = () => {
+    const level = `At the ${(result.alphaNum * 100).toFixed(0)}% significance level`;
+    if (result.calcMode === MODES.GOODNESS) {
+      return result.reject
+        ? `${level}, the observed counts provide sufficient evidence that the data do NOT follow the claimed distribution.`
+        : `${level}, the observed counts do NOT provide sufficient evidence that the data differ from the claimed distribution.`;
+    }
+    return result.reject
+      ? `${level}, the data provide sufficient evidence that the row and column variables are associated (not independent).`
+      : `${level}, the data do NOT provide sufficient evidence that the row and column variables are associated.`;
+  };
+
+  // Live hypotheses display
+  const hypotheses = mode === MODES.GOODNESS
+    ? { h0: 'The data follow the claimed distribution', h1: 'The data do not follow the claimed distribution' }
+    : { h0: 'The row and column variables are independent', h1: 'The row and column variables are associated' };
+
+  /**
+   * Copy the full test summary as tab-separated text
+   */
+  const copyResultsToClipboard = async () => {
+    const cellRows = result.calcMode === MODES.GOODNESS
+      ? [
+          ['Category', 'Observed', 'Expected', '(O−E)²/E'],
+          ...result.cells.map(cell => [cell.label, String(cell.observed), cell.expected.toFixed(4), cell.contribution.toFixed(4)])
+        ]
+      : [
+          ['Cell', 'Observed', 'Expected', '(O−E)²/E'],
+          ...result.observed.flatMap((row, i) => row.map((o, j) => [
+            `${result.rowLabels[i]} / ${result.colLabels[j]}`,
+            String(o),
+            result.expected[i][j].toFixed(4),
+            result.contributions[i][j].toFixed(4)
+          ]))
+        ];
+    const rows = [
+      ['Chi-Square Test', result.calcMode === MODES.GOODNESS ? 'Goodness-of-fit' : 'Test of independence'],
+      ['H₀', hypotheses.h0],
+      ['H₁', hypotheses.h1],
+      ...cellRows,
+      ['χ² statistic', result.testStatistic],
+      ['Degrees of freedom', String(result.df)],
+      ['Critical value', result.criticalValue],
+      ['P-value', result.pValue],
+      ...(result.calcMode === MODES.INDEPENDENCE ? [["Cramér's V", result.cramersV.toFixed(4)]] : []),
+      ['Decision', result.reject ? 'Reject H₀' : 'Fail to reject H₀'],
+      ['Conclusion', conclusionText()]
+    ];
+    const text = rows.map(row => row.join('\t')).join('\n');
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      announcePolite('Results copied to clipboard.');
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      announcePolite('Could not access the clipboard.');
+    }
+  };
+
+  /**
+   * Download the test visualization as a PNG on a white background
+   */
+  const downloadChartPNG = () => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const source = chart.canvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0);
+    const link = document.createElement('a');
+    link.href = canvas.toDataURL('image/png');
+    link.download = `chi-square-${result.calcMode || mode}.png`;
+    link.click();
+    announcePolite('Chart image downloaded.');
+  };
+
+  const inputClass = "w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none";
+  const cellInputClass = "w-full p-1 border-2 border-darkGrey/20 rounded focus:border-darkTeal outline-none text-center";
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-6xl mx-auto bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-3xl font-bold text-darkGrey mb-2">
+          Chi-Square Test Calculator
+        </h2>
+
+        {/* Educational explanation section */}
+        <div className="mb-6 p-4 bg-blue-50 rounded-lg border-l-4 border-blue-500">
+          <h3 className="text-lg font-semibold text-darkGrey mb-2">
+            🎲 Understanding Chi-Square Tests
+          </h3>
+          <p className="text-darkGrey mb-3">
+            Chi-square tests work with <strong>counts</strong> in categories. They compare what you observed (O) with what
+            you would expect (E) if H₀ were true. Each cell adds (O − E)² / E to the total — big gaps between O and E make χ² big.
+          </p>
+
+          <div className="grid md:grid-cols-2 gap-4 text-sm text-darkGrey">
+            <div>
+              <h4 className="font-semibold mb-1">📋 Goodness-of-Fit:</h4>
+              <ul className="list-disc list-inside space-y-1">
+                <li><strong>One</strong> categorical variable</li>
+                <li>Does it match a claimed distribution?</li>
+                <li>Example: is a die fair?</li>
+                <li>df = number of categories − 1</li>
+              </ul>
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-1">🔗 Test of Independence:</h4>
+              <ul className="list-disc list-inside space-y-1">
+                <li><strong>Two</strong> categorical variables in a table</li>
+                <li>Are they related or independent?</li>
+                <li>Example: is passing related to class format?</li>
+                <li>df = (rows − 1) × (columns − 1)</li>
+              </ul>
+            </div>
+          </div>
+
+          <p className="text-sm text-darkGrey mt-3 italic">
+            💡 <strong>Remember:</strong> χ² can never be negative, and the test is always right-tailed — only
+            large mismatches between observed and expected counts count as evidence against H₀.
+          </p>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          {/* Input Controls */}
+          <div className="space-y-4">
+            {/* Test Configuration */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4">Test Configuration</h3>
+
+              <div className="space-y-3">
+                <div>
+                  <label htmlFor="chi-mode" className="block text-darkGrey font-medium mb-2">Test Type</label>
+                  <select
+                    id="chi-mode"
+                    value={mode}
+                    onChange={handleModeChange}
+                    className={inputClass}
+                  >
+                    <option value={MODES.GOODNESS}>Goodness-of-Fit (one variable)</option>
+                    <option value={MODES.INDEPENDENCE}>Test of Independence (r×c table)</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label htmlFor="chi-significance" className="flex items-center text-darkGrey font-medium mb-1">
+                    Significance Level (α)
+                    <InfoIcon info="The probability of Type I error (typically 0.05)" />
+                  </label>
+                  <input
+                    id="chi-significance"
+                    type="number"
+                    step="0.01"
+                    value={significanceLevel}
+                    onChange={(e) => setSignificanceLevel(e.target.value)}
+                    placeholder="e.g., 0.05"
+                    className={inputClass}
+                    aria-invalid={!!error}
+                    aria-describedby="chi-error"
+                  />
+                </div>
+
+                {/* Live hypotheses preview */}
+                <div className="p-3 bg-white rounded-lg border-2 border-darkTeal/30">
+                  <p className="text-sm font-semibold text-darkGrey mb-1">Your Hypotheses:</p>
+                  <p className="font-mono text-darkGrey text-sm">H₀: {hypotheses.h0}</p>
+                  <p className="font-mono text-darkGrey text-sm">H₁: {hypotheses.h1}</p>
+                  <p className="text-xs text-darkGrey/70 mt-1">
+                    Chi-square tests are always right-tailed: all of α sits in the right tail.
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Input Values */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4">
+                {mode === MODES.GOODNESS ? 'Observed & Expected' : 'Contingency Table'}
+              </h3>
+
+              {mode === MODES.GOODNESS ? (
+                <div className="space-y-3">
+                  <fieldset>
+                    <legend className="flex items-center text-darkGrey font-medium mb-1">
+                      Expected values entered as
+                      <InfoIcon info="Enter expected counts directly, or the claimed proportion for each category (they must add to 1)" />
+                    </legend>
+                    <div className="flex space-x-4">
+                      {[EXPECTED_TYPES.COUNTS, EXPECTED_TYPES.PROPORTIONS].map(type => (
+                        <label key={type} className="flex items-center">
+                          <input
+                            type="radio"
+                            name="chiExpectedType"
+                            value={type}
+                            checked={expectedType === type}
+                            onChange={() => { setExpectedType(type); resetResults(); }}
+                            className="mr-2"
+                          />
+                          <span className="text-darkGrey">{type === EXPECTED_TYPES.COUNTS ? 'Counts' : 'Proportions'}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </fieldset>
+
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-darkGrey">
+                          <th scope="col" className="text-left p-1">Category</th>
+                          <th scope="col" className="text-left p-1">Observed (O)</th>
+                          <th scope="col" className="text-left p-1">{expectedType === EXPECTED_TYPES.COUNTS ? 'Expected (E)' : 'Proportion (p₀)'}</th>
+                          <th scope="col" className="p-1"><span className="sr-only">Remove</span></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {categories.map((cat, index) => (
+                          <tr key={index}>
+                            <td className="p-1">
+                              <input
+                                type="text"
+                                value={cat.label}
+                                onChange={(e) => updateCategory(index, 'label', e.target.value)}
+                                className={cellInputClass}
+                                aria-label={`Category ${index + 1} name`}
+                              />
+                            </td>
+                            <td className="p-1">
+                              <input
+                                type="number"
+                                min="0"
+                                value={cat.observed}
+                                onChange={(e) => updateCategory(index, 'observed', e.target.value)}
+                                className={cellInputClass}
+                                aria-label={`Observed count for ${cat.label || `category ${index + 1}`}`}
+                              />
+                            </td>
+                            <td className="p-1">
+                              <input
+                                type="number"
+                                min="0"
+                                step={expectedType === EXPECTED_TYPES.COUNTS ? '1' : '0.01'}
+                                value={cat.expected}
+                                onChange={(e) => updateCategory(index, 'expected', e.target.value)}
+                                className={cellInputClass}
+                                aria-label={`${expectedType === EXPECTED_TYPES.COUNTS ? 'Expected count' : 'Claimed proportion'} for ${cat.label || `category ${index + 1}`}`}
+                              />
+                            </td>
+                            <td className="p-1 text-center">
+                              <button
+                                onClick={() => removeCategory(index)}
+                                disabled={categories.length <= MIN_CATEGORIES}
+                                className="text-red-500 hover:text-red-700 font-bold disabled:opacity-30"
+                                aria-label={`Remove ${cat.label || `category ${index + 1}`}`}
+                              >
+                                ×
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <div className="flex gap-2">
+                    <button
+                      onClick={addCategory}
+                      disabled={categories.length >= MAX_CATEGORIES}
+                      className="flex-1 bg-darkTeal text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors disabled:opacity-50"
+                    >
+                      + Add Category
+                    </button>
+                    <button
+                      onClick={fillEqualExpected}
+                      className="flex-1 bg-darkTeal text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      ⚖️ All Equally Likely
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label htmlFor="chi-rows" className="block text-darkGrey font-medium mb-1">Rows (r)</label>
+                      <select
+                        id="chi-rows"
+                        value={table.length}
+                        onChange={(e) => resizeTable(parseInt(e.target.value), table[0].length)}
+                        className={inputClass}
+                      >
+                        {Array.from({ length: TABLE_SIZE_RANGE.max - TABLE_SIZE_RANGE.min + 1 }, (_, i) => TABLE_SIZE_RANGE.min + i).map(n => (
+                          <option key={n} value={n}>{n}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label htmlFor="chi-cols" className="block text-darkGrey font-medium mb-1">Columns (c)</label>
+                      <select
+                        id="chi-cols"
+                        value={table[0].length}
+                        onChange={(e) => resizeTable(table.length, parseInt(e.target.value))}
+                        className={inputClass}
+                      >
+                        {Array.from({ length: TABLE_SIZE_RANGE.max - TABLE_SIZE_RANGE.min + 1 }, (_, i) => TABLE_SIZE_RANGE.min + i).map(n => (
+                          <option key={n} value={n}>{n}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  <p className="text-xs text-darkGrey/70">Rename rows and columns by editing their headers, then type the observed counts.</p>
+
+                  <div className="overflow-x-auto">
+                    <table className="text-sm">
+                      <thead>
+                        <tr>
+                          <td className="p-1"></td>
+                          {colLabels.map((label, j) => (
+                            <th key={j} scope="col" className="p-1">
+                              <input
+                                type="text"
+                                value={label}
+                                onChange={(e) => updateLabel(colLabels, setColLabels, j, e.target.value)}
+                                className={`${cellInputClass} font-semibold`}
+                                aria-label={`Column ${j + 1} name`}
+                              />
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {table.map((row, i) => (
+                          <tr key={i}>
+                            <th scope="row" className="p-1">
+                              <input
+                                type="text"
+                                value={rowLabels[i]}
+                                onChange={(e) => updateLabel(rowLabels, setRowLabels, i, e.target.value)}
+                                className={`${cellInputClass} font-semibold`}
+                                aria-label={`Row ${i + 1} name`}
+                              />
+                            </th>
+                            {row.map((cell, j) => (
+                              <td key={j} className="p-1">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  value={cell}
+                                  onChange={(e) => updateCell(i, j, e.target.value)}
+                                  className={cellInputClass}
+                                  aria-label={`Observed count for ${rowLabels[i] || `row ${i + 1}`}, ${colLabels[j] || `column ${j + 1}`}`}
+                                />
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              <button
+                onClick={calculate}
+                className="mt-4 w-full bg-accent border-2 border-darkGrey text-darkGrey px-4 py-3 rounded-lg font-bold hover:bg-darkGrey hover:text-white transition-all"
+              >
+                Calculate Test
+              </button>
+              <p id="chi-error" className="text-red-500 text-sm mt-2" role="status">{error || ''}</p>
+            </div>
+          </div>
+
+          {/* Results and Visualization */}
+          <div className="space-y-4">
+            {result.testStatistic !== undefined && (
+              <>
+                {/* Visualization */}
+                <div className="bg-platinum p-4 rounded-lg">
+                  <h3 className="text-xl font-bold text-darkGrey mb-4">
+                    Chi-Square Distribution (df = {result.df})
+                  </h3>
+                  <div className="h-64">
+                    {chartData && <div role="img" className="h-full" aria-label={`Chi-square distribution with ${result.df} degrees of freedom, right-tail rejection region beyond ${result.criticalValue}, test statistic ${result.testStatistic}`}><Line ref={chartRef} data={chartData} options={chartOptions} /></div>}
+                  </div>
+                  <div className="mt-2 text-xs text-darkGrey">
+                    <div className="flex items-center space-x-4">
+                      <span className="flex items-center">
+                        <span className="inline-block w-3 h-3 mr-1" style={{backgroundColor: CHART_COLORS.testStatistic}}></span>
+                        χ²: {result.testStatistic}{chartData?.statOffChart ? ' (beyond the right edge)' : ''}
+                      </span>
+                      <span className="flex items-center">
+                        <span className="inline-block w-3 h-3 mr-1" style={{backgroundColor: CHART_COLORS.criticalValue}}></span>
+                        Critical Value: {result.criticalValue}
+                      </span>
+                    </div>
+                    <p className="mt-1">
+                      <span className="text-red-500">Red area:</span> Rejection region |
+                      <span className="text-darkTeal ml-2">Teal area:</span> Acceptance region
+                    </p>
+                  </div>
+                  <div className="mt-3 flex flex-col sm:flex-row gap-2">
+                    <button
+                      onClick={() => setShowChartModal(true)}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      🔍 View Larger Chart
+                    </button>
+                    <button
+                      onClick={copyResultsToClipboard}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      {copied ? '✓ Copied!' : '📋 Copy Results'}
+                    </button>
+                    <button
+                      onClick={downloadChartPNG}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      🖼️ Download PNG
+                    </button>
+                  </div>
+                </div>
+
+                {/* Decision Box */}
+                <div className={`p-4 rounded-lg border-2 ${result.reject ? 'bg-red-50 border-red-300' : 'bg-green-50 border-green-300'}`}>
+                  <h3 className="text-xl font-bold text-darkGrey mb-2">
+                    Statistical Decision
+                  </h3>
+                  <p className="text-lg font-semibold text-darkGrey">
+                    {result.reject ? '✓ Reject the null hypothesis' : '✗ Fail to reject the null hypothesis'}
+                  </p>
+                  <p className="text-sm text-darkGrey mt-2">
+                    <strong>In plain words:</strong> {conclusionText()}
+                  </p>
+                  <p className="text-sm text-darkGrey opacity-80 mt-1">
+                    The p-value of {result.pValue} indicates <strong>{evidenceStrength(result.pValueNum)}</strong> evidence against H₀.
+                  </p>
+                  {result.reject && result.calcMode === MODES.INDEPENDENCE && (
+                    <p className="text-sm text-darkGrey mt-2 italic">
+                      Note: An association is not causation — the test says the variables are related, not that one causes the other
+                    </p>
+                  )}
+                  {!result.reject && (
+                    <p className="text-sm text-darkGrey mt-2 italic">
+                      Note: Failing to reject H₀ is not proof that H₀ is true - the sample may simply be too small to detect a real difference
+                    </p>
+                  )}
+                </div>
+
+                {/* Test Results */}
+                <div className="bg-accent/20 border-2 border-accent p-4 rounded-lg">
+                  <h3 className="text-xl font-bold text-darkGrey mb-3">Test Results</h3>
+                  <div className="space-y-2 text-darkGrey">
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">χ² Statistic:</span>
+                      <span className="font-mono font-bold">{result.testStatistic}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">Degrees of Freedom:</span>
+                      <span className="font-mono font-bold">{result.df}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">Critical Value:</span>
+                      <span className="font-mono font-bold">{result.criticalValue}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium flex items-center">
+                        P-Value:
+                        <InfoIcon info="Probability of a χ² this large (or larger) if H₀ is true" />
+                      </span>
+                      <span className="font-mono font-bold">{result.pValue}</span>
+                    </div>
+                    {result.calcMode === MODES.INDEPENDENCE && (
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium flex items-center">
+                          Cramér's V:
+                          <InfoIcon info="Strength of association from 0 (none) to 1 (perfect), independent of sample size" />
+                        </span>
+                        <span className="font-mono font-bold">{result.cramersV.toFixed(4)} ({associationWords(result.cramersV)})</span>
+                      </div>
+                    )}
+                  </div>
+                </div>
+
+                {/* Expected counts and contributions */}
+                <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                  <h3 className="text-lg font-bold text-darkGrey mb-2">📋 Observed, Expected & Contributions</h3>
+                  {result.calcMode === MODES.GOODNESS ? (
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="border-b-2 border-darkGrey/20">
+                            <th scope="col" className="text-left p-1">Category</th>
+                            <th scope="col" className="text-right p-1">O</th>
+                            <th scope="col" className="text-right p-1">E</th>
+                            <th scope="col" className="text-right p-1">(O−E)²/E</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {result.cells.map((cell, index) => (
+                            <tr key={index} className="border-b border-darkGrey/10">
+                              <th scope="row" className="text-left p-1 font-medium">{cell.label}</th>
+                              <td className="text-right p-1 font-mono">{cell.observed}</td>
+                              <td className={`text-right p-1 font-mono ${cell.expected < 5 ? 'text-red-700 font-bold' : ''}`}>{cell.expected.toFixed(2)}</td>
+                              <td className="text-right p-1 font-mono">{cell.contribution.toFixed(4)}</td>
+                            </tr>
+                          ))}
+                          <tr className="font-bold">
+                            <th scope="row" className="text-left p-1">Total</th>
+                            <td className="text-right p-1 font-mono">{result.total}</td>
+                            <td className="text-right p-1 font-mono">{result.cells.reduce((sum, cell) => sum + cell.expected, 0).toFixed(2)}</td>
+                            <td className="text-right p-1 font-mono">χ² = {result.testStatistic}</td>
+                          </tr>
+                        </tbody>
+                      </table>
+                    </div>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <p className="text-xs text-darkGrey/70 mb-1">Each cell shows observed count, (expected count) and [contribution].</p>
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="border-b-2 border-darkGrey/20">
+                            <td className="p-1"></td>
+                            {result.colLabels.map((label, j) => (
+                              <th key={j} scope="col" className="text-center p-1">{label}</th>
+                            ))}
+                            <th scope="col" className="text-center p-1">Total</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {result.observed.map((row, i) => (
+                            <tr key={i} className="border-b border-darkGrey/10">
+                              <th scope="row" className="text-left p-1 font-medium">{result.rowLabels[i]}</th>
+                              {row.map((o, j) => (
+                                <td key={j} className="text-center p-1 font-mono">
+                                  <div>{o}</div>
+                                  <div className={`text-xs ${result.expected[i][j] < 5 ? 'text-red-700 font-bold' : 'text-darkGrey/70'}`}>({result.expected[i][j].toFixed(2)})</div>
+                                  <div className="text-xs text-darkTeal">[{result.contributions[i][j].toFixed(3)}]</div>
+                                </td>
+                              ))}
+                              <td className="text-center p-1 font-mono font-bold">{result.rowTotals[i]}</td>
+                            </tr>
+                          ))}
+                          <tr className="font-bold">
+                            <th scope="row" className="text-left p-1">Total</th>
+                            {result.colTotals.map((total, j) => (
+                              <td key={j} className="text-center p-1 font-mono">{total}</td>
+                            ))}
+                            <td className="text-center p-1 font-mono">{result.total}</td>
+                          </tr>
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                  <p className="text-xs text-darkGrey/70 mt-2">Expected counts below 5 are shown in red.</p>
+                </div>
+
+                {/* The math, step by step */}
+                {result.steps && (
+                  <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                    <h3 className="text-lg font-bold text-darkGrey mb-2">🧮 The Math, Step by Step</h3>
+                    <ol className="list-decimal list-inside space-y-2">
+                      <li>
+                        <strong>Expected counts</strong> — what H₀ predicts for each cell:
+                        <p className="font-mono ml-5">{result.steps.expectedFormula}</p>
+                      </li>
+                      <li>
+                        <strong>Contributions</strong> — how far each cell strays from its expectation:
+                        <p className="font-mono ml-5">(O − E)² / E for every cell</p>
+                      </li>
+                      <li>
+                        <strong>Test statistic</strong> — add up the contributions:
+                        <p className="font-mono ml-5">χ² = Σ (O − E)² / E = {result.testStatistic}</p>
+                      </li>
+                      <li>
+                        <strong>Degrees of freedom</strong>:
+                        <p className="font-mono ml-5">{result.steps.dfFormula}</p>
+                      </li>
+                      <li>
+                        <strong>Compare</strong> — χ² = {result.testStatistic} vs critical value {result.criticalValue} (right tail, α = {result.alphaNum}):
+                        the test statistic {result.reject ? 'falls in the rejection region → reject H₀' : 'stays outside the rejection region → fail to reject H₀'}.
+                      </li>
+                    </ol>
+                  </div>
+                )}
+
+                {/* Assumption checks */}
+                {result.assumptions && (
+                  <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                    <h3 className="text-lg font-bold text-darkGrey mb-2">✅ Conditions Check</h3>
+                    <ul className="space-y-1">
+                      {result.assumptions.map((assumption, index) => (
+                        <li key={index} className="flex items-start gap-2">
+                          <span aria-hidden="true">{assumption.pass === true ? '✓' : assumption.pass === false ? '⚠️' : 'ℹ️'}</span>
+                          <span className={assumption.pass === false ? 'text-red-700 font-medium' : ''}>{assumption.label}</span>
+                        </li>
+                      ))}
+                    </ul>
+                    {result.assumptions.some(a => a.pass === false) && (
+                      <p className="mt-2 text-red-700 text-xs font-medium">
+                        One or more conditions fail — the chi-square approximation may not be trustworthy. Consider combining small categories or collecting more data.
+                      </p>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Story-based example scenarios */}
+        <div className="mt-6 bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-2">Try a Real Scenario</h3>
+          <p className="text-xs text-darkGrey/70 mb-2">
+            Each scenario predicts its outcome — load one, press Calculate Test, and check the prediction against the decision and the chart.
+          </p>
+          <div className="grid md:grid-cols-3 gap-2">
+            {PRESET_SCENARIOS.map((preset, index) => (
+              <button
+                key={index}
+                onClick={() => applyPreset(preset)}
+                className="p-3 text-left bg-platinum hover:bg-darkTeal/20 rounded transition-colors text-sm text-darkGrey"
+                aria-label={`Load ${preset.name} scenario`}
+              >
+                <div className="font-medium">{preset.name}</div>
+                <div className="text-xs text-darkGrey/70 mt-1">{preset.description}</div>
+                <div className="text-xs text-darkTeal mt-1 italic">What to expect: {preset.expectedOutcome}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Enlarged chart modal */}
+        {showChartModal && chartData && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onKeyDown={handleChartModalKeyDown}>
+            <div ref={chartModalTrapRef} role="dialog" aria-modal="true" aria-labelledby="chi-chart-modal-title" className="bg-white rounded-lg shadow-xl p-6 w-11/12 max-w-5xl max-h-screen overflow-y-auto">
+              <div className="flex justify-between items-center mb-4">
+                <h3 id="chi-chart-modal-title" className="text-2xl font-bold text-darkGrey">
+                  Chi-Square Test — χ² distribution (df = {result.df})
+                </h3>
+                <button
+                  onClick={() => setShowChartModal(false)}
+                  className="text-darkGrey hover:text-red-500 text-2xl font-bold"
+                  aria-label="Close enlarged chart"
+                >
+                  ×
+                </button>
+              </div>
+
+              {/* How to read this chart */}
+              <div className="mb-4 p-4 bg-blue-50 rounded">
+                <h4 className="font-semibold text-darkGrey mb-2">
+                  📊 How to Read This Chart:
+                </h4>
+                <div className="grid md:grid-cols-2 gap-3 text-sm text-darkGrey">
+                  <div>
+                    <p>• <span className="font-semibold">The Curve:</span> Where χ² would land if H₀ were true — it starts at 0 and is skewed right, peaking near df − 2</p>
+                    <p>• <span className="font-semibold text-red-500">Red Region:</span> The rejection region — its area is exactly α = {result.alphaNum}</p>
+                    <p>• <span className="font-semibold text-darkTeal">Teal Region:</span> Mismatches small enough to blame on chance</p>
+                  </div>
+                  <div>
+                    <p>• <span className="font-semibold" style={{color: CHART_COLORS.testStatistic}}>Amber Triangle:</span> YOUR χ² ({result.testStatistic}) — the decision is just asking which region it landed in</p>
+                    <p>• <span className="font-semibold" style={{color: CHART_COLORS.criticalValue}}>Purple Line:</span> Critical value ({result.criticalValue}) — the boundary between the regions</p>
+                  </div>
+                </div>
+              </div>
+
+              {/* Enlarged chart */}
+              <div className="h-96 mb-4">
+                <div role="img" className="h-full" aria-label="Enlarged chi-square distribution curve">
+                  <Line data={chartData} options={chartOptions} />
+                </div>
+              </div>
+
+              {/* Key numbers strip */}
+              <div className="bg-gray-50 p-4 rounded">
+                <h4 className="font-semibold text-darkGrey mb-2">Key Numbers:</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                  <div className="text-center">
+                    <p className="text-gray-600">χ² Statistic</p>
+                    <p className="font-mono font-bold">{result.testStatistic}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">Critical Value</p>
+                    <p className="font-mono font-bold">{result.criticalValue}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">P-Value</p>
+                    <p className="font-mono font-bold">{result.pValue}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">Decision</p>
+                    <p className="font-bold">{result.reject ? 'Reject H₀' : 'Fail to reject H₀'}</p>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChiSquareCalculator;
@@ -0,0 +1,1016 @@
+/**
+ * ConfidenceIntervalCalculator.jsx
+ *
+ * Confidence intervals from summary statistics for a mean (z or t), a
+ * proportion (Wald, Wilson or Clopper-Pearson), a variance or standard
+ * deviation (chi-square), and the difference of two means or two proportions.
+ * A coverage simulation draws 100 samples from a population you choose and
+ * plots every interval, colouring the ones that miss the true parameter.
+ *
+ * Dependencies: jStat
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import InfoIcon from './InfoIcon';
+import IntervalPlotSVG from './IntervalPlotSVG';
+import useDocumentTitle from '../../hooks/useDocumentTitle';
+import { announcePolite } from '../../utils/announce';
+import {
+  CI_TYPES,
+  PROPORTION_METHODS,
+  zMeanInterval,
+  tMeanInterval,
+  proportionInterval,
+  varianceInterval,
+  differenceOfMeansInterval,
+  differenceOfProportionsInterval,
+  simulateIntervals
+} from '../../stats/confidenceIntervals';
+
+/**
+ * Configuration constants
+ */
+const CONFIDENCE_LEVELS = ['90', '95', '99'];
+const SIMULATION_COUNT = 100;
+const MAX_SIMULATION_N = 1000;
+
+const TYPE_LABELS = {
+  [CI_TYPES.MEAN_Z]: 'One mean, σ known (z)',
+  [CI_TYPES.MEAN_T]: 'One mean, σ unknown (t)',
+  [CI_TYPES.PROPORTION]: 'One proportion',
+  [CI_TYPES.VARIANCE]: 'Variance / standard deviation (χ²)',
+  [CI_TYPES.DIFF_MEANS]: 'Difference of two means (t)',
+  [CI_TYPES.DIFF_PROPORTIONS]: 'Difference of two proportions (z)'
+};
+
+const METHOD_LABELS = {
+  [PROPORTION_METHODS.WALD]: 'Wald',
+  [PROPORTION_METHODS.WILSON]: 'Wilson score',
+  [PROPORTION_METHODS.CLOPPER_PEARSON]: 'Clopper-Pearson (exact)'
+};
+
+// Symbol and plain-words name of the parameter each interval estimates
+const PARAMETERS = {
+  [CI_TYPES.MEAN_Z]: { symbol: 'μ', words: 'the population mean μ' },
+  [CI_TYPES.MEAN_T]: { symbol: 'μ', words: 'the population mean μ' },
+  [CI_TYPES.PROPORTION]: { symbol: 'p', words: 'the population proportion p' },
+  [CI_TYPES.VARIANCE]: { symbol: 'σ', words: 'the population standard deviation σ' },
+  [CI_TYPES.DIFF_MEANS]: { symbol: 'μ₁ − μ₂', words: 'the difference in population means μ₁ − μ₂' },
+  [CI_TYPES.DIFF_PROPORTIONS]: { symbol: 'p₁ − p₂', words: 'the difference in population proportions p₁ − p₂' }
+};
+
+const isProportionType = (type) => type === CI_TYPES.PROPORTION || type === CI_TYPES.DIFF_PROPORTIONS;
+
+// Default input values for better UX
+const DEFAULT_VALUES = {
+  [CI_TYPES.MEAN_Z]: { mean: 100, sigma: 15, n: 36 },
+  [CI_TYPES.MEAN_T]: { mean: 50, sd: 10, n: 16 },
+  [CI_TYPES.PROPORTION]: { x: 12, n: 40 },
+  [CI_TYPES.VARIANCE]: { sd: 5, n: 10 },
+  [CI_TYPES.DIFF_MEANS]: { mean1: 20, sd1: 4, n1: 15, mean2: 17, sd2: 5, n2: 20 },
+  [CI_TYPES.DIFF_PROPORTIONS]: { x1: 60, n1: 100, x2: 45, n2: 100 }
+};
+
+// Summary statistics shown for each interval type.
+// kind: 'any' (any number), 'positive' (> 0), 'count' (whole number ≥ 0), 'size' (whole number ≥ minimum)
+const PARAM_FIELDS = {
+  [CI_TYPES.MEAN_Z]: [
+    { name: 'mean', label: 'Sample Mean (x̄)', kind: 'any', info: 'The average of your sample' },
+    { name: 'sigma', label: 'Population SD (σ)', kind: 'positive', info: 'The known population standard deviation — rare outside textbooks; use the t interval if you only have s' },
+    { name: 'n', label: 'Sample Size (n)', kind: 'size', min: 1, info: 'Number of observations' }
+  ],
+  [CI_TYPES.MEAN_T]: [
+    { name: 'mean', label: 'Sample Mean (x̄)', kind: 'any', info: 'The average of your sample' },
+    { name: 'sd', label: 'Sample SD (s)', kind: 'positive', info: 'The standard deviation of your sample' },
+    { name: 'n', label: 'Sample Size (n)', kind: 'size', min: 2, info: 'Number of observations' }
+  ],
+  [CI_TYPES.PROPORTION]: [
+    { name: 'x', label: 'Successes (x)', kind: 'count', info: 'How many observations have the trait you are counting' },
+    { name: 'n', label: 'Sample Size (n)', kind: 'size', min: 1, info: 'Total number of observations' }
+  ],
+  [CI_TYPES.VARIANCE]: [
+    { name: 'sd', label: 'Sample SD (s)', kind: 'positive', info: 'The standard deviation of your sample (square it for the variance s²)' },
+    { name: 'n', label: 'Sample Size (n)', kind: 'size', min: 2, info: 'Number of observations' }
+  ],
+  [CI_TYPES.DIFF_MEANS]: [
+    { name: 'mean1', label: 'Group 1 Mean (x̄₁)', kind: 'any', info: 'Average of the first sample' },
+    { name: 'sd1', label: 'Group 1 SD (s₁)', kind: 'positive', info: 'Standard deviation of the first sample' },
+    { name: 'n1', label: 'Group 1 Size (n₁)', kind: 'size', min: 2, info: 'Number of observations in the first sample' },
+    { name: 'mean2', label: 'Group 2 Mean (x̄₂)', kind: 'any', info: 'Average of the second sample' },
+    { name: 'sd2', label: 'Group 2 SD (s₂)', kind: 'positive', info: 'Standard deviation of the second sample' },
+    { name: 'n2', label: 'Group 2 Size (n₂)', kind: 'size', min: 2, info: 'Number of observations in the second sample' }
+  ],
+  [CI_TYPES.DIFF_PROPORTIONS]: [
+    { name: 'x1', label: 'Group 1 Successes (x₁)', kind: 'count', info: 'Successes in the first sample' },
+    { name: 'n1', label: 'Group 1 Size (n₁)', kind: 'size', min: 1, info: 'Number of observations in the first sample' },
+    { name: 'x2', label: 'Group 2 Successes (x₂)', kind: 'count', info: 'Successes in the second sample' },
+    { name: 'n2', label: 'Group 2 Size (n₂)', kind: 'size', min: 1, info: 'Number of observations in the second sample' }
+  ]
+};
+
+// Known population the coverage simulation samples from.
+// kind: 'any', 'positive' or 'probability' (strictly between 0 and 1)
+const POPULATION_FIELDS = {
+  [CI_TYPES.MEAN_Z]: [
+    { name: 'mu', label: 'True Mean (μ)', kind: 'any' },
+    { name: 'sigma', label: 'True SD (σ)', kind: 'positive' }
+  ],
+  [CI_TYPES.MEAN_T]: [
+    { name: 'mu', label: 'True Mean (μ)', kind: 'any' },
+    { name: 'sigma', label: 'True SD (σ)', kind: 'positive' }
+  ],
+  [CI_TYPES.PROPORTION]: [
+    { name: 'p', label: 'True Proportion (p)', kind: 'probability' }
+  ],
+  [CI_TYPES.VARIANCE]: [
+    { name: 'mu', label: 'True Mean (μ)', kind: 'any' },
+    { name: 'sigma', label: 'True SD (σ)', kind: 'positive' }
+  ],
+  [CI_TYPES.DIFF_MEANS]: [
+    { name: 'mu1', label: 'Group 1 True Mean (μ₁)', kind: 'any' },
+    { name: 'sigma1', label: 'Group 1 True SD (σ₁)', kind: 'positive' },
+    { name: 'mu2', label: 'Group 2 True Mean (μ₂)', kind: 'any' },
+    { name: 'sigma2', label: 'Group 2 True SD (σ₂)', kind: 'positive' }
+  ],
+  [CI_TYPES.DIFF_PROPORTIONS]: [
+    { name: 'p1', label: 'Group 1 True Proportion (p₁)', kind: 'probability' },
+    { name: 'p2', label: 'Group 2 True Proportion (p₂)', kind: 'probability' }
+  ]
+};
+
+const DEFAULT_POPULATIONS = {
+  [CI_TYPES.MEAN_Z]: { mu: 100, sigma: 15, n: 36 },
+  [CI_TYPES.MEAN_T]: { mu: 50, sigma: 10, n: 16 },
+  [CI_TYPES.PROPORTION]: { p: 0.3, n: 40 },
+  [CI_TYPES.VARIANCE]: { mu: 0, sigma: 5, n: 10 },
+  [CI_TYPES.DIFF_MEANS]: { mu1: 20, sigma1: 4, mu2: 17, sigma2: 5, n: 20 },
+  [CI_TYPES.DIFF_PROPORTIONS]: { p1: 0.6, p2: 0.45, n: 100 }
+};
+
+/**
+ * Real-world examples with their expected intervals,
+ * so students can predict the outcome before pressing Calculate
+ */
+const EXAMPLES = [
+  {
+    name: 'Battery Life (σ known)',
+    type: CI_TYPES.MEAN_Z,
+    confidence: '95',
+    inputs: { mean: 8.2, sigma: 1.2, n: 50 },
+    description: '50 phones average 8.2 hours of battery life; the maker knows σ = 1.2 hours from years of testing.',
+    expectedOutcome: '7.87 to 8.53 hours — a margin of error of about 0.33 hours.'
+  },
+  {
+    name: 'Student Sleep Survey',
+    type: CI_TYPES.MEAN_T,
+    confidence: '95',
+    inputs: { mean: 6.6, sd: 1.4, n: 25 },
+    description: '25 students sleep 6.6 hours a night on average (s = 1.4). Try 99% afterwards and watch the interval widen.',
+    expectedOutcome: '6.02 to 7.18 hours (t* = 2.064 with 24 df). At 99% it grows to 5.82 to 7.38.'
+  },
+  {
+    name: 'Election Poll',
+    type: CI_TYPES.PROPORTION,
+    method: PROPORTION_METHODS.WILSON,
+    confidence: '95',
+    inputs: { x: 520, n: 1000 },
+    description: '520 of 1,000 likely voters back the challenger. Is the race decided?',
+    expectedOutcome: '0.489 to 0.551 by every method. 50% is inside the interval, so the race is too close to call.'
+  },
+  {
+    name: 'Rare Defects',
+    type: CI_TYPES.PROPORTION,
+    method: PROPORTION_METHODS.CLOPPER_PEARSON,
+    confidence: '95',
+    inputs: { x: 2, n: 150 },
+    description: 'Only 2 of 150 inspected parts are defective. Compare the three methods.',
+    expectedOutcome: 'Clopper-Pearson gives 0.0016 to 0.0473. The Wald interval dips below 0, which is impossible for a proportion.'
+  },
+  {
+    name: 'Machine Consistency',
+    type: CI_TYPES.VARIANCE,
+    confidence: '95',
+    inputs: { sd: 0.8, n: 20 },
+    description: '20 bolts from a machine have lengths with s = 0.8 mm. How variable is the machine really?',
+    expectedOutcome: 'σ is between 0.61 and 1.17 mm. The interval is not symmetric about s = 0.8.'
+  },
+  {
+    name: 'Two Teaching Methods',
+    type: CI_TYPES.DIFF_MEANS,
+    confidence: '95',
+    inputs: { mean1: 78, sd1: 10, n1: 30, mean2: 72, sd2: 12, n2: 35 },
+    description: 'A flipped class (n = 30) averages 78 on the final; a lecture class (n = 35) averages 72.',
+    expectedOutcome: '0.55 to 11.45 points. 0 is just outside the interval, so the flipped class appears to score higher.'
+  },
+  {
+    name: 'Website A/B Test',
+    type: CI_TYPES.DIFF_PROPORTIONS,
+    confidence: '95',
+    inputs: { x1: 120, n1: 400, x2: 90, n2: 400 },
+    description: 'A new sign-up page converts 120 of 400 visitors; the old one converts 90 of 400.',
+    expectedOutcome: 'The new page is better by 1.4 to 13.6 percentage points.'
+  }
+];
+
+// Parse a field value, returning null when it breaks the field's rule
+const parseField = (field, raw) => {
+  const value = Number(raw);
+  if (raw === '' || raw === undefined || !Number.isFinite(value)) return null;
+  switch (field.kind) {
+    case 'positive':
+      return value > 0 ? value : null;
+    case 'probability':
+      return value > 0 && value < 1 ? value : null;
+    case 'count':
+      return Number.isInteger(value) && value >= 0 ? value : null;
+    case 'size':
+      return Number.isInteger(value) && value >= field.min ? value : null;
+    default:
+      return value;
+  }
+};
+
+const FIELD_RULES = {
+  any: 'must be a number',
+  positive: 'must be greater than 0',
+  probability: 'must be between 0 and 1 (not 0 or 1)',
+  count: 'must be a whole number of at least 0'
+};
+
+/**
+ * Main ConfidenceIntervalCalculator component
+ * Builds one interval from summary statistics and simulates the coverage of the method
+ */
+const ConfidenceIntervalCalculator = () => {
+  useDocumentTitle('Confidence Interval Calculator');
+
+  // State management
+  const [ciType, setCiType] = useState(CI_TYPES.MEAN_T);
+  const [method, setMethod] = useState(PROPORTION_METHODS.WILSON);
+  const [pooled, setPooled] = useState(false);
+  const [confidenceText, setConfidenceText] = useState('95');
+  const [inputs, setInputs] = useState(DEFAULT_VALUES[CI_TYPES.MEAN_T]);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+  // Coverage simulation: latest 100 intervals plus a running tally for the same settings
+  const [population, setPopulation] = useState(DEFAULT_POPULATIONS[CI_TYPES.MEAN_T]);
+  const [simulation, setSimulation] = useState(null);
+  const [tally, setTally] = useState(null);
+  const [simError, setSimError] = useState("");
+
+  const decimals = isProportionType(ciType) ? 4 : 3;
+  const format = (v) => v.toFixed(decimals);
+  const formatConfidence = (confidence) => `${Number((confidence * 100).toFixed(4))}%`;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setInputs({ ...inputs, [name]: value });
+  };
+
+  const handlePopulationChange = (e) => {
+    const { name, value } = e.target;
+    setPopulation({ ...population, [name]: value });
+  };
+
+  const switchType = (newType) => {
+    setCiType(newType);
+    setInputs(DEFAULT_VALUES[newType]);
+    setPopulation(DEFAULT_POPULATIONS[newType]);
+    setResult(null);
+    setError("");
+    setSimulation(null);
+    setTally(null);
+    setSimError("");
+  };
+
+  const applyExample = (example) => {
+    switchType(example.type);
+    setInputs(example.inputs);
+    setConfidenceText(example.confidence);
+    if (example.method) setMethod(example.method);
+    announcePolite('Loaded example: ' + example.name + '. Press Calculate to build the interval.');
+  };
+
+  /**
+   * Confidence level as a fraction, or null when it is not between 0 and 100%
+   */
+  const readConfidence = () => {
+    const percent = Number(confidenceText);
+    if (confidenceText === '' || !Number.isFinite(percent) || percent <= 0 || percent >= 100) return null;
+    return percent / 100;
+  };
+
+  /**
+   * Build the interval for the current type from parsed values
+   */
+  const buildInterval = (values, confidence) => {
+    switch (ciType) {
+      case CI_TYPES.MEAN_Z:
+        return zMeanInterval(values.mean, values.sigma, values.n, confidence);
+      case CI_TYPES.MEAN_T:
+        return tMeanInterval(values.mean, values.sd, values.n, confidence);
+      case CI_TYPES.PROPORTION:
+        return proportionInterval(values.x, values.n, confidence, method);
+      case CI_TYPES.VARIANCE:
+        return varianceInterval(values.sd, values.n, confidence);
+      case CI_TYPES.DIFF_MEANS:
+        return differenceOfMeansInterval(
+          { mean: values.mean1, sd: values.sd1, n: values.n1 },
+          { mean: values.mean2, sd: values.sd2, n: values.n2 },
+          confidence,
+          pooled
+        );
+      case CI_TYPES.DIFF_PROPORTIONS:
+        return differenceOfProportionsInterval(values.x1, values.n1, values.x2, values.n2, confidence);
+      default:
+        throw new Error(`Unknown interval type: ${ciType}`);
+    }
+  };
+
+  /**
+   * Conditions behind the interval: true = met, false = not met, null = a reminder
+   */
+  const buildAssumptions = (values) => {
+    const assumptions = [{
+      label: 'Data come from a random sample (or randomized experiment) and the observations are independent',
+      pass: null
+    }];
+    switch (ciType) {
+      case CI_TYPES.MEAN_Z:
+      case CI_TYPES.MEAN_T:
+        assumptions.push({
+          label: values.n >= 30
+            ? `n = ${values.n} ≥ 30, so the Central Limit Theorem makes x̄ close to normal`
+            : `n = ${values.n} < 30 — the population should be roughly normal (check the data for skew and outliers)`,
+          pass: values.n >= 30 ? true : null
+        });
+        if (ciType === CI_TYPES.MEAN_Z) {
+          assumptions.push({ label: 'σ must really be known; with only the sample SD s, use the t interval', pass: null });
+        }
+        break;
+      case CI_TYPES.PROPORTION: {
+        const failures = values.n - values.x;
+        const enough = values.x >= 10 && failures >= 10;
+        if (method === PROPORTION_METHODS.WALD) {
+          assumptions.push({
+            label: `Successes (${values.x}) and failures (${failures}) should both be at least 10 for the Wald interval`,
+            pass: enough
+          });
+        } else {
+          assumptions.push({
+            label: `${METHOD_LABELS[method]} does not need 10 successes and failures (here ${values.x} and ${failures}), so it suits small samples`,
+            pass: true
+          });
+        }
+        break;
+      }
+      case CI_TYPES.VARIANCE:
+        assumptions.push({
+          label: 'The population must be normal — unlike intervals for a mean, this one does not improve with a large n when the data are skewed',
+          pass: null
+        });
+        break;
+      case CI_TYPES.DIFF_MEANS: {
+        const large = values.n1 >= 30 && values.n2 >= 30;
+        assumptions.push({
+          label: large
+            ? `Both groups have at least 30 observations (n₁ = ${values.n1}, n₂ = ${values.n2})`
+            : `n₁ = ${values.n1}, n₂ = ${values.n2} — with fewer than 30 in a group, both populations should be roughly normal`,
+          pass: large ? true : null
+        });
+        assumptions.push({ label: 'The two samples are independent of each other (for paired data, use a one-mean interval on the differences)', pass: null });
+        if (pooled) {
+          const ratio = Math.max(values.sd1, values.sd2) / Math.min(values.sd1, values.sd2);
+          assumptions.push({
+            label: `Pooling assumes equal population SDs: the larger sample SD is ${ratio.toFixed(2)} times the smaller (should be under 2)`,
+            pass: ratio < 2
+          });
+        }
+        break;
+      }
+      case CI_TYPES.DIFF_PROPORTIONS: {
+        const counts = [values.x1, values.n1 - values.x1, values.x2, values.n2 - values.x2];
+        assumptions.push({
+          label: `Successes and failures in each group should be at least 10 (here ${counts.join(', ')})`,
+          pass: Math.min(...counts) >= 10
+        });
+        assumptions.push({ label: 'The two samples are independent of each other', pass: null });
+        break;
+      }
+      default:
+        break;
+    }
+    return assumptions;
+  };
+
+  const calculate = () => {
+    setError("");
+    const confidence = readConfidence();
+    if (confidence === null) {
+      setResult(null);
+      setError("Confidence level must be a percentage between 0 and 100.");
+      return;
+    }
+
+    const values = {};
+    for (const field of PARAM_FIELDS[ciType]) {
+      const value = parseField(field, inputs[field.name]);
+      if (value === null) {
+        setResult(null);
+        setError(`${field.label} ${field.kind === 'size' ? `must be a whole number of at least ${field.min}` : FIELD_RULES[field.kind]}.`);
+        return;
+      }
+      values[field.name] = value;
+    }
+    const tooMany = [['x', 'n'], ['x1', 'n1'], ['x2', 'n2']].find(([x, n]) => values[x] !== undefined && values[x] > values[n]);
+    if (tooMany) {
+      setResult(null);
+      setError("Successes cannot be more than the sample size.");
+      return;
+    }
+
+    const interval = buildInterval(values, confidence);
+    // The variance interval carries both scales; σ is the headline
+    const headline = ciType === CI_TYPES.VARIANCE ? interval.sd : interval;
+    const comparison = ciType === CI_TYPES.PROPORTION
+      ? Object.values(PROPORTION_METHODS).map(m => ({ method: m, ...proportionInterval(values.x, values.n, confidence, m) }))
+      : null;
+
+    setResult({
+      type: ciType,
+      method,
+      pooled,
+      confidence,
+      values,
+      interval,
+      headline,
+      comparison,
+      assumptions: buildAssumptions(values)
+    });
+    announcePolite(
+      `${formatConfidence(confidence)} confidence interval for ${PARAMETERS[ciType].symbol}: ${format(headline.lower)} to ${format(headline.upper)}.`
+    );
+  };
+
+  /**
+   * Plain-English reading of the interval
+   */
+  const interpretation = () => {
+    const { lower, upper } = result.headline;
+    let text = `We are ${formatConfidence(result.confidence)} confident that ${PARAMETERS[result.type].words} is between ${format(lower)} and ${format(upper)}.`;
+    if (result.type === CI_TYPES.DIFF_MEANS || result.type === CI_TYPES.DIFF_PROPORTIONS) {
+      const what = result.type === CI_TYPES.DIFF_MEANS ? 'mean' : 'proportion';
+      if (lower <= 0 && upper >= 0) {
+        text += ' Because 0 is inside the interval, the data are consistent with no difference between the groups.';
+      } else {
+        text += ` Because 0 is outside the interval, group 1's ${what} appears to be ${lower > 0 ? 'higher' : 'lower'} than group 2's.`;
+      }
+    }
+    return text;
+  };
+
+  /**
+   * Step-by-step formula lines for the completed calculation
+   */
+  const mathSteps = () => {
+    const { values, interval } = result;
+    const critical = interval.critical?.toFixed(4);
+    switch (result.type) {
+      case CI_TYPES.MEAN_Z:
+        return [
+          ['Standard error', `SE = σ / √n = ${values.sigma} / √${values.n} = ${interval.standardError.toFixed(5)}`],
+          ['Critical value', `z* = ${critical}`],
+          ['Margin of error', `ME = z* × SE = ${critical} × ${interval.standardError.toFixed(5)} = ${format(interval.margin)}`],
+          ['Interval', `x̄ ± ME = ${values.mean} ± ${format(interval.margin)} → (${format(interval.lower)}, ${format(interval.upper)})`]
+        ];
+      case CI_TYPES.MEAN_T:
+        return [
+          ['Standard error', `SE = s / √n = ${values.sd} / √${values.n} = ${interval.standardError.toFixed(5)}`],
+          ['Critical value', `t* = ${critical} with df = n − 1 = ${interval.df}`],
+          ['Margin of error', `ME = t* × SE = ${critical} × ${interval.standardError.toFixed(5)} = ${format(interval.margin)}`],
+          ['Interval', `x̄ ± ME = ${values.mean} ± ${format(interval.margin)} → (${format(interval.lower)}, ${format(interval.upper)})`]
+        ];
+      case CI_TYPES.PROPORTION: {
+        const steps = [['Sample proportion', `p̂ = x / n = ${values.x} / ${values.n} = ${format(interval.estimate)}`]];
+        if (result.method === PROPORTION_METHODS.WALD) {
+          steps.push(
+            ['Standard error', `SE = √(p̂(1 − p̂) / n) = ${interval.standardError.toFixed(5)}`],
+            ['Margin of error', `ME = z* × SE = ${critical} × ${interval.standardError.toFixed(5)} = ${format(interval.margin)}`]
+          );
+        } else if (result.method === PROPORTION_METHODS.WILSON) {
+          steps.push(
+            ['Center', `(p̂ + z*²/2n) / (1 + z*²/n) = ${format(interval.center)} (z* = ${critical})`],
+            ['Half-width', `z* / (1 + z*²/n) × √(p̂(1 − p̂)/n + z*²/4n²) = ${format(interval.margin)}`]
+          );
+        } else {
+          steps.push(
+            ['Lower bound', values.x === 0 ? 'x = 0, so the lower bound is 0' : `Beta(α/2; x, n − x + 1) quantile = ${format(interval.lower)}`],
+            ['Upper bound', values.x === values.n ? 'x = n, so the upper bound is 1' : `Beta(1 − α/2; x + 1, n − x) quantile = ${format(interval.upper)}`]
+          );
+        }
+        steps.push(['Interval', `(${format(interval.lower)}, ${format(interval.upper)})`]);
+        return steps;
+      }
+      case CI_TYPES.VARIANCE:
+        return [
+          ['Sample variance', `s² = ${values.sd}² = ${format(interval.variance.estimate)}, df = n − 1 = ${interval.df}`],
+          ['Chi-square values', `χ²(α/2) = ${interval.chiLower.toFixed(4)}, χ²(1 − α/2) = ${interval.chiUpper.toFixed(4)}`],
+          ['Variance interval', `((n − 1)s² / ${interval.chiUpper.toFixed(4)}, (n − 1)s² / ${interval.chiLower.toFixed(4)}) → (${format(interval.variance.lower)}, ${format(interval.variance.upper)})`],
+          ['SD interval', `Square roots of both ends → (${format(interval.sd.lower)}, ${format(interval.sd.upper)})`]
+        ];
+      case CI_TYPES.DIFF_MEANS:
+        return [
+          ['Difference', `x̄₁ − x̄₂ = ${values.mean1} − ${values.mean2} = ${format(interval.estimate)}`],
+          result.pooled
+            ? ['Standard error', `sp = ${interval.pooledSd.toFixed(5)}, SE = sp √(1/n₁ + 1/n₂) = ${interval.standardError.toFixed(5)}`]
+            : ['Standard error', `SE = √(s₁²/n₁ + s₂²/n₂) = ${interval.standardError.toFixed(5)}`],
+          ['Critical value', `t* = ${critical} with df = ${result.pooled ? `n₁ + n₂ − 2 = ${interval.df}` : `${interval.df.toFixed(2)} (Welch)`}`],
+          ['Margin of error', `ME = t* × SE = ${format(interval.margin)}`],
+          ['Interval', `(${format(interval.lower)}, ${format(interval.upper)})`]
+        ];
+      case CI_TYPES.DIFF_PROPORTIONS:
+        return [
+          ['Sample proportions', `p̂₁ = ${format(interval.p1)}, p̂₂ = ${format(interval.p2)}, difference = ${format(interval.estimate)}`],
+          ['Standard error', `SE = √(p̂₁(1 − p̂₁)/n₁ + p̂₂(1 − p̂₂)/n₂) = ${interval.standardError.toFixed(5)}`],
+          ['Margin of error', `ME = z* × SE = ${critical} × ${interval.standardError.toFixed(5)} = ${format(interval.margin)}`],
+          ['Interval', `(${format(interval.lower)}, ${format(interval.upper)})`]
+        ];
+      default:
+        return [];
+    }
+  };
+
+  /**
+   * Draw 100 samples from the chosen population and build an interval from each
+   */
+  const runSimulation = () => {
+    setSimError("");
+    const confidence = readConfidence();
+    if (confidence === null) {
+      setSimError("Confidence level must be a percentage between 0 and 100.");
+      return;
+    }
+    const values = {};
+    for (const field of POPULATION_FIELDS[ciType]) {
+      const value = parseField(field, population[field.name]);
+      if (value === null) {
+        setSimError(`${field.label} ${FIELD_RULES[field.kind]}.`);
+        return;
+      }
+      values[field.name] = value;
+    }
+    const minN = isProportionType(ciType) || ciType === CI_TYPES.MEAN_Z ? 1 : 2;
+    const n = parseField({ kind: 'size', min: minN }, population.n);
+    if (n === null || n > MAX_SIMULATION_N) {
+      setSimError(`Sample size must be a whole number from ${minN} to ${MAX_SIMULATION_N}.`);
+      return;
+    }
+
+    const run = simulateIntervals(ciType, values, n, confidence, SIMULATION_COUNT, { method, pooled });
+    const key = JSON.stringify({ ciType, values, n, confidence, method, pooled });
+    const previous = tally && tally.key === key ? tally : { key, intervals: 0, captured: 0 };
+    setSimulation({ ...run, n, confidence });
+    setTally({ key, intervals: previous.intervals + SIMULATION_COUNT, captured: previous.captured + run.captured });
+    announcePolite(`${run.captured} of ${SIMULATION_COUNT} intervals captured the true ${PARAMETERS[ciType].symbol}; ${SIMULATION_COUNT - run.captured} missed.`);
+  };
+
+  /**
+   * Copy the interval summary as tab-separated text
+   */
+  const copyResultsToClipboard = async () => {
+    const rows = [
+      ['Confidence Interval', TYPE_LABELS[result.type]],
+      ...(result.type === CI_TYPES.PROPORTION ? [['Method', METHOD_LABELS[result.method]]] : []),
+      ...(result.type === CI_TYPES.DIFF_MEANS ? [['Variances', result.pooled ? 'Pooled' : 'Welch (unpooled)']] : []),
+      ['Confidence level', formatConfidence(result.confidence)],
+      ...PARAM_FIELDS[result.type].map(field => [field.label, String(result.values[field.name])]),
+      ...(result.type === CI_TYPES.VARIANCE
+        ? [
+          ['Variance interval', `(${format(result.interval.variance.lower)}, ${format(result.interval.variance.upper)})`],
+          ['SD interval', `(${format(result.interval.sd.lower)}, ${format(result.interval.sd.upper)})`]
+        ]
+        : [
+          ['Estimate', format(result.interval.estimate)],
+          ['Margin of error', format(result.interval.margin)],
+          ['Interval', `(${format(result.interval.lower)}, ${format(result.interval.upper)})`]
+        ]),
+      ['Interpretation', interpretation()]
+    ];
+    const text = rows.map(row => row.join('\t')).join('\n');
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      announcePolite('Results copied to clipboard.');
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      announcePolite('Could not access the clipboard.');
+    }
+  };
+
+  const inputClass = "w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none";
+  const toggleClass = (active) => `px-3 py-2 rounded-lg text-sm font-medium border-2 transition-colors ${
+    active ? 'bg-darkTeal text-white border-darkTeal' : 'bg-white text-darkGrey border-darkGrey/20 hover:border-darkTeal'
+  }`;
+  const parameter = PARAMETERS[ciType];
+  const simulationMissed = simulation ? SIMULATION_COUNT - simulation.captured : 0;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-6xl mx-auto bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-3xl font-bold text-darkGrey mb-2">
+          Confidence Interval Calculator
+        </h2>
+        <p className="text-darkGrey opacity-80 mb-4">Estimate a population value with a margin of error — and see what "95% confident" really means.</p>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          {/* Input Controls */}
+          <div className="space-y-4">
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4 flex items-center">
+                📏 What Are You Estimating?
+                <InfoIcon info="Pick the parameter: a mean, a proportion, a spread, or the difference between two groups" />
+              </h3>
+              <div className="space-y-3">
+                <div>
+                  <label htmlFor="ci-type" className="block text-darkGrey font-medium mb-2">Interval Type</label>
+                  <select id="ci-type" value={ciType} onChange={(e) => switchType(e.target.value)} className={inputClass}>
+                    {Object.values(CI_TYPES).map(type => (
+                      <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {ciType === CI_TYPES.PROPORTION && (
+                  <fieldset>
+                    <legend className="flex items-center text-darkGrey font-medium mb-2">
+                      Method
+                      <InfoIcon info="Wald is the textbook formula; Wilson and Clopper-Pearson behave better for small samples or proportions near 0 or 1" />
+                    </legend>
+                    <div className="flex flex-wrap gap-2">
+                      {Object.values(PROPORTION_METHODS).map(m => (
+                        <button key={m} type="button" onClick={() => setMethod(m)} aria-pressed={method === m} className={toggleClass(method === m)}>
+                          {METHOD_LABELS[m]}
+                        </button>
+                      ))}
+                    </div>
+                  </fieldset>
+                )}
+
+                {ciType === CI_TYPES.DIFF_MEANS && (
+                  <label className="flex items-center text-darkGrey">
+                    <input type="checkbox" checked={pooled} onChange={(e) => setPooled(e.target.checked)} className="mr-2" />
+                    Assume equal population SDs (pooled t)
+                    <InfoIcon info="Leave unchecked for the Welch interval, which does not need equal SDs and is the safer default" />
+                  </label>
+                )}
+
+                <fieldset>
+                  <legend className="block text-darkGrey font-medium mb-2">Confidence Level</legend>
+                  <div className="flex flex-wrap items-center gap-2">
+                    {CONFIDENCE_LEVELS.map(level => (
+                      <button key={level} type="button" onClick={() => setConfidenceText(level)} aria-pressed={confidenceText === level} className={toggleClass(confidenceText === level)}>
+                        {level}%
+                      </button>
+                    ))}
+                    <label htmlFor="ci-confidence" className="sr-only">Custom confidence level (percent)</label>
+                    <input
+                      id="ci-confidence"
+                      type="number"
+                      step="any"
+                      value={confidenceText}
+                      onChange={(e) => setConfidenceText(e.target.value)}
+                      className="w-24 p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                    />
+                    <span className="text-darkGrey">%</span>
+                  </div>
+                </fieldset>
+              </div>
+            </div>
+
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4">Sample Statistics</h3>
+              <div className={`grid gap-3 ${PARAM_FIELDS[ciType].length > 3 ? 'sm:grid-cols-2' : ''}`}>
+                {PARAM_FIELDS[ciType].map((field, index) => (
+                  <div key={field.name}>
+                    <label htmlFor={`ci-${field.name}`} className="flex items-center text-darkGrey font-medium mb-1">
+                      {field.label}
+                      <InfoIcon info={field.info} />
+                    </label>
+                    <input
+                      id={`ci-${field.name}`}
+                      type="number"
+                      step="any"
+                      name={field.name}
+                      value={inputs[field.name] ?? ""}
+                      onChange={handleChange}
+                      className={inputClass}
+                      {...(index === 0 ? { 'aria-invalid': !!error, 'aria-describedby': 'ci-error' } : {})}
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <button
+                onClick={calculate}
+                className="mt-4 w-full bg-accent border-2 border-darkGrey text-darkGrey px-4 py-3 rounded-lg font-bold hover:bg-darkGrey hover:text-white transition-all"
+              >
+                Calculate Interval
+              </button>
+              <p id="ci-error" className="text-red-500 text-sm mt-2" role="status">{error || ''}</p>
+            </div>
+          </div>
+
+          {/* Results */}
+          <div className="space-y-4">
+            {result ? (
+              <>
+                <div className="bg-accent/20 border-2 border-accent p-4 rounded-lg">
+                  <h3 className="text-xl font-bold text-darkGrey mb-2">
+                    {formatConfidence(result.confidence)} Confidence Interval for {PARAMETERS[result.type].symbol}
+                  </h3>
+                  <p className="text-3xl font-bold text-darkGrey font-mono">
+                    ({format(result.headline.lower)}, {format(result.headline.upper)})
+                  </p>
+                  <div className="mt-3 space-y-2 text-darkGrey text-sm">
+                    {result.type === CI_TYPES.VARIANCE ? (
+                      <>
+                        <div className="flex justify-between items-center">
+                          <span className="font-medium">Sample SD (s):</span>
+                          <span className="font-mono font-bold">{format(result.interval.sd.estimate)}</span>
+                        </div>
+                        <div className="flex justify-between items-center">
+                          <span className="font-medium">Sample Variance (s²):</span>
+                          <span className="font-mono font-bold">{format(result.interval.variance.estimate)}</span>
+                        </div>
+                        <div className="flex justify-between items-center">
+                          <span className="font-medium">Interval for σ²:</span>
+                          <span className="font-mono font-bold">({format(result.interval.variance.lower)}, {format(result.interval.variance.upper)})</span>
+                        </div>
+                        <div className="flex justify-between items-center">
+                          <span className="font-medium flex items-center">
+                            Degrees of Freedom:
+                            <InfoIcon info="The chi-square distribution with n − 1 degrees of freedom describes (n − 1)s²/σ² for normal data" />
+                          </span>
+                          <span className="font-mono font-bold">{result.interval.df}</span>
+                        </div>
+                      </>
+                    ) : (
+                      <>
+                        <div className="flex justify-between items-center">
+                          <span className="font-medium">Point Estimate:</span>
+                          <span className="font-mono font-bold">{format(result.interval.estimate)}</span>
+                        </div>
+                        {(result.type !== CI_TYPES.PROPORTION || result.method === PROPORTION_METHODS.WALD) && (
+                          <div className="flex justify-between items-center">
+                            <span className="font-medium">Standard Error:</span>
+                            <span className="font-mono font-bold">{result.interval.standardError.toFixed(5)}</span>
+                          </div>
+                        )}
+                        <div className="flex justify-between items-center">
+                          <span className="font-medium flex items-center">
+                            Critical Value:
+                            <InfoIcon info="How many standard errors to go out on each side so the middle of the sampling distribution holds the chosen confidence" />
+                          </span>
+                          <span className="font-mono font-bold">
+                            {result.type === CI_TYPES.MEAN_T || result.type === CI_TYPES.DIFF_MEANS
+                              ? `t* = ${result.interval.critical.toFixed(4)} (df = ${Number(result.interval.df.toFixed(2))})`
+                              : `z* = ${result.interval.critical.toFixed(4)}`}
+                          </span>
+                        </div>
+                        <div className="flex justify-between items-center">
+                          <span className="font-medium">
+                            {result.type === CI_TYPES.PROPORTION && result.method !== PROPORTION_METHODS.WALD ? 'Half-Width:' : 'Margin of Error:'}
+                          </span>
+                          <span className="font-mono font-bold">{format(result.interval.margin)}</span>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                  <p className="text-sm text-darkGrey mt-3">
+                    <strong>In plain words:</strong> {interpretation()}
+                  </p>
+                  <p className="text-xs text-darkGrey/70 mt-2">
+                    The confidence level describes the method, not this one interval: about {formatConfidence(result.confidence)} of intervals built this way capture the true value. Run the simulation below to watch it happen.
+                  </p>
+                  {result.type === CI_TYPES.PROPORTION && (result.headline.lower < 0 || result.headline.upper > 1) && (
+                    <div className="mt-3 p-3 bg-amber-50 border border-amber-400 rounded-lg text-sm text-darkGrey">
+                      <span aria-hidden="true">⚠️ </span>
+                      The Wald interval runs past {result.headline.lower < 0 ? '0' : '1'}, which no proportion can. Use the Wilson or Clopper-Pearson method instead.
+                    </div>
+                  )}
+                  <button
+                    onClick={copyResultsToClipboard}
+                    className="mt-3 w-full bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                  >
+                    {copied ? '✓ Copied!' : '📋 Copy Results'}
+                  </button>
+                </div>
+
+                {/* Method comparison for one proportion */}
+                {result.comparison && (
+                  <div className="bg-platinum p-4 rounded-lg">
+                    <h3 className="text-xl font-bold text-darkGrey mb-2 flex items-center">
+                      ⚖️ Compare the Methods
+                      <InfoIcon info="All three use the same data; they differ in how they turn p̂ and n into an interval" />
+                    </h3>
+                    <table className="w-full text-sm text-darkGrey">
+                      <thead>
+                        <tr className="border-b-2 border-darkGrey/20">
+                          <th scope="col" className="p-2 text-left">Method</th>
+                          <th scope="col" className="p-2 text-right">Lower</th>
+                          <th scope="col" className="p-2 text-right">Upper</th>
+                          <th scope="col" className="p-2 text-right">Width</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.comparison.map(row => (
+                          <tr key={row.method} className={`border-b border-darkGrey/10 ${row.method === result.method ? 'bg-accent/20 font-bold' : ''}`}>
+                            <th scope="row" className="p-2 text-left font-medium">{METHOD_LABELS[row.method]}</th>
+                            <td className="p-2 text-right font-mono">{format(row.lower)}</td>
+                            <td className="p-2 text-right font-mono">{format(row.upper)}</td>
+                            <td className="p-2 text-right font-mono">{format(row.upper - row.lower)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <p className="text-xs text-darkGrey/70 mt-2">
+                      With large samples and p̂ away from 0 and 1 the three agree. Wald is centred on p̂; Wilson and Clopper-Pearson lean toward ½ and stay inside [0, 1].
+                    </p>
+                  </div>
+                )}
+
+                {/* The math, step by step */}
+                <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                  <h3 className="text-lg font-bold text-darkGrey mb-2">🧮 The Math, Step by Step</h3>
+                  <ol className="list-decimal list-inside space-y-2">
+                    {mathSteps().map(([label, formula]) => (
+                      <li key={label}>
+                        <strong>{label}</strong>
+                        <p className="font-mono ml-5">{formula}</p>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+
+                {/* Conditions check */}
+                <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                  <h3 className="text-lg font-bold text-darkGrey mb-2">✅ Conditions Check</h3>
+                  <ul className="space-y-1">
+                    {result.assumptions.map((assumption, index) => (
+                      <li key={index} className="flex items-start gap-2">
+                        <span aria-hidden="true">{assumption.pass === true ? '✓' : assumption.pass === false ? '⚠️' : 'ℹ️'}</span>
+                        <span className={assumption.pass === false ? 'text-red-700 font-medium' : ''}>{assumption.label}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </>
+            ) : (
+              <div className="p-4 bg-blue-50 rounded-lg text-darkGrey text-sm">
+                Enter your sample statistics and press <strong>Calculate Interval</strong>, or load one of the examples below.
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Coverage simulation */}
+        <div className="mt-6 bg-platinum p-4 rounded-lg">
+          <h3 className="text-xl font-bold text-darkGrey mb-2 flex items-center">
+            🎯 Simulate {SIMULATION_COUNT} Intervals
+            <InfoIcon info="Pretend you know the population, take many samples, and build an interval from each. The share that capture the truth is the method's real coverage." />
+          </h3>
+          <p className="text-sm text-darkGrey mb-3">
+            Choose a population, then draw {SIMULATION_COUNT} samples and build an interval for {parameter.symbol} from each
+            {ciType === CI_TYPES.PROPORTION ? ` by the ${METHOD_LABELS[method]} method` : ''}, at the confidence level above.
+            {(ciType === CI_TYPES.MEAN_Z || ciType === CI_TYPES.MEAN_T || ciType === CI_TYPES.VARIANCE || ciType === CI_TYPES.DIFF_MEANS) && ' Samples come from a normal population.'}
+          </p>
+          <div className="grid sm:grid-cols-2 md:grid-cols-5 gap-3 items-end">
+            {POPULATION_FIELDS[ciType].map(field => (
+              <div key={field.name}>
+                <label htmlFor={`ci-sim-${field.name}`} className="block text-darkGrey text-sm font-medium mb-1">{field.label}</label>
+                <input
+                  id={`ci-sim-${field.name}`}
+                  type="number"
+                  step="any"
+                  name={field.name}
+                  value={population[field.name] ?? ""}
+                  onChange={handlePopulationChange}
+                  className={inputClass}
+                />
+              </div>
+            ))}
+            <div>
+              <label htmlFor="ci-sim-n" className="block text-darkGrey text-sm font-medium mb-1">
+                Sample Size{isProportionType(ciType) || ciType === CI_TYPES.DIFF_MEANS ? ' per Group' : ''} (n)
+              </label>
+              <input id="ci-sim-n" type="number" name="n" value={population.n ?? ""} onChange={handlePopulationChange} className={inputClass} />
+            </div>
+            <button
+              onClick={runSimulation}
+              className="bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+            >
+              {simulation ? '🔁 Simulate Again' : '🎯 Simulate'}
+            </button>
+          </div>
+          <p className="text-red-500 text-sm mt-2" role="status">{simError || ''}</p>
+
+          {simulation && (
+            <div className="mt-2 grid md:grid-cols-3 gap-4">
+              <div className="md:col-span-2 bg-white p-3 rounded-lg">
+                <IntervalPlotSVG
+                  intervals={simulation.intervals}
+                  parameter={simulation.parameter}
+                  parameterLabel={parameter.symbol}
+                  decimals={decimals}
+                />
+                <p className="mt-2 text-xs text-darkGrey text-center">
+                  <span className="text-darkTeal font-semibold">Teal:</span> captures {parameter.symbol} |
+                  <span className="ml-2 text-red-600 font-semibold">Red:</span> misses {parameter.symbol} |
+                  <span className="ml-2 text-accentDark font-semibold">Dashed line:</span> the true value
+                </p>
+              </div>
+              <div className="space-y-3 text-sm text-darkGrey">
+                <div className="p-3 bg-accent/20 border-2 border-accent rounded-lg">
+                  <p className="text-2xl font-bold font-mono">{simulation.captured} / {SIMULATION_COUNT}</p>
+                  <p>
+                    intervals captured the true {parameter.symbol}; {simulationMissed} missed. The method promises about{' '}
+                    {formatConfidence(simulation.confidence)}.
+                  </p>
+                </div>
+                {tally && tally.intervals > SIMULATION_COUNT && (
+                  <div className="p-3 bg-blue-50 rounded-lg">
+                    <p><strong>All runs with these settings:</strong> {tally.captured.toLocaleString()} of {tally.intervals.toLocaleString()} captured ({((tally.captured / tally.intervals) * 100).toFixed(1)}%).</p>
+                  </div>
+                )}
+                <p className="text-xs opacity-70">
+                  Every interval comes from a different random sample, so each run looks different. Over many runs the capture rate settles near the confidence level
+                  {ciType === CI_TYPES.PROPORTION && method === PROPORTION_METHODS.WALD ? ' — except for the Wald method, which falls short when n is small or p is near 0 or 1' : ''}.
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Real-world examples */}
+        <div className="mt-6 bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-2">💡 Real-World Examples</h3>
+          <p className="text-xs text-darkGrey/70 mb-2">
+            Each example predicts its interval — load one, press Calculate Interval, and check the prediction.
+          </p>
+          <div className="grid md:grid-cols-2 gap-2">
+            {EXAMPLES.map((example, index) => (
+              <button
+                key={index}
+                onClick={() => applyExample(example)}
+                className="p-3 text-left bg-platinum hover:bg-darkTeal/20 rounded transition-colors text-sm text-darkGrey"
+                aria-label={`Load ${example.name} example`}
+              >
+                <div className="font-medium">{example.name}</div>
+                <div className="text-xs text-darkGrey/70 mt-1">{example.description}</div>
+                <div className="text-xs text-darkTeal mt-1 italic">What to expect: {example.expectedOutcome}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Educational section */}
+        <div className="mt-6 p-4 bg-gradient-to-r from-blue-50 to-turquoise/10 rounded-lg">
+          <h3 className="text-lg font-semibold text-darkGrey mb-2">📚 Understanding Confidence Intervals</h3>
+          <p className="text-darkGrey text-sm mb-3">
+            A confidence interval is <strong>estimate ± margin of error</strong>: a range of plausible values for a population
+            parameter. The margin of error is a critical value (how confident you want to be) times a standard error (how much
+            the estimate varies from sample to sample).
+          </p>
+          <div className="grid md:grid-cols-2 gap-4 text-sm text-darkGrey">
+            <div>
+              <h4 className="font-semibold mb-1">📉 Narrower Intervals Come From:</h4>
+              <ul className="list-disc list-inside space-y-1">
+                <li>A <strong>larger sample</strong> — quadrupling n halves the margin of error</li>
+                <li>A <strong>lower confidence level</strong> — 90% is narrower than 99%</li>
+                <li><strong>Less spread</strong> in the population</li>
+              </ul>
+            </div>
+            <div>
+              <h4 className="font-semibold mb-1">🚫 Common Misreadings:</h4>
+              <ul className="list-disc list-inside space-y-1">
+                <li>It is <em>not</em> a 95% chance that μ is in this particular interval — μ is fixed; the interval is what varies</li>
+                <li>It does <em>not</em> contain 95% of the data values</li>
+                <li>It says nothing about bias: a badly chosen sample gives a precise wrong answer</li>
+              </ul>
+            </div>
+          </div>
+          <div className="mt-3 p-3 bg-white/70 rounded text-sm text-darkGrey">
+            <strong>💡 Pro Tip:</strong> A 95% interval and a two-sided test at α = 0.05 agree: the test rejects H₀ exactly when the
+            hypothesized value falls outside the interval. The interval also tells you how big the effect might be, which the p-value does not.
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfidenceIntervalCalculator;
@@ -0,0 +1,901 @@
+import React, { useState, useMemo } from 'react';
+import { Chart as ChartJS, LinearScale, LineElement, PointElement, Title, Tooltip, Legend, Filler } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import InfoIcon from './InfoIcon';
+import useDocumentTitle from '../../hooks/useDocumentTitle';
+import { announcePolite } from '../../utils/announce';
+import {
+  UniformMath,
+  ExponentialMath,
+  ChiSquareMath,
+  FMath,
+  GammaMath,
+  BetaMath,
+  LognormalMath
+} from '../../stats/distributions';
+
+// Register Chart.js components
+ChartJS.register(LinearScale, LineElement, PointElement, Title, Tooltip, Legend, Filler);
+
+/**
+ * Continuous distribution calculator — probabilities (CDF) and percentiles
+ * (inverse CDF) for the uniform, exponential, chi-square, F, gamma, beta and
+ * lognormal families, with the selected area shaded under the density curve.
+ */
+
+// ========================================
+// DISTRIBUTION DEFINITIONS
+// ========================================
+// Each parameter is validated before use: `positive` parameters must be > 0,
+// and the uniform's b must be above a. Invalid entries fall back to the default.
+const DISTRIBUTIONS = {
+  uniform: {
+    name: 'Uniform',
+    math: UniformMath,
+    params: [
+      { key: 'a', label: 'Lower bound (a)', info: 'Smallest possible value', default: 0 },
+      { key: 'b', label: 'Upper bound (b)', info: 'Largest possible value (must be above a)', default: 10 }
+    ],
+    args: (v) => [v.a, v.b],
+    pdfFormula: 'f(x) = 1 / (b − a),  a ≤ x ≤ b',
+    properties: ['Flat density — every interval of the same width is equally likely', 'Symmetric: mean = median = (a + b)/2', 'Probability = width of the interval ÷ (b − a)'],
+    uses: ['Random waiting time when arrivals are on a fixed schedule', 'Rounding errors', 'Generating random numbers for simulations']
+  },
+  exponential: {
+    name: 'Exponential',
+    math: ExponentialMath,
+    params: [
+      { key: 'rate', label: 'Rate (λ)', info: 'Average number of events per unit of time; the mean wait is 1/λ', default: 1, positive: true, step: 0.1 }
+    ],
+    args: (v) => [v.rate],
+    pdfFormula: 'f(x) = λe^(−λx),  x ≥ 0',
+    properties: ['Right-skewed, highest at 0 and decaying steadily', 'Memoryless: having waited already does not shorten the remaining wait', 'Mean = SD = 1/λ; median = ln 2 / λ'],
+    uses: ['Time between arrivals in a Poisson process', 'Lifetimes of parts that do not wear out', 'Time until the next earthquake or phone call']
+  },
+  chiSquare: {
+    name: 'Chi-Square',
+    math: ChiSquareMath,
+    params: [
+      { key: 'df', label: 'Degrees of freedom (df)', info: 'For a goodness-of-fit test: categories − 1; for independence: (rows − 1)(columns − 1); for a variance: n − 1', default: 4, positive: true }
+    ],
+    args: (v) => [v.df],
+    pdfFormula: 'X = Z₁² + Z₂² + … + Z_df²',
+    properties: ['Never negative; right-skewed, less so as df grows', 'Mean = df, variance = 2df', 'Tests use the RIGHT tail: large values mean a poor fit'],
+    uses: ['Chi-square goodness-of-fit and independence tests', 'Confidence intervals for a variance or SD', 'Critical values: use Probability → Value with the right-tail value']
+  },
+  f: {
+    name: 'F',
+    math: FMath,
+    params: [
+      { key: 'df1', label: 'Numerator df (df₁)', info: 'For one-way ANOVA: number of groups − 1', default: 3, positive: true },
+      { key: 'df2', label: 'Denominator df (df₂)', info: 'For one-way ANOVA: total sample size − number of groups', default: 20, positive: true }
+    ],
+    args: (v) => [v.df1, v.df2],
+    pdfFormula: 'F = (χ²₁ / df₁) / (χ²₂ / df₂)',
+    properties: ['Never negative; right-skewed', 'Centered near 1 when both variances are equal', 'Mean exists only for df₂ > 2, variance only for df₂ > 4'],
+    uses: ['ANOVA: comparing several group means', 'Testing whether two variances are equal', 'The overall F-test in regression']
+  },
+  gamma: {
+    name: 'Gamma',
+    math: GammaMath,
+    params: [
+      { key: 'shape', label: 'Shape (k)', info: 'With a whole number: how many events you wait for', default: 3, positive: true, step: 0.5 },
+      { key: 'scale', label: 'Scale (θ)', info: 'Average time between events (1 / rate)', default: 2, positive: true, step: 0.5 }
+    ],
+    args: (v) => [v.shape, v.scale],
+    pdfFormula: 'f(x) = x^(k−1) e^(−x/θ) / (Γ(k) θ^k),  x ≥ 0',
+    properties: ['Never negative; right-skewed, more symmetric as k grows', 'k = 1 is the exponential; θ = 2, k = df/2 is the chi-square', 'Mean = kθ, variance = kθ²'],
+    uses: ['Waiting time until the k-th event', 'Rainfall totals and insurance claim sizes', 'A prior for rates in Bayesian statistics']
+  },
+  beta: {
+    name: 'Beta',
+    math: BetaMath,
+    params: [
+      { key: 'alpha', label: 'Shape α', info: 'Think of α − 1 as prior successes', default: 2, positive: true, step: 0.5 },
+      { key: 'beta', label: 'Shape β', info: 'Think of β − 1 as prior failures', default: 5, positive: true, step: 0.5 }
+    ],
+    args: (v) => [v.alpha, v.beta],
+    pdfFormula: 'f(x) = x^(α−1) (1 − x)^(β−1) / B(α, β),  0 ≤ x ≤ 1',
+    properties: ['Lives between 0 and 1, so it describes proportions', 'α = β is symmetric; α = β = 1 is flat (uniform)', 'Mean = α / (α + β)'],
+    uses: ['Uncertainty about a success rate or proportion', 'Bayesian updating of a proportion', 'Project completion fractions (PERT)']
+  },
+  lognormal: {
+    name: 'Lognormal',
+    math: LognormalMath,
+    params: [
+      { key: 'mu', label: 'Mean of ln(X) (μ)', info: 'The center on the log scale; e^μ is the median of X', default: 0, step: 0.1 },
+      { key: 'sigma', label: 'SD of ln(X) (σ)', info: 'The spread on the log scale; larger σ means a longer right tail', default: 0.5, positive: true, step: 0.1 }
+    ],
+    args: (v) => [v.mu, v.sigma],
+    pdfFormula: 'ln(X) ~ Normal(μ, σ)',
+    properties: ['Always positive; right-skewed', 'Median = e^μ, mean = e^(μ + σ²/2) (pulled up by the tail)', 'Products of many small factors tend to be lognormal'],
+    uses: ['Incomes, house prices and city sizes', 'Stock prices (log returns are normal)', 'Particle sizes and reaction times']
+  }
+};
+
+// ========================================
+// PRESET SCENARIOS
+// ========================================
+const CONTINUOUS_EXAMPLES = [
+  {
+    name: '🚌 Bus Wait Time',
+    distribution: 'uniform', values: { a: 0, b: 20 }, calcType: 'left', value1: 5, value2: 15,
+    description: 'Buses every 20 min — chance of waiting 5 min or less'
+  },
+  {
+    name: '☎️ Time Between Calls',
+    distribution: 'exponential', values: { rate: 0.5 }, calcType: 'right', value1: 3, value2: 6,
+    description: '0.5 calls per minute — chance of a gap over 3 min'
+  },
+  {
+    name: '🧪 Chi-Square Critical Value',
+    distribution: 'chiSquare', values: { df: 4 }, inverse: 0.05,
+    description: 'df = 4, α = 0.05 — right-tail value is the critical value'
+  },
+  {
+    name: '📊 ANOVA Critical F',
+    distribution: 'f', values: { df1: 3, df2: 20 }, inverse: 0.05,
+    description: '4 groups, 24 subjects, α = 0.05'
+  },
+  {
+    name: '⏳ Waiting for 3 Customers',
+    distribution: 'gamma', values: { shape: 3, scale: 2 }, calcType: 'left', value1: 6, value2: 10,
+    description: 'One customer every 2 min on average — 3 within 6 min?'
+  },
+  {
+    name: '🏀 Free-Throw Percentage',
+    distribution: 'beta', values: { alpha: 8, beta: 4 }, calcType: 'between', value1: 0.6, value2: 0.8,
+    description: 'After 7 makes and 3 misses — chance the true rate is 60–80%'
+  },
+  {
+    name: '💰 Household Income',
+    distribution: 'lognormal', values: { mu: 10.8, sigma: 0.7 }, calcType: 'right', value1: 100000, value2: 150000,
+    description: 'Median ≈ $49,000 — share of households above $100,000'
+  }
+];
+
+const PERCENTILES = [0.01, 0.05, 0.10, 0.25, 0.50, 0.75, 0.90, 0.95, 0.99];
+
+/**
+ * Format a distribution value: fixed decimals normally, scientific notation
+ * for very large or very small magnitudes
+ */
+const formatValue = (value) => {
+  if (!isFinite(value)) return value > 0 ? '∞' : '−∞';
+  const size = Math.abs(value);
+  if (size !== 0 && (size >= 1e6 || size < 1e-4)) return value.toExponential(3);
+  return value.toFixed(4);
+};
+
+/**
+ * Format a value the user typed, without padding it with zeros
+ */
+const formatEntry = (value) => Number(value.toPrecision(6)).toString();
+
+/**
+ * Ordinal label for a percentile (1st, 5th, 10th, …)
+ */
+const ordinal = (n) => `${n}${n % 10 === 1 && n % 100 !== 11 ? 'st' : 'th'}`;
+
+/**
+ * Default text entries for a distribution's parameters
+ */
+const defaultInputs = (key) =>
+  Object.fromEntries(DISTRIBUTIONS[key].params.map(param => [param.key, String(param.default)]));
+
+// ========================================
+// MAIN CALCULATOR COMPONENT
+// ========================================
+const ContinuousDistributionsCalculator = () => {
+  useDocumentTitle('Continuous Distributions Calculator');
+  // State management - parameter text is kept per distribution so switching back restores it
+  const [distribution, setDistribution] = useState('exponential');
+  const [paramInputs, setParamInputs] = useState(() =>
+    Object.fromEntries(Object.keys(DISTRIBUTIONS).map(key => [key, defaultInputs(key)]))
+  );
+  const [calcType, setCalcType] = useState('left');
+  const [value1, setValue1] = useState(1);
+  const [value2, setValue2] = useState(2);
+  const [inverseMode, setInverseMode] = useState(false);
+  const [inverseProbability, setInverseProbability] = useState(0.05);
+  const [showPercentiles, setShowPercentiles] = useState(true);
+
+  const dist = DISTRIBUTIONS[distribution];
+
+  // Safe parsing function to prevent NaN crashes
+  const safeParse = (value, defaultValue = 0) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? defaultValue : parsed;
+  };
+
+  /**
+   * Parameter values in use, with a note for every entry that had to be replaced
+   */
+  const parameters = useMemo(() => {
+    const inputs = paramInputs[distribution];
+    const values = {};
+    const problems = [];
+    dist.params.forEach(param => {
+      let value = safeParse(inputs[param.key], param.default);
+      if (param.positive && value <= 0) {
+        problems.push(`${param.label} must be greater than 0 — using ${param.default}.`);
+        value = param.default;
+      }
+      values[param.key] = value;
+    });
+    if (distribution === 'uniform' && values.b <= values.a) {
+      problems.push(`b must be greater than a — using b = ${values.a + 1}.`);
+      values.b = values.a + 1;
+    }
+    return { values, problems, args: dist.args(values) };
+  }, [dist, distribution, paramInputs]);
+
+  // Calculate probabilities and percentiles based on inputs
+  const calculations = useMemo(() => {
+    const { math } = dist;
+    const { args } = parameters;
+    const cdf = (x) => math.cdf(x, ...args);
+    const x1 = safeParse(value1, 0);
+    const x2 = safeParse(value2, 1);
+    const lower = Math.min(x1, x2);
+    const upper = Math.max(x1, x2);
+    const safeInverseProb = Math.max(0.0001, Math.min(0.9999, safeParse(inverseProbability, 0.05)));
+
+    let probability = 0;
+    let description = '';
+    switch (calcType) {
+      case 'left':
+        probability = cdf(x1);
+        description = `P(X ≤ ${formatEntry(x1)})`;
+        break;
+      case 'right':
+        probability = 1 - cdf(x1);
+        description = `P(X > ${formatEntry(x1)})`;
+        break;
+      case 'between':
+        probability = cdf(upper) - cdf(lower);
+        description = `P(${formatEntry(lower)} < X < ${formatEntry(upper)})`;
+        break;
+      case 'outside':
+        probability = 1 - (cdf(upper) - cdf(lower));
+        description = `P(X < ${formatEntry(lower)} or X > ${formatEntry(upper)})`;
+        break;
+    }
+
+    const inverseResults = inverseMode
+      ? {
+          probability: safeInverseProb,
+          leftValue: math.inv(safeInverseProb, ...args),
+          rightValue: math.inv(1 - safeInverseProb, ...args)
+        }
+      : null;
+
+    return {
+      x1, x2, lower, upper,
+      probability: Math.min(1, Math.max(0, probability)),
+      description,
+      cdf1: cdf(x1),
+      cdf2: cdf(x2),
+      inverseResults,
+      statistics: math.getStatistics(...args),
+      median: math.inv(0.5, ...args),
+      percentiles: PERCENTILES.map(p => ({ p, value: math.inv(p, ...args) }))
+    };
+  }, [dist, parameters, calcType, value1, value2, inverseMode, inverseProbability]);
+
+  /**
+   * Density curve with the selected area shaded
+   * Unbounded distributions are drawn up to their 99.5th percentile (further
+   * if a chosen value lies beyond it), and densities that shoot up to infinity
+   * at 0 are cut off so the rest of the curve stays readable.
+   */
+  const chart = useMemo(() => {
+    const { math } = dist;
+    const { args } = parameters;
+    const support = math.support(...args);
+    const pdf = (x) => math.pdf(x, ...args);
+
+    let xMin = support.min;
+    let xMax = isFinite(support.max) ? support.max : math.inv(0.995, ...args);
+    if (!isFinite(support.max)) {
+      const marks = inverseMode
+        ? [calculations.inverseResults.leftValue, calculations.inverseResults.rightValue]
+        : [calculations.x1, ...(calcType === 'between' || calcType === 'outside' ? [calculations.x2] : [])];
+      const farthest = Math.min(Math.max(...marks), math.inv(0.99999, ...args));
+      if (farthest > xMax) xMax = farthest * 1.05;
+    }
+    if (distribution === 'uniform') {
+      const pad = (xMax - xMin) * 0.1;
+      xMin -= pad;
+      xMax += pad;
+    }
+
+    // Evenly spaced points plus the exact edges of the shaded region
+    const points = 200;
+    const xs = Array.from({ length: points + 1 }, (_, i) => xMin + (i / points) * (xMax - xMin));
+    const edges = inverseMode
+      ? [calculations.inverseResults.leftValue, calculations.inverseResults.rightValue]
+      : [calculations.x1, calculations.x2];
+    edges.forEach(edge => {
+      if (edge > xMin && edge < xMax) xs.push(edge);
+    });
+    if (distribution === 'uniform') xs.push(...parameters.args);
+    xs.sort((a, b) => a - b);
+
+    const isShaded = (x) => {
+      if (inverseMode) {
+        return x <= calculations.inverseResults.leftValue || x >= calculations.inverseResults.rightValue;
+      }
+      switch (calcType) {
+        case 'left': return x <= calculations.x1;
+        case 'right': return x >= calculations.x1;
+        case 'between': return x >= calculations.lower && x <= calculations.upper;
+        default: return x <= calculations.lower || x >= calculations.upper;
+      }
+    };
+
+    const curve = xs.map(x => ({ x, y: pdf(x) }));
+    const finite = curve.map(point => point.y).filter(y => isFinite(y)).sort((a, b) => a - b);
+    const typicalHigh = finite[Math.floor(finite.length * 0.95)] || 0;
+    const capped = curve.some(point => !isFinite(point.y)) || finite[finite.length - 1] > typicalHigh * 4;
+    const yMax = capped ? typicalHigh * 1.5 : undefined;
+    const clip = (y) => (capped ? Math.min(y, yMax) : y);
+
+    return {
+      capped,
+      xMin,
+      xMax,
+      data: {
+        datasets: [
+          {
+            label: `${dist.name} Distribution`,
+            data: curve.map(point => ({ x: point.x, y: clip(point.y) })),
+            borderColor: 'rgba(42, 42, 42, 0.8)',
+            backgroundColor: 'transparent',
+            borderWidth: 3,
+            pointRadius: 0,
+            tension: 0,
+            fill: false
+          },
+          {
+            label: 'Selected Area',
+            data: curve.map(point => ({ x: point.x, y: isShaded(point.x) ? clip(point.y) : null })),
+            borderColor: 'transparent',
+            backgroundColor: 'rgba(217, 119, 6, 0.5)',
+            borderWidth: 0,
+            pointRadius: 0,
+            tension: 0,
+            fill: 'origin'
+          }
+        ]
+      },
+      yMax
+    };
+  }, [dist, distribution, parameters, calculations, calcType, inverseMode]);
+
+  // Chart options
+  const chartOptions = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: {
+      mode: 'index',
+      intersect: false
+    },
+    plugins: {
+      legend: {
+        display: false
+      },
+      tooltip: {
+        backgroundColor: 'rgba(42, 42, 42, 0.9)',
+        filter: (item) => item.datasetIndex === 0,
+        callbacks: {
+          title: (context) => `X = ${formatValue(context[0].parsed.x)}`,
+          label: (context) => {
+            const x = context.parsed.x;
+            return [
+              `Density: ${dist.math.pdf(x, ...parameters.args).toFixed(4)}`,
+              `P(X ≤ x): ${dist.math.cdf(x, ...parameters.args).toFixed(4)}`
+            ];
+          }
+        }
+      }
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        max: chart.yMax,
+        title: {
+          display: true,
+          text: 'Probability Density'
+        }
+      },
+      x: {
+        type: 'linear',
+        min: chart.xMin,
+        max: chart.xMax,
+        title: {
+          display: true,
+          text: 'Value (X)'
+        }
+      }
+    }
+  }), [dist, parameters, chart]);
+
+  /**
+   * Switch distribution, starting the values at its median and 90th percentile
+   */
+  const changeDistribution = (key) => {
+    const next = DISTRIBUTIONS[key];
+    const args = next.args(Object.fromEntries(next.params.map(param => [param.key, safeParse(paramInputs[key][param.key], param.default)])));
+    setDistribution(key);
+    setValue1(Number(next.math.inv(0.5, ...args).toPrecision(3)));
+    setValue2(Number(next.math.inv(0.9, ...args).toPrecision(3)));
+    announcePolite(`${next.name} distribution selected.`);
+  };
+
+  const updateParameter = (key, text) => {
+    setParamInputs(prev => ({ ...prev, [distribution]: { ...prev[distribution], [key]: text } }));
+  };
+
+  // Handle example selection
+  const selectExample = (example) => {
+    setDistribution(example.distribution);
+    setParamInputs(prev => ({
+      ...prev,
+      [example.distribution]: Object.fromEntries(Object.entries(example.values).map(([key, value]) => [key, String(value)]))
+    }));
+    if (example.inverse) {
+      setInverseMode(true);
+      setInverseProbability(example.inverse);
+    } else {
+      setInverseMode(false);
+      setCalcType(example.calcType);
+      setValue1(example.value1);
+      setValue2(example.value2);
+    }
+    announcePolite('Loaded example: ' + example.name);
+  };
+
+  const twoValues = calcType === 'between' || calcType === 'outside';
+  const { statistics } = calculations;
+  const inverse = calculations.inverseResults;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-7xl mx-auto bg-white rounded-lg shadow-lg p-6">
+        {/* Header Section */}
+        <div className="mb-6">
+          <h2 className="text-3xl font-bold text-darkGrey mb-2">
+            📉 Continuous Distributions Calculator
+          </h2>
+          <p className="text-darkGrey opacity-80">
+            Areas and percentiles for the distributions behind waiting times, proportions and test statistics
+          </p>
+        </div>
+
+        {/* Distribution picker */}
+        <div className="mb-6 flex flex-wrap gap-2" role="group" aria-label="Choose a distribution">
+          {Object.entries(DISTRIBUTIONS).map(([key, option]) => (
+            <button
+              key={key}
+              onClick={() => changeDistribution(key)}
+              aria-pressed={distribution === key}
+              className={`px-4 py-2 rounded-lg border-2 font-medium transition-colors ${
+                distribution === key
+                  ? 'bg-darkTeal text-white border-darkTeal'
+                  : 'bg-white text-darkGrey border-darkTeal hover:bg-darkTeal/10'
+              }`}
+            >
+              {option.name}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid lg:grid-cols-2 gap-6">
+          {/* Control Panel */}
+          <div className="space-y-4">
+            {/* Distribution Parameters */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4 flex items-center">
+                ⚙️ {dist.name} Parameters
+                <InfoIcon info="The parameters fix the shape and scale of the distribution" />
+              </h3>
+              <p className="font-mono text-center text-darkGrey text-sm mb-4">{dist.pdfFormula}</p>
+
+              <div className="space-y-4">
+                {dist.params.map(param => (
+                  <div key={`${distribution}-${param.key}`}>
+                    <label htmlFor={`cont-${param.key}`} className="flex items-center text-darkGrey font-medium mb-2">
+                      {param.label}: {parameters.values[param.key]}
+                      <InfoIcon info={param.info} />
+                    </label>
+                    <input
+                      id={`cont-${param.key}`}
+                      type="number"
+                      step={param.step ?? 1}
+                      min={param.positive ? 0 : undefined}
+                      value={paramInputs[distribution][param.key]}
+                      onChange={(e) => updateParameter(param.key, e.target.value)}
+                      className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                      placeholder={String(param.default)}
+                    />
+                  </div>
+                ))}
+                {parameters.problems.length > 0 && (
+                  <div className="p-2 bg-red-50 border border-red-300 rounded text-sm text-red-700" role="alert">
+                    {parameters.problems.map(problem => <p key={problem}>{problem}</p>)}
+                  </div>
+                )}
+
+                {/* Quick Stats */}
+                <div className="mt-3 p-3 bg-blue-50 rounded-lg text-sm">
+                  <p className="font-bold text-darkGrey mb-1">📐 Summary:</p>
+                  <div className="grid grid-cols-2 gap-1 text-darkGrey/80">
+                    <p>• Mean: {isFinite(statistics.mean) ? formatValue(statistics.mean) : 'does not exist'}</p>
+                    <p>• Median: {formatValue(calculations.median)}</p>
+                    <p>• Variance: {isFinite(statistics.variance) ? formatValue(statistics.variance) : 'does not exist'}</p>
+                    <p>• Std Dev: {isFinite(statistics.standardDev) ? formatValue(statistics.standardDev) : 'does not exist'}</p>
+                  </div>
+                  {isFinite(statistics.mean) && Math.abs(statistics.mean - calculations.median) > 0.01 * (statistics.standardDev || 1) && (
+                    <p className="mt-1 text-xs text-darkGrey/70">
+                      The mean is {statistics.mean > calculations.median ? 'above' : 'below'} the median — the distribution is skewed to the {statistics.mean > calculations.median ? 'right' : 'left'}.
+                    </p>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {/* Calculation Setup */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4 flex items-center">
+                🧮 Probability Calculation
+                <InfoIcon info="Choose what probability you want to calculate" />
+              </h3>
+
+              {/* Mode Toggle */}
+              <div className="mb-4 p-3 bg-white rounded-lg border-2 border-darkGrey/20">
+                <label className="block text-darkGrey font-medium mb-2">Calculation Mode</label>
+                <div className="grid grid-cols-2 gap-2">
+                  <button
+                    onClick={() => setInverseMode(false)}
+                    aria-pressed={!inverseMode}
+                    className={`p-2 rounded font-medium transition-all ${
+                      !inverseMode
+                        ? 'bg-darkTeal text-white'
+                        : 'bg-gray-100 text-darkGrey hover:bg-gray-200'
+                    }`}
+                  >
+                    Value → Probability
+                  </button>
+                  <button
+                    onClick={() => setInverseMode(true)}
+                    aria-pressed={inverseMode}
+                    className={`p-2 rounded font-medium transition-all ${
+                      inverseMode
+                        ? 'bg-darkTeal text-white'
+                        : 'bg-gray-100 text-darkGrey hover:bg-gray-200'
+                    }`}
+                  >
+                    Probability → Value
+                  </button>
+                </div>
+              </div>
+
+              {!inverseMode ? (
+                <div className="space-y-3">
+                  {/* Calculation Type */}
+                  <div>
+                    <label htmlFor="cont-calc-type" className="block text-darkGrey font-medium mb-2">Calculation Type</label>
+                    <select
+                      id="cont-calc-type"
+                      value={calcType}
+                      onChange={(e) => setCalcType(e.target.value)}
+                      className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                    >
+                      <option value="left">P(X ≤ value) - Left tail</option>
+                      <option value="right">P(X {'>'} value) - Right tail</option>
+                      <option value="between">P(a {'<'} X {'<'} b) - Between two values</option>
+                      <option value="outside">P(X {'<'} a or X {'>'} b) - Outside interval</option>
+                    </select>
+                  </div>
+
+                  {/* Value Inputs */}
+                  <div>
+                    <label htmlFor="cont-value1" className="block text-darkGrey font-medium mb-2">
+                      {twoValues ? 'First Value (X)' : 'Value (X)'}
+                    </label>
+                    <input
+                      id="cont-value1"
+                      type="number"
+                      value={value1}
+                      onChange={(e) => setValue1(e.target.value)}
+                      className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                      placeholder="0"
+                    />
+                  </div>
+
+                  {twoValues && (
+                    <div>
+                      <label htmlFor="cont-value2" className="block text-darkGrey font-medium mb-2">
+                        Second Value (X)
+                      </label>
+                      <input
+                        id="cont-value2"
+                        type="number"
+                        value={value2}
+                        onChange={(e) => setValue2(e.target.value)}
+                        className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                        placeholder="1"
+                      />
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  {/* Inverse Probability Input */}
+                  <div>
+                    <label htmlFor="cont-inverse-prob-range" className="flex items-center text-darkGrey font-medium mb-2">
+                      Tail Probability: {(safeParse(inverseProbability, 0.05) * 100).toFixed(1)}%
+                      <InfoIcon info="For critical values, enter the significance level α" />
+                    </label>
+                    <input
+                      id="cont-inverse-prob-range"
+                      type="range"
+                      min="0.001"
+                      max="0.999"
+                      step="0.001"
+                      value={inverseProbability}
+                      onChange={(e) => setInverseProbability(e.target.value)}
+                      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                      style={{
+                        background: `linear-gradient(to right, #0F766E 0%, #0F766E ${safeParse(inverseProbability, 0.05) * 100}%, #e0e0e0 ${safeParse(inverseProbability, 0.05) * 100}%, #e0e0e0 100%)`
+                      }}
+                      aria-valuetext={(safeParse(inverseProbability, 0.05) * 100).toFixed(1) + " percent"}
+                    />
+                    <div className="mt-2">
+                      <label htmlFor="cont-inverse-prob-number" className="sr-only">Tail Probability</label>
+                      <input
+                        id="cont-inverse-prob-number"
+                        type="number"
+                        min="0.001"
+                        max="0.999"
+                        step="0.001"
+                        value={inverseProbability}
+                        onChange={(e) => setInverseProbability(e.target.value)}
+                        className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                        placeholder="0.05"
+                      />
+                    </div>
+                    <div className="mt-2 p-2 bg-blue-50 rounded text-xs text-darkGrey">
+                      This will find the value with {(safeParse(inverseProbability, 0.05) * 100).toFixed(1)}% of the distribution below it,
+                      and the value with {(safeParse(inverseProbability, 0.05) * 100).toFixed(1)}% above it.
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* Results Display */}
+            <div className="bg-accent/20 border-2 border-accent p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-3">
+                🎯 Calculation Results
+              </h3>
+
+              {!inverseMode ? (
+                <>
+                  {/* Main Result */}
+                  <div className="bg-white p-3 rounded-lg mb-3">
+                    <p className="text-sm text-darkGrey opacity-60 mb-1">
+                      {calculations.description}
+                    </p>
+                    <p className="text-3xl font-bold text-center text-darkGrey">
+                      {calculations.probability.toFixed(4)}
+                    </p>
+                    <p className="text-sm text-center text-darkGrey opacity-60 mt-1">
+                      {(calculations.probability * 100).toFixed(2)}% probability
+                    </p>
+                  </div>
+
+                  {/* Cumulative probabilities at the chosen values */}
+                  <div className="space-y-2 text-darkGrey">
+                    <div className="flex justify-between items-center">
+                      <span className="flex items-center">
+                        P(X ≤ {formatEntry(calculations.x1)})
+                        <InfoIcon info="The CDF: area under the curve to the left of the value" />
+                      </span>
+                      <span className="font-mono font-bold">{calculations.cdf1.toFixed(4)}</span>
+                    </div>
+                    {twoValues && (
+                      <div className="flex justify-between items-center">
+                        <span>P(X ≤ {formatEntry(calculations.x2)})</span>
+                        <span className="font-mono font-bold">{calculations.cdf2.toFixed(4)}</span>
+                      </div>
+                    )}
+                    <p className="text-xs text-darkGrey/70">
+                      For a continuous distribution P(X = x) = 0, so ≤ and {'<'} give the same answer.
+                    </p>
+                  </div>
+                </>
+              ) : inverse && (
+                <>
+                  {/* Inverse Results */}
+                  <div className="bg-white p-3 rounded-lg mb-3">
+                    <p className="text-sm text-darkGrey opacity-60 mb-1">
+                      Finding values for {(inverse.probability * 100).toFixed(1)}% in a tail
+                    </p>
+
+                    <div className="grid grid-cols-2 gap-3 mt-3">
+                      <div className="text-center p-2 bg-darkTeal/10 rounded">
+                        <p className="text-xs text-darkGrey opacity-60">Left tail value</p>
+                        <p className="text-xl font-bold text-darkGrey">
+                          {formatValue(inverse.leftValue)}
+                        </p>
+                        <p className="text-xs text-darkGrey opacity-60 mt-1">
+                          {(inverse.probability * 100).toFixed(1)}% below
+                        </p>
+                      </div>
+
+                      <div className="text-center p-2 bg-accent/30 rounded">
+                        <p className="text-xs text-darkGrey opacity-60">Right tail value</p>
+                        <p className="text-xl font-bold text-darkGrey">
+                          {formatValue(inverse.rightValue)}
+                        </p>
+                        <p className="text-xs text-darkGrey opacity-60 mt-1">
+                          {(inverse.probability * 100).toFixed(1)}% above
+                        </p>
+                      </div>
+                    </div>
+                  </div>
+
+                  <div className="mt-3 p-2 bg-white rounded text-xs text-darkGrey">
+                    <strong>Interpretation:</strong> {(inverse.probability * 100).toFixed(1)}% of values fall below {formatValue(inverse.leftValue)},
+                    and {(inverse.probability * 100).toFixed(1)}% fall above {formatValue(inverse.rightValue)}.
+                    {(distribution === 'chiSquare' || distribution === 'f') && (
+                      <> For a {dist.name} test at α = {inverse.probability}, reject H₀ when the test statistic is above {formatValue(inverse.rightValue)}.</>
+                    )}
+                  </div>
+                </>
+              )}
+
+              {/* Display Options */}
+              <div className="mt-3 pt-3 border-t border-accent space-y-2">
+                <label className="flex items-center text-darkGrey text-sm">
+                  <input
+                    type="checkbox"
+                    checked={showPercentiles}
+                    onChange={(e) => setShowPercentiles(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Show Percentiles Table
+                </label>
+              </div>
+            </div>
+          </div>
+
+          {/* Visualization Panel */}
+          <div className="space-y-4">
+            {/* Chart */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4 flex items-center">
+                📊 Distribution Visualization
+                <InfoIcon info="The amber area represents your selected probability region" />
+              </h3>
+              <div className="h-96 bg-white p-2 rounded">
+                <div
+                  role="img"
+                  className="h-full"
+                  aria-label={`${dist.name} density curve from ${formatEntry(chart.xMin)} to ${formatEntry(chart.xMax)} with the area for ${inverseMode ? `${(inverse.probability * 100).toFixed(1)}% in each tail` : calculations.description} shaded`}
+                >
+                  <Line data={chart.data} options={chartOptions} />
+                </div>
+              </div>
+
+              {/* Chart Legend */}
+              <div className="mt-3 p-3 bg-white rounded-lg text-sm">
+                <h4 className="font-bold text-darkGrey mb-2">📖 Chart Guide:</h4>
+                <ul className="space-y-1 text-darkGrey opacity-80">
+                  <li>• <span className="inline-block w-12 h-0.5 bg-darkGrey mr-1"></span>
+                    Density curve — total area under it is 1</li>
+                  <li>• <span className="inline-block w-3 h-3 bg-accent rounded mr-1"></span>
+                    {inverseMode
+                      ? `Highlighted areas = ${(inverse.probability * 100).toFixed(1)}% in each tail`
+                      : `Selected probability area = ${(calculations.probability * 100).toFixed(2)}%`
+                    }
+                  </li>
+                  {chart.capped && (
+                    <li>• The density rises without limit near {formatEntry(dist.math.support(...parameters.args).min)}; the curve is cut off at the top of the chart.</li>
+                  )}
+                  {!isFinite(dist.math.support(...parameters.args).max) && (
+                    <li>• The right tail continues forever; the chart stops where almost none of the area is left.</li>
+                  )}
+                </ul>
+              </div>
+            </div>
+
+            {/* Percentiles Table */}
+            {showPercentiles && (
+              <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+                <h4 className="font-bold text-darkGrey mb-3 flex items-center">
+                  📊 Key Percentiles
+                  <InfoIcon info="Values below which a certain percentage of the distribution falls" />
+                </h4>
+                <div className="grid grid-cols-3 gap-2 text-sm">
+                  {calculations.percentiles.map(({ p, value }) => (
+                    <div key={p} className="bg-gray-50 p-2 rounded text-center">
+                      <p className="font-bold text-darkGrey">{ordinal(Math.round(p * 100))}</p>
+                      <p className="font-mono text-darkTeal">{formatValue(value)}</p>
+                    </div>
+                  ))}
+                </div>
+                <p className="mt-3 text-xs text-darkGrey">
+                  The 95th and 99th percentiles are the right-tail critical values for α = 0.05 and α = 0.01.
+                  {distribution !== 'uniform' && distribution !== 'beta' && ' Unlike the normal, the lower and upper percentiles are not the same distance from the median — the distribution is skewed.'}
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Examples Section */}
+        <div className="mt-6 bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-3 flex items-center">
+            💡 Real-World Examples
+            <InfoIcon info="Click any example to load it into the calculator" />
+          </h3>
+          <div className="grid sm:grid-cols-2 md:grid-cols-4 gap-2">
+            {CONTINUOUS_EXAMPLES.map((example, index) => (
+              <button
+                key={index}
+                onClick={() => selectExample(example)}
+                className="p-3 bg-platinum hover:bg-darkTeal/20 rounded transition-all text-left group"
+              >
+                <div className="font-bold text-darkGrey group-hover:text-darkTeal">
+                  {example.name}
+                </div>
+                <div className="text-sm text-darkGrey opacity-70">
+                  {DISTRIBUTIONS[example.distribution].name}: {Object.entries(example.values).map(([key, value]) => `${key} = ${value}`).join(', ')}
+                </div>
+                <div className="text-xs text-darkGrey opacity-50 mt-1">
+                  {example.description}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Educational Section */}
+        <div className="mt-6 bg-gradient-to-r from-blue-50 to-turquoise/10 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-3">
+            🎓 Understanding the {dist.name} Distribution
+          </h3>
+
+          <div className="grid md:grid-cols-2 gap-4 text-sm">
+            <div className="bg-white/80 p-3 rounded">
+              <h4 className="font-bold text-darkTeal mb-2">Key Properties:</h4>
+              <ul className="space-y-1 text-darkGrey">
+                {dist.properties.map(item => <li key={item}>✓ {item}</li>)}
+              </ul>
+            </div>
+
+            <div className="bg-white/80 p-3 rounded">
+              <h4 className="font-bold text-darkTeal mb-2">Where It Is Used:</h4>
+              <ul className="space-y-1 text-darkGrey">
+                {dist.uses.map(item => <li key={item}>• {item}</li>)}
+              </ul>
+            </div>
+          </div>
+
+          <div className="mt-3 p-3 bg-accent/20 rounded">
+            <strong className="text-darkGrey">💡 Pro Tip:</strong>
+            <span className="text-darkGrey ml-2">
+              For any continuous distribution, a probability is an area under the density curve, and the inverse CDF runs the other way:
+              from an area back to the value that cuts it off. Printed chi-square and F tables list only a few of these values — this page gives them for any df.
+            </span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContinuousDistributionsCalculator;
@@ -3,6 +3,16 @@
  *
  * Comprehensive calculator for correlation and linear regression analysis.
  * Calculates correlation coefficient, regression equation, and provides predictions.
+ * Supports several predictor columns (multiple regression) with coefficient
+ * t-tests, adjusted R², the overall F-test and variance inflation factors.
+ * Simple regression adds the t-tests for the slope and for ρ = 0, coefficient
+ * confidence intervals, and confidence/prediction bands around the line.
+ * A diagnostics panel checks the assumptions: residual-vs-fitted and normal
+ * Q-Q plots, leverage, studentized residuals, Cook's distance and Durbin-Watson.
+ * Polynomial, exponential, logarithmic and power fits can be overlaid on the
+ * scatter plot and compared with the straight line by R².
+ * Spearman's ρ and Kendall's τ are shown next to Pearson's r, and a covariance
+ * matrix is given when more than two variables are entered.
  * Includes scatter plot visualization with regression line.
  *
  * Dependencies: Chart.js, react-chartjs-2
@@ -17,57 +27,157 @@ import { Scatter } from 'react-chartjs-2';
 import InfoIcon from "./InfoIcon";
 import useDocumentTitle from "../../hooks/useDocumentTitle";
 import { announcePolite } from "../../utils/announce";
+import {
+  fitLinearModel,
+  calculateVIF,
+  coefficientIntervals,
+  predictionIntervals,
+  predictLinear,
+  correlationTTest,
+  regressionDiagnostics,
+  fitCurve,
+  CURVE_MODELS,
+  MIN_POLYNOMIAL_DEGREE,
+  MAX_POLYNOMIAL_DEGREE
+} from "../../stats/regression";
+import { normalQQPoints } from "../../stats/normality";
+import { spearmanCorrelation, kendallTau, covarianceMatrix } from "../../stats/correlation";
 
 // Register Chart.js components
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
 
 // Configuration constants
 const MAX_INPUT_COUNT = 1000;
+const MAX_PREDICTORS = 6;
+const CONFIDENCE_LEVELS = [0.90, 0.95, 0.99];
+const BAND_POINTS = 50;
+const CURVE_POINTS = 100;
+const SUPERSCRIPTS = ['⁰', '¹', '²', '³', '⁴', '⁵'];
+const SUBSCRIPTS = ['₀', '₁', '₂', '₃', '₄', '₅', '₆', '₇', '₈', '₉'];
 const CHART_COLORS = {
   points: 'rgba(78, 205, 196, 0.8)',
   line: 'rgba(180, 83, 9, 1)',
-  residuals: 'rgba(255, 0, 0, 0.6)'
+  residuals: 'rgba(255, 0, 0, 0.6)',
+  confidenceBand: 'rgba(15, 118, 110, 0.9)',
+  predictionBand: 'rgba(37, 99, 235, 0.7)',
+  prediction: 'rgba(217, 119, 6, 1)',
+  flagged: 'rgba(220, 38, 38, 0.9)',
+  reference: '#2A2A2A'
 };
 
+// Curve models offered for comparison (simple regression only)
+const CURVE_OPTIONS = [
+  { type: CURVE_MODELS.LINEAR, label: 'Linear', color: CHART_COLORS.line },
+  { type: CURVE_MODELS.POLYNOMIAL, label: 'Polynomial', color: 'rgba(124, 58, 237, 0.9)' },
+  { type: CURVE_MODELS.EXPONENTIAL, label: 'Exponential', color: 'rgba(219, 39, 119, 0.9)' },
+  { type: CURVE_MODELS.LOGARITHMIC, label: 'Logarithmic', color: 'rgba(22, 163, 74, 0.9)' },
+  { type: CURVE_MODELS.POWER, label: 'Power', color: 'rgba(37, 99, 235, 0.9)' }
+];
+
 // Sample datasets for testing
 const SAMPLE_DATASETS = [
   {
     name: "Study Hours vs Exam Scores",
-    dataX: "2, 4, 5, 6, 8, 10, 12, 15, 18, 20",
+    dataX: ["2, 4, 5, 6, 8, 10, 12, 15, 18, 20"],
     dataY: "65, 75, 78, 82, 88, 92, 95, 98, 99, 100",
     description: "Strong positive correlation (r ≈ 0.98)"
   },
   {
     name: "Temperature vs Ice Cream Sales",
-    dataX: "65, 70, 75, 80, 85, 90, 95, 100",
+    dataX: ["65, 70, 75, 80, 85, 90, 95, 100"],
     dataY: "120, 180, 240, 310, 400, 520, 650, 800",
     description: "Strong positive correlation (r ≈ 0.99)"
   },
   {
     name: "Price vs Demand",
-    dataX: "10, 15, 20, 25, 30, 35, 40, 45",
+    dataX: ["10, 15, 20, 25, 30, 35, 40, 45"],
     dataY: "500, 400, 320, 250, 200, 160, 130, 100",
     description: "Strong negative correlation (r ≈ -0.98)"
   },
   {
     name: "Age vs Reaction Time",
-    dataX: "20, 25, 30, 35, 40, 45, 50, 55, 60, 65",
+    dataX: ["20, 25, 30, 35, 40, 45, 50, 55, 60, 65"],
     dataY: "180, 185, 190, 200, 210, 225, 240, 260, 280, 305",
     description: "Moderate positive correlation (r ≈ 0.96)"
+  },
+  {
+    name: "Outlier Effect",
+    dataX: ["1, 2, 3, 4, 5, 6, 7, 8, 9, 10"],
+    dataY: "2, 4, 5, 7, 8, 10, 11, 13, 14, 80",
+    description: "One extreme Y pulls Pearson's r to 0.66; Spearman and Kendall stay at 1"
+  },
+  {
+    name: "House Price from Size and Age",
+    dataX: [
+      "12, 15, 18, 20, 22, 25, 28, 30, 32, 35",
+      "30, 25, 20, 28, 10, 15, 5, 12, 8, 3"
+    ],
+    dataY: "104, 130, 168, 163, 213, 226, 270, 268, 297, 322",
+    description: "Multiple regression: size (100s sq ft) and age (years), adjusted R² ≈ 0.998"
+  },
+  {
+    name: "Crop Yield from Rain, Fertilizer, Temperature",
+    dataX: [
+      "40, 55, 60, 45, 70, 80, 65, 50, 75, 85, 58, 68",
+      "10, 12, 20, 15, 18, 25, 22, 8, 14, 28, 16, 24",
+      "22, 25, 21, 24, 23, 20, 26, 22, 25, 21, 24, 23"
+    ],
+    dataY: "41.2, 47, 57.5, 45, 60.1, 69.2, 62.2, 41.1, 57.8, 74.9, 52, 63.4",
+    description: "Multiple regression: rain and fertilizer matter, temperature does not (p ≈ 0.86)"
   }
 ];
 
+/**
+ * Format a coefficient; small values keep 4 significant digits so that
+ * high-order polynomial terms are not rounded away
+ */
+const formatCoefficient = (value) => (
+  value === 0 || Math.abs(value) >= 0.1 ? value.toFixed(4) : value.toPrecision(4)
+);
+
+/**
+ * Equation of a fitted curve, in the same "ŷ = a + (b)x" style as the linear fit
+ */
+const formatCurveEquation = (fit) => {
+  const [a, b] = fit.coefficients.map(formatCoefficient);
+  switch (fit.type) {
+    case CURVE_MODELS.POLYNOMIAL:
+      return `ŷ = ${a}` + fit.coefficients.slice(1)
+        .map((c, i) => ` + (${formatCoefficient(c)})x${i === 0 ? '' : SUPERSCRIPTS[i + 1]}`)
+        .join('');
+    case CURVE_MODELS.EXPONENTIAL:
+      return `ŷ = ${a} · e^(${b}x)`;
+    case CURVE_MODELS.LOGARITHMIC:
+      return `ŷ = ${a} + (${b}) ln(x)`;
+    case CURVE_MODELS.POWER:
+      return `ŷ = ${a} · x^(${b})`;
+    default:
+      return `ŷ = ${a} + (${b})x`;
+  }
+};
+
+/**
+ * Display name of a predictor column: X for simple regression, X₁, X₂, … otherwise
+ */
+const predictorName = (index, count) => (count === 1 ? 'X' : `X${SUBSCRIPTS[index + 1]}`);
+
 const CorrelationRegressionCalculator = () => {
   useDocumentTitle('Correlation & Regression Calculator');
 
   // State management
-  const [inputX, setInputX] = useState("");
+  const [inputXs, setInputXs] = useState([""]);
   const [inputY, setInputY] = useState("");
   const [result, setResult] = useState(null);
   const [showChart, setShowChart] = useState(false);
   const [showResiduals, setShowResiduals] = useState(false);
-  const [predictionX, setPredictionX] = useState("");
-  const [predictionY, setPredictionY] = useState(null);
+  const [predictionValues, setPredictionValues] = useState([""]);
+  // Predictor values of the last prediction; the intervals are derived below
+  const [predictedAt, setPredictedAt] = useState(null);
+  const [confidenceLevel, setConfidenceLevel] = useState(0.95);
+  const [showBands, setShowBands] = useState(true);
+  const [showFlaggedOnly, setShowFlaggedOnly] = useState(false);
+  const [overlayCurves, setOverlayCurves] = useState([]);
+  const [polynomialDegree, setPolynomialDegree] = useState(MIN_POLYNOMIAL_DEGREE);
   const [error, setError] = useState("");
 
   /**
@@ -86,7 +196,7 @@ const CorrelationRegressionCalculator = () => {
     return numbers.slice(0, MAX_INPUT_COUNT);
   };
 
-  const xCount = useMemo(() => parseInputNumbers(inputX).length, [inputX]);
+  const xCounts = useMemo(() => inputXs.map(input => parseInputNumbers(input).length), [inputXs]);
   const yCount = useMemo(() => parseInputNumbers(inputY).length, [inputY]);
 
   /**
@@ -106,82 +216,63 @@ const CorrelationRegressionCalculator = () => {
 
   /**
    * Calculate correlation and regression statistics
+   * Fits y = b₀ + b₁x₁ + … + bₖxₖ by least squares; with one predictor this is
+   * the familiar simple regression line and r is reported as well.
    */
   const calculateStatistics = () => {
-    const xValues = parseInputNumbers(inputX);
+    const xColumns = inputXs.map(parseInputNumbers);
     const yValues = parseInputNumbers(inputY);
+    const k = xColumns.length;
 
     // Validation
     setError("");
-    if (xValues.length === 0 || yValues.length === 0) {
-      setError("Please enter data for both X and Y variables.");
+    if (xColumns.some(column => column.length === 0) || yValues.length === 0) {
+      setError(k === 1
+        ? "Please enter data for both X and Y variables."
+        : "Please enter data for Y and for every predictor.");
       return;
     }
 
-    if (xValues.length !== yValues.length) {
-      setError(`X has ${xValues.length} values but Y has ${yValues.length} values. Both must have the same number of values.`);
+    const mismatch = xColumns.findIndex(column => column.length !== yValues.length);
+    if (mismatch !== -1) {
+      setError(`${predictorName(mismatch, k)} has ${xColumns[mismatch].length} values but Y has ${yValues.length} values. All variables must have the same number of values.`);
       return;
     }
 
-    if (xValues.length < 2) {
+    if (k === 1 && yValues.length < 2) {
       setError("Please enter at least 2 data pairs.");
       return;
     }
-
-    const n = xValues.length;
-
-    // Calculate means
-    const meanX = calculateMean(xValues);
-    const meanY = calculateMean(yValues);
-
-    // Calculate sums for regression
-    let sumXY = 0;
-    let sumX2 = 0;
-    let sumY2 = 0;
-    let sumX = 0;
-    let sumY = 0;
-
-    for (let i = 0; i < n; i++) {
-      sumX += xValues[i];
-      sumY += yValues[i];
-      sumXY += xValues[i] * yValues[i];
-      sumX2 += xValues[i] * xValues[i];
-      sumY2 += yValues[i] * yValues[i];
+    if (k > 1 && yValues.length < k + 2) {
+      setError(`Please enter at least ${k + 2} data rows for ${k} predictors.`);
+      return;
     }
 
-    // Calculate correlation coefficient (r)
-    const numerator = n * sumXY - sumX * sumY;
-    const denominatorX = Math.sqrt(n * sumX2 - sumX * sumX);
-    const denominatorY = Math.sqrt(n * sumY2 - sumY * sumY);
-    const r = numerator / (denominatorX * denominatorY);
-
-    // Calculate coefficient of determination (R²)
-    const r2 = r * r;
-
-    // Calculate regression equation: y = a + bx
-    // Slope (b)
-    const slope = numerator / (n * sumX2 - sumX * sumX);
-    // Intercept (a)
-    const intercept = meanY - slope * meanX;
-
-    // Calculate standard error of estimate
-    let sumSquaredErrors = 0;
-    for (let i = 0; i < n; i++) {
-      const predicted = slope * xValues[i] + intercept;
-      sumSquaredErrors += Math.pow(yValues[i] - predicted, 2);
+    const model = fitLinearModel(xColumns, yValues);
+    if (!model) {
+      setError(k === 1
+        ? "All X values are the same, so no regression line can be fitted."
+        : "The predictors are perfectly collinear (one is an exact combination of the others). Remove one and try again.");
+      return;
     }
-    const standardError = Math.sqrt(sumSquaredErrors / (n - 2));
 
-    // Calculate residuals
-    const residuals = xValues.map((x, i) => {
-      const predicted = slope * x + intercept;
-      return {
-        x: x,
-        actual: yValues[i],
-        predicted: predicted,
-        residual: yValues[i] - predicted
-      };
-    });
+    const n = yValues.length;
+    const meanY = calculateMean(yValues);
+    const intercept = model.coefficients[0].estimate;
+    const slope = model.coefficients[1].estimate;
+
+    // Simple regression: r carries the sign of the slope.
+    // Multiple regression: report the multiple correlation R = √R².
+    const r = k === 1 ? Math.sign(slope) * Math.sqrt(model.r2) : Math.sqrt(model.r2);
+    const r2 = model.r2;
+
+    // Residuals are plotted against X for one predictor, against ŷ otherwise
+    const residuals = yValues.map((actual, i) => ({
+      x: k === 1 ? xColumns[0][i] : model.fitted[i],
+      actual,
+      predicted: model.fitted[i],
+      residual: model.residuals[i]
+    }));
 
     // Interpret correlation strength
     const absR = Math.abs(r);
@@ -196,23 +287,42 @@ const CorrelationRegressionCalculator = () => {
 
     setResult({
       n,
-      meanX,
+      k,
+      meanX: calculateMean(xColumns[0]),
       meanY,
       r,
       r2,
+      adjustedR2: model.adjustedR2,
       slope,
       intercept,
-      standardError,
+      standardError: model.standardError,
+      coefficients: model.coefficients,
+      f: model.f,
+      fPValue: model.fPValue,
+      dfModel: model.dfModel,
+      dfError: model.dfError,
+      vif: k > 1 ? calculateVIF(xColumns) : null,
+      correlationTest: k === 1 && model.dfError > 0 ? correlationTTest(r, n) : null,
+      spearman: k === 1 && model.dfError > 0 ? spearmanCorrelation(xColumns[0], yValues) : null,
+      kendall: k === 1 && model.dfError > 0 ? kendallTau(xColumns[0], yValues) : null,
+      covariance: k > 1 ? covarianceMatrix([...xColumns, yValues]) : null,
+      model,
       residuals,
-      xValues,
+      xValues: xColumns[0],
+      xColumns,
       yValues,
       strength,
       direction
     });
 
     setShowChart(true);
-    setPredictionY(null);
-    announcePolite(`Correlation: ${r.toFixed(4)}, ${strength} ${direction}. R-squared: ${(r2 * 100).toFixed(2)}%. Regression: y equals ${intercept.toFixed(4)} plus ${slope.toFixed(4)} x.`);
+    setPredictionValues(prev => Array.from({ length: k }, (_, i) => prev[i] ?? ""));
+    setPredictedAt(null);
+    if (k === 1) {
+      announcePolite(`Correlation: ${r.toFixed(4)}, ${strength} ${direction}. R-squared: ${(r2 * 100).toFixed(2)}%. Regression: y equals ${intercept.toFixed(4)} plus ${slope.toFixed(4)} x.`);
+    } else {
+      announcePolite(`Multiple regression with ${k} predictors. R-squared: ${(r2 * 100).toFixed(2)}%, adjusted R-squared: ${(model.adjustedR2 * 100).toFixed(2)}%. F equals ${model.f.toFixed(2)}, p-value ${model.fPValue.toFixed(4)}.`);
+    }
   };
 
   /**
@@ -225,14 +335,46 @@ const CorrelationRegressionCalculator = () => {
       return;
     }
 
-    const x = parseFloat(predictionX);
-    if (isNaN(x)) {
-      setError("Please enter a valid number for X.");
+    const xValues = predictionValues.map(value => parseFloat(value));
+    const invalid = xValues.findIndex(x => isNaN(x));
+    if (invalid !== -1) {
+      setError(`Please enter a valid number for ${predictorName(invalid, result.k)}.`);
       return;
     }
 
-    const predicted = result.slope * x + result.intercept;
-    setPredictionY(predicted);
+    setPredictedAt(xValues);
+  };
+
+  /**
+   * Update one predictor column
+   */
+  const updateInputX = (index, value) => {
+    setInputXs(prev => prev.map((input, i) => (i === index ? value : input)));
+  };
+
+  /**
+   * Add an empty predictor column
+   */
+  const addPredictor = () => {
+    if (inputXs.length >= MAX_PREDICTORS) return;
+    setInputXs(prev => [...prev, ""]);
+    announcePolite(`Added predictor ${inputXs.length + 1}`);
+  };
+
+  /**
+   * Remove a predictor column
+   */
+  const removePredictor = (index) => {
+    if (inputXs.length <= 1) return;
+    setInputXs(prev => prev.filter((_, i) => i !== index));
+    announcePolite(`Removed predictor ${index + 1}`);
+  };
+
+  /**
+   * Update the value of one predictor in the prediction tool
+   */
+  const updatePredictionValue = (index, value) => {
+    setPredictionValues(prev => prev.map((v, i) => (i === index ? value : v)));
   };
 
   /**
@@ -240,11 +382,11 @@ const CorrelationRegressionCalculator = () => {
    */
   const loadSample = (index) => {
     const sample = SAMPLE_DATASETS[index];
-    setInputX(sample.dataX);
+    setInputXs([...sample.dataX]);
     setInputY(sample.dataY);
     setResult(null);
     setShowChart(false);
-    setPredictionY(null);
+    setPredictedAt(null);
     announcePolite('Loaded sample: ' + sample.name);
   };
 
@@ -252,20 +394,106 @@ const CorrelationRegressionCalculator = () => {
    * Clear all inputs
    */
   const clearInputs = () => {
-    setInputX("");
+    setInputXs([""]);
     setInputY("");
     setResult(null);
     setShowChart(false);
-    setPredictionX("");
-    setPredictionY(null);
+    setPredictionValues([""]);
+    setPredictedAt(null);
+  };
+
+  // With two pairs the line passes through both points, leaving no residual df
+  const hasInference = result?.dfError > 0;
+
+  /**
+   * Coefficient confidence intervals at the chosen level
+   * (null without residual degrees of freedom)
+   */
+  const intervals = useMemo(
+    () => (hasInference ? coefficientIntervals(result.model, confidenceLevel) : null),
+    [result, hasInference, confidenceLevel]
+  );
+
+  /**
+   * Predicted Y for the last prediction
+   */
+  const predictedY = useMemo(
+    () => (result && predictedAt ? predictLinear(result.coefficients, predictedAt) : null),
+    [result, predictedAt]
+  );
+
+  /**
+   * Confidence and prediction intervals for the last prediction
+   * (null without residual degrees of freedom)
+   */
+  const prediction = useMemo(
+    () => (hasInference && predictedAt ? predictionIntervals(result.model, predictedAt, confidenceLevel) : null),
+    [result, hasInference, predictedAt, confidenceLevel]
+  );
+
+  /**
+   * Leverage, studentized residuals, Cook's distance and Durbin-Watson
+   * (null without residual degrees of freedom)
+   */
+  const diagnostics = useMemo(
+    () => (hasInference ? regressionDiagnostics(result.model) : null),
+    [result, hasInference]
+  );
+
+  /**
+   * Every curve model fitted to the data, for the comparison table and overlays
+   */
+  const curveFits = useMemo(() => {
+    if (!result || result.k > 1) return null;
+    return CURVE_OPTIONS.map(option => ({
+      ...option,
+      fit: fitCurve(option.type, result.xValues, result.yValues, polynomialDegree)
+    }));
+  }, [result, polynomialDegree]);
+
+  /**
+   * Turn a curve overlay on or off
+   */
+  const toggleCurve = (type) => {
+    setOverlayCurves(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
   };
 
   /**
    * Generate chart data for scatter plot with regression line
+   * With several predictors there is no single line to draw, so the chart
+   * shows actual against predicted Y with the perfect-fit line ŷ = y.
    */
   const chartData = useMemo(() => {
     if (!result || !showChart) return null;
 
+    if (result.k > 1) {
+      const predicted = result.residuals.map(r => r.predicted);
+      const low = Math.min(...predicted, ...result.yValues);
+      const high = Math.max(...predicted, ...result.yValues);
+      return {
+        datasets: [
+          {
+            label: 'Data Points',
+            data: result.residuals.map(r => ({ x: r.predicted, y: r.actual })),
+            backgroundColor: CHART_COLORS.points,
+            borderColor: CHART_COLORS.points,
+            pointRadius: 6,
+            pointHoverRadius: 8
+          },
+          {
+            label: 'Perfect Fit (Actual = Predicted)',
+            data: [{ x: low, y: low }, { x: high, y: high }],
+            type: 'line',
+            borderColor: CHART_COLORS.line,
+            backgroundColor: CHART_COLORS.line,
+            borderWidth: 3,
+            pointRadius: 0,
+            fill: false
+          }
+        ]
+      };
+    }
+
     const datasets = [
       {
         label: 'Data Points',
@@ -277,9 +505,10 @@ const CorrelationRegressionCalculator = () => {
       }
     ];
 
-    // Add regression line
-    const minX = Math.min(...result.xValues);
-    const maxX = Math.max(...result.xValues);
+    // Add regression line (stretched to cover a prediction made outside the data)
+    const predictedX = predictedY !== null ? predictedAt[0] : null;
+    const minX = Math.min(...result.xValues, ...(predictedY !== null ? [predictedX] : []));
+    const maxX = Math.max(...result.xValues, ...(predictedY !== null ? [predictedX] : []));
     const linePoints = [
       { x: minX, y: result.slope * minX + result.intercept },
       { x: maxX, y: result.slope * maxX + result.intercept }
@@ -296,10 +525,71 @@ const CorrelationRegressionCalculator = () => {
       fill: false
     });
 
+    // Confidence band (mean response) and prediction band (single new value)
+    if (showBands && hasInference) {
+      const bands = Array.from({ length: BAND_POINTS + 1 }, (_, i) => {
+        const x = minX + (i / BAND_POINTS) * (maxX - minX);
+        return { x, ...predictionIntervals(result.model, [x], confidenceLevel) };
+      });
+      const levelLabel = `${(confidenceLevel * 100).toFixed(0)}%`;
+      const bandLine = (label, color, pick, dash) => ({
+        label,
+        data: bands.map(b => ({ x: b.x, y: pick(b) })),
+        type: 'line',
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 2,
+        borderDash: dash,
+        pointRadius: 0,
+        fill: false
+      });
+      datasets.push(
+        bandLine(`${levelLabel} Confidence Band`, CHART_COLORS.confidenceBand, b => b.confidence.upper, [6, 4]),
+        { ...bandLine(`${levelLabel} Confidence Band (lower)`, CHART_COLORS.confidenceBand, b => b.confidence.lower, [6, 4]), hideInLegend: true },
+        bandLine(`${levelLabel} Prediction Band`, CHART_COLORS.predictionBand, b => b.prediction.upper, [2, 4]),
+        { ...bandLine(`${levelLabel} Prediction Band (lower)`, CHART_COLORS.predictionBand, b => b.prediction.lower, [2, 4]), hideInLegend: true }
+      );
+    }
+
+    // Overlay the selected curve fits
+    if (curveFits) {
+      curveFits
+        .filter(c => overlayCurves.includes(c.type) && c.fit.available)
+        .forEach(c => {
+          const points = Array.from({ length: CURVE_POINTS + 1 }, (_, i) => {
+            const x = minX + (i / CURVE_POINTS) * (maxX - minX);
+            return { x, y: c.fit.predict(x) };
+          }).filter(point => Number.isFinite(point.y));
+          datasets.push({
+            label: c.type === CURVE_MODELS.POLYNOMIAL ? `Polynomial (degree ${c.fit.degree})` : c.label,
+            data: points,
+            type: 'line',
+            borderColor: c.color,
+            backgroundColor: c.color,
+            borderWidth: 3,
+            pointRadius: 0,
+            fill: false
+          });
+        });
+    }
+
+    // Mark the prediction
+    if (predictedY !== null) {
+      datasets.push({
+        label: 'Prediction',
+        data: [{ x: predictedX, y: predictedY }],
+        backgroundColor: CHART_COLORS.prediction,
+        borderColor: CHART_COLORS.prediction,
+        pointStyle: 'rectRot',
+        pointRadius: 9,
+        pointHoverRadius: 11
+      });
+    }
+
     return {
       datasets
     };
-  }, [result, showChart]);
+  }, [result, hasInference, showChart, showBands, confidenceLevel, predictedY, predictedAt, curveFits, overlayCurves]);
 
   /**
    * Generate residual plot data
@@ -320,8 +610,8 @@ const CorrelationRegressionCalculator = () => {
         {
           label: 'Zero Line',
           data: [
-            { x: Math.min(...result.xValues), y: 0 },
-            { x: Math.max(...result.xValues), y: 0 }
+            { x: Math.min(...result.residuals.map(r => r.x)), y: 0 },
+            { x: Math.max(...result.residuals.map(r => r.x)), y: 0 }
           ],
           type: 'line',
           borderColor: '#2A2A2A',
@@ -334,6 +624,8 @@ const CorrelationRegressionCalculator = () => {
     };
   }, [result, showResiduals]);
 
+  const isMultiple = result?.k > 1;
+
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
@@ -342,12 +634,14 @@ const CorrelationRegressionCalculator = () => {
         position: 'top',
         labels: {
           usePointStyle: true,
-          font: { size: 12 }
+          font: { size: 12 },
+          // The lower edge of each band shares the upper edge's legend entry
+          filter: (item, data) => !data.datasets[item.datasetIndex].hideInLegend
         }
       },
       title: {
         display: true,
-        text: 'Scatter Plot with Regression Line',
+        text: isMultiple ? 'Actual vs Predicted Values' : 'Scatter Plot with Regression Line',
         font: { size: 16, weight: 'bold' }
       }
     },
@@ -355,14 +649,14 @@ const CorrelationRegressionCalculator = () => {
       x: {
         title: {
           display: true,
-          text: 'X Variable',
+          text: isMultiple ? 'Predicted Y (ŷ)' : 'X Variable',
           font: { size: 14, weight: 'bold' }
         }
       },
       y: {
         title: {
           display: true,
-          text: 'Y Variable',
+          text: isMultiple ? 'Actual Y' : 'Y Variable',
           font: { size: 14, weight: 'bold' }
         }
       }
@@ -383,7 +677,7 @@ const CorrelationRegressionCalculator = () => {
       x: {
         title: {
           display: true,
-          text: 'X Variable',
+          text: isMultiple ? 'Predicted Y (ŷ)' : 'X Variable',
           font: { size: 14, weight: 'bold' }
         }
       },
@@ -397,6 +691,126 @@ const CorrelationRegressionCalculator = () => {
     }
   };
 
+  /**
+   * Diagnostic plots: standardized residuals vs fitted values, and a normal
+   * Q-Q plot of the standardized residuals. Flagged cases are drawn in red.
+   */
+  const diagnosticCharts = useMemo(() => {
+    if (!diagnostics) return null;
+
+    const usable = diagnostics.cases.filter(c => c.standardized !== null);
+    const isFlagged = (c) => c.outlier || c.influential || c.highLeverage;
+    const pointColor = (c) => (isFlagged(c) ? CHART_COLORS.flagged : CHART_COLORS.points);
+    const minFitted = Math.min(...usable.map(c => c.fitted));
+    const maxFitted = Math.max(...usable.map(c => c.fitted));
+    const referenceLine = (label, y, dash) => ({
+      label,
+      data: [{ x: minFitted, y }, { x: maxFitted, y }],
+      type: 'line',
+      borderColor: CHART_COLORS.reference,
+      borderWidth: 1.5,
+      borderDash: dash,
+      pointRadius: 0,
+      fill: false,
+      hideInLegend: y < 0
+    });
+
+    const qqPoints = normalQQPoints(usable.map(c => c.standardized));
+    const qqRange = [
+      Math.min(...qqPoints.map(q => Math.min(q.theoretical, q.sample))),
+      Math.max(...qqPoints.map(q => Math.max(q.theoretical, q.sample)))
+    ];
+
+    return {
+      residualsVsFitted: {
+        datasets: [
+          {
+            label: 'Standardized Residuals',
+            data: usable.map(c => ({ x: c.fitted, y: c.standardized, caseNumber: c.index + 1 })),
+            backgroundColor: usable.map(pointColor),
+            borderColor: usable.map(pointColor),
+            pointRadius: 6,
+            pointHoverRadius: 8
+          },
+          referenceLine('Zero Line', 0, [5, 5]),
+          referenceLine('±2 Limits', 2, [2, 4]),
+          referenceLine('±2 Limits (lower)', -2, [2, 4])
+        ]
+      },
+      qq: {
+        datasets: [
+          {
+            label: 'Standardized Residuals',
+            data: qqPoints.map(q => ({ x: q.theoretical, y: q.sample, caseNumber: usable[q.index].index + 1 })),
+            backgroundColor: qqPoints.map(q => pointColor(usable[q.index])),
+            borderColor: qqPoints.map(q => pointColor(usable[q.index])),
+            pointRadius: 6,
+            pointHoverRadius: 8
+          },
+          {
+            label: 'Normal Reference Line',
+            data: [{ x: qqRange[0], y: qqRange[0] }, { x: qqRange[1], y: qqRange[1] }],
+            type: 'line',
+            borderColor: CHART_COLORS.line,
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false
+          }
+        ]
+      }
+    };
+  }, [diagnostics]);
+
+  const diagnosticChartOptions = (title, xLabel, yLabel) => ({
+    ...chartOptions,
+    plugins: {
+      ...chartOptions.plugins,
+      title: {
+        display: true,
+        text: title,
+        font: { size: 16, weight: 'bold' }
+      },
+      tooltip: {
+        callbacks: {
+          label: (context) => context.raw.caseNumber
+            ? `Case ${context.raw.caseNumber}: (${context.parsed.x.toFixed(3)}, ${context.parsed.y.toFixed(3)})`
+            : context.dataset.label
+        }
+      }
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: xLabel,
+          font: { size: 14, weight: 'bold' }
+        }
+      },
+      y: {
+        title: {
+          display: true,
+          text: yLabel,
+          font: { size: 14, weight: 'bold' }
+        }
+      }
+    }
+  });
+
+  const flaggedCount = diagnostics
+    ? diagnostics.cases.filter(c => c.outlier || c.influential || c.highLeverage).length
+    : 0;
+  const influentialCount = diagnostics ? diagnostics.cases.filter(c => c.influential).length : 0;
+
+  /**
+   * Plain-language reading of the Durbin-Watson statistic (ranges 0 to 4)
+   */
+  const describeDurbinWatson = (d) => {
+    if (d === null) return 'Not available: every residual is 0.';
+    if (d < 1.5) return 'Below 1.5: neighboring residuals tend to share a sign (positive autocorrelation). Common with time-ordered data or a curved pattern.';
+    if (d > 2.5) return 'Above 2.5: neighboring residuals tend to alternate in sign (negative autocorrelation).';
+    return 'Close to 2: no sign that neighboring residuals are related.';
+  };
+
   return (
     <div className="min-h-screen bg-platinum py-8">
       <div className="container mx-auto px-4 max-w-6xl">
@@ -406,7 +820,7 @@ const CorrelationRegressionCalculator = () => {
             Correlation & Linear Regression Calculator
           </h2>
           <p className="text-darkGrey opacity-80">
-            Analyze relationships between two variables. Calculate correlation, determine regression equation, and make predictions.
+            Analyze relationships between variables. Calculate correlation, fit a regression equation with one or more predictors, and make predictions.
           </p>
         </div>
 
@@ -416,7 +830,7 @@ const CorrelationRegressionCalculator = () => {
             Sample Datasets
             <InfoIcon info="Click to load pre-configured example data for quick testing" />
           </h2>
-          <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-3">
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-3">
             {SAMPLE_DATASETS.map((sample, index) => (
               <button
                 key={index}
@@ -434,30 +848,46 @@ const CorrelationRegressionCalculator = () => {
         <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
           <h2 className="text-xl font-bold text-darkGrey mb-4 flex items-center gap-2">
             Enter Data
-            <InfoIcon info="Enter values separated by commas or spaces. Both X and Y must have the same number of values (max 1000 pairs)." />
+            <InfoIcon info="Enter values separated by commas or spaces. Every predictor and Y must have the same number of values (max 1000 rows). Add predictors for multiple regression." />
           </h2>
 
           <div className="grid md:grid-cols-2 gap-4 mb-4">
-            {/* X Variable Input */}
-            <div>
-              <label htmlFor="corr-input-x" className="block text-darkGrey font-semibold mb-2">
-                X Variable (Independent)
-              </label>
-              <textarea
-                id="corr-input-x"
-                value={inputX}
-                onChange={(e) => setInputX(e.target.value)}
-                placeholder="Example: 1, 2, 3, 4, 5 or 1 2 3 4 5"
-                className="w-full p-3 border-2 border-gray-300 rounded-lg focus:border-darkTeal focus:outline-none resize-none"
-                rows="5"
-                aria-invalid={!!error}
-                aria-describedby="corr-error"
-              />
-              <p className="text-xs text-darkGrey/60 mt-1">Enter values separated by commas, spaces, or new lines</p>
-              <div className="text-sm text-darkGrey opacity-70 mt-1">
-                Values: {xCount} / {MAX_INPUT_COUNT}
-              </div>
-            </div>
+            {/* X Variable (Predictor) Inputs */}
+            {inputXs.map((input, index) => {
+              const inputId = index === 0 ? 'corr-input-x' : `corr-input-x${index + 1}`;
+              return (
+                <div key={index}>
+                  <div className="flex justify-between items-center mb-2">
+                    <label htmlFor={inputId} className="block text-darkGrey font-semibold">
+                      {inputXs.length === 1 ? 'X Variable (Independent)' : `Predictor ${predictorName(index, inputXs.length)}`}
+                    </label>
+                    {inputXs.length > 1 && (
+                      <button
+                        onClick={() => removePredictor(index)}
+                        className="text-sm text-red-600 hover:text-red-800 font-semibold"
+                        aria-label={`Remove predictor ${predictorName(index, inputXs.length)}`}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                  <textarea
+                    id={inputId}
+                    value={input}
+                    onChange={(e) => updateInputX(index, e.target.value)}
+                    placeholder="Example: 1, 2, 3, 4, 5 or 1 2 3 4 5"
+                    className="w-full p-3 border-2 border-gray-300 rounded-lg focus:border-darkTeal focus:outline-none resize-none"
+                    rows="5"
+                    aria-invalid={!!error}
+                    aria-describedby="corr-error"
+                  />
+                  <p className="text-xs text-darkGrey/60 mt-1">Enter values separated by commas, spaces, or new lines</p>
+                  <div className="text-sm text-darkGrey opacity-70 mt-1">
+                    Values: {xCounts[index]} / {MAX_INPUT_COUNT}
+                  </div>
+                </div>
+              );
+            })}
 
             {/* Y Variable Input */}
             <div>
@@ -487,6 +917,13 @@ const CorrelationRegressionCalculator = () => {
             >
               Calculate
             </button>
+            <button
+              onClick={addPredictor}
+              disabled={inputXs.length >= MAX_PREDICTORS}
+              className="px-6 py-3 bg-white text-darkTeal border-2 border-darkTeal rounded-lg hover:bg-darkTeal/10 font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              + Add Predictor
+            </button>
             <button
               onClick={clearInputs}
               className="px-6 py-3 bg-gray-500 text-white rounded-lg hover:bg-gray-600 font-semibold transition-all"
@@ -513,14 +950,29 @@ const CorrelationRegressionCalculator = () => {
 
                 {/* Correlation Coefficient */}
                 <div className="p-4 bg-darkTeal/10 rounded-lg border-2 border-darkTeal">
-                  <div className="text-sm text-darkGrey opacity-70 mb-1 flex items-center gap-1">
-                    Correlation (r)
-                    <InfoIcon info="Measures strength and direction of linear relationship. Range: -1 to +1" />
-                  </div>
-                  <div className="text-2xl font-bold text-darkGrey">{result.r.toFixed(4)}</div>
-                  <div className="text-sm text-darkTeal font-semibold mt-1">
-                    {result.strength} {result.direction}
-                  </div>
+                  {isMultiple ? (
+                    <>
+                      <div className="text-sm text-darkGrey opacity-70 mb-1 flex items-center gap-1">
+                        Multiple R
+                        <InfoIcon info="Correlation between the actual and predicted Y values (R = √R²). Range: 0 to 1" />
+                      </div>
+                      <div className="text-2xl font-bold text-darkGrey">{result.r.toFixed(4)}</div>
+                      <div className="text-sm text-darkTeal font-semibold mt-1">
+                        {result.strength}
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <div className="text-sm text-darkGrey opacity-70 mb-1 flex items-center gap-1">
+                        Correlation (r)
+                        <InfoIcon info="Measures strength and direction of linear relationship. Range: -1 to +1" />
+                      </div>
+                      <div className="text-2xl font-bold text-darkGrey">{result.r.toFixed(4)}</div>
+                      <div className="text-sm text-darkTeal font-semibold mt-1">
+                        {result.strength} {result.direction}
+                      </div>
+                    </>
+                  )}
                 </div>
 
                 {/* R-Squared */}
@@ -535,11 +987,24 @@ const CorrelationRegressionCalculator = () => {
                   </div>
                 </div>
 
-                {/* Mean X */}
-                <div className="p-4 bg-gray-50 rounded-lg">
-                  <div className="text-sm text-darkGrey opacity-70 mb-1">Mean of X</div>
-                  <div className="text-2xl font-bold text-darkGrey">{result.meanX.toFixed(4)}</div>
-                </div>
+                {/* Mean X, or Adjusted R² for multiple regression */}
+                {isMultiple ? (
+                  <div className="p-4 bg-gray-50 rounded-lg">
+                    <div className="text-sm text-darkGrey opacity-70 mb-1 flex items-center gap-1">
+                      Adjusted R²
+                      <InfoIcon info="R² penalized for the number of predictors. It only rises when a new predictor improves the fit more than chance would." />
+                    </div>
+                    <div className="text-2xl font-bold text-darkGrey">{(result.adjustedR2 * 100).toFixed(2)}%</div>
+                    <div className="text-sm text-darkGrey opacity-70 mt-1">
+                      {result.adjustedR2.toFixed(4)}
+                    </div>
+                  </div>
+                ) : (
+                  <div className="p-4 bg-gray-50 rounded-lg">
+                    <div className="text-sm text-darkGrey opacity-70 mb-1">Mean of X</div>
+                    <div className="text-2xl font-bold text-darkGrey">{result.meanX.toFixed(4)}</div>
+                  </div>
+                )}
 
                 {/* Mean Y */}
                 <div className="p-4 bg-gray-50 rounded-lg">
@@ -548,15 +1013,107 @@ const CorrelationRegressionCalculator = () => {
                 </div>
 
                 {/* Standard Error */}
-                <div className="p-4 bg-gray-50 rounded-lg">
-                  <div className="text-sm text-darkGrey opacity-70 mb-1 flex items-center gap-1">
-                    Standard Error
-                    <InfoIcon info="Average distance of data points from regression line" />
+                {hasInference && (
+                  <div className="p-4 bg-gray-50 rounded-lg">
+                    <div className="text-sm text-darkGrey opacity-70 mb-1 flex items-center gap-1">
+                      Standard Error
+                      <InfoIcon info="Average distance of data points from regression line" />
+                    </div>
+                    <div className="text-2xl font-bold text-darkGrey">{result.standardError.toFixed(4)}</div>
                   </div>
-                  <div className="text-2xl font-bold text-darkGrey">{result.standardError.toFixed(4)}</div>
-                </div>
+                )}
               </div>
 
+              {!hasInference && (
+                <div className="mb-6 p-4 bg-yellow-50 border-l-4 border-yellow-400 rounded text-sm text-darkGrey">
+                  With only 2 data pairs the line passes through both points exactly, so there is no spread left to estimate.
+                  Standard errors, tests and intervals need at least 3 pairs.
+                </div>
+              )}
+
+              {/* Pearson vs Rank Correlations (simple regression) */}
+              {!isMultiple && hasInference && (
+                <div className="mb-6">
+                  <h3 className="text-lg font-bold text-darkGrey mb-3 flex items-center gap-2">
+                    Pearson vs Rank Correlations
+                    <InfoIcon info="Pearson's r measures a straight-line relationship using the actual values. Spearman's ρ and Kendall's τ use only the order of the values, so they measure any steadily increasing or decreasing relationship and resist outliers." />
+                  </h3>
+                  <div className="grid md:grid-cols-3 gap-4">
+                    {[
+                      {
+                        name: "Pearson's r",
+                        value: result.r,
+                        test: `t = ${Number.isFinite(result.correlationTest.t) ? result.correlationTest.t.toFixed(4) : '∞'}, df = ${result.correlationTest.df}`,
+                        pValue: result.correlationTest.pValue,
+                        note: 'Linear, uses actual values'
+                      },
+                      {
+                        name: "Spearman's ρ",
+                        value: result.spearman.rho,
+                        test: `t = ${Number.isFinite(result.spearman.t) ? result.spearman.t.toFixed(4) : '∞'}, df = ${result.spearman.df}`,
+                        pValue: result.spearman.pValue,
+                        note: 'Pearson on the ranks; ties get average ranks'
+                      },
+                      {
+                        name: "Kendall's τ-b",
+                        value: result.kendall.tau,
+                        test: `z = ${result.kendall.z.toFixed(4)} (${result.kendall.concordant} concordant, ${result.kendall.discordant} discordant pairs)`,
+                        pValue: result.kendall.pValue,
+                        note: 'Share of pairs that agree in direction, tie-corrected'
+                      }
+                    ].map(measure => (
+                      <div key={measure.name} className="p-4 bg-gray-50 rounded-lg border-2 border-darkGrey/10">
+                        <div className="text-sm text-darkGrey opacity-70 mb-1">{measure.name}</div>
+                        <div className="text-2xl font-bold text-darkGrey">{measure.value.toFixed(4)}</div>
+                        <div className="text-xs text-darkGrey mt-2 font-mono">{measure.test}</div>
+                        <div className={`text-xs mt-1 font-mono ${measure.pValue < 0.05 ? 'text-darkTeal font-bold' : 'text-darkGrey'}`}>
+                          p-value = {measure.pValue < 0.0001 ? '< 0.0001' : measure.pValue.toFixed(4)}
+                        </div>
+                        <div className="text-xs text-darkGrey opacity-70 mt-1">{measure.note}</div>
+                      </div>
+                    ))}
+                  </div>
+                  {Math.abs(result.r - result.spearman.rho) > 0.1 && (
+                    <p className="mt-3 p-3 bg-yellow-50 rounded-lg text-sm text-darkGrey">
+                      <strong>Pearson and Spearman disagree by {Math.abs(result.r - result.spearman.rho).toFixed(2)}.</strong>{' '}
+                      Look for outliers (they move r but not the ranks) or a curved but steadily {result.spearman.rho >= 0 ? 'increasing' : 'decreasing'} pattern.
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* Covariance Matrix (more than two variables) */}
+              {isMultiple && (
+                <div className="mb-6">
+                  <h3 className="text-lg font-bold text-darkGrey mb-3 flex items-center gap-2">
+                    Covariance Matrix
+                    <InfoIcon info="Sample covariances, dividing by n − 1. The diagonal holds each variable's variance; off-diagonal signs show whether two variables rise together (+) or move oppositely (−)." />
+                  </h3>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-darkGrey">
+                      <thead>
+                        <tr className="border-b-2 border-darkGrey/20">
+                          <th scope="col" className="p-2"><span className="sr-only">Variable</span></th>
+                          {result.covariance.map((_, j) => (
+                            <th key={j} scope="col" className="text-right p-2">{j < result.k ? predictorName(j, result.k) : 'Y'}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="font-mono">
+                        {result.covariance.map((row, i) => (
+                          <tr key={i} className="border-b border-darkGrey/10">
+                            <th scope="row" className="text-left p-2 font-sans font-semibold">{i < result.k ? predictorName(i, result.k) : 'Y'}</th>
+                            {row.map((value, j) => (
+                              <td key={j} className={`text-right p-2 ${i === j ? 'bg-darkTeal/10 font-bold' : ''}`}>{value.toFixed(4)}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
               {/* Regression Equation */}
               <div className="p-6 bg-gradient-to-r from-darkTeal/20 to-accent/20 rounded-lg border-2 border-darkTeal">
                 <h3 className="text-lg font-bold text-darkGrey mb-3 flex items-center gap-2">
@@ -565,36 +1122,185 @@ const CorrelationRegressionCalculator = () => {
                 </h3>
                 <div className="text-center">
                   <div className="text-3xl font-bold text-darkGrey mb-2">
-                    ŷ = {result.intercept >= 0 ? '' : ''}{result.intercept.toFixed(4)} + ({result.slope.toFixed(4)})x
+                    {isMultiple
+                      ? `ŷ = ${result.intercept.toFixed(4)}${result.coefficients.slice(1).map((c, i) => ` + (${c.estimate.toFixed(4)})x${SUBSCRIPTS[i + 1]}`).join('')}`
+                      : <>ŷ = {result.intercept >= 0 ? '' : ''}{result.intercept.toFixed(4)} + ({result.slope.toFixed(4)})x</>}
                   </div>
                   <div className="text-sm text-darkGrey opacity-80">
                     where ŷ is the predicted value of Y
                   </div>
                 </div>
               </div>
+
+              {/* Coefficient Table */}
+              <div className="mt-6">
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                  <h3 className="text-lg font-bold text-darkGrey flex items-center gap-2">
+                    Coefficients
+                    <InfoIcon info="Each t-test asks whether that coefficient differs from 0 once the other predictors are in the model. VIF above 5 (or 10) signals predictors that overlap heavily." />
+                  </h3>
+                  {hasInference && <div className="flex items-center gap-2">
+                    <label htmlFor="corr-confidence-level" className="text-sm font-semibold text-darkGrey">
+                      Confidence Level:
+                    </label>
+                    <select
+                      id="corr-confidence-level"
+                      value={confidenceLevel}
+                      onChange={(e) => setConfidenceLevel(parseFloat(e.target.value))}
+                      className="p-2 border-2 border-gray-300 rounded-lg focus:border-darkTeal focus:outline-none text-sm"
+                    >
+                      {CONFIDENCE_LEVELS.map(level => (
+                        <option key={level} value={level}>{(level * 100).toFixed(0)}%</option>
+                      ))}
+                    </select>
+                  </div>}
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-darkGrey">
+                    <thead>
+                      <tr className="border-b-2 border-darkGrey/20">
+                        <th scope="col" className="text-left p-2">Term</th>
+                        <th scope="col" className="text-right p-2">Estimate</th>
+                        {hasInference && (
+                          <>
+                            <th scope="col" className="text-right p-2">Std. Error</th>
+                            <th scope="col" className="text-right p-2">t</th>
+                            <th scope="col" className="text-right p-2">p-value</th>
+                            <th scope="col" className="text-right p-2">{(confidenceLevel * 100).toFixed(0)}% CI</th>
+                          </>
+                        )}
+                        {isMultiple && <th scope="col" className="text-right p-2">VIF</th>}
+                      </tr>
+                    </thead>
+                    <tbody className="font-mono">
+                      {result.coefficients.map((c, j) => (
+                        <tr key={j} className="border-b border-darkGrey/10">
+                          <th scope="row" className="text-left p-2 font-sans font-semibold">
+                            {j === 0 ? 'Intercept' : (isMultiple ? `x${SUBSCRIPTS[j]}` : 'x (slope)')}
+                          </th>
+                          <td className="text-right p-2">{c.estimate.toFixed(4)}</td>
+                          {hasInference && (
+                            <>
+                              <td className="text-right p-2">{c.se.toFixed(4)}</td>
+                              <td className="text-right p-2">{c.t.toFixed(3)}</td>
+                              <td className={`text-right p-2 ${c.pValue < 0.05 ? 'text-darkTeal font-bold' : ''}`}>
+                                {c.pValue < 0.0001 ? '< 0.0001' : c.pValue.toFixed(4)}
+                              </td>
+                              <td className="text-right p-2 whitespace-nowrap">
+                                ({intervals[j].lower.toFixed(4)}, {intervals[j].upper.toFixed(4)})
+                              </td>
+                            </>
+                          )}
+                          {isMultiple && (
+                            <td className={`text-right p-2 ${result.vif[j - 1] > 5 ? 'text-red-600 font-bold' : ''}`}>
+                              {j === 0 ? '—' : (Number.isFinite(result.vif[j - 1]) ? result.vif[j - 1].toFixed(2) : '∞')}
+                            </td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {/* Overall F-Test */}
+                {hasInference && <div className="mt-4 p-4 bg-gray-50 rounded-lg text-sm text-darkGrey">
+                  <div className="font-bold mb-1 flex items-center gap-1">
+                    Overall F-Test
+                    <InfoIcon info="Tests H₀: every slope is 0 (the predictors explain nothing) against H₁: at least one slope is not 0" />
+                  </div>
+                  <p>
+                    F({result.dfModel}, {result.dfError}) = <span className="font-mono font-bold">{result.f.toFixed(4)}</span>,
+                    p-value = <span className="font-mono font-bold">{result.fPValue < 0.0001 ? '< 0.0001' : result.fPValue.toFixed(4)}</span>
+                  </p>
+                  <p className="mt-1 opacity-80">
+                    {result.fPValue < 0.05
+                      ? `At α = 0.05 the model is significant: ${isMultiple ? 'at least one predictor helps' : 'X helps'} explain Y.`
+                      : `At α = 0.05 the model is not significant: there is not enough evidence that ${isMultiple ? 'the predictors explain' : 'X explains'} Y.`}
+                  </p>
+                </div>}
+              </div>
+
+              {/* Inference for the Slope and Correlation (simple regression) */}
+              {!isMultiple && hasInference && (
+                <div className="mt-6">
+                  <h3 className="text-lg font-bold text-darkGrey mb-3 flex items-center gap-2">
+                    Inference for the Slope and Correlation
+                    <InfoIcon info="Both tests use n − 2 degrees of freedom. In simple regression they always give the same t and p-value: a zero slope and zero correlation are the same claim." />
+                  </h3>
+                  <div className="grid md:grid-cols-2 gap-4">
+                    {/* Slope t-test */}
+                    <div className="p-4 bg-darkTeal/10 rounded-lg border-2 border-darkTeal text-sm text-darkGrey">
+                      <div className="font-bold mb-2">t-Test for the Slope</div>
+                      <p>H₀: β₁ = 0 &nbsp; vs &nbsp; H₁: β₁ ≠ 0</p>
+                      <p className="mt-1 font-mono">
+                        t = b₁ / SE(b₁) = {result.slope.toFixed(4)} / {result.coefficients[1].se.toFixed(4)} = {result.coefficients[1].t.toFixed(4)}
+                      </p>
+                      <p className="font-mono">
+                        df = {result.dfError}, p-value = {result.coefficients[1].pValue < 0.0001 ? '< 0.0001' : result.coefficients[1].pValue.toFixed(4)}
+                      </p>
+                      <p className="mt-2">
+                        {(confidenceLevel * 100).toFixed(0)}% CI for β₁: <span className="font-mono font-bold">({intervals[1].lower.toFixed(4)}, {intervals[1].upper.toFixed(4)})</span>
+                      </p>
+                      <p className="mt-1">
+                        {(confidenceLevel * 100).toFixed(0)}% CI for β₀: <span className="font-mono font-bold">({intervals[0].lower.toFixed(4)}, {intervals[0].upper.toFixed(4)})</span>
+                      </p>
+                    </div>
+
+                    {/* Correlation t-test */}
+                    <div className="p-4 bg-accent/10 rounded-lg border-2 border-accent text-sm text-darkGrey">
+                      <div className="font-bold mb-2">t-Test for the Correlation</div>
+                      <p>H₀: ρ = 0 &nbsp; vs &nbsp; H₁: ρ ≠ 0</p>
+                      <p className="mt-1 font-mono">
+                        t = r√(n − 2) / √(1 − r²) = {Number.isFinite(result.correlationTest.t) ? result.correlationTest.t.toFixed(4) : '∞'}
+                      </p>
+                      <p className="font-mono">
+                        df = {result.correlationTest.df}, p-value = {result.correlationTest.pValue < 0.0001 ? '< 0.0001' : result.correlationTest.pValue.toFixed(4)}
+                      </p>
+                      <p className="mt-2">
+                        {result.correlationTest.pValue < 1 - confidenceLevel
+                          ? `Reject H₀ at α = ${(1 - confidenceLevel).toFixed(2)}: there is a significant linear relationship between X and Y.`
+                          : `Fail to reject H₀ at α = ${(1 - confidenceLevel).toFixed(2)}: there is not enough evidence of a linear relationship between X and Y.`}
+                      </p>
+                      <p className="mt-1 opacity-80">
+                        {intervals[1].lower > 0 || intervals[1].upper < 0
+                          ? `The slope interval excludes 0, which agrees with rejecting H₀.`
+                          : `The slope interval includes 0, which agrees with not rejecting H₀.`}
+                      </p>
+                    </div>
+                  </div>
+                </div>
+              )}
             </div>
 
             {/* Prediction Tool */}
             <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
               <h2 className="text-xl font-bold text-darkGrey mb-4 flex items-center gap-2">
                 Make Predictions
-                <InfoIcon info="Enter an X value to predict the corresponding Y value using the regression equation" />
+                <InfoIcon info={isMultiple
+                  ? "Enter a value for every predictor to predict the corresponding Y value using the regression equation"
+                  : "Enter an X value to predict the corresponding Y value using the regression equation"} />
               </h2>
 
               <div className="flex flex-wrap gap-3 items-end">
-                <div className="flex-1 min-w-[200px]">
-                  <label htmlFor="corr-prediction-x" className="block text-darkGrey font-semibold mb-2">
-                    Enter X value:
-                  </label>
-                  <input
-                    id="corr-prediction-x"
-                    type="number"
-                    value={predictionX}
-                    onChange={(e) => setPredictionX(e.target.value)}
-                    placeholder="Enter X value"
-                    className="w-full p-3 border-2 border-gray-300 rounded-lg focus:border-darkTeal focus:outline-none"
-                  />
-                </div>
+                {predictionValues.map((value, index) => {
+                  const name = predictorName(index, result.k);
+                  const inputId = index === 0 ? 'corr-prediction-x' : `corr-prediction-x${index + 1}`;
+                  return (
+                    <div key={index} className="flex-1 min-w-[200px]">
+                      <label htmlFor={inputId} className="block text-darkGrey font-semibold mb-2">
+                        Enter {name} value:
+                      </label>
+                      <input
+                        id={inputId}
+                        type="number"
+                        value={value}
+                        onChange={(e) => updatePredictionValue(index, e.target.value)}
+                        placeholder={`Enter ${name} value`}
+                        className="w-full p-3 border-2 border-gray-300 rounded-lg focus:border-darkTeal focus:outline-none"
+                      />
+                    </div>
+                  );
+                })}
                 <button
                   onClick={makePrediction}
                   className="px-6 py-3 bg-darkTeal text-white rounded-lg hover:bg-darkTeal/90 font-semibold transition-all"
@@ -603,14 +1309,36 @@ const CorrelationRegressionCalculator = () => {
                 </button>
               </div>
 
-              {predictionY !== null && (
+              {predictedY !== null && (
                 <div className="mt-4 p-4 bg-accent/20 border-2 border-accent rounded-lg">
                   <div className="text-center">
                     <div className="text-sm text-darkGrey opacity-80 mb-1">Predicted Y value:</div>
                     <div className="text-3xl font-bold text-darkGrey">
-                      {predictionY.toFixed(4)}
+                      {predictedY.toFixed(4)}
                     </div>
                   </div>
+                  {prediction && <div className="grid md:grid-cols-2 gap-3 mt-4 text-sm text-darkGrey">
+                    <div className="p-3 bg-white rounded-lg">
+                      <div className="font-semibold flex items-center gap-1">
+                        {(confidenceLevel * 100).toFixed(0)}% Confidence Interval (mean Y)
+                        <InfoIcon info="Range for the AVERAGE Y of all cases with these predictor values" />
+                      </div>
+                      <div className="font-mono font-bold text-lg">
+                        ({prediction.confidence.lower.toFixed(4)}, {prediction.confidence.upper.toFixed(4)})
+                      </div>
+                      <div className="text-xs opacity-70">ŷ ± {prediction.tCritical.toFixed(3)} × {prediction.seMean.toFixed(4)}</div>
+                    </div>
+                    <div className="p-3 bg-white rounded-lg">
+                      <div className="font-semibold flex items-center gap-1">
+                        {(confidenceLevel * 100).toFixed(0)}% Prediction Interval (one new Y)
+                        <InfoIcon info="Range for a SINGLE new case with these predictor values. Always wider, because individual points scatter around the line." />
+                      </div>
+                      <div className="font-mono font-bold text-lg">
+                        ({prediction.prediction.lower.toFixed(4)}, {prediction.prediction.upper.toFixed(4)})
+                      </div>
+                      <div className="text-xs opacity-70">ŷ ± {prediction.tCritical.toFixed(3)} × {prediction.sePrediction.toFixed(4)}</div>
+                    </div>
+                  </div>}
                 </div>
               )}
             </div>
@@ -620,26 +1348,119 @@ const CorrelationRegressionCalculator = () => {
               <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
                 <div className="flex items-center justify-between mb-4">
                   <h2 className="text-xl font-bold text-darkGrey">Visualization</h2>
-                  <label className="flex items-center gap-2 cursor-pointer">
-                    <input
-                      type="checkbox"
-                      checked={showResiduals}
-                      onChange={(e) => setShowResiduals(e.target.checked)}
-                      className="w-5 h-5 text-darkTeal"
-                    />
-                    <span className="text-darkGrey font-semibold">Show Residual Plot</span>
-                  </label>
+                  <div className="flex flex-wrap gap-4">
+                    {!isMultiple && hasInference && (
+                      <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={showBands}
+                          onChange={(e) => setShowBands(e.target.checked)}
+                          className="w-5 h-5 text-darkTeal"
+                        />
+                        <span className="text-darkGrey font-semibold">Show Confidence & Prediction Bands</span>
+                      </label>
+                    )}
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={showResiduals}
+                        onChange={(e) => setShowResiduals(e.target.checked)}
+                        className="w-5 h-5 text-darkTeal"
+                      />
+                      <span className="text-darkGrey font-semibold">Show Residual Plot</span>
+                    </label>
+                  </div>
                 </div>
 
                 <div className="h-96 mb-6">
-                  <div role="img" aria-label="Scatter plot with regression line showing correlation between X and Y variables">
+                  <div role="img" aria-label={isMultiple
+                    ? "Scatter plot of actual against predicted Y values with the perfect-fit line"
+                    : `Scatter plot with regression line showing correlation between X and Y variables${showBands && hasInference ? `, with ${(confidenceLevel * 100).toFixed(0)}% confidence and prediction bands` : ''}${overlayCurves.length > 0 ? `, overlaid with ${overlayCurves.join(', ')} curve fits` : ''}`}>
                     <Scatter data={chartData} options={chartOptions} />
                   </div>
                 </div>
 
+                {/* Curve Fit Comparison (simple regression only) */}
+                {curveFits && (
+                  <div className="mb-6">
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                      <h3 className="text-lg font-bold text-darkGrey flex items-center gap-2">
+                        Compare Curve Fits
+                        <InfoIcon info="Check a model to draw its curve on the scatter plot. R² is measured on the original Y scale for every model, so the values can be compared directly." />
+                      </h3>
+                      <div className="flex items-center gap-2">
+                        <label htmlFor="corr-polynomial-degree" className="text-sm font-semibold text-darkGrey">
+                          Polynomial Degree:
+                        </label>
+                        <select
+                          id="corr-polynomial-degree"
+                          value={polynomialDegree}
+                          onChange={(e) => setPolynomialDegree(parseInt(e.target.value, 10))}
+                          className="p-2 border-2 border-gray-300 rounded-lg focus:border-darkTeal focus:outline-none text-sm"
+                        >
+                          {Array.from({ length: MAX_POLYNOMIAL_DEGREE - MIN_POLYNOMIAL_DEGREE + 1 }, (_, i) => MIN_POLYNOMIAL_DEGREE + i).map(degree => (
+                            <option key={degree} value={degree}>{degree}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm text-darkGrey">
+                        <thead>
+                          <tr className="border-b-2 border-darkGrey/20">
+                            <th scope="col" className="text-left p-2">Show</th>
+                            <th scope="col" className="text-left p-2">Model</th>
+                            <th scope="col" className="text-left p-2">Equation</th>
+                            <th scope="col" className="text-right p-2">R²</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {curveFits.map(c => {
+                            const name = c.type === CURVE_MODELS.POLYNOMIAL ? `Polynomial (degree ${c.fit.degree})` : c.label;
+                            return (
+                              <tr key={c.type} className="border-b border-darkGrey/10">
+                                <td className="p-2">
+                                  {c.type === CURVE_MODELS.LINEAR ? (
+                                    <span className="text-xs opacity-70">Always</span>
+                                  ) : (
+                                    <input
+                                      type="checkbox"
+                                      checked={overlayCurves.includes(c.type)}
+                                      onChange={() => toggleCurve(c.type)}
+                                      disabled={!c.fit.available}
+                                      className="w-5 h-5 text-darkTeal"
+                                      aria-label={`Overlay ${name} fit`}
+                                    />
+                                  )}
+                                </td>
+                                <th scope="row" className="text-left p-2 font-semibold whitespace-nowrap">
+                                  <span className="inline-block w-4 h-1 rounded mr-2 align-middle" style={{ backgroundColor: c.color }}></span>
+                                  {name}
+                                </th>
+                                <td className="p-2 font-mono">
+                                  {c.fit.available ? formatCurveEquation(c.fit) : <span className="font-sans italic opacity-70">{c.fit.reason}</span>}
+                                </td>
+                                <td className="text-right p-2 font-mono font-bold">
+                                  {c.fit.available ? c.fit.r2.toFixed(4) : '—'}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                    <p className="text-xs text-darkGrey opacity-80 mt-2">
+                      A curved pattern shows up as a linear R² well below the curved fits and as a bend in the residual plot.
+                      Raising the polynomial degree always raises R², so prefer the simplest model that follows the pattern.
+                    </p>
+                  </div>
+                )}
+
                 {showResiduals && residualChartData && (
                   <div className="h-96">
-                    <div role="img" aria-label="Residual plot showing deviation of data points from regression line">
+                    <div role="img" aria-label={isMultiple
+                      ? "Residual plot showing residuals against predicted Y values"
+                      : "Residual plot showing deviation of data points from regression line"}>
                       <Scatter data={residualChartData} options={residualChartOptions} />
                     </div>
                   </div>
@@ -647,38 +1468,193 @@ const CorrelationRegressionCalculator = () => {
               </div>
             )}
 
+            {/* Regression Diagnostics */}
+            {diagnostics && diagnosticCharts && (
+              <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                <h2 className="text-xl font-bold text-darkGrey mb-2 flex items-center gap-2">
+                  Regression Diagnostics
+                  <InfoIcon info="Regression inference assumes a straight-line pattern, constant spread, normal residuals and independent observations. These checks show whether the data back that up and which points drive the fit." />
+                </h2>
+                <p className="text-sm text-darkGrey opacity-80 mb-4">
+                  Red points are flagged as outliers, high-leverage or influential cases.
+                </p>
+
+                {/* Summary */}
+                <div className="grid md:grid-cols-3 gap-4 mb-6">
+                  <div className="p-4 bg-gray-50 rounded-lg">
+                    <div className="text-sm text-darkGrey opacity-70 mb-1 flex items-center gap-1">
+                      Durbin-Watson
+                      <InfoIcon info="Checks whether residuals next to each other (in the order entered) are related. Values range from 0 to 4; about 2 means independent." />
+                    </div>
+                    <div className="text-2xl font-bold text-darkGrey">
+                      {diagnostics.durbinWatson === null ? '—' : diagnostics.durbinWatson.toFixed(4)}
+                    </div>
+                    <div className="text-xs text-darkGrey opacity-80 mt-1">
+                      {describeDurbinWatson(diagnostics.durbinWatson)}
+                    </div>
+                  </div>
+                  <div className={`p-4 rounded-lg ${influentialCount > 0 ? 'bg-red-50 border-2 border-red-300' : 'bg-gray-50'}`}>
+                    <div className="text-sm text-darkGrey opacity-70 mb-1 flex items-center gap-1">
+                      Influential Points
+                      <InfoIcon info={`Cook's distance above 4/n = ${diagnostics.thresholds.cooksDistance.toFixed(4)}. Removing one of these points would noticeably change the fitted equation.`} />
+                    </div>
+                    <div className="text-2xl font-bold text-darkGrey">{influentialCount}</div>
+                    <div className="text-xs text-darkGrey opacity-80 mt-1">
+                      {influentialCount > 0
+                        ? `Case${influentialCount === 1 ? '' : 's'} ${diagnostics.cases.filter(c => c.influential).map(c => c.index + 1).join(', ')}: check these values, and refit without them to see how much the equation changes.`
+                        : 'No single point controls the fit.'}
+                    </div>
+                  </div>
+                  <div className="p-4 bg-gray-50 rounded-lg">
+                    <div className="text-sm text-darkGrey opacity-70 mb-1">Flag Thresholds</div>
+                    <ul className="text-xs text-darkGrey space-y-1">
+                      <li>High leverage: h {'>'} 2p/n = {diagnostics.thresholds.leverage.toFixed(4)}</li>
+                      <li>Outlier: |studentized residual| {'>'} {diagnostics.thresholds.studentized}</li>
+                      <li>Influential: Cook&apos;s D {'>'} 4/n = {diagnostics.thresholds.cooksDistance.toFixed(4)}</li>
+                    </ul>
+                  </div>
+                </div>
+
+                {/* Diagnostic Plots */}
+                <div className="grid lg:grid-cols-2 gap-6 mb-6">
+                  <div>
+                    <div className="h-80">
+                      <div role="img" className="h-full" aria-label="Residuals versus fitted values plot of standardized residuals with reference lines at 0 and plus or minus 2">
+                        <Scatter
+                          data={diagnosticCharts.residualsVsFitted}
+                          options={diagnosticChartOptions('Residuals vs Fitted', 'Fitted Y (ŷ)', 'Standardized Residual')}
+                        />
+                      </div>
+                    </div>
+                    <p className="text-xs text-darkGrey opacity-80 mt-2">
+                      Look for a shapeless band around 0. A curve means the relationship is not linear; a funnel means the spread is not constant.
+                    </p>
+                  </div>
+                  <div>
+                    <div className="h-80">
+                      <div role="img" className="h-full" aria-label="Normal Q-Q plot of the standardized residuals against theoretical normal quantiles">
+                        <Scatter
+                          data={diagnosticCharts.qq}
+                          options={diagnosticChartOptions('Normal Q-Q Plot of Residuals', 'Theoretical Normal Quantile', 'Standardized Residual')}
+                        />
+                      </div>
+                    </div>
+                    <p className="text-xs text-darkGrey opacity-80 mt-2">
+                      Points close to the line suggest normally distributed residuals. An S-shape or bent ends point to skewness or heavy tails.
+                    </p>
+                  </div>
+                </div>
+
+                {/* Case Table */}
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+                  <h3 className="text-lg font-bold text-darkGrey">Case Diagnostics</h3>
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={showFlaggedOnly}
+                      onChange={(e) => setShowFlaggedOnly(e.target.checked)}
+                      className="w-5 h-5 text-darkTeal"
+                    />
+                    <span className="text-darkGrey font-semibold text-sm">Show only flagged cases ({flaggedCount})</span>
+                  </label>
+                </div>
+                <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                  <table className="w-full text-sm text-darkGrey">
+                    <thead className="sticky top-0 bg-white">
+                      <tr className="border-b-2 border-darkGrey/20">
+                        <th scope="col" className="text-left p-2">Case</th>
+                        <th scope="col" className="text-right p-2">Y</th>
+                        <th scope="col" className="text-right p-2">Fitted</th>
+                        <th scope="col" className="text-right p-2">Residual</th>
+                        <th scope="col" className="text-right p-2">Leverage</th>
+                        <th scope="col" className="text-right p-2">Studentized</th>
+                        <th scope="col" className="text-right p-2">Cook&apos;s D</th>
+                        <th scope="col" className="text-left p-2">Flags</th>
+                      </tr>
+                    </thead>
+                    <tbody className="font-mono">
+                      {diagnostics.cases
+                        .filter(c => !showFlaggedOnly || c.outlier || c.influential || c.highLeverage)
+                        .map(c => (
+                          <tr key={c.index} className={`border-b border-darkGrey/10 ${c.influential ? 'bg-red-50' : ''}`}>
+                            <th scope="row" className="text-left p-2 font-sans">{c.index + 1}</th>
+                            <td className="text-right p-2">{result.yValues[c.index].toFixed(4)}</td>
+                            <td className="text-right p-2">{c.fitted.toFixed(4)}</td>
+                            <td className="text-right p-2">{c.residual.toFixed(4)}</td>
+                            <td className={`text-right p-2 ${c.highLeverage ? 'text-red-600 font-bold' : ''}`}>{c.leverage.toFixed(4)}</td>
+                            <td className={`text-right p-2 ${c.outlier ? 'text-red-600 font-bold' : ''}`}>
+                              {c.studentized === null ? '—' : c.studentized.toFixed(4)}
+                            </td>
+                            <td className={`text-right p-2 ${c.influential ? 'text-red-600 font-bold' : ''}`}>
+                              {c.cooksDistance === null ? '—' : c.cooksDistance.toFixed(4)}
+                            </td>
+                            <td className="text-left p-2 font-sans text-xs">
+                              {[
+                                c.outlier && 'Outlier',
+                                c.highLeverage && 'High leverage',
+                                c.influential && 'Influential'
+                              ].filter(Boolean).join(', ') || '—'}
+                            </td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             {/* Interpretation Guide */}
             <div className="bg-white rounded-lg shadow-lg p-6">
               <h2 className="text-xl font-bold text-darkGrey mb-4">Interpretation Guide</h2>
 
               <div className="space-y-4">
-                <div className="p-4 bg-blue-50 rounded-lg">
-                  <h3 className="font-bold text-darkGrey mb-2">Correlation Coefficient (r)</h3>
-                  <ul className="list-disc list-inside text-darkGrey opacity-90 space-y-1 text-sm">
-                    <li>r = 1: Perfect positive correlation</li>
-                    <li>r = 0: No linear correlation</li>
-                    <li>r = -1: Perfect negative correlation</li>
-                    <li>|r| {'>'} 0.7: Strong correlation</li>
-                    <li>0.3 {'<'} |r| {'<'} 0.7: Moderate correlation</li>
-                    <li>|r| {'<'} 0.3: Weak correlation</li>
-                  </ul>
-                </div>
+                {isMultiple ? (
+                  <div className="p-4 bg-blue-50 rounded-lg">
+                    <h3 className="font-bold text-darkGrey mb-2">Adjusted R² and VIF</h3>
+                    <ul className="list-disc list-inside text-darkGrey opacity-90 space-y-1 text-sm">
+                      <li>Adjusted R² = {(result.adjustedR2 * 100).toFixed(2)}%: use it to compare models with different numbers of predictors</li>
+                      <li>VIF = 1: the predictor is unrelated to the others</li>
+                      <li>VIF {'>'} 5: strong overlap with other predictors; its coefficient and SE are unstable</li>
+                      <li>VIF {'>'} 10: serious multicollinearity; consider dropping or combining predictors</li>
+                    </ul>
+                  </div>
+                ) : (
+                  <div className="p-4 bg-blue-50 rounded-lg">
+                    <h3 className="font-bold text-darkGrey mb-2">Correlation Coefficient (r)</h3>
+                    <ul className="list-disc list-inside text-darkGrey opacity-90 space-y-1 text-sm">
+                      <li>r = 1: Perfect positive correlation</li>
+                      <li>r = 0: No linear correlation</li>
+                      <li>r = -1: Perfect negative correlation</li>
+                      <li>|r| {'>'} 0.7: Strong correlation</li>
+                      <li>0.3 {'<'} |r| {'<'} 0.7: Moderate correlation</li>
+                      <li>|r| {'<'} 0.3: Weak correlation</li>
+                    </ul>
+                  </div>
+                )}
 
                 <div className="p-4 bg-green-50 rounded-lg">
                   <h3 className="font-bold text-darkGrey mb-2">R-Squared (R²)</h3>
                   <p className="text-darkGrey opacity-90 text-sm">
-                    R² = {(result.r2 * 100).toFixed(2)}% means that {(result.r2 * 100).toFixed(2)}% of the variation in Y can be explained by X.
+                    R² = {(result.r2 * 100).toFixed(2)}% means that {(result.r2 * 100).toFixed(2)}% of the variation in Y can be explained by {isMultiple ? 'the predictors together' : 'X'}.
                     The remaining {(100 - result.r2 * 100).toFixed(2)}% is due to other factors.
                   </p>
                 </div>
 
                 <div className="p-4 bg-yellow-50 rounded-lg">
                   <h3 className="font-bold text-darkGrey mb-2">Regression Equation</h3>
-                  <p className="text-darkGrey opacity-90 text-sm">
-                    <strong>Slope ({result.slope.toFixed(4)}):</strong> For every 1-unit increase in X, Y {result.slope >= 0 ? 'increases' : 'decreases'} by {Math.abs(result.slope).toFixed(4)} units on average.
-                  </p>
+                  {isMultiple ? (
+                    result.coefficients.slice(1).map((c, i) => (
+                      <p key={i} className="text-darkGrey opacity-90 text-sm mt-2 first:mt-0">
+                        <strong>{predictorName(i, result.k)} ({c.estimate.toFixed(4)}):</strong> For every 1-unit increase in {predictorName(i, result.k)}, holding the other predictors constant, Y {c.estimate >= 0 ? 'increases' : 'decreases'} by {Math.abs(c.estimate).toFixed(4)} units on average.
+                      </p>
+                    ))
+                  ) : (
+                    <p className="text-darkGrey opacity-90 text-sm">
+                      <strong>Slope ({result.slope.toFixed(4)}):</strong> For every 1-unit increase in X, Y {result.slope >= 0 ? 'increases' : 'decreases'} by {Math.abs(result.slope).toFixed(4)} units on average.
+                    </p>
+                  )}
                   <p className="text-darkGrey opacity-90 text-sm mt-2">
-                    <strong>Intercept ({result.intercept.toFixed(4)}):</strong> When X = 0, the predicted Y value is {result.intercept.toFixed(4)}.
+                    <strong>Intercept ({result.intercept.toFixed(4)}):</strong> When {isMultiple ? 'every predictor is 0' : 'X = 0'}, the predicted Y value is {result.intercept.toFixed(4)}.
                   </p>
                 </div>
               </div>
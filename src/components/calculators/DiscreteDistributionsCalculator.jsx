@@ -0,0 +1,1003 @@
+/**
+ * DiscreteDistributionsCalculator.jsx
+ *
+ * Interactive calculator for the discrete distributions beyond the binomial
+ * and Poisson: geometric and negative binomial (waiting for successes),
+ * hypergeometric (sampling without replacement) and discrete uniform
+ * (equally likely whole numbers). Each shares the same exact / at most /
+ * at least / between probabilities, PMF bar chart and probability table.
+ *
+ * Dependencies: Chart.js, jStat, React
+ *
+ * @component
+ */
+
+import React, { useState, useMemo, useRef, useCallback } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { jStat } from 'jstat';
+import InfoIcon from './InfoIcon';
+import useDocumentTitle from '../../hooks/useDocumentTitle';
+import useFocusTrap from '../../hooks/useFocusTrap';
+import { announcePolite } from '../../utils/announce';
+import {
+  binomialCoefficient,
+  GeometricMath,
+  NegativeBinomialMath,
+  HypergeometricMath,
+  DiscreteUniformMath
+} from '../../stats/distributions';
+
+// Register required Chart.js components
+ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
+
+/**
+ * Color configuration for chart visualization
+ * Default: unhighlighted probability bars
+ * Highlight: selected probability values based on calculation type
+ */
+const CHART_COLORS = {
+  default: {
+    background: 'rgba(78, 205, 196, 0.6)',
+    border: 'rgba(78, 205, 196, 1)'
+  },
+  highlight: {
+    background: 'rgba(217, 119, 6, 0.8)',
+    border: 'rgba(180, 83, 9, 1)'
+  }
+};
+
+/**
+ * Distributions without an upper limit (geometric, negative binomial) are
+ * drawn and tabulated up to the value where P(X ≤ k) first reaches this level
+ */
+const TAIL_COVERAGE = 0.999;
+const MAX_DISPLAY_VALUES = 200;
+
+/**
+ * Each distribution: its parameters (with slider ranges), the math engine,
+ * and the wording used around the calculator. Parameter ranges may depend on
+ * the other parameters (e.g. K and n can never exceed N).
+ */
+const DISTRIBUTIONS = {
+  geometric: {
+    name: 'Geometric',
+    math: GeometricMath,
+    args: (v) => [v.p],
+    params: [
+      { key: 'p', label: 'Probability of success (p)', min: () => 0.01, max: () => 1, step: 0.01, decimals: 2, info: 'Chance that any single trial is a success' }
+    ],
+    defaults: { p: 0.2 },
+    question: 'On which trial does the first success happen?',
+    xName: 'trial of the first success',
+    xAxis: 'Trial of the First Success (k)',
+    pmfFormula: 'P(X = k) = (1 − p)^(k−1) × p',
+    meanFormula: 'μ = 1 / p',
+    varianceFormula: 'σ² = (1 − p) / p²',
+    when: ['Independent trials, each a success or failure', 'Same probability p on every trial', 'Counting trials until the FIRST success'],
+    examples: ['Calls until a sale is made', 'Rolls until the first six', 'Tries until a password is guessed']
+  },
+  negativeBinomial: {
+    name: 'Negative Binomial',
+    math: NegativeBinomialMath,
+    args: (v) => [v.r, v.p],
+    params: [
+      { key: 'r', label: 'Successes needed (r)', min: () => 1, max: () => 20, step: 1, decimals: 0, info: 'How many successes you are waiting for' },
+      { key: 'p', label: 'Probability of success (p)', min: () => 0.05, max: () => 1, step: 0.01, decimals: 2, info: 'Chance that any single trial is a success' }
+    ],
+    defaults: { r: 3, p: 0.4 },
+    question: 'On which trial does the r-th success happen?',
+    xName: 'trial of the r-th success',
+    xAxis: 'Trial of the r-th Success (k)',
+    pmfFormula: 'P(X = k) = C(k − 1, r − 1) × p^r × (1 − p)^(k−r)',
+    meanFormula: 'μ = r / p',
+    varianceFormula: 'σ² = r(1 − p) / p²',
+    when: ['Independent success/failure trials', 'Same probability p on every trial', 'Counting trials until the r-th success (r = 1 is geometric)'],
+    examples: ['Games until a team wins 4', 'Interviews until 3 hires', 'Shots until the 5th basket']
+  },
+  hypergeometric: {
+    name: 'Hypergeometric',
+    math: HypergeometricMath,
+    args: (v) => [v.N, v.K, v.n],
+    params: [
+      { key: 'N', label: 'Population size (N)', min: () => 2, max: () => 100, step: 1, decimals: 0, info: 'Total number of items you draw from' },
+      { key: 'K', label: 'Successes in the population (K)', min: () => 0, max: (v) => v.N, step: 1, decimals: 0, info: 'How many items in the population count as a success' },
+      { key: 'n', label: 'Items drawn (n)', min: () => 1, max: (v) => v.N, step: 1, decimals: 0, info: 'How many items are drawn, without putting any back' }
+    ],
+    defaults: { N: 20, K: 7, n: 5 },
+    question: 'How many successes are in a sample drawn without replacement?',
+    xName: 'number of successes drawn',
+    xAxis: 'Successes in the Sample (k)',
+    pmfFormula: 'P(X = k) = C(K, k) × C(N − K, n − k) / C(N, n)',
+    meanFormula: 'μ = n × K / N',
+    varianceFormula: 'σ² = n (K/N)(1 − K/N) × (N − n)/(N − 1)',
+    when: ['A fixed population with K successes', 'A sample of n drawn WITHOUT replacement', 'Each draw changes the odds for the next'],
+    examples: ['Defective parts in an inspected batch', 'Aces in a poker hand', 'Women picked for a committee']
+  },
+  discreteUniform: {
+    name: 'Discrete Uniform',
+    math: DiscreteUniformMath,
+    args: (v) => [v.a, v.b],
+    params: [
+      { key: 'a', label: 'Smallest value (a)', min: () => -20, max: () => 50, step: 1, decimals: 0, info: 'Lowest possible whole number' },
+      { key: 'b', label: 'Largest value (b)', min: (v) => v.a, max: (v) => v.a + 60, step: 1, decimals: 0, info: 'Highest possible whole number' }
+    ],
+    defaults: { a: 1, b: 6 },
+    question: 'Which whole number between a and b comes up, if all are equally likely?',
+    xName: 'value',
+    xAxis: 'Value (k)',
+    pmfFormula: 'P(X = k) = 1 / (b − a + 1)',
+    meanFormula: 'μ = (a + b) / 2',
+    varianceFormula: 'σ² = ((b − a + 1)² − 1) / 12',
+    when: ['A fixed range of whole numbers', 'Every value equally likely', 'Nothing makes one outcome special'],
+    examples: ['Rolling a fair die', 'A random digit 0–9', 'Drawing a raffle number']
+  }
+};
+
+/**
+ * Predefined scenarios, two per distribution
+ */
+const PRESET_SCENARIOS = [
+  {
+    name: 'Rolling Until a Six',
+    distribution: 'geometric', values: { p: 0.17 }, x: 6, x2: 10, type: 'atLeast',
+    description: 'Roll a die until the first six — chance you need 6 or more rolls?',
+    expectedOutcome: 'About 39% — five misses in a row happen more often than people expect. The bars fall steadily: the first roll is always the single most likely one.'
+  },
+  {
+    name: 'Cold Calls Until a Sale',
+    distribution: 'geometric', values: { p: 0.1 }, x: 10, x2: 10, type: 'atMost',
+    description: 'Each call closes a sale 10% of the time — chance of a sale within the first 10 calls?',
+    expectedOutcome: 'About 65% — even though μ = 10 calls, a sale by call 10 is more likely than not, because the long right tail pulls the mean up.'
+  },
+  {
+    name: 'Best-of-7 Series',
+    distribution: 'negativeBinomial', values: { r: 4, p: 0.6 }, x: 4, x2: 7, type: 'between',
+    description: 'A team that wins 60% of games needs 4 wins — chance it gets them within 7 games?',
+    expectedOutcome: 'About 71% — the probability the stronger team wins the series, a bit higher than its 60% single-game rate.'
+  },
+  {
+    name: 'Hiring Three Engineers',
+    distribution: 'negativeBinomial', values: { r: 3, p: 0.25 }, x: 12, x2: 12, type: 'exact',
+    description: 'A quarter of candidates accept an offer — chance the 3rd hire comes at exactly the 12th interview?',
+    expectedOutcome: 'About 6.5% — 12 is the mean (r/p = 12), yet no single trial count is very likely because the distribution is wide (σ = 6).'
+  },
+  {
+    name: 'Inspecting a Batch',
+    distribution: 'hypergeometric', values: { N: 50, K: 5, n: 10 }, x: 1, x2: 1, type: 'atLeast',
+    description: 'A batch of 50 has 5 defective parts; you test 10 of them — chance of catching at least one defect?',
+    expectedOutcome: 'About 69% — so roughly 3 batches in 10 pass inspection despite containing defects.'
+  },
+  {
+    name: 'Choosing a Committee',
+    distribution: 'hypergeometric', values: { N: 20, K: 8, n: 5 }, x: 2, x2: 3, type: 'between',
+    description: '5 people are picked at random from 8 women and 12 men — chance the committee has 2 or 3 women?',
+    expectedOutcome: 'About 64% — the middle outcomes around μ = 2 dominate; all-men or all-women committees are rare.'
+  },
+  {
+    name: 'Rolling a Fair Die',
+    distribution: 'discreteUniform', values: { a: 1, b: 6 }, x: 5, x2: 5, type: 'atLeast',
+    description: 'Roll one die — chance of a 5 or a 6?',
+    expectedOutcome: 'Exactly 1/3 — every face is 1/6, so a flat chart and simple counting give the answer.'
+  },
+  {
+    name: 'Random Digit',
+    distribution: 'discreteUniform', values: { a: 0, b: 9 }, x: 3, x2: 6, type: 'between',
+    description: 'A random digit 0–9 is drawn — chance it is between 3 and 6?',
+    expectedOutcome: 'Exactly 40% — 4 of the 10 equally likely digits. The mean 4.5 is not even a possible value.'
+  }
+];
+
+/**
+ * Format a probability for display: fixed decimals normally,
+ * scientific notation when the value is vanishingly small
+ */
+const formatProbability = (value) => {
+  if (value === 0) return '0';
+  return value >= 0.0001 ? value.toFixed(4) : value.toExponential(2);
+};
+
+/**
+ * Format a (possibly huge) count of combinations
+ */
+const formatCount = (value) => (value < 1e15 ? value.toLocaleString() : value.toExponential(4));
+
+/**
+ * Main DiscreteDistributionsCalculator component
+ * Manages state, calculations, and rendering of the probability interface
+ */
+const DiscreteDistributionsCalculator = () => {
+  useDocumentTitle('Discrete Distributions Calculator');
+  // Core state variables
+  const [distribution, setDistribution] = useState('geometric');
+  const [paramValues, setParamValues] = useState(() =>
+    Object.fromEntries(Object.entries(DISTRIBUTIONS).map(([key, dist]) => [key, { ...dist.defaults }]))
+  );
+  const [x, setX] = useState(3);                     // Target value (lower bound for "between")
+  const [x2, setX2] = useState(6);                   // Upper bound for "between"
+  const [probabilityType, setProbabilityType] = useState('atMost');
+  const [showTable, setShowTable] = useState(false);
+  const [showChartModal, setShowChartModal] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const chartRef = useRef(null);
+
+  const chartModalTrapRef = useFocusTrap(showChartModal);
+
+  const handleChartModalKeyDown = useCallback((e) => {
+    if (e.key === 'Escape') setShowChartModal(false);
+  }, []);
+
+  const dist = DISTRIBUTIONS[distribution];
+  const values = paramValues[distribution];
+
+  /**
+   * The distribution's functions with the current parameters filled in,
+   * and the range of k values to chart and tabulate
+   */
+  const model = useMemo(() => {
+    const args = dist.args(values);
+    const pmf = (k) => dist.math.pmf(k, ...args);
+    const cdf = (k) => dist.math.cdf(k, ...args);
+    const atLeast = (k) => dist.math.atLeast(k, ...args);
+    const support = dist.math.support(...args);
+    let max = support.max;
+    if (!isFinite(max)) {
+      max = support.min;
+      while (cdf(max) < TAIL_COVERAGE && max < support.min + MAX_DISPLAY_VALUES) max++;
+    }
+    return { pmf, cdf, atLeast, support, range: { min: support.min, max }, statistics: dist.math.getStatistics(...args) };
+  }, [dist, values]);
+
+  // Keep the target values inside the possible range for the current parameters
+  const clampToRange = (k) => Math.min(Math.max(k, model.range.min), model.range.max);
+  const xValue = clampToRange(x);
+  const x2Value = clampToRange(x2);
+  const low = Math.min(xValue, x2Value);
+  const high = Math.max(xValue, x2Value);
+
+  const typeLabel = {
+    exact: `P(X = ${xValue})`,
+    atMost: `P(X ≤ ${xValue})`,
+    atLeast: `P(X ≥ ${xValue})`,
+    between: `P(${low} ≤ X ≤ ${high})`
+  }[probabilityType];
+
+  /**
+   * Calculate requested probability based on type
+   * - exact: P(X = x) from the probability mass function
+   * - atMost: P(X ≤ x) from the cumulative distribution function
+   * - atLeast: P(X ≥ x) = 1 − P(X ≤ x − 1)
+   * - between: P(a ≤ X ≤ b) = P(X ≤ b) − P(X ≤ a − 1)
+   */
+  const probabilityFor = (type) => {
+    switch (type) {
+      case 'exact':
+        return model.pmf(xValue);
+      case 'atMost':
+        return model.cdf(xValue);
+      case 'atLeast':
+        return model.atLeast(xValue);
+      case 'between':
+        return Math.max(0, model.cdf(high) - model.cdf(low - 1));
+      default:
+        return 0;
+    }
+  };
+  const probability = probabilityFor(probabilityType);
+  const isIncluded = (k) =>
+    (probabilityType === 'exact' && k === xValue) ||
+    (probabilityType === 'atMost' && k <= xValue) ||
+    (probabilityType === 'atLeast' && k >= xValue) ||
+    (probabilityType === 'between' && k >= low && k <= high);
+
+  /**
+   * Full probability table: P(X = k), P(X ≤ k), and P(X ≥ k) for every k shown
+   */
+  const distributionTable = useMemo(() => {
+    const rows = [];
+    for (let k = model.range.min; k <= model.range.max; k++) {
+      rows.push({ k, pmf: model.pmf(k), cdf: model.cdf(k), ccdf: model.atLeast(k) });
+    }
+    return rows;
+  }, [model]);
+
+  /**
+   * Generate chart data with the outcomes in the selected probability highlighted
+   */
+  const chartData = {
+    labels: distributionTable.map(row => row.k.toString()),
+    datasets: [{
+      label: 'Probability',
+      data: distributionTable.map(row => row.pmf),
+      backgroundColor: distributionTable.map(row => (isIncluded(row.k) ? CHART_COLORS.highlight : CHART_COLORS.default).background),
+      borderColor: distributionTable.map(row => (isIncluded(row.k) ? CHART_COLORS.highlight : CHART_COLORS.default).border),
+      borderWidth: 2
+    }]
+  };
+
+  /**
+   * Chart display configuration
+   */
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (context) => `P(X = ${context.label}) = ${context.parsed.y.toFixed(4)}`
+        }
+      }
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        title: { display: true, text: 'Probability' }
+      },
+      x: {
+        title: { display: true, text: dist.xAxis }
+      }
+    }
+  };
+
+  /**
+   * Pieces of the exact-probability formula for the "show the math" panel
+   */
+  const formulaSteps = (() => {
+    const k = xValue;
+    switch (distribution) {
+      case 'geometric': {
+        const failures = Math.pow(1 - values.p, k - 1);
+        return {
+          formula: `P(X = ${k}) = ${(1 - values.p).toFixed(2)}^${k - 1} × ${values.p.toFixed(2)}`,
+          steps: [
+            k === 1
+              ? `${(1 - values.p).toFixed(2)}^0 = 1 — no failures come first.`
+              : `${(1 - values.p).toFixed(2)}^${k - 1} = ${formatProbability(failures)} — the first ${k - 1} trial${k - 1 === 1 ? '' : 's'} all fail.`,
+            `× ${values.p.toFixed(2)} — then trial ${k} succeeds.`,
+            `Multiply: ${formatProbability(failures)} × ${values.p.toFixed(2)} = ${formatProbability(model.pmf(k))}`
+          ]
+        };
+      }
+      case 'negativeBinomial': {
+        const { r, p } = values;
+        const coefficient = binomialCoefficient(k - 1, r - 1);
+        return {
+          formula: `P(X = ${k}) = C(${k - 1}, ${r - 1}) × ${p.toFixed(2)}^${r} × ${(1 - p).toFixed(2)}^${k - r}`,
+          steps: [
+            `C(${k - 1}, ${r - 1}) = ${formatCount(coefficient)} — the ways to place the first ${r - 1} success${r - 1 === 1 ? '' : 'es'} among the first ${k - 1} trials (trial ${k} must be the last success).`,
+            `${p.toFixed(2)}^${r} = ${formatProbability(Math.pow(p, r))} — the chance of the ${r} success${r === 1 ? '' : 'es'}.`,
+            `${(1 - p).toFixed(2)}^${k - r} = ${formatProbability(Math.pow(1 - p, k - r))} — the chance of the ${k - r} failure${k - r === 1 ? '' : 's'}.`,
+            `Multiply: ${formatProbability(model.pmf(k))}`
+          ]
+        };
+      }
+      case 'hypergeometric': {
+        const { N, K, n } = values;
+        const pickSuccesses = binomialCoefficient(K, k);
+        const pickFailures = binomialCoefficient(N - K, n - k);
+        const all = binomialCoefficient(N, n);
+        return {
+          formula: `P(X = ${k}) = C(${K}, ${k}) × C(${N - K}, ${n - k}) / C(${N}, ${n})`,
+          steps: [
+            `C(${K}, ${k}) = ${formatCount(pickSuccesses)} — ways to choose ${k} of the ${K} successes.`,
+            `C(${N - K}, ${n - k}) = ${formatCount(pickFailures)} — ways to choose the other ${n - k} draw${n - k === 1 ? '' : 's'} from the ${N - K} failures.`,
+            `C(${N}, ${n}) = ${formatCount(all)} — all equally likely samples of ${n}.`,
+            `Divide: ${formatCount(pickSuccesses * pickFailures)} / ${formatCount(all)} = ${formatProbability(model.pmf(k))}`
+          ]
+        };
+      }
+      default: {
+        const count = values.b - values.a + 1;
+        return {
+          formula: `P(X = ${k}) = 1 / (${values.b} − ${values.a} + 1) = 1 / ${count}`,
+          steps: [
+            `There are ${count} whole numbers from ${values.a} to ${values.b}, all equally likely.`,
+            `Each one has probability 1 / ${count} = ${formatProbability(1 / count)}.`
+          ]
+        };
+      }
+    }
+  })();
+
+  /**
+   * Switch distribution (targets are clamped to its possible values on render)
+   */
+  const changeDistribution = (key) => {
+    setDistribution(key);
+    announcePolite(`${DISTRIBUTIONS[key].name} distribution selected.`);
+  };
+
+  /**
+   * Update one parameter, keeping dependent parameters inside their ranges
+   * (e.g. lowering N also lowers K and n when they would exceed it)
+   */
+  const updateParameter = (key, value) => {
+    setParamValues(prev => {
+      const next = { ...prev[distribution], [key]: value };
+      dist.params.forEach(param => {
+        next[param.key] = Math.min(Math.max(next[param.key], param.min(next)), param.max(next));
+      });
+      return { ...prev, [distribution]: next };
+    });
+  };
+
+  /**
+   * Apply preset scenario values
+   */
+  const applyPreset = (preset) => {
+    setDistribution(preset.distribution);
+    setParamValues(prev => ({ ...prev, [preset.distribution]: { ...preset.values } }));
+    setX(preset.x);
+    setX2(preset.x2);
+    setProbabilityType(preset.type);
+    announcePolite('Loaded preset: ' + preset.name);
+  };
+
+  /**
+   * Copy parameters, probabilities, and statistics as tab-separated text
+   * (pastes cleanly into Excel, Google Sheets, and Word)
+   */
+  const copyResultsToClipboard = async () => {
+    const rows = [
+      [`${dist.name} Distribution`, ''],
+      ...dist.params.map(param => [param.label, values[param.key].toFixed(param.decimals)]),
+      [`Selected: ${typeLabel}`, formatProbability(probability)],
+      [`P(X = ${xValue})`, formatProbability(probabilityFor('exact'))],
+      [`P(X ≤ ${xValue})`, formatProbability(probabilityFor('atMost'))],
+      [`P(X ≥ ${xValue})`, formatProbability(probabilityFor('atLeast'))],
+      [`P(${low} ≤ X ≤ ${high})`, formatProbability(probabilityFor('between'))],
+      [`Mean (${dist.meanFormula})`, model.statistics.mean.toFixed(4)],
+      [`Variance (${dist.varianceFormula})`, model.statistics.variance.toFixed(4)],
+      ['Std Dev (σ)', model.statistics.standardDev.toFixed(4)]
+    ];
+    const text = rows.map(row => row.join('\t')).join('\n');
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      announcePolite('Results copied to clipboard.');
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      announcePolite('Could not access the clipboard.');
+    }
+  };
+
+  /**
+   * Download the distribution chart as a PNG on a white background
+   */
+  const downloadChartPNG = () => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const source = chart.canvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0);
+    const link = document.createElement('a');
+    link.href = canvas.toDataURL('image/png');
+    link.download = `${distribution}-distribution.png`;
+    link.click();
+    announcePolite('Chart image downloaded.');
+  };
+
+  /**
+   * Generate gradient style for slider tracks
+   * Creates visual fill effect based on current value
+   */
+  const getSliderStyle = (value, min, max, color = '#0F766E') => {
+    const percent = max > min ? ((value - min) / (max - min)) * 100 : 100;
+    return { background: `linear-gradient(to right, ${color} 0%, ${color} ${percent}%, #e0e0e0 ${percent}%, #e0e0e0 100%)` };
+  };
+
+  // Plain-language pieces for the interpretation panel
+  const { mean, standardDev } = model.statistics;
+  const typePhrase = {
+    exact: `exactly ${xValue}`,
+    atMost: `${xValue} or less`,
+    atLeast: `${xValue} or more`,
+    between: `between ${low} and ${high} (inclusive)`
+  }[probabilityType];
+  const oneInOdds = probability > 0 && probability < 1 ? Math.round(1 / probability) : null;
+  const typicalLow = Math.max(model.support.min, mean - standardDev);
+  const typicalHigh = Math.min(model.support.max, mean + standardDev);
+  const truncated = !isFinite(model.support.max);
+  const includedNote = {
+    exact: `only k = ${xValue}`,
+    atMost: `k = ${model.range.min} through ${xValue}`,
+    atLeast: truncated ? `k = ${xValue} and above` : `k = ${xValue} through ${model.range.max}`,
+    between: `k = ${low} through ${high}`
+  }[probabilityType];
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-6xl mx-auto bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-3xl font-bold text-darkGrey mb-2">
+          Discrete Distributions Calculator
+        </h2>
+
+        {/* Distribution picker */}
+        <div className="mb-6 flex flex-wrap gap-2" role="group" aria-label="Choose a distribution">
+          {Object.entries(DISTRIBUTIONS).map(([key, option]) => (
+            <button
+              key={key}
+              onClick={() => changeDistribution(key)}
+              aria-pressed={distribution === key}
+              className={`px-4 py-2 rounded-lg border-2 font-medium transition-colors ${
+                distribution === key
+                  ? 'bg-darkTeal text-white border-darkTeal'
+                  : 'bg-white text-darkGrey border-darkTeal hover:bg-darkTeal/10'
+              }`}
+            >
+              {option.name}
+            </button>
+          ))}
+        </div>
+
+        {/* Educational explanation section for students */}
+        <div className="mb-6 p-4 bg-blue-50 rounded-lg border-l-4 border-blue-500">
+          <h3 className="text-lg font-semibold text-darkGrey mb-2">
+            📚 Understanding the {dist.name} Distribution
+          </h3>
+          <p className="text-darkGrey mb-3">
+            <em>{dist.question}</em> X is the {dist.xName}.
+          </p>
+          <p className="font-mono text-center text-darkGrey my-2">{dist.pmfFormula}</p>
+
+          <div className="grid md:grid-cols-2 gap-4 text-sm text-darkGrey">
+            <div>
+              <h4 className="font-semibold mb-1">🎯 When to Use:</h4>
+              <ul className="list-disc list-inside space-y-1">
+                {dist.when.map(item => <li key={item}>{item}</li>)}
+              </ul>
+            </div>
+            <div>
+              <h4 className="font-semibold mb-1">🌟 Real Examples:</h4>
+              <ul className="list-disc list-inside space-y-1">
+                {dist.examples.map(item => <li key={item}>{item}</li>)}
+              </ul>
+            </div>
+          </div>
+
+          {distribution === 'geometric' && (
+            <p className="text-sm text-darkGrey mt-3 italic">
+              💡 <strong>Heads up:</strong> some textbooks count the failures <em>before</em> the first success (0, 1, 2, …) instead of the trial number.
+              Subtract 1 from every k here to switch conventions — the probabilities stay the same.
+            </p>
+          )}
+          {distribution === 'hypergeometric' && (
+            <p className="text-sm text-darkGrey mt-3 italic">
+              💡 <strong>Why not binomial?</strong> Without replacement, every draw changes the proportion of successes left. When the
+              sample is under about 5% of the population this barely matters, and the binomial with p = K/N is a good approximation.
+            </p>
+          )}
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          {/* Control panel section */}
+          <div className="space-y-4">
+            {/* Parameter controls */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4">Parameters</h3>
+
+              <div className="space-y-4">
+                {dist.params.map(param => {
+                  const min = param.min(values);
+                  const max = param.max(values);
+                  return (
+                    <div key={`${distribution}-${param.key}`}>
+                      <label htmlFor={`discrete-${param.key}`} className="flex items-center text-darkGrey font-medium mb-2">
+                        {param.label}: {values[param.key].toFixed(param.decimals)}
+                        <InfoIcon info={param.info} />
+                      </label>
+                      <input
+                        id={`discrete-${param.key}`}
+                        type="range"
+                        min={min}
+                        max={max}
+                        step={param.step}
+                        value={values[param.key]}
+                        onChange={(e) => updateParameter(param.key, parseFloat(e.target.value))}
+                        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                        style={getSliderStyle(values[param.key], min, max)}
+                        aria-valuetext={values[param.key].toFixed(param.decimals)}
+                      />
+                    </div>
+                  );
+                })}
+
+                {/* Target value sliders */}
+                <div>
+                  <label htmlFor="discrete-x" className="flex items-center text-darkGrey font-medium mb-2">
+                    {probabilityType === 'between' ? 'From (a)' : 'X value'}: {xValue}
+                    <InfoIcon info={`A value of the ${dist.xName}`} />
+                  </label>
+                  <input
+                    id="discrete-x"
+                    type="range"
+                    min={model.range.min}
+                    max={model.range.max}
+                    value={xValue}
+                    onChange={(e) => setX(parseInt(e.target.value))}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                    style={getSliderStyle(xValue, model.range.min, model.range.max, '#D97706')}
+                    aria-valuetext={String(xValue)}
+                  />
+                </div>
+                {probabilityType === 'between' && (
+                  <div>
+                    <label htmlFor="discrete-x2" className="flex items-center text-darkGrey font-medium mb-2">
+                      To (b): {x2Value}
+                      <InfoIcon info="Upper end of the range; both ends are included" />
+                    </label>
+                    <input
+                      id="discrete-x2"
+                      type="range"
+                      min={model.range.min}
+                      max={model.range.max}
+                      value={x2Value}
+                      onChange={(e) => setX2(parseInt(e.target.value))}
+                      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                      style={getSliderStyle(x2Value, model.range.min, model.range.max, '#D97706')}
+                      aria-valuetext={String(x2Value)}
+                    />
+                  </div>
+                )}
+                {truncated && (
+                  <p className="text-xs text-darkGrey/70">
+                    X has no upper limit; values are shown up to {model.range.max}, where P(X ≤ k) first reaches {TAIL_COVERAGE * 100}%.
+                  </p>
+                )}
+              </div>
+            </div>
+
+            {/* Probability type selection */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4">Probability Type</h3>
+              <div className="space-y-2">
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="radio"
+                    value="exact"
+                    checked={probabilityType === 'exact'}
+                    onChange={(e) => setProbabilityType(e.target.value)}
+                    className="mr-2"
+                  />
+                  <span className="text-darkGrey">P(X = {xValue}) - Exactly {xValue}</span>
+                </label>
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="radio"
+                    value="atMost"
+                    checked={probabilityType === 'atMost'}
+                    onChange={(e) => setProbabilityType(e.target.value)}
+                    className="mr-2"
+                  />
+                  <span className="text-darkGrey">P(X ≤ {xValue}) - At most {xValue}</span>
+                </label>
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="radio"
+                    value="atLeast"
+                    checked={probabilityType === 'atLeast'}
+                    onChange={(e) => setProbabilityType(e.target.value)}
+                    className="mr-2"
+                  />
+                  <span className="text-darkGrey">P(X ≥ {xValue}) - At least {xValue}</span>
+                </label>
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="radio"
+                    value="between"
+                    checked={probabilityType === 'between'}
+                    onChange={(e) => setProbabilityType(e.target.value)}
+                    className="mr-2"
+                  />
+                  <span className="text-darkGrey">P(a ≤ X ≤ b) - Between two values</span>
+                </label>
+              </div>
+            </div>
+
+            {/* Results display */}
+            <div className="bg-accent/20 border-2 border-accent p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-2">Results</h3>
+              <div className="space-y-2 text-darkGrey">
+                <p className="text-lg font-semibold">
+                  {typeLabel} = {formatProbability(probability)}
+                  <span className="font-normal"> ({(probability * 100).toFixed(2)}%{oneInOdds && oneInOdds > 1 ? ` — roughly 1 in ${oneInOdds.toLocaleString()}` : ''})</span>
+                </p>
+
+                {/* All probabilities for the same x — selected row highlighted */}
+                <table className="w-full text-sm my-2">
+                  <tbody>
+                    <tr className={probabilityType === 'exact' ? 'bg-accent/40 font-semibold' : ''}>
+                      <td className="p-1">Exactly {xValue}</td>
+                      <td className="p-1 font-mono text-right">P(X = {xValue}) = {formatProbability(probabilityFor('exact'))}</td>
+                    </tr>
+                    <tr className={probabilityType === 'atMost' ? 'bg-accent/40 font-semibold' : ''}>
+                      <td className="p-1">At most {xValue}</td>
+                      <td className="p-1 font-mono text-right">P(X ≤ {xValue}) = {formatProbability(probabilityFor('atMost'))}</td>
+                    </tr>
+                    <tr className={probabilityType === 'atLeast' ? 'bg-accent/40 font-semibold' : ''}>
+                      <td className="p-1">At least {xValue}</td>
+                      <td className="p-1 font-mono text-right">P(X ≥ {xValue}) = {formatProbability(probabilityFor('atLeast'))}</td>
+                    </tr>
+                    {probabilityType === 'between' && (
+                      <tr className="bg-accent/40 font-semibold">
+                        <td className="p-1">Between {low} and {high}</td>
+                        <td className="p-1 font-mono text-right">P({low} ≤ X ≤ {high}) = {formatProbability(probability)}</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+                <p className="text-xs text-darkGrey/70">
+                  Check: P(X ≤ {xValue}) + P(X ≥ {xValue}) − P(X = {xValue}) = 1 — the three are always linked.
+                </p>
+
+                <p className="flex items-center">
+                  Mean (μ): {mean.toFixed(4)}
+                  <InfoIcon info={`Expected value: ${dist.meanFormula}`} />
+                </p>
+                <p className="flex items-center">
+                  Variance (σ²): {model.statistics.variance.toFixed(4)}
+                  <InfoIcon info={`Variance: ${dist.varianceFormula}`} />
+                </p>
+                <p className="flex items-center">
+                  Standard Dev (σ): {standardDev.toFixed(4)}
+                  <InfoIcon info="Standard deviation: σ = √(variance)" />
+                </p>
+              </div>
+            </div>
+
+            {/* Show the math for the current parameters */}
+            <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+              <h3 className="text-lg font-bold text-darkGrey mb-2">🧮 The Math, Step by Step</h3>
+              {probabilityType === 'exact' ? (
+                <>
+                  <p className="font-mono text-center mb-2">{formulaSteps.formula}</p>
+                  <ul className="space-y-1">
+                    {formulaSteps.steps.map(step => <li key={step}>{step}</li>)}
+                  </ul>
+                </>
+              ) : probabilityType === 'atMost' ? (
+                <>
+                  <p className="font-mono text-center mb-2">P(X ≤ {xValue}) = P(X = {model.range.min}) + … + P(X = {xValue})</p>
+                  <p>
+                    A cumulative probability adds the exact probability of every possible value from {model.range.min} up to {xValue} — the
+                    highlighted bars in the chart. {distribution === 'geometric' && `For the geometric distribution there is a shortcut: 1 − (1 − p)^${xValue}, one minus the chance that the first ${xValue} trials all fail. `}
+                    The result is {formatProbability(probability)}.
+                  </p>
+                </>
+              ) : probabilityType === 'atLeast' ? (
+                <>
+                  <p className="font-mono text-center mb-2">P(X ≥ {xValue}) = 1 − P(X ≤ {xValue - 1})</p>
+                  <p>
+                    {truncated ? 'X has no largest value, so the bars cannot all be added — ' : 'Adding every bar from the target upward works, but '}
+                    the <strong>complement rule</strong> gives it directly: the opposite event ({xValue - 1} or less) has probability {formatProbability(1 - probability)},
+                    so subtract it from 1 to get {formatProbability(probability)}.
+                  </p>
+                </>
+              ) : (
+                <>
+                  <p className="font-mono text-center mb-2">P({low} ≤ X ≤ {high}) = P(X ≤ {high}) − P(X ≤ {low - 1})</p>
+                  <p>
+                    Take everything up to {high} ({formatProbability(model.cdf(high))}) and remove everything below {low} ({formatProbability(model.cdf(low - 1))}).
+                    Both ends are included, so subtract the cumulative probability at {low - 1}, not at {low}: {formatProbability(probability)}.
+                  </p>
+                </>
+              )}
+            </div>
+          </div>
+
+          {/* Visualization panel */}
+          <div className="bg-platinum p-4 rounded-lg">
+            <h3 className="text-xl font-bold text-darkGrey mb-4">Distribution Visualization</h3>
+            <div className="h-96">
+              <div role="img" className="h-full" aria-label={`${dist.name} distribution bar chart showing the probability of each value from ${model.range.min} to ${model.range.max}; highlighted bars are included in ${typeLabel}`}>
+                <Bar ref={chartRef} data={chartData} options={chartOptions} />
+              </div>
+            </div>
+            <p className="text-xs text-darkGrey opacity-70 mt-2 text-center">
+              Amber bars are the outcomes included in {typeLabel} — all bar heights together add up to 1{truncated ? ' (the tiny tail beyond the last bar is not drawn)' : ''}.
+            </p>
+            <div className="mt-3 flex flex-col sm:flex-row gap-2">
+              <button
+                onClick={() => setShowChartModal(true)}
+                className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+              >
+                🔍 View Larger Chart
+              </button>
+              <button
+                onClick={copyResultsToClipboard}
+                className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+              >
+                {copied ? '✓ Copied!' : '📋 Copy Results'}
+              </button>
+              <button
+                onClick={downloadChartPNG}
+                className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+              >
+                🖼️ Download PNG
+              </button>
+            </div>
+
+            {/* Full probability table, like the printed tables in textbooks */}
+            <button
+              onClick={() => { setShowTable(!showTable); announcePolite(showTable ? 'Probability table hidden.' : 'Probability table shown.'); }}
+              className="mt-2 w-full bg-white border-2 border-darkGrey/20 text-darkGrey px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/10 transition-colors"
+              aria-expanded={showTable}
+            >
+              {showTable ? '▲ Hide Probability Table' : '▼ Show Probability Table'}
+            </button>
+            {showTable && (
+              <div className="mt-2 max-h-64 overflow-y-auto bg-white rounded-lg border border-darkGrey/20">
+                <table className="w-full text-sm">
+                  <thead className="sticky top-0 bg-platinum">
+                    <tr className="border-b-2 border-darkGrey/20">
+                      <th scope="col" className="p-2 text-left">k</th>
+                      <th scope="col" className="p-2 text-right">P(X = k)</th>
+                      <th scope="col" className="p-2 text-right">P(X ≤ k)</th>
+                      <th scope="col" className="p-2 text-right">P(X ≥ k)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {distributionTable.map(row => (
+                      <tr key={row.k} className={`border-b border-darkGrey/10 ${isIncluded(row.k) ? 'bg-accent/30 font-semibold' : ''}`}>
+                        <td className="p-2">{row.k}{row.k === xValue || (probabilityType === 'between' && row.k === x2Value) ? ' ◀' : ''}</td>
+                        <td className="p-2 text-right font-mono">{formatProbability(row.pmf)}</td>
+                        <td className="p-2 text-right font-mono">{formatProbability(row.cdf)}</td>
+                        <td className="p-2 text-right font-mono">{formatProbability(row.ccdf)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Plain-language interpretation of the current scenario */}
+        <div className="mt-6 bg-accent/10 border-2 border-accentDark/40 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-2">📖 What Your Results Mean</h3>
+          <ul className="text-sm text-darkGrey space-y-2">
+            <li>
+              <strong>In plain words:</strong> There is a {(probability * 100).toFixed(2)}% chance that the {dist.xName} is {typePhrase}
+              {oneInOdds && oneInOdds > 1 ? ` — roughly 1 in ${oneInOdds.toLocaleString()}` : ''}.
+            </li>
+            <li>
+              <strong>What to expect:</strong> On average the {dist.xName} is about {mean.toFixed(1)}, and most outcomes land
+              between {typicalLow.toFixed(1)} and {typicalHigh.toFixed(1)} (μ ± σ).
+            </li>
+            {distribution === 'geometric' && (
+              <li>
+                <strong>No memory:</strong> The geometric distribution is <em>memoryless</em> — after {Math.max(1, xValue - 1)} failure{Math.max(1, xValue - 1) === 1 ? '' : 's'}, the chance of
+                succeeding on the next trial is still {values.p.toFixed(2)}. A run of bad luck does not make success &quot;due&quot;.
+              </li>
+            )}
+            {distribution === 'negativeBinomial' && (
+              <li>
+                <strong>Built from geometrics:</strong> Waiting for {values.r} successes is {values.r} geometric waits in a row, so the mean
+                is {values.r} × (1/{values.p.toFixed(2)}) = {mean.toFixed(2)} trials.
+              </li>
+            )}
+            {distribution === 'hypergeometric' && (() => {
+              const binomialValue = {
+                exact: jStat.binomial.pdf(xValue, values.n, values.K / values.N),
+                atMost: jStat.binomial.cdf(xValue, values.n, values.K / values.N),
+                atLeast: 1 - jStat.binomial.cdf(xValue - 1, values.n, values.K / values.N),
+                between: jStat.binomial.cdf(high, values.n, values.K / values.N) - jStat.binomial.cdf(low - 1, values.n, values.K / values.N)
+              }[probabilityType];
+              return (
+                <li>
+                  <strong>With vs without replacement:</strong> Drawing with replacement (binomial, n = {values.n}, p = {(values.K / values.N).toFixed(3)}) would
+                  give {formatProbability(binomialValue)} instead of {formatProbability(probability)}. The sample is {((values.n / values.N) * 100).toFixed(0)}% of
+                  the population, and the finite population correction shrinks the variance by a factor of {model.statistics.correction.toFixed(3)}.
+                </li>
+              );
+            })()}
+            {distribution === 'discreteUniform' && (
+              <li>
+                <strong>Flat shape:</strong> Every value from {values.a} to {values.b} has the same probability, 1/{values.b - values.a + 1}, so any
+                probability is just (number of values included) ÷ {values.b - values.a + 1}.
+              </li>
+            )}
+          </ul>
+        </div>
+
+        {/* Preset scenarios */}
+        <div className="mt-6 bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-2">Common Examples</h3>
+          <p className="text-xs text-darkGrey/70 mb-2">
+            Each example predicts what you should see — load one and check the prediction against the results and the chart shape.
+          </p>
+          <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-2">
+            {PRESET_SCENARIOS.map((preset, index) => (
+              <button
+                key={index}
+                onClick={() => applyPreset(preset)}
+                className="p-3 text-left bg-platinum hover:bg-darkTeal/20 rounded transition-colors text-sm text-darkGrey"
+                aria-label={`Apply ${preset.name} scenario`}
+              >
+                <div className="font-medium">{preset.name}</div>
+                <div className="text-xs text-darkTeal font-semibold">{DISTRIBUTIONS[preset.distribution].name}</div>
+                <div className="text-xs text-darkGrey/70 mt-1">{preset.description}</div>
+                <div className="text-xs text-darkTeal mt-1 italic">What to expect: {preset.expectedOutcome}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Enlarged chart modal */}
+        {showChartModal && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onKeyDown={handleChartModalKeyDown}>
+            <div ref={chartModalTrapRef} role="dialog" aria-modal="true" aria-labelledby="discrete-chart-modal-title" className="bg-white rounded-lg shadow-xl p-6 w-11/12 max-w-5xl max-h-screen overflow-y-auto">
+              <div className="flex justify-between items-center mb-4">
+                <h3 id="discrete-chart-modal-title" className="text-2xl font-bold text-darkGrey">
+                  {dist.name} Distribution — {dist.params.map(param => `${param.key} = ${values[param.key].toFixed(param.decimals)}`).join(', ')}
+                </h3>
+                <button
+                  onClick={() => setShowChartModal(false)}
+                  className="text-darkGrey hover:text-red-500 text-2xl font-bold"
+                  aria-label="Close enlarged chart"
+                >
+                  ×
+                </button>
+              </div>
+
+              {/* How to read this chart */}
+              <div className="mb-4 p-4 bg-blue-50 rounded">
+                <h4 className="font-semibold text-darkGrey mb-2">
+                  📊 How to Read This Chart:
+                </h4>
+                <div className="grid md:grid-cols-2 gap-3 text-sm text-darkGrey">
+                  <div>
+                    <p>• <span className="font-semibold">Each Bar:</span> One possible value k — its height is P(X = k)</p>
+                    <p>• <span className="font-semibold" style={{color: 'rgba(180, 83, 9, 1)'}}>Amber Bars:</span> The outcomes counted in your selected probability ({includedNote})</p>
+                  </div>
+                  <div>
+                    <p>• <span className="font-semibold">All bars together add up to 1</span>{truncated ? ' — apart from a tail too small to see' : ''}</p>
+                    <p>• <span className="font-semibold">The mean</span> μ = {mean.toFixed(2)} is the balance point of the bars</p>
+                  </div>
+                </div>
+              </div>
+
+              {/* Enlarged chart */}
+              <div className="h-96 mb-4">
+                <div role="img" className="h-full" aria-label={`Enlarged ${dist.name.toLowerCase()} distribution chart`}>
+                  <Bar data={chartData} options={chartOptions} />
+                </div>
+              </div>
+
+              {/* Key numbers strip */}
+              <div className="bg-gray-50 p-4 rounded">
+                <h4 className="font-semibold text-darkGrey mb-2">Key Numbers:</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                  <div className="text-center">
+                    <p className="text-gray-600">{typeLabel}</p>
+                    <p className="font-mono font-bold">{formatProbability(probability)}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">Mean (μ)</p>
+                    <p className="font-mono font-bold">{mean.toFixed(4)}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">Variance (σ²)</p>
+                    <p className="font-mono font-bold">{model.statistics.variance.toFixed(4)}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">Std Dev (σ)</p>
+                    <p className="font-mono font-bold">{standardDev.toFixed(4)}</p>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DiscreteDistributionsCalculator;
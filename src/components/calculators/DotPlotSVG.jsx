@@ -0,0 +1,150 @@
+import React from 'react';
+import { formatStatValue, niceTicks } from '../../utils/axisTicks';
+
+// Tallest stack drawn before each dot starts standing for several values
+const MAX_STACK = 25;
+const DOT_R = 6;
+const DOT_STEP = 13;
+
+/**
+ * Dot plot rendered as SVG.
+ * Every value is a dot stacked above its place on a shared number line, so
+ * clusters, gaps and repeated values are visible at a glance. Values closer
+ * together than a dot's width share a stack, and when a stack would be taller
+ * than MAX_STACK dots each dot stands for several values (noted in a legend).
+ * A visually hidden list gives the count at every value for screen readers.
+ *
+ * @param {Array} groups - [{ label, values, weights (optional, whole-number frequencies), colors: {fill, border} }]
+ * @param {Object} svgRef - Optional ref to the <svg> element (used for PNG export)
+ */
+const DotPlotSVG = ({ groups, svgRef }) => {
+  const W = 860;
+  const M_LEFT = 28, M_RIGHT = 28, M_TOP = 8;
+  const LABEL_H = 30, AXIS_H = 50;
+  const innerW = W - M_LEFT - M_RIGHT;
+
+  // Count of each distinct value per group, plus the shared value domain
+  let dMin = Infinity, dMax = -Infinity;
+  const counted = groups.map(g => {
+    const counts = new Map();
+    g.values.forEach((v, i) => {
+      const w = g.weights ? g.weights[i] : 1;
+      if (!(w > 0)) return;
+      const key = Number(v.toFixed(10));
+      counts.set(key, (counts.get(key) || 0) + w);
+      dMin = Math.min(dMin, key);
+      dMax = Math.max(dMax, key);
+    });
+    const distinct = [...counts.entries()].sort((a, b) => a[0] - b[0]).map(([value, count]) => ({ value, count }));
+    return { ...g, distinct, n: distinct.reduce((sum, d) => sum + d.count, 0) };
+  });
+
+  if (counted.length === 0 || !isFinite(dMin)) return null;
+  if (dMax === dMin) { dMin -= 1; dMax += 1; }
+  const pad = (dMax - dMin) * 0.05;
+  dMin -= pad;
+  dMax += pad;
+  const x = (v) => M_LEFT + ((v - dMin) / (dMax - dMin)) * innerW;
+
+  // Merge values that would overlap on screen into one stack
+  let merged = false;
+  const stacked = counted.map(g => {
+    const stacks = [];
+    g.distinct.forEach(d => {
+      const last = stacks[stacks.length - 1];
+      if (last && x(d.value) - x(last.from) < DOT_R * 2) {
+        last.to = d.value;
+        last.count += d.count;
+        last.sum += d.value * d.count;
+        merged = true;
+      } else {
+        stacks.push({ from: d.value, to: d.value, count: d.count, sum: d.value * d.count });
+      }
+    });
+    return { ...g, stacks };
+  });
+
+  const tallest = Math.max(...stacked.flatMap(g => g.stacks.map(s => s.count)));
+  const perDot = Math.max(1, Math.ceil(tallest / MAX_STACK));
+  const rowH = LABEL_H + Math.ceil(tallest / perDot) * DOT_STEP + 12;
+  const H = M_TOP + stacked.length * rowH + AXIS_H;
+  const ticks = niceTicks(dMin, dMax);
+  const axisY = M_TOP + stacked.length * rowH + 4;
+
+  const legend = [
+    perDot > 1 && `Each dot = ${perDot} values (partial stacks rounded up)`,
+    merged && 'Nearby values share a stack'
+  ].filter(Boolean);
+
+  const rangeLabel = (s) => (s.from === s.to ? formatStatValue(s.from) : `${formatStatValue(s.from)} to ${formatStatValue(s.to)}`);
+  const ariaLabel = stacked.map(g => {
+    const top = g.stacks.reduce((best, s) => (s.count > best.count ? s : best), g.stacks[0]);
+    return `${g.label}: ${g.n} values from ${formatStatValue(g.distinct[0].value)} to ${formatStatValue(g.distinct[g.distinct.length - 1].value)}, tallest stack ${top.count} at ${rangeLabel(top)}`;
+  }).join('. ');
+
+  return (
+    <>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${W} ${H}`}
+        width={W}
+        height={H}
+        className="w-full h-full"
+        preserveAspectRatio="xMidYMid meet"
+        role="img"
+        aria-label={`Dot plot. ${ariaLabel}`}
+      >
+        {/* Vertical gridlines and axis tick labels */}
+        {ticks.map(t => (
+          <g key={t}>
+            <line x1={x(t)} x2={x(t)} y1={M_TOP} y2={axisY} stroke="#E5E7EB" strokeWidth="1" />
+            <text x={x(t)} y={axisY + 20} textAnchor="middle" fontSize="13" fill="#4B5563">{formatStatValue(t)}</text>
+          </g>
+        ))}
+        <line x1={M_LEFT} x2={W - M_RIGHT} y1={axisY} y2={axisY} stroke="#2A2A2A" strokeWidth="1.5" />
+        <text x={W / 2} y={axisY + 40} textAnchor="middle" fontSize="13" fontWeight="600" fill="#2A2A2A">Values</text>
+
+        {legend.length > 0 && (
+          <text x={W - M_RIGHT} y={M_TOP + 16} textAnchor="end" fontSize="12.5" fill="#374151">{legend.join(' · ')}</text>
+        )}
+
+        {stacked.map((g, gi) => {
+          const rowTop = M_TOP + gi * rowH;
+          const baseY = rowTop + rowH - DOT_R - 4;
+          return (
+            <g key={g.label}>
+              {/* Group name with color chip */}
+              <rect x={M_LEFT} y={rowTop + 6} width="11" height="11" fill={g.colors.fill} stroke={g.colors.border} strokeWidth="1.5" />
+              <text x={M_LEFT + 17} y={rowTop + 16} fontSize="13.5" fontWeight="700" fill="#2A2A2A">{g.label}</text>
+              {gi > 0 && <line x1={M_LEFT} x2={W - M_RIGHT} y1={rowTop} y2={rowTop} stroke="#D1D5DB" strokeDasharray="4 4" />}
+
+              {g.stacks.map(s => {
+                const cx = x(s.sum / s.count);
+                return (
+                  <g key={s.from}>
+                    <title>{`${g.label}: ${rangeLabel(s)} — ${s.count} value${s.count === 1 ? '' : 's'}`}</title>
+                    {Array.from({ length: Math.ceil(s.count / perDot) }, (_, i) => (
+                      <circle key={i} cx={cx} cy={baseY - i * DOT_STEP} r={DOT_R} fill={g.colors.fill} stroke={g.colors.border} strokeWidth="1.5" />
+                    ))}
+                  </g>
+                );
+              })}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="sr-only">
+        {stacked.map(g => (
+          <ul key={g.label} aria-label={`Dot plot counts for ${g.label}`}>
+            {g.distinct.map(d => (
+              <li key={d.value}>{`${g.label}: ${formatStatValue(d.value)} appears ${d.count} time${d.count === 1 ? '' : 's'}`}</li>
+            ))}
+          </ul>
+        ))}
+        {legend.length > 0 && <p>{legend.join('. ')}.</p>}
+      </div>
+    </>
+  );
+};
+
+export default DotPlotSVG;
@@ -1,13 +1,58 @@
-import React, { useState, useEffect } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Line, LineChart, ComposedChart } from 'recharts';
-import { Info, Table2, BarChart3, AlertCircle, Trash2, X, Plus, BookOpen, ChevronDown, ChevronUp } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Line, LineChart, ComposedChart, PieChart, Pie, Cell, ReferenceLine } from 'recharts';
+import { Info, Table2, BarChart3, AlertCircle, Trash2, X, Plus, BookOpen, ChevronDown, ChevronUp, Sigma, PieChart as PieChartIcon, Grid3x3 } from 'lucide-react';
 import useDocumentTitle from '../../hooks/useDocumentTitle';
 import { announcePolite } from '../../utils/announce';
+import { calculateGroupedStatistics } from '../../stats/grouped';
+import {
+  BINNING_RULES,
+  BINNING_RULE_INFO,
+  BOUNDARY_CONVENTIONS,
+  suggestBinning,
+  countIntoClasses,
+  formatClassInterval
+} from '../../stats/binning';
+import { MAX_STEM_LEAF_VALUES } from '../../stats/stemLeaf';
+import { crossTabulate, twoWayPercentages } from '../../stats/crossTab';
+import StemLeafPlot from './StemLeafPlot';
+import DotPlotSVG from './DotPlotSVG';
 
 const MAX_INPUT_COUNT = 1000;
 
 const MAX_CATEGORIES = 10;
 
+const MAX_GROUPED_CLASSES = 15;
+
+const EMPTY_CLASS_ROW = { lower: '', upper: '', frequency: '' };
+
+// Chart types that draw every raw value, so they need the data themselves
+const RAW_VALUE_CHARTS = ['stemleaf', 'dotplot'];
+
+const RAW_PLOT_COLORS = { fill: 'rgba(78, 205, 196, 0.6)', border: '#0F766E' };
+
+// One color per category in the pie chart and the two-way bar chart (MAX_CATEGORIES of them)
+const CATEGORY_COLORS = ['#4ECDC4', '#FF6B6B', '#F59E0B', '#6366F1', '#10B981', '#EC4899', '#0EA5E9', '#84CC16', '#A855F7', '#64748B'];
+
+// What the cells of a two-way table show
+const CROSS_TAB_VIEWS = {
+  count: 'Counts',
+  row: 'Row %',
+  column: 'Column %',
+  total: 'Total %'
+};
+
+// Show a number with at most `digits` decimals and no trailing zeros
+const formatNumber = (value, digits = 4) => String(Number(value.toFixed(digits)));
+
+// Decimal places for class limits: whole numbers up to 4 decimals
+const MAX_CLASS_PRECISION = 4;
+
+// Number of decimals written in a typed value (e.g., 2.25 → 2)
+const decimalPlaces = (value) => {
+  const text = String(value);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+};
+
 const FrequencyDistributionCalculator = () => {
   useDocumentTitle('Frequency Distribution Calculator');
   const [dataInput, setDataInput] = useState('');
@@ -16,17 +61,35 @@ const FrequencyDistributionCalculator = () => {
   const [classWidth, setClassWidth] = useState('');
   const [minValue, setMinValue] = useState('');
   const [autoCalculate, setAutoCalculate] = useState(true);
+  const [binningRule, setBinningRule] = useState(BINNING_RULES.STURGES);
+  const [boundaryConvention, setBoundaryConvention] = useState(BOUNDARY_CONVENTIONS.LEFT_CLOSED);
+  const [classPrecision, setClassPrecision] = useState(0);
   const [frequencyTable, setFrequencyTable] = useState([]);
   const [statistics, setStatistics] = useState(null);
   const [error, setError] = useState('');
-  const [chartType, setChartType] = useState('histogram'); // 'histogram', 'polygon', 'both'
+  const [chartType, setChartType] = useState('histogram'); // 'histogram', 'polygon', 'both', 'stemleaf', 'dotplot'
+  const [splitStems, setSplitStems] = useState(false);
+  const [rawValues, setRawValues] = useState([]); // numeric data of the last calculation, for the raw-value charts
   const [showDataWarning, setShowDataWarning] = useState(true);
   // Categorical data states
-  const [categoricalInputMode, setCategoricalInputMode] = useState('raw'); // 'raw' or 'counts'
+  const [categoricalInputMode, setCategoricalInputMode] = useState('raw'); // 'raw', 'counts' or 'twoway'
   const [categoryInputs, setCategoryInputs] = useState([
     { category: '', count: '' },
     { category: '', count: '' }
   ]);
+  // Continuous data can also be entered as an existing grouped table
+  const [continuousInputMode, setContinuousInputMode] = useState('raw'); // 'raw' or 'grouped'
+  const [classInputs, setClassInputs] = useState([
+    { ...EMPTY_CLASS_ROW },
+    { ...EMPTY_CLASS_ROW },
+    { ...EMPTY_CLASS_ROW }
+  ]);
+  // Two categorical variables entered as pairs and cross-tabulated
+  const [rowVariable, setRowVariable] = useState('');
+  const [colVariable, setColVariable] = useState('');
+  const [crossTab, setCrossTab] = useState(null);
+  const [crossTabView, setCrossTabView] = useState('count'); // key of CROSS_TAB_VIEWS
+  const [crossTabChart, setCrossTabChart] = useState('clustered'); // 'clustered' or 'stacked'
   const [loadedSample, setLoadedSample] = useState('');
   const [showGuide, setShowGuide] = useState(false);
 
@@ -51,6 +114,13 @@ const FrequencyDistributionCalculator = () => {
       data: '158, 162, 165, 168, 170, 172, 175, 178, 180, 182, 160, 163, 166, 169, 171, 173, 176, 179, 181, 159, 164, 167, 174, 177, 161, 183, 184, 185, 186, 187',
       type: 'continuous'
     },
+    {
+      name: 'Commute Times (Grouped Table)',
+      data: '',
+      type: 'continuous',
+      inputMode: 'grouped',
+      classes: [[0, 9, 5], [10, 19, 12], [20, 29, 18], [30, 39, 9], [40, 49, 4], [50, 59, 2]]
+    },
     {
       name: 'Survey Yes/No (Categorical)',
       data: 'Yes, No, Yes, Yes, No, Yes, No, No, Yes, Yes, No, Yes, N/A, Yes, No, No, Yes, N/A, Yes, No, Yes, Yes, No, N/A, Yes',
@@ -62,6 +132,13 @@ const FrequencyDistributionCalculator = () => {
       data: 'A, B, O, AB, A, O, O, A, B, O, A, O, AB, A, O, B, O, A, A, O, B, O, A, O, O, AB, A, O, B, A',
       type: 'categorical',
       inputMode: 'raw'
+    },
+    {
+      name: 'Snack Choice by Grade (Two-Way)',
+      data: 'Grade 6, Fruit, 14\nGrade 6, Chips, 22\nGrade 6, Candy, 19\nGrade 7, Fruit, 18\nGrade 7, Chips, 20\nGrade 7, Candy, 12\nGrade 8, Fruit, 25\nGrade 8, Chips, 16\nGrade 8, Candy, 9',
+      type: 'categorical',
+      inputMode: 'twoway',
+      variables: ['Grade', 'Snack']
     }
   ];
 
@@ -73,6 +150,20 @@ const FrequencyDistributionCalculator = () => {
     if (dataset.type === 'categorical') {
       setCategoricalInputMode(dataset.inputMode || 'raw');
       setCategoryInputs([{ category: '', count: '' }, { category: '', count: '' }]);
+      if (dataset.variables) {
+        setRowVariable(dataset.variables[0]);
+        setColVariable(dataset.variables[1]);
+      }
+    }
+    if (dataset.type === 'continuous') {
+      setContinuousInputMode(dataset.inputMode || 'raw');
+      if (dataset.classes) {
+        setClassInputs(dataset.classes.map(([lower, upper, frequency]) => ({
+          lower: String(lower),
+          upper: String(upper),
+          frequency: String(frequency)
+        })));
+      }
     }
     announcePolite('Loaded sample: ' + dataset.name);
   };
@@ -93,6 +184,76 @@ const FrequencyDistributionCalculator = () => {
       .filter(val => val.length > 0);
   };
 
+  // One observation per line: "row category, column category", optionally
+  // followed by how many times that combination occurred
+  const parseCategoryPairs = (input) => {
+    const records = [];
+    const invalidLines = [];
+    input.split('\n').forEach((line, i) => {
+      if (line.trim() === '') return;
+      const parts = line.split(/[,;\t]/).map(part => part.trim());
+      const count = parts.length === 3 && parts[2] !== '' ? Number(parts[2]) : 1;
+      if (parts.length < 2 || parts.length > 3 || !parts[0] || !parts[1] || !Number.isInteger(count) || count < 0) {
+        invalidLines.push(i + 1);
+        return;
+      }
+      records.push({ row: parts[0], col: parts[1], count });
+    });
+    return { records, invalidLines };
+  };
+
+  // Class layout and counts under every binning rule, for the side-by-side preview
+  const binningPreviews = useMemo(() => {
+    if (dataType !== 'continuous' || continuousInputMode !== 'raw') return [];
+    const data = parseData(dataInput);
+    if (data.length < 2 || data.length > MAX_INPUT_COUNT) return [];
+    return Object.values(BINNING_RULES).map(rule => {
+      const { fallback, ...layout } = suggestBinning(data, rule, classPrecision);
+      const classes = countIntoClasses(data, layout, boundaryConvention);
+      return {
+        rule,
+        ...layout,
+        fallback,
+        bars: classes.map(cls => ({
+          classLabel: `${cls.lower.toFixed(classPrecision)}-${cls.upper.toFixed(classPrecision)}`,
+          frequency: cls.frequency
+        }))
+      };
+    });
+  }, [dataInput, dataType, continuousInputMode, classPrecision, boundaryConvention]);
+
+  // The last calculation's values, for the stem-and-leaf and dot plots
+  const rawPlotGroups = useMemo(() => [{ label: 'Your Data', values: rawValues, colors: RAW_PLOT_COLORS }], [rawValues]);
+  const showRawValueChart = dataType !== 'categorical' && rawValues.length > 0 && RAW_VALUE_CHARTS.includes(chartType);
+
+  // Bar chart of the two-way table in the current view. Column percentages
+  // compare the rows within each column, so that view groups the bars by column.
+  const crossTabChartData = useMemo(() => {
+    if (!crossTab) return null;
+    const byColumn = crossTabView === 'column';
+    const values = {
+      count: crossTab.counts,
+      row: crossTab.rowPercents,
+      column: crossTab.colPercents,
+      total: crossTab.totalPercents
+    }[crossTabView];
+    const groups = byColumn ? crossTab.colLabels : crossTab.rowLabels;
+    const series = byColumn ? crossTab.rowLabels : crossTab.colLabels;
+    return {
+      groupVariable: byColumn ? crossTab.colVariable : crossTab.rowVariable,
+      seriesVariable: byColumn ? crossTab.rowVariable : crossTab.colVariable,
+      series,
+      data: groups.map((group, g) => {
+        const entry = { group };
+        series.forEach((_, k) => {
+          const value = byColumn ? values[k][g] : values[g][k];
+          entry[`s${k}`] = crossTabView === 'count' ? value : Number(value.toFixed(2));
+        });
+        return entry;
+      })
+    };
+  }, [crossTab, crossTabView]);
+
   const addCategoryInput = () => {
     if (categoryInputs.length < MAX_CATEGORIES) {
       setCategoryInputs([...categoryInputs, { category: '', count: '' }]);
@@ -111,15 +272,53 @@ const FrequencyDistributionCalculator = () => {
     setCategoryInputs(updated);
   };
 
+  const addClassInput = () => {
+    if (classInputs.length < MAX_GROUPED_CLASSES) {
+      setClassInputs([...classInputs, { ...EMPTY_CLASS_ROW }]);
+    }
+  };
+
+  const removeClassInput = (index) => {
+    if (classInputs.length > 2) {
+      setClassInputs(classInputs.filter((_, i) => i !== index));
+    }
+  };
+
+  const updateClassInput = (index, field, value) => {
+    const updated = [...classInputs];
+    updated[index] = { ...updated[index], [field]: value };
+    setClassInputs(updated);
+    setLoadedSample('');
+  };
+
   const calculateFrequencyDistribution = () => {
     setError('');
     setShowDataWarning(true);
+    setRawValues([]);
+    setCrossTab(null);
+
+    // Categories and grouped tables have no raw values to plot one by one
+    if (dataType === 'categorical' || (dataType === 'continuous' && continuousInputMode === 'grouped')) {
+      if (RAW_VALUE_CHARTS.includes(chartType)) setChartType('histogram');
+    }
+
+    if (dataType === 'categorical' && categoricalInputMode === 'twoway') {
+      setFrequencyTable([]);
+      setStatistics(null);
+      calculateCrossTab();
+      return;
+    }
 
     if (dataType === 'categorical') {
       calculateCategoricalFrequency();
       return;
     }
 
+    if (dataType === 'continuous' && continuousInputMode === 'grouped') {
+      calculateGroupedFrequency();
+      return;
+    }
+
     const data = parseData(dataInput);
 
     if (data.length === 0) {
@@ -137,6 +336,8 @@ const FrequencyDistributionCalculator = () => {
     const max = Math.max(...data);
     const range = max - min;
 
+    setRawValues(data);
+
     let stats = {
       n,
       min,
@@ -247,6 +448,112 @@ const FrequencyDistributionCalculator = () => {
     announcePolite('Frequency distribution calculated for ' + n + ' values.');
   };
 
+  const calculateCrossTab = () => {
+    const { records, invalidLines } = parseCategoryPairs(dataInput);
+
+    if (invalidLines.length > 0) {
+      setError(`Line${invalidLines.length === 1 ? '' : 's'} ${invalidLines.join(', ')}: expected "row category, column category" with an optional whole-number count`);
+      return;
+    }
+
+    if (records.length === 0) {
+      setError('Please enter at least one pair of categories');
+      return;
+    }
+
+    if (records.length > MAX_INPUT_COUNT) {
+      setError(`Data exceeds maximum limit of ${MAX_INPUT_COUNT} lines`);
+      return;
+    }
+
+    const table = crossTabulate(records);
+    if (table.rowLabels.length > MAX_CATEGORIES || table.colLabels.length > MAX_CATEGORIES) {
+      setError(`Too many categories. Each variable can have at most ${MAX_CATEGORIES} categories.`);
+      return;
+    }
+
+    const margins = twoWayPercentages(table.counts);
+    if (margins.grandTotal === 0) {
+      setError('The counts add up to 0 — at least one pair needs a positive count.');
+      return;
+    }
+
+    setCrossTab({
+      ...table,
+      ...margins,
+      rowVariable: rowVariable.trim() || 'Row variable',
+      colVariable: colVariable.trim() || 'Column variable'
+    });
+    announcePolite(`Two-way table calculated: ${table.rowLabels.length} by ${table.colLabels.length} categories, ${margins.grandTotal} observations.`);
+  };
+
+  const calculateGroupedFrequency = () => {
+    // Blank rows are ignored; partly filled rows are an error
+    const filled = classInputs
+      .map((row, index) => ({ ...row, index }))
+      .filter(row => row.lower !== '' || row.upper !== '' || row.frequency !== '');
+
+    if (filled.length === 0) {
+      setError('Please enter at least one class with its limits and frequency');
+      return;
+    }
+
+    const classes = [];
+    for (const row of filled) {
+      const lower = parseFloat(row.lower);
+      const upper = parseFloat(row.upper);
+      const frequency = parseFloat(row.frequency);
+      if ([lower, upper, frequency].some(isNaN)) {
+        setError(`Class ${row.index + 1}: enter a lower limit, an upper limit and a frequency`);
+        return;
+      }
+      if (frequency < 0) {
+        setError(`Class ${row.index + 1}: the frequency cannot be negative`);
+        return;
+      }
+      classes.push({ lower, upper, frequency });
+    }
+    classes.sort((a, b) => a.lower - b.lower);
+
+    const grouped = calculateGroupedStatistics(classes);
+    if (grouped.error) {
+      setError(grouped.error);
+      return;
+    }
+
+    const { rows, n } = grouped;
+    const table = rows.map(row => ({
+      class: `${row.lower} – ${row.upper}`,
+      classLabel: `${row.lower}-${row.upper}`,
+      lower: row.lower,
+      upper: row.upper,
+      midpoint: formatNumber(row.midpoint, 2),
+      frequency: row.frequency,
+      relativeFrequency: (row.frequency / n).toFixed(4),
+      percentage: ((row.frequency / n) * 100).toFixed(2),
+      cumulativeFrequency: row.cumulativeFrequency,
+      cumulativePercentage: ((row.cumulativeFrequency / n) * 100).toFixed(2),
+      cumulativeRelativeFreq: (row.cumulativeFrequency / n).toFixed(4)
+    }));
+
+    const widths = rows.map(row => row.upperBoundary - row.lowerBoundary);
+    const min = rows[0].lowerBoundary;
+    const max = rows[rows.length - 1].upperBoundary;
+
+    setFrequencyTable(table);
+    setStatistics({
+      n,
+      min,
+      max,
+      range: max - min,
+      mean: grouped.mean,
+      numClasses: rows.length,
+      classWidth: widths.every(w => Math.abs(w - widths[0]) < 1e-9) ? formatNumber(widths[0]) : 'Varies',
+      grouped
+    });
+    announcePolite(`Grouped statistics calculated for ${n} values in ${rows.length} classes. Mean ${grouped.mean.toFixed(2)}, median ${grouped.median.value.toFixed(2)}.`);
+  };
+
   const calculateDiscreteFrequency = (data, stats) => {
     // Count frequency of each unique value
     const frequencyMap = {};
@@ -287,55 +594,30 @@ const FrequencyDistributionCalculator = () => {
   };
 
   const calculateContinuousFrequency = (data, stats) => {
-    let numClasses, width, start;
+    let layout;
+    let fallback = false;
 
     if (autoCalculate) {
-      // Sturges' Rule: k = 1 + 3.322 * log10(n)
-      numClasses = Math.ceil(1 + 3.322 * Math.log10(stats.n));
-      width = Math.ceil(stats.range / numClasses);
-      start = Math.floor(stats.min);
+      ({ fallback, ...layout } = suggestBinning(data, binningRule, classPrecision));
     } else {
-      numClasses = parseInt(numberOfClasses) || 5;
-      width = parseFloat(classWidth) || Math.ceil(stats.range / numClasses);
-      start = parseFloat(minValue) || Math.floor(stats.min);
-    }
-
-    // Create class intervals
-    const classes = [];
-    for (let i = 0; i < numClasses; i++) {
-      const lower = start + (i * width);
-      const upper = lower + width;
-      classes.push({
-        lower,
-        upper,
-        midpoint: (lower + upper) / 2,
-        frequency: 0
-      });
+      const count = parseInt(numberOfClasses) || 5;
+      layout = {
+        numClasses: count,
+        width: parseFloat(classWidth) || Math.ceil(stats.range / count),
+        start: parseFloat(minValue) || Math.floor(stats.min)
+      };
     }
 
-    // Count frequencies
-    data.forEach(value => {
-      for (let i = 0; i < classes.length; i++) {
-        const cls = classes[i];
-        if (i === classes.length - 1) {
-          // Last class includes upper bound
-          if (value >= cls.lower && value <= cls.upper) {
-            cls.frequency++;
-            break;
-          }
-        } else {
-          // Other classes: lower <= value < upper
-          if (value >= cls.lower && value < cls.upper) {
-            cls.frequency++;
-            break;
-          }
-        }
-      }
-    });
+    const { numClasses, width, start } = layout;
+    // Typed limits may carry more decimals than the chosen precision
+    const decimals = autoCalculate
+      ? classPrecision
+      : Math.max(classPrecision, decimalPlaces(width), decimalPlaces(start));
+    const classes = countIntoClasses(data, layout, boundaryConvention);
 
     // Calculate cumulative values
     let cumulative = 0;
-    const table = classes.map(cls => {
+    const table = classes.map((cls, index) => {
       const relativeFreq = cls.frequency / stats.n;
       const percentage = relativeFreq * 100;
       cumulative += cls.frequency;
@@ -343,11 +625,11 @@ const FrequencyDistributionCalculator = () => {
       const cumulativeRelativeFreq = cumulative / stats.n;
 
       return {
-        class: `[${cls.lower}, ${cls.upper}${classes[classes.length - 1] === cls ? ']' : ')'}`,
-        classLabel: `${cls.lower}-${cls.upper}`,
+        class: formatClassInterval(cls, index, classes.length, boundaryConvention, decimals),
+        classLabel: `${cls.lower.toFixed(decimals)}-${cls.upper.toFixed(decimals)}`,
         lower: cls.lower,
         upper: cls.upper,
-        midpoint: cls.midpoint.toFixed(2),
+        midpoint: cls.midpoint.toFixed(Math.max(2, decimals)),
         frequency: cls.frequency,
         relativeFrequency: relativeFreq.toFixed(4),
         percentage: percentage.toFixed(2),
@@ -358,7 +640,14 @@ const FrequencyDistributionCalculator = () => {
     });
 
     setFrequencyTable(table);
-    setStatistics({ ...stats, numClasses, classWidth: width, startValue: start });
+    setStatistics({
+      ...stats,
+      numClasses,
+      classWidth: formatNumber(width, decimals),
+      startValue: start,
+      binningRule: autoCalculate ? binningRule : null,
+      binningFallback: fallback
+    });
     announcePolite('Frequency distribution calculated for ' + data.length + ' values.');
   };
 
@@ -369,9 +658,14 @@ const FrequencyDistributionCalculator = () => {
     setMinValue('');
     setFrequencyTable([]);
     setStatistics(null);
+    setRawValues([]);
+    setCrossTab(null);
+    setRowVariable('');
+    setColVariable('');
     setError('');
     setShowDataWarning(true);
     setCategoryInputs([{ category: '', count: '' }, { category: '', count: '' }]);
+    setClassInputs([{ ...EMPTY_CLASS_ROW }, { ...EMPTY_CLASS_ROW }, { ...EMPTY_CLASS_ROW }]);
     setLoadedSample('');
   };
 
@@ -523,6 +817,7 @@ const FrequencyDistributionCalculator = () => {
                 <li>The sum of all percentages must equal 100%</li>
                 <li>The last cumulative frequency always equals n</li>
                 <li>For continuous data, use Sturges' Rule: k = 1 + 3.322 × log₁₀(n) to find optimal number of classes</li>
+                <li>For skewed data or data with outliers, the Freedman–Diaconis rule (width = 2 × IQR ÷ ∛n) usually gives a more honest histogram — compare the rules side by side before choosing</li>
               </ul>
             </div>
           </div>
@@ -615,12 +910,53 @@ const FrequencyDistributionCalculator = () => {
               />
               <span className="text-darkGrey">Category Counts</span>
             </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                value="twoway"
+                checked={categoricalInputMode === 'twoway'}
+                onChange={(e) => setCategoricalInputMode(e.target.value)}
+                className="w-4 h-4 text-darkTeal"
+              />
+              <span className="text-darkGrey">Two-Way Table (two variables)</span>
+            </label>
+          </div>
+        </div>
+      )}
+
+      {/* Continuous Input Mode Selection */}
+      {dataType === 'continuous' && (
+        <div className="mb-6 p-4 bg-platinum rounded-lg">
+          <h3 className="font-bold text-darkGrey mb-3">Input Mode</h3>
+          <div className="flex flex-wrap gap-4">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                value="raw"
+                checked={continuousInputMode === 'raw'}
+                onChange={(e) => setContinuousInputMode(e.target.value)}
+                className="w-4 h-4 text-darkTeal"
+              />
+              <span className="text-darkGrey">Raw Data (build the classes)</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                value="grouped"
+                checked={continuousInputMode === 'grouped'}
+                onChange={(e) => setContinuousInputMode(e.target.value)}
+                className="w-4 h-4 text-darkTeal"
+              />
+              <span className="text-darkGrey">Grouped Table (class limits and frequencies)</span>
+            </label>
           </div>
         </div>
       )}
 
       {/* Data Input - Raw mode for numeric or categorical */}
-      {(dataType !== 'categorical' || categoricalInputMode === 'raw') && (
+      {(dataType === 'discrete'
+        || (dataType === 'continuous' && continuousInputMode === 'raw')
+        || (dataType === 'categorical' && categoricalInputMode === 'raw')) && (
         <div className="mb-6">
           <label htmlFor="freq-data-input" className="block text-darkGrey font-bold mb-2">
             Enter Data (comma or newline separated, max {MAX_INPUT_COUNT} values)
@@ -644,6 +980,52 @@ const FrequencyDistributionCalculator = () => {
         </div>
       )}
 
+      {/* Two-Way Table Input */}
+      {dataType === 'categorical' && categoricalInputMode === 'twoway' && (
+        <div className="mb-6 p-4 bg-platinum rounded-lg">
+          <h3 className="font-bold text-darkGrey mb-3">Two Categorical Variables (max {MAX_CATEGORIES} categories each)</h3>
+          <div className="grid md:grid-cols-2 gap-3 mb-3">
+            <div>
+              <label htmlFor="freq-row-variable" className="block text-sm text-darkGrey font-medium mb-1">Row variable name</label>
+              <input
+                id="freq-row-variable"
+                type="text"
+                value={rowVariable}
+                onChange={(e) => setRowVariable(e.target.value)}
+                placeholder="e.g., Grade"
+                className="w-full p-2 border-2 border-platinum rounded-lg focus:border-darkTeal focus:outline-none bg-white"
+              />
+            </div>
+            <div>
+              <label htmlFor="freq-col-variable" className="block text-sm text-darkGrey font-medium mb-1">Column variable name</label>
+              <input
+                id="freq-col-variable"
+                type="text"
+                value={colVariable}
+                onChange={(e) => setColVariable(e.target.value)}
+                placeholder="e.g., Snack"
+                className="w-full p-2 border-2 border-platinum rounded-lg focus:border-darkTeal focus:outline-none bg-white"
+              />
+            </div>
+          </div>
+          <label htmlFor="freq-pairs-input" className="block text-darkGrey font-bold mb-2">
+            Enter Pairs (one observation per line, max {MAX_INPUT_COUNT} lines)
+          </label>
+          <textarea
+            id="freq-pairs-input"
+            value={dataInput}
+            onChange={(e) => { setDataInput(e.target.value); setLoadedSample(''); }}
+            placeholder={'Grade 6, Fruit\nGrade 7, Chips\nGrade 6, Candy, 4   ← an optional third number counts the pair several times'}
+            className="w-full p-3 border-2 border-white rounded-lg focus:border-darkTeal focus:outline-none min-h-32 bg-white font-mono text-sm"
+            aria-invalid={!!error}
+            aria-describedby="freq-error freq-pairs-help"
+          />
+          <p id="freq-pairs-help" className="text-sm text-darkGrey opacity-70 mt-1">
+            Each line is &quot;row category, column category&quot;, optionally followed by a count for that combination. {parseCategoryPairs(dataInput).records.length} valid lines.
+          </p>
+        </div>
+      )}
+
       {/* Category Counts Input */}
       {dataType === 'categorical' && categoricalInputMode === 'counts' && (
         <div className="mb-6 p-4 bg-platinum rounded-lg">
@@ -698,8 +1080,78 @@ const FrequencyDistributionCalculator = () => {
         </div>
       )}
 
+      {/* Grouped Table Input */}
+      {dataType === 'continuous' && continuousInputMode === 'grouped' && (
+        <div className="mb-6 p-4 bg-platinum rounded-lg">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="font-bold text-darkGrey">Class Table (max {MAX_GROUPED_CLASSES} classes)</h3>
+            {classInputs.length < MAX_GROUPED_CLASSES && (
+              <button
+                onClick={addClassInput}
+                className="px-3 py-1 bg-darkTeal text-white rounded-lg hover:bg-opacity-90 transition-all text-sm flex items-center gap-1"
+              >
+                <Plus size={16} /> Add Class
+              </button>
+            )}
+          </div>
+          <p className="text-sm text-darkGrey opacity-70 mb-4">
+            Type the class limits exactly as your table shows them (e.g., 10 – 19, 20 – 29). Gaps between classes are split to get the class boundaries.
+          </p>
+          <div className="space-y-2">
+            {classInputs.map((row, index) => (
+              <div key={index} className="flex gap-2 items-center">
+                <span className="w-16 text-sm text-darkGrey font-bold">Class {index + 1}</span>
+                <input
+                  id={`freq-class-lower-${index}`}
+                  type="number"
+                  value={row.lower}
+                  onChange={(e) => updateClassInput(index, 'lower', e.target.value)}
+                  placeholder="Lower limit"
+                  aria-label={`Class ${index + 1} lower limit`}
+                  className="flex-1 min-w-0 p-2 border-2 border-platinum rounded-lg focus:border-darkTeal focus:outline-none bg-white"
+                  step="any"
+                />
+                <span className="text-darkGrey" aria-hidden="true">–</span>
+                <input
+                  id={`freq-class-upper-${index}`}
+                  type="number"
+                  value={row.upper}
+                  onChange={(e) => updateClassInput(index, 'upper', e.target.value)}
+                  placeholder="Upper limit"
+                  aria-label={`Class ${index + 1} upper limit`}
+                  className="flex-1 min-w-0 p-2 border-2 border-platinum rounded-lg focus:border-darkTeal focus:outline-none bg-white"
+                  step="any"
+                />
+                <input
+                  id={`freq-class-frequency-${index}`}
+                  type="number"
+                  value={row.frequency}
+                  onChange={(e) => updateClassInput(index, 'frequency', e.target.value)}
+                  placeholder="f"
+                  aria-label={`Class ${index + 1} frequency`}
+                  min="0"
+                  className="w-24 p-2 border-2 border-platinum rounded-lg focus:border-darkTeal focus:outline-none bg-white"
+                />
+                {classInputs.length > 2 && (
+                  <button
+                    onClick={() => removeClassInput(index)}
+                    className="p-2 text-red-500 hover:bg-red-100 rounded-lg transition-all"
+                    aria-label={`Remove class ${index + 1}`}
+                  >
+                    <Trash2 size={18} aria-hidden="true" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          <p className="text-sm text-darkGrey opacity-70 mt-2">
+            Total: {classInputs.reduce((sum, row) => sum + (parseFloat(row.frequency) || 0), 0)} values across {classInputs.filter(row => row.lower !== '' && row.upper !== '' && row.frequency !== '').length} classes
+          </p>
+        </div>
+      )}
+
       {/* Continuous Data Options */}
-      {dataType === 'continuous' && (
+      {dataType === 'continuous' && continuousInputMode === 'raw' && (
         <div className="mb-6 p-4 bg-platinum rounded-lg">
           <div className="flex items-center gap-2 mb-4">
             <input
@@ -710,10 +1162,117 @@ const FrequencyDistributionCalculator = () => {
               className="w-4 h-4 text-darkTeal"
             />
             <label htmlFor="freq-auto-calculate" className="text-darkGrey font-bold">
-              Auto-calculate (Sturges' Rule)
+              Auto-calculate classes ({BINNING_RULE_INFO[binningRule].name} rule)
             </label>
           </div>
 
+          {autoCalculate && (
+            <div className="mb-4">
+              <label htmlFor="freq-binning-rule" className="block text-darkGrey font-bold mb-2">
+                Binning Rule
+              </label>
+              <select
+                id="freq-binning-rule"
+                value={binningRule}
+                onChange={(e) => { setBinningRule(e.target.value); announcePolite(`${BINNING_RULE_INFO[e.target.value].name} rule selected.`); }}
+                className="w-full md:w-1/2 p-2 border-2 border-platinum rounded-lg focus:border-darkTeal focus:outline-none bg-white"
+              >
+                {Object.values(BINNING_RULES).map(rule => (
+                  <option key={rule} value={rule}>
+                    {BINNING_RULE_INFO[rule].name}: {BINNING_RULE_INFO[rule].formula}
+                  </option>
+                ))}
+              </select>
+              <p className="text-sm text-darkGrey opacity-70 mt-1">{BINNING_RULE_INFO[binningRule].note}</p>
+            </div>
+          )}
+
+          {autoCalculate && binningPreviews.length > 0 && (
+            <div className="mb-4">
+              <h4 className="font-bold text-darkGrey mb-2">Compare the Rules on Your Data</h4>
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-2">
+                {binningPreviews.map(preview => {
+                  const info = BINNING_RULE_INFO[preview.rule];
+                  const selected = preview.rule === binningRule;
+                  return (
+                    <button
+                      key={preview.rule}
+                      type="button"
+                      onClick={() => { setBinningRule(preview.rule); announcePolite(`${info.name} rule selected.`); }}
+                      aria-pressed={selected}
+                      className={`p-2 rounded-lg border-2 text-left bg-white transition-all ${selected ? 'border-darkTeal' : 'border-platinum hover:border-darkTeal'}`}
+                    >
+                      <p className="font-bold text-darkGrey text-sm">{info.name}{selected && ' ✓'}</p>
+                      <p className="text-xs text-darkGrey opacity-70">
+                        k = {preview.numClasses}, width = {formatNumber(preview.width, classPrecision)}
+                        {preview.fallback && ' (no spread — Sturges used)'}
+                      </p>
+                      <div
+                        role="img"
+                        aria-label={`${info.name} preview: ${preview.numClasses} classes of width ${formatNumber(preview.width, classPrecision)}, frequencies ${preview.bars.map(bar => bar.frequency).join(', ')}`}
+                      >
+                        <ResponsiveContainer width="100%" height={90}>
+                          <BarChart data={preview.bars} barCategoryGap={0} margin={{ top: 4, right: 4, bottom: 0, left: 4 }}>
+                            <XAxis dataKey="classLabel" hide />
+                            <YAxis hide />
+                            <Bar dataKey="frequency" fill={selected ? '#4ECDC4' : '#9CA3AF'} isAnimationActive={false} />
+                          </BarChart>
+                        </ResponsiveContainer>
+                      </div>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <fieldset>
+              <legend className="block text-darkGrey font-bold mb-2">Boundary Convention</legend>
+              <div className="flex flex-col gap-1">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="freq-boundary-convention"
+                    value={BOUNDARY_CONVENTIONS.LEFT_CLOSED}
+                    checked={boundaryConvention === BOUNDARY_CONVENTIONS.LEFT_CLOSED}
+                    onChange={(e) => setBoundaryConvention(e.target.value)}
+                    className="w-4 h-4 text-darkTeal"
+                  />
+                  <span className="text-darkGrey">Left-closed [a, b) — a value on a boundary goes up to the next class</span>
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="freq-boundary-convention"
+                    value={BOUNDARY_CONVENTIONS.RIGHT_CLOSED}
+                    checked={boundaryConvention === BOUNDARY_CONVENTIONS.RIGHT_CLOSED}
+                    onChange={(e) => setBoundaryConvention(e.target.value)}
+                    className="w-4 h-4 text-darkTeal"
+                  />
+                  <span className="text-darkGrey">Right-closed (a, b] — a value on a boundary stays in the lower class</span>
+                </label>
+              </div>
+            </fieldset>
+            <div>
+              <label htmlFor="freq-class-precision" className="block text-darkGrey font-bold mb-2">
+                Decimal Places for Class Limits
+              </label>
+              <select
+                id="freq-class-precision"
+                value={classPrecision}
+                onChange={(e) => setClassPrecision(parseInt(e.target.value))}
+                className="w-full p-2 border-2 border-platinum rounded-lg focus:border-darkTeal focus:outline-none bg-white"
+              >
+                {Array.from({ length: MAX_CLASS_PRECISION + 1 }, (_, d) => (
+                  <option key={d} value={d}>
+                    {d === 0 ? 'Whole numbers (e.g., 45)' : `${d} decimal${d > 1 ? 's' : ''} (e.g., ${(45).toFixed(d)})`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
           {!autoCalculate && (
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div>
@@ -810,6 +1369,19 @@ const FrequencyDistributionCalculator = () => {
                   <p className="text-sm text-darkGrey opacity-70">Number of Categories</p>
                   <p className="text-xl font-bold text-darkGrey">{statistics.numCategories}</p>
                 </div>
+              ) : statistics.grouped ? (
+                <>
+                  <div>
+                    <p className="text-sm text-darkGrey opacity-70">Class Boundaries</p>
+                    <p className="text-xl font-bold text-darkGrey">
+                      {formatNumber(statistics.min)} - {formatNumber(statistics.max)}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-sm text-darkGrey opacity-70">Grouped Mean</p>
+                    <p className="text-xl font-bold text-darkGrey">{statistics.mean.toFixed(2)}</p>
+                  </div>
+                </>
               ) : (
                 <>
                   <div>
@@ -838,6 +1410,17 @@ const FrequencyDistributionCalculator = () => {
                     <p className="text-sm text-darkGrey opacity-70">Class Width</p>
                     <p className="text-xl font-bold text-darkGrey">{statistics.classWidth}</p>
                   </div>
+                  {!statistics.grouped && (
+                    <div>
+                      <p className="text-sm text-darkGrey opacity-70">Binning Rule</p>
+                      <p className="text-xl font-bold text-darkGrey">
+                        {statistics.binningRule ? BINNING_RULE_INFO[statistics.binningRule].name : 'Manual'}
+                      </p>
+                      {statistics.binningFallback && (
+                        <p className="text-xs text-darkGrey opacity-70">No spread to measure — Sturges used instead</p>
+                      )}
+                    </div>
+                  )}
                 </>
               )}
             </div>
@@ -933,42 +1516,227 @@ const FrequencyDistributionCalculator = () => {
             </table>
           </div>
 
-          {/* Chart Type Selection for Continuous Data */}
-          {dataType === 'continuous' && (
+          {/* Grouped-Data Statistics with step-by-step work */}
+          {dataType === 'continuous' && statistics.grouped && (() => {
+            const g = statistics.grouped;
+            const classText = (i) => `${g.rows[i].lower} – ${g.rows[i].upper}`;
+            const interpolation = (label, symbol, fraction, detail) => (
+              <div className="p-3 bg-white rounded-lg">
+                <p className="font-bold text-darkTeal mb-1">{label}</p>
+                <p>
+                  Position = {fraction} = <span className="font-mono">{formatNumber(detail.position)}</span>, which falls in
+                  class <strong>{classText(detail.classIndex)}</strong> (the first class whose cumulative frequency reaches it).
+                </p>
+                <p className="font-mono mt-1">
+                  {symbol} = L + ((position − CF) ÷ f) × w = {formatNumber(detail.L)} + (({formatNumber(detail.position)} − {formatNumber(detail.cfBefore)}) ÷ {formatNumber(detail.f)}) × {formatNumber(detail.width)} = <strong>{formatNumber(detail.value)}</strong>
+                </p>
+              </div>
+            );
+            return (
+              <div className="p-4 bg-platinum rounded-lg">
+                <h3 className="font-bold text-darkGrey mb-1 flex items-center gap-2">
+                  <Sigma className="text-darkTeal" size={24} aria-hidden="true" />
+                  Grouped Data Statistics
+                </h3>
+                <p className="text-sm text-darkGrey opacity-70 mb-4">
+                  The table hides the individual values, so these are estimates: the mean and spread treat every value as if it sat at its class midpoint, and the median and quartiles assume values are spread evenly within each class.
+                </p>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                  {[
+                    ['Mean (x̄)', g.mean],
+                    ['Sample Variance (s²)', g.sampleVariance],
+                    ['Sample SD (s)', g.sampleSD],
+                    ['Median', g.median.value],
+                    ['Q1', g.q1.value],
+                    ['Q3', g.q3.value],
+                    ['IQR', g.iqr],
+                    ['Mode (estimate)', g.mode.value]
+                  ].map(([label, value]) => (
+                    <div key={label} className="p-3 bg-white rounded-lg">
+                      <p className="text-sm text-darkGrey opacity-70">{label}</p>
+                      <p className="text-xl font-bold text-darkGrey">{formatNumber(value)}</p>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-sm text-darkGrey mb-4">
+                  <strong>Modal class:</strong> {g.modalClasses.map(classText).join(', ')} (f = {formatNumber(g.rows[g.modalClasses[0]].frequency)})
+                  {g.modalClasses.length > 1 && ' — more than one class has the highest frequency, so the mode estimate uses the first.'}
+                  {' '}Population formulas (÷ n): σ² = {formatNumber(g.populationVariance)}, σ = {formatNumber(g.populationSD)}.
+                </p>
+
+                <h4 className="font-bold text-darkGrey mb-2">Step by Step</h4>
+                <div className="overflow-x-auto mb-4">
+                  <table className="w-full border-collapse text-sm bg-white">
+                    <caption className="sr-only">Working table: class boundaries, midpoints, and the products needed for the grouped mean and variance</caption>
+                    <thead>
+                      <tr className="bg-darkTeal text-white">
+                        <th scope="col" className="border border-darkGrey p-2">Class</th>
+                        <th scope="col" className="border border-darkGrey p-2">Boundaries</th>
+                        <th scope="col" className="border border-darkGrey p-2">Midpoint (x)</th>
+                        <th scope="col" className="border border-darkGrey p-2">f</th>
+                        <th scope="col" className="border border-darkGrey p-2">f · x</th>
+                        <th scope="col" className="border border-darkGrey p-2">f · x²</th>
+                        <th scope="col" className="border border-darkGrey p-2">Cumulative f</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {g.rows.map((row, i) => (
+                        <tr key={i} className={g.modalClasses.includes(i) ? 'bg-accent bg-opacity-30' : ''}>
+                          <td className="border border-darkGrey p-2 font-mono">{classText(i)}</td>
+                          <td className="border border-darkGrey p-2 text-center font-mono">{formatNumber(row.lowerBoundary)} – {formatNumber(row.upperBoundary)}</td>
+                          <td className="border border-darkGrey p-2 text-center">{formatNumber(row.midpoint)}</td>
+                          <td className="border border-darkGrey p-2 text-center font-bold">{formatNumber(row.frequency)}</td>
+                          <td className="border border-darkGrey p-2 text-center">{formatNumber(row.fx)}</td>
+                          <td className="border border-darkGrey p-2 text-center">{formatNumber(row.fx2)}</td>
+                          <td className="border border-darkGrey p-2 text-center">{formatNumber(row.cumulativeFrequency)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot>
+                      <tr className="bg-accent bg-opacity-30 font-bold">
+                        <td className="border border-darkGrey p-2" colSpan={3}>Totals</td>
+                        <td className="border border-darkGrey p-2 text-center">n = {formatNumber(g.n)}</td>
+                        <td className="border border-darkGrey p-2 text-center">Σfx = {formatNumber(g.sumFx)}</td>
+                        <td className="border border-darkGrey p-2 text-center">Σfx² = {formatNumber(g.sumFx2)}</td>
+                        <td className="border border-darkGrey p-2"></td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
+
+                <div className="space-y-3 text-sm text-darkGrey">
+                  <div className="p-3 bg-white rounded-lg">
+                    <p className="font-bold text-darkTeal mb-1">1. Class boundaries and midpoints</p>
+                    <p>
+                      {g.gap > 0
+                        ? `Consecutive classes are ${formatNumber(g.gap)} apart, so each boundary sits ${formatNumber(g.gap / 2)} beyond its class limit (e.g., ${classText(0)} becomes ${formatNumber(g.rows[0].lowerBoundary)} – ${formatNumber(g.rows[0].upperBoundary)}).`
+                        : 'The classes already meet end to end, so the class limits are the class boundaries.'}
+                      {' '}Each midpoint is (lower limit + upper limit) ÷ 2.
+                    </p>
+                  </div>
+                  <div className="p-3 bg-white rounded-lg">
+                    <p className="font-bold text-darkTeal mb-1">2. Mean</p>
+                    <p className="font-mono">
+                      x̄ = Σfx ÷ n = {formatNumber(g.sumFx)} ÷ {formatNumber(g.n)} = <strong>{formatNumber(g.mean)}</strong>
+                    </p>
+                  </div>
+                  <div className="p-3 bg-white rounded-lg">
+                    <p className="font-bold text-darkTeal mb-1">3. Variance and standard deviation</p>
+                    <p className="font-mono">
+                      s² = (Σfx² − (Σfx)² ÷ n) ÷ (n − 1) = ({formatNumber(g.sumFx2)} − {formatNumber(g.sumFx)}² ÷ {formatNumber(g.n)}) ÷ {formatNumber(g.n - 1)} = <strong>{formatNumber(g.sampleVariance)}</strong>
+                    </p>
+                    <p className="font-mono mt-1">
+                      s = √{formatNumber(g.sampleVariance)} = <strong>{formatNumber(g.sampleSD)}</strong>
+                    </p>
+                  </div>
+                  {interpolation('4. Median (interpolated)', 'Median', 'n ÷ 2', g.median)}
+                  {interpolation('5. First quartile', 'Q1', 'n ÷ 4', g.q1)}
+                  {interpolation('6. Third quartile', 'Q3', '3n ÷ 4', g.q3)}
+                  <div className="p-3 bg-white rounded-lg">
+                    <p className="font-bold text-darkTeal mb-1">7. Modal class and mode</p>
+                    <p>
+                      The modal class is <strong>{classText(g.mode.classIndex)}</strong>, the class with the highest frequency.
+                      d₁ = its frequency minus the class before it, d₂ = its frequency minus the class after it.
+                    </p>
+                    <p className="font-mono mt-1">
+                      Mode ≈ L + (d₁ ÷ (d₁ + d₂)) × w = {formatNumber(g.mode.L)} + ({formatNumber(g.mode.d1)} ÷ ({formatNumber(g.mode.d1)} + {formatNumber(g.mode.d2)})) × {formatNumber(g.mode.width)} = <strong>{formatNumber(g.mode.value)}</strong>
+                    </p>
+                  </div>
+                  <p className="text-xs opacity-70">
+                    L = lower boundary of the class, CF = cumulative frequency before the class, f = frequency of the class, w = class width.
+                  </p>
+                </div>
+              </div>
+            );
+          })()}
+
+          {/* Chart Type Selection for Numeric Data */}
+          {dataType !== 'categorical' && (
             <div className="p-4 bg-platinum rounded-lg">
               <h3 className="font-bold text-darkGrey mb-3">Visualization Options</h3>
-              <div className="flex gap-4">
-                <label className="flex items-center gap-2 cursor-pointer">
-                  <input
-                    type="radio"
-                    value="histogram"
-                    checked={chartType === 'histogram'}
-                    onChange={(e) => setChartType(e.target.value)}
-                    className="w-4 h-4 text-darkTeal"
-                  />
-                  <span className="text-darkGrey">Histogram Only</span>
-                </label>
-                <label className="flex items-center gap-2 cursor-pointer">
-                  <input
-                    type="radio"
-                    value="polygon"
-                    checked={chartType === 'polygon'}
-                    onChange={(e) => setChartType(e.target.value)}
-                    className="w-4 h-4 text-darkTeal"
-                  />
-                  <span className="text-darkGrey">Frequency Polygon Only</span>
-                </label>
-                <label className="flex items-center gap-2 cursor-pointer">
+              <div className="flex flex-wrap gap-4">
+                {dataType === 'continuous' ? (
+                  <>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        value="histogram"
+                        checked={chartType === 'histogram'}
+                        onChange={(e) => setChartType(e.target.value)}
+                        className="w-4 h-4 text-darkTeal"
+                      />
+                      <span className="text-darkGrey">Histogram Only</span>
+                    </label>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        value="polygon"
+                        checked={chartType === 'polygon'}
+                        onChange={(e) => setChartType(e.target.value)}
+                        className="w-4 h-4 text-darkTeal"
+                      />
+                      <span className="text-darkGrey">Frequency Polygon Only</span>
+                    </label>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        value="both"
+                        checked={chartType === 'both'}
+                        onChange={(e) => setChartType(e.target.value)}
+                        className="w-4 h-4 text-darkTeal"
+                      />
+                      <span className="text-darkGrey">Both (Histogram + Polygon)</span>
+                    </label>
+                  </>
+                ) : (
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="radio"
+                      value="histogram"
+                      checked={!RAW_VALUE_CHARTS.includes(chartType)}
+                      onChange={(e) => setChartType(e.target.value)}
+                      className="w-4 h-4 text-darkTeal"
+                    />
+                    <span className="text-darkGrey">Bar Chart</span>
+                  </label>
+                )}
+                {rawValues.length > 0 && (
+                  <>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        value="stemleaf"
+                        checked={chartType === 'stemleaf'}
+                        onChange={(e) => setChartType(e.target.value)}
+                        className="w-4 h-4 text-darkTeal"
+                      />
+                      <span className="text-darkGrey">Stem-and-Leaf Plot</span>
+                    </label>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        value="dotplot"
+                        checked={chartType === 'dotplot'}
+                        onChange={(e) => setChartType(e.target.value)}
+                        className="w-4 h-4 text-darkTeal"
+                      />
+                      <span className="text-darkGrey">Dot Plot</span>
+                    </label>
+                  </>
+                )}
+              </div>
+              {chartType === 'stemleaf' && rawValues.length > 0 && (
+                <label className="mt-3 flex items-center gap-2 cursor-pointer">
                   <input
-                    type="radio"
-                    value="both"
-                    checked={chartType === 'both'}
-                    onChange={(e) => setChartType(e.target.value)}
-                    className="w-4 h-4 text-darkTeal"
+                    type="checkbox"
+                    checked={splitStems}
+                    onChange={(e) => setSplitStems(e.target.checked)}
+                    className="w-4 h-4 text-darkTeal rounded"
                   />
-                  <span className="text-darkGrey">Both (Histogram + Polygon)</span>
+                  <span className="text-darkGrey">Split stems (leaves 0–4 and 5–9 on separate lines)</span>
                 </label>
-              </div>
+              )}
             </div>
           )}
 
@@ -976,9 +1744,28 @@ const FrequencyDistributionCalculator = () => {
           <div className="p-4 bg-platinum rounded-lg">
             <h3 className="font-bold text-darkGrey mb-4 flex items-center gap-2">
               <BarChart3 className="text-darkTeal" size={24} />
-              {dataType === 'categorical' ? 'Bar Chart' : dataType === 'discrete' ? 'Bar Chart' : 'Histogram & Frequency Polygon'}
+              {showRawValueChart
+                ? (chartType === 'stemleaf' ? 'Stem-and-Leaf Plot' : 'Dot Plot')
+                : dataType === 'categorical' ? 'Bar Chart' : dataType === 'discrete' ? 'Bar Chart' : 'Histogram & Frequency Polygon'}
             </h3>
 
+            {showRawValueChart ? (
+              chartType === 'stemleaf' ? (
+                rawValues.length > MAX_STEM_LEAF_VALUES ? (
+                  <p className="text-sm text-darkGrey italic">
+                    A stem-and-leaf plot lists every value, which becomes hard to read beyond {MAX_STEM_LEAF_VALUES} observations — try the dot plot or the {dataType === 'discrete' ? 'bar chart' : 'histogram'}.
+                  </p>
+                ) : (
+                  <div className="bg-white p-4 rounded-lg max-h-[32rem] overflow-y-auto">
+                    <StemLeafPlot groups={rawPlotGroups} split={splitStems} />
+                  </div>
+                )
+              ) : (
+                <div className="bg-white p-4 rounded-lg flex items-center justify-center">
+                  <DotPlotSVG groups={rawPlotGroups} />
+                </div>
+              )
+            ) : (
             <div role="img" aria-label="Frequency distribution chart">
             {(dataType === 'discrete' || dataType === 'categorical') ? (
               <ResponsiveContainer width="100%" height={400}>
@@ -1039,8 +1826,42 @@ const FrequencyDistributionCalculator = () => {
               </ResponsiveContainer>
             )}
             </div>
+            )}
           </div>
 
+          {/* Pie Chart for Categorical Data */}
+          {dataType === 'categorical' && (
+            <div className="p-4 bg-platinum rounded-lg">
+              <h3 className="font-bold text-darkGrey mb-4 flex items-center gap-2">
+                <PieChartIcon className="text-darkTeal" size={24} />
+                Pie Chart (Share of the Whole)
+              </h3>
+              <div role="img" aria-label={`Pie chart: ${frequencyTable.map(row => `${row.classLabel} ${row.percentage}%`).join(', ')}`}>
+                <ResponsiveContainer width="100%" height={400}>
+                  <PieChart>
+                    <Pie
+                      data={frequencyTable}
+                      dataKey="frequency"
+                      nameKey="classLabel"
+                      outerRadius={140}
+                      label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(1)}%`}
+                      isAnimationActive={false}
+                    >
+                      {frequencyTable.map((row, index) => (
+                        <Cell key={row.classLabel} fill={CATEGORY_COLORS[index % CATEGORY_COLORS.length]} />
+                      ))}
+                    </Pie>
+                    <Tooltip />
+                    <Legend />
+                  </PieChart>
+                </ResponsiveContainer>
+              </div>
+              <p className="text-sm text-darkGrey opacity-70 mt-2">
+                Each slice&apos;s angle is its percentage of 360°. Pie charts work best with a few categories that make up one whole — compare similar-sized slices with the bar chart instead.
+              </p>
+            </div>
+          )}
+
           {/* Pareto Chart for Categorical Data */}
           {dataType === 'categorical' && (
             <div className="p-4 bg-platinum rounded-lg">
@@ -1048,15 +1869,16 @@ const FrequencyDistributionCalculator = () => {
                 <BarChart3 className="text-darkTeal" size={24} />
                 Pareto Chart (with Cumulative Percentage)
               </h3>
-              <div role="img" aria-label="Pareto chart showing cumulative frequency distribution">
+              <div role="img" aria-label={`Pareto chart: categories sorted from most to least frequent, ${frequencyTable.map(row => `${row.classLabel} ${row.frequency} (cumulative ${Number(row.cumulativePercentage).toFixed(1)}%)`).join(', ')}`}>
                 <ResponsiveContainer width="100%" height={400}>
                   <ComposedChart data={frequencyTable}>
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis dataKey="classLabel" />
-                    <YAxis yAxisId="left" />
-                    <YAxis yAxisId="right" orientation="right" domain={[0, 100]} />
+                    <YAxis yAxisId="left" label={{ value: 'Frequency', angle: -90, position: 'insideLeft' }} />
+                    <YAxis yAxisId="right" orientation="right" domain={[0, 100]} unit="%" />
                     <Tooltip />
                     <Legend />
+                    <ReferenceLine yAxisId="right" y={80} stroke="#6B7280" strokeDasharray="6 4" label={{ value: '80%', position: 'insideTopRight', fill: '#4B5563' }} />
                     <Bar yAxisId="left" dataKey="frequency" fill="#4ECDC4" name="Frequency" />
                     <Line
                       yAxisId="right"
@@ -1070,6 +1892,15 @@ const FrequencyDistributionCalculator = () => {
                   </ComposedChart>
                 </ResponsiveContainer>
               </div>
+              {(() => {
+                // The "vital few": the fewest top categories that reach 80% of all observations
+                const vitalFew = frequencyTable.findIndex(row => Number(row.cumulativePercentage) >= 80 - 1e-9) + 1;
+                return (
+                  <p className="text-sm text-darkGrey opacity-70 mt-2">
+                    Bars are sorted from most to least frequent, and the line adds them up. The top {vitalFew} of {frequencyTable.length} categor{frequencyTable.length === 1 ? 'y' : 'ies'} account{vitalFew === 1 ? 's' : ''} for at least 80% of the observations — the &quot;vital few&quot; where the line crosses the dashed 80% mark.
+                  </p>
+                );
+              })()}
             </div>
           )}
 
@@ -1195,6 +2026,202 @@ const FrequencyDistributionCalculator = () => {
           </div>
         </div>
       )}
+
+      {/* Two-Way Table Results */}
+      {crossTab && (
+        <div className="space-y-6">
+          {/* Summary */}
+          <div className="p-4 bg-accent bg-opacity-20 border-2 border-accent rounded-lg">
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="font-bold text-darkGrey">Two-Way Table Summary</h3>
+              {loadedSample && (
+                <span className="text-sm bg-darkTeal text-white px-3 py-1 rounded-full">
+                  {loadedSample}
+                </span>
+              )}
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+              <div>
+                <p className="text-sm text-darkGrey opacity-70">Observations (n)</p>
+                <p className="text-xl font-bold text-darkGrey">{crossTab.grandTotal}</p>
+              </div>
+              <div>
+                <p className="text-sm text-darkGrey opacity-70">{crossTab.rowVariable} (rows)</p>
+                <p className="text-xl font-bold text-darkGrey">{crossTab.rowLabels.length} categories</p>
+              </div>
+              <div>
+                <p className="text-sm text-darkGrey opacity-70">{crossTab.colVariable} (columns)</p>
+                <p className="text-xl font-bold text-darkGrey">{crossTab.colLabels.length} categories</p>
+              </div>
+            </div>
+          </div>
+
+          {/* Cross-Tabulation */}
+          <div className="overflow-x-auto">
+            <h3 className="font-bold text-darkGrey mb-3 flex items-center gap-2">
+              <Grid3x3 className="text-darkTeal" size={24} />
+              Two-Way Table: {crossTab.rowVariable} × {crossTab.colVariable}
+            </h3>
+            <fieldset className="mb-3">
+              <legend className="text-sm font-medium text-darkGrey mb-2">Show in each cell</legend>
+              <div className="flex flex-wrap gap-4">
+                {Object.entries(CROSS_TAB_VIEWS).map(([view, label]) => (
+                  <label key={view} className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="freq-crosstab-view"
+                      value={view}
+                      checked={crossTabView === view}
+                      onChange={(e) => setCrossTabView(e.target.value)}
+                      className="w-4 h-4 text-darkTeal"
+                    />
+                    <span className="text-darkGrey">{label}</span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+            {(() => {
+              const cellPercents = { row: crossTab.rowPercents, column: crossTab.colPercents, total: crossTab.totalPercents }[crossTabView];
+              const showPercent = (value) => <span className="text-sm opacity-70"> ({value.toFixed(1)}%)</span>;
+              return (
+                <table className="w-full border-collapse">
+                  <caption className="sr-only">
+                    {`Two-way table of ${crossTab.rowVariable} by ${crossTab.colVariable} showing ${CROSS_TAB_VIEWS[crossTabView].toLowerCase()}`}
+                  </caption>
+                  <thead>
+                    <tr className="bg-darkTeal text-white">
+                      <th scope="col" className="border border-darkGrey p-2">{crossTab.rowVariable} \ {crossTab.colVariable}</th>
+                      {crossTab.colLabels.map(label => (
+                        <th key={label} scope="col" className="border border-darkGrey p-2">{label}</th>
+                      ))}
+                      <th scope="col" className="border border-darkGrey p-2">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {crossTab.counts.map((row, i) => (
+                      <tr key={crossTab.rowLabels[i]} className={i % 2 === 0 ? 'bg-white' : 'bg-platinum'}>
+                        <th scope="row" className="border border-darkGrey p-2 text-left font-bold">{crossTab.rowLabels[i]}</th>
+                        {row.map((count, j) => (
+                          <td key={crossTab.colLabels[j]} className="border border-darkGrey p-2 text-center">
+                            {count}{cellPercents && showPercent(cellPercents[i][j])}
+                          </td>
+                        ))}
+                        <td className="border border-darkGrey p-2 text-center font-bold">
+                          {crossTab.rowTotals[i]}
+                          {crossTabView === 'row' ? showPercent(100) : cellPercents && showPercent(crossTab.rowTotalPercents[i])}
+                        </td>
+                      </tr>
+                    ))}
+                    <tr className="bg-darkTeal bg-opacity-20 font-bold">
+                      <th scope="row" className="border border-darkGrey p-2 text-left">Total</th>
+                      {crossTab.colTotals.map((total, j) => (
+                        <td key={crossTab.colLabels[j]} className="border border-darkGrey p-2 text-center">
+                          {total}
+                          {crossTabView === 'column' ? showPercent(100) : cellPercents && showPercent(crossTab.colTotalPercents[j])}
+                        </td>
+                      ))}
+                      <td className="border border-darkGrey p-2 text-center">{crossTab.grandTotal}{cellPercents && showPercent(100)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              );
+            })()}
+            <p className="text-sm text-darkGrey opacity-70 mt-2">
+              {{
+                count: 'The Total row and column are the marginal distributions of each variable on its own.',
+                row: `Each row adds to 100%: the distribution of ${crossTab.colVariable} within each ${crossTab.rowVariable} category (a conditional distribution). Compare rows to see whether ${crossTab.colVariable} depends on ${crossTab.rowVariable}.`,
+                column: `Each column adds to 100%: the distribution of ${crossTab.rowVariable} within each ${crossTab.colVariable} category. Compare columns to see whether ${crossTab.rowVariable} depends on ${crossTab.colVariable}.`,
+                total: 'Every cell is a share of all observations, so the whole table adds to 100% (a joint distribution).'
+              }[crossTabView]}
+            </p>
+          </div>
+
+          {/* Clustered / Stacked Bar Chart */}
+          <div className="p-4 bg-platinum rounded-lg">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+              <h3 className="font-bold text-darkGrey flex items-center gap-2">
+                <BarChart3 className="text-darkTeal" size={24} />
+                {crossTabChart === 'stacked' ? 'Stacked' : 'Clustered'} Bar Chart ({CROSS_TAB_VIEWS[crossTabView]})
+              </h3>
+              <div className="flex gap-4">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    value="clustered"
+                    checked={crossTabChart === 'clustered'}
+                    onChange={(e) => setCrossTabChart(e.target.value)}
+                    className="w-4 h-4 text-darkTeal"
+                  />
+                  <span className="text-darkGrey">Clustered</span>
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    value="stacked"
+                    checked={crossTabChart === 'stacked'}
+                    onChange={(e) => setCrossTabChart(e.target.value)}
+                    className="w-4 h-4 text-darkTeal"
+                  />
+                  <span className="text-darkGrey">Stacked</span>
+                </label>
+              </div>
+            </div>
+            <div
+              role="img"
+              aria-label={`${crossTabChart === 'stacked' ? 'Stacked' : 'Clustered'} bar chart of ${crossTabChartData.seriesVariable} within each ${crossTabChartData.groupVariable} category. ${crossTabChartData.data.map(entry => `${entry.group}: ${crossTabChartData.series.map((name, k) => `${name} ${entry[`s${k}`]}${crossTabView === 'count' ? '' : '%'}`).join(', ')}`).join('. ')}`}
+            >
+              <ResponsiveContainer width="100%" height={400}>
+                <BarChart data={crossTabChartData.data}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="group" label={{ value: crossTabChartData.groupVariable, position: 'insideBottom', offset: -5 }} height={50} />
+                  <YAxis unit={crossTabView === 'count' ? '' : '%'} />
+                  <Tooltip />
+                  <Legend verticalAlign="top" />
+                  {crossTabChartData.series.map((name, k) => (
+                    <Bar
+                      key={name}
+                      dataKey={`s${k}`}
+                      name={name}
+                      fill={CATEGORY_COLORS[k % CATEGORY_COLORS.length]}
+                      stackId={crossTabChart === 'stacked' ? 'crosstab' : undefined}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <p className="text-sm text-darkGrey opacity-70 mt-2">
+              {crossTabChart === 'stacked' && crossTabView === 'row'
+                ? 'With row percentages every stacked bar reaches 100%, so the segments compare directly across groups (a segmented bar chart).'
+                : crossTabChart === 'stacked'
+                  ? 'Stacked bars show each group’s total and how it splits; switch to Row % or Column % to compare the splits on an equal footing.'
+                  : 'Clustered bars put the categories side by side within each group, which makes single categories easy to compare.'}
+            </p>
+          </div>
+
+          {/* Reading the table */}
+          <div className="p-4 bg-darkTeal bg-opacity-10 border-2 border-darkTeal rounded-lg">
+            <h3 className="font-bold text-darkGrey mb-3 flex items-center gap-2">
+              <Info className="text-darkTeal" size={20} />
+              Interpretation Examples from Your Data
+            </h3>
+            <ul className="list-disc list-inside space-y-1 text-darkGrey text-sm">
+              {crossTab.rowLabels.map((rowLabel, i) => {
+                if (crossTab.rowTotals[i] === 0) return null;
+                const top = crossTab.rowPercents[i].reduce((best, p, j) => (p > crossTab.rowPercents[i][best] ? j : best), 0);
+                return (
+                  <li key={rowLabel}>
+                    Of the {crossTab.rowTotals[i]} observations in <strong>{rowLabel}</strong>, {crossTab.rowPercents[i][top].toFixed(1)}% are <strong>{crossTab.colLabels[top]}</strong> — the most common {crossTab.colVariable} in that row.
+                  </li>
+                );
+              })}
+              <li>
+                Row percentages that differ a lot from row to row suggest the two variables are associated; a chi-square test of independence checks whether the difference is more than chance.
+              </li>
+            </ul>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -16,9 +16,11 @@ import { Chart as ChartJS, CategoryScale, LinearScale, LineElement, PointElement
 import { Line } from 'react-chartjs-2';
 import { jStat } from 'jstat';
 import InfoIcon from './InfoIcon';
+import RawDataInput from './RawDataInput';
 import useDocumentTitle from '../../hooks/useDocumentTitle';
 import useFocusTrap from '../../hooks/useFocusTrap';
 import { announcePolite } from '../../utils/announce';
+import { TAIL_TYPES, DISTRIBUTION_TYPES, getCriticalValue, getPValue } from '../../stats/inference';
 
 // Register required Chart.js components
 ChartJS.register(CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend, Filler);
@@ -31,15 +33,9 @@ const TEST_TYPES = {
   MEAN: 'mean'
 };
 
-const TAIL_TYPES = {
-  TWO: 'two-tailed',
-  RIGHT: 'right-tailed',
-  LEFT: 'left-tailed'
-};
-
-const DISTRIBUTION_TYPES = {
-  Z: 'z',
-  T: 't'
+const INPUT_METHODS = {
+  SUMMARY: 'summary',
+  RAW: 'raw'
 };
 
 const CHART_COLORS = {
@@ -116,6 +112,9 @@ const HypothesisTestCalculator = () => {
   const [tailType, setTailType] = useState(TAIL_TYPES.TWO);
   const [includeConfidenceInterval, setIncludeConfidenceInterval] = useState(false);
   const [inputs, setInputs] = useState(DEFAULT_VALUES.proportion);
+  const [inputMethod, setInputMethod] = useState(INPUT_METHODS.SUMMARY);
+  // Bumped when a scenario loads, to remount (and so clear) the raw-data panel
+  const [rawPanelKey, setRawPanelKey] = useState(0);
   const [result, setResult] = useState({});
   const [chartData, setChartData] = useState(null);
   const [showErrorExplanation, setShowErrorExplanation] = useState(false);
@@ -137,6 +136,8 @@ const HypothesisTestCalculator = () => {
     setTestType(preset.testType);
     setTailType(preset.tailType);
     setInputs(preset.inputs);
+    setInputMethod(INPUT_METHODS.SUMMARY);
+    setRawPanelKey(key => key + 1);
     setResult({});
     setChartData(null);
     announcePolite('Loaded scenario: ' + preset.name + '. Press Calculate Test to run it.');
@@ -154,6 +155,35 @@ const HypothesisTestCalculator = () => {
     });
   };
 
+  /**
+   * Fill the summary inputs from the raw-data panel. A null summary (no usable
+   * data) blanks them, so Calculate cannot run on numbers no longer shown.
+   * @param {Object|null} summary - { n, mean, stdDev } or { n, successes }
+   */
+  const handleRawSummary = (summary) => {
+    if (!summary) {
+      setInputs(prev => (testType === TEST_TYPES.PROPORTION
+        ? { ...prev, sampleProportion: '', sampleSize: '' }
+        : { ...prev, sampleMean: '', sampleSize: '', stdDev: '' }));
+      return;
+    }
+    if (testType === TEST_TYPES.PROPORTION) {
+      setInputs(prev => ({
+        ...prev,
+        sampleProportion: Number((summary.successes / summary.n).toFixed(6)),
+        sampleSize: summary.n
+      }));
+    } else {
+      // A standard deviation computed from the data is always the sample s, so use t
+      setInputs(prev => ({
+        ...prev,
+        sampleMean: summary.mean,
+        sampleSize: summary.n,
+        ...(summary.stdDev !== null ? { stdDev: summary.stdDev, stdDevType: 'unknown' } : { stdDev: '' })
+      }));
+    }
+  };
+
   /**
    * Handle test type change and reset inputs
    * @param {Event} e - Select change event
@@ -177,56 +207,6 @@ const HypothesisTestCalculator = () => {
     }
   };
 
-  /**
-   * Calculate critical value based on distribution and tail type
-   * @param {number} alpha - Significance level
-   * @param {string} distribution - Distribution type (z or t)
-   * @param {string} tailType - Test tail type
-   * @param {number} df - Degrees of freedom (for t-distribution)
-   * @returns {number} Critical value
-   */
-  const getCriticalValue = (alpha, distribution, tailType, df = null) => {
-    const isZ = distribution === DISTRIBUTION_TYPES.Z;
-    const dist = isZ ? jStat.normal : jStat.studentt;
-    const params = isZ ? [0, 1] : [df];
-    
-    switch (tailType) {
-      case TAIL_TYPES.TWO:
-        return -Math.abs(dist.inv(alpha / 2, ...params));
-      case TAIL_TYPES.RIGHT:
-        return dist.inv(1 - alpha, ...params);
-      case TAIL_TYPES.LEFT:
-        return dist.inv(alpha, ...params);
-      default:
-        return 0;
-    }
-  };
-
-  /**
-   * Calculate p-value based on test statistic
-   * @param {number} testStatistic - Calculated test statistic
-   * @param {string} distribution - Distribution type
-   * @param {string} tailType - Test tail type
-   * @param {number} df - Degrees of freedom
-   * @returns {number} P-value
-   */
-  const getPValue = (testStatistic, distribution, tailType, df = null) => {
-    const isZ = distribution === DISTRIBUTION_TYPES.Z;
-    const dist = isZ ? jStat.normal : jStat.studentt;
-    const params = isZ ? [0, 1] : [df];
-    
-    switch (tailType) {
-      case TAIL_TYPES.TWO:
-        return 2 * (1 - dist.cdf(Math.abs(testStatistic), ...params));
-      case TAIL_TYPES.RIGHT:
-        return 1 - dist.cdf(testStatistic, ...params);
-      case TAIL_TYPES.LEFT:
-        return dist.cdf(testStatistic, ...params);
-      default:
-        return 0;
-    }
-  };
-
   /**
    * Perform proportion hypothesis test
    * Z-test for population proportion
@@ -831,8 +811,38 @@ const HypothesisTestCalculator = () => {
 
             {/* Input Values */}
             <div className="bg-platinum p-4 rounded-lg">
-              <h3 className="text-xl font-bold text-darkGrey mb-4">Input Values</h3>
-              
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold text-darkGrey">Input Values</h3>
+                <div className="flex rounded-lg overflow-hidden border-2 border-darkTeal text-sm" role="group" aria-label="Input method">
+                  {[[INPUT_METHODS.SUMMARY, 'Summary'], [INPUT_METHODS.RAW, 'Raw Data']].map(([method, methodLabel]) => (
+                    <button
+                      key={method}
+                      onClick={() => setInputMethod(method)}
+                      aria-pressed={inputMethod === method}
+                      className={`px-3 py-1 font-medium transition-colors ${inputMethod === method ? 'bg-darkTeal text-white' : 'bg-white text-darkTeal hover:bg-darkTeal/10'}`}
+                    >
+                      {methodLabel}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {/* Kept mounted while Summary is shown so pasted data survives the toggle */}
+              <div className={`mb-3 ${inputMethod === INPUT_METHODS.RAW ? '' : 'hidden'}`}>
+                <RawDataInput
+                  key={`${testType}-${rawPanelKey}`}
+                  id="hyp-raw-data"
+                  label={testType === TEST_TYPES.PROPORTION ? 'Raw Data (0/1 or categories)' : 'Raw Data'}
+                  categorical={testType === TEST_TYPES.PROPORTION}
+                  onSummary={handleRawSummary}
+                />
+                <p className="text-xs text-darkGrey/70 mt-1">
+                  {testType === TEST_TYPES.PROPORTION
+                    ? 'p̂ and n below are filled in from your data.'
+                    : 'x̄, s and n below are filled in from your data.'}
+                </p>
+              </div>
+
               {testType === TEST_TYPES.PROPORTION ? (
                 <div className="space-y-3">
                   <div>
@@ -0,0 +1,99 @@
+import React from 'react';
+import { niceTicks } from '../../utils/axisTicks';
+
+const ROW_H = 6;
+const COLORS = {
+  captured: '#0F766E',
+  missed: '#DC2626',
+  parameter: '#B45309'
+};
+
+/**
+ * Stack of confidence intervals rendered as SVG, one horizontal segment per
+ * simulated sample with a dot at its estimate. A dashed vertical line marks the
+ * true parameter; intervals that capture it are teal and the ones that miss
+ * are red. A visually hidden list gives the missed intervals for screen readers.
+ *
+ * @param {Array} intervals - [{ estimate, lower, upper, captured }]
+ * @param {number} parameter - True parameter value
+ * @param {string} parameterLabel - Symbol for the parameter, e.g. "μ" or "p"
+ * @param {number} decimals - Decimals used in labels
+ */
+const IntervalPlotSVG = ({ intervals, parameter, parameterLabel, decimals }) => {
+  const W = 860;
+  const M_LEFT = 44, M_RIGHT = 24, M_TOP = 24;
+  const AXIS_H = 46;
+  const innerW = W - M_LEFT - M_RIGHT;
+  const plotH = intervals.length * ROW_H;
+  const H = M_TOP + plotH + AXIS_H;
+
+  let dMin = Math.min(parameter, ...intervals.map(i => i.lower));
+  let dMax = Math.max(parameter, ...intervals.map(i => i.upper));
+  if (dMax === dMin) { dMin -= 1; dMax += 1; }
+  const pad = (dMax - dMin) * 0.04;
+  dMin -= pad;
+  dMax += pad;
+  const x = (v) => M_LEFT + ((v - dMin) / (dMax - dMin)) * innerW;
+  const y = (i) => M_TOP + i * ROW_H + ROW_H / 2;
+  const axisY = M_TOP + plotH + 4;
+  const ticks = niceTicks(dMin, dMax);
+
+  const missed = intervals.map((interval, i) => ({ ...interval, number: i + 1 })).filter(i => !i.captured);
+  const format = (v) => v.toFixed(decimals);
+
+  return (
+    <div className="w-full">
+      <svg
+        viewBox={`0 0 ${W} ${H}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label={`${intervals.length} simulated confidence intervals. ${intervals.length - missed.length} capture the true ${parameterLabel} = ${format(parameter)} and ${missed.length} miss it.`}
+      >
+        {intervals.map((interval, i) => {
+          const color = interval.captured ? COLORS.captured : COLORS.missed;
+          return (
+            <g key={i}>
+              <line x1={x(interval.lower)} x2={x(interval.upper)} y1={y(i)} y2={y(i)} stroke={color} strokeWidth={interval.captured ? 1.5 : 2.5} />
+              <circle cx={x(interval.estimate)} cy={y(i)} r="1.8" fill={color} />
+            </g>
+          );
+        })}
+        {intervals.map((_, i) => ((i + 1) % 10 === 0 || i === 0) && (
+          <text key={i} x={M_LEFT - 8} y={y(i) + 4} textAnchor="end" fontSize="11" fill="#4B5563">{i + 1}</text>
+        ))}
+
+        <line x1={x(parameter)} x2={x(parameter)} y1={M_TOP - 8} y2={axisY} stroke={COLORS.parameter} strokeWidth="2" strokeDasharray="6 4" />
+        <text x={x(parameter)} y={M_TOP - 12} textAnchor="middle" fontSize="13" fontWeight="700" fill={COLORS.parameter}>
+          true {parameterLabel} = {format(parameter)}
+        </text>
+
+        <line x1={M_LEFT} x2={W - M_RIGHT} y1={axisY} y2={axisY} stroke="#2A2A2A" strokeWidth="1.5" />
+        {ticks.map(tick => (
+          <g key={tick}>
+            <line x1={x(tick)} x2={x(tick)} y1={axisY} y2={axisY + 6} stroke="#2A2A2A" strokeWidth="1.5" />
+            <text x={x(tick)} y={axisY + 20} textAnchor="middle" fontSize="12" fill="#4B5563">{String(tick)}</text>
+          </g>
+        ))}
+      </svg>
+
+      <div className="sr-only">
+        {missed.length > 0 ? (
+          <>
+            <p>Intervals that miss the true {parameterLabel}:</p>
+            <ul>
+              {missed.map(interval => (
+                <li key={interval.number}>
+                  Sample {interval.number}: {format(interval.lower)} to {format(interval.upper)}, entirely {interval.upper < parameter ? 'below' : 'above'} {format(parameter)}.
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <p>Every interval captures the true {parameterLabel}.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default IntervalPlotSVG;
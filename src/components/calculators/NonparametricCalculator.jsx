@@ -0,0 +1,1430 @@
+/**
+ * NonparametricCalculator.jsx
+ *
+ * Rank-based tests for raw data that may not come from normal populations:
+ * the sign test and Wilcoxon signed-rank test for a median (one sample or
+ * paired), the Mann-Whitney U test for two independent groups and the
+ * Kruskal-Wallis H test for several groups. Shows the rank table, exact
+ * p-values for small samples (normal or χ² approximation for large ones) and
+ * the null distribution of the test statistic.
+ *
+ * Dependencies: Chart.js, react-chartjs-2, jStat
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import React, { useState, useRef, useCallback } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, BarController, LineElement, PointElement, ScatterController, Title, Tooltip, Legend, Filler } from 'chart.js';
+import { Line, Bar } from 'react-chartjs-2';
+import { jStat } from 'jstat';
+import InfoIcon from './InfoIcon';
+import useDocumentTitle from '../../hooks/useDocumentTitle';
+import useFocusTrap from '../../hooks/useFocusTrap';
+import { announcePolite } from '../../utils/announce';
+import { extractNumbers } from '../../utils/parseNumbers';
+import { calculateAllStatistics, tieGroupSizes } from '../../stats/descriptive';
+import { TAIL_TYPES } from '../../stats/inference';
+import {
+  signTest,
+  wilcoxonSignedRank,
+  mannWhitneyU,
+  kruskalWallis,
+  EXACT_MAX_N,
+  EXACT_MAX_GROUP_SIZE,
+  EXACT_MAX_ARRANGEMENTS
+} from '../../stats/nonparametric';
+
+// Register required Chart.js components
+ChartJS.register(CategoryScale, LinearScale, BarElement, BarController, LineElement, PointElement, ScatterController, Title, Tooltip, Legend, Filler);
+
+/**
+ * Configuration constants
+ */
+const TESTS = {
+  SIGN: 'sign',
+  SIGNED_RANK: 'signed-rank',
+  SIGNED_RANK_PAIRED: 'signed-rank-paired',
+  MANN_WHITNEY: 'mann-whitney',
+  KRUSKAL_WALLIS: 'kruskal-wallis'
+};
+
+const TEST_NAMES = {
+  [TESTS.SIGN]: 'Sign Test (one sample)',
+  [TESTS.SIGNED_RANK]: 'Wilcoxon Signed-Rank (one sample)',
+  [TESTS.SIGNED_RANK_PAIRED]: 'Wilcoxon Signed-Rank (paired)',
+  [TESTS.MANN_WHITNEY]: 'Mann-Whitney U (two independent groups)',
+  [TESTS.KRUSKAL_WALLIS]: 'Kruskal-Wallis H (two or more groups)'
+};
+
+// How many data boxes each test uses, and their default names
+const GROUP_SETUP = {
+  [TESTS.SIGN]: { min: 1, max: 1, names: ['Sample'] },
+  [TESTS.SIGNED_RANK]: { min: 1, max: 1, names: ['Sample'] },
+  [TESTS.SIGNED_RANK_PAIRED]: { min: 2, max: 2, names: ['Before', 'After'] },
+  [TESTS.MANN_WHITNEY]: { min: 2, max: 2, names: ['Group 1', 'Group 2'] },
+  [TESTS.KRUSKAL_WALLIS]: { min: 2, max: 8, names: ['Group 1', 'Group 2', 'Group 3'] }
+};
+
+const CHART_COLORS = {
+  extreme: {
+    line: 'rgba(255, 99, 71, 0.8)',
+    fill: 'rgba(255, 99, 71, 0.35)'
+  },
+  typical: {
+    line: 'rgba(78, 205, 196, 0.8)',
+    fill: 'rgba(78, 205, 196, 0.35)'
+  },
+  testStatistic: 'rgba(180, 83, 9, 1)'
+};
+
+const GROUP_BORDERS = ['#0F766E', '#B45309', '#6D28D9', '#BE185D', '#1D4ED8', '#15803D', '#B91C1C', '#374151'];
+
+const MAX_INPUT_COUNT = 1000;
+
+// Default input values for better UX
+const DEFAULT_VALUES = {
+  test: TESTS.MANN_WHITNEY,
+  tailType: TAIL_TYPES.TWO,
+  median: '0',
+  significanceLevel: 0.05
+};
+
+/**
+ * Story-based example scenarios with their expected conclusions,
+ * so students can predict the outcome before pressing Run Test
+ */
+const PRESET_SCENARIOS = [
+  {
+    name: 'Commute Time Claim',
+    test: TESTS.SIGN,
+    tailType: TAIL_TYPES.RIGHT,
+    median: '25',
+    groups: [{ name: 'Commute (min)', text: '28, 32, 24, 35, 27, 30, 26, 41, 22, 29, 33, 25, 31, 38, 27' }],
+    description: 'The city says the median commute is 25 minutes. Fifteen residents log theirs. Is the typical commute longer?',
+    expectedOutcome: 'Reject — 12 of the 14 nonzero differences are positive, exact p ≈ 0.0065. One commute equals 25 exactly and is dropped.'
+  },
+  {
+    name: 'Battery Life Claim',
+    test: TESTS.SIGNED_RANK,
+    tailType: TAIL_TYPES.LEFT,
+    median: '10',
+    groups: [{ name: 'Battery life (h)', text: '9.2, 9.8, 10.1, 8.7, 9.5, 9.9, 8.9, 10.4, 9.1, 9.6' }],
+    description: 'A maker claims a median battery life of 10 hours. Ten phones are tested. Do batteries fall short?',
+    expectedOutcome: 'Reject — only two phones beat the claim, so W₊ = 6 and the exact p ≈ 0.015. Tied distances share average ranks.'
+  },
+  {
+    name: 'Pain Relief Study',
+    test: TESTS.SIGNED_RANK_PAIRED,
+    tailType: TAIL_TYPES.RIGHT,
+    median: '0',
+    groups: [
+      { name: 'Before', text: '7, 6, 8, 5, 9, 7, 6, 8, 7, 5' },
+      { name: 'After', text: '4, 5, 6, 5, 6, 4, 6, 5, 3, 4' }
+    ],
+    description: 'Pain scores (0–10) for ten patients before and after a new treatment. Did pain go down?',
+    expectedOutcome: 'Reject — all 8 nonzero differences are positive (W₊ = 36), exact p ≈ 0.0039. Two unchanged patients are dropped.'
+  },
+  {
+    name: 'Two Couriers',
+    test: TESTS.MANN_WHITNEY,
+    tailType: TAIL_TYPES.TWO,
+    median: '0',
+    groups: [
+      { name: 'Courier A', text: '32, 35, 29, 41, 38, 33, 36, 120' },
+      { name: 'Courier B', text: '42, 45, 39, 48, 44, 51, 40, 46' }
+    ],
+    description: 'Delivery times (minutes). Courier A had one delivery stuck in traffic for two hours. Do the couriers differ?',
+    expectedOutcome: 'Reject — U₁ = 10, exact p ≈ 0.021. The 120-minute delivery counts as just the largest rank, so it cannot hide that A is usually faster.'
+  },
+  {
+    name: 'Store Ratings',
+    test: TESTS.KRUSKAL_WALLIS,
+    tailType: TAIL_TYPES.TWO,
+    median: '0',
+    groups: [
+      { name: 'Downtown', text: '4, 5, 4, 3, 5, 4, 5' },
+      { name: 'Mall', text: '3, 2, 3, 4, 2, 3, 3' },
+      { name: 'Airport', text: '3, 4, 3, 2, 4, 3, 4' }
+    ],
+    description: '1–5 star ratings at three branches. Ratings are ordinal with many ties — a natural fit for ranks.',
+    expectedOutcome: 'Reject — tie-corrected H ≈ 8.62, χ²(2) p ≈ 0.013. Downtown has the highest mean rank.'
+  }
+];
+
+/**
+ * Resize the data boxes for a test, keeping any values already typed
+ * @param {Object[]} groups - Current { name, text } boxes
+ * @param {string} test - TESTS value
+ * @returns {Object[]} Boxes for the chosen test
+ */
+const groupsForTest = (groups, test) => {
+  return GROUP_SETUP[test].names.map((name, i) => ({
+    name,
+    text: groups[i]?.text || ''
+  }));
+};
+
+// Ranks and statistics print as whole numbers or halves
+const formatRank = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+
+/**
+ * Main NonparametricCalculator component
+ * Handles the rank-based tests, their rank tables and visualizations
+ */
+const NonparametricCalculator = () => {
+  useDocumentTitle('Nonparametric Tests Calculator');
+
+  // State management
+  const [test, setTest] = useState(DEFAULT_VALUES.test);
+  const [groups, setGroups] = useState(groupsForTest([], DEFAULT_VALUES.test));
+  const [tailType, setTailType] = useState(DEFAULT_VALUES.tailType);
+  const [median, setMedian] = useState(DEFAULT_VALUES.median);
+  const [significanceLevel, setSignificanceLevel] = useState(DEFAULT_VALUES.significanceLevel);
+  const [result, setResult] = useState({});
+  const [chartData, setChartData] = useState(null);
+  const [error, setError] = useState("");
+  const [draggingIndex, setDraggingIndex] = useState(null);
+  const [showChartModal, setShowChartModal] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const chartRef = useRef(null);
+
+  const chartModalTrapRef = useFocusTrap(showChartModal);
+
+  const handleChartModalKeyDown = useCallback((e) => {
+    if (e.key === 'Escape') setShowChartModal(false);
+  }, []);
+
+  const isOneSample = test === TESTS.SIGN || test === TESTS.SIGNED_RANK;
+  const isPaired = test === TESTS.SIGNED_RANK_PAIRED;
+  const isKruskal = test === TESTS.KRUSKAL_WALLIS;
+  const setup = GROUP_SETUP[test];
+
+  const handleTestChange = (e) => {
+    const next = e.target.value;
+    setTest(next);
+    setGroups(prev => groupsForTest(prev, next));
+    setResult({});
+    setChartData(null);
+    setError("");
+  };
+
+  /**
+   * Load a story scenario: test, tail, median and every data box at once
+   */
+  const applyPreset = (preset) => {
+    setTest(preset.test);
+    setTailType(preset.tailType);
+    setMedian(preset.median);
+    setGroups(preset.groups);
+    setResult({});
+    setChartData(null);
+    setError("");
+    announcePolite('Loaded scenario: ' + preset.name + '. Press Run Test to run it.');
+  };
+
+  const updateGroup = (index, field, value) => {
+    setGroups(prev => prev.map((g, i) => (i === index ? { ...g, [field]: value } : g)));
+  };
+
+  const addGroup = () => {
+    if (groups.length >= setup.max) return;
+    setGroups([...groups, { name: `Group ${groups.length + 1}`, text: '' }]);
+  };
+
+  const removeGroup = (index) => {
+    if (groups.length <= setup.min) return;
+    setGroups(groups.filter((_, i) => i !== index));
+    setResult({});
+    setChartData(null);
+  };
+
+  /**
+   * Load numbers from a CSV or text file into the chosen box.
+   * Non-numeric tokens (e.g., header rows) are skipped automatically.
+   */
+  const loadFileIntoGroup = (file, index) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const numbers = extractNumbers(String(e.target.result));
+      if (numbers.length === 0) {
+        setError(`No numbers found in "${file.name}". Make sure the file contains numeric values.`);
+        return;
+      }
+      const truncated = numbers.length > MAX_INPUT_COUNT;
+      const values = numbers.slice(0, MAX_INPUT_COUNT);
+      updateGroup(index, 'text', values.join(", "));
+      setError("");
+      announcePolite(
+        `Loaded ${values.length} values from ${file.name} into ${groups[index]?.name || `group ${index + 1}`}.` +
+        (truncated ? ` File had more values; only the first ${MAX_INPUT_COUNT} were kept.` : '')
+      );
+    };
+    reader.onerror = () => setError(`Could not read "${file.name}".`);
+    reader.readAsText(file);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    setDraggingIndex(null);
+    loadFileIntoGroup(e.dataTransfer.files?.[0], index);
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    setDraggingIndex(index);
+  };
+
+  /**
+   * Run the chosen rank-based test
+   */
+  const calculate = () => {
+    setError("");
+    const alpha = parseFloat(significanceLevel);
+    if (isNaN(alpha) || alpha <= 0 || alpha >= 1) {
+      setError("Significance level must be between 0 and 1 (commonly 0.05).");
+      return;
+    }
+
+    const parsed = groups.map(g => extractNumbers(g.text));
+    const names = groups.map((g, i) => g.name.trim() || GROUP_SETUP[test].names[i] || `Group ${i + 1}`);
+
+    const minimum = isOneSample || isPaired ? 1 : 2;
+    const tooSmall = parsed.findIndex(values => values.length < minimum);
+    if (tooSmall !== -1) {
+      setError(`${names[tooSmall]} needs at least ${minimum} number${minimum === 1 ? '' : 's'}.`);
+      return;
+    }
+    const tooLarge = parsed.findIndex(values => values.length > MAX_INPUT_COUNT);
+    if (tooLarge !== -1) {
+      setError(`${names[tooLarge]} exceeds the maximum of ${MAX_INPUT_COUNT} numbers.`);
+      return;
+    }
+
+    const tail = isKruskal ? TAIL_TYPES.RIGHT : tailType;
+    let median0 = 0;
+    let differences = null;
+    if (isOneSample) {
+      median0 = parseFloat(median);
+      if (isNaN(median0)) {
+        setError("Enter the hypothesized median (m₀).");
+        return;
+      }
+      // Rounded so that decimals such as 10.1 − 10 and 10 − 9.9 tie as they should
+      differences = parsed[0].map(x => Number((x - median0).toPrecision(12)));
+    } else if (isPaired) {
+      if (parsed[0].length !== parsed[1].length) {
+        setError(`Paired data needs the same number of values in both boxes (${names[0]} has ${parsed[0].length}, ${names[1]} has ${parsed[1].length}).`);
+        return;
+      }
+      differences = parsed[0].map((x, i) => Number((x - parsed[1][i]).toPrecision(12)));
+    }
+
+    let stats;
+    if (test === TESTS.SIGN) stats = signTest(differences, tail);
+    else if (test === TESTS.MANN_WHITNEY) stats = mannWhitneyU(parsed[0], parsed[1], tail);
+    else if (isKruskal) stats = kruskalWallis(parsed);
+    else stats = wilcoxonSignedRank(differences, tail);
+
+    if (differences && stats.n === 0) {
+      setError(`Every difference is zero, so there is nothing to test — all values equal ${isPaired ? 'their partners' : `m₀ = ${median0}`}.`);
+      return;
+    }
+    if (isKruskal && stats.tieCorrection <= 0) {
+      setError("All values are identical, so there is nothing to rank.");
+      return;
+    }
+
+    const reject = stats.pValue < alpha;
+    const allValues = parsed.flat();
+    const ties = tieGroupSizes(differences ? differences.filter(d => d !== 0).map(Math.abs) : allValues);
+
+    setResult({
+      ...stats,
+      test,
+      tail,
+      names,
+      values: parsed,
+      differences,
+      median0,
+      descriptive: parsed.map(values => calculateAllStatistics(values)),
+      reject,
+      alphaNum: alpha,
+      tiedGroups: ties.length,
+      assumptions: buildAssumptions(test, stats, parsed, ties.length)
+    });
+
+    createVisualization(stats, tail);
+    announcePolite(`${TEST_NAMES[test]} complete. p-value: ${stats.pValue.toFixed(4)}. ${reject ? 'Reject' : 'Fail to reject'} the null hypothesis.`);
+  };
+
+  /**
+   * Conditions for the chosen test
+   * pass: true = met, false = a problem, null = the user must judge
+   */
+  const buildAssumptions = (testType, stats, parsed, tiedGroups) => {
+    const list = [];
+    const sizes = parsed.map(values => values.length);
+
+    if (testType === TESTS.SIGN) {
+      list.push({ label: 'No shape assumption: the sign test only uses whether each value is above or below m₀', pass: true });
+    } else if (testType === TESTS.SIGNED_RANK || testType === TESTS.SIGNED_RANK_PAIRED) {
+      list.push({
+        label: 'The differences should be roughly symmetric about their median — for strongly skewed differences, the sign test is safer',
+        pass: null
+      });
+    } else {
+      list.push({
+        label: 'The groups should have similar shapes and spreads for the test to compare medians; otherwise it compares the groups more generally (does one tend to produce larger values?)',
+        pass: null
+      });
+    }
+
+    if (stats.exact) {
+      list.push({
+        label: testType === TESTS.KRUSKAL_WALLIS
+          ? `Exact p-value: all ${stats.arrangements.toLocaleString()} ways to split the ranks among the groups were checked`
+          : 'Exact p-value from the permutation distribution of the statistic (small sample)',
+        pass: true
+      });
+    } else if (testType === TESTS.KRUSKAL_WALLIS) {
+      const smallest = Math.min(...sizes);
+      list.push({
+        label: smallest >= 5
+          ? `Every group has n ≥ 5 (smallest n = ${smallest}), so the χ² approximation is reliable`
+          : `Smallest group has n = ${smallest} < 5 — the χ² approximation may be rough`,
+        pass: smallest >= 5
+      });
+    } else {
+      list.push({ label: 'Large sample: p-value from the normal approximation with a continuity correction', pass: true });
+    }
+
+    if (stats.zeros > 0) {
+      list.push({
+        label: `${stats.zeros} difference${stats.zeros === 1 ? '' : 's'} equal to zero ${stats.zeros === 1 ? 'was' : 'were'} dropped, leaving n = ${stats.n}`,
+        pass: null
+      });
+    }
+    if (tiedGroups > 0 && testType !== TESTS.SIGN) {
+      list.push({
+        label: `${tiedGroups} set${tiedGroups === 1 ? '' : 's'} of tied values received average ranks${stats.exact ? '' : ', and the variance was corrected for ties'}`,
+        pass: null
+      });
+    }
+
+    list.push({
+      label: testType === TESTS.SIGNED_RANK_PAIRED
+        ? 'Pairs are independent of each other (you must judge this from how the data was collected)'
+        : 'Observations are independent random samples (you must judge this from how the data was collected)',
+      pass: null
+    });
+    return list;
+  };
+
+  /**
+   * Create visualization data for the null distribution
+   * Exact tests: a bar for every possible value of the statistic, with the
+   * values at least as extreme as the observed one in red (their total is
+   * the p-value). Approximations: the N(0, 1) or χ² curve with the p-value
+   * area shaded.
+   * @param {Object} stats - Result of the chosen test
+   * @param {string} tail - TAIL_TYPES value
+   */
+  const createVisualization = (stats, tail) => {
+    if (stats.distribution) {
+      const observed = stats.statistic;
+      const isExtreme = (value) => {
+        if (tail === TAIL_TYPES.RIGHT) return value >= observed - 1e-9;
+        if (tail === TAIL_TYPES.LEFT) return value <= observed + 1e-9;
+        return Math.abs(value - stats.mean) >= Math.abs(observed - stats.mean) - 1e-9;
+      };
+      const colors = stats.distribution.map(d => (Math.abs(d.value - observed) < 1e-9
+        ? CHART_COLORS.testStatistic
+        : isExtreme(d.value) ? CHART_COLORS.extreme.fill : CHART_COLORS.typical.fill));
+
+      setChartData({
+        kind: 'bar',
+        labels: stats.distribution.map(d => formatRank(d.value)),
+        datasets: [{
+          label: 'Probability under H₀',
+          data: stats.distribution.map(d => d.probability),
+          backgroundColor: colors,
+          borderColor: colors.map(c => (c === CHART_COLORS.extreme.fill ? CHART_COLORS.extreme.line : c === CHART_COLORS.typical.fill ? CHART_COLORS.typical.line : c)),
+          borderWidth: 1,
+          categoryPercentage: 1,
+          barPercentage: 0.9
+        }]
+      });
+      return;
+    }
+
+    const isChiSquare = stats.df !== undefined;
+    const observed = isChiSquare ? stats.h : stats.z;
+    const xMin = isChiSquare ? 0 : -4;
+    const xMax = isChiSquare
+      ? Math.max(jStat.chisquare.inv(0.999, stats.df), observed * 1.1)
+      : 4;
+    const points = 300;
+    const step = (xMax - xMin) / points;
+
+    const xValues = [];
+    const yValues = [];
+    const pRegion = [];
+    for (let i = 0; i <= points; i++) {
+      const x = xMin + i * step;
+      xValues.push(x);
+      const density = isChiSquare ? jStat.chisquare.pdf(x, stats.df) : jStat.normal.pdf(x, 0, 1);
+      const y = Number.isFinite(density) ? density : null;
+      yValues.push(y);
+
+      const shaded = isChiSquare || tail === TAIL_TYPES.RIGHT
+        ? x >= observed
+        : tail === TAIL_TYPES.LEFT ? x <= observed : Math.abs(x) >= Math.abs(observed);
+      pRegion.push(shaded ? y : null);
+    }
+
+    const datasets = [
+      {
+        label: 'p-value Area',
+        data: pRegion,
+        borderColor: CHART_COLORS.extreme.line,
+        backgroundColor: CHART_COLORS.extreme.fill,
+        fill: true,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 2
+      },
+      {
+        label: 'Distribution Curve',
+        data: yValues,
+        borderColor: 'rgba(100, 100, 100, 0.8)',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        fill: false,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 1
+      }
+    ];
+
+    // Test statistic marker on the x-axis, pinned to the edge when it runs off the chart
+    const clamped = Math.min(Math.max(observed, xMin), xMax);
+    const testStatIndex = xValues.findIndex(x => Math.abs(x - clamped) <= step / 2);
+    if (testStatIndex !== -1) {
+      const testStatData = new Array(xValues.length).fill(null);
+      testStatData[testStatIndex] = 0;
+      datasets.push({
+        label: 'Test Statistic',
+        data: testStatData,
+        borderColor: CHART_COLORS.testStatistic,
+        backgroundColor: CHART_COLORS.testStatistic,
+        pointRadius: 8,
+        pointStyle: 'triangle',
+        pointBorderWidth: 2,
+        type: 'scatter',
+        order: -1
+      });
+    }
+
+    setChartData({
+      kind: 'line',
+      labels: xValues.map(x => x.toFixed(2)),
+      datasets,
+      statOffChart: observed !== clamped
+    });
+  };
+
+  /**
+   * Symbols and axis names for the statistic of the last run
+   */
+  const statisticInfo = () => {
+    switch (result.test) {
+      case TESTS.SIGN:
+        return { symbol: 'S₊', name: 'Number of positive signs (S₊)' };
+      case TESTS.MANN_WHITNEY:
+        return { symbol: 'U₁', name: 'Mann-Whitney U₁' };
+      case TESTS.KRUSKAL_WALLIS:
+        return { symbol: 'H', name: 'Kruskal-Wallis H' };
+      default:
+        return { symbol: 'W₊', name: 'Sum of positive ranks (W₊)' };
+    }
+  };
+
+  /**
+   * Chart configuration options
+   */
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: chartData?.kind === 'line',
+        position: 'bottom',
+        labels: {
+          filter: (item) => item.text !== '' && !item.text.includes('Distribution Curve'),
+          usePointStyle: true
+        }
+      },
+      tooltip: {
+        enabled: true,
+        callbacks: {
+          label: (context) => {
+            if (chartData?.kind === 'bar') {
+              return `P(${statisticInfo().symbol} = ${context.label}) = ${context.parsed.y.toFixed(4)}`;
+            }
+            if (context.dataset.label === 'Test Statistic') {
+              return result.test === TESTS.KRUSKAL_WALLIS ? `H = ${result.h?.toFixed(4)}` : `z = ${result.z?.toFixed(4)}`;
+            }
+            return context.dataset.label;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        display: true,
+        title: {
+          display: true,
+          text: chartData?.kind === 'bar'
+            ? statisticInfo().name
+            : result.test === TESTS.KRUSKAL_WALLIS ? 'χ² Value' : 'z-score'
+        },
+        ticks: {
+          maxTicksLimit: 12
+        }
+      },
+      y: {
+        display: true,
+        title: {
+          display: true,
+          text: chartData?.kind === 'bar' ? 'Probability under H₀' : 'Probability Density'
+        }
+      }
+    }
+  };
+
+  /**
+   * Word the strength of evidence based on the p-value
+   */
+  const evidenceStrength = (pVal) =>
+    pVal < 0.01 ? 'very strong' : pVal < 0.05 ? 'strong' : pVal < 0.10 ? 'moderate' : 'weak or no';
+
+  const tailSymbol = tailType === TAIL_TYPES.TWO ? '≠' : tailType === TAIL_TYPES.RIGHT ? '>' : '<';
+
+  /**
+   * Plain-English conclusion sentence for the completed test
+   */
+  const conclusionText = () => {
+    const level = `At the ${(result.alphaNum * 100).toFixed(0)}% significance level`;
+    const provide = result.reject ? 'the data provide sufficient evidence' : 'the data do NOT provide sufficient evidence';
+
+    if (result.test === TESTS.KRUSKAL_WALLIS) {
+      return result.reject
+        ? `${level}, ${provide} that at least one of the ${result.names.length} groups tends to have larger or smaller values than the others.`
+        : `${level}, ${provide} that the ${result.names.length} groups differ in their typical values.`;
+    }
+    if (result.test === TESTS.MANN_WHITNEY) {
+      const direction = result.tail === TAIL_TYPES.TWO ? 'tend to differ from'
+        : result.tail === TAIL_TYPES.RIGHT ? 'tend to be larger than' : 'tend to be smaller than';
+      return `${level}, ${provide} that values in ${result.names[0]} ${direction} values in ${result.names[1]}.`;
+    }
+
+    const direction = result.tail === TAIL_TYPES.TWO ? 'differs from'
+      : result.tail === TAIL_TYPES.RIGHT ? 'is greater than' : 'is less than';
+    return result.test === TESTS.SIGNED_RANK_PAIRED
+      ? `${level}, ${provide} that the median paired difference (${result.names[0]} − ${result.names[1]}) ${direction} zero.`
+      : `${level}, ${provide} that the population median ${direction} ${result.median0}.`;
+  };
+
+  /**
+   * Hypotheses for the chosen test, in symbols
+   * @param {string} testType - TESTS value
+   * @param {string} symbol - Tail symbol (≠, >, <)
+   * @param {string[]} names - Box names
+   * @param {string|number} m0 - Hypothesized median
+   * @returns {string[]} [H₀, H₁]
+   */
+  const hypotheses = (testType, symbol, names, m0) => {
+    if (testType === TESTS.KRUSKAL_WALLIS) {
+      return [`All ${names.length} groups have the same distribution`, 'At least one group tends to have larger or smaller values'];
+    }
+    if (testType === TESTS.MANN_WHITNEY) {
+      return [`${names[0]} and ${names[1]} have the same distribution`, `${names[0]} ${symbol} ${names[1]} (in typical values)`];
+    }
+    if (testType === TESTS.SIGNED_RANK_PAIRED) {
+      return ['median difference = 0', `median difference ${symbol} 0`];
+    }
+    return [`median = ${m0}`, `median ${symbol} ${m0}`];
+  };
+
+  const formatP = (p) => (p < 0.0001 ? '< 0.0001' : p.toFixed(4));
+
+  /**
+   * Exact p-value in probability notation
+   */
+  const exactPFormula = () => {
+    const { symbol } = statisticInfo();
+    const s = formatRank(result.statistic);
+    if (result.tail === TAIL_TYPES.RIGHT) return `P(${symbol} ≥ ${s})`;
+    if (result.tail === TAIL_TYPES.LEFT) return `P(${symbol} ≤ ${s})`;
+    return `2 × min[P(${symbol} ≤ ${s}), P(${symbol} ≥ ${s})]`;
+  };
+
+  const pValueMethod = () => {
+    if (result.exact) return result.test === TESTS.KRUSKAL_WALLIS ? 'Exact (all arrangements)' : 'Exact';
+    return result.test === TESTS.KRUSKAL_WALLIS ? `χ² approximation (df = ${result.df})` : 'Normal approximation';
+  };
+
+  /**
+   * Rows of the rank table for the last run, as display strings
+   * @returns {Object} headers and rows
+   */
+  const rankTable = () => {
+    if (result.test === TESTS.SIGN) {
+      return {
+        headers: ['#', 'Value', 'x − m₀', 'Sign'],
+        rows: result.values[0].map((x, i) => {
+          const d = result.differences[i];
+          return [String(i + 1), String(x), String(Number(d.toFixed(6))), d > 0 ? '+' : d < 0 ? '−' : '0 (dropped)'];
+        })
+      };
+    }
+    if (result.test === TESTS.SIGNED_RANK || result.test === TESTS.SIGNED_RANK_PAIRED) {
+      const byIndex = new Map(result.rows.map(r => [r.index, r]));
+      const paired = result.test === TESTS.SIGNED_RANK_PAIRED;
+      return {
+        headers: paired
+          ? ['#', result.names[0], result.names[1], 'd', '|d|', 'Rank', 'Signed Rank']
+          : ['#', 'Value', 'd = x − m₀', '|d|', 'Rank', 'Signed Rank'],
+        rows: result.differences.map((d, i) => {
+          const row = byIndex.get(i);
+          const shown = Number(d.toFixed(6));
+          return [
+            String(i + 1),
+            String(result.values[0][i]),
+            ...(paired ? [String(result.values[1][i])] : []),
+            String(shown),
+            String(Math.abs(shown)),
+            row ? formatRank(row.rank) : '— (dropped)',
+            row ? (row.signedRank > 0 ? '+' : '−') + formatRank(Math.abs(row.signedRank)) : '—'
+          ];
+        })
+      };
+    }
+    return {
+      headers: ['Value', 'Group', 'Rank'],
+      rows: result.rows.map(r => [String(r.value), result.names[r.group], formatRank(r.rank)])
+    };
+  };
+
+  /**
+   * Rank sums and medians for the group tests
+   */
+  const groupSummaries = () => {
+    if (result.test === TESTS.MANN_WHITNEY) {
+      return [
+        { n: result.n1, rankSum: result.rankSum1, meanRank: result.rankSum1 / result.n1 },
+        { n: result.n2, rankSum: result.rankSum2, meanRank: result.rankSum2 / result.n2 }
+      ];
+    }
+    return result.groupRanks || [];
+  };
+
+  /**
+   * Copy the test summary and the rank table as tab-separated text
+   */
+  const copyResultsToClipboard = async () => {
+    const { symbol } = statisticInfo();
+    const [h0, h1] = hypotheses(result.test, result.tail === TAIL_TYPES.TWO ? '≠' : result.tail === TAIL_TYPES.RIGHT ? '>' : '<', result.names, result.median0);
+    const table = rankTable();
+    const rows = [
+      [TEST_NAMES[result.test]],
+      ['H₀', h0],
+      ['H₁', h1],
+      ...(result.n !== undefined ? [['n (nonzero differences)', String(result.n)]] : []),
+      ...groupSummaries().map((g, i) => [`${result.names[i]}: n, rank sum, mean rank`, String(g.n), formatRank(g.rankSum), g.meanRank.toFixed(2)]),
+      [symbol, result.test === TESTS.KRUSKAL_WALLIS ? result.h.toFixed(4) : formatRank(result.statistic)],
+      ...(result.z !== null && result.z !== undefined ? [['z (continuity-corrected)', result.z.toFixed(4)]] : []),
+      ...(result.df !== undefined ? [['df', String(result.df)]] : []),
+      ['P-value', formatP(result.pValue)],
+      ['Method', pValueMethod()],
+      ['Significance level (α)', String(result.alphaNum)],
+      ['Decision', result.reject ? 'Reject H₀' : 'Fail to reject H₀'],
+      ['Conclusion', conclusionText()],
+      [],
+      table.headers,
+      ...table.rows
+    ];
+    const text = rows.map(row => row.join('\t')).join('\n');
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      announcePolite('Results copied to clipboard.');
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      announcePolite('Could not access the clipboard.');
+    }
+  };
+
+  /**
+   * Download the null-distribution chart as a PNG on a white background
+   */
+  const downloadChartPNG = () => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const source = chart.canvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0);
+    const link = document.createElement('a');
+    link.href = canvas.toDataURL('image/png');
+    link.download = `${result.test}-null-distribution.png`;
+    link.click();
+    announcePolite('Chart image downloaded.');
+  };
+
+  const inputClass = "w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none";
+
+  const [previewH0, previewH1] = hypotheses(test, tailSymbol, groups.map((g, i) => g.name.trim() || `Group ${i + 1}`), median || 'm₀');
+  const ChartComponent = chartData?.kind === 'bar' ? Bar : Line;
+  const chartTitle = result.pValue === undefined ? ''
+    : chartData?.kind === 'bar' ? `Exact Null Distribution of ${statisticInfo().symbol}`
+      : result.test === TESTS.KRUSKAL_WALLIS ? `χ² Distribution (df = ${result.df})` : 'Standard Normal Approximation';
+  const chartDescription = result.pValue === undefined ? ''
+    : chartData?.kind === 'bar'
+      ? `Bar chart of the exact distribution of ${statisticInfo().symbol} when H₀ is true. Observed value ${formatRank(result.statistic)}; bars at least as extreme total the p-value ${formatP(result.pValue)}.`
+      : result.test === TESTS.KRUSKAL_WALLIS
+        ? `Chi-square distribution with ${result.df} degrees of freedom, area beyond H = ${result.h.toFixed(4)} shaded.`
+        : `Standard normal curve with the p-value area beyond z = ${result.z.toFixed(4)} shaded.`;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-6xl mx-auto bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-3xl font-bold text-darkGrey mb-2">
+          Nonparametric Tests Calculator
+        </h2>
+
+        {/* Educational explanation section */}
+        <div className="mb-6 p-4 bg-blue-50 rounded-lg border-l-4 border-blue-500">
+          <h3 className="text-lg font-semibold text-darkGrey mb-2">
+            📊 Understanding Rank-Based Tests
+          </h3>
+          <p className="text-darkGrey mb-3">
+            t-tests and ANOVA assume roughly normal populations. Nonparametric tests drop that assumption by working
+            with <em>signs</em> and <em>ranks</em> instead of the raw values: the smallest value gets rank 1, the next
+            rank 2, and so on. An extreme outlier is simply the largest rank, so it cannot drag the result around.
+          </p>
+
+          <div className="grid md:grid-cols-2 gap-4 text-sm text-darkGrey">
+            <div>
+              <h4 className="font-semibold mb-1">🧩 Which Test?</h4>
+              <ul className="list-disc list-inside space-y-1">
+                <li><strong>Sign test:</strong> One sample vs a median, using only + and −</li>
+                <li><strong>Wilcoxon signed-rank:</strong> One sample or paired data, using ranked distances</li>
+                <li><strong>Mann-Whitney U:</strong> Two independent groups (like a two-sample t-test)</li>
+                <li><strong>Kruskal-Wallis H:</strong> Two or more groups (like one-way ANOVA)</li>
+              </ul>
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-1">🔍 Exact vs Approximate:</h4>
+              <ul className="list-disc list-inside space-y-1">
+                <li>Small samples: count every equally likely arrangement for an <strong>exact</strong> p-value</li>
+                <li>Larger samples: the statistic is close to <strong>normal</strong> (χ² for Kruskal-Wallis)</li>
+                <li>Tied values share the average of their ranks</li>
+                <li>Zero differences carry no sign and are dropped</li>
+              </ul>
+            </div>
+          </div>
+
+          <p className="text-sm text-darkGrey mt-3 italic">
+            💡 <strong>Remember:</strong> Rank tests trade a little power on perfectly normal data for protection against
+            skew and outliers. They are also the natural choice for ordinal data such as 1–5 star ratings.
+          </p>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          {/* Input Controls */}
+          <div className="space-y-4">
+            {/* Test Configuration */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4">Test Configuration</h3>
+
+              <div className="space-y-3">
+                <div>
+                  <label htmlFor="np-test" className="block text-darkGrey font-medium mb-2">Which test?</label>
+                  <select
+                    id="np-test"
+                    value={test}
+                    onChange={handleTestChange}
+                    className={inputClass}
+                  >
+                    {Object.values(TESTS).map(value => (
+                      <option key={value} value={value}>{TEST_NAMES[value]}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {!isKruskal && (
+                  <div>
+                    <label htmlFor="np-tail-type" className="block text-darkGrey font-medium mb-2">Tail Type</label>
+                    <select
+                      id="np-tail-type"
+                      value={tailType}
+                      onChange={(e) => setTailType(e.target.value)}
+                      className={inputClass}
+                    >
+                      <option value={TAIL_TYPES.TWO}>Two-Tailed (≠)</option>
+                      <option value={TAIL_TYPES.RIGHT}>Right-Tailed ({">"})</option>
+                      <option value={TAIL_TYPES.LEFT}>Left-Tailed ({"<"})</option>
+                    </select>
+                  </div>
+                )}
+
+                {isOneSample && (
+                  <div>
+                    <label htmlFor="np-median" className="flex items-center text-darkGrey font-medium mb-1">
+                      Hypothesized Median (m₀)
+                      <InfoIcon info="The median claimed under H₀. Each value is compared with it; values equal to m₀ are dropped." />
+                    </label>
+                    <input
+                      id="np-median"
+                      type="number"
+                      step="any"
+                      value={median}
+                      onChange={(e) => setMedian(e.target.value)}
+                      placeholder="e.g., 25"
+                      className={inputClass}
+                      aria-describedby="np-error"
+                    />
+                  </div>
+                )}
+
+                <div>
+                  <label htmlFor="np-significance" className="flex items-center text-darkGrey font-medium mb-1">
+                    Significance Level (α)
+                    <InfoIcon info="The probability of Type I error (typically 0.05)" />
+                  </label>
+                  <input
+                    id="np-significance"
+                    type="number"
+                    step="0.01"
+                    min="0.001"
+                    max="0.999"
+                    value={significanceLevel}
+                    onChange={(e) => setSignificanceLevel(e.target.value)}
+                    placeholder="e.g., 0.05"
+                    className={inputClass}
+                    aria-invalid={!!error}
+                    aria-describedby="np-error"
+                  />
+                </div>
+
+                {/* Live hypotheses preview */}
+                <div className="p-3 bg-white rounded-lg border-2 border-darkTeal/30">
+                  <p className="text-sm font-semibold text-darkGrey mb-1">Your Hypotheses:</p>
+                  <p className="font-mono text-darkGrey">H₀: {previewH0}</p>
+                  <p className="font-mono text-darkGrey">H₁: {previewH1}</p>
+                  <p className="text-xs text-darkGrey/70 mt-1">
+                    {isKruskal
+                      ? 'Kruskal-Wallis is always right-tailed: only a large H (mean ranks far apart) counts against H₀.'
+                      : isPaired
+                        ? `Differences are ${groups[0]?.name || 'Before'} − ${groups[1]?.name || 'After'}, matched in order.`
+                        : test === TESTS.MANN_WHITNEY
+                          ? 'Right-tailed means values in the first group tend to be larger.'
+                          : 'Values equal to the hypothesized median are dropped before testing.'}
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Data */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4">{isOneSample ? 'Sample Data' : isPaired ? 'Paired Data' : 'Group Data'}</h3>
+
+              <div className="space-y-3">
+                {groups.map((group, index) => {
+                  const count = extractNumbers(group.text).length;
+                  return (
+                    <div
+                      key={index}
+                      className="bg-white p-3 rounded-lg border-l-4"
+                      style={{ borderLeftColor: GROUP_BORDERS[index % GROUP_BORDERS.length] }}
+                      onDrop={(e) => handleDrop(e, index)}
+                      onDragOver={(e) => handleDragOver(e, index)}
+                      onDragLeave={() => setDraggingIndex(null)}
+                    >
+                      <div className="flex items-center gap-2 mb-2">
+                        <input
+                          type="text"
+                          value={group.name}
+                          onChange={(e) => updateGroup(index, 'name', e.target.value)}
+                          className="flex-1 p-1 border-2 border-darkGrey/20 rounded focus:border-darkTeal outline-none font-medium"
+                          aria-label={`Name of data box ${index + 1}`}
+                        />
+                        <label className="text-sm px-3 py-1 bg-darkTeal text-white rounded-lg hover:bg-darkTeal/80 transition-colors cursor-pointer focus-within:ring-2 focus-within:ring-darkTeal">
+                          📁 Upload
+                          <input
+                            type="file"
+                            accept=".csv,.txt,text/csv,text/plain"
+                            className="sr-only"
+                            aria-label={`Upload a CSV or text file for ${group.name || `group ${index + 1}`}`}
+                            onChange={(e) => { loadFileIntoGroup(e.target.files?.[0], index); e.target.value = ''; }}
+                          />
+                        </label>
+                        {isKruskal && (
+                          <button
+                            onClick={() => removeGroup(index)}
+                            disabled={groups.length <= setup.min}
+                            className="text-red-500 hover:text-red-700 font-bold text-xl px-1 disabled:opacity-30"
+                            aria-label={`Remove ${group.name || `group ${index + 1}`}`}
+                          >
+                            ×
+                          </button>
+                        )}
+                      </div>
+                      <textarea
+                        id={`np-group-${index}`}
+                        value={group.text}
+                        onChange={(e) => updateGroup(index, 'text', e.target.value)}
+                        placeholder="e.g., 12, 15.5, 18, 22 — or drop a CSV file here"
+                        className={`w-full p-2 border-2 rounded-lg focus:border-darkTeal outline-none transition-colors text-sm ${draggingIndex === index ? 'border-darkTeal bg-darkTeal/10 border-dashed' : 'border-darkGrey/20'}`}
+                        rows="2"
+                        aria-label={`Values for ${group.name || `group ${index + 1}`}`}
+                        aria-describedby={`np-group-${index}-count np-error`}
+                      />
+                      <p id={`np-group-${index}-count`} className="text-xs text-darkGrey/70" aria-live="polite">
+                        {count} valid number{count === 1 ? '' : 's'} detected
+                      </p>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {isKruskal && (
+                <button
+                  onClick={addGroup}
+                  disabled={groups.length >= setup.max}
+                  className="mt-3 w-full bg-darkTeal text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors disabled:opacity-50"
+                >
+                  + Add Group (up to {setup.max})
+                </button>
+              )}
+
+              <button
+                onClick={calculate}
+                className="mt-4 w-full bg-accent border-2 border-darkGrey text-darkGrey px-4 py-3 rounded-lg font-bold hover:bg-darkGrey hover:text-white transition-all"
+              >
+                Run Test
+              </button>
+              <p id="np-error" className="text-red-500 text-sm mt-2" role="status">{error || ''}</p>
+            </div>
+          </div>
+
+          {/* Results and Visualization */}
+          <div className="space-y-4">
+            {result.pValue !== undefined && (
+              <>
+                {/* Visualization */}
+                <div className="bg-platinum p-4 rounded-lg">
+                  <h3 className="text-xl font-bold text-darkGrey mb-4">{chartTitle}</h3>
+                  <div className="h-64">
+                    {chartData && <div role="img" className="h-full" aria-label={chartDescription}><ChartComponent ref={chartRef} data={chartData} options={chartOptions} /></div>}
+                  </div>
+                  <div className="mt-2 text-xs text-darkGrey">
+                    <div className="flex items-center space-x-4">
+                      <span className="flex items-center">
+                        <span className="inline-block w-3 h-3 mr-1" style={{backgroundColor: CHART_COLORS.testStatistic}}></span>
+                        {chartData?.kind === 'line'
+                          ? `${result.test === TESTS.KRUSKAL_WALLIS ? 'H' : 'z'}: ${(result.test === TESTS.KRUSKAL_WALLIS ? result.h : result.z).toFixed(4)}${chartData.statOffChart ? ' (beyond the edge)' : ''}`
+                          : `Observed ${statisticInfo().symbol}: ${formatRank(result.statistic)}`}
+                      </span>
+                    </div>
+                    <p className="mt-1">
+                      <span className="text-red-500">Red {chartData?.kind === 'bar' ? 'bars' : 'area'}:</span> At least as extreme as your data (total = p-value)
+                      {chartData?.kind === 'bar' && <><span className="mx-1">|</span><span className="text-darkTeal">Teal bars:</span> Less extreme outcomes</>}
+                    </p>
+                    {result.test === TESTS.KRUSKAL_WALLIS && result.exact && (
+                      <p className="mt-1 italic">The p-value comes from exact enumeration; the curve shows the χ² approximation for comparison.</p>
+                    )}
+                  </div>
+                  <div className="mt-3 flex flex-col sm:flex-row gap-2">
+                    <button
+                      onClick={() => setShowChartModal(true)}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      🔍 View Larger Chart
+                    </button>
+                    <button
+                      onClick={copyResultsToClipboard}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      {copied ? '✓ Copied!' : '📋 Copy Results'}
+                    </button>
+                    <button
+                      onClick={downloadChartPNG}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      🖼️ Download PNG
+                    </button>
+                  </div>
+                </div>
+
+                {/* Decision Box */}
+                <div className={`p-4 rounded-lg border-2 ${result.reject ? 'bg-red-50 border-red-300' : 'bg-green-50 border-green-300'}`}>
+                  <h3 className="text-xl font-bold text-darkGrey mb-2">
+                    Statistical Decision
+                  </h3>
+                  <p className="text-lg font-semibold text-darkGrey">
+                    {result.reject ? '✓ Reject the null hypothesis' : '✗ Fail to reject the null hypothesis'}
+                  </p>
+                  <p className="text-sm text-darkGrey mt-2">
+                    <strong>In plain words:</strong> {conclusionText()}
+                  </p>
+                  <p className="text-sm text-darkGrey opacity-80 mt-1">
+                    The p-value of {formatP(result.pValue)} indicates <strong>{evidenceStrength(result.pValue)}</strong> evidence against H₀.
+                  </p>
+                  {!result.reject && (
+                    <p className="text-sm text-darkGrey mt-2 italic">
+                      Note: Failing to reject H₀ is not proof that there is no difference - small samples have little power, especially with exact tests
+                    </p>
+                  )}
+                </div>
+
+                {/* Test summary */}
+                <div className="bg-accent/20 border-2 border-accent p-4 rounded-lg">
+                  <h3 className="text-xl font-bold text-darkGrey mb-3">{TEST_NAMES[result.test]}</h3>
+                  <div className="space-y-2 text-sm text-darkGrey">
+                    {result.n !== undefined && (
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium">Nonzero differences (n):</span>
+                        <span className="font-mono font-bold">{result.n}{result.zeros > 0 ? ` (${result.zeros} dropped)` : ''}</span>
+                      </div>
+                    )}
+                    {result.test === TESTS.SIGN && (
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium">Signs (+ / −):</span>
+                        <span className="font-mono font-bold">{result.positives} / {result.negatives}</span>
+                      </div>
+                    )}
+                    {(result.test === TESTS.SIGNED_RANK || result.test === TESTS.SIGNED_RANK_PAIRED) && (
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium">W₊ / W₋:</span>
+                        <span className="font-mono font-bold">{formatRank(result.wPlus)} / {formatRank(result.wMinus)}</span>
+                      </div>
+                    )}
+                    {result.test === TESTS.MANN_WHITNEY && (
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium">U₁ / U₂:</span>
+                        <span className="font-mono font-bold">{formatRank(result.u1)} / {formatRank(result.u2)}</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">Test Statistic ({statisticInfo().symbol}):</span>
+                      <span className="font-mono font-bold">{result.test === TESTS.KRUSKAL_WALLIS ? result.h.toFixed(4) : formatRank(result.statistic)}</span>
+                    </div>
+                    {!result.exact && result.z !== undefined && result.z !== null && (
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium flex items-center">
+                          z (continuity-corrected):
+                          <InfoIcon info="(statistic − mean ∓ 0.5) / SD, where the 0.5 bridges the gap between the discrete statistic and the smooth normal curve" />
+                        </span>
+                        <span className="font-mono font-bold">{result.z.toFixed(4)}</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">P-Value:</span>
+                      <span className="font-mono font-bold">{formatP(result.pValue)}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">Method:</span>
+                      <span className="font-bold">{pValueMethod()}</span>
+                    </div>
+                  </div>
+
+                  {groupSummaries().length > 0 && (
+                    <div className="overflow-x-auto mt-3 pt-3 border-t border-accent/50">
+                      <table className="w-full text-sm text-darkGrey">
+                        <thead>
+                          <tr className="border-b-2 border-accent">
+                            <th scope="col" className="text-left p-1">Group</th>
+                            <th scope="col" className="text-right p-1">n</th>
+                            <th scope="col" className="text-right p-1">Median</th>
+                            <th scope="col" className="text-right p-1">Rank Sum</th>
+                            <th scope="col" className="text-right p-1">Mean Rank</th>
+                          </tr>
+                        </thead>
+                        <tbody className="font-mono">
+                          {groupSummaries().map((g, i) => (
+                            <tr key={i} className="border-b border-accent/50">
+                              <th scope="row" className="text-left p-1 font-sans font-medium">{result.names[i]}</th>
+                              <td className="text-right p-1">{g.n}</td>
+                              <td className="text-right p-1">{result.descriptive[i].median.toFixed(2)}</td>
+                              <td className="text-right p-1">{formatRank(g.rankSum)}</td>
+                              <td className="text-right p-1">{g.meanRank.toFixed(2)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+
+                {/* Rank table */}
+                <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                  <h3 className="text-lg font-bold text-darkGrey mb-1">
+                    {result.test === TESTS.SIGN ? '➕ Sign Table' : '🔢 Rank Table'}
+                  </h3>
+                  <p className="text-xs text-darkGrey/70 mb-2">
+                    {result.test === TESTS.SIGN
+                      ? 'Each value is compared with m₀; only the direction matters.'
+                      : result.differences
+                        ? 'Distances |d| are ranked from smallest to largest; each rank then takes the sign of its difference.'
+                        : 'All values are ranked together, smallest first. Tied values share the average of their ranks.'}
+                  </p>
+                  <div className="overflow-x-auto max-h-72 overflow-y-auto">
+                    <table className="w-full text-sm">
+                      <thead className="sticky top-0 bg-white">
+                        <tr className="border-b-2 border-darkGrey/20">
+                          {rankTable().headers.map((header, index) => (
+                            <th key={index} scope="col" className={`p-1 ${index === 0 ? 'text-left' : 'text-right'}`}>{header}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="font-mono">
+                        {rankTable().rows.map((row, rowIndex) => (
+                          <tr key={rowIndex} className="border-b border-darkGrey/10">
+                            {row.map((cell, index) => (
+                              <td key={index} className={`p-1 ${index === 0 ? 'text-left' : 'text-right'}`}>{cell}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+
+                {/* The math, step by step */}
+                <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                  <h3 className="text-lg font-bold text-darkGrey mb-2">🧮 The Math, Step by Step</h3>
+                  <ol className="list-decimal list-inside space-y-2">
+                    {result.test === TESTS.SIGN && (
+                      <>
+                        <li>
+                          <strong>Signs</strong> — compare each value with m₀ = {result.median0} and drop ties with m₀:
+                          <p className="font-mono ml-5">S₊ = {result.positives}, S₋ = {result.negatives}, n = {result.n}</p>
+                        </li>
+                        <li>
+                          <strong>Null distribution</strong> — if the median really is {result.median0}, each sign is a fair coin flip:
+                          <p className="font-mono ml-5">S₊ ~ Binomial(n = {result.n}, p = 0.5), mean = {result.mean.toFixed(2)}, SD = {result.sd.toFixed(4)}</p>
+                        </li>
+                      </>
+                    )}
+                    {(result.test === TESTS.SIGNED_RANK || result.test === TESTS.SIGNED_RANK_PAIRED) && (
+                      <>
+                        <li>
+                          <strong>Differences</strong> — {result.test === TESTS.SIGNED_RANK_PAIRED ? `d = ${result.names[0]} − ${result.names[1]}` : `d = x − ${result.median0}`}, dropping zeros:
+                          <p className="font-mono ml-5">n = {result.n}</p>
+                        </li>
+                        <li>
+                          <strong>Rank the distances</strong> |d| and add up the ranks of the positive differences:
+                          <p className="font-mono ml-5">W₊ = {formatRank(result.wPlus)}, W₋ = {formatRank(result.wMinus)} (W₊ + W₋ = n(n + 1)/2 = {formatRank(result.n * (result.n + 1) / 2)})</p>
+                        </li>
+                        <li>
+                          <strong>Null distribution</strong> — with no shift, each rank is equally likely to be + or −:
+                          <p className="font-mono ml-5">mean = n(n + 1)/4 = {result.mean.toFixed(2)}, SD = {result.sd.toFixed(4)}{result.tiedGroups > 0 ? ' (tie-corrected)' : ''}</p>
+                        </li>
+                      </>
+                    )}
+                    {result.test === TESTS.MANN_WHITNEY && (
+                      <>
+                        <li>
+                          <strong>Rank all {result.n1 + result.n2} values together</strong> and add up each group's ranks:
+                          <p className="font-mono ml-5">R₁ = {formatRank(result.rankSum1)}, R₂ = {formatRank(result.rankSum2)}</p>
+                        </li>
+                        <li>
+                          <strong>U statistic</strong> — how often a {result.names[0]} value beats a {result.names[1]} value:
+                          <p className="font-mono ml-5">U₁ = R₁ − n₁(n₁ + 1)/2 = {formatRank(result.rankSum1)} − {formatRank(result.n1 * (result.n1 + 1) / 2)} = {formatRank(result.u1)}</p>
+                          <p className="font-mono ml-5">U₂ = n₁n₂ − U₁ = {formatRank(result.u2)}</p>
+                        </li>
+                        <li>
+                          <strong>Null distribution</strong> — if the groups are alike, every split of the ranks is equally likely:
+                          <p className="font-mono ml-5">mean = n₁n₂/2 = {result.mean.toFixed(2)}, SD = {result.sd.toFixed(4)}{result.tiedGroups > 0 ? ' (tie-corrected)' : ''}</p>
+                        </li>
+                      </>
+                    )}
+                    {result.test === TESTS.KRUSKAL_WALLIS && (
+                      <>
+                        <li>
+                          <strong>Rank all {result.N} values together</strong> and find each group's mean rank:
+                          <p className="font-mono ml-5">
+                            {result.groupRanks.map((g, i) => `R̄${i + 1} = ${g.meanRank.toFixed(2)}`).join(', ')} (overall mean rank = {((result.N + 1) / 2).toFixed(2)})
+                          </p>
+                        </li>
+                        <li>
+                          <strong>H statistic</strong> — how far the mean ranks sit from the overall mean rank:
+                          <p className="font-mono ml-5">H = 12 / (N(N + 1)) · Σ Rᵢ²/nᵢ − 3(N + 1) = {result.hUncorrected.toFixed(4)}</p>
+                          {result.tieCorrection < 1 && (
+                            <p className="font-mono ml-5">Tie correction: H ÷ {result.tieCorrection.toFixed(4)} = {result.h.toFixed(4)}</p>
+                          )}
+                        </li>
+                      </>
+                    )}
+                    <li>
+                      <strong>P-value</strong> — {result.exact
+                        ? (result.test === TESTS.KRUSKAL_WALLIS
+                          ? `share of all ${result.arrangements.toLocaleString()} rank arrangements with H ≥ ${result.h.toFixed(4)}:`
+                          : 'exact, from the null distribution:')
+                        : (result.test === TESTS.KRUSKAL_WALLIS ? `H compared with χ²(${result.df}):` : 'normal approximation with a continuity correction:')}
+                      {result.exact && result.test !== TESTS.KRUSKAL_WALLIS && (
+                        <p className="font-mono ml-5">p = {exactPFormula()} = {formatP(result.pValue)}</p>
+                      )}
+                      {!result.exact && result.test !== TESTS.KRUSKAL_WALLIS && (
+                        <p className="font-mono ml-5">z = {result.z.toFixed(4)}, p = {formatP(result.pValue)}</p>
+                      )}
+                      {result.test === TESTS.KRUSKAL_WALLIS && (
+                        <p className="font-mono ml-5">p = {formatP(result.pValue)}</p>
+                      )}
+                    </li>
+                    <li>
+                      <strong>Compare</strong> — p = {formatP(result.pValue)} vs α = {result.alphaNum}:
+                      {result.reject ? ' the p-value is below α → reject H₀.' : ' the p-value is not below α → fail to reject H₀.'}
+                    </li>
+                  </ol>
+                </div>
+
+                {/* Assumption checks */}
+                <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                  <h3 className="text-lg font-bold text-darkGrey mb-2">✅ Conditions Check</h3>
+                  <ul className="space-y-1">
+                    {result.assumptions.map((assumption, index) => (
+                      <li key={index} className="flex items-start gap-2">
+                        <span aria-hidden="true">{assumption.pass === true ? '✓' : assumption.pass === false ? '⚠️' : 'ℹ️'}</span>
+                        <span className={assumption.pass === false ? 'text-red-700 font-medium' : ''}>{assumption.label}</span>
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="mt-2 text-xs text-darkGrey/70">
+                    Exact p-values are used up to n = {EXACT_MAX_N} (sign and signed-rank tests), {EXACT_MAX_GROUP_SIZE} per group
+                    (Mann-Whitney) and {EXACT_MAX_ARRANGEMENTS.toLocaleString()} rank arrangements (Kruskal-Wallis).
+                  </p>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Story-based example scenarios */}
+        <div className="mt-6 bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-2">Try a Real Scenario</h3>
+          <p className="text-xs text-darkGrey/70 mb-2">
+            Each scenario predicts its outcome — load one, press Run Test, and check the prediction against the decision and the rank table.
+          </p>
+          <div className="grid md:grid-cols-3 gap-2">
+            {PRESET_SCENARIOS.map((preset, index) => (
+              <button
+                key={index}
+                onClick={() => applyPreset(preset)}
+                className="p-3 text-left bg-platinum hover:bg-darkTeal/20 rounded transition-colors text-sm text-darkGrey"
+                aria-label={`Load ${preset.name} scenario`}
+              >
+                <div className="font-medium">{preset.name}</div>
+                <div className="text-xs text-darkGrey/60">{TEST_NAMES[preset.test]}</div>
+                <div className="text-xs text-darkGrey/70 mt-1">{preset.description}</div>
+                <div className="text-xs text-darkTeal mt-1 italic">What to expect: {preset.expectedOutcome}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Enlarged chart modal */}
+        {showChartModal && chartData && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onKeyDown={handleChartModalKeyDown}>
+            <div ref={chartModalTrapRef} role="dialog" aria-modal="true" aria-labelledby="np-chart-modal-title" className="bg-white rounded-lg shadow-xl p-6 w-11/12 max-w-5xl max-h-screen overflow-y-auto">
+              <div className="flex justify-between items-center mb-4">
+                <h3 id="np-chart-modal-title" className="text-2xl font-bold text-darkGrey">
+                  {TEST_NAMES[result.test]} — {chartTitle}
+                </h3>
+                <button
+                  onClick={() => setShowChartModal(false)}
+                  className="text-darkGrey hover:text-red-500 text-2xl font-bold"
+                  aria-label="Close enlarged chart"
+                >
+                  ×
+                </button>
+              </div>
+
+              {/* How to read this chart */}
+              <div className="mb-4 p-4 bg-blue-50 rounded">
+                <h4 className="font-semibold text-darkGrey mb-2">
+                  📊 How to Read This Chart:
+                </h4>
+                <div className="grid md:grid-cols-2 gap-3 text-sm text-darkGrey">
+                  {chartData.kind === 'bar' ? (
+                    <>
+                      <div>
+                        <p>• <span className="font-semibold">Each Bar:</span> One possible value of {statisticInfo().symbol} and its probability if H₀ is true</p>
+                        <p>• <span className="font-semibold text-red-500">Red Bars:</span> Outcomes at least as extreme as yours — they add up to the p-value</p>
+                      </div>
+                      <div>
+                        <p>• <span className="font-semibold" style={{color: CHART_COLORS.testStatistic}}>Amber Bar:</span> YOUR {statisticInfo().symbol} ({formatRank(result.statistic)})</p>
+                        <p>• <span className="font-semibold text-darkTeal">Teal Bars:</span> Outcomes closer to what H₀ predicts</p>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <div>
+                        <p>• <span className="font-semibold">The Curve:</span> {result.test === TESTS.KRUSKAL_WALLIS ? `The χ²(${result.df}) approximation to the distribution of H` : 'The normal approximation to the distribution of the statistic, in z units'}</p>
+                        <p>• <span className="font-semibold text-red-500">Red Area:</span> Outcomes at least as extreme as yours — its area is the p-value</p>
+                      </div>
+                      <div>
+                        <p>• <span className="font-semibold" style={{color: CHART_COLORS.testStatistic}}>Amber Triangle:</span> YOUR {result.test === TESTS.KRUSKAL_WALLIS ? `H (${result.h.toFixed(4)})` : `z (${result.z.toFixed(4)})`}</p>
+                      </div>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {/* Enlarged chart */}
+              <div className="h-96 mb-4">
+                <div role="img" className="h-full" aria-label={`Enlarged chart. ${chartDescription}`}>
+                  <ChartComponent data={chartData} options={chartOptions} />
+                </div>
+              </div>
+
+              {/* Key numbers strip */}
+              <div className="bg-gray-50 p-4 rounded">
+                <h4 className="font-semibold text-darkGrey mb-2">Key Numbers:</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                  <div className="text-center">
+                    <p className="text-gray-600">Statistic ({statisticInfo().symbol})</p>
+                    <p className="font-mono font-bold">{result.test === TESTS.KRUSKAL_WALLIS ? result.h.toFixed(4) : formatRank(result.statistic)}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">Method</p>
+                    <p className="font-bold">{pValueMethod()}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">P-Value</p>
+                    <p className="font-mono font-bold">{formatP(result.pValue)}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">Decision</p>
+                    <p className="font-bold">{result.reject ? 'Reject H₀' : 'Fail to reject H₀'}</p>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NonparametricCalculator;
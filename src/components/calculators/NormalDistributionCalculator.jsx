@@ -1,10 +1,10 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { Chart as ChartJS, CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend, Filler } from 'chart.js';
 import { Line } from 'react-chartjs-2';
-import { jStat } from 'jstat';
 import InfoIcon from './InfoIcon';
 import useDocumentTitle from '../../hooks/useDocumentTitle';
 import { announcePolite } from '../../utils/announce';
+import { NormalMath } from '../../stats/distributions';
 
 // Register Chart.js components
 ChartJS.register(CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend, Filler);
@@ -14,54 +14,6 @@ ChartJS.register(CategoryScale, LinearScale, LineElement, PointElement, Title, T
  * Supports P(X<x), P(X>x), P(a<X<b), and inverse lookups.
  */
 
-// ========================================
-// MATHEMATICAL ENGINE (Single Responsibility)
-// ========================================
-const NormalMath = {
-  /**
-   * Convert X value to Z-score
-   * Z = (X - μ) / σ
-   * Like converting local currency to a universal standard
-   */
-  toZScore: (x, mean, sd) => {
-    if (sd === 0) return 0;
-    return (x - mean) / sd;
-  },
-
-  /**
-   * Convert Z-score to X value
-   * X = μ + Z × σ
-   * Like converting universal standard back to local currency
-   */
-  toXValue: (z, mean, sd) => {
-    return mean + z * sd;
-  },
-
-  /**
-   * Calculate probability density function
-   * The height of the bell curve at any point
-   */
-  pdf: (x, mean, sd) => {
-    return jStat.normal.pdf(x, mean, sd);
-  },
-
-  /**
-   * Calculate cumulative distribution function
-   * The area under the curve up to x
-   */
-  cdf: (x, mean, sd) => {
-    return jStat.normal.cdf(x, mean, sd);
-  },
-
-  /**
-   * Calculate inverse CDF (percentile to value)
-   * Given a probability, find the corresponding x value
-   */
-  inv: (p, mean, sd) => {
-    return jStat.normal.inv(p, mean, sd);
-  }
-};
-
 // ========================================
 // PRESET SCENARIOS
 // ========================================
@@ -1,79 +1,20 @@
 import React, { useState, useEffect, useCallback, useMemo, useId } from 'react';
 import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, LineElement, PointElement, Title, Tooltip, Legend } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
-import { jStat } from 'jstat';
 import useDocumentTitle from '../../hooks/useDocumentTitle';
 import { announcePolite } from '../../utils/announce';
+import { PoissonMath } from '../../stats/distributions';
 
 // Register Chart.js components
 ChartJS.register(CategoryScale, LinearScale, BarElement, LineElement, PointElement, Title, Tooltip, Legend);
 
 /**
  * Poisson distribution calculator — computes P(X=k), cumulative probabilities,
- * and visualizes the distribution for a given lambda.
+ * and visualizes the distribution for a given lambda. Also converts a rate
+ * and interval into λ, compares Binomial(n, p) with Poisson(np), and
+ * simulates arrivals of a Poisson process along a timeline.
  */
 
-// ========================================
-// MATHEMATICAL ENGINE (Single Responsibility)
-// ========================================
-/**
- * Pure mathematical functions for Poisson calculations
- * Think of this as the calculator's brain - pure logic, no UI concerns
- */
-const PoissonMath = {
-  /**
-   * Calculate Poisson probability mass function
-   * P(X = k) = (λ^k * e^(-λ)) / k!
-   * Like calculating the odds of exactly k lightning strikes in an hour
-   */
-  pmf: (k, lambda) => {
-    if (lambda <= 0 || k < 0) return 0;
-    return jStat.poisson.pdf(k, lambda);
-  },
-
-  /**
-   * Calculate cumulative distribution function
-   * P(X ≤ k) - probability of at most k events
-   * Like asking "what's the chance of 5 or fewer calls?"
-   */
-  cdf: (k, lambda) => {
-    if (lambda <= 0 || k < 0) return 0;
-    return jStat.poisson.cdf(k, lambda);
-  },
-
-  /**
-   * Calculate probability of at least k events
-   * P(X ≥ k) = 1 - P(X ≤ k-1)
-   * Like asking "what's the chance of 5 or more calls?"
-   */
-  atLeast: (k, lambda) => {
-    if (lambda <= 0) return 0;
-    if (k <= 0) return 1;
-    return 1 - jStat.poisson.cdf(k - 1, lambda);
-  },
-
-  /**
-   * Normal approximation for large lambda
-   * When λ > 10, Poisson ≈ Normal(μ=λ, σ²=λ)
-   * Like switching from counting raindrops to measuring rainfall
-   */
-  normalApproximation: (k, lambda) => {
-    return jStat.normal.pdf(k, lambda, Math.sqrt(lambda));
-  },
-
-  /**
-   * Calculate distribution statistics
-   * For Poisson: mean = variance = λ (unique property!)
-   */
-  getStatistics: (lambda) => ({
-    mean: lambda,
-    variance: lambda,
-    standardDev: Math.sqrt(lambda),
-    skewness: 1 / Math.sqrt(lambda),
-    kurtosis: 1 / lambda
-  })
-};
-
 // ========================================
 // INFO ICON COMPONENT (Reusable UI Element)
 // ========================================
@@ -156,6 +97,27 @@ const POISSON_EXAMPLES = [
   }
 ];
 
+// ========================================
+// RATE CONVERSION (Configuration)
+// ========================================
+/**
+ * Time units for turning a rate into λ, measured in minutes
+ * λ = rate × (interval length expressed in the rate's unit)
+ */
+const TIME_UNITS = {
+  second: 1 / 60,
+  minute: 1,
+  hour: 60,
+  day: 1440,
+  week: 10080
+};
+
+// λ range supported by the slider
+const LAMBDA_RANGE = { min: 0.1, max: 30 };
+
+// Unit intervals drawn by the arrivals simulator
+const SIMULATED_INTERVALS = 10;
+
 // ========================================
 // CHART CONFIGURATION MODULE
 // ========================================
@@ -296,7 +258,103 @@ const ChartManager = {
         }
       }
     }
-  })
+  }),
+
+  /**
+   * Side-by-side bars for Binomial(n, p) and Poisson(np)
+   * Where the two bars match, the rare-events approximation is doing its job
+   */
+  generateComparisonData: (rows) => ({
+    labels: rows.map(row => row.k.toString()),
+    datasets: [
+      {
+        label: 'Binomial (exact)',
+        data: rows.map(row => row.binomial),
+        backgroundColor: 'rgba(15, 118, 110, 0.7)',
+        borderColor: 'rgba(15, 118, 110, 1)',
+        borderWidth: 1
+      },
+      {
+        label: 'Poisson (λ = np)',
+        data: rows.map(row => row.poisson),
+        backgroundColor: 'rgba(156, 163, 175, 0.7)',
+        borderColor: 'rgba(75, 85, 99, 1)',
+        borderWidth: 1
+      }
+    ]
+  }),
+
+  comparisonOptions: {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: {
+      mode: 'index',
+      intersect: false
+    },
+    plugins: {
+      legend: { display: true, position: 'top' },
+      tooltip: {
+        callbacks: {
+          title: (context) => `k = ${context[0].label}`,
+          label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(4)}`
+        }
+      }
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        title: { display: true, text: 'P(X = k)' }
+      },
+      x: {
+        title: { display: true, text: 'Number of Successes (k)' }
+      }
+    }
+  }
+};
+
+// ========================================
+// ARRIVALS TIMELINE (SVG)
+// ========================================
+/**
+ * Arrivals from a simulated Poisson process drawn along a timeline
+ * Each unit interval is labelled with how many arrivals fell inside it
+ */
+const ArrivalsTimeline = ({ arrivals, intervals }) => {
+  const W = 860, H = 120;
+  const M_LEFT = 20, M_RIGHT = 20;
+  const lineY = 70;
+  const x = (t) => M_LEFT + (t / intervals) * (W - M_LEFT - M_RIGHT);
+  const counts = Array.from({ length: intervals }, (_, i) => arrivals.filter(t => t >= i && t < i + 1).length);
+
+  return (
+    <svg
+      viewBox={`0 0 ${W} ${H}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={`Timeline of ${arrivals.length} simulated arrivals over ${intervals} intervals. Arrivals per interval: ${counts.join(', ')}`}
+    >
+      <line x1={x(0)} x2={x(intervals)} y1={lineY} y2={lineY} stroke="#2A2A2A" strokeWidth="2" />
+      {counts.map((count, i) => (
+        <g key={i}>
+          {i % 2 === 0 && <rect x={x(i)} y={lineY - 40} width={x(i + 1) - x(i)} height={40} fill="rgba(15, 118, 110, 0.06)" />}
+          <text x={(x(i) + x(i + 1)) / 2} y={lineY - 46} textAnchor="middle" fontSize="13" fontWeight="700" fill="#0F766E">{count}</text>
+        </g>
+      ))}
+      {Array.from({ length: intervals + 1 }, (_, i) => (
+        <g key={i}>
+          <line x1={x(i)} x2={x(i)} y1={lineY - 6} y2={lineY + 6} stroke="#2A2A2A" strokeWidth="1.5" />
+          <text x={x(i)} y={lineY + 24} textAnchor="middle" fontSize="12" fill="#4B5563">{i}</text>
+        </g>
+      ))}
+      {arrivals.map((t, i) => (
+        <g key={i}>
+          <line x1={x(t)} x2={x(t)} y1={lineY - 28} y2={lineY} stroke="rgba(180, 83, 9, 0.9)" strokeWidth="1.5" />
+          <circle cx={x(t)} cy={lineY - 28} r="4" fill="rgba(217, 119, 6, 0.9)" />
+        </g>
+      ))}
+      <text x={W / 2} y={H - 4} textAnchor="middle" fontSize="12" fontWeight="600" fill="#2A2A2A">Time (in intervals)</text>
+    </svg>
+  );
 };
 
 // ========================================
@@ -313,6 +371,16 @@ const PoissonCalculator = () => {
   const [x, setX] = useState(5);                   // Target value
   const [probabilityType, setProbabilityType] = useState('exact');
   const [showNormalApprox, setShowNormalApprox] = useState(false);
+  // Rate conversion inputs (rate per unit × interval length → λ)
+  const [rateValue, setRateValue] = useState('3');
+  const [rateUnit, setRateUnit] = useState('hour');
+  const [intervalValue, setIntervalValue] = useState('20');
+  const [intervalUnit, setIntervalUnit] = useState('minute');
+  // Binomial vs Poisson comparison inputs
+  const [compareN, setCompareN] = useState('100');
+  const [compareP, setCompareP] = useState('0.03');
+  // Arrivals simulator: latest timeline plus the count in every interval simulated so far
+  const [simulation, setSimulation] = useState(null);
 
   // Calculate maximum reasonable x value based on lambda
   const maxX = useMemo(() => 
@@ -352,6 +420,88 @@ const PoissonCalculator = () => {
     [lambda]
   );
 
+  /**
+   * λ from a rate and an interval: express the interval in the rate's unit,
+   * then multiply (3 per hour over 20 minutes = 3 × 1/3 hour = 1)
+   */
+  const rateConversion = useMemo(() => {
+    const rate = parseFloat(rateValue);
+    const length = parseFloat(intervalValue);
+    if (!(rate > 0) || !(length > 0)) {
+      return { error: 'Enter a rate and an interval length greater than 0.' };
+    }
+    const intervalInRateUnits = length * TIME_UNITS[intervalUnit] / TIME_UNITS[rateUnit];
+    const converted = rate * intervalInRateUnits;
+    const inRange = converted >= LAMBDA_RANGE.min && converted <= LAMBDA_RANGE.max;
+    return { rate, length, intervalInRateUnits, lambda: converted, inRange };
+  }, [rateValue, rateUnit, intervalValue, intervalUnit]);
+
+  // Load a computed λ (rounded to 2 decimals) with x at its expected value
+  const applyLambda = (value) => {
+    const rounded = Math.round(value * 100) / 100;
+    setLambda(rounded);
+    setX(Math.floor(rounded));
+    announcePolite(`λ set to ${rounded}.`);
+  };
+
+  /**
+   * Binomial(n, p) against Poisson(np), with the error at every k
+   */
+  const comparison = useMemo(() => {
+    const n = Number(compareN);
+    const p = Number(compareP);
+    if (!Number.isInteger(n) || n < 1 || n > 1000) {
+      return { error: 'n must be a whole number from 1 to 1000.' };
+    }
+    if (!(p > 0 && p < 1)) {
+      return { error: 'p must be between 0 and 1.' };
+    }
+    const result = PoissonMath.compareWithBinomial(n, p);
+    // Common textbook rules: n ≥ 20 with p ≤ 0.05 is good; n ≥ 100 with np ≤ 10 is very good
+    const rule = n >= 100 && result.lambda <= 10 ? 'excellent' : n >= 20 && p <= 0.05 ? 'good' : 'poor';
+    return { n, p, rule, ...result };
+  }, [compareN, compareP]);
+
+  const comparisonChartData = useMemo(() =>
+    comparison.error ? null : ChartManager.generateComparisonData(comparison.rows),
+    [comparison]
+  );
+
+  /**
+   * Simulate SIMULATED_INTERVALS more intervals; counts accumulate until λ changes
+   */
+  const runSimulation = () => {
+    const arrivals = PoissonMath.simulateArrivals(lambda, SIMULATED_INTERVALS);
+    const counts = Array.from({ length: SIMULATED_INTERVALS }, (_, i) => arrivals.filter(t => t >= i && t < i + 1).length);
+    setSimulation(prev => ({
+      lambda,
+      arrivals,
+      counts: prev && prev.lambda === lambda ? [...prev.counts, ...counts] : counts
+    }));
+    announcePolite(`Simulated ${arrivals.length} arrivals over ${SIMULATED_INTERVALS} intervals.`);
+  };
+
+  /**
+   * Observed share of simulated intervals with k arrivals against P(X = k)
+   */
+  const simulationSummary = useMemo(() => {
+    if (!simulation) return null;
+    const { counts, arrivals } = simulation;
+    const maxCount = Math.max(...counts);
+    const rows = Array.from({ length: maxCount + 1 }, (_, k) => ({
+      k,
+      observed: counts.filter(c => c === k).length / counts.length,
+      expected: PoissonMath.pmf(k, simulation.lambda)
+    }));
+    const gaps = arrivals.slice(1).map((t, i) => t - arrivals[i]);
+    return {
+      rows,
+      intervals: counts.length,
+      meanCount: counts.reduce((sum, c) => sum + c, 0) / counts.length,
+      meanGap: gaps.length > 0 ? gaps.reduce((sum, g) => sum + g, 0) / gaps.length : null
+    };
+  }, [simulation]);
+
   // Handle example selection
   const selectExample = useCallback((example) => {
     setLambda(example.lambda);
@@ -394,7 +544,7 @@ const PoissonCalculator = () => {
                 {/* Lambda Slider */}
                 <div>
                   <label htmlFor="poisson-lambda" className="flex items-center text-darkGrey font-medium mb-2">
-                    Rate parameter (λ): {lambda.toFixed(1)}
+                    Rate parameter (λ): {lambda.toFixed(Number.isInteger(Math.round(lambda * 100) / 10) ? 1 : 2)}
                     <InfoIcon info="The average number of events per time interval. Like the average calls per hour at a call center." />
                   </label>
                   <input
@@ -461,6 +611,87 @@ const PoissonCalculator = () => {
               )}
             </div>
 
+            {/* Rate Conversion */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4 flex items-center">
+                🔁 Rate → λ Converter
+                <InfoIcon info="λ is the average number of events in YOUR interval. If the rate is given for a different length of time, rescale it first." />
+              </h3>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label htmlFor="poisson-rate" className="block text-darkGrey text-sm font-medium mb-1">Events per</label>
+                  <div className="flex gap-1">
+                    <input
+                      id="poisson-rate"
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={rateValue}
+                      onChange={(e) => setRateValue(e.target.value)}
+                      className="w-1/2 p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                    />
+                    <select
+                      value={rateUnit}
+                      onChange={(e) => setRateUnit(e.target.value)}
+                      className="w-1/2 p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                      aria-label="Rate time unit"
+                    >
+                      {Object.keys(TIME_UNITS).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                    </select>
+                  </div>
+                </div>
+                <div>
+                  <label htmlFor="poisson-interval" className="block text-darkGrey text-sm font-medium mb-1">Interval length</label>
+                  <div className="flex gap-1">
+                    <input
+                      id="poisson-interval"
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={intervalValue}
+                      onChange={(e) => setIntervalValue(e.target.value)}
+                      className="w-1/2 p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                    />
+                    <select
+                      value={intervalUnit}
+                      onChange={(e) => setIntervalUnit(e.target.value)}
+                      className="w-1/2 p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                      aria-label="Interval time unit"
+                    >
+                      {Object.keys(TIME_UNITS).map(unit => <option key={unit} value={unit}>{unit}s</option>)}
+                    </select>
+                  </div>
+                </div>
+              </div>
+              {rateConversion.error ? (
+                <p className="mt-2 text-sm text-red-600" role="alert">{rateConversion.error}</p>
+              ) : (
+                <div className="mt-3 p-3 bg-white rounded-lg text-sm text-darkGrey">
+                  <p>
+                    1. Put the interval in the rate's unit: {rateConversion.length} {intervalUnit}{rateConversion.length === 1 ? '' : 's'} = {Number(rateConversion.intervalInRateUnits.toPrecision(4))} {rateUnit}{rateConversion.intervalInRateUnits === 1 ? '' : 's'}
+                  </p>
+                  <p>
+                    2. Multiply: λ = {rateConversion.rate} × {Number(rateConversion.intervalInRateUnits.toPrecision(4))} = <strong>{Number(rateConversion.lambda.toPrecision(4))}</strong> (the expected number of events in the interval)
+                  </p>
+                  {rateConversion.inRange ? (
+                    <button
+                      onClick={() => applyLambda(rateConversion.lambda)}
+                      className="mt-2 w-full bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      Use λ = {Math.round(rateConversion.lambda * 100) / 100}
+                    </button>
+                  ) : (
+                    <p className="mt-2 text-red-600">
+                      This calculator handles λ from {LAMBDA_RANGE.min} to {LAMBDA_RANGE.max} — choose a {rateConversion.lambda > LAMBDA_RANGE.max ? 'shorter' : 'longer'} interval.
+                    </p>
+                  )}
+                  <p className="mt-2 text-xs opacity-70">
+                    Common mistake: using the hourly rate for a 20-minute window. Scale the rate with the interval — a window a third as long expects a third as many events.
+                  </p>
+                </div>
+              )}
+            </div>
+
             {/* Probability Type Selection */}
             <div className="bg-platinum p-4 rounded-lg">
               <h3 className="text-xl font-bold text-darkGrey mb-4 flex items-center">
@@ -578,6 +809,172 @@ const PoissonCalculator = () => {
           </div>
         </div>
 
+        {/* Binomial vs Poisson Comparison */}
+        <div className="mt-6 bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-3 flex items-center">
+            ⚖️ Poisson as an Approximation to the Binomial
+            <InfoIcon info="When n is large and p is small, Binomial(n, p) is almost the same as Poisson(λ = np). This is the 'law of rare events'." />
+          </h3>
+          <div className="grid sm:grid-cols-2 gap-3 mb-3">
+            <div>
+              <label htmlFor="poisson-compare-n" className="block text-darkGrey text-sm font-medium mb-1">Number of trials (n)</label>
+              <input
+                id="poisson-compare-n"
+                type="number"
+                min="1"
+                max="1000"
+                value={compareN}
+                onChange={(e) => setCompareN(e.target.value)}
+                className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+              />
+            </div>
+            <div>
+              <label htmlFor="poisson-compare-p" className="block text-darkGrey text-sm font-medium mb-1">Probability of success (p)</label>
+              <input
+                id="poisson-compare-p"
+                type="number"
+                min="0"
+                max="1"
+                step="0.01"
+                value={compareP}
+                onChange={(e) => setCompareP(e.target.value)}
+                className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+              />
+            </div>
+          </div>
+
+          {comparison.error ? (
+            <p className="text-sm text-red-600" role="alert">{comparison.error}</p>
+          ) : (
+            <div className="grid lg:grid-cols-2 gap-4">
+              <div>
+                <div className="h-72 bg-white">
+                  <div role="img" className="h-full" aria-label={`Bar chart comparing Binomial(${comparison.n}, ${comparison.p}) with Poisson(${Number(comparison.lambda.toPrecision(4))}) for k = 0 to ${comparison.rows.length - 1}`}>
+                    <Bar data={comparisonChartData} options={ChartManager.comparisonOptions} />
+                  </div>
+                </div>
+                <div className={`mt-3 p-3 rounded-lg text-sm text-darkGrey ${comparison.rule === 'poor' ? 'bg-amber-50 border border-amber-400' : 'bg-blue-50'}`}>
+                  <p>
+                    λ = np = {comparison.n} × {comparison.p} = <strong>{Number(comparison.lambda.toPrecision(4))}</strong>.
+                    Largest error: {comparison.maxError.toFixed(4)} at k = {comparison.maxErrorAt}. No event's probability differs by more than {comparison.totalVariation.toFixed(4)}.
+                  </p>
+                  <p className="mt-1">
+                    {comparison.rule === 'excellent' && '✓ n ≥ 100 and np ≤ 10 — the approximation is excellent.'}
+                    {comparison.rule === 'good' && '✓ n ≥ 20 and p ≤ 0.05 — the approximation is good.'}
+                    {comparison.rule === 'poor' && (
+                      <><span aria-hidden="true">⚠️ </span>The rule of thumb (n ≥ 20 and p ≤ 0.05) fails — events are not rare enough, and the Poisson is too spread out (its variance np is larger than the binomial's np(1 − p)).</>
+                    )}
+                  </p>
+                  {comparison.lambda >= LAMBDA_RANGE.min && comparison.lambda <= LAMBDA_RANGE.max && (
+                    <button
+                      onClick={() => applyLambda(comparison.lambda)}
+                      className="mt-2 bg-darkTeal text-white px-3 py-1 rounded text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      Use λ = np in the calculator above
+                    </button>
+                  )}
+                </div>
+              </div>
+              <div className="max-h-96 overflow-y-auto border border-darkGrey/20 rounded-lg">
+                <table className="w-full text-sm">
+                  <thead className="sticky top-0 bg-platinum">
+                    <tr className="border-b-2 border-darkGrey/20">
+                      <th scope="col" className="p-2 text-left">k</th>
+                      <th scope="col" className="p-2 text-right">Binomial</th>
+                      <th scope="col" className="p-2 text-right">Poisson</th>
+                      <th scope="col" className="p-2 text-right">Error</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.rows.map(row => (
+                      <tr key={row.k} className={`border-b border-darkGrey/10 ${row.k === comparison.maxErrorAt ? 'bg-accent/30 font-semibold' : ''}`}>
+                        <td className="p-2">{row.k}</td>
+                        <td className="p-2 text-right font-mono">{row.binomial.toFixed(4)}</td>
+                        <td className="p-2 text-right font-mono">{row.poisson.toFixed(4)}</td>
+                        <td className="p-2 text-right font-mono">{row.error >= 0 ? '+' : '−'}{Math.abs(row.error).toFixed(4)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="p-2 text-xs text-darkGrey opacity-70">
+                  Error = Poisson − Binomial; the highlighted row has the largest error. Rows stop once both distributions reach 99.9%.
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Poisson Process Simulator */}
+        <div className="mt-6 bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-3 flex items-center">
+            ⏱️ Arrivals Simulator
+            <InfoIcon info="A Poisson process scatters events at random along time. The gaps between events are exponential with mean 1/λ, and the count in each interval is Poisson(λ)." />
+          </h3>
+          <p className="text-sm text-darkGrey mb-3">
+            Simulate {SIMULATED_INTERVALS} intervals of random arrivals at λ = {lambda} per interval. Each amber mark is one event;
+            the number above each interval is its count.
+          </p>
+          <div className="flex gap-2 mb-3">
+            <button
+              onClick={runSimulation}
+              className="bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+            >
+              🎲 Simulate {SIMULATED_INTERVALS} Intervals
+            </button>
+            {simulation && (
+              <button
+                onClick={() => { setSimulation(null); announcePolite('Simulation reset.'); }}
+                className="bg-white border-2 border-darkGrey/20 text-darkGrey px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/10 transition-colors"
+              >
+                Reset
+              </button>
+            )}
+          </div>
+
+          {simulation && simulationSummary && (
+            <>
+              <ArrivalsTimeline arrivals={simulation.arrivals} intervals={SIMULATED_INTERVALS} />
+              {simulation.lambda !== lambda && (
+                <p className="text-xs text-darkGrey opacity-70 mt-1">
+                  These arrivals used λ = {simulation.lambda}. Simulate again to use the current λ (the tally will start over).
+                </p>
+              )}
+              <div className="grid md:grid-cols-2 gap-4 mt-3 text-sm text-darkGrey">
+                <div className="p-3 bg-blue-50 rounded-lg space-y-1">
+                  <p><strong>Intervals simulated so far:</strong> {simulationSummary.intervals}</p>
+                  <p><strong>Average count per interval:</strong> {simulationSummary.meanCount.toFixed(3)} (λ = {simulation.lambda})</p>
+                  {simulationSummary.meanGap !== null && (
+                    <p><strong>Average gap in this run:</strong> {simulationSummary.meanGap.toFixed(3)} intervals (1/λ = {(1 / simulation.lambda).toFixed(3)})</p>
+                  )}
+                  <p className="text-xs opacity-70">
+                    Keep simulating: the averages settle toward λ and 1/λ, and the observed shares toward the Poisson probabilities.
+                  </p>
+                </div>
+                <div className="max-h-56 overflow-y-auto border border-darkGrey/20 rounded-lg">
+                  <table className="w-full text-sm">
+                    <thead className="sticky top-0 bg-platinum">
+                      <tr className="border-b-2 border-darkGrey/20">
+                        <th scope="col" className="p-2 text-left">Arrivals (k)</th>
+                        <th scope="col" className="p-2 text-right">Observed share</th>
+                        <th scope="col" className="p-2 text-right">P(X = k)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {simulationSummary.rows.map(row => (
+                        <tr key={row.k} className="border-b border-darkGrey/10">
+                          <td className="p-2">{row.k}</td>
+                          <td className="p-2 text-right font-mono">{row.observed.toFixed(3)}</td>
+                          <td className="p-2 text-right font-mono">{row.expected.toFixed(3)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+
         {/* Examples Section */}
         <div className="mt-6 bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
           <h3 className="text-lg font-bold text-darkGrey mb-3 flex items-center">
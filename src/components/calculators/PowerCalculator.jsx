@@ -0,0 +1,1100 @@
+/**
+ * PowerCalculator.jsx
+ *
+ * Sample size and statistical power calculator for the one-sample and
+ * two-sample mean and proportion tests. Solves for the sample size that
+ * reaches a target power, or for the power of a planned sample size, and
+ * shows the power curve plus the null/alternative distributions with β shaded.
+ *
+ * Dependencies: Chart.js, react-chartjs-2, jStat
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import React, { useState, useRef, useCallback } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, BarController, LineElement, PointElement, ScatterController, Title, Tooltip, Legend, Filler } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { jStat } from 'jstat';
+import InfoIcon from './InfoIcon';
+import useDocumentTitle from '../../hooks/useDocumentTitle';
+import useFocusTrap from '../../hooks/useFocusTrap';
+import { announcePolite } from '../../utils/announce';
+import { TAIL_TYPES } from '../../stats/inference';
+import { POWER_TEST_TYPES, getSamplingDistributions, getRejectionBounds, calculatePower, solveSampleSize } from '../../stats/power';
+
+// Register required Chart.js components
+ChartJS.register(CategoryScale, LinearScale, BarElement, BarController, LineElement, PointElement, ScatterController, Title, Tooltip, Legend, Filler);
+
+/**
+ * Configuration constants
+ */
+const SOLVE_FOR = {
+  SAMPLE_SIZE: 'sample-size',
+  POWER: 'power'
+};
+
+const CHART_COLORS = {
+  nullCurve: 'rgba(100, 100, 100, 0.9)',
+  altCurve: 'rgba(37, 99, 235, 0.9)',
+  alpha: 'rgba(255, 99, 71, 0.35)',
+  beta: 'rgba(245, 158, 11, 0.35)',
+  power: 'rgba(78, 205, 196, 0.35)',
+  criticalValue: 'rgba(138, 43, 226, 1)',
+  powerCurve: 'rgba(15, 118, 110, 1)',
+  target: 'rgba(180, 83, 9, 1)'
+};
+
+const MAX_SAMPLE_SIZE = 1000000;
+
+// Default input values for better UX
+const DEFAULT_VALUES = {
+  [POWER_TEST_TYPES.ONE_MEAN]: { mu0: 100, mu1: 105, sigma: 15, alpha: 0.05, targetPower: 0.8, n: 50 },
+  [POWER_TEST_TYPES.ONE_PROPORTION]: { p0: 0.5, p1: 0.6, alpha: 0.05, targetPower: 0.8, n: 100 },
+  [POWER_TEST_TYPES.TWO_MEANS]: { mu1: 105, mu2: 100, sigma: 10, alpha: 0.05, targetPower: 0.8, n: 50 },
+  [POWER_TEST_TYPES.TWO_PROPORTIONS]: { p1: 0.6, p2: 0.5, alpha: 0.05, targetPower: 0.8, n: 200 }
+};
+
+const TEST_LABELS = {
+  [POWER_TEST_TYPES.ONE_MEAN]: 'One mean (z/t test)',
+  [POWER_TEST_TYPES.ONE_PROPORTION]: 'One proportion (z-test)',
+  [POWER_TEST_TYPES.TWO_MEANS]: 'Two means (independent groups)',
+  [POWER_TEST_TYPES.TWO_PROPORTIONS]: 'Two proportions (z-test)'
+};
+
+// Parameter fields shown for each test type
+const PARAM_FIELDS = {
+  [POWER_TEST_TYPES.ONE_MEAN]: [
+    { name: 'mu0', label: 'Hypothesized Mean (μ₀)', info: 'The mean stated in the null hypothesis' },
+    { name: 'mu1', label: 'True Mean You Expect (μ₁)', info: 'The mean you believe is actually true — the effect you want to be able to detect' },
+    { name: 'sigma', label: 'Standard Deviation (σ)', info: 'Your best guess of the population SD, e.g., from a pilot study or past research' }
+  ],
+  [POWER_TEST_TYPES.ONE_PROPORTION]: [
+    { name: 'p0', label: 'Hypothesized Proportion (p₀)', info: 'The proportion stated in the null hypothesis' },
+    { name: 'p1', label: 'True Proportion You Expect (p₁)', info: 'The proportion you believe is actually true' }
+  ],
+  [POWER_TEST_TYPES.TWO_MEANS]: [
+    { name: 'mu1', label: 'Group 1 Mean (μ₁)', info: 'Expected mean of the first group' },
+    { name: 'mu2', label: 'Group 2 Mean (μ₂)', info: 'Expected mean of the second group' },
+    { name: 'sigma', label: 'Common Standard Deviation (σ)', info: 'Expected SD inside each group (assumed equal in both groups)' }
+  ],
+  [POWER_TEST_TYPES.TWO_PROPORTIONS]: [
+    { name: 'p1', label: 'Group 1 Proportion (p₁)', info: 'Expected success rate in the first group' },
+    { name: 'p2', label: 'Group 2 Proportion (p₂)', info: 'Expected success rate in the second group' }
+  ]
+};
+
+/**
+ * Story-based example scenarios with their expected conclusions,
+ * so students can predict the outcome before pressing Calculate
+ */
+const PRESET_SCENARIOS = [
+  {
+    name: 'Memory Drug Trial',
+    testType: POWER_TEST_TYPES.TWO_MEANS,
+    tailType: TAIL_TYPES.TWO,
+    solveFor: SOLVE_FOR.SAMPLE_SIZE,
+    inputs: { mu1: 105, mu2: 100, sigma: 10, alpha: 0.05, targetPower: 0.8, n: 50 },
+    description: 'Researchers hope a drug raises memory scores by 5 points (σ = 10). How many patients per group?',
+    expectedOutcome: 'About 63 per group (126 total). A "medium" effect of d = 0.5 is the classic textbook case for 80% power.'
+  },
+  {
+    name: 'Election Poll Planning',
+    testType: POWER_TEST_TYPES.ONE_PROPORTION,
+    tailType: TAIL_TYPES.TWO,
+    solveFor: SOLVE_FOR.SAMPLE_SIZE,
+    inputs: { p0: 0.5, p1: 0.55, alpha: 0.05, targetPower: 0.8, n: 100 },
+    description: 'A campaign thinks 55% of voters back them. How many voters must a poll reach to show support differs from 50%?',
+    expectedOutcome: 'About 783 voters. A 5-point edge is small, so the poll needs a big sample to separate it from a tie.'
+  },
+  {
+    name: 'Underpowered Class Project',
+    testType: POWER_TEST_TYPES.ONE_MEAN,
+    tailType: TAIL_TYPES.RIGHT,
+    solveFor: SOLVE_FOR.POWER,
+    inputs: { mu0: 70, mu1: 73, sigma: 10, alpha: 0.05, targetPower: 0.8, n: 20 },
+    description: 'A student surveys 20 classmates hoping to show the average score is above 70 when it is really 73 (σ = 10).',
+    expectedOutcome: 'Power ≈ 0.38 — the study misses the real effect more than 6 times in 10. The power curve shows about 69 students are needed for 80%.'
+  },
+  {
+    name: 'Website A/B Test',
+    testType: POWER_TEST_TYPES.TWO_PROPORTIONS,
+    tailType: TAIL_TYPES.TWO,
+    solveFor: SOLVE_FOR.SAMPLE_SIZE,
+    inputs: { p1: 0.12, p2: 0.10, alpha: 0.05, targetPower: 0.8, n: 200 },
+    description: 'A new checkout page might lift conversions from 10% to 12%. How many visitors per version?',
+    expectedOutcome: 'About 3,841 visitors per version. Small differences between small rates need thousands of observations.'
+  }
+];
+
+/**
+ * Main PowerCalculator component
+ * Handles power and sample-size calculations and visualizations
+ */
+const PowerCalculator = () => {
+  useDocumentTitle('Power & Sample Size Calculator');
+
+  // State management
+  const [testType, setTestType] = useState(POWER_TEST_TYPES.ONE_MEAN);
+  const [tailType, setTailType] = useState(TAIL_TYPES.TWO);
+  const [solveFor, setSolveFor] = useState(SOLVE_FOR.SAMPLE_SIZE);
+  const [inputs, setInputs] = useState(DEFAULT_VALUES[POWER_TEST_TYPES.ONE_MEAN]);
+  const [result, setResult] = useState({});
+  const [distributionData, setDistributionData] = useState(null);
+  const [powerCurveData, setPowerCurveData] = useState(null);
+  const [error, setError] = useState("");
+  const [showChartModal, setShowChartModal] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const chartRef = useRef(null);
+
+  const chartModalTrapRef = useFocusTrap(showChartModal);
+
+  const handleChartModalKeyDown = useCallback((e) => {
+    if (e.key === 'Escape') setShowChartModal(false);
+  }, []);
+
+  const isTwoSample = testType === POWER_TEST_TYPES.TWO_MEANS || testType === POWER_TEST_TYPES.TWO_PROPORTIONS;
+  const isProportion = testType === POWER_TEST_TYPES.ONE_PROPORTION || testType === POWER_TEST_TYPES.TWO_PROPORTIONS;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setInputs({ ...inputs, [name]: value });
+  };
+
+  const resetResults = () => {
+    setResult({});
+    setDistributionData(null);
+    setPowerCurveData(null);
+    setError("");
+  };
+
+  const handleTestTypeChange = (e) => {
+    const newType = e.target.value;
+    setTestType(newType);
+    setInputs(DEFAULT_VALUES[newType]);
+    resetResults();
+  };
+
+  /**
+   * Load a story scenario: sets test type, tail, goal, and all inputs at once
+   */
+  const applyPreset = (preset) => {
+    setTestType(preset.testType);
+    setTailType(preset.tailType);
+    setSolveFor(preset.solveFor);
+    setInputs(preset.inputs);
+    resetResults();
+    announcePolite('Loaded scenario: ' + preset.name + '. Press Calculate to run it.');
+  };
+
+  /**
+   * Validate the parameter fields for the current test type
+   * @returns {Object|null} Parsed parameters, or null after setting an error
+   */
+  const readParams = () => {
+    const params = {};
+    for (const field of PARAM_FIELDS[testType]) {
+      const value = parseFloat(inputs[field.name]);
+      if (isNaN(value)) {
+        setError("Please fill in all fields with valid numbers.");
+        return null;
+      }
+      params[field.name] = value;
+    }
+
+    if (params.sigma !== undefined && params.sigma <= 0) {
+      setError("Standard deviation must be greater than 0.");
+      return null;
+    }
+    if (isProportion && Object.values(params).some(p => p <= 0 || p >= 1)) {
+      setError("Proportions must be strictly between 0 and 1.");
+      return null;
+    }
+
+    const dists = getSamplingDistributions(testType, params, 1);
+    if (dists.alt.mean === dists.null.mean) {
+      setError("The expected value equals the null value — there is no effect to detect, so power always equals α.");
+      return null;
+    }
+    return params;
+  };
+
+  /**
+   * Main calculation: solve for n or for power, then build both charts
+   */
+  const calculate = () => {
+    setError("");
+    const alpha = parseFloat(inputs.alpha);
+    if (isNaN(alpha) || alpha <= 0 || alpha >= 1) {
+      setError("Significance level must be between 0 and 1 (commonly 0.05).");
+      return;
+    }
+
+    const params = readParams();
+    if (!params) return;
+
+    const dists1 = getSamplingDistributions(testType, params, 1);
+    const wrongDirection = (tailType === TAIL_TYPES.RIGHT && dists1.alt.mean < dists1.null.mean)
+      || (tailType === TAIL_TYPES.LEFT && dists1.alt.mean > dists1.null.mean);
+
+    let n;
+    let targetPower = null;
+    if (solveFor === SOLVE_FOR.SAMPLE_SIZE) {
+      targetPower = parseFloat(inputs.targetPower);
+      if (isNaN(targetPower) || targetPower <= alpha || targetPower >= 1) {
+        setError("Target power must be between α and 1 (commonly 0.80 or 0.90).");
+        return;
+      }
+      if (wrongDirection) {
+        setError(`The expected effect points the opposite way from your ${tailType} alternative, so no sample size can reach the target power. Check the tail type.`);
+        return;
+      }
+      n = solveSampleSize(testType, params, alpha, tailType, targetPower, MAX_SAMPLE_SIZE);
+      if (n === null) {
+        setError(`The effect is too small to reach the target power with fewer than ${MAX_SAMPLE_SIZE.toLocaleString()} subjects.`);
+        return;
+      }
+    } else {
+      n = parseInt(inputs.n);
+      if (isNaN(n) || n < 2) {
+        setError("Sample size must be a whole number of at least 2.");
+        return;
+      }
+      if (n > MAX_SAMPLE_SIZE) {
+        setError(`Sample size must be at most ${MAX_SAMPLE_SIZE.toLocaleString()}.`);
+        return;
+      }
+    }
+
+    const power = calculatePower(testType, params, n, alpha, tailType);
+    const dists = getSamplingDistributions(testType, params, n);
+    const bounds = getRejectionBounds(dists.null, alpha, tailType);
+
+    const zAlpha = jStat.normal.inv(1 - (tailType === TAIL_TYPES.TWO ? alpha / 2 : alpha), 0, 1);
+    const effect = dists.alt.mean - dists.null.mean;
+
+    // Standardized effect size: Cohen's d for means, Cohen's h for proportions
+    let effectSize;
+    let effectSizeName;
+    if (!isProportion) {
+      effectSize = effect / params.sigma;
+      effectSizeName = "Cohen's d";
+    } else if (testType === POWER_TEST_TYPES.ONE_PROPORTION) {
+      effectSize = 2 * Math.asin(Math.sqrt(params.p1)) - 2 * Math.asin(Math.sqrt(params.p0));
+      effectSizeName = "Cohen's h";
+    } else {
+      effectSize = 2 * Math.asin(Math.sqrt(params.p1)) - 2 * Math.asin(Math.sqrt(params.p2));
+      effectSizeName = "Cohen's h";
+    }
+
+    // Textbook closed form for means: n = k((z_α + z_β)σ / δ)², k = 1 or 2
+    let closedForm = null;
+    if (targetPower !== null && !isProportion) {
+      const zBeta = jStat.normal.inv(targetPower, 0, 1);
+      const k = isTwoSample ? 2 : 1;
+      closedForm = {
+        zBeta,
+        value: k * Math.pow(((zAlpha + zBeta) * params.sigma) / effect, 2),
+        k
+      };
+    }
+
+    const assumptions = [];
+    if (isProportion) {
+      const rates = testType === POWER_TEST_TYPES.ONE_PROPORTION ? [params.p0, params.p1] : [params.p1, params.p2];
+      const minCount = Math.min(...rates.map(p => Math.min(n * p, n * (1 - p))));
+      assumptions.push({
+        label: `Smallest expected success/failure count at n = ${n} is ${minCount.toFixed(1)} (should be ≥ 10 for the normal approximation)`,
+        pass: minCount >= 10
+      });
+    } else {
+      assumptions.push({
+        label: n >= 30
+          ? `n = ${n} ≥ 30 per ${isTwoSample ? 'group' : 'sample'}, so the normal approximation is close to the exact t-test power`
+          : `n = ${n} < 30 — the z approximation slightly overstates t-test power; plan for a few extra subjects`,
+        pass: n >= 30 ? true : null
+      });
+      assumptions.push({
+        label: 'σ is a planning guess — if the real spread is larger, the real power will be lower',
+        pass: null
+      });
+    }
+    assumptions.push({
+      label: `Power of ${(power * 100).toFixed(1)}% ${power >= 0.8 ? 'meets' : 'falls short of'} the common 80% convention`,
+      pass: power >= 0.8
+    });
+    if (isTwoSample) {
+      assumptions.push({
+        label: 'Assumes equal group sizes — unequal groups need more subjects in total for the same power',
+        pass: null
+      });
+    }
+
+    setResult({
+      testType,
+      tail: tailType,
+      solveFor,
+      alphaNum: alpha,
+      targetPower,
+      n,
+      totalN: isTwoSample ? 2 * n : n,
+      power,
+      beta: 1 - power,
+      effect,
+      effectSize,
+      effectSizeName,
+      dists,
+      bounds,
+      zAlpha,
+      closedForm,
+      assumptions
+    });
+
+    createDistributionChart(dists, bounds);
+    createPowerCurve(params, alpha, n, targetPower);
+    announcePolite(
+      solveFor === SOLVE_FOR.SAMPLE_SIZE
+        ? `Required sample size: ${n}${isTwoSample ? ' per group' : ''}. Achieved power ${power.toFixed(4)}.`
+        : `Power with n = ${n}: ${power.toFixed(4)}. Type II error rate β = ${(1 - power).toFixed(4)}.`
+    );
+  };
+
+  /**
+   * Build the overlapping null/alternative curves on the scale of the estimate.
+   * α is the null area in the rejection region; β is the alternative area outside it.
+   */
+  const createDistributionChart = (dists, bounds) => {
+    const xMin = Math.min(dists.null.mean - 4 * dists.null.se, dists.alt.mean - 4 * dists.alt.se);
+    const xMax = Math.max(dists.null.mean + 4 * dists.null.se, dists.alt.mean + 4 * dists.alt.se);
+    const points = 300;
+    const step = (xMax - xMin) / points;
+
+    const xValues = [];
+    const nullCurve = [];
+    const altCurve = [];
+    const alphaRegion = [];
+    const betaRegion = [];
+    const powerRegion = [];
+
+    for (let i = 0; i <= points; i++) {
+      const x = xMin + i * step;
+      xValues.push(x);
+      const yNull = jStat.normal.pdf(x, dists.null.mean, dists.null.se);
+      const yAlt = jStat.normal.pdf(x, dists.alt.mean, dists.alt.se);
+      nullCurve.push(yNull);
+      altCurve.push(yAlt);
+
+      const inRejection = (bounds.lower !== null && x <= bounds.lower) || (bounds.upper !== null && x >= bounds.upper);
+      alphaRegion.push(inRejection ? yNull : null);
+      betaRegion.push(inRejection ? null : yAlt);
+      powerRegion.push(inRejection ? yAlt : null);
+    }
+
+    const datasets = [
+      {
+        label: 'β (Type II error)',
+        data: betaRegion,
+        borderColor: 'transparent',
+        backgroundColor: CHART_COLORS.beta,
+        fill: true,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 4
+      },
+      {
+        label: 'Power (1 − β)',
+        data: powerRegion,
+        borderColor: 'transparent',
+        backgroundColor: CHART_COLORS.power,
+        fill: true,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 4
+      },
+      {
+        label: 'α (Type I error)',
+        data: alphaRegion,
+        borderColor: 'transparent',
+        backgroundColor: CHART_COLORS.alpha,
+        fill: true,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 3
+      },
+      {
+        label: 'Null (H₀) Distribution',
+        data: nullCurve,
+        borderColor: CHART_COLORS.nullCurve,
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: [6, 4],
+        fill: false,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 1
+      },
+      {
+        label: 'Alternative (H₁) Distribution',
+        data: altCurve,
+        borderColor: CHART_COLORS.altCurve,
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        fill: false,
+        pointRadius: 0,
+        tension: 0.4,
+        order: 1
+      }
+    ];
+
+    // Vertical bars marking the rejection cutoff(s)
+    [bounds.lower, bounds.upper].filter(cv => cv !== null).forEach((cv, index) => {
+      const cvIndex = xValues.findIndex(x => Math.abs(x - cv) <= step / 2);
+      if (cvIndex !== -1) {
+        const verticalLine = new Array(xValues.length).fill(null);
+        verticalLine[cvIndex] = Math.max(nullCurve[cvIndex], altCurve[cvIndex]);
+        datasets.push({
+          label: index === 0 ? 'Rejection Cutoff(s)' : '',
+          data: verticalLine,
+          borderColor: CHART_COLORS.criticalValue,
+          backgroundColor: CHART_COLORS.criticalValue,
+          borderWidth: 3,
+          pointRadius: 0,
+          type: 'bar',
+          barThickness: 2,
+          order: 0
+        });
+      }
+    });
+
+    const decimals = isProportion ? 4 : 2;
+    setDistributionData({
+      labels: xValues.map(x => x.toFixed(decimals)),
+      datasets
+    });
+  };
+
+  /**
+   * Build the power curve: power as a function of the sample size
+   */
+  const createPowerCurve = (params, alpha, n, targetPower) => {
+    const nMax = Math.max(Math.ceil(n * 2), 20);
+    const stepSize = Math.max(1, Math.ceil((nMax - 2) / 150));
+    const sizes = [];
+    for (let size = 2; size <= nMax; size += stepSize) sizes.push(size);
+    if (!sizes.includes(n)) {
+      sizes.push(n);
+      sizes.sort((a, b) => a - b);
+    }
+
+    const powers = sizes.map(size => calculatePower(testType, params, size, alpha, tailType));
+    const marker = sizes.map(size => (size === n ? calculatePower(testType, params, n, alpha, tailType) : null));
+
+    const datasets = [
+      {
+        label: 'Power',
+        data: powers,
+        borderColor: CHART_COLORS.powerCurve,
+        backgroundColor: 'rgba(15, 118, 110, 0.1)',
+        borderWidth: 2,
+        fill: true,
+        pointRadius: 0,
+        tension: 0.3,
+        order: 2
+      },
+      {
+        label: `Your n (${n})`,
+        data: marker,
+        borderColor: CHART_COLORS.target,
+        backgroundColor: CHART_COLORS.target,
+        pointRadius: 7,
+        pointStyle: 'triangle',
+        type: 'scatter',
+        order: 0
+      }
+    ];
+
+    if (targetPower !== null) {
+      datasets.push({
+        label: `Target Power (${targetPower})`,
+        data: sizes.map(() => targetPower),
+        borderColor: CHART_COLORS.target,
+        borderDash: [6, 4],
+        borderWidth: 1.5,
+        fill: false,
+        pointRadius: 0,
+        order: 1
+      });
+    }
+
+    setPowerCurveData({ labels: sizes.map(String), datasets });
+  };
+
+  /**
+   * Chart configuration options
+   */
+  const distributionOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: true,
+        position: 'bottom',
+        labels: {
+          filter: (item) => item.text !== '',
+          usePointStyle: true
+        }
+      },
+      tooltip: {
+        callbacks: {
+          label: (context) => context.dataset.label
+        }
+      }
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: isTwoSample ? `Observed difference (${isProportion ? 'p̂₁ − p̂₂' : 'x̄₁ − x̄₂'})` : `Observed ${isProportion ? 'proportion (p̂)' : 'mean (x̄)'}`
+        },
+        ticks: { maxTicksLimit: 12 }
+      },
+      y: {
+        title: { display: true, text: 'Probability Density' }
+      }
+    }
+  };
+
+  const powerCurveOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: true,
+        position: 'bottom',
+        labels: { usePointStyle: true }
+      },
+      tooltip: {
+        callbacks: {
+          title: (items) => `n = ${items[0].label}${isTwoSample ? ' per group' : ''}`,
+          label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(4)}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        title: { display: true, text: isTwoSample ? 'Sample size per group (n)' : 'Sample size (n)' },
+        ticks: { maxTicksLimit: 12 }
+      },
+      y: {
+        min: 0,
+        max: 1,
+        title: { display: true, text: 'Power (1 − β)' }
+      }
+    }
+  };
+
+  /**
+   * Describe the standardized effect size in words (Cohen's benchmarks)
+   */
+  const effectSizeWords = (es) => {
+    const abs = Math.abs(es);
+    if (abs < 0.2) return 'negligible';
+    if (abs < 0.5) return 'small';
+    if (abs < 0.8) return 'medium';
+    return 'large';
+  };
+
+  const formatEstimate = (v) => v.toFixed(isProportion ? 4 : 3);
+
+  /**
+   * Plain-English summary sentence for the completed calculation
+   */
+  const conclusionText = () => {
+    const per = isTwoSample ? ' per group' : '';
+    const pct = (result.power * 100).toFixed(1);
+    return result.solveFor === SOLVE_FOR.SAMPLE_SIZE
+      ? `To detect this effect with at least ${(result.targetPower * 100).toFixed(0)}% power at α = ${result.alphaNum}, you need n = ${result.n.toLocaleString()}${per}${isTwoSample ? ` (${result.totalN.toLocaleString()} in total)` : ''}.`
+      : `With n = ${result.n.toLocaleString()}${per}, a study like this detects the effect ${pct}% of the time and misses it ${(100 - result.power * 100).toFixed(1)}% of the time.`;
+  };
+
+  /**
+   * Copy the full summary as tab-separated text
+   */
+  const copyResultsToClipboard = async () => {
+    const rows = [
+      ['Power & Sample Size', TEST_LABELS[result.testType]],
+      ['Tail type', result.tail],
+      ['Significance level (α)', String(result.alphaNum)],
+      ...PARAM_FIELDS[result.testType].map(field => [field.label, String(inputs[field.name])]),
+      ['Effect (H₁ − H₀)', formatEstimate(result.effect)],
+      [result.effectSizeName, `${result.effectSize.toFixed(3)} (${effectSizeWords(result.effectSize)})`],
+      ...(result.targetPower !== null ? [['Target power', String(result.targetPower)]] : []),
+      [isTwoSample ? 'Sample size per group' : 'Sample size', String(result.n)],
+      ...(isTwoSample ? [['Total sample size', String(result.totalN)]] : []),
+      ['Power (1 − β)', result.power.toFixed(4)],
+      ['β (Type II error)', result.beta.toFixed(4)],
+      ['Summary', conclusionText()]
+    ];
+    const text = rows.map(row => row.join('\t')).join('\n');
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      announcePolite('Results copied to clipboard.');
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      announcePolite('Could not access the clipboard.');
+    }
+  };
+
+  /**
+   * Download the distribution chart as a PNG on a white background
+   */
+  const downloadChartPNG = () => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const source = chart.canvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0);
+    const link = document.createElement('a');
+    link.href = canvas.toDataURL('image/png');
+    link.download = `power-${result.testType}.png`;
+    link.click();
+    announcePolite('Chart image downloaded.');
+  };
+
+  const inputClass = "w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none";
+  const cutoffText = [result.bounds?.lower, result.bounds?.upper].filter(v => v !== null && v !== undefined).map(formatEstimate).join(' and ');
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-6xl mx-auto bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-3xl font-bold text-darkGrey mb-2">
+          Power & Sample Size Calculator
+        </h2>
+        <p className="text-darkGrey opacity-80 mb-4">How many subjects do I need — and how likely is my study to find a real effect?</p>
+
+        {/* Educational explanation section */}
+        <div className="mb-6 p-4 bg-blue-50 rounded-lg border-l-4 border-blue-500">
+          <h3 className="text-lg font-semibold text-darkGrey mb-2">
+            🎯 Understanding Statistical Power
+          </h3>
+          <p className="text-darkGrey mb-3">
+            <strong>Power</strong> is the probability that your test rejects H₀ when a real effect exists. A study with
+            low power can miss a real effect and report "no significant difference" even though one is there.
+            Planning the sample size <em>before</em> collecting data makes sure the study can detect the effect you care about.
+          </p>
+
+          <div className="grid md:grid-cols-2 gap-4 text-sm text-darkGrey">
+            <div>
+              <h4 className="font-semibold mb-1">📈 Power Goes Up When:</h4>
+              <ul className="list-disc list-inside space-y-1">
+                <li>The sample size <strong>n</strong> grows</li>
+                <li>The true effect is <strong>larger</strong></li>
+                <li>The data are <strong>less spread out</strong> (smaller σ)</li>
+                <li>α is larger, or a one-tailed test points the right way</li>
+              </ul>
+            </div>
+            <div>
+              <h4 className="font-semibold mb-1">🔤 The Vocabulary:</h4>
+              <ul className="list-disc list-inside space-y-1">
+                <li><strong>α:</strong> Chance of a false alarm (Type I error)</li>
+                <li><strong>β:</strong> Chance of missing a real effect (Type II error)</li>
+                <li><strong>Power = 1 − β:</strong> Chance of catching it</li>
+                <li>Most studies aim for power of <strong>0.80</strong> or more</li>
+              </ul>
+            </div>
+          </div>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          {/* Input Controls */}
+          <div className="space-y-4">
+            {/* Test Configuration */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4">Test Configuration</h3>
+              <div className="space-y-3">
+                <div>
+                  <label htmlFor="pw-test-type" className="block text-darkGrey font-medium mb-2">Which test are you planning?</label>
+                  <select id="pw-test-type" value={testType} onChange={handleTestTypeChange} className={inputClass}>
+                    {Object.values(POWER_TEST_TYPES).map(type => (
+                      <option key={type} value={type}>{TEST_LABELS[type]}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label htmlFor="pw-tail-type" className="block text-darkGrey font-medium mb-2">Tail Type</label>
+                  <select id="pw-tail-type" value={tailType} onChange={(e) => setTailType(e.target.value)} className={inputClass}>
+                    <option value={TAIL_TYPES.TWO}>Two-Tailed (≠)</option>
+                    <option value={TAIL_TYPES.RIGHT}>Right-Tailed ({">"})</option>
+                    <option value={TAIL_TYPES.LEFT}>Left-Tailed ({"<"})</option>
+                  </select>
+                </div>
+
+                <fieldset>
+                  <legend className="block text-darkGrey font-medium mb-2">What do you want to find?</legend>
+                  <div className="flex flex-wrap gap-4">
+                    <label className="flex items-center text-darkGrey">
+                      <input
+                        type="radio"
+                        name="pw-solve-for"
+                        value={SOLVE_FOR.SAMPLE_SIZE}
+                        checked={solveFor === SOLVE_FOR.SAMPLE_SIZE}
+                        onChange={(e) => setSolveFor(e.target.value)}
+                        className="mr-2"
+                      />
+                      Sample size (given power)
+                    </label>
+                    <label className="flex items-center text-darkGrey">
+                      <input
+                        type="radio"
+                        name="pw-solve-for"
+                        value={SOLVE_FOR.POWER}
+                        checked={solveFor === SOLVE_FOR.POWER}
+                        onChange={(e) => setSolveFor(e.target.value)}
+                        className="mr-2"
+                      />
+                      Power (given sample size)
+                    </label>
+                  </div>
+                </fieldset>
+              </div>
+            </div>
+
+            {/* Input Values */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4">Input Values</h3>
+              <div className="space-y-3">
+                {PARAM_FIELDS[testType].map((field, index) => (
+                  <div key={field.name}>
+                    <label htmlFor={`pw-${field.name}`} className="flex items-center text-darkGrey font-medium mb-1">
+                      {field.label}
+                      <InfoIcon info={field.info} />
+                    </label>
+                    <input
+                      id={`pw-${field.name}`}
+                      type="number"
+                      step="any"
+                      name={field.name}
+                      value={inputs[field.name] ?? ""}
+                      onChange={handleChange}
+                      className={inputClass}
+                      {...(index === 0 ? { 'aria-invalid': !!error, 'aria-describedby': 'pw-error' } : {})}
+                    />
+                  </div>
+                ))}
+
+                <div>
+                  <label htmlFor="pw-alpha" className="flex items-center text-darkGrey font-medium mb-1">
+                    Significance Level (α)
+                    <InfoIcon info="The probability of a Type I error (typically 0.05)" />
+                  </label>
+                  <input id="pw-alpha" type="number" step="0.01" name="alpha" value={inputs.alpha ?? ""} onChange={handleChange} placeholder="e.g., 0.05" className={inputClass} />
+                </div>
+
+                {solveFor === SOLVE_FOR.SAMPLE_SIZE ? (
+                  <div>
+                    <label htmlFor="pw-target-power" className="flex items-center text-darkGrey font-medium mb-1">
+                      Target Power (1 − β)
+                      <InfoIcon info="How often you want the study to detect the effect if it is real (0.80 is the usual minimum)" />
+                    </label>
+                    <input id="pw-target-power" type="number" step="0.01" name="targetPower" value={inputs.targetPower ?? ""} onChange={handleChange} placeholder="e.g., 0.80" className={inputClass} />
+                  </div>
+                ) : (
+                  <div>
+                    <label htmlFor="pw-n" className="flex items-center text-darkGrey font-medium mb-1">
+                      Sample Size {isTwoSample ? 'per Group' : ''} (n)
+                      <InfoIcon info={isTwoSample ? 'Number of subjects in EACH group' : 'Number of observations you plan to collect'} />
+                    </label>
+                    <input id="pw-n" type="number" name="n" value={inputs.n ?? ""} onChange={handleChange} placeholder="e.g., 50" className={inputClass} />
+                  </div>
+                )}
+              </div>
+
+              <button
+                onClick={calculate}
+                className="mt-4 w-full bg-accent border-2 border-darkGrey text-darkGrey px-4 py-3 rounded-lg font-bold hover:bg-darkGrey hover:text-white transition-all"
+              >
+                {solveFor === SOLVE_FOR.SAMPLE_SIZE ? 'Calculate Sample Size' : 'Calculate Power'}
+              </button>
+              <p id="pw-error" className="text-red-500 text-sm mt-2" role="status">{error || ''}</p>
+            </div>
+          </div>
+
+          {/* Results and Visualization */}
+          <div className="space-y-4">
+            {result.power !== undefined && (
+              <>
+                {/* Headline result */}
+                <div className="p-4 rounded-lg border-2 bg-green-50 border-green-300">
+                  <h3 className="text-xl font-bold text-darkGrey mb-2">
+                    {result.solveFor === SOLVE_FOR.SAMPLE_SIZE ? 'Required Sample Size' : 'Statistical Power'}
+                  </h3>
+                  <p className="text-3xl font-bold text-darkGrey font-mono">
+                    {result.solveFor === SOLVE_FOR.SAMPLE_SIZE
+                      ? `n = ${result.n.toLocaleString()}${isTwoSample ? ' per group' : ''}`
+                      : `${(result.power * 100).toFixed(1)}%`}
+                  </p>
+                  <p className="text-sm text-darkGrey mt-2">
+                    <strong>In plain words:</strong> {conclusionText()}
+                  </p>
+                  {result.solveFor === SOLVE_FOR.POWER && result.power < 0.8 && (
+                    <p className="text-sm text-darkGrey mt-2 italic">
+                      Note: This study is underpowered — a non-significant result would say little about whether the effect exists
+                    </p>
+                  )}
+                </div>
+
+                {/* Distribution chart */}
+                <div className="bg-platinum p-4 rounded-lg">
+                  <h3 className="text-xl font-bold text-darkGrey mb-4">Null vs Alternative</h3>
+                  <div className="h-64">
+                    {distributionData && (
+                      <div role="img" className="h-full" aria-label={`Null distribution centered at ${formatEstimate(result.dists.null.mean)} and alternative distribution centered at ${formatEstimate(result.dists.alt.mean)}. Rejection cutoff at ${cutoffText}. Beta, the area of the alternative outside the rejection region, is ${result.beta.toFixed(4)}.`}>
+                        <Line ref={chartRef} data={distributionData} options={distributionOptions} />
+                      </div>
+                    )}
+                  </div>
+                  <p className="mt-2 text-xs text-darkGrey">
+                    <span className="text-red-500">Red:</span> α under H₀ |
+                    <span className="ml-2 text-amber-600">Amber:</span> β under H₁ |
+                    <span className="ml-2 text-darkTeal">Teal:</span> power under H₁
+                  </p>
+                  <div className="mt-3 flex flex-col sm:flex-row gap-2">
+                    <button
+                      onClick={() => setShowChartModal(true)}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      🔍 View Larger Chart
+                    </button>
+                    <button
+                      onClick={copyResultsToClipboard}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      {copied ? '✓ Copied!' : '📋 Copy Results'}
+                    </button>
+                    <button
+                      onClick={downloadChartPNG}
+                      className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                    >
+                      🖼️ Download PNG
+                    </button>
+                  </div>
+                </div>
+
+                {/* Power curve */}
+                <div className="bg-platinum p-4 rounded-lg">
+                  <h3 className="text-xl font-bold text-darkGrey mb-4">Power Curve</h3>
+                  <div className="h-56">
+                    {powerCurveData && (
+                      <div role="img" className="h-full" aria-label={`Power curve rising with sample size. At n = ${result.n} the power is ${result.power.toFixed(4)}.`}>
+                        <Line data={powerCurveData} options={powerCurveOptions} />
+                      </div>
+                    )}
+                  </div>
+                  <p className="text-xs text-darkGrey opacity-70 mt-1 text-center">
+                    Each extra subject buys less power than the one before — the curve flattens as it nears 1.
+                  </p>
+                </div>
+
+                {/* Results */}
+                <div className="bg-accent/20 border-2 border-accent p-4 rounded-lg">
+                  <h3 className="text-xl font-bold text-darkGrey mb-3">Results</h3>
+                  <div className="space-y-2 text-darkGrey text-sm">
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">Effect to Detect (H₁ − H₀):</span>
+                      <span className="font-mono font-bold">{formatEstimate(result.effect)}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium flex items-center">
+                        Effect Size ({result.effectSizeName}):
+                        <InfoIcon info={isProportion
+                          ? "Cohen's h compares proportions on an arcsine scale: about 0.2 small, 0.5 medium, 0.8 large"
+                          : "Cohen's d is the effect in standard deviations: about 0.2 small, 0.5 medium, 0.8 large"} />
+                      </span>
+                      <span className="font-mono font-bold">{result.effectSize.toFixed(3)} ({effectSizeWords(result.effectSize)})</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">Sample Size {isTwoSample ? 'per Group' : ''}:</span>
+                      <span className="font-mono font-bold">{result.n.toLocaleString()}</span>
+                    </div>
+                    {isTwoSample && (
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium">Total Sample Size:</span>
+                        <span className="font-mono font-bold">{result.totalN.toLocaleString()}</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">Power (1 − β):</span>
+                      <span className="font-mono font-bold">{result.power.toFixed(4)}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium flex items-center">
+                        β (Type II Error):
+                        <InfoIcon info="The chance the study misses the effect and fails to reject H₀ even though H₁ is true" />
+                      </span>
+                      <span className="font-mono font-bold">{result.beta.toFixed(4)}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">Rejection Cutoff(s):</span>
+                      <span className="font-mono font-bold">{cutoffText}</span>
+                    </div>
+                  </div>
+                </div>
+
+                {/* The math, step by step */}
+                <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                  <h3 className="text-lg font-bold text-darkGrey mb-2">🧮 The Math, Step by Step</h3>
+                  <ol className="list-decimal list-inside space-y-2">
+                    <li>
+                      <strong>Standard errors</strong> at n = {result.n}{isTwoSample ? ' per group' : ''}:
+                      <p className="font-mono ml-5">SE under H₀ = {result.dists.null.se.toFixed(5)}</p>
+                      {result.dists.alt.se !== result.dists.null.se && (
+                        <p className="font-mono ml-5">SE under H₁ = {result.dists.alt.se.toFixed(5)}</p>
+                      )}
+                    </li>
+                    <li>
+                      <strong>Rejection cutoff</strong> — where H₀ gets rejected:
+                      <p className="font-mono ml-5">
+                        {formatEstimate(result.dists.null.mean)} {result.tail === TAIL_TYPES.TWO ? '±' : result.tail === TAIL_TYPES.RIGHT ? '+' : '−'} {result.zAlpha.toFixed(4)} × {result.dists.null.se.toFixed(5)} → {cutoffText}
+                      </p>
+                    </li>
+                    <li>
+                      <strong>Power</strong> — the share of the H₁ curve beyond the cutoff:
+                      <p className="font-mono ml-5">P(reject | H₁ true) = {result.power.toFixed(4)}, so β = 1 − {result.power.toFixed(4)} = {result.beta.toFixed(4)}</p>
+                    </li>
+                    {result.solveFor === SOLVE_FOR.SAMPLE_SIZE && (
+                      <li>
+                        <strong>Search</strong> — the smallest whole n with power ≥ {result.targetPower} is {result.n}
+                        {result.n > 2 ? ` (n = ${result.n - 1} falls just short)` : ''}.
+                        {result.closedForm && (
+                          <p className="font-mono ml-5">
+                            Check: n = {result.closedForm.k === 2 ? '2' : ''}((z_α + z_β)σ / δ)² = {result.closedForm.k === 2 ? '2' : ''}(({result.zAlpha.toFixed(4)} + {result.closedForm.zBeta.toFixed(4)}) × {inputs.sigma} / {Math.abs(result.effect).toFixed(3)})² = {result.closedForm.value.toFixed(2)} → round up
+                          </p>
+                        )}
+                      </li>
+                    )}
+                  </ol>
+                  <p className="mt-2 text-xs text-darkGrey/70">
+                    Uses the large-sample normal approximation for every test.
+                  </p>
+                </div>
+
+                {/* Conditions check */}
+                <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
+                  <h3 className="text-lg font-bold text-darkGrey mb-2">✅ Conditions Check</h3>
+                  <ul className="space-y-1">
+                    {result.assumptions.map((assumption, index) => (
+                      <li key={index} className="flex items-start gap-2">
+                        <span aria-hidden="true">{assumption.pass === true ? '✓' : assumption.pass === false ? '⚠️' : 'ℹ️'}</span>
+                        <span className={assumption.pass === false ? 'text-red-700 font-medium' : ''}>{assumption.label}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Story-based example scenarios */}
+        <div className="mt-6 bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-2">Try a Real Scenario</h3>
+          <p className="text-xs text-darkGrey/70 mb-2">
+            Each scenario predicts its outcome — load one, press Calculate, and check the prediction against the results and the charts.
+          </p>
+          <div className="grid md:grid-cols-2 gap-2">
+            {PRESET_SCENARIOS.map((preset, index) => (
+              <button
+                key={index}
+                onClick={() => applyPreset(preset)}
+                className="p-3 text-left bg-platinum hover:bg-darkTeal/20 rounded transition-colors text-sm text-darkGrey"
+                aria-label={`Load ${preset.name} scenario`}
+              >
+                <div className="font-medium">{preset.name}</div>
+                <div className="text-xs text-darkGrey/70 mt-1">{preset.description}</div>
+                <div className="text-xs text-darkTeal mt-1 italic">What to expect: {preset.expectedOutcome}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Enlarged chart modal */}
+        {showChartModal && distributionData && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onKeyDown={handleChartModalKeyDown}>
+            <div ref={chartModalTrapRef} role="dialog" aria-modal="true" aria-labelledby="pw-chart-modal-title" className="bg-white rounded-lg shadow-xl p-6 w-11/12 max-w-5xl max-h-screen overflow-y-auto">
+              <div className="flex justify-between items-center mb-4">
+                <h3 id="pw-chart-modal-title" className="text-2xl font-bold text-darkGrey">
+                  Power Analysis — {TEST_LABELS[result.testType]} (n = {result.n}{isTwoSample ? ' per group' : ''})
+                </h3>
+                <button
+                  onClick={() => setShowChartModal(false)}
+                  className="text-darkGrey hover:text-red-500 text-2xl font-bold"
+                  aria-label="Close enlarged chart"
+                >
+                  ×
+                </button>
+              </div>
+
+              {/* How to read this chart */}
+              <div className="mb-4 p-4 bg-blue-50 rounded">
+                <h4 className="font-semibold text-darkGrey mb-2">
+                  📊 How to Read This Chart:
+                </h4>
+                <div className="grid md:grid-cols-2 gap-3 text-sm text-darkGrey">
+                  <div>
+                    <p>• <span className="font-semibold">Dashed Grey Curve:</span> Where the estimate lands if H₀ is true</p>
+                    <p>• <span className="font-semibold" style={{color: CHART_COLORS.altCurve}}>Blue Curve:</span> Where it lands if the effect you expect is real</p>
+                    <p>• <span className="font-semibold" style={{color: CHART_COLORS.criticalValue}}>Purple Line(s):</span> The rejection cutoff(s) — decided by α and H₀ alone</p>
+                  </div>
+                  <div>
+                    <p>• <span className="font-semibold text-red-500">Red Area:</span> α — false alarms when H₀ is true</p>
+                    <p>• <span className="font-semibold text-amber-600">Amber Area:</span> β — the part of the blue curve that fails to reach the cutoff</p>
+                    <p>• <span className="font-semibold text-darkTeal">Teal Area:</span> Power — more data makes both curves narrower, which shrinks the overlap</p>
+                  </div>
+                </div>
+              </div>
+
+              {/* Enlarged chart */}
+              <div className="h-96 mb-4">
+                <div role="img" className="h-full" aria-label="Enlarged null and alternative distributions with alpha, beta and power shaded">
+                  <Line data={distributionData} options={distributionOptions} />
+                </div>
+              </div>
+
+              {/* Key numbers strip */}
+              <div className="bg-gray-50 p-4 rounded">
+                <h4 className="font-semibold text-darkGrey mb-2">Key Numbers:</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                  <div className="text-center">
+                    <p className="text-gray-600">α</p>
+                    <p className="font-mono font-bold">{result.alphaNum}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">β</p>
+                    <p className="font-mono font-bold">{result.beta.toFixed(4)}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">Power</p>
+                    <p className="font-mono font-bold">{result.power.toFixed(4)}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-gray-600">n{isTwoSample ? ' per group' : ''}</p>
+                    <p className="font-mono font-bold">{result.n.toLocaleString()}</p>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PowerCalculator;
@@ -0,0 +1,206 @@
+/**
+ * RawDataInput.jsx
+ *
+ * Raw-data entry panel shared by the test calculators. Accepts typed, pasted
+ * or dropped CSV/TXT data, reads it with the same tokenizer as the Statistics
+ * calculator, and reports the summary numbers (n, mean, s or successes)
+ * back to the parent so its summary inputs can be filled in automatically.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import InfoIcon from './InfoIcon';
+import { announcePolite } from '../../utils/announce';
+import { extractTokens, extractNumbers } from '../../utils/parseNumbers';
+
+const MAX_INPUT_COUNT = 1000;
+
+/**
+ * Summarize a numeric column: sample size, mean and sample standard deviation
+ * @param {number[]} values - Parsed numbers
+ * @returns {Object} n, mean, stdDev (null when n < 2)
+ */
+const summarizeNumeric = (values) => {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const stdDev = n > 1
+    ? Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (n - 1))
+    : null;
+  // Rounded so the auto-filled summary inputs stay readable
+  const round = (v) => Number(v.toFixed(6));
+  return { n, mean: round(mean), stdDev: stdDev === null ? null : round(stdDev) };
+};
+
+/**
+ * Read a categorical column. A 0/1 column counts 1 as a success; otherwise
+ * each distinct label is a category. A leading non-numeric label in front of
+ * a 0/1 column is treated as a header row and skipped.
+ * @param {string[]} tokens - Raw tokens
+ * @returns {Object} values (tokens used) and categories in order of appearance
+ */
+const readCategories = (tokens) => {
+  const isBinary = (list) => list.length > 0 && list.every(t => t === '0' || t === '1');
+  const values = isNaN(Number(tokens[0])) && isBinary(tokens.slice(1)) ? tokens.slice(1) : tokens;
+  const categories = isBinary(values) ? ['1', '0'] : [...new Set(values)];
+  return { values, categories };
+};
+
+/**
+ * Raw-data panel with drag-and-drop and file upload
+ * @param {Object} props
+ * @param {string} props.id - Unique id prefix for the form controls
+ * @param {string} props.label - Visible label for the data box
+ * @param {boolean} [props.categorical=false] - Read 0/1 or category labels instead of numbers
+ * @param {Function} props.onSummary - Called with { n, mean, stdDev } or
+ *   { n, successes, successCategory } whenever the data changes, and with
+ *   null when the box is cleared or holds too many values
+ */
+const RawDataInput = ({ id, label, categorical = false, onSummary }) => {
+  const [text, setText] = useState('');
+  const [successCategory, setSuccessCategory] = useState('');
+  const [dragging, setDragging] = useState(false);
+  const [status, setStatus] = useState('');
+
+  const { values: categoricalValues, categories } = categorical
+    ? readCategories(extractTokens(text))
+    : { values: [], categories: [] };
+  const numericCount = categorical ? 0 : extractNumbers(text).length;
+
+  /**
+   * Parse the text and pass the summary up to the parent
+   */
+  const applyText = (newText, chosenCategory = successCategory) => {
+    setText(newText);
+
+    if (categorical) {
+      const { values, categories: found } = readCategories(extractTokens(newText));
+      if (values.length === 0) {
+        setStatus('');
+        onSummary(null);
+        return;
+      }
+      const category = found.includes(chosenCategory) ? chosenCategory : found[0];
+      setSuccessCategory(category);
+      const successes = values.filter(v => v === category).length;
+      setStatus(`${successes} of ${values.length} values are "${category}".`);
+      onSummary({ n: values.length, successes, successCategory: category });
+      return;
+    }
+
+    const numbers = extractNumbers(newText);
+    if (numbers.length === 0) {
+      setStatus('');
+      onSummary(null);
+      return;
+    }
+    if (numbers.length > MAX_INPUT_COUNT) {
+      setStatus(`Please enter no more than ${MAX_INPUT_COUNT} numbers.`);
+      onSummary(null);
+      return;
+    }
+    const summary = summarizeNumeric(numbers);
+    setStatus(summary.stdDev === null
+      ? 'Enter at least 2 numbers to compute a standard deviation.'
+      : `n = ${summary.n}, x̄ = ${summary.mean.toFixed(4)}, s = ${summary.stdDev.toFixed(4)}`);
+    onSummary(summary);
+  };
+
+  /**
+   * Load a CSV or text file into the data box.
+   * Non-numeric tokens (e.g., header rows) are skipped for numeric data.
+   */
+  const loadFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const tokens = categorical
+        ? extractTokens(String(e.target.result))
+        : extractNumbers(String(e.target.result));
+      if (tokens.length === 0) {
+        setStatus(`No ${categorical ? 'values' : 'numbers'} found in "${file.name}".`);
+        return;
+      }
+      const truncated = tokens.length > MAX_INPUT_COUNT;
+      const kept = tokens.slice(0, MAX_INPUT_COUNT);
+      applyText(kept.join(", "));
+      announcePolite(
+        `Loaded ${kept.length} values from ${file.name}.` +
+        (truncated ? ` File had more values; only the first ${MAX_INPUT_COUNT} were kept.` : '')
+      );
+    };
+    reader.onerror = () => setStatus(`Could not read "${file.name}".`);
+    reader.readAsText(file);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    loadFile(e.dataTransfer.files?.[0]);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setDragging(true);
+  };
+
+  const count = categorical ? categoricalValues.length : numericCount;
+
+  return (
+    <div
+      className="p-3 bg-white rounded-lg border-2 border-darkTeal/30"
+      onDrop={handleDrop}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragging(false)}
+    >
+      <div className="flex justify-between items-center mb-1">
+        <label htmlFor={id} className="flex items-center text-darkGrey text-sm font-medium">
+          {label}
+          <InfoIcon info={categorical
+            ? 'Paste a column of 0/1 values (1 = success) or category labels such as yes/no. Separate values with commas, spaces or new lines.'
+            : 'Paste or drop your raw numbers. Separate values with commas, spaces or new lines; non-numeric text like a header row is skipped.'} />
+        </label>
+        <label className="text-xs px-2 py-1 bg-darkTeal text-white rounded-lg hover:bg-darkTeal/80 transition-colors cursor-pointer focus-within:ring-2 focus-within:ring-darkTeal">
+          📁 Upload CSV/TXT
+          <input
+            type="file"
+            accept=".csv,.txt,text/csv,text/plain"
+            className="sr-only"
+            aria-label={`Upload a CSV or text file for ${label}`}
+            onChange={(e) => { loadFile(e.target.files?.[0]); e.target.value = ''; }}
+          />
+        </label>
+      </div>
+      <textarea
+        id={id}
+        value={text}
+        onChange={(e) => applyText(e.target.value)}
+        placeholder={categorical ? 'e.g., 1, 0, 1, 1 — or yes, no, yes — or drop a CSV file here' : 'e.g., 12, 15.5, 18, 22 — or drop a CSV file here'}
+        rows="3"
+        className={`w-full p-2 border-2 rounded-lg focus:border-darkTeal outline-none transition-colors text-sm ${dragging ? 'border-darkTeal bg-darkTeal/10 border-dashed' : 'border-darkGrey/20'}`}
+        aria-describedby={`${id}-status`}
+      />
+      {categorical && categories.length > 0 && (
+        <div className="mt-2 flex items-center gap-2 text-sm text-darkGrey">
+          <label htmlFor={`${id}-success`} className="font-medium">Count as success:</label>
+          <select
+            id={`${id}-success`}
+            value={successCategory}
+            onChange={(e) => applyText(text, e.target.value)}
+            className="p-1 border-2 border-darkGrey/20 rounded focus:border-darkTeal outline-none"
+          >
+            {categories.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      <p id={`${id}-status`} className="text-xs text-darkGrey/70 mt-1" role="status">
+        {count} value{count === 1 ? '' : 's'} detected{status ? ` · ${status}` : ''}
+      </p>
+    </div>
+  );
+};
+
+export default RawDataInput;
@@ -3,24 +3,35 @@
  * 
  * Comprehensive descriptive statistics calculator with multiple visualization options.
  * Calculates central tendency, dispersion measures, and identifies outliers.
- * Supports histogram, bar chart, and box plot visualizations.
+ * Supports histogram, bar chart, and box plot visualizations, plus a
+ * normality check (Q-Q plot, Shapiro-Wilk and Anderson-Darling tests, and a
+ * fitted normal curve over the histogram). Data can be typed as a plain list
+ * or as a value/frequency table.
  * 
- * Dependencies: Chart.js, react-chartjs-2
+ * Dependencies: Chart.js, react-chartjs-2, jStat
  * 
  * @component
  * @version 1.0.0
  */
 
 import React, { useState, useEffect, useMemo, useCallback, useRef } from "react";
-import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, PointElement, LineElement, Title, Tooltip, Legend } from 'chart.js';
-import { Bar } from 'react-chartjs-2';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, BarController, PointElement, LineElement, LineController, ScatterController, Title, Tooltip, Legend } from 'chart.js';
+import { Bar, Scatter } from 'react-chartjs-2';
+import { jStat } from 'jstat';
 import InfoIcon from "./InfoIcon";
+import BoxPlotSVG from "./BoxPlotSVG";
+import DotPlotSVG from "./DotPlotSVG";
+import StemLeafPlot from "./StemLeafPlot";
+import { MAX_STEM_LEAF_VALUES } from "../../stats/stemLeaf";
 import useDocumentTitle from "../../hooks/useDocumentTitle";
 import useFocusTrap from "../../hooks/useFocusTrap";
 import { announcePolite } from "../../utils/announce";
+import { calculateAllStatistics, TRIM_PROPORTION } from "../../stats/descriptive";
+import { normalQQPoints, qqReferenceLine, shapiroWilk, andersonDarling, ANDERSON_DARLING_MIN_N, SHAPIRO_WILK_MIN_N, SHAPIRO_WILK_MAX_N } from "../../stats/normality";
+import { extractNumbers, extractValueFrequencyPairs } from "../../utils/parseNumbers";
 
 // Register required Chart.js components
-ChartJS.register(CategoryScale, LinearScale, BarElement, PointElement, LineElement, Title, Tooltip, Legend);
+ChartJS.register(CategoryScale, LinearScale, BarElement, BarController, PointElement, LineElement, LineController, ScatterController, Title, Tooltip, Legend);
 
 /**
  * Configuration constants
@@ -28,7 +39,19 @@ ChartJS.register(CategoryScale, LinearScale, BarElement, PointElement, LineEleme
 const CHART_TYPES = {
   HISTOGRAM: 'histogram',
   BAR: 'bar',
-  BOXPLOT: 'boxplot'
+  BOXPLOT: 'boxplot',
+  STEM_LEAF: 'stemleaf',
+  DOTPLOT: 'dotplot'
+};
+
+// Chart types drawn as SVG or HTML instead of with Chart.js
+const CUSTOM_CHART_TYPES = [CHART_TYPES.BOXPLOT, CHART_TYPES.STEM_LEAF, CHART_TYPES.DOTPLOT];
+
+// How the dataset boxes are read: a plain list of values, or one
+// "value, frequency" pair per line
+const INPUT_MODES = {
+  LIST: 'list',
+  FREQUENCY: 'frequency'
 };
 
 const CHART_COLORS = {
@@ -78,6 +101,13 @@ const SAMPLE_DATASETS = [
     data: "210, 215, 220, 225, 218, 222, 219, 217, 224, 221, 216, 223, 480",
     description: "One extreme value",
     expectedOutcome: "The 480 ms value falls beyond Q3 + 1.5×IQR → flagged as an outlier (shown red in the chart); notice how it inflates the mean and std dev but barely moves the median"
+  },
+  {
+    name: "Frequency Table (Household Sizes)",
+    data: "1, 7\n2, 12\n3, 9\n4, 6\n5, 3\n6, 2\n7, 1",
+    inputMode: INPUT_MODES.FREQUENCY,
+    description: "Value/frequency pairs — 40 households in 7 rows",
+    expectedOutcome: "n = 40, Mean = 2.9, Median = 3, Mode = 2 → every measure uses the frequencies, no need to type 40 values"
   }
 ];
 
@@ -86,12 +116,22 @@ const DEFAULT_BIN_COUNT = 5;
 const MIN_BINS = 3;
 const MAX_BINS = 15;
 
+// Largest expanded frequency table the stem-and-leaf and dot plots will draw
+const MAX_PLOTTED_OBSERVATIONS = 5000;
+
 // Colors for dataset B when comparing two datasets
 const COMPARE_COLORS = {
   background: 'rgba(245, 158, 11, 0.6)',
   border: 'rgba(217, 119, 6, 1)'
 };
 
+// Fitted normal curve drawn over the histogram
+const NORMAL_CURVE_COLOR = 'rgba(109, 40, 217, 1)';
+const NORMAL_CURVE_POINTS = 120;
+
+// Significance level used for the normality verdicts
+const NORMALITY_ALPHA = 0.05;
+
 // Display order and labels for the measures table and clipboard export
 const MEASURE_ROWS = [
   ['count', 'Count (n)'],
@@ -107,168 +147,38 @@ const MEASURE_ROWS = [
   ['q3', 'Q3 (75th percentile)'],
   ['iqr', 'IQR'],
   ['outlierMin', 'Lower Outlier Fence'],
-  ['outlierMax', 'Upper Outlier Fence']
+  ['outlierMax', 'Upper Outlier Fence'],
+  ['skewness', 'Skewness'],
+  ['skewnessSE', 'SE of Skewness'],
+  ['kurtosis', 'Excess Kurtosis'],
+  ['kurtosisSE', 'SE of Kurtosis'],
+  ['coefficientOfVariation', 'Coefficient of Variation (%)'],
+  ['geometricMean', 'Geometric Mean'],
+  ['harmonicMean', 'Harmonic Mean'],
+  ['trimmedMean', `${TRIM_PROPORTION * 100}% Trimmed Mean`],
+  ['winsorizedMean', `${TRIM_PROPORTION * 100}% Winsorized Mean`],
+  ['mad', 'Median Absolute Deviation (MAD)']
 ];
 
-/**
- * Format a number for display on the box plot, trimming trailing zeros
- */
-const formatStatValue = (v) => Number(v.toFixed(2)).toString();
+// |z| beyond these marks a value as unusual or very unusual
+const Z_UNUSUAL = 2;
+const Z_VERY_UNUSUAL = 3;
 
 /**
- * Generate evenly spaced "nice" axis tick values (steps of 1, 2, or 5 × 10^k)
+ * Number of observations in a dataset: the sum of the frequencies, or the
+ * number of values for a plain list
  */
-const niceTicks = (min, max, count = 7) => {
-  const span = max - min;
-  if (span <= 0) return [min];
-  const rawStep = span / count;
-  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
-  const normalized = rawStep / magnitude;
-  const step = (normalized >= 5 ? 5 : normalized >= 2 ? 2 : 1) * magnitude;
-  const ticks = [];
-  for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-6; v += step) {
-    ticks.push(Number(v.toFixed(10)));
-  }
-  return ticks;
-};
+const totalWeight = (values, weights) =>
+  weights ? weights.reduce((a, b) => a + b, 0) : values.length;
 
 /**
- * Clean horizontal box plot rendered as SVG.
- * Boxes sit on a shared number line with the five-number summary labeled
- * directly on the plot, a diamond marker for the mean, and red dots for outliers.
- *
- * @param {Array} groups - [{ label, stats, values, colors: {fill, border} }]
- * @param {boolean} showOutliers - Render outlier dots beyond the whiskers
- * @param {Object} svgRef - Optional ref to the <svg> element (used for PNG export)
+ * Expand a value/frequency table into the raw list of observations, for the
+ * views that need individual values. Returns null when the list would have
+ * more than maxCount observations.
  */
-const BoxPlotSVG = ({ groups, showOutliers, svgRef }) => {
-  const W = 860;
-  const M_LEFT = 28, M_RIGHT = 28, M_TOP = 8;
-  const ROW_H = 124, AXIS_H = 50;
-  const H = M_TOP + groups.length * ROW_H + AXIS_H;
-  const innerW = W - M_LEFT - M_RIGHT;
-
-  // Whisker ends and outliers per group, plus the shared value domain
-  let dMin = Infinity, dMax = -Infinity;
-  const prepared = groups.map(g => {
-    const { stats, values } = g;
-    const outliers = values.filter(v => v < stats.outlierMin || v > stats.outlierMax);
-    const inliers = values.filter(v => v >= stats.outlierMin && v <= stats.outlierMax);
-    const whiskerMin = inliers.length > 0 ? Math.min(...inliers) : stats.min;
-    const whiskerMax = inliers.length > 0 ? Math.max(...inliers) : stats.max;
-    const lo = showOutliers && outliers.length > 0 ? Math.min(stats.min, whiskerMin) : whiskerMin;
-    const hi = showOutliers && outliers.length > 0 ? Math.max(stats.max, whiskerMax) : whiskerMax;
-    dMin = Math.min(dMin, lo);
-    dMax = Math.max(dMax, hi);
-    return { ...g, outliers, whiskerMin, whiskerMax };
-  });
-
-  if (prepared.length === 0 || !isFinite(dMin)) return null;
-  if (dMax === dMin) { dMin -= 1; dMax += 1; }
-  const pad = (dMax - dMin) * 0.07;
-  dMin -= pad;
-  dMax += pad;
-
-  const x = (v) => M_LEFT + ((v - dMin) / (dMax - dMin)) * innerW;
-  const ticks = niceTicks(dMin, dMax);
-  const axisY = M_TOP + groups.length * ROW_H + 4;
-
-  const ariaLabel = prepared.map(g => {
-    const s = g.stats;
-    return `${g.label}: minimum ${formatStatValue(s.min)}, first quartile ${formatStatValue(s.q1)}, median ${formatStatValue(s.median)}, third quartile ${formatStatValue(s.q3)}, maximum ${formatStatValue(s.max)}, mean ${formatStatValue(s.mean)}${g.outliers.length > 0 ? `, ${g.outliers.length} outlier${g.outliers.length === 1 ? '' : 's'}` : ''}`;
-  }).join('. ');
-
-  return (
-    <svg
-      ref={svgRef}
-      viewBox={`0 0 ${W} ${H}`}
-      width={W}
-      height={H}
-      className="w-full h-full"
-      preserveAspectRatio="xMidYMid meet"
-      role="img"
-      aria-label={`Box plot. ${ariaLabel}`}
-    >
-      {/* Vertical gridlines and axis tick labels */}
-      {ticks.map(t => (
-        <g key={t}>
-          <line x1={x(t)} x2={x(t)} y1={M_TOP} y2={axisY} stroke="#E5E7EB" strokeWidth="1" />
-          <text x={x(t)} y={axisY + 20} textAnchor="middle" fontSize="13" fill="#4B5563">{formatStatValue(t)}</text>
-        </g>
-      ))}
-      <line x1={M_LEFT} x2={W - M_RIGHT} y1={axisY} y2={axisY} stroke="#2A2A2A" strokeWidth="1.5" />
-      <text x={W / 2} y={axisY + 40} textAnchor="middle" fontSize="13" fontWeight="600" fill="#2A2A2A">Values</text>
-
-      {prepared.map((g, gi) => {
-        const rowTop = M_TOP + gi * ROW_H;
-        const cy = rowTop + 68;
-        const boxH = 38;
-        const boxTop = cy - boxH / 2;
-        const boxBottom = cy + boxH / 2;
-        const s = g.stats;
-        return (
-          <g key={g.label}>
-            {/* Group name with color chip */}
-            <rect x={M_LEFT} y={rowTop + 6} width="11" height="11" fill={g.colors.fill} stroke={g.colors.border} strokeWidth="1.5" />
-            <text x={M_LEFT + 17} y={rowTop + 16} fontSize="13.5" fontWeight="700" fill="#2A2A2A">{g.label}</text>
-
-            {/* Whiskers with end caps */}
-            <line x1={x(g.whiskerMin)} x2={x(s.q1)} y1={cy} y2={cy} stroke="#4B5563" strokeWidth="2">
-              <title>{`Lower whisker: ${formatStatValue(g.whiskerMin)} to Q1 ${formatStatValue(s.q1)}`}</title>
-            </line>
-            <line x1={x(s.q3)} x2={x(g.whiskerMax)} y1={cy} y2={cy} stroke="#4B5563" strokeWidth="2">
-              <title>{`Upper whisker: Q3 ${formatStatValue(s.q3)} to ${formatStatValue(g.whiskerMax)}`}</title>
-            </line>
-            <line x1={x(g.whiskerMin)} x2={x(g.whiskerMin)} y1={cy - 11} y2={cy + 11} stroke="#4B5563" strokeWidth="2" />
-            <line x1={x(g.whiskerMax)} x2={x(g.whiskerMax)} y1={cy - 11} y2={cy + 11} stroke="#4B5563" strokeWidth="2" />
-
-            {/* IQR box */}
-            <rect
-              x={x(s.q1)}
-              y={boxTop}
-              width={Math.max(x(s.q3) - x(s.q1), 2)}
-              height={boxH}
-              fill={g.colors.fill}
-              stroke={g.colors.border}
-              strokeWidth="2.5"
-              rx="3"
-            >
-              <title>{`${g.label} — middle 50% of the data: Q1 ${formatStatValue(s.q1)} to Q3 ${formatStatValue(s.q3)} (IQR ${formatStatValue(s.iqr)})`}</title>
-            </rect>
-
-            {/* Median line */}
-            <line x1={x(s.median)} x2={x(s.median)} y1={boxTop - 5} y2={boxBottom + 5} stroke="#2A2A2A" strokeWidth="3.5">
-              <title>{`Median: ${formatStatValue(s.median)}`}</title>
-            </line>
-
-            {/* Mean diamond */}
-            <polygon
-              points={`${x(s.mean)},${cy - 8} ${x(s.mean) + 8},${cy} ${x(s.mean)},${cy + 8} ${x(s.mean) - 8},${cy}`}
-              fill="#FFFFFF"
-              stroke="#2A2A2A"
-              strokeWidth="2"
-            >
-              <title>{`Mean: ${formatStatValue(s.mean)}`}</title>
-            </polygon>
-
-            {/* Direct value labels */}
-            <text x={x(s.median)} y={boxTop - 11} textAnchor="middle" fontSize="13" fontWeight="700" fill="#2A2A2A">{`Median ${formatStatValue(s.median)}`}</text>
-            <text x={x(s.q1)} y={boxBottom + 19} textAnchor="middle" fontSize="12.5" fill="#374151">{`Q1 ${formatStatValue(s.q1)}`}</text>
-            <text x={x(s.q3)} y={boxBottom + 35} textAnchor="middle" fontSize="12.5" fill="#374151">{`Q3 ${formatStatValue(s.q3)}`}</text>
-            <text x={x(g.whiskerMin) - 7} y={cy + 4.5} textAnchor="end" fontSize="12.5" fill="#374151">{formatStatValue(g.whiskerMin)}</text>
-            <text x={x(g.whiskerMax) + 7} y={cy + 4.5} textAnchor="start" fontSize="12.5" fill="#374151">{formatStatValue(g.whiskerMax)}</text>
-
-            {/* Outliers */}
-            {showOutliers && g.outliers.map((v, i) => (
-              <circle key={`${v}-${i}`} cx={x(v)} cy={cy + ((i % 3) - 1) * 10} r="5.5" fill="rgba(220, 38, 38, 0.85)" stroke="#991B1B" strokeWidth="1.5">
-                <title>{`Outlier: ${formatStatValue(v)} (beyond the 1.5×IQR fence)`}</title>
-              </circle>
-            ))}
-          </g>
-        );
-      })}
-    </svg>
-  );
+const expandFrequencies = (values, weights, maxCount) => {
+  if (totalWeight(values, weights) > maxCount) return null;
+  return values.flatMap((value, i) => new Array(weights[i]).fill(value));
 };
 
 /**
@@ -289,6 +199,7 @@ const StatisticsCalculator = () => {
   const [showChart, setShowChart] = useState(false);
   const [frequencyTable, setFrequencyTable] = useState([]);
   const [showOutliers, setShowOutliers] = useState(true);
+  const [splitStems, setSplitStems] = useState(false);
   const [showChartModal, setShowChartModal] = useState(false);
   const [error, setError] = useState("");
   const [rawStats, setRawStats] = useState(null);
@@ -299,12 +210,17 @@ const StatisticsCalculator = () => {
   const [varianceMode, setVarianceMode] = useState('sample');
   const [draggingTarget, setDraggingTarget] = useState(null);
   const [copied, setCopied] = useState(false);
-  // Snapshot of the values used in the last calculation, so the box plot
-  // stays consistent while the user edits the textareas
+  const [showNormalCurve, setShowNormalCurve] = useState(true);
+  const [inputMode, setInputMode] = useState(INPUT_MODES.LIST);
+  // Snapshot of the values (and frequencies, in value/frequency mode) used in
+  // the last calculation, so charts stay consistent while the user edits the textareas
   const [calcNumbers, setCalcNumbers] = useState([]);
   const [calcNumbersB, setCalcNumbersB] = useState([]);
+  const [calcWeights, setCalcWeights] = useState(null);
+  const [calcWeightsB, setCalcWeightsB] = useState(null);
   const chartRef = useRef(null);
   const boxPlotRef = useRef(null);
+  const dotPlotRef = useRef(null);
   const fileInputRef = useRef(null);
   const fileInputBRef = useRef(null);
 
@@ -319,51 +235,56 @@ const StatisticsCalculator = () => {
    * Triggered by changes to histogram configuration
    */
   useEffect(() => {
-    if (rawStats) {
-      const numbers = parseInputNumbers();
-      if (numbers.length > 0) {
-        const numbersB = compareMode && rawStatsB ? parseInputNumbersB() : [];
-        generateChartData(numbers, rawStats.outlierMin, rawStats.outlierMax, numbersB);
-      }
+    if (rawStats && calcNumbers.length > 0) {
+      const comparing = compareMode && rawStatsB;
+      generateChartData(
+        calcNumbers, rawStats.outlierMin, rawStats.outlierMax,
+        comparing ? calcNumbersB : [], calcWeights, comparing ? calcWeightsB : null
+      );
     }
-  }, [binCount, classWidth, minBoundary, chartType, rawStats, rawStatsB, compareMode]);
+  }, [binCount, classWidth, minBoundary, chartType, rawStats, rawStatsB, compareMode, showNormalCurve]);
 
   /**
    * Recalculate measures when switching between sample and population formulas
    */
   useEffect(() => {
     if (!rawStats) return;
-    const numbers = parseInputNumbers();
-    if (numbers.length > 0) {
-      const stats = calculateAllStatistics(numbers);
+    if (calcNumbers.length > 0) {
+      const stats = calculateAllStatistics(calcNumbers, varianceMode, calcWeights);
       setRawStats(stats);
       setResult(formatResult(stats));
     }
-    if (compareMode && rawStatsB) {
-      const numbersB = parseInputNumbersB();
-      if (numbersB.length > 0) {
-        const statsB = calculateAllStatistics(numbersB);
-        setRawStatsB(statsB);
-        setResultB(formatResult(statsB));
-      }
+    if (compareMode && rawStatsB && calcNumbersB.length > 0) {
+      const statsB = calculateAllStatistics(calcNumbersB, varianceMode, calcWeightsB);
+      setRawStatsB(statsB);
+      setResultB(formatResult(statsB));
     }
   }, [varianceMode]);
 
   /**
-   * Parse input string into array of numbers
-   * @returns {number[]} Array of parsed numbers
+   * Parse a dataset textarea into values and, in value/frequency mode, their
+   * frequencies (weights is null for a plain list)
    */
-  const extractNumbers = (text) => {
-    return text
-      .trim()
-      .split(/[\s,;]+/)
-      .filter(token => token !== "")
-      .map(Number)
-      .filter(n => !isNaN(n));
-  };
+  const parseDataset = (text) => inputMode === INPUT_MODES.FREQUENCY
+    ? extractValueFrequencyPairs(text)
+    : { values: extractNumbers(text), weights: null, invalidLines: [] };
+  const parseInputDataset = () => parseDataset(input);
+  const parseInputDatasetB = () => parseDataset(inputB);
 
-  const parseInputNumbers = () => extractNumbers(input);
-  const parseInputNumbersB = () => extractNumbers(inputB);
+  /**
+   * Live summary of what a dataset textarea contains
+   */
+  const describeDataset = (data) => {
+    const pairs = data.values.length;
+    if (inputMode !== INPUT_MODES.FREQUENCY) {
+      return `${pairs} valid number${pairs === 1 ? '' : 's'} detected (max ${MAX_INPUT_COUNT})`;
+    }
+    const total = totalWeight(data.values, data.weights);
+    const badLines = data.invalidLines.length > 0
+      ? ` Check line${data.invalidLines.length === 1 ? '' : 's'} ${data.invalidLines.join(', ')}.`
+      : '';
+    return `${pairs} value/frequency pair${pairs === 1 ? '' : 's'} detected — ${total} observation${total === 1 ? '' : 's'} in total (max ${MAX_INPUT_COUNT} pairs).${badLines}`;
+  };
 
   /**
    * Load numbers from a CSV or text file into the chosen dataset.
@@ -373,14 +294,24 @@ const StatisticsCalculator = () => {
     if (!file) return;
     const reader = new FileReader();
     reader.onload = (e) => {
-      const numbers = extractNumbers(String(e.target.result));
-      if (numbers.length === 0) {
-        setError(`No numbers found in "${file.name}". Make sure the file contains numeric values.`);
+      const content = String(e.target.result);
+      const frequencyMode = inputMode === INPUT_MODES.FREQUENCY;
+      let entries;
+      if (frequencyMode) {
+        const pairs = extractValueFrequencyPairs(content);
+        entries = pairs.values.map((value, i) => `${value}, ${pairs.weights[i]}`);
+      } else {
+        entries = extractNumbers(content);
+      }
+      if (entries.length === 0) {
+        setError(frequencyMode
+          ? `No value/frequency pairs found in "${file.name}". Put one value and its frequency on each line.`
+          : `No numbers found in "${file.name}". Make sure the file contains numeric values.`);
         return;
       }
-      const truncated = numbers.length > MAX_INPUT_COUNT;
-      const values = numbers.slice(0, MAX_INPUT_COUNT);
-      const text = values.join(", ");
+      const truncated = entries.length > MAX_INPUT_COUNT;
+      const values = entries.slice(0, MAX_INPUT_COUNT);
+      const text = values.join(frequencyMode ? "\n" : ", ");
       if (target === 'B') {
         setInputB(text);
       } else {
@@ -388,8 +319,8 @@ const StatisticsCalculator = () => {
       }
       setError("");
       announcePolite(
-        `Loaded ${values.length} values from ${file.name} into dataset ${target}.` +
-        (truncated ? ` File had more values; only the first ${MAX_INPUT_COUNT} were kept.` : '')
+        `Loaded ${values.length} ${frequencyMode ? 'value/frequency pairs' : 'values'} from ${file.name} into dataset ${target}.` +
+        (truncated ? ` File had more; only the first ${MAX_INPUT_COUNT} were kept.` : '')
       );
     };
     reader.onerror = () => setError(`Could not read "${file.name}".`);
@@ -421,6 +352,33 @@ const StatisticsCalculator = () => {
         ? [displayLabel, result[key], resultB[key]]
         : [displayLabel, result[key]];
     });
+    if (normality) {
+      const checks = comparing && normality.B ? [normality.A, normality.B] : [normality.A];
+      const cell = (test, key) => (test ? formatNormalityP(test[key], key) : '—');
+      rows.push(
+        ['Shapiro-Wilk W', ...checks.map(c => cell(c.shapiro, 'w'))],
+        ['Shapiro-Wilk p-value', ...checks.map(c => cell(c.shapiro, 'pValue'))],
+        ['Anderson-Darling A²', ...checks.map(c => cell(c.anderson, 'a2'))],
+        ['Anderson-Darling p-value', ...checks.map(c => cell(c.anderson, 'pValue'))]
+      );
+    }
+    // z-score of every value, one block per dataset
+    const zBlock = (title, values, weights, stats) => [
+      [],
+      [title],
+      weights ? ['Value', 'Frequency', 'z-score'] : ['Value', 'z-score'],
+      ...values.map((value, i) => [
+        String(value),
+        ...(weights ? [String(weights[i])] : []),
+        stats.zScores[i].toFixed(4)
+      ])
+    ];
+    if (rawStats && calcNumbers.length === rawStats.zScores.length) {
+      rows.push(...zBlock(comparing ? 'z-Scores — Dataset A' : 'z-Scores', calcNumbers, calcWeights, rawStats));
+    }
+    if (comparing && rawStatsB && calcNumbersB.length === rawStatsB.zScores.length) {
+      rows.push(...zBlock('z-Scores — Dataset B', calcNumbersB, calcWeightsB, rawStatsB));
+    }
     const text = [header, ...rows].map(row => row.join('\t')).join('\n');
     try {
       await navigator.clipboard.writeText(text);
@@ -446,9 +404,9 @@ const StatisticsCalculator = () => {
       announcePolite('Chart image downloaded.');
     };
 
-    // The box plot is an SVG — rasterize it at 2x for a crisp image
-    if (chartType === CHART_TYPES.BOXPLOT) {
-      const svg = boxPlotRef.current;
+    // The box and dot plots are SVGs — rasterize them at 2x for a crisp image
+    if (chartType === CHART_TYPES.BOXPLOT || chartType === CHART_TYPES.DOTPLOT) {
+      const svg = (chartType === CHART_TYPES.DOTPLOT ? dotPlotRef : boxPlotRef).current;
       if (!svg) return;
       const width = Number(svg.getAttribute('width'));
       const height = Number(svg.getAttribute('height'));
@@ -487,9 +445,32 @@ const StatisticsCalculator = () => {
    * Computes all statistical measures and initiates visualization
    */
   const calculateStatistics = () => {
-    const numbers = parseInputNumbers();
+    const dataA = parseInputDataset();
+    const numbers = dataA.values;
     setError("");
 
+    // Value/frequency checks: every line must be a pair, and the frequencies must add up to something
+    const frequencyError = (data, name) => {
+      if (inputMode !== INPUT_MODES.FREQUENCY) return '';
+      if (data.invalidLines.length > 0) {
+        const many = data.invalidLines.length > 1;
+        return `${name}: line${many ? 's' : ''} ${data.invalidLines.join(', ')} ${many ? 'are' : 'is'} not a value followed by a non-negative frequency.`;
+      }
+      const fractional = data.weights ? data.values.filter((_, i) => !Number.isInteger(data.weights[i])) : [];
+      if (fractional.length > 0) {
+        return `${name}: frequencies are counts, so they must be whole numbers (check the frequency of ${fractional.join(', ')}).`;
+      }
+      if (data.values.length > 0 && totalWeight(data.values, data.weights) === 0) {
+        return `${name}: the frequencies add up to 0 — give at least one value a positive frequency.`;
+      }
+      return '';
+    };
+    const errorA = frequencyError(dataA, compareMode ? 'Dataset A' : 'Your data');
+    if (errorA) {
+      setError(errorA);
+      return;
+    }
+
     // Input validation
     if (numbers.length === 0) {
       setError("Please enter valid numbers separated by commas, spaces, or new lines.");
@@ -503,8 +484,16 @@ const StatisticsCalculator = () => {
 
     // Validate dataset B when comparison mode is active
     let numbersB = [];
+    let weightsB = null;
     if (compareMode) {
-      numbersB = parseInputNumbersB();
+      const dataB = parseInputDatasetB();
+      const errorB = frequencyError(dataB, 'Dataset B');
+      if (errorB) {
+        setError(errorB);
+        return;
+      }
+      numbersB = dataB.values;
+      weightsB = dataB.weights;
       if (numbersB.length === 0) {
         setError("Dataset B is empty or has no valid numbers. Add data or turn off comparison.");
         return;
@@ -516,13 +505,13 @@ const StatisticsCalculator = () => {
     }
 
     // Calculate statistical measures
-    const stats = calculateAllStatistics(numbers);
+    const stats = calculateAllStatistics(numbers, varianceMode, dataA.weights);
     setRawStats(stats);
     setResult(formatResult(stats));
 
     let statsB = null;
     if (compareMode) {
-      statsB = calculateAllStatistics(numbersB);
+      statsB = calculateAllStatistics(numbersB, varianceMode, weightsB);
       setRawStatsB(statsB);
       setResultB(formatResult(statsB));
     } else {
@@ -542,88 +531,16 @@ const StatisticsCalculator = () => {
     // Generate visualization
     setCalcNumbers(numbers);
     setCalcNumbersB(compareMode ? numbersB : []);
-    generateChartData(numbers, stats.outlierMin, stats.outlierMax, numbersB);
+    setCalcWeights(dataA.weights);
+    setCalcWeightsB(compareMode ? weightsB : null);
+    generateChartData(numbers, stats.outlierMin, stats.outlierMax, numbersB, dataA.weights, weightsB);
     setShowChart(true);
     const announcement = statsB
-      ? `Compared two datasets. Dataset A: ${numbers.length} values, mean ${stats.mean.toFixed(2)}. Dataset B: ${numbersB.length} values, mean ${statsB.mean.toFixed(2)}.`
-      : `Calculated statistics for ${numbers.length} values. Mean: ${stats.mean.toFixed(2)}, Median: ${stats.median.toFixed(2)}, Standard deviation: ${stats.stdDev.toFixed(2)}.`;
+      ? `Compared two datasets. Dataset A: ${stats.count} values, mean ${stats.mean.toFixed(2)}. Dataset B: ${statsB.count} values, mean ${statsB.mean.toFixed(2)}.`
+      : `Calculated statistics for ${stats.count} values. Mean: ${stats.mean.toFixed(2)}, Median: ${stats.median.toFixed(2)}, Standard deviation: ${stats.stdDev.toFixed(2)}.`;
     announcePolite(announcement);
   };
 
-  /**
-   * Calculate all statistical measures
-   * @param {number[]} numbers - Input data array
-   * @returns {Object} Object containing all statistical measures
-   */
-  const calculateAllStatistics = (numbers) => {
-    const sorted = [...numbers].sort((a, b) => a - b);
-    const n = numbers.length;
-    
-    // Basic measures
-    const min = sorted[0];
-    const max = sorted[n - 1];
-    const range = max - min;
-    const sum = numbers.reduce((a, b) => a + b, 0);
-    const mean = sum / n;
-    
-    // Median calculation
-    const median = n % 2 === 0
-      ? (sorted[n / 2 - 1] + sorted[n / 2]) / 2
-      : sorted[Math.floor(n / 2)];
-    
-    // Variance and standard deviation (sample uses n-1, population uses n)
-    const divisor = varianceMode === 'population' ? n : n - 1;
-    const variance = divisor > 0
-      ? numbers.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / divisor
-      : 0;
-    const stdDev = Math.sqrt(variance);
-    
-    // Mode calculation (can be multimodal)
-    const freqMap = {};
-    numbers.forEach(num => {
-      freqMap[num] = (freqMap[num] || 0) + 1;
-    });
-    const maxFreq = Math.max(...Object.values(freqMap));
-    let modeValues = Object.keys(freqMap).filter(key => freqMap[key] === maxFreq);
-    if (modeValues.length === Object.keys(freqMap).length) {
-      modeValues = ["No mode"];
-    } else {
-      modeValues = modeValues.map(v => Number(v));
-    }
-
-    // Quartiles
-    const q1 = calculatePercentile(sorted, 0.25);
-    const q3 = calculatePercentile(sorted, 0.75);
-    const iqr = q3 - q1;
-    
-    // Outlier boundaries (1.5 * IQR method)
-    const outlierMin = q1 - 1.5 * iqr;
-    const outlierMax = q3 + 1.5 * iqr;
-    const outlierCount = numbers.filter(num => num < outlierMin || num > outlierMax).length;
-
-    return {
-      min, max, range, mean, median, mode: modeValues,
-      stdDev, variance, q1, q3, iqr, outlierMin, outlierMax,
-      count: n, outlierCount
-    };
-  };
-
-  /**
-   * Calculate percentile using linear interpolation
-   * @param {number[]} sortedNumbers - Sorted array of numbers
-   * @param {number} percentile - Percentile value (0-1)
-   * @returns {number} Calculated percentile value
-   */
-  const calculatePercentile = (sortedNumbers, percentile) => {
-    const index = percentile * (sortedNumbers.length - 1);
-    const lower = Math.floor(index);
-    const upper = lower + 1;
-    const weight = index % 1;
-
-    if (upper >= sortedNumbers.length) return sortedNumbers[lower];
-    return sortedNumbers[lower] * (1 - weight) + sortedNumbers[upper] * weight;
-  };
-
   /**
    * Format statistical results to 4 decimal places
    * @param {Object} stats - Raw statistical values
@@ -634,6 +551,8 @@ const StatisticsCalculator = () => {
     Object.keys(stats).forEach(key => {
       if (key === 'count' || key === 'outlierCount') {
         formatted[key] = String(stats[key]);
+      } else if (stats[key] === null) {
+        formatted[key] = '—';
       } else if (typeof stats[key] === 'number') {
         formatted[key] = stats[key].toFixed(4);
       } else if (Array.isArray(stats[key])) {
@@ -652,14 +571,17 @@ const StatisticsCalculator = () => {
    * @param {number[]} numbers - Input data
    * @param {number} outlierMin - Lower outlier boundary
    * @param {number} outlierMax - Upper outlier boundary
+   * @param {number[]} numbersB - Dataset B when comparing
+   * @param {number[]|null} weights - Frequency of each value in value/frequency mode
+   * @param {number[]|null} weightsB - Frequencies for dataset B
    */
-  const generateChartData = (numbers, outlierMin, outlierMax, numbersB = []) => {
+  const generateChartData = (numbers, outlierMin, outlierMax, numbersB = [], weights = null, weightsB = null) => {
     switch (chartType) {
       case CHART_TYPES.HISTOGRAM:
-        generateHistogram(numbers, outlierMin, outlierMax, numbersB);
+        generateHistogram(numbers, outlierMin, outlierMax, numbersB, weights, weightsB);
         break;
       case CHART_TYPES.BAR:
-        generateBarChart(numbers, outlierMin, outlierMax, numbersB);
+        generateBarChart(numbers, outlierMin, outlierMax, numbersB, weights, weightsB);
         break;
       // Box plots are rendered directly from the stats by BoxPlotSVG — no Chart.js data needed
     }
@@ -669,30 +591,32 @@ const StatisticsCalculator = () => {
    * Generate histogram data with frequency distribution
    * Creates bins and calculates frequencies for each class interval
    */
-  const generateHistogram = (numbers, outlierMin, outlierMax, numbersB = []) => {
+  const generateHistogram = (numbers, outlierMin, outlierMax, numbersB = [], weights = null, weightsB = null) => {
     const comparing = numbersB.length > 0;
 
-    // Distribute a dataset into the shared class intervals
-    const distributeIntoBins = (data) => {
+    // Distribute a dataset into the shared class intervals; each value adds
+    // its frequency (1 for a plain list)
+    const distributeIntoBins = (data, dataWeights) => {
       const bins = new Array(binCount).fill(0);
-      data.forEach(num => {
+      data.forEach((num, i) => {
+        const count = dataWeights ? dataWeights[i] : 1;
         const binIndex = Math.floor((num - minBoundary) / classWidth);
         if (binIndex >= 0 && binIndex < binCount) {
-          bins[binIndex]++;
+          bins[binIndex] += count;
         } else if (binIndex >= binCount) {
-          bins[binCount - 1]++; // Place in last bin if beyond range
+          bins[binCount - 1] += count; // Place in last bin if beyond range
         }
       });
       return bins;
     };
 
-    const bins = distributeIntoBins(numbers);
-    const binsB = comparing ? distributeIntoBins(numbersB) : [];
+    const bins = distributeIntoBins(numbers, weights);
+    const binsB = comparing ? distributeIntoBins(numbersB, weightsB) : [];
     const binLabels = [];
     const backgroundColors = [];
     const borderColors = [];
     const tableData = [];
-    const totalCount = numbers.length;
+    const totalCount = totalWeight(numbers, weights);
     let cumulativeFreq = 0;
 
     // Generate labels and frequency table
@@ -729,14 +653,14 @@ const StatisticsCalculator = () => {
         labels: binLabels,
         datasets: [
           {
-            label: `Dataset A (n=${numbers.length})`,
+            label: `Dataset A (n=${totalCount})`,
             data: bins,
             backgroundColor: CHART_COLORS.normal.background,
             borderColor: CHART_COLORS.normal.border,
             borderWidth: 1
           },
           {
-            label: `Dataset B (n=${numbersB.length})`,
+            label: `Dataset B (n=${totalWeight(numbersB, weightsB)})`,
             data: binsB,
             backgroundColor: COMPARE_COLORS.background,
             borderColor: COMPARE_COLORS.border,
@@ -747,17 +671,45 @@ const StatisticsCalculator = () => {
       return;
     }
 
+    const datasets = [{
+      label: 'Frequency',
+      data: bins,
+      backgroundColor: backgroundColors,
+      borderColor: borderColors,
+      borderWidth: 1,
+      barPercentage: 1.0,
+      categoryPercentage: 1.0
+    }];
+
+    // Normal curve with the sample mean and SD, scaled to expected counts
+    // (n × class width × density) and drawn on a hidden linear axis that
+    // spans the same range as the classes
+    const weightOf = (i) => (weights ? weights[i] : 1);
+    const mean = numbers.reduce((sum, v, i) => sum + weightOf(i) * v, 0) / totalCount;
+    const sd = totalCount > 1
+      ? Math.sqrt(numbers.reduce((sum, v, i) => sum + weightOf(i) * (v - mean) * (v - mean), 0) / (totalCount - 1))
+      : 0;
+    if (showNormalCurve && sd > 0) {
+      const span = binCount * classWidth;
+      datasets.push({
+        type: 'line',
+        label: 'Fitted Normal Curve',
+        data: Array.from({ length: NORMAL_CURVE_POINTS + 1 }, (_, i) => {
+          const x = minBoundary + (i / NORMAL_CURVE_POINTS) * span;
+          return { x, y: totalCount * classWidth * jStat.normal.pdf(x, mean, sd) };
+        }),
+        xAxisID: 'xNormal',
+        borderColor: NORMAL_CURVE_COLOR,
+        backgroundColor: NORMAL_CURVE_COLOR,
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false
+      });
+    }
+
     setChartData({
       labels: binLabels,
-      datasets: [{
-        label: 'Frequency',
-        data: bins,
-        backgroundColor: backgroundColors,
-        borderColor: borderColors,
-        borderWidth: 1,
-        barPercentage: 1.0,
-        categoryPercentage: 1.0
-      }]
+      datasets
     });
   };
 
@@ -765,20 +717,20 @@ const StatisticsCalculator = () => {
    * Generate bar chart for discrete values
    * Shows frequency of each unique value
    */
-  const generateBarChart = (numbers, outlierMin, outlierMax, numbersB = []) => {
+  const generateBarChart = (numbers, outlierMin, outlierMax, numbersB = [], weights = null, weightsB = null) => {
     const comparing = numbersB.length > 0;
 
-    // Count frequencies
-    const countFrequencies = (data) => {
+    // Count frequencies (summing the given frequencies in value/frequency mode)
+    const countFrequencies = (data, dataWeights) => {
       const map = {};
-      data.forEach(num => {
-        map[num] = (map[num] || 0) + 1;
+      data.forEach((num, i) => {
+        map[num] = (map[num] || 0) + (dataWeights ? dataWeights[i] : 1);
       });
       return map;
     };
 
-    const frequencyMap = countFrequencies(numbers);
-    const frequencyMapB = comparing ? countFrequencies(numbersB) : {};
+    const frequencyMap = countFrequencies(numbers, weights);
+    const frequencyMapB = comparing ? countFrequencies(numbersB, weightsB) : {};
 
     // Union of values across both datasets so the bars share one axis
     const uniqueValues = [...new Set([
@@ -791,14 +743,14 @@ const StatisticsCalculator = () => {
         labels: uniqueValues.map(val => val.toString()),
         datasets: [
           {
-            label: `Dataset A (n=${numbers.length})`,
+            label: `Dataset A (n=${totalWeight(numbers, weights)})`,
             data: uniqueValues.map(val => frequencyMap[val] || 0),
             backgroundColor: CHART_COLORS.normal.background,
             borderColor: CHART_COLORS.normal.border,
             borderWidth: 2
           },
           {
-            label: `Dataset B (n=${numbersB.length})`,
+            label: `Dataset B (n=${totalWeight(numbersB, weightsB)})`,
             data: uniqueValues.map(val => frequencyMapB[val] || 0),
             backgroundColor: COMPARE_COLORS.background,
             borderColor: COMPARE_COLORS.border,
@@ -846,34 +798,57 @@ const StatisticsCalculator = () => {
   const boxPlotGroups = useMemo(() => {
     if (!rawStats || calcNumbers.length === 0) return [];
     const comparing = compareMode && rawStatsB && calcNumbersB.length > 0;
+    // Values with frequency 0 are not observations, so they must not stretch the whiskers
+    const observed = (values, weights) => (weights ? values.filter((_, i) => weights[i] > 0) : values);
     const groups = [{
       label: comparing ? 'Dataset A' : 'Your Data',
       stats: rawStats,
-      values: calcNumbers,
+      values: observed(calcNumbers, calcWeights),
       colors: BOXPLOT_GROUP_COLORS.A
     }];
     if (comparing) {
       groups.push({
         label: 'Dataset B',
         stats: rawStatsB,
-        values: calcNumbersB,
+        values: observed(calcNumbersB, calcWeightsB),
         colors: BOXPLOT_GROUP_COLORS.B
       });
     }
     return groups;
-  }, [rawStats, rawStatsB, compareMode, calcNumbers, calcNumbersB]);
+  }, [rawStats, rawStatsB, compareMode, calcNumbers, calcNumbersB, calcWeights, calcWeightsB]);
+
+  /**
+   * Dataset rows for the stem-and-leaf and dot plots, which draw every
+   * observation: frequencies are expanded into repeated values, and values is
+   * null when there would be more than MAX_PLOTTED_OBSERVATIONS
+   */
+  const observationGroups = useMemo(() => boxPlotGroups.map((g, i) => {
+    const values = i === 0 ? calcNumbers : calcNumbersB;
+    const weights = i === 0 ? calcWeights : calcWeightsB;
+    return { label: g.label, colors: g.colors, values: weights ? expandFrequencies(values, weights, MAX_PLOTTED_OBSERVATIONS) : values };
+  }), [boxPlotGroups, calcNumbers, calcNumbersB, calcWeights, calcWeightsB]);
+
+  let observationPlotError = '';
+  if (chartType === CHART_TYPES.STEM_LEAF || chartType === CHART_TYPES.DOTPLOT) {
+    if (observationGroups.some(g => !g.values)) {
+      observationPlotError = `Stem-and-leaf and dot plots show every observation, so they are limited to ${MAX_PLOTTED_OBSERVATIONS} observations in total.`;
+    } else if (chartType === CHART_TYPES.STEM_LEAF && observationGroups.some(g => g.values.length > MAX_STEM_LEAF_VALUES)) {
+      observationPlotError = `A stem-and-leaf plot lists every value, which becomes hard to read beyond ${MAX_STEM_LEAF_VALUES} observations — try the histogram or the dot plot.`;
+    }
+  }
 
   /**
    * Chart configuration options
    */
   const chartOptions = useMemo(() => {
     const comparing = compareMode && !!rawStatsB;
+    const withCurve = chartType === CHART_TYPES.HISTOGRAM && !comparing && showNormalCurve;
     return {
       responsive: true,
       maintainAspectRatio: false,
       plugins: {
         legend: {
-          display: comparing,
+          display: comparing || withCurve,
           position: 'bottom'
         },
         title: {
@@ -885,10 +860,14 @@ const StatisticsCalculator = () => {
         },
         tooltip: {
           callbacks: {
-            title: (context) => chartType === CHART_TYPES.HISTOGRAM
-              ? `Class: ${context[0].label}`
-              : `Value: ${context[0].label}`,
-            label: (context) => `Frequency: ${context.parsed.y}`
+            title: (context) => context[0].dataset.type === 'line'
+              ? `x = ${context[0].parsed.x.toFixed(2)}`
+              : chartType === CHART_TYPES.HISTOGRAM
+                ? `Class: ${context[0].label}`
+                : `Value: ${context[0].label}`,
+            label: (context) => context.dataset.type === 'line'
+              ? `Normal curve: ${context.parsed.y.toFixed(2)} expected`
+              : `Frequency: ${context.parsed.y}`
           }
         }
       },
@@ -905,10 +884,93 @@ const StatisticsCalculator = () => {
             display: true,
             text: chartType === CHART_TYPES.HISTOGRAM ? 'Classes' : 'Values'
           }
-        }
+        },
+        ...(withCurve && {
+          xNormal: {
+            type: 'linear',
+            display: false,
+            min: minBoundary,
+            max: minBoundary + binCount * classWidth
+          }
+        })
       }
     };
-  }, [chartType, compareMode, rawStatsB]);
+  }, [chartType, compareMode, rawStatsB, showNormalCurve, minBoundary, binCount, classWidth]);
+
+  /**
+   * Normality checks for the values used in the last calculation
+   * (a value/frequency table is expanded into individual observations first)
+   */
+  const normality = useMemo(() => {
+    const observations = (values, weights) => (weights ? expandFrequencies(values, weights, SHAPIRO_WILK_MAX_N) : values);
+    const valuesA = observations(calcNumbers, calcWeights);
+    if (!valuesA || valuesA.length === 0) return null;
+    const check = (values) => ({
+      n: values.length,
+      qq: normalQQPoints(values),
+      line: values.length > 1 ? qqReferenceLine(values) : null,
+      shapiro: shapiroWilk(values),
+      anderson: andersonDarling(values)
+    });
+    const comparing = compareMode && rawStatsB && calcNumbersB.length > 0;
+    const valuesB = comparing ? observations(calcNumbersB, calcWeightsB) : null;
+    return { A: check(valuesA), B: valuesB && valuesB.length > 0 ? check(valuesB) : null };
+  }, [calcNumbers, calcNumbersB, calcWeights, calcWeightsB, compareMode, rawStatsB]);
+
+  /**
+   * Q-Q plot points with a dashed reference line for each dataset
+   */
+  const qqChartData = useMemo(() => {
+    if (!normality) return null;
+    const series = [[normality.A, normality.B ? 'Dataset A' : 'Your Data', CHART_COLORS.normal]];
+    if (normality.B) series.push([normality.B, 'Dataset B', COMPARE_COLORS]);
+    const datasets = [];
+    series.forEach(([check, label, colors]) => {
+      datasets.push({
+        label,
+        data: check.qq.map(p => ({ x: p.theoretical, y: p.sample })),
+        backgroundColor: colors.background,
+        borderColor: colors.border,
+        pointRadius: 4
+      });
+      if (check.line) {
+        const ends = [check.qq[0].theoretical, check.qq[check.qq.length - 1].theoretical];
+        datasets.push({
+          type: 'line',
+          label: `${label} — normal reference line`,
+          data: ends.map(z => ({ x: z, y: check.line.intercept + check.line.slope * z })),
+          borderColor: colors.border,
+          borderDash: [6, 4],
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false
+        });
+      }
+    });
+    return { datasets };
+  }, [normality]);
+
+  const qqChartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: true, position: 'bottom' },
+      tooltip: {
+        callbacks: {
+          label: (context) => context.dataset.type === 'line'
+            ? context.dataset.label
+            : `${context.dataset.label}: value ${context.parsed.y} at z = ${context.parsed.x.toFixed(2)}`
+        }
+      }
+    },
+    scales: {
+      x: { type: 'linear', title: { display: true, text: 'Theoretical Normal Quantile (z)' } },
+      y: { title: { display: true, text: 'Sample Value' } }
+    }
+  };
+
+  const formatNormalityP = (value, key) =>
+    key === 'pValue' && value < 0.0001 ? '< 0.0001' : value.toFixed(4);
 
   /**
    * Generate slider gradient style
@@ -988,6 +1050,38 @@ const StatisticsCalculator = () => {
         <div className="grid lg:grid-cols-2 gap-6">
           {/* Input and Controls Panel */}
           <div className="space-y-4">
+            {/* Plain list vs value/frequency table */}
+            <fieldset className="bg-white border-2 border-darkGrey/20 p-3 rounded-lg">
+              <legend className="text-darkGrey font-medium px-1 flex items-center">
+                Data Format
+                <InfoIcon info="Textbooks often give data as a frequency table: each value with how many times it occurs. Choose Value / Frequency to type one pair per line (e.g., 3, 12 means the value 3 occurs 12 times) instead of repeating each value by hand." />
+              </legend>
+              <div className="flex flex-col sm:flex-row gap-2 sm:gap-6 mt-1">
+                <label className="flex items-center space-x-2 cursor-pointer text-sm text-darkGrey">
+                  <input
+                    type="radio"
+                    name="input-mode"
+                    value={INPUT_MODES.LIST}
+                    checked={inputMode === INPUT_MODES.LIST}
+                    onChange={() => { setInputMode(INPUT_MODES.LIST); announcePolite('Data format: list of values.'); }}
+                    className="w-4 h-4 text-darkTeal focus:ring-darkTeal"
+                  />
+                  <span><strong>List of values</strong> — every observation typed out</span>
+                </label>
+                <label className="flex items-center space-x-2 cursor-pointer text-sm text-darkGrey">
+                  <input
+                    type="radio"
+                    name="input-mode"
+                    value={INPUT_MODES.FREQUENCY}
+                    checked={inputMode === INPUT_MODES.FREQUENCY}
+                    onChange={() => { setInputMode(INPUT_MODES.FREQUENCY); announcePolite('Data format: value and frequency pairs, one per line.'); }}
+                    className="w-4 h-4 text-darkTeal focus:ring-darkTeal"
+                  />
+                  <span><strong>Value / Frequency</strong> — one “value, frequency” pair per line</span>
+                </label>
+              </div>
+            </fieldset>
+
             <div
               onDrop={(e) => handleDrop(e, 'A')}
               onDragOver={(e) => handleDragOver(e, 'A')}
@@ -996,7 +1090,9 @@ const StatisticsCalculator = () => {
               <div className="flex items-center justify-between mb-2">
                 <label htmlFor="stats-data-input" className="text-darkGrey font-medium">
                   {compareMode ? 'Dataset A' : 'Your Data'}
-                  <InfoIcon info="Paste up to 1000 numbers. You can separate them with commas, spaces, semicolons, or new lines — great for pasting straight from Excel or Google Sheets. You can also drop a CSV or text file here." />
+                  <InfoIcon info={inputMode === INPUT_MODES.FREQUENCY
+                    ? "Put one value and its frequency on each line, separated by a comma, space, or tab — paste two columns straight from a spreadsheet. Up to 1000 pairs; a header row is skipped automatically."
+                    : "Paste up to 1000 numbers. You can separate them with commas, spaces, semicolons, or new lines — great for pasting straight from Excel or Google Sheets. You can also drop a CSV or text file here."} />
                 </label>
                 <button
                   type="button"
@@ -1018,7 +1114,9 @@ const StatisticsCalculator = () => {
                 id="stats-data-input"
                 value={input}
                 onChange={(e) => setInput(e.target.value)}
-                placeholder="Enter up to 1000 numbers separated by commas, spaces, or new lines (e.g., 12, 15.5, 18, 22) — or drop a CSV file here"
+                placeholder={inputMode === INPUT_MODES.FREQUENCY
+                  ? "One value and its frequency per line, e.g.\n1, 7\n2, 12\n3, 9 — or drop a two-column CSV file here"
+                  : "Enter up to 1000 numbers separated by commas, spaces, or new lines (e.g., 12, 15.5, 18, 22) — or drop a CSV file here"}
                 className={`w-full p-4 border-2 rounded-lg focus:border-darkTeal outline-none transition-colors ${draggingTarget === 'A' ? 'border-darkTeal bg-darkTeal/10 border-dashed' : 'border-darkGrey/20'}`}
                 rows="4"
                 aria-invalid={!!error}
@@ -1026,8 +1124,10 @@ const StatisticsCalculator = () => {
               />
               <p id="stats-value-count" className="text-sm text-darkGrey/70 mt-1" aria-live="polite">
                 {input.trim()
-                  ? `${parseInputNumbers().length} valid number${parseInputNumbers().length === 1 ? '' : 's'} detected (max ${MAX_INPUT_COUNT})`
-                  : `Tip: paste a column of numbers from a spreadsheet, or drag a .csv file onto the box — header rows are skipped automatically.`}
+                  ? describeDataset(parseInputDataset())
+                  : inputMode === INPUT_MODES.FREQUENCY
+                    ? 'Tip: paste the value and frequency columns of a table from a spreadsheet, or drag a two-column .csv file onto the box.'
+                    : `Tip: paste a column of numbers from a spreadsheet, or drag a .csv file onto the box — header rows are skipped automatically.`}
               </p>
             </div>
 
@@ -1082,14 +1182,16 @@ const StatisticsCalculator = () => {
                     id="stats-data-input-b"
                     value={inputB}
                     onChange={(e) => setInputB(e.target.value)}
-                    placeholder="Enter the second dataset — or drop a CSV file here"
+                    placeholder={inputMode === INPUT_MODES.FREQUENCY
+                      ? "Value/frequency pairs for the second dataset, one per line — or drop a CSV file here"
+                      : "Enter the second dataset — or drop a CSV file here"}
                     className={`w-full p-4 border-2 rounded-lg focus:border-darkTeal outline-none transition-colors ${draggingTarget === 'B' ? 'border-darkTeal bg-darkTeal/10 border-dashed' : 'border-darkGrey/20'}`}
                     rows="3"
                     aria-describedby="stats-value-count-b"
                   />
                   <p id="stats-value-count-b" className="text-sm text-darkGrey/70 mt-1" aria-live="polite">
                     {inputB.trim()
-                      ? `${parseInputNumbersB().length} valid number${parseInputNumbersB().length === 1 ? '' : 's'} detected (max ${MAX_INPUT_COUNT})`
+                      ? describeDataset(parseInputDatasetB())
                       : 'Dataset B is shown in amber in the charts.'}
                   </p>
                 </div>
@@ -1143,6 +1245,8 @@ const StatisticsCalculator = () => {
                     <option value={CHART_TYPES.HISTOGRAM}>Histogram</option>
                     <option value={CHART_TYPES.BAR}>Bar Chart</option>
                     <option value={CHART_TYPES.BOXPLOT}>Box Plot</option>
+                    <option value={CHART_TYPES.STEM_LEAF}>Stem-and-Leaf Plot</option>
+                    <option value={CHART_TYPES.DOTPLOT}>Dot Plot</option>
                   </select>
                 </div>
                 
@@ -1191,6 +1295,19 @@ const StatisticsCalculator = () => {
                         className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
                       />
                     </div>
+
+                    {!(compareMode && rawStatsB) && (
+                      <label className="flex items-center space-x-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={showNormalCurve}
+                          onChange={(e) => setShowNormalCurve(e.target.checked)}
+                          className="w-4 h-4 text-darkTeal rounded focus:ring-darkTeal"
+                        />
+                        <span className="text-darkGrey font-medium">Overlay fitted normal curve</span>
+                        <InfoIcon info="The normal distribution with your mean and standard deviation, scaled to the expected count in each class. Bars that stray far from it hint at non-normal data." />
+                      </label>
+                    )}
                   </>
                 )}
                 {/* Box Plot specific controls */}
@@ -1208,6 +1325,24 @@ const StatisticsCalculator = () => {
                     </label>
                   </div>
                 )}
+                {/* Stem-and-leaf specific controls */}
+                {chartType === CHART_TYPES.STEM_LEAF && (
+                  <div className="mt-3 p-3 bg-accent/10 rounded space-y-2">
+                    <label className="flex items-center space-x-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={splitStems}
+                        onChange={(e) => setSplitStems(e.target.checked)}
+                        className="w-4 h-4 text-darkTeal rounded focus:ring-darkTeal"
+                      />
+                      <span className="text-darkGrey font-medium">Split stems</span>
+                      <InfoIcon info="Give each stem two lines — leaves 0–4 and leaves 5–9 — to stretch out a plot with only a few crowded stems" />
+                    </label>
+                    {compareMode && (
+                      <p className="text-xs text-darkGrey/70">In compare mode, A and B are drawn back to back on shared stems.</p>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
             
@@ -1230,7 +1365,11 @@ const StatisticsCalculator = () => {
                 {SAMPLE_DATASETS.map((dataset, index) => (
                   <button
                     key={index}
-                    onClick={() => { setInput(dataset.data); announcePolite('Loaded sample: ' + dataset.name); }}
+                    onClick={() => {
+                      setInput(dataset.data);
+                      setInputMode(dataset.inputMode || INPUT_MODES.LIST);
+                      announcePolite('Loaded sample: ' + dataset.name);
+                    }}
                     className="w-full text-left text-sm p-2 bg-platinum hover:bg-darkTeal/20 rounded transition-colors"
                   >
                     <div className="font-medium">{dataset.name}</div>
@@ -1349,6 +1488,94 @@ const StatisticsCalculator = () => {
                       </p>
                     </div>
                   </div>
+
+                  <div className="mt-3 pt-3 border-t border-darkGrey/20">
+                    <p className="text-sm font-medium text-darkGrey mb-1">Shape:</p>
+                    <div className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+                      {[
+                        ['skewness', 'Skewness', 'Lopsidedness: 0 = symmetric, positive = long right tail, negative = long left tail (adjusted sample G₁)'],
+                        ['skewnessSE', 'SE of Skewness', 'How much skewness varies from sample to sample for normal data of this size'],
+                        ['kurtosis', 'Excess Kurtosis', 'Tail weight compared with a normal curve: 0 = normal, positive = heavier tails, negative = lighter tails (adjusted sample G₂)'],
+                        ['kurtosisSE', 'SE of Kurtosis', 'How much kurtosis varies from sample to sample for normal data of this size']
+                      ].map(([key, label, info]) => (
+                        <p key={key} className="flex items-center">
+                          <span className="font-medium">{label}:</span>
+                          <span className="ml-auto font-mono">{result[key]}</span>
+                          <InfoIcon info={info} />
+                        </p>
+                      ))}
+                    </div>
+                    {rawStats?.skewness !== null && rawStats?.skewness !== undefined && (
+                      <p className="text-xs text-darkGrey/70 mt-2">
+                        {Math.abs(rawStats.skewness / rawStats.skewnessSE) > 2
+                          ? `Skewness is more than twice its standard error — the data are noticeably ${rawStats.skewness > 0 ? 'right' : 'left'}-skewed.`
+                          : 'Skewness is within two standard errors of 0 — consistent with a symmetric population.'}
+                        {rawStats.kurtosis !== null && (Math.abs(rawStats.kurtosis / rawStats.kurtosisSE) > 2
+                          ? ` Kurtosis is more than twice its standard error — the tails are ${rawStats.kurtosis > 0 ? 'heavier' : 'lighter'} than a normal curve's.`
+                          : ' Kurtosis is within two standard errors of 0 — tail weight is consistent with a normal curve.')}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="mt-3 pt-3 border-t border-darkGrey/20">
+                    <p className="text-sm font-medium text-darkGrey mb-1">Robust &amp; Alternative Measures:</p>
+                    <div className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+                      {[
+                        ['coefficientOfVariation', 'CV (%)', 'Coefficient of variation: Std Dev ÷ |Mean| × 100 — spread relative to the size of the values, so datasets in different units can be compared'],
+                        ['mad', 'MAD', 'Median absolute deviation: the median distance from the median. Outliers barely move it. Multiply by 1.4826 to estimate σ for normal data'],
+                        ['trimmedMean', `${TRIM_PROPORTION * 100}% Trimmed Mean`, `Mean after dropping the lowest and highest ${TRIM_PROPORTION * 100}% of values`],
+                        ['winsorizedMean', `${TRIM_PROPORTION * 100}% Winsorized Mean`, `Mean after pulling the lowest and highest ${TRIM_PROPORTION * 100}% of values in to the nearest remaining value`],
+                        ['geometricMean', 'Geometric Mean', 'nth root of the product — the right average for growth rates and ratios. Needs every value > 0'],
+                        ['harmonicMean', 'Harmonic Mean', 'n ÷ Σ(1/x) — the right average for rates such as speeds. Needs every value > 0']
+                      ].map(([key, label, info]) => (
+                        <p key={key} className="flex items-center">
+                          <span className="font-medium">{label}:</span>
+                          <span className="ml-auto font-mono">{result[key]}</span>
+                          <InfoIcon info={info} />
+                        </p>
+                      ))}
+                    </div>
+                  </div>
+
+                  {rawStats && calcNumbers.length === rawStats.zScores.length && (
+                    <details className="mt-3 pt-3 border-t border-darkGrey/20 text-sm">
+                      <summary className="font-medium text-darkGrey cursor-pointer">
+                        {calcWeights
+                          ? `z-Scores for all ${calcNumbers.length} values in the table`
+                          : `z-Scores for all ${calcNumbers.length} values`}
+                      </summary>
+                      <p className="text-xs text-darkGrey/70 mt-1">
+                        z = (x − mean) ÷ Std Dev: how many standard deviations each value sits from the mean. |z| &gt; {Z_UNUSUAL} is unusual; |z| &gt; {Z_VERY_UNUSUAL} is very unusual.
+                      </p>
+                      <div className="max-h-64 overflow-y-auto mt-2">
+                        <table className="w-full text-sm">
+                          <thead className="sticky top-0 bg-platinum">
+                            <tr className="border-b-2 border-darkGrey/20">
+                              <th scope="col" className="text-left p-1">#</th>
+                              <th scope="col" className="text-right p-1">Value</th>
+                              {calcWeights && <th scope="col" className="text-right p-1">Frequency</th>}
+                              <th scope="col" className="text-right p-1">z</th>
+                              <th scope="col" className="text-left p-1 pl-3">Note</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {calcNumbers.map((value, i) => {
+                              const z = rawStats.zScores[i];
+                              return (
+                                <tr key={i} className={`border-b border-darkGrey/10 ${Math.abs(z) > Z_UNUSUAL ? 'text-red-700 font-medium' : ''}`}>
+                                  <td className="p-1">{i + 1}</td>
+                                  <td className="text-right p-1 font-mono">{value}</td>
+                                  {calcWeights && <td className="text-right p-1 font-mono">{calcWeights[i]}</td>}
+                                  <td className="text-right p-1 font-mono">{z.toFixed(2)}</td>
+                                  <td className="p-1 pl-3">{Math.abs(z) > Z_VERY_UNUSUAL ? 'Very unusual' : Math.abs(z) > Z_UNUSUAL ? 'Unusual' : ''}</td>
+                                </tr>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+                      </div>
+                    </details>
+                  )}
                 </div>
                 )}
 
@@ -1404,13 +1631,13 @@ const StatisticsCalculator = () => {
                             ? `Mean (${rawStats.mean.toFixed(2)}) is greater than the median (${rawStats.median.toFixed(2)}) — the data is right-skewed: a few large values pull the mean up. The median is the better "typical value" here.`
                             : `Mean (${rawStats.mean.toFixed(2)}) is less than the median (${rawStats.median.toFixed(2)}) — the data is left-skewed: a few small values pull the mean down. The median is the better "typical value" here.`}
                       </li>
-                      {rawStats.mean !== 0 && (
+                      {rawStats.coefficientOfVariation !== null && (
                         <li>
                           <strong>Variability:</strong> The coefficient of variation (Std Dev ÷ Mean) is{' '}
-                          {(Math.abs(rawStats.stdDev / rawStats.mean) * 100).toFixed(1)}%
-                          {Math.abs(rawStats.stdDev / rawStats.mean) < 0.15
+                          {rawStats.coefficientOfVariation.toFixed(1)}%
+                          {rawStats.coefficientOfVariation < 15
                             ? ' — low: values cluster tightly around the mean.'
-                            : Math.abs(rawStats.stdDev / rawStats.mean) < 0.35
+                            : rawStats.coefficientOfVariation < 35
                               ? ' — moderate: a noticeable but typical amount of spread.'
                               : ' — high: values are widely scattered, so the mean alone tells an incomplete story.'}
                         </li>
@@ -1429,9 +1656,35 @@ const StatisticsCalculator = () => {
                 )}
                 
                 {/* Chart Visualization */}
-                {showChart && (chartType === CHART_TYPES.BOXPLOT ? boxPlotGroups.length > 0 : !!chartData) && (
+                {showChart && observationPlotError && (
+                  <p className="text-sm text-darkGrey/70 italic bg-white border-2 border-darkGrey/20 p-3 rounded-lg">
+                    📊 {observationPlotError}
+                  </p>
+                )}
+                {showChart && !observationPlotError && (CUSTOM_CHART_TYPES.includes(chartType) ? boxPlotGroups.length > 0 : !!chartData) && (
                   <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
-                    {chartType === CHART_TYPES.BOXPLOT ? (
+                    {chartType === CHART_TYPES.STEM_LEAF ? (
+                      <>
+                        <p className="text-center font-semibold text-darkGrey mb-2">
+                          {compareMode && rawStatsB ? 'Back-to-Back Stem-and-Leaf Plot (A vs B)' : 'Stem-and-Leaf Plot'}
+                        </p>
+                        <div className="max-h-96 overflow-y-auto">
+                          <StemLeafPlot groups={observationGroups} split={splitStems} />
+                        </div>
+                      </>
+                    ) : chartType === CHART_TYPES.DOTPLOT ? (
+                      <>
+                        <p className="text-center font-semibold text-darkGrey mb-1">
+                          Dot Plot — One Dot per Value{compareMode && rawStatsB ? ' (A vs B)' : ''}
+                        </p>
+                        <div className="flex items-center justify-center">
+                          <DotPlotSVG groups={observationGroups} svgRef={dotPlotRef} />
+                        </div>
+                        <p className="text-xs text-darkGrey opacity-60 mt-2 text-center">
+                          Taller stacks = more common values · gaps and clusters show where the data sit
+                        </p>
+                      </>
+                    ) : chartType === CHART_TYPES.BOXPLOT ? (
                       <>
                         <p className="text-center font-semibold text-darkGrey mb-1">
                           Box Plot — Five-Number Summary{compareMode && rawStatsB ? ' (A vs B)' : ''}
@@ -1450,7 +1703,7 @@ const StatisticsCalculator = () => {
                         </div>
                       </div>
                     )}
-                    {chartType !== CHART_TYPES.BOXPLOT && !(compareMode && rawStatsB) && (
+                    {!CUSTOM_CHART_TYPES.includes(chartType) && !(compareMode && rawStatsB) && (
                       <p className="text-xs text-darkGrey opacity-60 mt-2 text-center">
                         Red indicates potential outliers (1.5 × IQR method)
                       </p>
@@ -1469,12 +1722,14 @@ const StatisticsCalculator = () => {
                       >
                         {copied ? '✓ Copied!' : '📋 Copy Results Table'}
                       </button>
-                      <button
-                        onClick={downloadChartPNG}
-                        className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
-                      >
-                        🖼️ Download Chart (PNG)
-                      </button>
+                      {chartType !== CHART_TYPES.STEM_LEAF && (
+                        <button
+                          onClick={downloadChartPNG}
+                          className="flex-1 bg-darkTeal text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-darkTeal/80 transition-colors"
+                        >
+                          🖼️ Download Chart (PNG)
+                        </button>
+                      )}
                     </div>
                     <p className="text-xs text-darkGrey opacity-60 mt-1 text-center">
                       The copied table pastes directly into Excel, Google Sheets, or Word.
@@ -1482,13 +1737,105 @@ const StatisticsCalculator = () => {
                   </div>
                 )}
                 
+                {/* Normality check */}
+                {!normality && calcWeights && (
+                  <p className="text-sm text-darkGrey/70 italic bg-white border-2 border-darkGrey/20 p-3 rounded-lg">
+                    🔔 The normality checks need individual observations, so they run only when the frequencies add up to at most {SHAPIRO_WILK_MAX_N}.
+                  </p>
+                )}
+                {normality && qqChartData && (
+                  <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+                    <h3 className="text-lg font-bold text-darkGrey mb-1 flex items-center">
+                      🔔 Is My Data Normal?
+                      <InfoIcon info="t-tests, t confidence intervals and ANOVA assume roughly normal populations when samples are small. These checks tell you whether that assumption is reasonable." />
+                    </h3>
+                    <p className="text-xs text-darkGrey/70 mb-3">
+                      Check this before running a t-test on a small sample. Both tests start from H₀: the data come from a normal distribution.
+                    </p>
+
+                    <p className="text-center font-semibold text-darkGrey mb-1">Normal Q-Q Plot</p>
+                    <div className="h-64">
+                      <div role="img" className="h-full" aria-label={`Normal Q-Q plot of ${normality.B ? 'both datasets' : 'your data'}: each sorted value is plotted against the normal quantile expected at its rank, with a dashed reference line for a normal distribution with the same mean and standard deviation`}>
+                        <Scatter data={qqChartData} options={qqChartOptions} />
+                      </div>
+                    </div>
+                    <p className="text-xs text-darkGrey opacity-60 mt-2 text-center">
+                      Points hugging the dashed line = roughly normal · a bow = skew · an S-shape = tails heavier or lighter than normal
+                    </p>
+
+                    <div className="overflow-x-auto mt-3">
+                      <table className="w-full text-sm text-darkGrey">
+                        <thead>
+                          <tr className="border-b-2 border-darkGrey/20">
+                            {normality.B && <th scope="col" className="text-left p-2">Dataset</th>}
+                            <th scope="col" className="text-left p-2">Test</th>
+                            <th scope="col" className="text-right p-2">Statistic</th>
+                            <th scope="col" className="text-right p-2">P-Value</th>
+                            <th scope="col" className="text-left p-2">At α = {NORMALITY_ALPHA}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {[['A', normality.A], ...(normality.B ? [['B', normality.B]] : [])].flatMap(([name, check]) => [
+                            ['Shapiro-Wilk', 'W', check.shapiro, check.shapiro?.w, SHAPIRO_WILK_MIN_N],
+                            ['Anderson-Darling', 'A²', check.anderson, check.anderson?.a2, ANDERSON_DARLING_MIN_N]
+                          ].map(([testName, symbol, test, statistic, minN]) => (
+                            <tr key={`${name}-${testName}`} className="border-b border-darkGrey/10">
+                              {normality.B && <td className="p-2 font-medium">{name}</td>}
+                              <td className="p-2 font-medium">{testName}</td>
+                              {test ? (
+                                <>
+                                  <td className="text-right p-2 font-mono">{symbol} = {statistic.toFixed(4)}</td>
+                                  <td className="text-right p-2 font-mono">{formatNormalityP(test.pValue, 'pValue')}</td>
+                                  <td className={`p-2 ${test.pValue < NORMALITY_ALPHA ? 'text-red-700 font-medium' : ''}`}>
+                                    {test.pValue < NORMALITY_ALPHA ? '⚠️ Departs from normal' : '✓ Consistent with normal'}
+                                  </td>
+                                </>
+                              ) : (
+                                <td colSpan={3} className="p-2 text-darkGrey/70 italic">
+                                  {check.n < minN ? `Needs at least ${minN} values` : 'Not available — all values are identical'}
+                                </td>
+                              )}
+                            </tr>
+                          )))}
+                        </tbody>
+                      </table>
+                    </div>
+
+                    <ul className="mt-3 text-sm text-darkGrey space-y-2">
+                      {[['A', normality.A], ...(normality.B ? [['B', normality.B]] : [])].map(([name, check]) => {
+                        const label = normality.B ? `Dataset ${name}` : 'Your data';
+                        const tests = [check.shapiro, check.anderson].filter(Boolean);
+                        if (tests.length === 0) {
+                          return <li key={name}><strong>{label}:</strong> Too few distinct values to test — judge the Q-Q plot instead.</li>;
+                        }
+                        return (
+                          <li key={name}>
+                            <strong>{label}:</strong>{' '}
+                            {tests.some(t => t.pValue < NORMALITY_ALPHA)
+                              ? check.n < 30
+                                ? `At least one test finds evidence against normality, and with only n = ${check.n} values the t-procedures may mislead. Consider a rank-based test from the Nonparametric Tests calculator.`
+                                : `At least one test finds evidence against normality. With n = ${check.n} ≥ 30 the Central Limit Theorem usually protects t-procedures for the mean unless the skew is extreme — the Q-Q plot shows how far off the data are.`
+                              : `Neither test finds evidence against normality. That does not prove the data are normal — small samples give these tests little power, so let the Q-Q plot have the final word.`}
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  </div>
+                )}
+
                 {/* Enlarged chart modal (all chart types) */}
                 {showChartModal && (
                   <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onKeyDown={handleChartModalKeyDown}>
                     <div ref={chartModalTrapRef} role="dialog" aria-modal="true" aria-labelledby="chart-modal-title" className="bg-white rounded-lg shadow-xl p-6 w-11/12 max-w-5xl max-h-screen overflow-y-auto">
                       <div className="flex justify-between items-center mb-4">
                         <h3 id="chart-modal-title" className="text-2xl font-bold text-darkGrey">
-                          {chartType === CHART_TYPES.BOXPLOT ? 'Box Plot Analysis' : chartType === CHART_TYPES.HISTOGRAM ? 'Histogram Analysis' : 'Bar Chart Analysis'}
+                          {{
+                            [CHART_TYPES.BOXPLOT]: 'Box Plot Analysis',
+                            [CHART_TYPES.HISTOGRAM]: 'Histogram Analysis',
+                            [CHART_TYPES.BAR]: 'Bar Chart Analysis',
+                            [CHART_TYPES.STEM_LEAF]: 'Stem-and-Leaf Analysis',
+                            [CHART_TYPES.DOTPLOT]: 'Dot Plot Analysis'
+                          }[chartType]}
                         </h3>
                         <button
                           onClick={() => setShowChartModal(false)}
@@ -1500,7 +1847,46 @@ const StatisticsCalculator = () => {
                       </div>
                       
                       {/* How to read this chart */}
-                      {chartType === CHART_TYPES.BOXPLOT ? (
+                      {chartType === CHART_TYPES.STEM_LEAF ? (
+                        <div className="mb-4 p-4 bg-blue-50 rounded">
+                          <h4 className="font-semibold text-darkGrey mb-2">
+                            📊 How to Read This Stem-and-Leaf Plot:
+                          </h4>
+                          <div className="grid md:grid-cols-2 gap-3 text-sm text-darkGrey">
+                            <div>
+                              <p>• <span className="font-semibold">Stem:</span> The leading digits of a value, listed once down the middle</p>
+                              <p>• <span className="font-semibold">Leaf:</span> The next digit — each leaf is one observation, so no data are lost</p>
+                              <p>• <span className="font-semibold">Key:</span> Tells you what one stem and leaf stand for, e.g. 4 | 5 = 45</p>
+                            </div>
+                            <div>
+                              <p>• <span className="font-semibold">Shape:</span> Turn the page sideways — long rows of leaves work like histogram bars</p>
+                              <p>• <span className="font-semibold">Split Stems:</span> Each stem gets two lines (leaves 0–4, then 5–9) to spread out crowded data</p>
+                              {compareMode && rawStatsB && (
+                                <p>• <span className="font-semibold">Back to Back:</span> Dataset A&apos;s leaves grow to the left and Dataset B&apos;s to the right of the shared stems</p>
+                              )}
+                            </div>
+                          </div>
+                        </div>
+                      ) : chartType === CHART_TYPES.DOTPLOT ? (
+                        <div className="mb-4 p-4 bg-blue-50 rounded">
+                          <h4 className="font-semibold text-darkGrey mb-2">
+                            📊 How to Read This Dot Plot:
+                          </h4>
+                          <div className="grid md:grid-cols-2 gap-3 text-sm text-darkGrey">
+                            <div>
+                              <p>• <span className="font-semibold">Each Dot:</span> One observation, placed above its value on the number line</p>
+                              <p>• <span className="font-semibold">Stack Height:</span> How many times a value occurs — the tallest stack is the mode</p>
+                            </div>
+                            <div>
+                              <p>• <span className="font-semibold">Gaps &amp; Clusters:</span> Empty stretches and tight groups stand out better than in a histogram</p>
+                              <p>• <span className="font-semibold">Legend:</span> With very tall stacks, each dot may stand for several values — the note above the plot says how many</p>
+                              {compareMode && rawStatsB && (
+                                <p>• <span className="font-semibold">Comparing:</span> A and B share the same number line, so their centers and spreads line up directly</p>
+                              )}
+                            </div>
+                          </div>
+                        </div>
+                      ) : chartType === CHART_TYPES.BOXPLOT ? (
                         <div className="mb-4 p-4 bg-blue-50 rounded">
                           <h4 className="font-semibold text-darkGrey mb-2">
                             📊 How to Read This Box Plot:
@@ -1535,6 +1921,9 @@ const StatisticsCalculator = () => {
                             </div>
                             <div>
                               <p>• <span className="font-semibold">Shape:</span> A central peak suggests symmetry; a long tail to one side means the data is skewed that way</p>
+                              {showNormalCurve && !(compareMode && rawStatsB) && (
+                                <p>• <span className="font-semibold" style={{color: NORMAL_CURVE_COLOR}}>Purple Curve:</span> A normal distribution with your mean and SD — compare the bars with it to judge normality</p>
+                              )}
                               {compareMode && rawStatsB ? (
                                 <p>• <span className="font-semibold">Colors:</span> Turquoise = Dataset A, amber = Dataset B, sharing the same class intervals</p>
                               ) : (
@@ -1566,8 +1955,14 @@ const StatisticsCalculator = () => {
                       )}
 
                       {/* Enlarged chart */}
-                      <div className="h-96 mb-4">
-                        {chartType === CHART_TYPES.BOXPLOT ? (
+                      <div className={chartType === CHART_TYPES.STEM_LEAF ? 'mb-4' : 'h-96 mb-4'}>
+                        {chartType === CHART_TYPES.STEM_LEAF ? (
+                          <StemLeafPlot groups={observationGroups} split={splitStems} />
+                        ) : chartType === CHART_TYPES.DOTPLOT ? (
+                          <div className="h-full flex items-center justify-center">
+                            <DotPlotSVG groups={observationGroups} />
+                          </div>
+                        ) : chartType === CHART_TYPES.BOXPLOT ? (
                           <div className="h-full flex items-center justify-center">
                             <BoxPlotSVG groups={boxPlotGroups} showOutliers={showOutliers} />
                           </div>
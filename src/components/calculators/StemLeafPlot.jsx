@@ -0,0 +1,83 @@
+import React, { useMemo } from 'react';
+import { buildStemAndLeaf } from '../../stats/stemLeaf';
+
+const listLeaves = (leaves) => (leaves.length > 0 ? `leaves ${leaves.join(', ')}` : 'no leaves');
+
+/**
+ * Stem-and-leaf display rendered as a monospace table.
+ * One group gives an ordinary display; two groups are drawn back to back,
+ * with the first group's leaves read leftward from the shared stems. The
+ * visual table is hidden from screen readers, which get a list instead that
+ * reads one stem line at a time.
+ *
+ * @param {Array} groups - [{ label, values, colors: {fill, border} }] (one or two)
+ * @param {boolean} split - Split each stem into leaves 0–4 and 5–9
+ */
+const StemLeafPlot = ({ groups, split }) => {
+  const plot = useMemo(() => buildStemAndLeaf(groups.map(g => g.values), { split }), [groups, split]);
+  const backToBack = groups.length === 2;
+
+  const halfLabel = (half) => (half === 'low' ? ' (leaves 0 to 4)' : half === 'high' ? ' (leaves 5 to 9)' : '');
+  const srLine = (row) => {
+    if (backToBack) {
+      return `Stem ${row.stem}${halfLabel(row.half)}: ${groups[0].label} ${listLeaves(row.leaves[0])}; ${groups[1].label} ${listLeaves(row.leaves[1])}.`;
+    }
+    const values = row.values[0].length > 0 ? ` (values ${row.values[0].join(', ')})` : '';
+    return `Stem ${row.stem}${halfLabel(row.half)}: ${listLeaves(row.leaves[0])}${values}.`;
+  };
+
+  return (
+    <div className="w-full">
+      <div className="overflow-x-auto" aria-hidden="true">
+        <table className="mx-auto font-mono text-base text-darkGrey border-collapse">
+          <thead>
+            <tr className="text-sm">
+              {backToBack && (
+                <th className="px-3 pb-2 text-right font-bold" style={{ color: groups[0].colors.border }}>{groups[0].label}</th>
+              )}
+              <th className="px-3 pb-2 text-center font-bold">Stem</th>
+              <th className="px-3 pb-2 text-left font-bold" style={backToBack ? { color: groups[1].colors.border } : undefined}>
+                {backToBack ? groups[1].label : 'Leaves'}
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {plot.rows.map(row => (
+              <tr key={`${row.stem}${row.half ?? ''}`}>
+                {backToBack && (
+                  <td className="px-3 text-right whitespace-pre">{[...row.leaves[0]].reverse().join(' ')}</td>
+                )}
+                <td className="px-3 text-center font-bold border-x-2 border-darkGrey">{row.stem}</td>
+                <td className="px-3 text-left whitespace-pre">{row.leaves[backToBack ? 1 : 0].join(' ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-3 text-sm text-darkGrey text-center space-y-1">
+        <p>
+          <strong>Key:</strong> {plot.key} (leaf unit = {plot.leafUnit})
+          {backToBack && ` — ${groups[0].label}'s leaves read right to left from the stem`}
+        </p>
+        {split && <p>Each stem is split into two lines: one for leaves 0–4 and one for leaves 5–9.</p>}
+        {plot.truncated && <p className="text-xs">Digits below the leaf unit are dropped (truncated), not rounded.</p>}
+      </div>
+
+      <div className="sr-only">
+        <p>
+          {backToBack
+            ? `Back-to-back stem-and-leaf plot of ${groups[0].label} and ${groups[1].label}, ${plot.rows.length} lines.`
+            : `Stem-and-leaf plot of ${groups[0].label}, ${plot.rows.length} lines.`}
+        </p>
+        <ol>
+          {plot.rows.map(row => (
+            <li key={`${row.stem}${row.half ?? ''}`}>{srLine(row)}</li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+export default StemLeafPlot;
@@ -0,0 +1,832 @@
+import React, { useState, useMemo } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend, Filler } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import InfoIcon from './InfoIcon';
+import useDocumentTitle from '../../hooks/useDocumentTitle';
+import { announcePolite } from '../../utils/announce';
+import { TMath, NormalMath } from '../../stats/distributions';
+
+// Register Chart.js components
+ChartJS.register(CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend, Filler);
+
+/**
+ * Student's t distribution calculator — computes probabilities and t-values via jStat.
+ * Supports P(T<t), P(T>t), P(a<T<b), P(T<a or T>b), inverse lookups, and an
+ * overlay comparing t(df) with the standard normal curve.
+ */
+
+const MIN_DF = 1;
+const MAX_DF = 100;
+
+// Two-tailed confidence levels for the critical values table
+const CONFIDENCE_LEVELS = [0.80, 0.90, 0.95, 0.98, 0.99];
+
+// ========================================
+// PRESET SCENARIOS
+// ========================================
+const T_EXAMPLES = [
+  {
+    name: '🧪 Tiny Pilot Study',
+    df: 4,
+    calcType: 'outside',
+    value1: -2.776,
+    value2: 2.776,
+    description: 'n = 5: the 95% cutoff is ±2.776, not ±1.96'
+  },
+  {
+    name: '🍎 Class of 10 Students',
+    df: 9,
+    calcType: 'right',
+    value1: 2.1,
+    value2: 3,
+    description: 'n = 10: how rare is t > 2.1?'
+  },
+  {
+    name: '🏭 Quality Check (n = 25)',
+    df: 24,
+    calcType: 'between',
+    value1: -2,
+    value2: 2,
+    description: 'Area within ±2 — close to the normal 95.4%'
+  },
+  {
+    name: '📋 Survey of 100',
+    df: 99,
+    calcType: 'left',
+    value1: -1.66,
+    value2: 0,
+    description: 'Large samples: t and z nearly agree'
+  },
+  {
+    name: '🌀 Extreme Tails (df = 1)',
+    df: 1,
+    calcType: 'outside',
+    value1: -3,
+    value2: 3,
+    description: 'The Cauchy curve: 20% beyond ±3 vs 0.27% for z'
+  },
+  {
+    name: '⚖️ Standard t (df = 30)',
+    df: 30,
+    calcType: 'left',
+    value1: 0,
+    value2: 1,
+    description: 'The classic "n ≥ 30" rule of thumb'
+  }
+];
+
+// ========================================
+// MAIN CALCULATOR COMPONENT
+// ========================================
+const TDistributionCalculator = () => {
+  useDocumentTitle('t-Distribution Calculator');
+  // State management - with safe default values
+  const [df, setDf] = useState(10);
+  const [calcType, setCalcType] = useState('left');
+  const [value1, setValue1] = useState(-1.5);
+  const [value2, setValue2] = useState(1.5);
+  const [showNormalOverlay, setShowNormalOverlay] = useState(true);
+  const [showCriticalValues, setShowCriticalValues] = useState(true);
+  const [inverseMode, setInverseMode] = useState(false);
+  const [inverseProbability, setInverseProbability] = useState(0.975);
+
+  // Safe parsing function to prevent NaN crashes
+  const safeParse = (value, defaultValue = 0) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? defaultValue : parsed;
+  };
+
+  // Degrees of freedom are whole numbers within the slider range
+  const safeDf = Math.min(MAX_DF, Math.max(MIN_DF, Math.round(safeParse(df, 10))));
+
+  // Calculate probabilities based on inputs
+  const calculations = useMemo(() => {
+    const safeValue1 = safeParse(value1, 0);
+    const safeValue2 = safeParse(value2, 1);
+    const safeInverseProb = Math.max(0.0001, Math.min(0.9999, safeParse(inverseProbability, 0.5)));
+
+    // Inverse calculations, with the matching z-values for comparison
+    let inverseResults = null;
+    if (inverseMode) {
+      inverseResults = {
+        probability: safeInverseProb,
+        leftValue: TMath.inv(safeInverseProb, safeDf),
+        rightValue: TMath.inv(1 - safeInverseProb, safeDf),
+        leftZ: NormalMath.inv(safeInverseProb, 0, 1),
+        rightZ: NormalMath.inv(1 - safeInverseProb, 0, 1)
+      };
+    }
+
+    const lower = Math.min(safeValue1, safeValue2);
+    const upper = Math.max(safeValue1, safeValue2);
+
+    // Same region under any CDF, so t and z can be compared side by side
+    const regionProbability = (cdf) => {
+      switch (calcType) {
+        case 'left':
+          return cdf(safeValue1);
+        case 'right':
+          return 1 - cdf(safeValue1);
+        case 'between':
+          return cdf(upper) - cdf(lower);
+        case 'outside':
+          return 1 - (cdf(upper) - cdf(lower));
+        default:
+          return 0;
+      }
+    };
+
+    const descriptions = {
+      left: `P(T ≤ ${safeValue1.toFixed(3)})`,
+      right: `P(T > ${safeValue1.toFixed(3)})`,
+      between: `P(${lower.toFixed(3)} < T < ${upper.toFixed(3)})`,
+      outside: `P(T < ${lower.toFixed(3)} or T > ${upper.toFixed(3)})`
+    };
+
+    const probability = regionProbability(t => TMath.cdf(t, safeDf));
+    const normalProbability = regionProbability(z => NormalMath.cdf(z, 0, 1));
+
+    // Two-tailed critical values t* vs z* for common confidence levels
+    const criticalValues = CONFIDENCE_LEVELS.map(level => ({
+      level,
+      t: TMath.inv(1 - (1 - level) / 2, safeDf),
+      z: NormalMath.inv(1 - (1 - level) / 2, 0, 1)
+    }));
+
+    return {
+      t1: safeValue1,
+      t2: safeValue2,
+      lower,
+      upper,
+      probability,
+      normalProbability,
+      description: descriptions[calcType],
+      criticalValues,
+      statistics: TMath.getStatistics(safeDf),
+      inverseResults
+    };
+  }, [safeDf, calcType, value1, value2, inverseMode, inverseProbability]);
+
+  // Generate chart data
+  const chartData = useMemo(() => {
+    // Wider window for very small df so the heavy tails are visible
+    const xMax = safeDf <= 2 ? 6 : 5;
+    const xMin = -xMax;
+    const points = 200;
+    const step = (xMax - xMin) / points;
+
+    const xValues = [];
+    const yValues = [];
+    const normalValues = [];
+    const fillData = [];
+
+    for (let i = 0; i <= points; i++) {
+      const x = xMin + i * step;
+      const y = TMath.pdf(x, safeDf);
+      xValues.push(x);
+      yValues.push(y);
+      normalValues.push(NormalMath.pdf(x, 0, 1));
+
+      // Determine if this point should be filled based on mode and calcType
+      let shouldFill = false;
+
+      if (inverseMode && calculations.inverseResults) {
+        // In inverse mode, highlight the tails
+        const cutLow = Math.min(calculations.inverseResults.leftValue, calculations.inverseResults.rightValue);
+        const cutHigh = Math.max(calculations.inverseResults.leftValue, calculations.inverseResults.rightValue);
+        shouldFill = x <= cutLow || x >= cutHigh;
+      } else {
+        switch (calcType) {
+          case 'left':
+            shouldFill = x <= calculations.t1;
+            break;
+          case 'right':
+            shouldFill = x > calculations.t1;
+            break;
+          case 'between':
+            shouldFill = x >= calculations.lower && x <= calculations.upper;
+            break;
+          case 'outside':
+            shouldFill = x < calculations.lower || x > calculations.upper;
+            break;
+        }
+      }
+      fillData.push(shouldFill ? y : null);
+    }
+
+    const datasets = [
+      {
+        label: `t Distribution (df = ${safeDf})`,
+        data: yValues,
+        borderColor: 'rgba(42, 42, 42, 0.8)',
+        backgroundColor: 'transparent',
+        borderWidth: 3,
+        pointRadius: 0,
+        tension: 0.4,
+        fill: false
+      },
+      {
+        label: 'Selected Area',
+        data: fillData,
+        borderColor: 'transparent',
+        backgroundColor: 'rgba(217, 119, 6, 0.5)',
+        borderWidth: 0,
+        pointRadius: 0,
+        tension: 0.4,
+        fill: true
+      }
+    ];
+
+    if (showNormalOverlay) {
+      datasets.push({
+        label: 'Standard Normal (z)',
+        data: normalValues,
+        borderColor: 'rgba(37, 99, 235, 0.8)',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        tension: 0.4,
+        fill: false
+      });
+    }
+
+    // Add vertical lines for inverse values
+    if (inverseMode && calculations.inverseResults) {
+      const leftLineData = new Array(xValues.length).fill(null);
+      const rightLineData = new Array(xValues.length).fill(null);
+
+      const leftIndex = xValues.findIndex(x => x >= calculations.inverseResults.leftValue);
+      const rightIndex = xValues.findIndex(x => x >= calculations.inverseResults.rightValue);
+
+      if (leftIndex !== -1) leftLineData[leftIndex] = yValues[leftIndex];
+      if (rightIndex !== -1) rightLineData[rightIndex] = yValues[rightIndex];
+
+      datasets.push(
+        {
+          label: 'Left Value',
+          data: leftLineData,
+          borderColor: 'rgba(78, 205, 196, 1)',
+          borderWidth: 3,
+          borderDash: [5, 5],
+          pointRadius: 0,
+          type: 'line'
+        },
+        {
+          label: 'Right Value',
+          data: rightLineData,
+          borderColor: 'rgba(255, 0, 0, 1)',
+          borderWidth: 3,
+          borderDash: [5, 5],
+          pointRadius: 0,
+          type: 'line'
+        }
+      );
+    }
+
+    return {
+      labels: xValues.map(x => x.toFixed(2)),
+      datasets
+    };
+  }, [safeDf, calculations, calcType, showNormalOverlay, inverseMode]);
+
+  // Chart options
+  const chartOptions = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: {
+      mode: 'index',
+      intersect: false
+    },
+    plugins: {
+      legend: {
+        display: false
+      },
+      tooltip: {
+        backgroundColor: 'rgba(42, 42, 42, 0.9)',
+        callbacks: {
+          title: (context) => `t = ${context[0].label}`,
+          label: (context) => {
+            if (context.datasetIndex === 0) {
+              return `t density: ${context.parsed.y.toFixed(4)}`;
+            }
+            if (context.dataset.label === 'Standard Normal (z)') {
+              return `Normal density: ${context.parsed.y.toFixed(4)}`;
+            }
+            return '';
+          }
+        }
+      }
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        title: {
+          display: true,
+          text: 'Probability Density'
+        }
+      },
+      x: {
+        title: {
+          display: true,
+          text: 't Value'
+        },
+        ticks: {
+          maxTicksLimit: 13
+        }
+      }
+    }
+  }), []);
+
+  // Handle example selection
+  const selectExample = (example) => {
+    setDf(example.df);
+    setCalcType(example.calcType);
+    setValue1(example.value1);
+    setValue2(example.value2);
+    setInverseMode(false);
+    announcePolite('Loaded example: ' + example.name);
+  };
+
+  const tailDifference = calculations.probability - calculations.normalProbability;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-7xl mx-auto bg-white rounded-lg shadow-lg p-6">
+        {/* Header Section */}
+        <div className="mb-6">
+          <h2 className="text-3xl font-bold text-darkGrey mb-2">
+            📐 t-Distribution Calculator
+          </h2>
+          <p className="text-darkGrey opacity-80">
+            The bell curve's cautious cousin - built for small samples and unknown σ
+          </p>
+        </div>
+
+        <div className="grid lg:grid-cols-2 gap-6">
+          {/* Control Panel */}
+          <div className="space-y-4">
+            {/* Distribution Parameters */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4 flex items-center">
+                ⚙️ Distribution Parameters
+                <InfoIcon info="The t distribution has one parameter: its degrees of freedom (df). For a one-sample t-test, df = n − 1." />
+              </h3>
+
+              <div className="space-y-4">
+                {/* Degrees of freedom slider */}
+                <div>
+                  <label htmlFor="tdist-df-range" className="flex items-center text-darkGrey font-medium mb-2">
+                    Degrees of Freedom (df): {safeDf}
+                    <InfoIcon info="Fewer degrees of freedom mean heavier tails. As df grows, the t curve approaches the standard normal." />
+                  </label>
+                  <input
+                    id="tdist-df-range"
+                    type="range"
+                    min={MIN_DF}
+                    max={MAX_DF}
+                    step="1"
+                    value={safeDf}
+                    onChange={(e) => setDf(e.target.value)}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                    style={{
+                      background: `linear-gradient(to right, #0F766E 0%, #0F766E ${((safeDf - MIN_DF) / (MAX_DF - MIN_DF)) * 100}%, #e0e0e0 ${((safeDf - MIN_DF) / (MAX_DF - MIN_DF)) * 100}%, #e0e0e0 100%)`
+                    }}
+                    aria-valuetext={`${safeDf} degrees of freedom`}
+                  />
+                  <div className="mt-2">
+                    <label htmlFor="tdist-df-number" className="sr-only">Degrees of Freedom</label>
+                    <input
+                      id="tdist-df-number"
+                      type="number"
+                      min={MIN_DF}
+                      max={MAX_DF}
+                      step="1"
+                      value={df}
+                      onChange={(e) => setDf(e.target.value)}
+                      className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                      placeholder="10"
+                    />
+                  </div>
+                </div>
+
+                {/* Quick Stats */}
+                <div className="mt-3 p-3 bg-blue-50 rounded-lg text-sm">
+                  <p className="font-bold text-darkGrey mb-1">📐 Shape at df = {safeDf}:</p>
+                  <div className="space-y-1 text-darkGrey/80">
+                    <p>• Mean: {Number.isFinite(calculations.statistics.mean) ? '0' : 'does not exist for df = 1 (tails too heavy)'}</p>
+                    <p>• Variance: {Number.isFinite(calculations.statistics.variance)
+                      ? `${safeDf} / (${safeDf} − 2) = ${calculations.statistics.variance.toFixed(4)}`
+                      : (Number.isNaN(calculations.statistics.variance) ? 'does not exist for df = 1' : 'infinite for df = 2')} (normal: 1)</p>
+                    <p>• 95% two-tailed cutoff: ±{calculations.criticalValues[2].t.toFixed(3)} (normal: ±1.960)</p>
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            {/* Calculation Setup */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4 flex items-center">
+                🧮 Probability Calculation
+                <InfoIcon info="Choose what probability you want to calculate" />
+              </h3>
+
+              {/* Mode Toggle */}
+              <div className="mb-4 p-3 bg-white rounded-lg border-2 border-darkGrey/20">
+                <label className="block text-darkGrey font-medium mb-2">Calculation Mode</label>
+                <div className="grid grid-cols-2 gap-2">
+                  <button
+                    onClick={() => setInverseMode(false)}
+                    aria-pressed={!inverseMode}
+                    className={`p-2 rounded font-medium transition-all ${
+                      !inverseMode
+                        ? 'bg-darkTeal text-white'
+                        : 'bg-gray-100 text-darkGrey hover:bg-gray-200'
+                    }`}
+                  >
+                    t-Value → Probability
+                  </button>
+                  <button
+                    onClick={() => setInverseMode(true)}
+                    aria-pressed={inverseMode}
+                    className={`p-2 rounded font-medium transition-all ${
+                      inverseMode
+                        ? 'bg-darkTeal text-white'
+                        : 'bg-gray-100 text-darkGrey hover:bg-gray-200'
+                    }`}
+                  >
+                    Probability → t-Value
+                  </button>
+                </div>
+              </div>
+
+              {!inverseMode ? (
+                <div className="space-y-3">
+                  {/* Calculation Type */}
+                  <div>
+                    <label htmlFor="tdist-calc-type" className="block text-darkGrey font-medium mb-2">Calculation Type</label>
+                    <select
+                      id="tdist-calc-type"
+                      value={calcType}
+                      onChange={(e) => setCalcType(e.target.value)}
+                      className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                    >
+                      <option value="left">P(T ≤ t) - Left tail</option>
+                      <option value="right">P(T {'>'} t) - Right tail</option>
+                      <option value="between">P(a {'<'} T {'<'} b) - Between two values</option>
+                      <option value="outside">P(T {'<'} a or T {'>'} b) - Outside interval</option>
+                    </select>
+                  </div>
+
+                  {/* Value Inputs */}
+                  <div>
+                    <label htmlFor="tdist-value1" className="block text-darkGrey font-medium mb-2">
+                      {calcType === 'between' || calcType === 'outside' ? 'First t-Value (a)' : 't-Value'}
+                    </label>
+                    <input
+                      id="tdist-value1"
+                      type="number"
+                      step="0.01"
+                      value={value1}
+                      onChange={(e) => setValue1(e.target.value)}
+                      className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                      placeholder="0"
+                    />
+                  </div>
+
+                  {(calcType === 'between' || calcType === 'outside') && (
+                    <div>
+                      <label htmlFor="tdist-value2" className="block text-darkGrey font-medium mb-2">
+                        Second t-Value (b)
+                      </label>
+                      <input
+                        id="tdist-value2"
+                        type="number"
+                        step="0.01"
+                        value={value2}
+                        onChange={(e) => setValue2(e.target.value)}
+                        className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                        placeholder="1"
+                      />
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  {/* Inverse Probability Input */}
+                  <div>
+                    <label htmlFor="tdist-inverse-prob-range" className="flex items-center text-darkGrey font-medium mb-2">
+                      Target Probability: {(safeParse(inverseProbability, 0.5) * 100).toFixed(1)}%
+                      <InfoIcon info="Find the t-value with this much area to its left" />
+                    </label>
+                    <input
+                      id="tdist-inverse-prob-range"
+                      type="range"
+                      min="0.001"
+                      max="0.999"
+                      step="0.001"
+                      value={inverseProbability}
+                      onChange={(e) => setInverseProbability(e.target.value)}
+                      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                      style={{
+                        background: `linear-gradient(to right, #0F766E 0%, #0F766E ${safeParse(inverseProbability, 0.5) * 100}%, #e0e0e0 ${safeParse(inverseProbability, 0.5) * 100}%, #e0e0e0 100%)`
+                      }}
+                      aria-valuetext={(safeParse(inverseProbability, 0.5) * 100).toFixed(1) + " percent"}
+                    />
+                    <div className="mt-2">
+                      <label htmlFor="tdist-inverse-prob-number" className="sr-only">Target Probability</label>
+                      <input
+                        id="tdist-inverse-prob-number"
+                        type="number"
+                        min="0.001"
+                        max="0.999"
+                        step="0.001"
+                        value={inverseProbability}
+                        onChange={(e) => setInverseProbability(e.target.value)}
+                        className="w-full p-2 border-2 border-darkGrey/20 rounded-lg focus:border-darkTeal outline-none"
+                        placeholder="0.975"
+                      />
+                    </div>
+                    <div className="mt-2 p-2 bg-blue-50 rounded text-xs text-darkGrey">
+                      This will find the t-value with {(safeParse(inverseProbability, 0.5) * 100).toFixed(1)}% of the area below it,
+                      and the t-value with {(safeParse(inverseProbability, 0.5) * 100).toFixed(1)}% of the area above it.
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* Results Display */}
+            <div className="bg-accent/20 border-2 border-accent p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-3">
+                🎯 Calculation Results
+              </h3>
+
+              {!inverseMode ? (
+                <>
+                  {/* Main Result */}
+                  <div className="bg-white p-3 rounded-lg mb-3">
+                    <p className="text-sm text-darkGrey opacity-60 mb-1">
+                      {calculations.description} with df = {safeDf}
+                    </p>
+                    <p className="text-3xl font-bold text-center text-darkGrey">
+                      {calculations.probability.toFixed(4)}
+                    </p>
+                    <p className="text-sm text-center text-darkGrey opacity-60 mt-1">
+                      {(calculations.probability * 100).toFixed(2)}% probability
+                    </p>
+                  </div>
+
+                  {/* Comparison with z */}
+                  <div className="space-y-2 text-darkGrey">
+                    <div className="flex justify-between items-center">
+                      <span className="flex items-center">
+                        Same region under the normal (z)
+                        <InfoIcon info="What you would get by (wrongly) using the z table for the same cutoffs" />
+                      </span>
+                      <span className="font-mono font-bold">{calculations.normalProbability.toFixed(4)}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span>Difference (t − z)</span>
+                      <span className="font-mono font-bold">{tailDifference >= 0 ? '+' : ''}{tailDifference.toFixed(4)}</span>
+                    </div>
+                  </div>
+                </>
+              ) : calculations.inverseResults && (
+                <>
+                  {/* Inverse Results */}
+                  <div className="bg-white p-3 rounded-lg mb-3">
+                    <p className="text-sm text-darkGrey opacity-60 mb-1">
+                      Finding t-values for {(calculations.inverseResults.probability * 100).toFixed(1)}% probability with df = {safeDf}
+                    </p>
+
+                    <div className="grid grid-cols-2 gap-3 mt-3">
+                      <div className="text-center p-2 bg-darkTeal/10 rounded">
+                        <p className="text-xs text-darkGrey opacity-60">Left tail value</p>
+                        <p className="text-xl font-bold text-darkGrey">
+                          {calculations.inverseResults.leftValue.toFixed(4)}
+                        </p>
+                        <p className="text-xs text-darkGrey opacity-60 mt-1">
+                          {(calculations.inverseResults.probability * 100).toFixed(1)}% below
+                        </p>
+                      </div>
+
+                      <div className="text-center p-2 bg-accent/30 rounded">
+                        <p className="text-xs text-darkGrey opacity-60">Right tail value</p>
+                        <p className="text-xl font-bold text-darkGrey">
+                          {calculations.inverseResults.rightValue.toFixed(4)}
+                        </p>
+                        <p className="text-xs text-darkGrey opacity-60 mt-1">
+                          {(calculations.inverseResults.probability * 100).toFixed(1)}% above
+                        </p>
+                      </div>
+                    </div>
+                  </div>
+
+                  {/* z equivalents for inverse */}
+                  <div className="space-y-2 text-darkGrey">
+                    <div className="flex justify-between items-center">
+                      <span className="flex items-center">
+                        Normal equivalent (left)
+                        <InfoIcon info="The z-value with the same area below it — t-values sit further from 0 to make room for the heavier tails" />
+                      </span>
+                      <span className="font-mono font-bold">{calculations.inverseResults.leftZ.toFixed(4)}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span>Normal equivalent (right)</span>
+                      <span className="font-mono font-bold">{calculations.inverseResults.rightZ.toFixed(4)}</span>
+                    </div>
+                  </div>
+
+                  <div className="mt-3 p-2 bg-white rounded text-xs text-darkGrey">
+                    <strong>Interpretation:</strong> With df = {safeDf}, {(calculations.inverseResults.probability * 100).toFixed(1)}% of t-values fall below {calculations.inverseResults.leftValue.toFixed(4)},
+                    and {(calculations.inverseResults.probability * 100).toFixed(1)}% fall above {calculations.inverseResults.rightValue.toFixed(4)}.
+                  </div>
+                </>
+              )}
+
+              {/* Display Options */}
+              <div className="mt-3 pt-3 border-t border-accent space-y-2">
+                <label className="flex items-center text-darkGrey text-sm">
+                  <input
+                    type="checkbox"
+                    checked={showNormalOverlay}
+                    onChange={(e) => setShowNormalOverlay(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Overlay the standard normal curve
+                </label>
+                <label className="flex items-center text-darkGrey text-sm">
+                  <input
+                    type="checkbox"
+                    checked={showCriticalValues}
+                    onChange={(e) => setShowCriticalValues(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Show Critical Values Table
+                </label>
+              </div>
+            </div>
+          </div>
+
+          {/* Visualization Panel */}
+          <div className="space-y-4">
+            {/* Chart */}
+            <div className="bg-platinum p-4 rounded-lg">
+              <h3 className="text-xl font-bold text-darkGrey mb-4 flex items-center">
+                📊 Distribution Visualization
+                <InfoIcon info="The amber area represents your selected probability region under the t curve" />
+              </h3>
+              <div className="h-96 bg-white p-2 rounded">
+                <div role="img" className="h-full" aria-label={`t distribution with ${safeDf} degrees of freedom with highlighted probability area${showNormalOverlay ? ', overlaid with the standard normal curve' : ''}`}>
+                  <Line data={chartData} options={chartOptions} />
+                </div>
+              </div>
+
+              {/* Chart Legend */}
+              <div className="mt-3 p-3 bg-white rounded-lg text-sm">
+                <h4 className="font-bold text-darkGrey mb-2">📖 Chart Guide:</h4>
+                <ul className="space-y-1 text-darkGrey opacity-80">
+                  <li>• <span className="inline-block w-12 h-0.5 bg-darkGrey mr-1"></span>
+                    t curve with df = {safeDf} (probability density)</li>
+                  {showNormalOverlay && (
+                    <li>• <span className="inline-block w-12 h-0.5 border-b-2 border-dashed border-blue-600 mr-1"></span>
+                      Standard normal curve — taller in the middle, thinner in the tails</li>
+                  )}
+                  <li>• <span className="inline-block w-3 h-3 bg-accent rounded mr-1"></span>
+                    {inverseMode
+                      ? `Highlighted areas = ${(Math.min(calculations.inverseResults?.probability, 1 - calculations.inverseResults?.probability) * 100).toFixed(1)}% in each tail`
+                      : `Selected probability area = ${(calculations.probability * 100).toFixed(2)}%`
+                    }
+                  </li>
+                  {inverseMode && (
+                    <>
+                      <li>• <span className="inline-block w-12 h-0.5 border-b-2 border-dashed border-turquoise mr-1"></span>
+                        Left value = {calculations.inverseResults?.leftValue.toFixed(4)}</li>
+                      <li>• <span className="inline-block w-12 h-0.5 border-b-2 border-dashed border-red-500 mr-1"></span>
+                        Right value = {calculations.inverseResults?.rightValue.toFixed(4)}</li>
+                    </>
+                  )}
+                </ul>
+              </div>
+            </div>
+
+            {/* Critical Values Table */}
+            {showCriticalValues && (
+              <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+                <h4 className="font-bold text-darkGrey mb-3 flex items-center">
+                  📊 Critical Values: t* vs z*
+                  <InfoIcon info="Two-tailed cutoffs used for confidence intervals and two-tailed tests" />
+                </h4>
+
+                <table className="w-full text-sm text-darkGrey mb-4">
+                  <thead>
+                    <tr className="border-b-2 border-darkGrey/20">
+                      <th scope="col" className="text-left p-1">Confidence</th>
+                      <th scope="col" className="text-right p-1">t* (df = {safeDf})</th>
+                      <th scope="col" className="text-right p-1">z*</th>
+                      <th scope="col" className="text-right p-1">Wider by</th>
+                    </tr>
+                  </thead>
+                  <tbody className="font-mono">
+                    {calculations.criticalValues.map(row => (
+                      <tr key={row.level} className="border-b border-darkGrey/10">
+                        <th scope="row" className="text-left p-1 font-sans font-medium">{(row.level * 100).toFixed(0)}%</th>
+                        <td className="text-right p-1 text-darkTeal font-bold">{row.t.toFixed(3)}</td>
+                        <td className="text-right p-1">{row.z.toFixed(3)}</td>
+                        <td className="text-right p-1">{(((row.t / row.z) - 1) * 100).toFixed(1)}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {/* Practical Explanations */}
+                <div className="bg-blue-50 p-3 rounded">
+                  <h5 className="font-bold text-darkGrey mb-2">💡 What These Mean:</h5>
+                  <ul className="space-y-2 text-xs text-darkGrey">
+                    <li>
+                      <strong>t* is always bigger than z*:</strong> Estimating σ from the sample adds uncertainty, so intervals must stretch further.
+                      <em className="block text-gray-600">Example: a 95% CI from 5 observations uses ±2.776 instead of ±1.96</em>
+                    </li>
+                    <li>
+                      <strong>"Wider by":</strong> How much longer a confidence interval gets because you used t instead of z.
+                      <em className="block text-gray-600">Drag the df slider up and watch this column shrink toward 0%</em>
+                    </li>
+                  </ul>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Examples Section */}
+        <div className="mt-6 bg-white border-2 border-darkGrey/20 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-3 flex items-center">
+            💡 Real-World Examples
+            <InfoIcon info="Click any example to load it into the calculator" />
+          </h3>
+          <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-2">
+            {T_EXAMPLES.map((example, index) => (
+              <button
+                key={index}
+                onClick={() => selectExample(example)}
+                className="p-3 bg-platinum hover:bg-darkTeal/20 rounded transition-all text-left group"
+              >
+                <div className="font-bold text-darkGrey group-hover:text-darkTeal">
+                  {example.name}
+                </div>
+                <div className="text-sm text-darkGrey opacity-70">
+                  df = {example.df}
+                </div>
+                <div className="text-xs text-darkGrey opacity-50 mt-1">
+                  {example.description}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Educational Section */}
+        <div className="mt-6 bg-gradient-to-r from-blue-50 to-turquoise/10 p-4 rounded-lg">
+          <h3 className="text-lg font-bold text-darkGrey mb-3">
+            🎓 Understanding the t Distribution
+          </h3>
+
+          <div className="grid md:grid-cols-2 gap-4 text-sm">
+            <div className="bg-white/80 p-3 rounded">
+              <h4 className="font-bold text-darkTeal mb-2">Key Properties:</h4>
+              <ul className="space-y-1 text-darkGrey">
+                <li>✓ Symmetric and bell-shaped, centered at 0</li>
+                <li>✓ Heavier tails than the normal curve</li>
+                <li>✓ Defined by one number: degrees of freedom</li>
+                <li>✓ Total area under curve = 1.0</li>
+                <li>✓ Approaches the standard normal as df → ∞</li>
+              </ul>
+            </div>
+
+            <div className="bg-white/80 p-3 rounded">
+              <h4 className="font-bold text-darkTeal mb-2">When to Use t Instead of z:</h4>
+              <ul className="space-y-1 text-darkGrey">
+                <li>• σ is unknown and estimated by s</li>
+                <li>• One-sample mean: df = n − 1</li>
+                <li>• Paired data: df = pairs − 1</li>
+                <li>• Two samples: Welch's df (from the data)</li>
+                <li>• Regression slope: df = n − 2</li>
+              </ul>
+            </div>
+          </div>
+
+          <div className="mt-3 p-3 bg-accent/20 rounded">
+            <strong className="text-darkGrey">💡 Pro Tip:</strong>
+            <span className="text-darkGrey ml-2">
+              William Gosset published the t distribution in 1908 under the pen name "Student" while testing small batches
+              at the Guinness brewery — which is why it is called Student's t.
+            </span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TDistributionCalculator;
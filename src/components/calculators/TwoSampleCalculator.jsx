@@ -2,7 +2,8 @@
  * TwoSampleCalculator.jsx
  *
  * Two-sample comparison calculator: tests whether two independent groups
- * differ in their means (Welch's t-test) or proportions (pooled z-test).
+ * differ in their means (Welch's t-test) or proportions (pooled z-test), or
+ * whether paired before/after measurements differ (paired t-test).
  * Shows the rejection-region curve, a group comparison chart, a confidence
  * interval for the difference, effect size, and plain-language conclusions.
  *
@@ -17,9 +18,12 @@ import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, LineElement,
 import { Line, Bar } from 'react-chartjs-2';
 import { jStat } from 'jstat';
 import InfoIcon from './InfoIcon';
+import RawDataInput from './RawDataInput';
 import useDocumentTitle from '../../hooks/useDocumentTitle';
 import useFocusTrap from '../../hooks/useFocusTrap';
 import { announcePolite } from '../../utils/announce';
+import { extractNumbers } from '../../utils/parseNumbers';
+import { TAIL_TYPES, DISTRIBUTION_TYPES, getCriticalValue, getPValue } from '../../stats/inference';
 
 // Register required Chart.js components
 ChartJS.register(CategoryScale, LinearScale, BarElement, LineElement, PointElement, Title, Tooltip, Legend, Filler);
@@ -29,13 +33,19 @@ ChartJS.register(CategoryScale, LinearScale, BarElement, LineElement, PointEleme
  */
 const MODES = {
   MEANS: 'means',
-  PROPORTIONS: 'proportions'
+  PROPORTIONS: 'proportions',
+  PAIRED: 'paired'
 };
 
-const TAIL_TYPES = {
-  TWO: 'two-tailed',
-  RIGHT: 'right-tailed',
-  LEFT: 'left-tailed'
+const INPUT_METHODS = {
+  SUMMARY: 'summary',
+  RAW: 'raw'
+};
+
+const TEST_NAMES = {
+  [MODES.MEANS]: "Two means (Welch's t-test)",
+  [MODES.PROPORTIONS]: 'Two proportions (pooled z-test)',
+  [MODES.PAIRED]: 'Paired means (paired t-test)'
 };
 
 const CHART_COLORS = {
@@ -49,6 +59,7 @@ const CHART_COLORS = {
   },
   testStatistic: 'rgba(180, 83, 9, 1)',
   criticalValue: 'rgba(138, 43, 226, 1)',
+  meanDifference: 'rgba(15, 118, 110, 1)',
   group1: {
     background: 'rgba(78, 205, 196, 0.6)',
     border: 'rgba(78, 205, 196, 1)'
@@ -59,6 +70,8 @@ const CHART_COLORS = {
   }
 };
 
+const MAX_PAIRS = 1000;
+
 const DEFAULT_VALUES = {
   means: {
     mean1: 78, stdDev1: 8, n1: 35,
@@ -69,6 +82,11 @@ const DEFAULT_VALUES = {
     successes1: 48, n1: 200,
     successes2: 30, n2: 200,
     significanceLevel: 0.05
+  },
+  paired: {
+    values1: '',
+    values2: '',
+    significanceLevel: 0.05
   }
 };
 
@@ -108,6 +126,30 @@ const PRESET_SCENARIOS = [
     inputs: { mean1: 9.9, stdDev1: 1.1, n1: 25, mean2: 10.2, stdDev2: 1.3, n2: 25, significanceLevel: 0.05 },
     description: 'Brand A lasts 9.9 h on average (s = 1.1); Brand B lasts 10.2 h (s = 1.3); 25 units each. Different?',
     expectedOutcome: 'Fail to reject — t ≈ −0.88, p ≈ 0.38. A 0.3-hour gap is well within sampling noise for samples this small.'
+  },
+  {
+    name: 'Blood Pressure Program',
+    mode: MODES.PAIRED,
+    tailType: TAIL_TYPES.RIGHT,
+    inputs: {
+      values1: '150, 142, 138, 160, 155, 148, 145, 152, 140, 158',
+      values2: '144, 140, 135, 151, 149, 146, 141, 147, 139, 150',
+      significanceLevel: 0.05
+    },
+    description: 'Systolic pressure of 10 patients before (Group 1) and after (Group 2) an 8-week exercise program. Did it go down?',
+    expectedOutcome: 'Reject — t ≈ 5.44 with df = 9, p ≈ 0.0002. Every patient improved (d̄ = 4.6), and d_z ≈ 1.72 is a large effect. Welch on the same numbers would miss it!'
+  },
+  {
+    name: 'Typing Speed App',
+    mode: MODES.PAIRED,
+    tailType: TAIL_TYPES.TWO,
+    inputs: {
+      values1: '72, 65, 80, 58, 90, 77, 69, 84',
+      values2: '75, 63, 83, 60, 88, 80, 70, 86',
+      significanceLevel: 0.05
+    },
+    description: 'Words per minute for 8 typists before (Group 1) and after (Group 2) a week with a training app. Any change?',
+    expectedOutcome: 'Fail to reject — t ≈ −1.67 with df = 7, p ≈ 0.14. Most typists gained a couple of words per minute, but with only 8 pairs the gain could be chance.'
   }
 ];
 
@@ -121,6 +163,9 @@ const TwoSampleCalculator = () => {
   const [mode, setMode] = useState(MODES.MEANS);
   const [tailType, setTailType] = useState(TAIL_TYPES.TWO);
   const [inputs, setInputs] = useState(DEFAULT_VALUES.means);
+  const [inputMethod, setInputMethod] = useState(INPUT_METHODS.SUMMARY);
+  // Bumped when a scenario loads, to remount (and so clear) the raw-data panels
+  const [rawPanelKey, setRawPanelKey] = useState(0);
   const [result, setResult] = useState({});
   const [chartData, setChartData] = useState(null);
   const [error, setError] = useState("");
@@ -148,55 +193,48 @@ const TwoSampleCalculator = () => {
     setError("");
   };
 
+  /**
+   * Fill one group's summary inputs from its raw-data panel. A null summary
+   * (no usable data) blanks them, so the test cannot run on numbers no longer shown.
+   * @param {number} group - 1 or 2
+   * @param {Object|null} summary - { n, mean, stdDev } or { n, successes }
+   */
+  const handleRawSummary = (group, summary) => {
+    if (!summary) {
+      setInputs(prev => (mode === MODES.PROPORTIONS
+        ? { ...prev, [`successes${group}`]: '', [`n${group}`]: '' }
+        : { ...prev, [`mean${group}`]: '', [`stdDev${group}`]: '', [`n${group}`]: '' }));
+      return;
+    }
+    if (mode === MODES.PROPORTIONS) {
+      setInputs(prev => ({ ...prev, [`successes${group}`]: summary.successes, [`n${group}`]: summary.n }));
+    } else {
+      setInputs(prev => ({
+        ...prev,
+        [`mean${group}`]: summary.mean,
+        [`n${group}`]: summary.n,
+        ...(summary.stdDev !== null ? { [`stdDev${group}`]: summary.stdDev } : { [`stdDev${group}`]: '' })
+      }));
+    }
+  };
+
   const applyPreset = (preset) => {
     setMode(preset.mode);
     setTailType(preset.tailType);
     setInputs(preset.inputs);
+    setInputMethod(INPUT_METHODS.SUMMARY);
+    setRawPanelKey(key => key + 1);
     setResult({});
     setChartData(null);
     setError("");
     announcePolite('Loaded scenario: ' + preset.name + '. Press Compare Groups to run it.');
   };
 
-  /**
-   * Critical value for the given distribution and tail type
-   */
-  const getCriticalValue = (alpha, useT, tail, df = null) => {
-    const dist = useT ? jStat.studentt : jStat.normal;
-    const params = useT ? [df] : [0, 1];
-    switch (tail) {
-      case TAIL_TYPES.TWO:
-        return -Math.abs(dist.inv(alpha / 2, ...params));
-      case TAIL_TYPES.RIGHT:
-        return dist.inv(1 - alpha, ...params);
-      case TAIL_TYPES.LEFT:
-        return dist.inv(alpha, ...params);
-      default:
-        return 0;
-    }
-  };
-
-  /**
-   * P-value for the given test statistic and tail type
-   */
-  const getPValue = (testStatistic, useT, tail, df = null) => {
-    const dist = useT ? jStat.studentt : jStat.normal;
-    const params = useT ? [df] : [0, 1];
-    switch (tail) {
-      case TAIL_TYPES.TWO:
-        return 2 * (1 - dist.cdf(Math.abs(testStatistic), ...params));
-      case TAIL_TYPES.RIGHT:
-        return 1 - dist.cdf(testStatistic, ...params);
-      case TAIL_TYPES.LEFT:
-        return dist.cdf(testStatistic, ...params);
-      default:
-        return 0;
-    }
-  };
-
   const calculate = () => {
     if (mode === MODES.MEANS) {
       calculateMeansTest();
+    } else if (mode === MODES.PAIRED) {
+      calculatePairedTest();
     } else {
       calculateProportionsTest();
     }
@@ -243,11 +281,11 @@ const TwoSampleCalculator = () => {
     // Welch–Satterthwaite degrees of freedom
     const df = Math.pow(v1 + v2, 2) / ((v1 * v1) / (n1 - 1) + (v2 * v2) / (n2 - 1));
 
-    const criticalValue = getCriticalValue(alpha, true, tailType, df);
-    const pValue = getPValue(t, true, tailType, df);
+    const criticalValue = getCriticalValue(alpha, DISTRIBUTION_TYPES.T, tailType, df);
+    const pValue = getPValue(t, DISTRIBUTION_TYPES.T, tailType, df);
 
     // Confidence interval for the difference (always two-sided)
-    const tCritCI = Math.abs(getCriticalValue(alpha, true, TAIL_TYPES.TWO, df));
+    const tCritCI = Math.abs(getCriticalValue(alpha, DISTRIBUTION_TYPES.T, TAIL_TYPES.TWO, df));
     const marginOfError = tCritCI * standardError;
     const confidenceInterval = [diff - marginOfError, diff + marginOfError];
 
@@ -291,7 +329,7 @@ const TwoSampleCalculator = () => {
           pass: true
         },
         {
-          label: 'The two groups must be independent — different subjects in each. For before/after data on the same subjects, use a paired t-test instead',
+          label: 'The two groups must be independent — different subjects in each. For before/after data on the same subjects, switch to Paired mode instead',
           pass: null
         }
       ]
@@ -301,6 +339,109 @@ const TwoSampleCalculator = () => {
     announcePolite(`Comparison complete. t = ${t.toFixed(4)}, p-value ${pValue.toFixed(4)}. ${reject ? 'Reject' : 'Fail to reject'} the hypothesis of equal means.`);
   };
 
+  /**
+   * Paired t-test for before/after (matched) measurements.
+   * Works on the per-pair differences d = x₁ − x₂, which turns the problem into
+   * a one-sample t-test of H₀: μd = 0 with n − 1 degrees of freedom.
+   */
+  const calculatePairedTest = () => {
+    const values1 = extractNumbers(String(inputs.values1 ?? ''));
+    const values2 = extractNumbers(String(inputs.values2 ?? ''));
+    const alpha = parseFloat(inputs.significanceLevel);
+
+    setError("");
+    if (values1.length !== values2.length) {
+      setError(`Paired data needs the same number of values in both groups (Group 1 has ${values1.length}, Group 2 has ${values2.length}).`);
+      return;
+    }
+    const n = values1.length;
+    if (n < 2) {
+      setError("Please enter at least 2 pairs of values.");
+      return;
+    }
+    if (n > MAX_PAIRS) {
+      setError(`Maximum ${MAX_PAIRS} pairs allowed.`);
+      return;
+    }
+    if (isNaN(alpha) || alpha <= 0 || alpha >= 1) {
+      setError("Significance level must be between 0 and 1 (commonly 0.05).");
+      return;
+    }
+
+    const differences = values1.map((v, i) => v - values2[i]);
+    const meanDiff = differences.reduce((a, b) => a + b, 0) / n;
+    const sdDiff = Math.sqrt(differences.reduce((sum, d) => sum + Math.pow(d - meanDiff, 2), 0) / (n - 1));
+
+    if (sdDiff === 0) {
+      setError("Every pair has the same difference, so the differences have no spread and t cannot be computed.");
+      return;
+    }
+
+    const standardError = sdDiff / Math.sqrt(n);
+    const t = meanDiff / standardError;
+    const df = n - 1;
+
+    const criticalValue = getCriticalValue(alpha, DISTRIBUTION_TYPES.T, tailType, df);
+    const pValue = getPValue(t, DISTRIBUTION_TYPES.T, tailType, df);
+
+    // Confidence interval for the mean difference (always two-sided)
+    const tCritCI = Math.abs(getCriticalValue(alpha, DISTRIBUTION_TYPES.T, TAIL_TYPES.TWO, df));
+    const marginOfError = tCritCI * standardError;
+    const confidenceInterval = [meanDiff - marginOfError, meanDiff + marginOfError];
+
+    // Cohen's d_z: the mean difference in units of the differences' SD
+    const cohensD = meanDiff / sdDiff;
+
+    const reject = tailType === TAIL_TYPES.TWO
+      ? Math.abs(t) > Math.abs(criticalValue)
+      : (tailType === TAIL_TYPES.RIGHT ? t > criticalValue : t < criticalValue);
+
+    setResult({
+      mode: MODES.PAIRED,
+      tail: tailType,
+      group1Value: values1.reduce((a, b) => a + b, 0) / n,
+      group2Value: values2.reduce((a, b) => a + b, 0) / n,
+      difference: meanDiff,
+      differences,
+      sdDiff,
+      pairCount: n,
+      standardError,
+      testStatistic: t,
+      statName: 't',
+      df,
+      criticalValue,
+      pValue,
+      confidenceInterval,
+      cohensD,
+      alpha,
+      reject,
+      steps: {
+        seFormula: `SE = s_d / √n = ${sdDiff.toFixed(4)} / √${n}`,
+        statFormula: `t = d̄ / SE = ${meanDiff.toFixed(4)} / ${standardError.toFixed(4)}`
+      },
+      assumptions: [
+        {
+          label: n >= 30
+            ? `Many pairs (n = ${n} ≥ 30), so the Central Limit Theorem covers non-normal differences`
+            : `Few pairs (n = ${n} < 30) — the differences should be roughly normal with no extreme outliers`,
+          pass: n >= 30 ? true : null
+        },
+        {
+          label: 'Each value in Group 1 must be matched with the value on the same line in Group 2 (same subject, twin, or matched unit)',
+          pass: null
+        },
+        {
+          label: 'The pairs must be independent of each other — one subject\'s difference should not influence another\'s',
+          pass: null
+        }
+      ]
+    });
+
+    // d̄ and its CI in SE units, so they sit on the same axis as t
+    createCurveVisualization(t, criticalValue, true, df, [confidenceInterval[0] / standardError, confidenceInterval[1] / standardError]);
+    announcePolite(`Comparison complete. t = ${t.toFixed(4)}, p-value ${pValue.toFixed(4)}. ${reject ? 'Reject' : 'Fail to reject'} the hypothesis of no mean difference.`);
+  };
+
   /**
    * Two-proportion z-test using the pooled proportion for the standard error
    * (standard approach when testing H₀: p₁ = p₂)
@@ -342,12 +483,12 @@ const TwoSampleCalculator = () => {
     }
 
     const z = diff / standardError;
-    const criticalValue = getCriticalValue(alpha, false, tailType);
-    const pValue = getPValue(z, false, tailType);
+    const criticalValue = getCriticalValue(alpha, DISTRIBUTION_TYPES.Z, tailType);
+    const pValue = getPValue(z, DISTRIBUTION_TYPES.Z, tailType);
 
     // CI for the difference uses the UNpooled standard error
     const seCI = Math.sqrt((p1 * (1 - p1)) / n1 + (p2 * (1 - p2)) / n2);
-    const zCritCI = Math.abs(getCriticalValue(alpha, false, TAIL_TYPES.TWO));
+    const zCritCI = Math.abs(getCriticalValue(alpha, DISTRIBUTION_TYPES.Z, TAIL_TYPES.TWO));
     const marginOfError = zCritCI * seCI;
     const confidenceInterval = [diff - marginOfError, diff + marginOfError];
 
@@ -396,11 +537,14 @@ const TwoSampleCalculator = () => {
   };
 
   /**
-   * Build the rejection-region curve (z or t distribution)
+   * Build the rejection-region curve (z or t distribution).
+   * In paired mode `interval` is the CI for μd divided by SE, drawn as a bar
+   * through d̄ just above the axis.
    */
-  const createCurveVisualization = (testStatistic, criticalValue, useT, df = null) => {
-    const xMin = -4;
-    const xMax = 4;
+  const createCurveVisualization = (testStatistic, criticalValue, useT, df = null, interval = null) => {
+    // Widen the axis (up to ±10) so the whole interval stays in view
+    const xMin = interval ? Math.max(-10, Math.min(-4, Math.floor(interval[0]))) : -4;
+    const xMax = interval ? Math.min(10, Math.max(4, Math.ceil(interval[1]))) : 4;
     const points = 300;
     const step = (xMax - xMin) / points;
 
@@ -493,6 +637,29 @@ const TwoSampleCalculator = () => {
       });
     }
 
+    // Mean difference with its confidence interval (paired mode)
+    if (interval) {
+      const height = Math.max(...yValues) * 0.12;
+      const inInterval = xValues.map(xVal => xVal >= interval[0] && xVal <= interval[1]);
+      const first = inInterval.indexOf(true);
+      const last = inInterval.lastIndexOf(true);
+      const meanIndex = xValues.findIndex(xVal => Math.abs(xVal - testStatistic) < step / 2);
+      if (first !== -1) {
+        datasets.push({
+          label: 'Mean Difference (d̄) with CI',
+          data: inInterval.map(inside => (inside ? height : null)),
+          borderColor: CHART_COLORS.meanDifference,
+          backgroundColor: CHART_COLORS.meanDifference,
+          borderWidth: 3,
+          pointRadius: xValues.map((_, i) => (i === meanIndex ? 5 : (i === first || i === last ? 3 : 0))),
+          pointHoverRadius: 5,
+          tension: 0,
+          fill: false,
+          order: -1
+        });
+      }
+    }
+
     setChartData({
       labels: xValues.map(xVal => xVal.toFixed(2)),
       datasets
@@ -520,6 +687,9 @@ const TwoSampleCalculator = () => {
             if (context.dataset.label.includes('Critical')) {
               return `Critical Value: ${result.criticalValue?.toFixed(4)}`;
             }
+            if (context.dataset.label.startsWith('Mean Difference')) {
+              return `d̄ = ${formatValue(result.difference)}, ${((1 - result.alpha) * 100).toFixed(0)}% CI (${formatValue(result.confidenceInterval[0])}, ${formatValue(result.confidenceInterval[1])})`;
+            }
             return context.dataset.label;
           }
         }
@@ -537,9 +707,22 @@ const TwoSampleCalculator = () => {
 
   /**
    * Side-by-side bar chart of the two group values
+   * (one bar per pair difference in paired mode)
    */
   const comparisonChartData = useMemo(() => {
     if (result.group1Value === undefined) return null;
+    if (result.mode === MODES.PAIRED) {
+      return {
+        labels: result.differences.map((_, i) => `Pair ${i + 1}`),
+        datasets: [{
+          label: 'Difference (1 − 2)',
+          data: result.differences,
+          backgroundColor: result.differences.map(d => d >= 0 ? CHART_COLORS.group1.background : CHART_COLORS.group2.background),
+          borderColor: result.differences.map(d => d >= 0 ? CHART_COLORS.group1.border : CHART_COLORS.group2.border),
+          borderWidth: 2
+        }]
+      };
+    }
     const isProportions = result.mode === MODES.PROPORTIONS;
     return {
       labels: ['Group 1', 'Group 2'],
@@ -560,7 +743,8 @@ const TwoSampleCalculator = () => {
       legend: { display: false },
       title: {
         display: true,
-        text: result.mode === MODES.PROPORTIONS ? 'Sample Proportions' : 'Sample Means',
+        text: result.mode === MODES.PROPORTIONS ? 'Sample Proportions'
+          : result.mode === MODES.PAIRED ? 'Paired Differences (Group 1 − Group 2)' : 'Sample Means',
         font: { size: 14 }
       },
       tooltip: {
@@ -574,7 +758,7 @@ const TwoSampleCalculator = () => {
     scales: {
       y: {
         beginAtZero: true,
-        title: { display: true, text: result.mode === MODES.PROPORTIONS ? 'Proportion' : 'Value' }
+        title: { display: true, text: result.mode === MODES.PROPORTIONS ? 'Proportion' : result.mode === MODES.PAIRED ? 'Difference' : 'Value' }
       }
     }
   }), [result.mode]);
@@ -596,16 +780,21 @@ const TwoSampleCalculator = () => {
     return 'large';
   };
 
-  const paramSymbol = mode === MODES.MEANS ? 'μ' : 'p';
+  const paramSymbol = mode === MODES.PROPORTIONS ? 'p' : 'μ';
   const tailSymbol = tailType === TAIL_TYPES.TWO ? '≠' : tailType === TAIL_TYPES.RIGHT ? '>' : '<';
 
   /**
    * Plain-English conclusion sentence for the completed test
    */
   const conclusionText = () => {
-    const param = result.mode === MODES.MEANS ? 'mean' : 'proportion';
+    const param = result.mode === MODES.PROPORTIONS ? 'proportion' : 'mean';
     const direction = result.tail === TAIL_TYPES.TWO ? 'differs from'
       : result.tail === TAIL_TYPES.RIGHT ? 'is greater than' : 'is less than';
+    if (result.mode === MODES.PAIRED) {
+      return result.reject
+        ? `At the ${(result.alpha * 100).toFixed(0)}% significance level, the data provides sufficient evidence that the mean paired difference (Group 1 − Group 2) ${direction} zero.`
+        : `At the ${(result.alpha * 100).toFixed(0)}% significance level, the data does NOT provide sufficient evidence that the mean paired difference (Group 1 − Group 2) ${direction} zero.`;
+    }
     return result.reject
       ? `At the ${(result.alpha * 100).toFixed(0)}% significance level, the data provides sufficient evidence that Group 1's ${param} ${direction} Group 2's.`
       : `At the ${(result.alpha * 100).toFixed(0)}% significance level, the data does NOT provide sufficient evidence that Group 1's ${param} ${direction} Group 2's.`;
@@ -613,25 +802,33 @@ const TwoSampleCalculator = () => {
 
   const formatValue = (v) => result.mode === MODES.PROPORTIONS ? `${(v * 100).toFixed(2)}%` : v.toFixed(4);
 
+  // Welch df is fractional; paired df is always a whole number
+  const formatDf = (df) => result.mode === MODES.PAIRED ? String(df) : df.toFixed(2);
+
   /**
    * Copy the full comparison summary as tab-separated text
    */
   const copyResultsToClipboard = async () => {
-    const isProportions = result.mode === MODES.PROPORTIONS;
+    const isPaired = result.mode === MODES.PAIRED;
     const rows = [
-      ['Two-Sample Comparison', isProportions ? 'Two proportions (pooled z-test)' : "Two means (Welch's t-test)"],
-      ['H₀', `${paramSymbol}₁ = ${paramSymbol}₂`],
-      ['H₁', `${paramSymbol}₁ ${tailSymbol} ${paramSymbol}₂`],
-      ['Group 1', formatValue(result.group1Value)],
-      ['Group 2', formatValue(result.group2Value)],
-      ['Difference (1 − 2)', formatValue(result.difference)],
+      ['Two-Sample Comparison', TEST_NAMES[result.mode]],
+      ['H₀', isPaired ? 'μd = 0' : `${paramSymbol}₁ = ${paramSymbol}₂`],
+      ['H₁', isPaired ? `μd ${tailSymbol} 0` : `${paramSymbol}₁ ${tailSymbol} ${paramSymbol}₂`],
+      ...(isPaired ? [
+        ['Number of pairs', String(result.pairCount)],
+        ['Differences (1 − 2)', result.differences.join(', ')]
+      ] : []),
+      [isPaired ? 'Group 1 mean' : 'Group 1', formatValue(result.group1Value)],
+      [isPaired ? 'Group 2 mean' : 'Group 2', formatValue(result.group2Value)],
+      [isPaired ? 'Mean difference (d̄)' : 'Difference (1 − 2)', formatValue(result.difference)],
+      ...(isPaired ? [['SD of differences (s_d)', result.sdDiff.toFixed(4)]] : []),
       ['Standard error', result.standardError.toFixed(4)],
       [`Test statistic (${result.statName})`, result.testStatistic.toFixed(4)],
-      ...(result.df ? [['Degrees of freedom (Welch)', result.df.toFixed(2)]] : []),
+      ...(result.df ? [[isPaired ? 'Degrees of freedom' : 'Degrees of freedom (Welch)', formatDf(result.df)]] : []),
       ['Critical value', result.criticalValue.toFixed(4)],
       ['P-value', result.pValue.toFixed(4)],
       [`${((1 - result.alpha) * 100).toFixed(0)}% CI for difference`, `[${formatValue(result.confidenceInterval[0])}, ${formatValue(result.confidenceInterval[1])}]`],
-      ...(result.cohensD !== undefined ? [["Cohen's d", `${result.cohensD.toFixed(3)} (${effectSizeWords(result.cohensD)})`]] : []),
+      ...(result.cohensD !== undefined ? [[isPaired ? "Cohen's d_z" : "Cohen's d", `${result.cohensD.toFixed(3)} (${effectSizeWords(result.cohensD)})`]] : []),
       ['Decision', result.reject ? 'Reject H₀' : 'Fail to reject H₀'],
       ['Conclusion', conclusionText()]
     ];
@@ -675,7 +872,7 @@ const TwoSampleCalculator = () => {
         <h2 className="text-3xl font-bold text-darkGrey mb-2">
           Two-Sample Comparison Calculator
         </h2>
-        <p className="text-darkGrey opacity-80 mb-4">Compare two means (Welch's t-test) or two proportions (z-test)</p>
+        <p className="text-darkGrey opacity-80 mb-4">Compare two means (Welch's t-test), paired before/after means (paired t-test), or two proportions (z-test)</p>
 
         {/* Educational explanation section */}
         <div className="mb-6 p-4 bg-blue-50 rounded-lg border-l-4 border-blue-500">
@@ -701,8 +898,8 @@ const TwoSampleCalculator = () => {
             <div>
               <h4 className="font-semibold mb-1">⚠️ Independent vs Paired:</h4>
               <ul className="list-disc list-inside space-y-1">
-                <li>This calculator assumes <strong>independent</strong> groups — different subjects in each</li>
-                <li>Same subjects measured twice (before/after)? That's <strong>paired</strong> data — use a paired t-test instead</li>
+                <li>Welch and z modes assume <strong>independent</strong> groups — different subjects in each</li>
+                <li>Same subjects measured twice (before/after)? That's <strong>paired</strong> data — choose Paired mode</li>
                 <li>Mixing them up is one of the most common statistics mistakes!</li>
               </ul>
             </div>
@@ -735,6 +932,7 @@ const TwoSampleCalculator = () => {
                     className={inputClass}
                   >
                     <option value={MODES.MEANS}>Two Means (Welch's t-test)</option>
+                    <option value={MODES.PAIRED}>Paired Means (paired t-test)</option>
                     <option value={MODES.PROPORTIONS}>Two Proportions (z-test)</option>
                   </select>
                 </div>
@@ -756,15 +954,63 @@ const TwoSampleCalculator = () => {
                 {/* Live hypotheses preview */}
                 <div className="p-3 bg-white rounded-lg border-2 border-darkTeal/30">
                   <p className="text-sm font-semibold text-darkGrey mb-1">Your Hypotheses:</p>
-                  <p className="font-mono text-darkGrey">H₀: {paramSymbol}₁ = {paramSymbol}₂ (no difference)</p>
-                  <p className="font-mono text-darkGrey">H₁: {paramSymbol}₁ {tailSymbol} {paramSymbol}₂</p>
+                  {mode === MODES.PAIRED ? (
+                    <>
+                      <p className="font-mono text-darkGrey">H₀: μd = 0 (no mean difference)</p>
+                      <p className="font-mono text-darkGrey">H₁: μd {tailSymbol} 0</p>
+                      <p className="text-xs text-darkGrey/70 mt-1">μd is the true mean of the differences Group 1 − Group 2.</p>
+                    </>
+                  ) : (
+                    <>
+                      <p className="font-mono text-darkGrey">H₀: {paramSymbol}₁ = {paramSymbol}₂ (no difference)</p>
+                      <p className="font-mono text-darkGrey">H₁: {paramSymbol}₁ {tailSymbol} {paramSymbol}₂</p>
+                    </>
+                  )}
                 </div>
               </div>
             </div>
 
             {/* Input Values */}
             <div className="bg-platinum p-4 rounded-lg">
-              <h3 className="text-xl font-bold text-darkGrey mb-4">Input Values</h3>
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold text-darkGrey">Input Values</h3>
+                {mode !== MODES.PAIRED && (
+                  <div className="flex rounded-lg overflow-hidden border-2 border-darkTeal text-sm" role="group" aria-label="Input method">
+                    {[[INPUT_METHODS.SUMMARY, 'Summary'], [INPUT_METHODS.RAW, 'Raw Data']].map(([method, methodLabel]) => (
+                      <button
+                        key={method}
+                        onClick={() => setInputMethod(method)}
+                        aria-pressed={inputMethod === method}
+                        className={`px-3 py-1 font-medium transition-colors ${inputMethod === method ? 'bg-darkTeal text-white' : 'bg-white text-darkTeal hover:bg-darkTeal/10'}`}
+                      >
+                        {methodLabel}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {/* Kept mounted while Summary is shown so pasted data survives the toggle */}
+              {mode !== MODES.PAIRED && (
+                <div className={`mb-4 ${inputMethod === INPUT_METHODS.RAW ? '' : 'hidden'}`}>
+                  <div className="grid grid-cols-2 gap-4">
+                    {[1, 2].map(group => (
+                      <RawDataInput
+                        key={`${mode}-${group}-${rawPanelKey}`}
+                        id={`ts-raw${group}`}
+                        label={`Group ${group} Raw Data`}
+                        categorical={mode === MODES.PROPORTIONS}
+                        onSummary={(summary) => handleRawSummary(group, summary)}
+                      />
+                    ))}
+                  </div>
+                  <p className="text-xs text-darkGrey/70 mt-1">
+                    {mode === MODES.PROPORTIONS
+                      ? 'Successes and sample sizes below are filled in from your data (0/1 columns or category labels).'
+                      : 'Means, standard deviations and sample sizes below are filled in from your data.'}
+                  </p>
+                </div>
+              )}
 
               {mode === MODES.MEANS ? (
                 <div className="grid grid-cols-2 gap-4">
@@ -805,6 +1051,40 @@ const TwoSampleCalculator = () => {
                     </div>
                   </div>
                 </div>
+              ) : mode === MODES.PAIRED ? (
+                <div className="space-y-3">
+                  <div className="grid grid-cols-2 gap-4">
+                    {[1, 2].map(group => {
+                      const count = extractNumbers(String(inputs[`values${group}`] ?? '')).length;
+                      return (
+                        <div key={group}>
+                          <label htmlFor={`ts-values${group}`} className="flex items-center text-darkGrey text-sm font-medium mb-1">
+                            <span className="inline-block w-3 h-3 rounded mr-2" style={{backgroundColor: CHART_COLORS[`group${group}`].border}}></span>
+                            Group {group} {group === 1 ? '(e.g., Before)' : '(e.g., After)'}
+                            {group === 1 && <InfoIcon info="Enter the values in the same order in both boxes — the 1st value of Group 1 is paired with the 1st value of Group 2, and so on" />}
+                          </label>
+                          <textarea
+                            id={`ts-values${group}`}
+                            name={`values${group}`}
+                            value={inputs[`values${group}`] ?? ""}
+                            onChange={handleChange}
+                            placeholder="e.g., 150, 142, 138"
+                            rows="4"
+                            className={inputClass}
+                            aria-invalid={!!error}
+                            aria-describedby={`ts-values${group}-count ts-error`}
+                          />
+                          <p id={`ts-values${group}-count`} className="text-xs text-darkGrey/70" aria-live="polite">
+                            {count} valid number{count === 1 ? '' : 's'} detected
+                          </p>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <p className="text-xs text-darkGrey/70">
+                    Separate values with commas, spaces or new lines. Both lists must have the same length.
+                  </p>
+                </div>
               ) : (
                 <div className="grid grid-cols-2 gap-4">
                   <div className="space-y-3">
@@ -873,12 +1153,16 @@ const TwoSampleCalculator = () => {
                 {comparisonChartData && (
                   <div className="bg-platinum p-4 rounded-lg">
                     <div className="h-44">
-                      <div role="img" className="h-full" aria-label={`Bar chart comparing the two groups: Group 1 ${formatValue(result.group1Value)}, Group 2 ${formatValue(result.group2Value)}`}>
+                      <div role="img" className="h-full" aria-label={result.mode === MODES.PAIRED
+                        ? `Bar chart of the ${result.pairCount} paired differences: ${result.differences.join(', ')}`
+                        : `Bar chart comparing the two groups: Group 1 ${formatValue(result.group1Value)}, Group 2 ${formatValue(result.group2Value)}`}>
                         <Bar data={comparisonChartData} options={comparisonChartOptions} />
                       </div>
                     </div>
                     <p className="text-xs text-darkGrey opacity-70 mt-1 text-center">
-                      Observed difference (Group 1 − Group 2): {formatValue(result.difference)}
+                      {result.mode === MODES.PAIRED
+                        ? `Mean of the ${result.pairCount} differences (d̄): ${formatValue(result.difference)}`
+                        : `Observed difference (Group 1 − Group 2): ${formatValue(result.difference)}`}
                     </p>
                   </div>
                 )}
@@ -887,12 +1171,17 @@ const TwoSampleCalculator = () => {
                 <div className="bg-platinum p-4 rounded-lg">
                   <h3 className="text-xl font-bold text-darkGrey mb-4">Test Visualization</h3>
                   <div className="h-64">
-                    {chartData && <div role="img" className="h-full" aria-label="Distribution curve showing rejection and acceptance regions with the test statistic marker"><Line ref={chartRef} data={chartData} options={chartOptions} /></div>}
+                    {chartData && <div role="img" className="h-full" aria-label={result.mode === MODES.PAIRED
+                      ? `Distribution curve showing rejection and acceptance regions with the test statistic marker and the mean difference ${formatValue(result.difference)} with its confidence interval (${formatValue(result.confidenceInterval[0])}, ${formatValue(result.confidenceInterval[1])})`
+                      : 'Distribution curve showing rejection and acceptance regions with the test statistic marker'}><Line ref={chartRef} data={chartData} options={chartOptions} /></div>}
                   </div>
                   <p className="mt-2 text-xs text-darkGrey">
                     <span className="text-red-500">Red area:</span> Rejection region |
                     <span className="text-darkTeal ml-2">Teal area:</span> Acceptance region |
                     <span className="ml-2" style={{color: CHART_COLORS.testStatistic}}>▲</span> Your test statistic
+                    {result.mode === MODES.PAIRED && (
+                      <> | <span className="ml-2" style={{color: CHART_COLORS.meanDifference}}>●—●</span> d̄ with its {((1 - result.alpha) * 100).toFixed(0)}% CI (in SE units)</>
+                    )}
                   </p>
                   <div className="mt-3 flex flex-col sm:flex-row gap-2">
                     <button
@@ -943,9 +1232,21 @@ const TwoSampleCalculator = () => {
                       <span className="font-mono font-bold">{formatValue(result.group2Value)}</span>
                     </div>
                     <div className="flex justify-between items-center">
-                      <span className="font-medium">Difference (1 − 2):</span>
+                      <span className="font-medium">{result.mode === MODES.PAIRED ? 'Mean Difference (d̄):' : 'Difference (1 − 2):'}</span>
                       <span className="font-mono font-bold">{formatValue(result.difference)}</span>
                     </div>
+                    {result.mode === MODES.PAIRED && (
+                      <>
+                        <div className="flex justify-between items-center">
+                          <span className="font-medium">SD of Differences (s_d):</span>
+                          <span className="font-mono font-bold">{result.sdDiff.toFixed(4)}</span>
+                        </div>
+                        <div className="flex justify-between items-center">
+                          <span className="font-medium">Number of Pairs (n):</span>
+                          <span className="font-mono font-bold">{result.pairCount}</span>
+                        </div>
+                      </>
+                    )}
                     <div className="flex justify-between items-center">
                       <span className="font-medium">Test Statistic ({result.statName}):</span>
                       <span className="font-mono font-bold">{result.testStatistic.toFixed(4)}</span>
@@ -954,9 +1255,11 @@ const TwoSampleCalculator = () => {
                       <div className="flex justify-between items-center">
                         <span className="font-medium flex items-center">
                           Degrees of Freedom:
-                          <InfoIcon info="Welch–Satterthwaite approximation — usually not a whole number, and that's fine" />
+                          <InfoIcon info={result.mode === MODES.PAIRED
+                            ? 'Number of pairs minus 1'
+                            : "Welch–Satterthwaite approximation — usually not a whole number, and that's fine"} />
                         </span>
-                        <span className="font-mono font-bold">{result.df.toFixed(2)}</span>
+                        <span className="font-mono font-bold">{formatDf(result.df)}</span>
                       </div>
                     )}
                     <div className="flex justify-between items-center">
@@ -980,8 +1283,10 @@ const TwoSampleCalculator = () => {
                     {result.cohensD !== undefined && (
                       <div className="flex justify-between items-center">
                         <span className="font-medium flex items-center">
-                          Effect Size (Cohen's d):
-                          <InfoIcon info="The difference measured in standard deviations — how big the gap is in practical terms, independent of sample size" />
+                          Effect Size (Cohen's {result.mode === MODES.PAIRED ? 'd_z' : 'd'}):
+                          <InfoIcon info={result.mode === MODES.PAIRED
+                            ? 'The mean difference divided by the SD of the differences — how consistent the change is across pairs'
+                            : 'The difference measured in standard deviations — how big the gap is in practical terms, independent of sample size'} />
                         </span>
                         <span className="font-mono font-bold">{result.cohensD.toFixed(3)} ({effectSizeWords(result.cohensD)})</span>
                       </div>
@@ -1000,8 +1305,15 @@ const TwoSampleCalculator = () => {
                 <div className="bg-white border-2 border-darkGrey/20 p-4 rounded-lg text-sm text-darkGrey">
                   <h3 className="text-lg font-bold text-darkGrey mb-2">🧮 The Math, Step by Step</h3>
                   <ol className="list-decimal list-inside space-y-2">
+                    {result.mode === MODES.PAIRED && (
+                      <li>
+                        <strong>Differences</strong> — subtract each pair (Group 1 − Group 2), then summarize them like one sample:
+                        <p className="font-mono ml-5 break-words">d = {result.differences.join(', ')}</p>
+                        <p className="font-mono ml-5">d̄ = {result.difference.toFixed(4)}, s_d = {result.sdDiff.toFixed(4)}, n = {result.pairCount}</p>
+                      </li>
+                    )}
                     <li>
-                      <strong>Standard error of the difference</strong> — the combined wobble of both samples:
+                      <strong>Standard error of the {result.mode === MODES.PAIRED ? 'mean difference' : 'difference'}</strong> — {result.mode === MODES.PAIRED ? 'how much d̄ would wobble from sample to sample' : 'the combined wobble of both samples'}:
                       <p className="font-mono ml-5">{result.steps.seFormula} = {result.standardError.toFixed(4)}</p>
                     </li>
                     <li>
@@ -1010,7 +1322,7 @@ const TwoSampleCalculator = () => {
                     </li>
                     <li>
                       <strong>Compare</strong> — {result.statName} = {result.testStatistic.toFixed(4)} vs critical value {result.criticalValue.toFixed(4)}
-                      {result.df ? ` (t-distribution, df ≈ ${result.df.toFixed(2)})` : ' (standard normal)'}:
+                      {result.df ? ` (t-distribution, df ${result.mode === MODES.PAIRED ? '=' : '≈'} ${formatDf(result.df)})` : ' (standard normal)'}:
                       the statistic {result.reject ? 'falls in the rejection region → reject H₀' : 'stays outside the rejection region → fail to reject H₀'}.
                     </li>
                   </ol>
@@ -1066,7 +1378,7 @@ const TwoSampleCalculator = () => {
             <div ref={chartModalTrapRef} role="dialog" aria-modal="true" aria-labelledby="ts-chart-modal-title" className="bg-white rounded-lg shadow-xl p-6 w-11/12 max-w-5xl max-h-screen overflow-y-auto">
               <div className="flex justify-between items-center mb-4">
                 <h3 id="ts-chart-modal-title" className="text-2xl font-bold text-darkGrey">
-                  Two-Sample Test — {result.df ? `t-distribution (df ≈ ${result.df.toFixed(2)})` : 'Standard Normal (z)'}
+                  {result.mode === MODES.PAIRED ? 'Paired' : 'Two-Sample'} Test — {result.df ? `t-distribution (df ${result.mode === MODES.PAIRED ? '=' : '≈'} ${formatDf(result.df)})` : 'Standard Normal (z)'}
                 </h3>
                 <button
                   onClick={() => setShowChartModal(false)}
@@ -9,8 +9,16 @@ const CALC_NAMES = {
   'binomial': 'Binomial Distribution',
   'poisson': 'Poisson Distribution',
   'hypothesis-test': 'Hypothesis Test',
+  'chi-square': 'Chi-Square Test',
+  'anova': 'One-Way ANOVA',
   'correlation-regression': 'Correlation & Regression',
   'frequency-distribution': 'Frequency Distribution',
+  'power': 'Power & Sample Size',
+  't-distribution': 't-Distribution',
+  'nonparametric': 'Nonparametric Tests',
+  'discrete-distributions': 'Discrete Distributions',
+  'continuous-distributions': 'Continuous Distributions',
+  'confidence-intervals': 'Confidence Intervals',
 };
 
 const CalculatorLayout = () => {
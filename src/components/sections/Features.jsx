@@ -53,10 +53,50 @@ const Features = () => {
       path: "/calculators/two-sample",
       description: "Compare two means or proportions"
     },
+    {
+      name: "Chi-Square Tests",
+      path: "/calculators/chi-square",
+      description: "Goodness-of-fit, independence"
+    },
+    {
+      name: "One-Way ANOVA",
+      path: "/calculators/anova",
+      description: "Compare 3+ group means, Tukey HSD"
+    },
     {
       name: "Correlation & Regression",
       path: "/calculators/correlation-regression",
       description: "Correlation, R², linear regression"
+    },
+    {
+      name: "Power & Sample Size",
+      path: "/calculators/power",
+      description: "Plan n, power curves"
+    },
+    {
+      name: "t-Distribution",
+      path: "/calculators/t-distribution",
+      description: "t probabilities, critical values"
+    },
+    {
+      name: "Nonparametric Tests",
+      path: "/calculators/nonparametric",
+      description: "Sign, Wilcoxon, Mann-Whitney, Kruskal-Wallis"
+    },
+    {
+      name: "Discrete Distributions",
+      path: "/calculators/discrete-distributions",
+      description: "Geometric, hypergeometric, more"
+    },
+    {
+      name: "Continuous Distributions",
+      path: "/calculators/continuous-distributions",
+      description: "CDF & inverse for 7 families"
+    },
+    {
+      name: "Confidence Intervals",
+      path: "/calculators/confidence-intervals",
+      description: "Intervals + coverage simulation"
     }
   ];
 
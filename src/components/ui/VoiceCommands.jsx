@@ -17,11 +17,44 @@ const NAV_ROUTES = {
   'poisson distribution': '/calculators/poisson',
   'hypothesis': '/calculators/hypothesis-test',
   'hypothesis test': '/calculators/hypothesis-test',
+  'chi square': '/calculators/chi-square',
+  'chi square test': '/calculators/chi-square',
+  'anova': '/calculators/anova',
+  'analysis of variance': '/calculators/anova',
   'correlation': '/calculators/correlation-regression',
   'regression': '/calculators/correlation-regression',
   'correlation regression': '/calculators/correlation-regression',
   'frequency': '/calculators/frequency-distribution',
   'frequency distribution': '/calculators/frequency-distribution',
+  'power': '/calculators/power',
+  'sample size': '/calculators/power',
+  'power analysis': '/calculators/power',
+  't distribution': '/calculators/t-distribution',
+  't-distribution': '/calculators/t-distribution',
+  'student t': '/calculators/t-distribution',
+  'nonparametric': '/calculators/nonparametric',
+  'mann whitney': '/calculators/nonparametric',
+  'wilcoxon': '/calculators/nonparametric',
+  'kruskal wallis': '/calculators/nonparametric',
+  'sign test': '/calculators/nonparametric',
+  'discrete distributions': '/calculators/discrete-distributions',
+  'geometric': '/calculators/discrete-distributions',
+  'geometric distribution': '/calculators/discrete-distributions',
+  'negative binomial': '/calculators/discrete-distributions',
+  'hypergeometric': '/calculators/discrete-distributions',
+  'hypergeometric distribution': '/calculators/discrete-distributions',
+  'discrete uniform': '/calculators/discrete-distributions',
+  'continuous distributions': '/calculators/continuous-distributions',
+  'exponential': '/calculators/continuous-distributions',
+  'exponential distribution': '/calculators/continuous-distributions',
+  'chi square distribution': '/calculators/continuous-distributions',
+  'f distribution': '/calculators/continuous-distributions',
+  'gamma distribution': '/calculators/continuous-distributions',
+  'beta distribution': '/calculators/continuous-distributions',
+  'lognormal': '/calculators/continuous-distributions',
+  'uniform distribution': '/calculators/continuous-distributions',
+  'confidence interval': '/calculators/confidence-intervals',
+  'confidence intervals': '/calculators/confidence-intervals',
 };
 
 // Section IDs voice users can scroll to
@@ -1,6 +1,6 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
-import { TrendingUp, BarChart3, Dices, PopsicleIcon, FileQuestionIcon, Circle, ScatterChart, Table2, GitCompare } from 'lucide-react';
+import { TrendingUp, BarChart3, Dices, PopsicleIcon, FileQuestionIcon, Circle, ScatterChart, Table2, GitCompare, Grid3x3, Layers, Target, Sigma, ListOrdered, Shapes, AreaChart, Crosshair } from 'lucide-react';
 import useDocumentTitle from '../hooks/useDocumentTitle';
 
 const LocalCalculatorsPage = () => {
@@ -56,6 +56,20 @@ const LocalCalculatorsPage = () => {
       icon: <GitCompare size={32} aria-hidden="true" />,
       path: '/calculators/two-sample'
     },
+    {
+      id: 'chi-square',
+      title: 'Chi-Square Tests',
+      description: 'Goodness-of-fit and independence tests with expected counts and contributions',
+      icon: <Grid3x3 size={32} aria-hidden="true" />,
+      path: '/calculators/chi-square'
+    },
+    {
+      id: 'anova',
+      title: 'One-Way ANOVA',
+      description: 'Compare three or more group means with an ANOVA table, box plots and Tukey HSD',
+      icon: <Layers size={32} aria-hidden="true" />,
+      path: '/calculators/anova'
+    },
     {
       id: 'correlation-regression',
       title: 'Correlation & Regression',
@@ -69,6 +83,48 @@ const LocalCalculatorsPage = () => {
       description: 'Create frequency tables with histograms and polygons for continuous and discrete data',
       icon: <Table2 size={32} aria-hidden="true" />,
       path: '/calculators/frequency-distribution'
+    },
+    {
+      id: 'power',
+      title: 'Power & Sample Size',
+      description: 'Plan how many subjects you need, or how much power your study has, for mean and proportion tests',
+      icon: <Target size={32} aria-hidden="true" />,
+      path: '/calculators/power'
+    },
+    {
+      id: 't-distribution',
+      title: 't-Distribution',
+      description: 'Find t probabilities and critical values for any degrees of freedom and compare t with the normal curve',
+      icon: <Sigma size={32} aria-hidden="true" />,
+      path: '/calculators/t-distribution'
+    },
+    {
+      id: 'nonparametric',
+      title: 'Nonparametric Tests',
+      description: 'Sign, Wilcoxon, Mann-Whitney and Kruskal-Wallis rank tests from raw data',
+      icon: <ListOrdered size={32} aria-hidden="true" />,
+      path: '/calculators/nonparametric'
+    },
+    {
+      id: 'discrete-distributions',
+      title: 'Discrete Distributions',
+      description: 'Geometric, negative binomial, hypergeometric and discrete uniform probabilities with PMF charts and tables',
+      icon: <Shapes size={32} aria-hidden="true" />,
+      path: '/calculators/discrete-distributions'
+    },
+    {
+      id: 'continuous-distributions',
+      title: 'Continuous Distributions',
+      description: 'Uniform, exponential, chi-square, F, gamma, beta and lognormal probabilities and percentiles with shaded curves',
+      icon: <AreaChart size={32} aria-hidden="true" />,
+      path: '/calculators/continuous-distributions'
+    },
+    {
+      id: 'confidence-intervals',
+      title: 'Confidence Intervals',
+      description: 'Intervals for means, proportions, variances and differences, with a coverage simulation',
+      icon: <Crosshair size={32} aria-hidden="true" />,
+      path: '/calculators/confidence-intervals'
     }
   ];
 
@@ -0,0 +1,117 @@
+/**
+ * One-Way ANOVA
+ *
+ * Analysis of variance for k independent groups, the F-distribution
+ * lookups it needs, and Tukey HSD pairwise comparisons for the follow-up.
+ *
+ * Dependencies: jStat
+ */
+
+import { jStat } from 'jstat';
+
+/**
+ * Right-tail critical value of the F distribution
+ * @param {number} alpha - Significance level
+ * @param {number} df1 - Numerator degrees of freedom
+ * @param {number} df2 - Denominator degrees of freedom
+ * @returns {number} Critical value F(1−α; df1, df2)
+ */
+export const getFCriticalValue = (alpha, df1, df2) => jStat.centralF.inv(1 - alpha, df1, df2);
+
+/**
+ * Right-tail p-value of an F statistic
+ * @param {number} statistic - Calculated F statistic
+ * @param {number} df1 - Numerator degrees of freedom
+ * @param {number} df2 - Denominator degrees of freedom
+ * @returns {number} P(F ≥ statistic)
+ */
+export const getFPValue = (statistic, df1, df2) => 1 - jStat.centralF.cdf(statistic, df1, df2);
+
+/**
+ * One-way analysis of variance
+ * Splits total variability into between-group (SSB) and within-group (SSW) parts
+ * and compares their mean squares with F = MSB / MSW.
+ *
+ * @param {number[][]} groups - Raw values for each group (k ≥ 2, each n ≥ 1)
+ * @returns {Object} groupStats, grandMean, ssb, ssw, sst, dfBetween, dfWithin,
+ *   dfTotal, msb, msw, f, pValue, etaSquared
+ */
+export const oneWayAnova = (groups) => {
+  const k = groups.length;
+  const allValues = groups.flat();
+  const N = allValues.length;
+  const grandMean = allValues.reduce((a, b) => a + b, 0) / N;
+
+  const groupStats = groups.map(values => {
+    const n = values.length;
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const ss = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0);
+    const variance = n > 1 ? ss / (n - 1) : 0;
+    return { n, mean, ss, variance, stdDev: Math.sqrt(variance) };
+  });
+
+  const ssb = groupStats.reduce((sum, g) => sum + g.n * Math.pow(g.mean - grandMean, 2), 0);
+  const ssw = groupStats.reduce((sum, g) => sum + g.ss, 0);
+  const sst = ssb + ssw;
+
+  const dfBetween = k - 1;
+  const dfWithin = N - k;
+  const msb = ssb / dfBetween;
+  const msw = ssw / dfWithin;
+  const f = msb / msw;
+
+  return {
+    groupStats,
+    grandMean,
+    ssb,
+    ssw,
+    sst,
+    dfBetween,
+    dfWithin,
+    dfTotal: N - 1,
+    msb,
+    msw,
+    f,
+    pValue: getFPValue(f, dfBetween, dfWithin),
+    etaSquared: sst > 0 ? ssb / sst : 0
+  };
+};
+
+/**
+ * Tukey's honestly significant difference for every pair of groups
+ * Uses the Tukey–Kramer standard error so unequal group sizes are allowed.
+ *
+ * @param {Object} anova - Result of oneWayAnova
+ * @param {number} alpha - Family-wise significance level
+ * @returns {Object} qCritical and comparisons [{ i, j, diff, se, q, hsd, lower, upper, pValue, significant }]
+ */
+export const tukeyHSD = (anova, alpha) => {
+  const { groupStats, msw, dfWithin } = anova;
+  const k = groupStats.length;
+  const qCritical = jStat.tukey.inv(1 - alpha, k, dfWithin);
+
+  const comparisons = [];
+  for (let i = 0; i < k; i++) {
+    for (let j = i + 1; j < k; j++) {
+      const diff = groupStats[i].mean - groupStats[j].mean;
+      const se = Math.sqrt((msw / 2) * (1 / groupStats[i].n + 1 / groupStats[j].n));
+      const q = Math.abs(diff) / se;
+      const hsd = qCritical * se;
+      const pValue = Math.min(1, Math.max(0, 1 - jStat.tukey.cdf(q, k, dfWithin)));
+      comparisons.push({
+        i,
+        j,
+        diff,
+        se,
+        q,
+        hsd,
+        lower: diff - hsd,
+        upper: diff + hsd,
+        pValue,
+        significant: Math.abs(diff) > hsd
+      });
+    }
+  }
+
+  return { qCritical, comparisons };
+};
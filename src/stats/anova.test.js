@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { getFCriticalValue, oneWayAnova, tukeyHSD } from './anova';
+
+describe('oneWayAnova', () => {
+  it('splits the sums of squares', () => {
+    // Group means 2, 5, 8: SSB = 3(9 + 0 + 9) = 54, SSW = 6, F = 27 / 1
+    const result = oneWayAnova([[1, 2, 3], [4, 5, 6], [7, 8, 9]]);
+    expect(result.ssb).toBeCloseTo(54, 10);
+    expect(result.ssw).toBeCloseTo(6, 10);
+    expect(result.f).toBeCloseTo(27, 10);
+    expect(result.pValue).toBeCloseTo(0.001, 6);
+    expect(result.etaSquared).toBeCloseTo(0.9, 10);
+  });
+
+  it('matches the F table', () => {
+    expect(getFCriticalValue(0.05, 2, 6)).toBeCloseTo(5.143253, 5);
+  });
+});
+
+describe('tukeyHSD', () => {
+  it('uses the studentized range critical value', () => {
+    const result = tukeyHSD(oneWayAnova([[1, 2, 3], [4, 5, 6], [7, 8, 9]]), 0.05);
+    // q(0.95; 3, 6) = 4.339
+    expect(result.qCritical).toBeCloseTo(4.339, 2);
+    expect(result.comparisons).toHaveLength(3);
+    expect(result.comparisons.every(c => c.significant)).toBe(true);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Histogram Binning Rules
+ *
+ * Choosing the classes of a frequency table for continuous data:
+ * - Class-count rules: Sturges, square root, Rice
+ * - Class-width rules: Scott, Freedman–Diaconis
+ * - Counting values into classes that are closed on the left [a, b) or on
+ *   the right (a, b]
+ *
+ * No React or DOM dependencies — safe to use anywhere.
+ */
+
+import { calculatePercentile } from './descriptive';
+
+export const BINNING_RULES = {
+  STURGES: 'sturges',
+  SQRT: 'sqrt',
+  RICE: 'rice',
+  SCOTT: 'scott',
+  FREEDMAN_DIACONIS: 'freedman-diaconis'
+};
+
+// Display name, formula and when each rule works well
+export const BINNING_RULE_INFO = {
+  [BINNING_RULES.STURGES]: {
+    name: 'Sturges',
+    formula: 'k = ⌈1 + 3.322 · log₁₀(n)⌉',
+    note: 'The classic textbook rule; assumes roughly normal data and gives few classes for large samples.'
+  },
+  [BINNING_RULES.SQRT]: {
+    name: 'Square Root',
+    formula: 'k = ⌈√n⌉',
+    note: 'Simple and quick; grows faster than Sturges as n increases.'
+  },
+  [BINNING_RULES.RICE]: {
+    name: 'Rice',
+    formula: 'k = ⌈2 · n^(1/3)⌉',
+    note: 'A little more classes than Sturges; good for medium and large samples.'
+  },
+  [BINNING_RULES.SCOTT]: {
+    name: 'Scott',
+    formula: 'w = 3.49 · s · n^(−1/3)',
+    note: 'Width from the standard deviation; works best for roughly normal data.'
+  },
+  [BINNING_RULES.FREEDMAN_DIACONIS]: {
+    name: 'Freedman–Diaconis',
+    formula: 'w = 2 · IQR · n^(−1/3)',
+    note: 'Width from the IQR, so outliers and skew do not distort it.'
+  }
+};
+
+export const BOUNDARY_CONVENTIONS = {
+  LEFT_CLOSED: 'left',
+  RIGHT_CLOSED: 'right'
+};
+
+// Round down / up to a number of decimals, removing floating-point noise first
+const roundTo = (value, decimals) => Number(value.toFixed(decimals));
+const floorTo = (value, decimals) => roundTo(Math.floor(roundTo(value * Math.pow(10, decimals), 6)) / Math.pow(10, decimals), decimals);
+const ceilTo = (value, decimals) => roundTo(Math.ceil(roundTo(value * Math.pow(10, decimals), 6)) / Math.pow(10, decimals), decimals);
+
+/**
+ * Number of classes suggested by a rule
+ * The width rules (Scott, Freedman–Diaconis) are turned into a count over the
+ * data range. When a width rule has no spread to work with (s or IQR is 0),
+ * Sturges is used instead and fallback is true.
+ *
+ * @param {number[]} data - Input data (n ≥ 1)
+ * @param {string} rule - One of BINNING_RULES
+ * @returns {Object} numClasses and fallback
+ */
+export const suggestClassCount = (data, rule) => {
+  const n = data.length;
+  const sturges = Math.max(1, Math.ceil(1 + 3.322 * Math.log10(n)));
+  const sorted = [...data].sort((a, b) => a - b);
+  const range = sorted[n - 1] - sorted[0];
+
+  let width = 0;
+  switch (rule) {
+    case BINNING_RULES.SQRT:
+      return { numClasses: Math.max(1, Math.ceil(Math.sqrt(n))), fallback: false };
+    case BINNING_RULES.RICE:
+      return { numClasses: Math.max(1, Math.ceil(2 * Math.cbrt(n))), fallback: false };
+    case BINNING_RULES.SCOTT: {
+      const mean = data.reduce((a, b) => a + b, 0) / n;
+      const sd = n > 1 ? Math.sqrt(data.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (n - 1)) : 0;
+      width = 3.49 * sd / Math.cbrt(n);
+      break;
+    }
+    case BINNING_RULES.FREEDMAN_DIACONIS: {
+      const iqr = calculatePercentile(sorted, 0.75) - calculatePercentile(sorted, 0.25);
+      width = 2 * iqr / Math.cbrt(n);
+      break;
+    }
+    default:
+      return { numClasses: sturges, fallback: false };
+  }
+
+  if (!(width > 0) || !(range > 0)) return { numClasses: sturges, fallback: true };
+  return { numClasses: Math.max(1, Math.ceil(range / width)), fallback: false };
+};
+
+/**
+ * Full class layout for a rule: how many classes, how wide, and where the
+ * first one starts. The start is the minimum rounded down and the width is
+ * rounded up to the chosen number of decimals, with the width wide enough
+ * that the classes always reach the maximum.
+ *
+ * @param {number[]} data - Input data (n ≥ 1)
+ * @param {string} rule - One of BINNING_RULES
+ * @param {number} decimals - Decimal places for the class limits (0 = whole numbers)
+ * @returns {Object} numClasses, width, start, fallback
+ */
+export const suggestBinning = (data, rule, decimals = 0) => {
+  const { numClasses, fallback } = suggestClassCount(data, rule);
+  const min = Math.min(...data);
+  const max = Math.max(...data);
+  const start = floorTo(min, decimals);
+  const span = max - start;
+  const step = Math.pow(10, -decimals);
+
+  if (!(span > 0)) return { numClasses: 1, width: step, start, fallback };
+
+  const width = Math.max(step, ceilTo(span / numClasses, decimals));
+  // Rounding the width up can make the last classes unnecessary; drop them.
+  // A maximum that lands exactly on the last limit is still counted, because
+  // the outermost class is closed on both sides.
+  const needed = Math.max(1, Math.ceil(roundTo(span / width, 9)));
+  return { numClasses: Math.min(numClasses, needed), width, start, fallback };
+};
+
+/**
+ * Count values into equal-width classes
+ * Left-closed classes are [a, b), with the last class [a, b] so the maximum
+ * is counted; right-closed classes are (a, b], with the first class [a, b].
+ * Values outside all classes are not counted.
+ *
+ * @param {number[]} data - Input data
+ * @param {Object} layout - start, width, numClasses
+ * @param {string} convention - One of BOUNDARY_CONVENTIONS
+ * @returns {Object[]} { lower, upper, midpoint, frequency } per class
+ */
+export const countIntoClasses = (data, { start, width, numClasses }, convention = BOUNDARY_CONVENTIONS.LEFT_CLOSED) => {
+  const classes = Array.from({ length: numClasses }, (_, i) => {
+    const lower = roundTo(start + i * width, 10);
+    const upper = roundTo(start + (i + 1) * width, 10);
+    return { lower, upper, midpoint: (lower + upper) / 2, frequency: 0 };
+  });
+  const last = classes.length - 1;
+  const rightClosed = convention === BOUNDARY_CONVENTIONS.RIGHT_CLOSED;
+
+  data.forEach(value => {
+    const index = classes.findIndex((cls, i) => (rightClosed
+      ? (value > cls.lower || (i === 0 && value === cls.lower)) && value <= cls.upper
+      : value >= cls.lower && (value < cls.upper || (i === last && value === cls.upper))));
+    if (index !== -1) classes[index].frequency++;
+  });
+
+  return classes;
+};
+
+/**
+ * Interval notation for a class, e.g. [10, 20) or (10, 20]
+ * The closed end follows the convention, and the outermost class is closed
+ * on both sides so no value at the edge is lost.
+ *
+ * @param {Object} cls - { lower, upper }
+ * @param {number} index - Position of the class
+ * @param {number} count - Number of classes
+ * @param {string} convention - One of BOUNDARY_CONVENTIONS
+ * @param {number} decimals - Decimal places to display
+ * @returns {string} Interval label
+ */
+export const formatClassInterval = (cls, index, count, convention, decimals) => {
+  const lower = cls.lower.toFixed(decimals);
+  const upper = cls.upper.toFixed(decimals);
+  if (convention === BOUNDARY_CONVENTIONS.RIGHT_CLOSED) {
+    return `${index === 0 ? '[' : '('}${lower}, ${upper}]`;
+  }
+  return `[${lower}, ${upper}${index === count - 1 ? ']' : ')'}`;
+};
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { BINNING_RULES, BOUNDARY_CONVENTIONS, suggestClassCount, countIntoClasses } from './binning';
+
+describe('suggestClassCount', () => {
+  it("applies Sturges' rule: ⌈1 + log₂ n⌉", () => {
+    const data = Array.from({ length: 100 }, (_, i) => i);
+    expect(suggestClassCount(data, BINNING_RULES.STURGES).numClasses).toBe(8);
+    expect(suggestClassCount(data, BINNING_RULES.SQRT).numClasses).toBe(10);
+  });
+});
+
+describe('countIntoClasses', () => {
+  it('counts a boundary value in the class it starts or ends', () => {
+    const layout = { start: 0, width: 2, numClasses: 3 };
+    const left = countIntoClasses([1, 2, 2, 3, 5], layout, BOUNDARY_CONVENTIONS.LEFT_CLOSED);
+    expect(left.map(c => c.frequency)).toEqual([1, 3, 1]);
+    const right = countIntoClasses([1, 2, 2, 3, 5], layout, BOUNDARY_CONVENTIONS.RIGHT_CLOSED);
+    expect(right.map(c => c.frequency)).toEqual([3, 1, 1]);
+  });
+});
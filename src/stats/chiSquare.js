@@ -0,0 +1,84 @@
+/**
+ * Chi-Square Tests
+ *
+ * Goodness-of-fit and r×c independence tests for categorical counts,
+ * plus the right-tail critical value and p-value lookups they share.
+ *
+ * Dependencies: jStat
+ */
+
+import { jStat } from 'jstat';
+
+/**
+ * Right-tail critical value of the chi-square distribution
+ * @param {number} alpha - Significance level
+ * @param {number} df - Degrees of freedom
+ * @returns {number} Critical value χ²(1−α, df)
+ */
+export const getChiSquareCriticalValue = (alpha, df) => jStat.chisquare.inv(1 - alpha, df);
+
+/**
+ * Right-tail p-value of a chi-square statistic
+ * @param {number} statistic - Calculated χ² statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(χ² ≥ statistic)
+ */
+export const getChiSquarePValue = (statistic, df) => 1 - jStat.chisquare.cdf(statistic, df);
+
+/**
+ * Chi-square goodness-of-fit test
+ * χ² = Σ (O − E)² / E with k − 1 degrees of freedom
+ * @param {number[]} observed - Observed counts per category
+ * @param {number[]} expected - Expected counts per category (same length, all > 0)
+ * @returns {Object} statistic, df, pValue, contributions
+ */
+export const chiSquareGoodnessOfFit = (observed, expected) => {
+  const contributions = observed.map((o, i) => Math.pow(o - expected[i], 2) / expected[i]);
+  const statistic = contributions.reduce((a, b) => a + b, 0);
+  const df = observed.length - 1;
+
+  return {
+    statistic,
+    df,
+    pValue: getChiSquarePValue(statistic, df),
+    contributions
+  };
+};
+
+/**
+ * Chi-square test of independence for an r×c contingency table
+ * Expected count for each cell = (row total × column total) / grand total
+ * @param {number[][]} table - Observed counts, one array per row
+ * @returns {Object} statistic, df, pValue, expected, contributions,
+ *   rowTotals, colTotals, grandTotal, cramersV
+ */
+export const chiSquareIndependence = (table) => {
+  const rows = table.length;
+  const cols = table[0].length;
+
+  const rowTotals = table.map(row => row.reduce((a, b) => a + b, 0));
+  const colTotals = table[0].map((_, j) => table.reduce((sum, row) => sum + row[j], 0));
+  const grandTotal = rowTotals.reduce((a, b) => a + b, 0);
+
+  const expected = table.map((row, i) => row.map((_, j) => (rowTotals[i] * colTotals[j]) / grandTotal));
+  const contributions = table.map((row, i) =>
+    row.map((o, j) => Math.pow(o - expected[i][j], 2) / expected[i][j])
+  );
+  const statistic = contributions.flat().reduce((a, b) => a + b, 0);
+  const df = (rows - 1) * (cols - 1);
+
+  // Cramér's V — effect size from 0 (no association) to 1 (perfect association)
+  const cramersV = Math.sqrt(statistic / (grandTotal * (Math.min(rows, cols) - 1)));
+
+  return {
+    statistic,
+    df,
+    pValue: getChiSquarePValue(statistic, df),
+    expected,
+    contributions,
+    rowTotals,
+    colTotals,
+    grandTotal,
+    cramersV
+  };
+};
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { getChiSquareCriticalValue, chiSquareGoodnessOfFit, chiSquareIndependence } from './chiSquare';
+
+describe('chiSquareGoodnessOfFit', () => {
+  it('sums (O − E)² / E', () => {
+    const result = chiSquareGoodnessOfFit([50, 30, 20], [100 / 3, 100 / 3, 100 / 3]);
+    expect(result.statistic).toBeCloseTo(14, 10);
+    expect(result.df).toBe(2);
+    expect(result.pValue).toBeCloseTo(Math.exp(-7), 10);
+  });
+});
+
+describe('chiSquareIndependence', () => {
+  it('uses row total × column total / grand total as expected counts', () => {
+    const result = chiSquareIndependence([[10, 20], [30, 40]]);
+    expect(result.expected).toEqual([[12, 18], [28, 42]]);
+    expect(result.statistic).toBeCloseTo(0.793651, 6);
+    expect(result.df).toBe(1);
+  });
+
+  it('matches the chi-square table', () => {
+    expect(getChiSquareCriticalValue(0.05, 1)).toBeCloseTo(3.841459, 5);
+  });
+});
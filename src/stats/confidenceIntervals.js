@@ -0,0 +1,295 @@
+/**
+ * Confidence Intervals
+ *
+ * Interval estimates for the common one- and two-sample parameters:
+ * - Mean with σ known (z) or estimated by s (t)
+ * - Proportion by the Wald, Wilson score and Clopper-Pearson (exact) methods
+ * - Variance and standard deviation from the chi-square distribution
+ * - Difference of two means (Welch or pooled t) and of two proportions (Wald)
+ * Also simulates repeated sampling from a known population, so the share of
+ * intervals that capture the true parameter can be compared with the
+ * confidence level.
+ *
+ * Dependencies: jStat
+ */
+
+import { jStat } from 'jstat';
+import { DISTRIBUTION_TYPES, TAIL_TYPES, getCriticalValue } from './inference';
+
+export const CI_TYPES = {
+  MEAN_Z: 'mean-z',
+  MEAN_T: 'mean-t',
+  PROPORTION: 'proportion',
+  VARIANCE: 'variance',
+  DIFF_MEANS: 'difference-of-means',
+  DIFF_PROPORTIONS: 'difference-of-proportions'
+};
+
+export const PROPORTION_METHODS = {
+  WALD: 'wald',
+  WILSON: 'wilson',
+  CLOPPER_PEARSON: 'clopper-pearson'
+};
+
+// Two-sided critical value (positive) for a confidence level
+const zCritical = (confidence) => Math.abs(getCriticalValue(1 - confidence, DISTRIBUTION_TYPES.Z, TAIL_TYPES.TWO));
+const tCritical = (confidence, df) => Math.abs(getCriticalValue(1 - confidence, DISTRIBUTION_TYPES.T, TAIL_TYPES.TWO, df));
+
+// Symmetric interval: estimate ± critical × SE
+const symmetricInterval = (estimate, standardError, critical, extra = {}) => {
+  const margin = critical * standardError;
+  return { estimate, standardError, critical, margin, lower: estimate - margin, upper: estimate + margin, ...extra };
+};
+
+/**
+ * Interval for a mean when the population SD is known
+ * x̄ ± z* × σ/√n
+ *
+ * @param {number} mean - Sample mean x̄
+ * @param {number} sigma - Population standard deviation σ (> 0)
+ * @param {number} n - Sample size (≥ 1)
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @returns {Object} estimate, standardError, critical, margin, lower, upper
+ */
+export const zMeanInterval = (mean, sigma, n, confidence) =>
+  symmetricInterval(mean, sigma / Math.sqrt(n), zCritical(confidence));
+
+/**
+ * Interval for a mean when the SD is estimated from the sample
+ * x̄ ± t* × s/√n with n − 1 degrees of freedom
+ *
+ * @param {number} mean - Sample mean x̄
+ * @param {number} sd - Sample standard deviation s (> 0)
+ * @param {number} n - Sample size (≥ 2)
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @returns {Object} estimate, standardError, critical, df, margin, lower, upper
+ */
+export const tMeanInterval = (mean, sd, n, confidence) => {
+  const df = n - 1;
+  return symmetricInterval(mean, sd / Math.sqrt(n), tCritical(confidence, df), { df });
+};
+
+/**
+ * Interval for a proportion
+ * - Wald: p̂ ± z* √(p̂(1 − p̂)/n). Simple, but covers too rarely when n is
+ *   small or p̂ is near 0 or 1, and can run past 0 or 1.
+ * - Wilson: inverts the score test; pulled toward ½ and always inside [0, 1].
+ * - Clopper-Pearson: inverts the exact binomial test using beta quantiles;
+ *   guarantees at least the stated coverage, so it is the widest.
+ *
+ * @param {number} successes - Number of successes x (0 ≤ x ≤ n)
+ * @param {number} n - Number of trials (≥ 1)
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @param {string} method - One of PROPORTION_METHODS
+ * @returns {Object} estimate (p̂), standardError (Wald SE), critical (z*),
+ *   center, margin (half the width), lower, upper
+ */
+export const proportionInterval = (successes, n, confidence, method) => {
+  const pHat = successes / n;
+  const z = zCritical(confidence);
+  const standardError = Math.sqrt((pHat * (1 - pHat)) / n);
+
+  switch (method) {
+    case PROPORTION_METHODS.WALD:
+      return { ...symmetricInterval(pHat, standardError, z), center: pHat };
+    case PROPORTION_METHODS.WILSON: {
+      const z2 = z * z;
+      const denominator = 1 + z2 / n;
+      const center = (pHat + z2 / (2 * n)) / denominator;
+      const margin = (z / denominator) * Math.sqrt((pHat * (1 - pHat)) / n + z2 / (4 * n * n));
+      return { estimate: pHat, standardError, critical: z, center, margin, lower: center - margin, upper: center + margin };
+    }
+    case PROPORTION_METHODS.CLOPPER_PEARSON: {
+      const alpha = 1 - confidence;
+      const lower = successes === 0 ? 0 : jStat.beta.inv(alpha / 2, successes, n - successes + 1);
+      const upper = successes === n ? 1 : jStat.beta.inv(1 - alpha / 2, successes + 1, n - successes);
+      return { estimate: pHat, standardError, critical: z, center: (lower + upper) / 2, margin: (upper - lower) / 2, lower, upper };
+    }
+    default:
+      throw new Error(`Unknown proportion method: ${method}`);
+  }
+};
+
+/**
+ * Interval for a population variance, and for σ by taking square roots
+ * [(n − 1)s² / χ²(1 − α/2), (n − 1)s² / χ²(α/2)]. Not symmetric about s², and
+ * only valid when the population is close to normal.
+ *
+ * @param {number} sd - Sample standard deviation s (> 0)
+ * @param {number} n - Sample size (≥ 2)
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @returns {Object} df, chiLower (χ² at α/2), chiUpper (χ² at 1 − α/2),
+ *   variance and sd, each { estimate, lower, upper }
+ */
+export const varianceInterval = (sd, n, confidence) => {
+  const df = n - 1;
+  const alpha = 1 - confidence;
+  const chiLower = jStat.chisquare.inv(alpha / 2, df);
+  const chiUpper = jStat.chisquare.inv(1 - alpha / 2, df);
+  const variance = sd * sd;
+  const lower = (df * variance) / chiUpper;
+  const upper = (df * variance) / chiLower;
+  return {
+    df,
+    chiLower,
+    chiUpper,
+    variance: { estimate: variance, lower, upper },
+    sd: { estimate: sd, lower: Math.sqrt(lower), upper: Math.sqrt(upper) }
+  };
+};
+
+/**
+ * Interval for the difference of two means, μ₁ − μ₂
+ * Welch (default): SE = √(s₁²/n₁ + s₂²/n₂) with the Welch–Satterthwaite df.
+ * Pooled: assumes equal population SDs, SE = sp √(1/n₁ + 1/n₂), df = n₁ + n₂ − 2.
+ *
+ * @param {Object} group1 - { mean, sd, n } (n ≥ 2)
+ * @param {Object} group2 - { mean, sd, n } (n ≥ 2)
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @param {boolean} [pooled=false] - Use the pooled-variance interval
+ * @returns {Object} estimate, standardError, critical, df, margin, lower,
+ *   upper, plus pooledSd when pooled
+ */
+export const differenceOfMeansInterval = (group1, group2, confidence, pooled = false) => {
+  const estimate = group1.mean - group2.mean;
+  const v1 = (group1.sd * group1.sd) / group1.n;
+  const v2 = (group2.sd * group2.sd) / group2.n;
+
+  if (pooled) {
+    const df = group1.n + group2.n - 2;
+    const pooledSd = Math.sqrt(((group1.n - 1) * group1.sd ** 2 + (group2.n - 1) * group2.sd ** 2) / df);
+    const standardError = pooledSd * Math.sqrt(1 / group1.n + 1 / group2.n);
+    return symmetricInterval(estimate, standardError, tCritical(confidence, df), { df, pooledSd });
+  }
+
+  const df = (v1 + v2) ** 2 / (v1 ** 2 / (group1.n - 1) + v2 ** 2 / (group2.n - 1));
+  return symmetricInterval(estimate, Math.sqrt(v1 + v2), tCritical(confidence, df), { df });
+};
+
+/**
+ * Interval for the difference of two proportions, p₁ − p₂ (Wald)
+ * (p̂₁ − p̂₂) ± z* √(p̂₁(1 − p̂₁)/n₁ + p̂₂(1 − p̂₂)/n₂). Unlike the two-proportion
+ * test, the SE is not pooled: no common value of p is being assumed.
+ *
+ * @param {number} x1 - Successes in group 1
+ * @param {number} n1 - Size of group 1 (≥ 1)
+ * @param {number} x2 - Successes in group 2
+ * @param {number} n2 - Size of group 2 (≥ 1)
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @returns {Object} estimate, p1, p2, standardError, critical, margin, lower, upper
+ */
+export const differenceOfProportionsInterval = (x1, n1, x2, n2, confidence) => {
+  const p1 = x1 / n1;
+  const p2 = x2 / n2;
+  const standardError = Math.sqrt((p1 * (1 - p1)) / n1 + (p2 * (1 - p2)) / n2);
+  return symmetricInterval(p1 - p2, standardError, zCritical(confidence), { p1, p2 });
+};
+
+// ========================================
+// COVERAGE SIMULATION
+// ========================================
+
+// Standard normal draw (Box-Muller)
+const standardNormal = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Mean and SD of n draws from N(μ, σ)
+const drawNormalSample = (mu, sigma, n, random) => {
+  const values = Array.from({ length: n }, () => mu + sigma * standardNormal(random));
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const ss = values.reduce((sum, v) => sum + (v - mean) ** 2, 0);
+  return { mean, sd: Math.sqrt(ss / (n - 1)) };
+};
+
+// Number of successes in n Bernoulli(p) trials
+const drawBinomial = (n, p, random) => {
+  let successes = 0;
+  for (let i = 0; i < n; i++) {
+    if (random() < p) successes++;
+  }
+  return successes;
+};
+
+/**
+ * The parameter an interval type estimates, for a known population
+ * (σ, not σ², for VARIANCE — the simulation plots intervals for σ)
+ *
+ * @param {string} type - One of CI_TYPES
+ * @param {Object} population - mu, sigma (means, variance); p (proportion);
+ *   mu1, sigma1, mu2, sigma2 (difference of means); p1, p2 (difference of proportions)
+ * @returns {number} True parameter value
+ */
+export const trueParameter = (type, population) => {
+  switch (type) {
+    case CI_TYPES.MEAN_Z:
+    case CI_TYPES.MEAN_T:
+      return population.mu;
+    case CI_TYPES.PROPORTION:
+      return population.p;
+    case CI_TYPES.VARIANCE:
+      return population.sigma;
+    case CI_TYPES.DIFF_MEANS:
+      return population.mu1 - population.mu2;
+    case CI_TYPES.DIFF_PROPORTIONS:
+      return population.p1 - population.p2;
+    default:
+      throw new Error(`Unknown interval type: ${type}`);
+  }
+};
+
+/**
+ * Draw repeated samples from a known population and build an interval from each
+ * Two-sample types use n observations in each group.
+ *
+ * @param {string} type - One of CI_TYPES
+ * @param {Object} population - See trueParameter
+ * @param {number} n - Sample size (per group for two-sample types)
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @param {number} count - Number of intervals
+ * @param {Object} [options]
+ * @param {string} [options.method] - PROPORTION_METHODS value (PROPORTION only)
+ * @param {boolean} [options.pooled=false] - Pooled t interval (DIFF_MEANS only)
+ * @param {Function} [options.random=Math.random] - Uniform(0, 1) generator
+ * @returns {Object} parameter (true value), intervals[{ estimate, lower, upper,
+ *   captured }] and captured (how many contain the parameter)
+ */
+export const simulateIntervals = (type, population, n, confidence, count, { method = PROPORTION_METHODS.WALD, pooled = false, random = Math.random } = {}) => {
+  const parameter = trueParameter(type, population);
+
+  const buildOne = () => {
+    switch (type) {
+      case CI_TYPES.MEAN_Z: {
+        const { mean } = drawNormalSample(population.mu, population.sigma, n, random);
+        return zMeanInterval(mean, population.sigma, n, confidence);
+      }
+      case CI_TYPES.MEAN_T: {
+        const { mean, sd } = drawNormalSample(population.mu, population.sigma, n, random);
+        return tMeanInterval(mean, sd, n, confidence);
+      }
+      case CI_TYPES.PROPORTION:
+        return proportionInterval(drawBinomial(n, population.p, random), n, confidence, method);
+      case CI_TYPES.VARIANCE: {
+        const { sd } = drawNormalSample(population.mu, population.sigma, n, random);
+        return varianceInterval(sd, n, confidence).sd;
+      }
+      case CI_TYPES.DIFF_MEANS: {
+        const group1 = { ...drawNormalSample(population.mu1, population.sigma1, n, random), n };
+        const group2 = { ...drawNormalSample(population.mu2, population.sigma2, n, random), n };
+        return differenceOfMeansInterval(group1, group2, confidence, pooled);
+      }
+      case CI_TYPES.DIFF_PROPORTIONS:
+        return differenceOfProportionsInterval(drawBinomial(n, population.p1, random), n, drawBinomial(n, population.p2, random), n, confidence);
+      default:
+        throw new Error(`Unknown interval type: ${type}`);
+    }
+  };
+
+  const intervals = Array.from({ length: count }, () => {
+    const { estimate, lower, upper } = buildOne();
+    return { estimate, lower, upper, captured: lower <= parameter && parameter <= upper };
+  });
+
+  return { parameter, intervals, captured: intervals.filter(i => i.captured).length };
+};
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CI_TYPES,
+  PROPORTION_METHODS,
+  zMeanInterval,
+  tMeanInterval,
+  proportionInterval,
+  varianceInterval,
+  differenceOfMeansInterval,
+  differenceOfProportionsInterval,
+  simulateIntervals
+} from './confidenceIntervals';
+
+// Park–Miller generator, so the simulation is repeatable
+const seededRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+describe('mean intervals', () => {
+  it('z interval: 100 ± 1.96 × 15/6', () => {
+    const ci = zMeanInterval(100, 15, 36, 0.95);
+    expect(ci.lower).toBeCloseTo(95.1, 3);
+    expect(ci.upper).toBeCloseTo(104.9, 3);
+  });
+
+  it('t interval uses n − 1 degrees of freedom', () => {
+    const ci = tMeanInterval(50, 10, 16, 0.95);
+    expect(ci.df).toBe(15);
+    expect(ci.critical).toBeCloseTo(2.131450, 5);
+    expect(ci.lower).toBeCloseTo(44.6714, 4);
+  });
+});
+
+describe('proportionInterval', () => {
+  it('matches the Wald, Wilson and Clopper-Pearson bounds for 12 of 40', () => {
+    const wald = proportionInterval(12, 40, 0.95, PROPORTION_METHODS.WALD);
+    expect(wald.lower).toBeCloseTo(0.15799, 5);
+    expect(wald.upper).toBeCloseTo(0.44201, 5);
+    // R: prop.test(12, 40, correct = FALSE)$conf.int → 0.18075, 0.45430
+    const wilson = proportionInterval(12, 40, 0.95, PROPORTION_METHODS.WILSON);
+    expect(wilson.lower).toBeCloseTo(0.18075, 5);
+    expect(wilson.upper).toBeCloseTo(0.45430, 5);
+    // R: binom.test(12, 40)$conf.int → 0.16563, 0.46532
+    const exact = proportionInterval(12, 40, 0.95, PROPORTION_METHODS.CLOPPER_PEARSON);
+    expect(exact.lower).toBeCloseTo(0.16563, 5);
+    expect(exact.upper).toBeCloseTo(0.46532, 5);
+  });
+
+  it('pins Clopper-Pearson to 0 or 1 at the edges', () => {
+    // R: binom.test(0, 20)$conf.int → 0, 0.16843
+    const none = proportionInterval(0, 20, 0.95, PROPORTION_METHODS.CLOPPER_PEARSON);
+    expect(none.lower).toBe(0);
+    expect(none.upper).toBeCloseTo(0.16843, 5);
+    expect(proportionInterval(20, 20, 0.95, PROPORTION_METHODS.CLOPPER_PEARSON).upper).toBe(1);
+  });
+});
+
+describe('varianceInterval', () => {
+  it('divides (n − 1)s² by the chi-square quantiles', () => {
+    const ci = varianceInterval(5, 10, 0.95);
+    expect(ci.chiLower).toBeCloseTo(2.700389, 5);
+    expect(ci.chiUpper).toBeCloseTo(19.022768, 5);
+    expect(ci.variance.lower).toBeCloseTo(11.8279, 4);
+    expect(ci.variance.upper).toBeCloseTo(83.3213, 4);
+    expect(ci.sd.upper).toBeCloseTo(Math.sqrt(83.3213), 4);
+  });
+});
+
+describe('two-sample intervals', () => {
+  it('uses the Welch degrees of freedom unless pooled', () => {
+    const group1 = { mean: 20, sd: 4, n: 15 };
+    const group2 = { mean: 17, sd: 5, n: 20 };
+    const welch = differenceOfMeansInterval(group1, group2, 0.95);
+    expect(welch.df).toBeCloseTo(32.824, 3);
+    expect(welch.lower).toBeCloseTo(-0.0973, 4);
+    const pooled = differenceOfMeansInterval(group1, group2, 0.95, true);
+    expect(pooled.df).toBe(33);
+    expect(pooled.pooledSd).toBeCloseTo(4.60237, 5);
+  });
+
+  it('does not pool the proportions', () => {
+    const ci = differenceOfProportionsInterval(60, 100, 45, 100, 0.95);
+    expect(ci.estimate).toBeCloseTo(0.15, 10);
+    expect(ci.standardError).toBeCloseTo(Math.sqrt(0.24 / 100 + 0.2475 / 100), 10);
+  });
+});
+
+describe('simulateIntervals', () => {
+  it('captures the true mean about 95% of the time', () => {
+    const run = simulateIntervals(CI_TYPES.MEAN_T, { mu: 10, sigma: 2 }, 30, 0.95, 2000, { random: seededRandom(1) });
+    expect(run.parameter).toBe(10);
+    expect(run.intervals).toHaveLength(2000);
+    expect(run.captured / 2000).toBeGreaterThan(0.93);
+    expect(run.captured / 2000).toBeLessThan(0.97);
+  });
+
+  it('shows the Wald interval under-covering for a small n and p', () => {
+    const population = { p: 0.05 };
+    const wald = simulateIntervals(CI_TYPES.PROPORTION, population, 20, 0.95, 2000, { method: PROPORTION_METHODS.WALD, random: seededRandom(2) });
+    const exact = simulateIntervals(CI_TYPES.PROPORTION, population, 20, 0.95, 2000, { method: PROPORTION_METHODS.CLOPPER_PEARSON, random: seededRandom(2) });
+    expect(wald.captured / 2000).toBeLessThan(0.8);
+    expect(exact.captured / 2000).toBeGreaterThan(0.95);
+  });
+});
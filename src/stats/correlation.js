@@ -0,0 +1,137 @@
+/**
+ * Correlation Measures
+ *
+ * Rank-based alternatives to Pearson's r and the covariance matrix:
+ * - Spearman's ρ: Pearson's r computed on the ranks
+ * - Kendall's τ-b: agreement in direction over all pairs of points
+ * Both depend only on the ordering of the data, so a single extreme value
+ * moves them far less than it moves Pearson's r. Tied values receive
+ * average ranks, and both tests correct for ties.
+ *
+ * Dependencies: jStat (through inference.js)
+ */
+
+import { getPValue, DISTRIBUTION_TYPES, TAIL_TYPES } from './inference';
+import { calculateRanks, tieGroupSizes } from './descriptive';
+
+/**
+ * Pearson correlation of two equal-length arrays
+ * @returns {number} r (0 when either variable has no variation)
+ */
+const pearson = (x, y) => {
+  const n = x.length;
+  const meanX = x.reduce((a, b) => a + b, 0) / n;
+  const meanY = y.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - meanX) * (y[i] - meanY);
+    sxx += Math.pow(x[i] - meanX, 2);
+    syy += Math.pow(y[i] - meanY, 2);
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+};
+
+/**
+ * Spearman's rank correlation with a t-test of H₀: ρ = 0
+ * Computing Pearson's r on average ranks handles ties exactly; the shortcut
+ * 1 − 6Σd²/(n(n² − 1)) is only valid without ties.
+ * t = ρ·√(n − 2) / √(1 − ρ²) with n − 2 degrees of freedom.
+ *
+ * @param {number[]} x - First variable
+ * @param {number[]} y - Second variable (same length, n ≥ 3)
+ * @returns {Object} rho, t, df, pValue (two-tailed), ranksX, ranksY
+ */
+export const spearmanCorrelation = (x, y) => {
+  const ranksX = calculateRanks(x);
+  const ranksY = calculateRanks(y);
+  const rho = pearson(ranksX, ranksY);
+  const df = x.length - 2;
+  const t = Math.abs(rho) >= 1 ? Math.sign(rho) * Infinity : rho * Math.sqrt(df / (1 - rho * rho));
+
+  return {
+    rho,
+    t,
+    df,
+    pValue: Number.isFinite(t) ? getPValue(t, DISTRIBUTION_TYPES.T, TAIL_TYPES.TWO, df) : 0,
+    ranksX,
+    ranksY
+  };
+};
+
+/**
+ * Kendall's τ-b with a normal-approximation test of H₀: τ = 0
+ *
+ * S = (concordant pairs) − (discordant pairs)
+ * τ-b = S / √((n₀ − n₁)(n₀ − n₂)), where n₀ = n(n − 1)/2 and n₁, n₂ count
+ * the pairs tied in x and in y. Var(S) uses the standard tie correction.
+ *
+ * @param {number[]} x - First variable
+ * @param {number[]} y - Second variable (same length, n ≥ 3)
+ * @returns {Object} tau, concordant, discordant, s, z, pValue (two-tailed)
+ */
+export const kendallTau = (x, y) => {
+  const n = x.length;
+  let concordant = 0;
+  let discordant = 0;
+
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const direction = Math.sign(x[j] - x[i]) * Math.sign(y[j] - y[i]);
+      if (direction > 0) concordant++;
+      else if (direction < 0) discordant++;
+    }
+  }
+
+  const tiesX = tieGroupSizes(x);
+  const tiesY = tieGroupSizes(y);
+  const pairs = (t) => (t * (t - 1)) / 2;
+  const n0 = pairs(n);
+  const n1 = tiesX.reduce((sum, t) => sum + pairs(t), 0);
+  const n2 = tiesY.reduce((sum, t) => sum + pairs(t), 0);
+
+  const s = concordant - discordant;
+  const denominator = Math.sqrt((n0 - n1) * (n0 - n2));
+  const tau = denominator > 0 ? s / denominator : 0;
+
+  // Variance of S under H₀ with ties in x (t) and y (u)
+  const sumOver = (ties, f) => ties.reduce((sum, t) => sum + f(t), 0);
+  const v0 = n * (n - 1) * (2 * n + 5);
+  const vt = sumOver(tiesX, t => t * (t - 1) * (2 * t + 5));
+  const vu = sumOver(tiesY, u => u * (u - 1) * (2 * u + 5));
+  const v1 = sumOver(tiesX, t => t * (t - 1)) * sumOver(tiesY, u => u * (u - 1));
+  const v2 = sumOver(tiesX, t => t * (t - 1) * (t - 2)) * sumOver(tiesY, u => u * (u - 1) * (u - 2));
+  const varianceS = (v0 - vt - vu) / 18
+    + v1 / (2 * n * (n - 1))
+    + (n > 2 ? v2 / (9 * n * (n - 1) * (n - 2)) : 0);
+
+  const z = varianceS > 0 ? s / Math.sqrt(varianceS) : 0;
+
+  return {
+    tau,
+    concordant,
+    discordant,
+    s,
+    z,
+    pValue: getPValue(z, DISTRIBUTION_TYPES.Z, TAIL_TYPES.TWO)
+  };
+};
+
+/**
+ * Sample covariance matrix: Cov(a, b) = Σ(aᵢ − ā)(bᵢ − b̄) / (n − 1)
+ * The diagonal holds each variable's variance.
+ *
+ * @param {number[][]} columns - One array per variable, all of length n ≥ 2
+ * @returns {number[][]} Symmetric matrix of covariances
+ */
+export const covarianceMatrix = (columns) => {
+  const n = columns[0].length;
+  const means = columns.map(column => column.reduce((a, b) => a + b, 0) / n);
+
+  return columns.map((a, i) =>
+    columns.map((b, j) =>
+      a.reduce((sum, v, index) => sum + (v - means[i]) * (b[index] - means[j]), 0) / (n - 1)
+    )
+  );
+};
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { spearmanCorrelation, kendallTau, covarianceMatrix } from './correlation';
+
+describe('rank correlations', () => {
+  it('Spearman: 1 − 6Σd² / n(n² − 1)', () => {
+    expect(spearmanCorrelation([1, 2, 3, 4, 5], [2, 1, 4, 3, 5]).rho).toBeCloseTo(0.8, 10);
+  });
+
+  it('Kendall: (concordant − discordant) / pairs', () => {
+    const result = kendallTau([1, 2, 3, 4], [1, 3, 2, 4]);
+    expect(result.concordant).toBe(5);
+    expect(result.discordant).toBe(1);
+    expect(result.tau).toBeCloseTo(2 / 3, 10);
+  });
+});
+
+describe('covarianceMatrix', () => {
+  it('uses the n − 1 divisor', () => {
+    expect(covarianceMatrix([[1, 2, 3], [2, 4, 6]])).toEqual([[1, 2], [2, 4]]);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Two-Way Tables (Cross-Tabulation)
+ *
+ * Counting observations of two categorical variables together:
+ * - Building the r×c table of counts from (row, column) observations
+ * - Row, column and total percentages, with the marginal totals
+ * Row percentages give the distribution of the column variable within each
+ * row category (the conditional distribution); column percentages do the same
+ * the other way round.
+ *
+ * No React or DOM dependencies — safe to use anywhere.
+ */
+
+/**
+ * Cross-tabulate observations of two categorical variables
+ * Category names are matched without regard to case, keeping the first
+ * spelling seen; categories are listed in order of first appearance.
+ *
+ * @param {Object[]} records - { row, col, count } per observation or group of
+ *   identical observations (count ≥ 0)
+ * @returns {Object} rowLabels, colLabels and counts (one array per row)
+ */
+export const crossTabulate = (records) => {
+  const rowIndex = new Map();
+  const colIndex = new Map();
+  const rowLabels = [];
+  const colLabels = [];
+  const indexOf = (map, labels, name) => {
+    const key = name.toLowerCase();
+    if (!map.has(key)) {
+      map.set(key, labels.length);
+      labels.push(name);
+    }
+    return map.get(key);
+  };
+
+  const cells = records.map(({ row, col, count }) => ({
+    r: indexOf(rowIndex, rowLabels, row),
+    c: indexOf(colIndex, colLabels, col),
+    count
+  }));
+  const counts = rowLabels.map(() => colLabels.map(() => 0));
+  cells.forEach(({ r, c, count }) => { counts[r][c] += count; });
+
+  return { rowLabels, colLabels, counts };
+};
+
+/**
+ * Marginal totals and percentages of a two-way table
+ * Row percentages divide each count by its row total, column percentages by
+ * its column total and total percentages by the grand total. A row or column
+ * with a total of 0 gets percentages of 0.
+ *
+ * @param {number[][]} counts - Observed counts, one array per row
+ * @returns {Object} rowTotals, colTotals, grandTotal, rowPercents,
+ *   colPercents, totalPercents (each r×c), rowTotalPercents, colTotalPercents
+ */
+export const twoWayPercentages = (counts) => {
+  const rowTotals = counts.map(row => row.reduce((sum, v) => sum + v, 0));
+  const colTotals = counts[0].map((_, j) => counts.reduce((sum, row) => sum + row[j], 0));
+  const grandTotal = rowTotals.reduce((sum, v) => sum + v, 0);
+  const percent = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0);
+
+  return {
+    rowTotals,
+    colTotals,
+    grandTotal,
+    rowPercents: counts.map((row, i) => row.map(v => percent(v, rowTotals[i]))),
+    colPercents: counts.map(row => row.map((v, j) => percent(v, colTotals[j]))),
+    totalPercents: counts.map(row => row.map(v => percent(v, grandTotal))),
+    rowTotalPercents: rowTotals.map(v => percent(v, grandTotal)),
+    colTotalPercents: colTotals.map(v => percent(v, grandTotal))
+  };
+};
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { crossTabulate, twoWayPercentages } from './crossTab';
+
+describe('crossTabulate', () => {
+  it('matches category names without regard to case', () => {
+    const table = crossTabulate([
+      { row: 'Yes', col: 'A', count: 2 },
+      { row: 'no', col: 'B', count: 1 },
+      { row: 'yes', col: 'b', count: 3 }
+    ]);
+    expect(table.rowLabels).toEqual(['Yes', 'no']);
+    expect(table.colLabels).toEqual(['A', 'B']);
+    expect(table.counts).toEqual([[2, 3], [0, 1]]);
+  });
+});
+
+describe('twoWayPercentages', () => {
+  it('divides by row, column and grand totals', () => {
+    const result = twoWayPercentages([[10, 30], [20, 40]]);
+    expect(result.grandTotal).toBe(100);
+    expect(result.rowPercents[0]).toEqual([25, 75]);
+    expect(result.colPercents[0][0]).toBeCloseTo(100 / 3, 10);
+    expect(result.totalPercents[1][1]).toBe(40);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Descriptive Statistics
+ *
+ * Pure functions for summarizing a list of numbers:
+ * - Center (mean, median, mode)
+ * - Spread (range, variance, standard deviation, IQR)
+ * - Position (percentiles, quartiles, outlier fences, ranks, z-scores)
+ * - Shape (skewness and excess kurtosis with standard errors)
+ * - Robust and alternative centers (trimmed, winsorized, geometric, harmonic means, MAD)
+ * Every measure also accepts frequency weights, for data given as a
+ * value/frequency table.
+ *
+ * No React or DOM dependencies — safe to use anywhere.
+ */
+
+/**
+ * Calculate a percentile using linear interpolation between closest ranks
+ *
+ * @param {number[]} sortedNumbers - Numbers sorted in ascending order
+ * @param {number} percentile - Percentile as a fraction (0-1)
+ * @returns {number} Interpolated percentile value
+ */
+export const calculatePercentile = (sortedNumbers, percentile) => {
+  const index = percentile * (sortedNumbers.length - 1);
+  const lower = Math.floor(index);
+  const upper = lower + 1;
+  const weight = index % 1;
+
+  if (upper >= sortedNumbers.length) return sortedNumbers[lower];
+  return sortedNumbers[lower] * (1 - weight) + sortedNumbers[upper] * weight;
+};
+
+/**
+ * Rank values from 1 (smallest) to n, giving tied values the average of the
+ * ranks they occupy (e.g., two values tied for 3rd and 4th both get 3.5)
+ *
+ * @param {number[]} values - Input data (any order)
+ * @returns {number[]} Rank of each value, in input order
+ */
+export const calculateRanks = (values) => {
+  const order = values
+    .map((value, index) => ({ value, index }))
+    .sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    // Positions start..end (0-based) share ranks start+1..end+1
+    const averageRank = (start + end + 2) / 2;
+    for (let i = start; i <= end; i++) ranks[order[i].index] = averageRank;
+    start = end + 1;
+  }
+
+  return ranks;
+};
+
+/**
+ * Sizes of the groups of tied values (groups of size 1 are left out)
+ * Used by the tie corrections of rank-based tests.
+ *
+ * @param {number[]} values - Input data (any order)
+ * @returns {number[]} One entry per distinct value that appears more than once
+ */
+export const tieGroupSizes = (values) => {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  return [...counts.values()].filter(count => count > 1);
+};
+
+// Share of values cut from each end for the trimmed and winsorized means
+export const TRIM_PROPORTION = 0.1;
+
+/**
+ * Value at 0-based position t of a frequency table read as an expanded,
+ * sorted list (a value with frequency f fills f consecutive positions)
+ */
+const weightedValueAt = (sortedValues, sortedWeights, t) => {
+  let cumulative = 0;
+  for (let i = 0; i < sortedValues.length; i++) {
+    cumulative += sortedWeights[i];
+    if (t < cumulative) return sortedValues[i];
+  }
+  return sortedValues[sortedValues.length - 1];
+};
+
+/**
+ * Percentile of frequency-weighted data, using the same linear interpolation
+ * as calculatePercentile. A value with frequency f counts as f copies of
+ * itself, so whole-number frequencies give exactly the result for the
+ * expanded list.
+ *
+ * @param {number[]} sortedValues - Values sorted in ascending order
+ * @param {number[]} sortedWeights - Frequency of each value (same order, all > 0)
+ * @param {number} percentile - Percentile as a fraction (0-1)
+ * @returns {number} Interpolated percentile value
+ */
+export const calculateWeightedPercentile = (sortedValues, sortedWeights, percentile) => {
+  const total = sortedWeights.reduce((a, b) => a + b, 0);
+  const valueAt = (t) => weightedValueAt(sortedValues, sortedWeights, t);
+  const index = percentile * (total - 1);
+  const lower = Math.max(0, Math.floor(index));
+  const weight = index - lower;
+
+  if (lower + 1 > total - 1 || weight === 0) return valueAt(lower);
+  return valueAt(lower) * (1 - weight) + valueAt(lower + 1) * weight;
+};
+
+/**
+ * Calculate all descriptive measures for a dataset
+ *
+ * Skewness and excess kurtosis use the bias-adjusted sample formulas
+ * (G₁ and G₂, as reported by Excel and SPSS) whatever the variance mode;
+ * the coefficient of variation and z-scores use the chosen standard deviation.
+ * Measures that do not apply to the data are null: skewness needs n ≥ 3,
+ * kurtosis n ≥ 4, both need some spread; geometric and harmonic means need
+ * every value > 0; the coefficient of variation needs a nonzero mean.
+ *
+ * With weights, each value counts as that many observations (frequency
+ * weights): n is the total weight and every measure matches the one for the
+ * expanded list. Values with zero weight are ignored. The weights must be
+ * whole numbers; fractional weights have no expanded list to match.
+ *
+ * @param {number[]} numbers - Input data (any order)
+ * @param {string} varianceMode - 'sample' (divides by n−1) or 'population' (divides by N)
+ * @param {number[]|null} weights - Optional frequency of each value (whole number ≥ 0)
+ * @returns {Object} min, max, range, mean, median, mode, stdDev, variance,
+ *   q1, q3, iqr, outlierMin, outlierMax, count, outlierCount, skewness,
+ *   skewnessSE, kurtosis, kurtosisSE, coefficientOfVariation (%),
+ *   geometricMean, harmonicMean, trimmedMean, winsorizedMean, mad,
+ *   zScores (one per input value, in input order)
+ */
+export const calculateAllStatistics = (numbers, varianceMode = 'sample', weights = null) => {
+  if (weights && weights.some(w => !Number.isInteger(w))) {
+    throw new Error('Frequencies must be whole numbers');
+  }
+  const weightOf = (i) => (weights ? weights[i] : 1);
+  const pairs = numbers
+    .map((value, i) => ({ value, weight: weightOf(i) }))
+    .filter(pair => pair.weight > 0)
+    .sort((a, b) => a.value - b.value);
+  const sorted = pairs.map(pair => pair.value);
+  const sortedWeights = pairs.map(pair => pair.weight);
+  const n = sortedWeights.reduce((a, b) => a + b, 0);
+  const weightedSum = (f) => pairs.reduce((total, pair) => total + pair.weight * f(pair.value), 0);
+  const percentile = (p) => calculateWeightedPercentile(sorted, sortedWeights, p);
+
+  // Basic measures
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const range = max - min;
+  const sum = weightedSum(v => v);
+  const mean = sum / n;
+
+  // Median calculation
+  const median = percentile(0.5);
+
+  // Variance and standard deviation (sample uses n-1, population uses n)
+  const divisor = varianceMode === 'population' ? n : n - 1;
+  const variance = divisor > 0
+    ? weightedSum(v => Math.pow(v - mean, 2)) / divisor
+    : 0;
+  const stdDev = Math.sqrt(variance);
+
+  // Mode calculation (can be multimodal)
+  const freqMap = {};
+  pairs.forEach(({ value, weight }) => {
+    freqMap[value] = (freqMap[value] || 0) + weight;
+  });
+  const maxFreq = Math.max(...Object.values(freqMap));
+  let modeValues = Object.keys(freqMap).filter(key => freqMap[key] === maxFreq);
+  if (modeValues.length === Object.keys(freqMap).length) {
+    modeValues = ["No mode"];
+  } else {
+    modeValues = modeValues.map(v => Number(v));
+  }
+
+  // Quartiles
+  const q1 = percentile(0.25);
+  const q3 = percentile(0.75);
+  const iqr = q3 - q1;
+
+  // Outlier boundaries (1.5 * IQR method)
+  const outlierMin = q1 - 1.5 * iqr;
+  const outlierMax = q3 + 1.5 * iqr;
+  const outlierCount = pairs
+    .filter(({ value }) => value < outlierMin || value > outlierMax)
+    .reduce((total, pair) => total + pair.weight, 0);
+
+  // Shape: central moments m₂, m₃, m₄ (divided by n), then the adjusted G₁ and G₂
+  const moment = (power) => weightedSum(v => Math.pow(v - mean, power)) / n;
+  const m2 = moment(2);
+  const skewness = n >= 3 && m2 > 0
+    ? (moment(3) / Math.pow(m2, 1.5)) * Math.sqrt(n * (n - 1)) / (n - 2)
+    : null;
+  const kurtosis = n >= 4 && m2 > 0
+    ? (((n + 1) * (moment(4) / (m2 * m2) - 3) + 6) * (n - 1)) / ((n - 2) * (n - 3))
+    : null;
+  const skewnessSE = n >= 3 ? Math.sqrt((6 * n * (n - 1)) / ((n - 2) * (n + 1) * (n + 3))) : null;
+  const kurtosisSE = n >= 4 ? 2 * skewnessSE * Math.sqrt((n * n - 1) / ((n - 3) * (n + 5))) : null;
+
+  const coefficientOfVariation = mean !== 0 ? (stdDev / Math.abs(mean)) * 100 : null;
+
+  // Geometric and harmonic means only exist for positive data
+  const allPositive = min > 0;
+  const geometricMean = allPositive ? Math.exp(weightedSum(Math.log) / n) : null;
+  const harmonicMean = allPositive ? n / weightedSum(v => 1 / v) : null;
+
+  // Trimmed mean drops the k smallest and k largest observations; winsorized
+  // mean replaces them with the nearest remaining value
+  const k = Math.floor(TRIM_PROPORTION * n);
+  let keptSum = 0;
+  let cumulative = 0;
+  pairs.forEach(({ value, weight }) => {
+    // Part of this value's weight that lies between positions k and n − k
+    const kept = Math.max(0, Math.min(cumulative + weight, n - k) - Math.max(cumulative, k));
+    keptSum += kept * value;
+    cumulative += weight;
+  });
+  const trimmedMean = keptSum / (n - 2 * k);
+  const winsorizedMean = (
+    keptSum
+    + k * weightedValueAt(sorted, sortedWeights, k)
+    + k * weightedValueAt(sorted, sortedWeights, n - 1 - k)
+  ) / n;
+
+  // Median absolute deviation: the median distance from the median
+  const deviations = pairs
+    .map(({ value, weight }) => ({ value: Math.abs(value - median), weight }))
+    .sort((a, b) => a.value - b.value);
+  const mad = calculateWeightedPercentile(
+    deviations.map(d => d.value),
+    deviations.map(d => d.weight),
+    0.5
+  );
+
+  const zScores = numbers.map(v => (stdDev > 0 ? (v - mean) / stdDev : 0));
+
+  return {
+    min, max, range, mean, median, mode: modeValues,
+    stdDev, variance, q1, q3, iqr, outlierMin, outlierMax,
+    count: n, outlierCount,
+    skewness, skewnessSE, kurtosis, kurtosisSE, coefficientOfVariation,
+    geometricMean, harmonicMean, trimmedMean, winsorizedMean, mad, zScores
+  };
+};
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { calculatePercentile, calculateRanks, tieGroupSizes, calculateAllStatistics } from './descriptive';
+
+const DATA = [2, 4, 4, 4, 5, 5, 7, 9];
+
+describe('calculateAllStatistics', () => {
+  it('computes the centre and spread of a textbook dataset', () => {
+    const stats = calculateAllStatistics(DATA);
+    expect(stats.mean).toBe(5);
+    expect(stats.median).toBe(4.5);
+    expect(stats.mode).toEqual([4]);
+    expect(stats.stdDev).toBeCloseTo(2.138090, 6);
+    expect(calculateAllStatistics(DATA, 'population').stdDev).toBeCloseTo(2, 10);
+  });
+
+  it('treats weights as frequencies', () => {
+    const weighted = calculateAllStatistics([2, 4, 5, 7, 9], 'sample', [1, 3, 2, 1, 1]);
+    expect(weighted.mean).toBe(5);
+    expect(weighted.count).toBe(8);
+    expect(weighted.stdDev).toBeCloseTo(2.138090, 6);
+  });
+
+  it('rejects fractional frequencies', () => {
+    expect(() => calculateAllStatistics([1, 2, 3], 'sample', [0.2, 0.3, 0.5])).toThrow('whole numbers');
+  });
+});
+
+describe('percentiles and ranks', () => {
+  it('interpolates between order statistics', () => {
+    expect(calculatePercentile([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(calculatePercentile([1, 2, 3, 4], 0)).toBe(1);
+    expect(calculatePercentile([1, 2, 3, 4], 1)).toBe(4);
+  });
+
+  it('gives tied values their average rank', () => {
+    expect(calculateRanks([10, 20, 20, 30])).toEqual([1, 2.5, 2.5, 4]);
+    expect(tieGroupSizes([10, 20, 20, 30, 30, 30])).toEqual([2, 3]);
+  });
+});
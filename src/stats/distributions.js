@@ -0,0 +1,742 @@
+/**
+ * Probability Distributions
+ *
+ * Pure mathematical engines for the distribution calculators.
+ * Each object groups the formulas for one distribution so that
+ * calculators, charts and future features share a single implementation.
+ *
+ * Dependencies: jStat
+ */
+
+import { jStat } from 'jstat';
+
+// ========================================
+// POISSON
+// ========================================
+/**
+ * Pure mathematical functions for Poisson calculations
+ * Think of this as the calculator's brain - pure logic, no UI concerns
+ */
+export const PoissonMath = {
+  /**
+   * Calculate Poisson probability mass function
+   * P(X = k) = (λ^k * e^(-λ)) / k!
+   * Like calculating the odds of exactly k lightning strikes in an hour
+   * Worked in log space: λ^k and k! overflow once k passes about 170
+   */
+  pmf: (k, lambda) => {
+    if (lambda <= 0 || k < 0) return 0;
+    return Math.exp(k * Math.log(lambda) - lambda - jStat.gammaln(k + 1));
+  },
+
+  /**
+   * Calculate cumulative distribution function
+   * P(X ≤ k) - probability of at most k events
+   * Like asking "what's the chance of 5 or fewer calls?"
+   */
+  cdf: (k, lambda) => {
+    if (lambda <= 0 || k < 0) return 0;
+    return jStat.poisson.cdf(k, lambda);
+  },
+
+  /**
+   * Calculate probability of at least k events
+   * P(X ≥ k) = 1 - P(X ≤ k-1)
+   * Like asking "what's the chance of 5 or more calls?"
+   */
+  atLeast: (k, lambda) => {
+    if (lambda <= 0) return 0;
+    if (k <= 0) return 1;
+    return 1 - jStat.poisson.cdf(k - 1, lambda);
+  },
+
+  /**
+   * Normal approximation for large lambda
+   * When λ > 10, Poisson ≈ Normal(μ=λ, σ²=λ)
+   * Like switching from counting raindrops to measuring rainfall
+   */
+  normalApproximation: (k, lambda) => {
+    return jStat.normal.pdf(k, lambda, Math.sqrt(lambda));
+  },
+
+  /**
+   * Calculate distribution statistics
+   * For Poisson: mean = variance = λ (unique property!)
+   */
+  getStatistics: (lambda) => ({
+    mean: lambda,
+    variance: lambda,
+    standardDev: Math.sqrt(lambda),
+    skewness: 1 / Math.sqrt(lambda),
+    kurtosis: 1 / lambda
+  }),
+
+  /**
+   * Compare Binomial(n, p) with its Poisson approximation, Poisson(λ = np)
+   * The approximation works for rare events: many trials, small p.
+   * Rows run from k = 0 until both distributions have all but 0.1% covered.
+   * Error is Poisson − binomial, so a positive error means Poisson overstates.
+   */
+  compareWithBinomial: (n, p) => {
+    const lambda = n * p;
+    const rows = [];
+    // Running CDFs built from the terms, so large λ stays finite
+    let binomialCdf = 0;
+    let poissonCdf = 0;
+    for (let k = 0; k <= n; k++) {
+      const binomial = jStat.binomial.pdf(k, n, p);
+      const poisson = PoissonMath.pmf(k, lambda);
+      rows.push({ k, binomial, poisson, error: poisson - binomial });
+      binomialCdf += binomial;
+      poissonCdf += poisson;
+      if (binomialCdf >= 0.999 && poissonCdf >= 0.999) break;
+    }
+    const worst = rows.reduce((best, row) => (Math.abs(row.error) > Math.abs(best.error) ? row : best), rows[0]);
+    // Total variation distance: the largest difference the two can give for any event
+    let binomialTail = 1;
+    let poissonTail = 1;
+    const pointDifferences = rows.reduce((sum, row) => {
+      binomialTail -= row.binomial;
+      poissonTail -= row.poisson;
+      return sum + Math.abs(row.error);
+    }, 0);
+    const totalVariation = (pointDifferences + Math.abs(binomialTail) + Math.abs(poissonTail)) / 2;
+    return { lambda, rows, maxError: Math.abs(worst.error), maxErrorAt: worst.k, totalVariation };
+  },
+
+  /**
+   * Simulate a Poisson process: arrival times on [0, intervals] when events
+   * happen at rate λ per interval. Gaps between arrivals are exponential with
+   * mean 1/λ, so each unit interval holds a Poisson(λ) number of arrivals.
+   *
+   * @param {number} lambda - Events per interval (> 0)
+   * @param {number} intervals - Length of the timeline in intervals
+   * @param {Function} [random=Math.random] - Uniform(0, 1) generator
+   * @returns {number[]} Arrival times in increasing order
+   */
+  simulateArrivals: (lambda, intervals, random = Math.random) => {
+    const arrivals = [];
+    let time = -Math.log(1 - random()) / lambda;
+    while (time < intervals) {
+      arrivals.push(time);
+      time += -Math.log(1 - random()) / lambda;
+    }
+    return arrivals;
+  }
+};
+
+// ========================================
+// NORMAL
+// ========================================
+/**
+ * Pure mathematical functions for normal distribution calculations
+ */
+export const NormalMath = {
+  /**
+   * Convert X value to Z-score
+   * Z = (X - μ) / σ
+   * Like converting local currency to a universal standard
+   */
+  toZScore: (x, mean, sd) => {
+    if (sd === 0) return 0;
+    return (x - mean) / sd;
+  },
+
+  /**
+   * Convert Z-score to X value
+   * X = μ + Z × σ
+   * Like converting universal standard back to local currency
+   */
+  toXValue: (z, mean, sd) => {
+    return mean + z * sd;
+  },
+
+  /**
+   * Calculate probability density function
+   * The height of the bell curve at any point
+   */
+  pdf: (x, mean, sd) => {
+    return jStat.normal.pdf(x, mean, sd);
+  },
+
+  /**
+   * Calculate cumulative distribution function
+   * The area under the curve up to x
+   */
+  cdf: (x, mean, sd) => {
+    return jStat.normal.cdf(x, mean, sd);
+  },
+
+  /**
+   * Calculate inverse CDF (percentile to value)
+   * Given a probability, find the corresponding x value
+   */
+  inv: (p, mean, sd) => {
+    return jStat.normal.inv(p, mean, sd);
+  }
+};
+
+// ========================================
+// STUDENT'S T
+// ========================================
+/**
+ * Pure mathematical functions for Student's t calculations
+ * Centered at 0 like the standard normal, with heavier tails controlled by df
+ */
+export const TMath = {
+  /**
+   * Calculate probability density function
+   * The height of the t curve at any point
+   */
+  pdf: (t, df) => {
+    return jStat.studentt.pdf(t, df);
+  },
+
+  /**
+   * Calculate cumulative distribution function
+   * The area under the curve up to t
+   */
+  cdf: (t, df) => {
+    return jStat.studentt.cdf(t, df);
+  },
+
+  /**
+   * Calculate inverse CDF (percentile to value)
+   * Given a probability, find the corresponding t value
+   */
+  inv: (p, df) => {
+    return jStat.studentt.inv(p, df);
+  },
+
+  /**
+   * Mean and variance of the t distribution.
+   * The mean is 0 for df > 1; the variance is df / (df − 2) for df > 2 and
+   * infinite for 1 < df ≤ 2. With df ≤ 1 neither exists (NaN).
+   */
+  getStatistics: (df) => {
+    const mean = df > 1 ? 0 : NaN;
+    const variance = df > 2 ? df / (df - 2) : (df > 1 ? Infinity : NaN);
+    return { mean, variance, standardDev: Math.sqrt(variance) };
+  }
+};
+
+// ========================================
+// BINOMIAL
+// ========================================
+/**
+ * Binomial coefficient C(n, k) — number of ways to choose k successes from n trials.
+ * Computed multiplicatively to stay exact within double precision for n ≤ 50.
+ */
+export const binomialCoefficient = (n, k) => {
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return Math.round(result);
+};
+
+// ========================================
+// BINOMIAL — NORMAL APPROXIMATION
+// ========================================
+/**
+ * Approximating Binomial(n, p) by Normal(μ = np, σ² = np(1 − p))
+ * The continuity correction widens each whole number k to the interval
+ * k − 0.5 to k + 0.5, so the bar's area is matched by an area under the curve
+ */
+export const BinomialApproximationMath = {
+  /**
+   * Rule of thumb: the approximation is reasonable when np ≥ 10 and n(1 − p) ≥ 10
+   */
+  normalConditions: (n, p) => {
+    const expectedSuccesses = n * p;
+    const expectedFailures = n * (1 - p);
+    // Tolerance so that e.g. 50 × (1 − 0.8) = 9.999… still counts as 10
+    const atLeastTen = (value) => value >= 10 - 1e-9;
+    const successesOk = atLeastTen(expectedSuccesses);
+    const failuresOk = atLeastTen(expectedFailures);
+    return { expectedSuccesses, expectedFailures, successesOk, failuresOk, met: successesOk && failuresOk };
+  },
+
+  /**
+   * Normal approximation to P(X = x), P(X ≤ x) or P(X ≥ x)
+   * Returns the cut points used on the normal curve (±Infinity for an open
+   * end) with their z-scores. Without the correction P(X = x) is a single
+   * point of the curve and has probability 0.
+   */
+  normal: (x, n, p, type, continuityCorrection) => {
+    const mean = n * p;
+    const sd = Math.sqrt(n * p * (1 - p));
+    const half = continuityCorrection ? 0.5 : 0;
+    const lower = type === 'atMost' ? -Infinity : x - half;
+    const upper = type === 'atLeast' ? Infinity : x + half;
+    const toZ = (value) => (isFinite(value) ? (value - mean) / sd : value);
+    const area = (value) => (value === Infinity ? 1 : value === -Infinity ? 0 : jStat.normal.cdf(value, mean, sd));
+    const probability = sd > 0 ? Math.max(0, area(upper) - area(lower)) : NaN;
+    return { probability, lower, upper, zLower: toZ(lower), zUpper: toZ(upper), mean, sd };
+  }
+};
+
+// ========================================
+// GEOMETRIC
+// ========================================
+/**
+ * Pure mathematical functions for the geometric distribution
+ * X = the trial on which the first success happens (1, 2, 3, …),
+ * each trial succeeding independently with probability p
+ */
+export const GeometricMath = {
+  /**
+   * P(X = k) = (1 − p)^(k−1) × p
+   * k − 1 failures in a row, then the first success
+   */
+  pmf: (k, p) => {
+    if (k < 1 || p <= 0 || p > 1) return 0;
+    return Math.pow(1 - p, k - 1) * p;
+  },
+
+  /**
+   * P(X ≤ k) = 1 − (1 − p)^k
+   * One minus the chance that the first k trials all fail
+   */
+  cdf: (k, p) => {
+    if (k < 1 || p <= 0) return 0;
+    return 1 - Math.pow(1 - p, Math.floor(k));
+  },
+
+  /**
+   * P(X ≥ k) = (1 − p)^(k−1) — the first k − 1 trials all fail
+   */
+  atLeast: (k, p) => {
+    if (k <= 1) return 1;
+    return Math.pow(1 - p, Math.ceil(k) - 1);
+  },
+
+  /**
+   * Possible values: 1, 2, 3, … without an upper limit
+   */
+  support: () => ({ min: 1, max: Infinity }),
+
+  /**
+   * μ = 1/p, σ² = (1 − p)/p²
+   */
+  getStatistics: (p) => {
+    const variance = (1 - p) / (p * p);
+    return { mean: 1 / p, variance, standardDev: Math.sqrt(variance) };
+  }
+};
+
+// ========================================
+// NEGATIVE BINOMIAL
+// ========================================
+/**
+ * Pure mathematical functions for the negative binomial distribution
+ * X = the trial on which the r-th success happens (r, r + 1, …);
+ * the geometric distribution is the special case r = 1
+ */
+export const NegativeBinomialMath = {
+  /**
+   * P(X = k) = C(k − 1, r − 1) × p^r × (1 − p)^(k−r)
+   * The last trial is the r-th success; the other r − 1 successes can sit
+   * anywhere among the first k − 1 trials
+   */
+  pmf: (k, r, p) => {
+    if (k < r || p <= 0 || p > 1) return 0;
+    // jStat counts the failures before the r-th success
+    return jStat.negbin.pdf(k - r, r, p);
+  },
+
+  /**
+   * P(X ≤ k) — the r-th success comes within the first k trials
+   */
+  cdf: (k, r, p) => {
+    if (k < r || p <= 0) return 0;
+    return Math.min(1, jStat.negbin.cdf(Math.floor(k) - r, r, p));
+  },
+
+  /**
+   * P(X ≥ k) = 1 − P(X ≤ k − 1)
+   */
+  atLeast: (k, r, p) => {
+    if (k <= r) return 1;
+    return Math.max(0, 1 - NegativeBinomialMath.cdf(k - 1, r, p));
+  },
+
+  /**
+   * Possible values: r, r + 1, … without an upper limit
+   */
+  support: (r) => ({ min: r, max: Infinity }),
+
+  /**
+   * μ = r/p, σ² = r(1 − p)/p²
+   */
+  getStatistics: (r, p) => {
+    const variance = (r * (1 - p)) / (p * p);
+    return { mean: r / p, variance, standardDev: Math.sqrt(variance) };
+  }
+};
+
+// ========================================
+// HYPERGEOMETRIC
+// ========================================
+/**
+ * Pure mathematical functions for the hypergeometric distribution
+ * Draw n items without replacement from a population of N that contains
+ * K successes; X = the number of successes drawn
+ */
+export const HypergeometricMath = {
+  /**
+   * P(X = k) = C(K, k) × C(N − K, n − k) / C(N, n)
+   * Ways to pick k of the successes and n − k of the failures, out of all
+   * ways to pick n items
+   */
+  pmf: (k, N, K, n) => {
+    const { min, max } = HypergeometricMath.support(N, K, n);
+    if (k < min || k > max || !Number.isInteger(k)) return 0;
+    return jStat.hypgeom.pdf(k, N, K, n);
+  },
+
+  /**
+   * P(X ≤ k), summed over the possible values
+   */
+  cdf: (k, N, K, n) => {
+    const { min, max } = HypergeometricMath.support(N, K, n);
+    if (k < min) return 0;
+    if (k >= max) return 1;
+    let total = 0;
+    for (let j = min; j <= Math.floor(k); j++) total += HypergeometricMath.pmf(j, N, K, n);
+    return Math.min(1, total);
+  },
+
+  /**
+   * P(X ≥ k) = 1 − P(X ≤ k − 1)
+   */
+  atLeast: (k, N, K, n) => Math.max(0, 1 - HypergeometricMath.cdf(k - 1, N, K, n)),
+
+  /**
+   * Possible values: at least n − (N − K) successes must be drawn once the
+   * failures run out, and at most min(n, K)
+   */
+  support: (N, K, n) => ({ min: Math.max(0, n - (N - K)), max: Math.min(n, K) }),
+
+  /**
+   * μ = n·K/N, σ² = n·(K/N)·(1 − K/N)·(N − n)/(N − 1)
+   * The last factor is the finite population correction: drawing without
+   * replacement makes the count less variable than the binomial
+   */
+  getStatistics: (N, K, n) => {
+    const share = K / N;
+    const correction = N > 1 ? (N - n) / (N - 1) : 0;
+    const variance = n * share * (1 - share) * correction;
+    return { mean: n * share, variance, standardDev: Math.sqrt(variance), correction };
+  }
+};
+
+// ========================================
+// DISCRETE UNIFORM
+// ========================================
+/**
+ * Pure mathematical functions for the discrete uniform distribution
+ * Every whole number from a to b is equally likely (a fair die is a = 1, b = 6)
+ */
+export const DiscreteUniformMath = {
+  /**
+   * P(X = k) = 1 / (b − a + 1) for a ≤ k ≤ b
+   */
+  pmf: (k, a, b) => {
+    if (k < a || k > b || !Number.isInteger(k)) return 0;
+    return 1 / (b - a + 1);
+  },
+
+  /**
+   * P(X ≤ k) = (⌊k⌋ − a + 1) / (b − a + 1)
+   */
+  cdf: (k, a, b) => {
+    if (k < a) return 0;
+    if (k >= b) return 1;
+    return (Math.floor(k) - a + 1) / (b - a + 1);
+  },
+
+  /**
+   * P(X ≥ k) = 1 − P(X ≤ k − 1)
+   */
+  atLeast: (k, a, b) => 1 - DiscreteUniformMath.cdf(k - 1, a, b),
+
+  /**
+   * Possible values: a, a + 1, …, b
+   */
+  support: (a, b) => ({ min: a, max: b }),
+
+  /**
+   * μ = (a + b)/2, σ² = ((b − a + 1)² − 1)/12
+   */
+  getStatistics: (a, b) => {
+    const count = b - a + 1;
+    const variance = (count * count - 1) / 12;
+    return { mean: (a + b) / 2, variance, standardDev: Math.sqrt(variance) };
+  }
+};
+
+// ========================================
+// CONTINUOUS UNIFORM
+// ========================================
+/**
+ * Pure mathematical functions for the continuous uniform distribution
+ * Every value between a and b is equally likely; the density is a flat rectangle
+ */
+export const UniformMath = {
+  /**
+   * f(x) = 1 / (b − a) for a ≤ x ≤ b
+   */
+  pdf: (x, a, b) => jStat.uniform.pdf(x, a, b),
+
+  /**
+   * P(X ≤ x) = (x − a) / (b − a), clamped to [0, 1]
+   */
+  cdf: (x, a, b) => Math.min(1, Math.max(0, (x - a) / (b - a))),
+
+  /**
+   * Inverse CDF: x = a + p(b − a)
+   */
+  inv: (p, a, b) => a + p * (b - a),
+
+  /**
+   * Possible values: a to b
+   */
+  support: (a, b) => ({ min: a, max: b }),
+
+  /**
+   * μ = (a + b)/2, σ² = (b − a)²/12
+   */
+  getStatistics: (a, b) => {
+    const variance = Math.pow(b - a, 2) / 12;
+    return { mean: (a + b) / 2, variance, standardDev: Math.sqrt(variance) };
+  }
+};
+
+// ========================================
+// EXPONENTIAL
+// ========================================
+/**
+ * Pure mathematical functions for the exponential distribution
+ * The waiting time until the next event when events occur at a constant rate λ
+ * (the continuous partner of the Poisson and geometric distributions)
+ */
+export const ExponentialMath = {
+  /**
+   * f(x) = λe^(−λx) for x ≥ 0
+   */
+  pdf: (x, rate) => (x < 0 ? 0 : jStat.exponential.pdf(x, rate)),
+
+  /**
+   * P(X ≤ x) = 1 − e^(−λx)
+   */
+  cdf: (x, rate) => (x <= 0 ? 0 : jStat.exponential.cdf(x, rate)),
+
+  /**
+   * Inverse CDF: x = −ln(1 − p) / λ
+   */
+  inv: (p, rate) => jStat.exponential.inv(p, rate),
+
+  /**
+   * Possible values: 0 upward
+   */
+  support: () => ({ min: 0, max: Infinity }),
+
+  /**
+   * μ = 1/λ, σ² = 1/λ²
+   */
+  getStatistics: (rate) => ({ mean: 1 / rate, variance: 1 / (rate * rate), standardDev: 1 / rate })
+};
+
+// ========================================
+// CHI-SQUARE
+// ========================================
+/**
+ * Pure mathematical functions for the chi-square distribution
+ * The sum of df squared standard normal values; the reference distribution of
+ * chi-square tests and of intervals for a variance
+ */
+export const ChiSquareMath = {
+  /**
+   * Calculate probability density function
+   */
+  pdf: (x, df) => (x < 0 ? 0 : jStat.chisquare.pdf(x, df)),
+
+  /**
+   * Calculate cumulative distribution function
+   */
+  cdf: (x, df) => (x <= 0 ? 0 : jStat.chisquare.cdf(x, df)),
+
+  /**
+   * Calculate inverse CDF (percentile to value)
+   */
+  inv: (p, df) => jStat.chisquare.inv(p, df),
+
+  /**
+   * Possible values: 0 upward
+   */
+  support: () => ({ min: 0, max: Infinity }),
+
+  /**
+   * μ = df, σ² = 2df
+   */
+  getStatistics: (df) => ({ mean: df, variance: 2 * df, standardDev: Math.sqrt(2 * df) })
+};
+
+// ========================================
+// F
+// ========================================
+/**
+ * Pure mathematical functions for the F distribution
+ * The ratio of two independent chi-square values, each divided by its df;
+ * the reference distribution of ANOVA and of tests comparing two variances
+ */
+export const FMath = {
+  /**
+   * Calculate probability density function
+   */
+  pdf: (x, df1, df2) => (x < 0 ? 0 : jStat.centralF.pdf(x, df1, df2)),
+
+  /**
+   * Calculate cumulative distribution function
+   */
+  cdf: (x, df1, df2) => (x <= 0 ? 0 : jStat.centralF.cdf(x, df1, df2)),
+
+  /**
+   * Calculate inverse CDF (percentile to value)
+   */
+  inv: (p, df1, df2) => jStat.centralF.inv(p, df1, df2),
+
+  /**
+   * Possible values: 0 upward
+   */
+  support: () => ({ min: 0, max: Infinity }),
+
+  /**
+   * μ = df2/(df2 − 2) for df2 > 2; σ² = 2df2²(df1 + df2 − 2) / (df1(df2 − 2)²(df2 − 4)) for df2 > 4.
+   * Moments that do not exist are reported as Infinity
+   */
+  getStatistics: (df1, df2) => {
+    const mean = df2 > 2 ? df2 / (df2 - 2) : Infinity;
+    const variance = df2 > 4
+      ? (2 * df2 * df2 * (df1 + df2 - 2)) / (df1 * Math.pow(df2 - 2, 2) * (df2 - 4))
+      : Infinity;
+    return { mean, variance, standardDev: Math.sqrt(variance) };
+  }
+};
+
+// ========================================
+// GAMMA
+// ========================================
+/**
+ * Pure mathematical functions for the gamma distribution (shape k, scale θ)
+ * With a whole-number shape it is the waiting time until the k-th event of a
+ * process with mean gap θ; exponential (k = 1) and chi-square (θ = 2) are special cases
+ */
+export const GammaMath = {
+  /**
+   * f(x) = x^(k−1) e^(−x/θ) / (Γ(k) θ^k) for x ≥ 0
+   */
+  pdf: (x, shape, scale) => (x < 0 ? 0 : jStat.gamma.pdf(x, shape, scale)),
+
+  /**
+   * Calculate cumulative distribution function
+   */
+  cdf: (x, shape, scale) => (x <= 0 ? 0 : jStat.gamma.cdf(x, shape, scale)),
+
+  /**
+   * Calculate inverse CDF (percentile to value)
+   */
+  inv: (p, shape, scale) => jStat.gamma.inv(p, shape, scale),
+
+  /**
+   * Possible values: 0 upward
+   */
+  support: () => ({ min: 0, max: Infinity }),
+
+  /**
+   * μ = kθ, σ² = kθ²
+   */
+  getStatistics: (shape, scale) => {
+    const variance = shape * scale * scale;
+    return { mean: shape * scale, variance, standardDev: Math.sqrt(variance) };
+  }
+};
+
+// ========================================
+// BETA
+// ========================================
+/**
+ * Pure mathematical functions for the beta distribution
+ * A flexible shape on [0, 1], used for proportions and probabilities;
+ * α = β = 1 is the uniform distribution on [0, 1]
+ */
+export const BetaMath = {
+  /**
+   * f(x) = x^(α−1) (1 − x)^(β−1) / B(α, β) for 0 ≤ x ≤ 1
+   */
+  pdf: (x, alpha, beta) => (x < 0 || x > 1 ? 0 : jStat.beta.pdf(x, alpha, beta)),
+
+  /**
+   * Calculate cumulative distribution function
+   */
+  cdf: (x, alpha, beta) => (x <= 0 ? 0 : x >= 1 ? 1 : jStat.beta.cdf(x, alpha, beta)),
+
+  /**
+   * Calculate inverse CDF (percentile to value)
+   */
+  inv: (p, alpha, beta) => jStat.beta.inv(p, alpha, beta),
+
+  /**
+   * Possible values: 0 to 1
+   */
+  support: () => ({ min: 0, max: 1 }),
+
+  /**
+   * μ = α/(α + β), σ² = αβ / ((α + β)²(α + β + 1))
+   */
+  getStatistics: (alpha, beta) => {
+    const total = alpha + beta;
+    const variance = (alpha * beta) / (total * total * (total + 1));
+    return { mean: alpha / total, variance, standardDev: Math.sqrt(variance) };
+  }
+};
+
+// ========================================
+// LOGNORMAL
+// ========================================
+/**
+ * Pure mathematical functions for the lognormal distribution
+ * X is lognormal when ln(X) is normal with mean μ and standard deviation σ;
+ * right-skewed positive quantities such as incomes and prices often follow it
+ */
+export const LognormalMath = {
+  /**
+   * Calculate probability density function
+   */
+  pdf: (x, mu, sigma) => (x <= 0 ? 0 : jStat.lognormal.pdf(x, mu, sigma)),
+
+  /**
+   * P(X ≤ x) = Φ((ln x − μ) / σ)
+   */
+  cdf: (x, mu, sigma) => (x <= 0 ? 0 : jStat.lognormal.cdf(x, mu, sigma)),
+
+  /**
+   * Inverse CDF: x = e^(μ + σ z_p)
+   */
+  inv: (p, mu, sigma) => jStat.lognormal.inv(p, mu, sigma),
+
+  /**
+   * Possible values: above 0
+   */
+  support: () => ({ min: 0, max: Infinity }),
+
+  /**
+   * μ_X = e^(μ + σ²/2), σ²_X = (e^(σ²) − 1) e^(2μ + σ²)
+   */
+  getStatistics: (mu, sigma) => {
+    const s2 = sigma * sigma;
+    const variance = (Math.exp(s2) - 1) * Math.exp(2 * mu + s2);
+    return { mean: Math.exp(mu + s2 / 2), variance, standardDev: Math.sqrt(variance) };
+  }
+};
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PoissonMath,
+  NormalMath,
+  TMath,
+  binomialCoefficient,
+  BinomialApproximationMath,
+  GeometricMath,
+  NegativeBinomialMath,
+  HypergeometricMath,
+  DiscreteUniformMath,
+  ExponentialMath,
+  ChiSquareMath,
+  FMath,
+  GammaMath,
+  BetaMath,
+  LognormalMath
+} from './distributions';
+
+describe('PoissonMath', () => {
+  it('matches the Poisson table for λ = 2', () => {
+    expect(PoissonMath.pmf(3, 2)).toBeCloseTo(0.180447, 6);
+    expect(PoissonMath.cdf(3, 2)).toBeCloseTo(0.857123, 6);
+    expect(PoissonMath.atLeast(3, 2)).toBeCloseTo(0.323324, 6);
+  });
+
+  it('gives mean = variance = λ', () => {
+    expect(PoissonMath.getStatistics(4)).toMatchObject({ mean: 4, variance: 4, standardDev: 2 });
+  });
+});
+
+describe('binomial', () => {
+  it('computes binomial coefficients exactly', () => {
+    expect(binomialCoefficient(10, 3)).toBe(120);
+    expect(binomialCoefficient(20, 10)).toBe(184756);
+    expect(binomialCoefficient(5, 0)).toBe(1);
+  });
+
+  it('applies the continuity correction to the normal approximation', () => {
+    // P(X ≤ 45) for n = 100, p = 0.5 ≈ Φ((45.5 − 50) / 5) = Φ(−0.9)
+    expect(BinomialApproximationMath.normal(45, 100, 0.5, 'atMost', true).probability).toBeCloseTo(0.184060, 5);
+    expect(BinomialApproximationMath.normal(45, 100, 0.5, 'atMost', false).probability).toBeCloseTo(0.158655, 5);
+  });
+
+  it('checks np ≥ 10 and n(1 − p) ≥ 10', () => {
+    expect(BinomialApproximationMath.normalConditions(50, 0.8).met).toBe(true);
+    expect(BinomialApproximationMath.normalConditions(20, 0.1).met).toBe(false);
+  });
+});
+
+describe('NormalMath and TMath', () => {
+  it('matches the standard normal table', () => {
+    expect(NormalMath.toZScore(130, 100, 15)).toBe(2);
+    expect(NormalMath.cdf(1.96, 0, 1)).toBeCloseTo(0.975002, 5);
+    expect(NormalMath.inv(0.95, 0, 1)).toBeCloseTo(1.644854, 5);
+  });
+
+  it('matches the t table', () => {
+    expect(TMath.inv(0.975, 10)).toBeCloseTo(2.228139, 5);
+    expect(TMath.cdf(2.228139, 10)).toBeCloseTo(0.975, 5);
+  });
+
+  it('has no mean or variance for df = 1 and an infinite variance for df = 2', () => {
+    expect(TMath.getStatistics(10)).toMatchObject({ mean: 0, variance: 1.25 });
+    expect(TMath.getStatistics(2)).toMatchObject({ mean: 0, variance: Infinity });
+    expect(TMath.getStatistics(1).mean).toBeNaN();
+    expect(TMath.getStatistics(1).variance).toBeNaN();
+  });
+});
+
+describe('other discrete distributions', () => {
+  it('geometric counts trials until the first success', () => {
+    expect(GeometricMath.pmf(3, 0.2)).toBeCloseTo(0.128, 10);
+    expect(GeometricMath.cdf(3, 0.2)).toBeCloseTo(0.488, 10);
+  });
+
+  it('negative binomial counts trials until the r-th success', () => {
+    // C(4, 2) 0.5³ 0.5² = 6 / 32
+    expect(NegativeBinomialMath.pmf(5, 3, 0.5)).toBeCloseTo(0.1875, 10);
+  });
+
+  it('hypergeometric draws without replacement', () => {
+    // 2 aces in a 5-card hand: C(4,2) C(48,3) / C(52,5)
+    expect(HypergeometricMath.pmf(2, 52, 4, 5)).toBeCloseTo(0.039930, 6);
+  });
+
+  it('discrete uniform gives every value the same chance', () => {
+    expect(DiscreteUniformMath.pmf(3, 1, 6)).toBeCloseTo(1 / 6, 10);
+    expect(DiscreteUniformMath.getStatistics(1, 6).mean).toBe(3.5);
+  });
+});
+
+describe('continuous distributions', () => {
+  it('match their reference quantiles', () => {
+    expect(ExponentialMath.cdf(1, 2)).toBeCloseTo(1 - Math.exp(-2), 10);
+    expect(ChiSquareMath.inv(0.95, 1)).toBeCloseTo(3.841459, 5);
+    expect(ChiSquareMath.inv(0.95, 10)).toBeCloseTo(18.307038, 5);
+    expect(FMath.inv(0.95, 3, 20)).toBeCloseTo(3.098391, 5);
+    expect(GammaMath.getStatistics(2, 3)).toMatchObject({ mean: 6, variance: 18 });
+    expect(BetaMath.cdf(0.5, 2, 2)).toBeCloseTo(0.5, 10);
+    expect(LognormalMath.inv(0.5, 0, 1)).toBeCloseTo(1, 10);
+  });
+});
+
+describe('PoissonMath.compareWithBinomial', () => {
+  it('stays finite when λ = np is large', () => {
+    [[200, 0.6], [1000, 0.5]].forEach(([n, p]) => {
+      const result = PoissonMath.compareWithBinomial(n, p);
+      expect(result.rows.every(row => Number.isFinite(row.poisson) && Number.isFinite(row.error))).toBe(true);
+      expect(Number.isFinite(result.maxError)).toBe(true);
+      expect(result.totalVariation).toBeGreaterThan(0);
+      expect(result.totalVariation).toBeLessThan(1);
+      // The 0.1% tail cutoff stops the table well before k = n
+      expect(result.rows.length).toBeLessThan(n);
+    });
+  });
+
+  it('computes the Poisson PMF past k = 170', () => {
+    // P(X = 500) for λ = 500 ≈ 1 / √(2π × 500)
+    expect(PoissonMath.pmf(500, 500)).toBeCloseTo(0.017838, 5);
+  });
+});
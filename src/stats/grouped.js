@@ -0,0 +1,160 @@
+/**
+ * Grouped-Data Statistics
+ *
+ * Estimates for data that are only available as a frequency table of
+ * classes (e.g., 10–19: 4, 20–29: 7, …), as in many textbook exercises:
+ * - Mean, variance and standard deviation from the class midpoints
+ * - Median and quartiles by linear interpolation within a class
+ * - Modal class and the interpolated mode
+ * Every value in a class is assumed to sit at its midpoint (for the mean and
+ * spread) or to be spread evenly across the class (for the median and quartiles).
+ *
+ * No React or DOM dependencies — safe to use anywhere.
+ */
+
+/**
+ * Turn class limits into class boundaries
+ * Tables written with integer limits such as 10–19, 20–29 leave a gap of 1
+ * between classes; the boundaries split that gap (9.5–19.5, 19.5–29.5) so the
+ * classes cover the number line without holes.
+ *
+ * @param {Object[]} classes - { lower, upper, frequency } in ascending order
+ * @returns {Object} gap and one { lowerBoundary, upperBoundary } per class,
+ *   or { error } when the classes overlap or the gaps are uneven
+ */
+export const classBoundaries = (classes) => {
+  for (let i = 0; i < classes.length; i++) {
+    if (!(classes[i].upper > classes[i].lower)) {
+      return { error: `Class ${i + 1}: the upper limit must be greater than the lower limit.` };
+    }
+  }
+
+  const gaps = classes.slice(1).map((cls, i) => cls.lower - classes[i].upper);
+  const gap = gaps.length > 0 ? gaps[0] : 0;
+  if (gaps.some(g => g < -1e-9)) {
+    return { error: 'Classes overlap — each class must start at or after the end of the previous one.' };
+  }
+  if (gaps.some(g => Math.abs(g - gap) > 1e-9)) {
+    return { error: 'The gaps between classes are uneven — check the class limits for a typo.' };
+  }
+
+  return {
+    gap,
+    boundaries: classes.map(cls => ({
+      lowerBoundary: cls.lower - gap / 2,
+      upperBoundary: cls.upper + gap / 2
+    }))
+  };
+};
+
+/**
+ * Locate a position in the cumulative frequencies and interpolate within its class:
+ * value = L + ((position − CF) / f) × w
+ * where L is the lower boundary of the class holding the position, CF the
+ * cumulative frequency before it, f its frequency and w its width.
+ *
+ * @param {Object[]} rows - Rows from calculateGroupedStatistics
+ * @param {number} position - Target position (n/2 for the median, n/4 for Q1, …)
+ * @returns {Object} position, classIndex, L, cfBefore, f, width, value
+ */
+const interpolatePosition = (rows, position) => {
+  let index = rows.findIndex(row => row.frequency > 0 && row.cumulativeFrequency >= position);
+  if (index === -1) index = rows.length - 1;
+  const row = rows[index];
+  const cfBefore = row.cumulativeFrequency - row.frequency;
+  const width = row.upperBoundary - row.lowerBoundary;
+  return {
+    position,
+    classIndex: index,
+    L: row.lowerBoundary,
+    cfBefore,
+    f: row.frequency,
+    width,
+    value: row.lowerBoundary + ((position - cfBefore) / row.frequency) * width
+  };
+};
+
+/**
+ * Calculate the grouped mean, spread, median, quartiles and mode
+ *
+ * x̄ = Σfx / n, s² = Σf(x − x̄)² / (n − 1) and σ² = Σf(x − x̄)² / n, with x the
+ * class midpoint. The mode estimate L + d₁ / (d₁ + d₂) × w compares the modal
+ * class with its neighbours (d₁ = f − f_before, d₂ = f − f_after).
+ *
+ * @param {Object[]} classes - { lower, upper, frequency } in ascending order,
+ *   frequencies ≥ 0 with a positive total
+ * @returns {Object} rows (boundaries, midpoint, fx, fx², cumulative frequency),
+ *   n, gap, sumFx, sumFx2, sumFDev2, mean, sampleVariance, sampleSD,
+ *   populationVariance, populationSD, median, q1, q3 (each with its
+ *   interpolation details), iqr, modalClasses (indices), mode (details for the
+ *   first modal class); or { error } when the table cannot be used
+ */
+export const calculateGroupedStatistics = (classes) => {
+  const limits = classBoundaries(classes);
+  if (limits.error) return { error: limits.error };
+
+  let cumulative = 0;
+  const rows = classes.map((cls, i) => {
+    const midpoint = (cls.lower + cls.upper) / 2;
+    cumulative += cls.frequency;
+    return {
+      ...cls,
+      ...limits.boundaries[i],
+      midpoint,
+      fx: cls.frequency * midpoint,
+      fx2: cls.frequency * midpoint * midpoint,
+      cumulativeFrequency: cumulative
+    };
+  });
+
+  const n = cumulative;
+  if (!(n > 0)) return { error: 'The frequencies add up to 0 — at least one class needs a positive frequency.' };
+
+  const sumFx = rows.reduce((sum, row) => sum + row.fx, 0);
+  const sumFx2 = rows.reduce((sum, row) => sum + row.fx2, 0);
+  const mean = sumFx / n;
+  const sumFDev2 = rows.reduce((sum, row) => sum + row.frequency * Math.pow(row.midpoint - mean, 2), 0);
+  const sampleVariance = n > 1 ? sumFDev2 / (n - 1) : 0;
+  const populationVariance = sumFDev2 / n;
+
+  const median = interpolatePosition(rows, n / 2);
+  const q1 = interpolatePosition(rows, n / 4);
+  const q3 = interpolatePosition(rows, (3 * n) / 4);
+
+  const maxFrequency = Math.max(...rows.map(row => row.frequency));
+  const modalClasses = rows
+    .map((row, i) => (row.frequency === maxFrequency ? i : -1))
+    .filter(i => i !== -1);
+  const m = modalClasses[0];
+  const d1 = rows[m].frequency - (m > 0 ? rows[m - 1].frequency : 0);
+  const d2 = rows[m].frequency - (m < rows.length - 1 ? rows[m + 1].frequency : 0);
+  const modalWidth = rows[m].upperBoundary - rows[m].lowerBoundary;
+  const mode = {
+    classIndex: m,
+    L: rows[m].lowerBoundary,
+    d1,
+    d2,
+    width: modalWidth,
+    value: d1 + d2 > 0 ? rows[m].lowerBoundary + (d1 / (d1 + d2)) * modalWidth : rows[m].midpoint
+  };
+
+  return {
+    rows,
+    n,
+    gap: limits.gap,
+    sumFx,
+    sumFx2,
+    sumFDev2,
+    mean,
+    sampleVariance,
+    sampleSD: Math.sqrt(sampleVariance),
+    populationVariance,
+    populationSD: Math.sqrt(populationVariance),
+    median,
+    q1,
+    q3,
+    iqr: q3.value - q1.value,
+    modalClasses,
+    mode
+  };
+};
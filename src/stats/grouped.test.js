@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { classBoundaries, calculateGroupedStatistics } from './grouped';
+
+const CLASSES = [
+  { lower: 10, upper: 19, frequency: 3 },
+  { lower: 20, upper: 29, frequency: 5 },
+  { lower: 30, upper: 39, frequency: 2 }
+];
+
+describe('grouped data', () => {
+  it('puts boundaries halfway across the gaps', () => {
+    const { gap, boundaries } = classBoundaries(CLASSES);
+    expect(gap).toBe(1);
+    expect(boundaries[0]).toEqual({ lowerBoundary: 9.5, upperBoundary: 19.5 });
+    expect(classBoundaries([CLASSES[1], CLASSES[0]]).error).toMatch(/overlap/);
+  });
+
+  it('estimates the mean from midpoints and the median by interpolation', () => {
+    const stats = calculateGroupedStatistics(CLASSES);
+    // (3 × 14.5 + 5 × 24.5 + 2 × 34.5) / 10
+    expect(stats.mean).toBeCloseTo(23.5, 10);
+    // 19.5 + (5 − 3) / 5 × 10
+    expect(stats.median.value).toBeCloseTo(23.5, 10);
+    expect(stats.modalClasses).toEqual([1]);
+  });
+});
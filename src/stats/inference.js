@@ -0,0 +1,82 @@
+/**
+ * Inference Helpers
+ *
+ * Shared critical-value and p-value lookups for z and t tests.
+ * Used by the one-sample and two-sample hypothesis test calculators.
+ *
+ * Dependencies: jStat
+ */
+
+import { jStat } from 'jstat';
+
+export const TAIL_TYPES = {
+  TWO: 'two-tailed',
+  RIGHT: 'right-tailed',
+  LEFT: 'left-tailed'
+};
+
+export const DISTRIBUTION_TYPES = {
+  Z: 'z',
+  T: 't'
+};
+
+/**
+ * Resolve the jStat distribution and its parameters
+ * @param {string} distribution - Distribution type (z or t)
+ * @param {number} df - Degrees of freedom (for t-distribution)
+ * @returns {{dist: Object, params: number[]}}
+ */
+const resolveDistribution = (distribution, df) => {
+  const isZ = distribution === DISTRIBUTION_TYPES.Z;
+  return {
+    dist: isZ ? jStat.normal : jStat.studentt,
+    params: isZ ? [0, 1] : [df]
+  };
+};
+
+/**
+ * Calculate critical value based on distribution and tail type
+ * Two-tailed tests return the negative (lower) critical value.
+ * @param {number} alpha - Significance level
+ * @param {string} distribution - Distribution type (z or t)
+ * @param {string} tailType - Test tail type
+ * @param {number} df - Degrees of freedom (for t-distribution)
+ * @returns {number} Critical value
+ */
+export const getCriticalValue = (alpha, distribution, tailType, df = null) => {
+  const { dist, params } = resolveDistribution(distribution, df);
+
+  switch (tailType) {
+    case TAIL_TYPES.TWO:
+      return -Math.abs(dist.inv(alpha / 2, ...params));
+    case TAIL_TYPES.RIGHT:
+      return dist.inv(1 - alpha, ...params);
+    case TAIL_TYPES.LEFT:
+      return dist.inv(alpha, ...params);
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Calculate p-value based on test statistic
+ * @param {number} testStatistic - Calculated test statistic
+ * @param {string} distribution - Distribution type (z or t)
+ * @param {string} tailType - Test tail type
+ * @param {number} df - Degrees of freedom (for t-distribution)
+ * @returns {number} P-value
+ */
+export const getPValue = (testStatistic, distribution, tailType, df = null) => {
+  const { dist, params } = resolveDistribution(distribution, df);
+
+  switch (tailType) {
+    case TAIL_TYPES.TWO:
+      return 2 * (1 - dist.cdf(Math.abs(testStatistic), ...params));
+    case TAIL_TYPES.RIGHT:
+      return 1 - dist.cdf(testStatistic, ...params);
+    case TAIL_TYPES.LEFT:
+      return dist.cdf(testStatistic, ...params);
+    default:
+      return 0;
+  }
+};
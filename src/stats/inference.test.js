@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { TAIL_TYPES, DISTRIBUTION_TYPES, getCriticalValue, getPValue } from './inference';
+
+describe('getCriticalValue', () => {
+  it('returns the z table values', () => {
+    expect(getCriticalValue(0.05, DISTRIBUTION_TYPES.Z, TAIL_TYPES.TWO)).toBeCloseTo(-1.959964, 5);
+    expect(getCriticalValue(0.05, DISTRIBUTION_TYPES.Z, TAIL_TYPES.RIGHT)).toBeCloseTo(1.644854, 5);
+    expect(getCriticalValue(0.01, DISTRIBUTION_TYPES.Z, TAIL_TYPES.LEFT)).toBeCloseTo(-2.326348, 5);
+  });
+
+  it('returns the t table values', () => {
+    expect(getCriticalValue(0.05, DISTRIBUTION_TYPES.T, TAIL_TYPES.TWO, 20)).toBeCloseTo(-2.085963, 5);
+    expect(getCriticalValue(0.05, DISTRIBUTION_TYPES.T, TAIL_TYPES.RIGHT, 10)).toBeCloseTo(1.812461, 5);
+    expect(getCriticalValue(0.01, DISTRIBUTION_TYPES.T, TAIL_TYPES.TWO, 5)).toBeCloseTo(-4.032143, 5);
+  });
+});
+
+describe('getPValue', () => {
+  it('matches the normal and t tail areas', () => {
+    expect(getPValue(1.96, DISTRIBUTION_TYPES.Z, TAIL_TYPES.TWO)).toBeCloseTo(0.049996, 5);
+    expect(getPValue(-1.5, DISTRIBUTION_TYPES.Z, TAIL_TYPES.LEFT)).toBeCloseTo(0.066807, 5);
+    expect(getPValue(2.228139, DISTRIBUTION_TYPES.T, TAIL_TYPES.TWO, 10)).toBeCloseTo(0.05, 5);
+    expect(getPValue(1.812461, DISTRIBUTION_TYPES.T, TAIL_TYPES.RIGHT, 10)).toBeCloseTo(0.05, 5);
+  });
+});
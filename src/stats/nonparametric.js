@@ -0,0 +1,300 @@
+/**
+ * Nonparametric (Rank-Based) Tests
+ *
+ * Tests that do not assume normal populations:
+ * - Sign test: counts values above and below a hypothesized median
+ * - Wilcoxon signed-rank: ranks the distances from the hypothesized median
+ * - Mann-Whitney U: compares two independent groups through their ranks
+ * - Kruskal-Wallis H: compares k independent groups through their ranks
+ *
+ * Small samples get exact p-values from the permutation distribution of the
+ * statistic (tied values keep their average ranks, so ties are handled
+ * exactly too). Larger samples use the normal approximation with a
+ * continuity correction and tie-corrected variance, or χ² for Kruskal-Wallis.
+ *
+ * Dependencies: jStat
+ */
+
+import { jStat } from 'jstat';
+import { TAIL_TYPES } from './inference';
+import { calculateRanks, tieGroupSizes } from './descriptive';
+
+// Largest sizes that still get exact p-values
+export const EXACT_MAX_N = 25;
+export const EXACT_MAX_GROUP_SIZE = 20;
+export const EXACT_MAX_ARRANGEMENTS = 200000;
+
+/**
+ * p-value from an exact null distribution
+ * Two-tailed p-values double the smaller tail (capped at 1).
+ *
+ * @param {Object[]} distribution - { value, probability } sorted by value
+ * @param {number} observed - Observed statistic
+ * @param {string} tailType - TAIL_TYPES value (right = large values are extreme)
+ * @returns {number} p-value
+ */
+const exactPValue = (distribution, observed, tailType) => {
+  const tolerance = 1e-9;
+  const lower = distribution.reduce((sum, d) => (d.value <= observed + tolerance ? sum + d.probability : sum), 0);
+  const upper = distribution.reduce((sum, d) => (d.value >= observed - tolerance ? sum + d.probability : sum), 0);
+
+  switch (tailType) {
+    case TAIL_TYPES.RIGHT:
+      return Math.min(1, upper);
+    case TAIL_TYPES.LEFT:
+      return Math.min(1, lower);
+    default:
+      return Math.min(1, 2 * Math.min(lower, upper));
+  }
+};
+
+/**
+ * Normal approximation with a 0.5 continuity correction
+ * @param {number} statistic - Observed statistic
+ * @param {number} mean - Mean under H₀
+ * @param {number} sd - Standard deviation under H₀
+ * @param {string} tailType - TAIL_TYPES value
+ * @returns {Object} z (continuity-corrected) and pValue
+ */
+const normalApproximation = (statistic, mean, sd, tailType) => {
+  if (!(sd > 0)) return { z: 0, pValue: 1 };
+  const difference = statistic - mean;
+
+  switch (tailType) {
+    case TAIL_TYPES.RIGHT: {
+      const z = (difference - 0.5) / sd;
+      return { z, pValue: 1 - jStat.normal.cdf(z, 0, 1) };
+    }
+    case TAIL_TYPES.LEFT: {
+      const z = (difference + 0.5) / sd;
+      return { z, pValue: jStat.normal.cdf(z, 0, 1) };
+    }
+    default: {
+      const z = Math.sign(difference) * Math.max(0, Math.abs(difference) - 0.5) / sd;
+      return { z, pValue: Math.min(1, 2 * (1 - jStat.normal.cdf(Math.abs(z), 0, 1))) };
+    }
+  }
+};
+
+/**
+ * Turn a map of doubled statistic values → counts into a sorted distribution
+ * (ranks are doubled so that average ranks of ties such as 3.5 stay integers)
+ */
+const toDistribution = (counts, total, shift = 0) =>
+  [...counts.entries()]
+    .map(([doubled, count]) => ({ value: doubled / 2 - shift, probability: count / total }))
+    .sort((a, b) => a.value - b.value);
+
+/**
+ * Sign test for a median
+ * Under H₀ each nonzero difference is equally likely to be + or −, so the
+ * number of positive signs S₊ follows Binomial(n, 0.5). Zero differences
+ * carry no sign and are dropped.
+ *
+ * @param {number[]} differences - Values minus the hypothesized median (or paired differences minus it)
+ * @param {string} tailType - TAIL_TYPES value (right = median above the hypothesized value)
+ * @returns {Object} n, positives, negatives, zeros, statistic (S₊), mean, sd, exact,
+ *   distribution (exact only), z (approximation only), pValue
+ */
+export const signTest = (differences, tailType) => {
+  const positives = differences.filter(d => d > 0).length;
+  const negatives = differences.filter(d => d < 0).length;
+  const zeros = differences.length - positives - negatives;
+  const n = positives + negatives;
+  const mean = n / 2;
+  const sd = Math.sqrt(n) / 2;
+  const exact = n <= EXACT_MAX_N;
+
+  const base = { n, positives, negatives, zeros, statistic: positives, mean, sd, exact };
+  if (exact) {
+    const distribution = Array.from({ length: n + 1 }, (_, k) => ({
+      value: k,
+      probability: jStat.binomial.pdf(k, n, 0.5)
+    }));
+    return { ...base, distribution, z: null, pValue: exactPValue(distribution, positives, tailType) };
+  }
+  return { ...base, distribution: null, ...normalApproximation(positives, mean, sd, tailType) };
+};
+
+/**
+ * Wilcoxon signed-rank test for a median (one sample or paired differences)
+ * Ranks |d| (average ranks for ties, zeros dropped) and sums the ranks of the
+ * positive differences: W₊. Under H₀ each rank is equally likely to carry
+ * either sign, which gives the exact distribution of W₊.
+ *
+ * @param {number[]} differences - Values minus the hypothesized median
+ * @param {string} tailType - TAIL_TYPES value (right = median above the hypothesized value)
+ * @returns {Object} n, zeros, rows [{ index, difference, absolute, rank, signedRank }] (nonzero
+ *   differences, index = position in the input), wPlus, wMinus, statistic (W₊), mean, sd,
+ *   exact, distribution (exact only), z (approximation only), pValue
+ */
+export const wilcoxonSignedRank = (differences, tailType) => {
+  const nonZero = differences
+    .map((difference, index) => ({ difference, index }))
+    .filter(d => d.difference !== 0);
+  const n = nonZero.length;
+  const absolutes = nonZero.map(d => Math.abs(d.difference));
+  const ranks = calculateRanks(absolutes);
+
+  const rows = nonZero.map((d, i) => ({
+    index: d.index,
+    difference: d.difference,
+    absolute: absolutes[i],
+    rank: ranks[i],
+    signedRank: d.difference > 0 ? ranks[i] : -ranks[i]
+  }));
+  const wPlus = rows.reduce((sum, r) => (r.difference > 0 ? sum + r.rank : sum), 0);
+  const wMinus = rows.reduce((sum, r) => (r.difference < 0 ? sum + r.rank : sum), 0);
+
+  const ties = tieGroupSizes(absolutes);
+  const mean = (n * (n + 1)) / 4;
+  const variance = (n * (n + 1) * (2 * n + 1)) / 24 - ties.reduce((sum, t) => sum + (t * t * t - t), 0) / 48;
+  const sd = Math.sqrt(Math.max(0, variance));
+  const exact = n > 0 && n <= EXACT_MAX_N;
+
+  const base = { n, zeros: differences.length - n, rows, wPlus, wMinus, statistic: wPlus, mean, sd, exact };
+  if (exact) {
+    // Each rank joins W₊ or not with probability ½: count the 2ⁿ sign patterns by sum
+    let counts = new Map([[0, 1]]);
+    ranks.forEach(rank => {
+      const doubled = Math.round(rank * 2);
+      const next = new Map(counts);
+      counts.forEach((count, sum) => next.set(sum + doubled, (next.get(sum + doubled) || 0) + count));
+      counts = next;
+    });
+    const distribution = toDistribution(counts, Math.pow(2, n));
+    return { ...base, distribution, z: null, pValue: exactPValue(distribution, wPlus, tailType) };
+  }
+  return { ...base, distribution: null, ...normalApproximation(wPlus, mean, sd, tailType) };
+};
+
+/**
+ * Mann-Whitney U test (Wilcoxon rank-sum) for two independent groups
+ * Ranks all values together; U₁ = R₁ − n₁(n₁ + 1)/2 counts how often a
+ * Group 1 value beats a Group 2 value (ties count ½). Under H₀ every way of
+ * choosing n₁ of the N ranks for Group 1 is equally likely.
+ *
+ * @param {number[]} group1 - First group
+ * @param {number[]} group2 - Second group
+ * @param {string} tailType - TAIL_TYPES value (right = Group 1 tends to be larger)
+ * @returns {Object} n1, n2, rows [{ group, index, value, rank }] sorted by value,
+ *   rankSum1, rankSum2, u1, u2, statistic (U₁), mean, sd, exact,
+ *   distribution (exact only), z (approximation only), pValue
+ */
+export const mannWhitneyU = (group1, group2, tailType) => {
+  const n1 = group1.length;
+  const n2 = group2.length;
+  const N = n1 + n2;
+  const combined = [
+    ...group1.map((value, index) => ({ group: 0, index, value })),
+    ...group2.map((value, index) => ({ group: 1, index, value }))
+  ];
+  const ranks = calculateRanks(combined.map(c => c.value));
+  const rows = combined
+    .map((c, i) => ({ ...c, rank: ranks[i] }))
+    .sort((a, b) => a.value - b.value || a.group - b.group);
+
+  const rankSum1 = rows.reduce((sum, r) => (r.group === 0 ? sum + r.rank : sum), 0);
+  const rankSum2 = rows.reduce((sum, r) => (r.group === 1 ? sum + r.rank : sum), 0);
+  const u1 = rankSum1 - (n1 * (n1 + 1)) / 2;
+  const u2 = n1 * n2 - u1;
+
+  const ties = tieGroupSizes(combined.map(c => c.value));
+  const mean = (n1 * n2) / 2;
+  const tieTerm = N > 1 ? ties.reduce((sum, t) => sum + (t * t * t - t), 0) / (N * (N - 1)) : 0;
+  const sd = Math.sqrt(Math.max(0, ((n1 * n2) / 12) * ((N + 1) - tieTerm)));
+  const exact = n1 <= EXACT_MAX_GROUP_SIZE && n2 <= EXACT_MAX_GROUP_SIZE;
+
+  const base = { n1, n2, rows, rankSum1, rankSum2, u1, u2, statistic: u1, mean, sd, exact };
+  if (exact) {
+    // ways[j]: doubled rank sum → number of ways to pick j ranks with that sum
+    const ways = Array.from({ length: n1 + 1 }, () => new Map());
+    ways[0].set(0, 1);
+    ranks.forEach((rank, i) => {
+      const doubled = Math.round(rank * 2);
+      for (let j = Math.min(i + 1, n1); j >= 1; j--) {
+        ways[j - 1].forEach((count, sum) => ways[j].set(sum + doubled, (ways[j].get(sum + doubled) || 0) + count));
+      }
+    });
+    const total = [...ways[n1].values()].reduce((a, b) => a + b, 0);
+    const distribution = toDistribution(ways[n1], total, (n1 * (n1 + 1)) / 2);
+    return { ...base, distribution, z: null, pValue: exactPValue(distribution, u1, tailType) };
+  }
+  return { ...base, distribution: null, ...normalApproximation(u1, mean, sd, tailType) };
+};
+
+/**
+ * Kruskal-Wallis H test for k independent groups
+ * H = 12 / (N(N + 1)) · Σ Rᵢ²/nᵢ − 3(N + 1), divided by the tie correction
+ * 1 − Σ(t³ − t)/(N³ − N). Right-tailed: large H means the mean ranks differ.
+ * When the number of ways to split the ranks among the groups is at most
+ * EXACT_MAX_ARRANGEMENTS, every split is enumerated for an exact p-value;
+ * otherwise H is compared with χ²(k − 1).
+ *
+ * @param {number[][]} groups - Values for each group (k ≥ 2)
+ * @returns {Object} k, N, rows [{ group, index, value, rank }] sorted by value,
+ *   groupRanks [{ n, rankSum, meanRank }], hUncorrected, tieCorrection, h, df,
+ *   arrangements, exact, pValue
+ */
+export const kruskalWallis = (groups) => {
+  const k = groups.length;
+  const sizes = groups.map(g => g.length);
+  const N = sizes.reduce((a, b) => a + b, 0);
+  const combined = groups.flatMap((values, group) => values.map((value, index) => ({ group, index, value })));
+  const ranks = calculateRanks(combined.map(c => c.value));
+  const rows = combined
+    .map((c, i) => ({ ...c, rank: ranks[i] }))
+    .sort((a, b) => a.value - b.value || a.group - b.group);
+
+  const rankSums = new Array(k).fill(0);
+  rows.forEach(r => { rankSums[r.group] += r.rank; });
+  const groupRanks = sizes.map((n, i) => ({ n, rankSum: rankSums[i], meanRank: rankSums[i] / n }));
+
+  const ties = tieGroupSizes(combined.map(c => c.value));
+  const tieCorrection = 1 - ties.reduce((sum, t) => sum + (t * t * t - t), 0) / (N * N * N - N);
+  const hFromSums = (sums) =>
+    (12 / (N * (N + 1))) * sums.reduce((total, sum, i) => total + (sum * sum) / sizes[i], 0) - 3 * (N + 1);
+  const hUncorrected = hFromSums(rankSums);
+  const h = tieCorrection > 0 ? hUncorrected / tieCorrection : 0;
+  const df = k - 1;
+
+  // Number of distinct ways to split N ranks into groups of these sizes
+  let arrangements = 1;
+  let remaining = N;
+  sizes.forEach(n => {
+    for (let i = 1; i <= n; i++) arrangements = (arrangements * (remaining - n + i)) / i;
+    remaining -= n;
+  });
+  arrangements = Math.round(arrangements);
+  const exact = arrangements <= EXACT_MAX_ARRANGEMENTS;
+
+  let pValue;
+  if (exact) {
+    // Enumerate every split; H only depends on Σ Rᵢ²/nᵢ, so compare that
+    const target = rankSums.reduce((total, sum, i) => total + (sum * sum) / sizes[i], 0) - 1e-9;
+    const sums = new Array(k).fill(0);
+    const left = [...sizes];
+    let atLeastAsExtreme = 0;
+    const assign = (position) => {
+      if (position === N) {
+        const stat = sums.reduce((total, sum, i) => total + (sum * sum) / sizes[i], 0);
+        if (stat >= target) atLeastAsExtreme++;
+        return;
+      }
+      for (let g = 0; g < k; g++) {
+        if (left[g] === 0) continue;
+        left[g]--;
+        sums[g] += ranks[position];
+        assign(position + 1);
+        sums[g] -= ranks[position];
+        left[g]++;
+      }
+    };
+    assign(0);
+    pValue = atLeastAsExtreme / arrangements;
+  } else {
+    pValue = 1 - jStat.chisquare.cdf(h, df);
+  }
+
+  return { k, N, rows, groupRanks, hUncorrected, tieCorrection, h, df, arrangements, exact, pValue };
+};
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { TAIL_TYPES } from './inference';
+import { signTest, wilcoxonSignedRank, mannWhitneyU, kruskalWallis } from './nonparametric';
+
+describe('signTest', () => {
+  it('uses the exact binomial p-value', () => {
+    // 8 positive of 10: 2 × P(X ≥ 8), X ~ Binomial(10, 0.5)
+    const result = signTest([1, 2, 3, 4, 5, 6, 7, 8, -1, -2], TAIL_TYPES.TWO);
+    expect(result.statistic).toBe(8);
+    expect(result.exact).toBe(true);
+    expect(result.pValue).toBeCloseTo(0.109375, 10);
+  });
+});
+
+describe('wilcoxonSignedRank', () => {
+  it('matches the Hollander & Wolfe depression example', () => {
+    // R: wilcox.test(x, y, paired = TRUE, alternative = "greater") → V = 40, p = 0.01953
+    const x = [1.83, 0.50, 1.62, 2.48, 1.68, 1.88, 1.55, 3.06, 1.30];
+    const y = [0.878, 0.647, 0.598, 2.05, 1.06, 1.29, 1.06, 3.14, 1.29];
+    const result = wilcoxonSignedRank(x.map((v, i) => v - y[i]), TAIL_TYPES.RIGHT);
+    expect(result.wPlus).toBe(40);
+    expect(result.exact).toBe(true);
+    expect(result.pValue).toBeCloseTo(0.019531, 6);
+  });
+});
+
+describe('mannWhitneyU', () => {
+  it('matches the R wilcox.test example', () => {
+    // R: wilcox.test(x, y, alternative = "g") → W = 35, p = 0.1272
+    const x = [0.80, 0.83, 1.89, 1.04, 1.45, 1.38, 1.91, 1.64, 0.73, 1.46];
+    const y = [1.15, 0.88, 0.90, 0.74, 1.21];
+    const result = mannWhitneyU(x, y, TAIL_TYPES.RIGHT);
+    expect(result.u1).toBe(35);
+    expect(result.exact).toBe(true);
+    expect(result.pValue).toBeCloseTo(0.127206, 6);
+  });
+});
+
+describe('kruskalWallis', () => {
+  it('matches the Hollander & Wolfe mucociliary example', () => {
+    // R: kruskal.test(list(x, y, z)) → H = 0.77143, df = 2, p = 0.68
+    const result = kruskalWallis([
+      [2.9, 3.0, 2.5, 2.6, 3.2],
+      [3.8, 2.7, 4.0, 2.4],
+      [2.8, 3.4, 3.7, 2.2, 2.0]
+    ]);
+    expect(result.h).toBeCloseTo(0.771429, 6);
+    expect(result.df).toBe(2);
+    expect(result.pValue).toBeCloseTo(0.679965, 5);
+  });
+});
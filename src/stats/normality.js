@@ -0,0 +1,171 @@
+/**
+ * Normality Checks
+ *
+ * Tools for judging whether data could have come from a normal distribution:
+ * - Normal quantile-quantile (Q-Q) plot points and reference line
+ * - Shapiro-Wilk W test
+ * - Anderson-Darling A² test
+ *
+ * Dependencies: jStat
+ */
+
+import { jStat } from 'jstat';
+
+/**
+ * Points for a normal Q-Q plot
+ * Each sorted value is paired with the standard normal quantile expected at
+ * its rank, using Blom's plotting positions (i − 0.375) / (n + 0.25).
+ * Points near a straight line suggest the data are roughly normal.
+ *
+ * @param {number[]} values - Data (any order)
+ * @returns {Object[]} { theoretical, sample, index } sorted by sample value;
+ *   index is the position of the value in the input array
+ */
+export const normalQQPoints = (values) => {
+  const n = values.length;
+  return values
+    .map((value, index) => ({ value, index }))
+    .sort((a, b) => a.value - b.value)
+    .map((point, i) => ({
+      theoretical: jStat.normal.inv((i + 1 - 0.375) / (n + 0.25), 0, 1),
+      sample: point.value,
+      index: point.index
+    }));
+};
+
+/**
+ * Reference line for a normal Q-Q plot: where the points would fall if the
+ * data were exactly normal with the sample's mean and standard deviation
+ * (sample value = x̄ + s · z)
+ *
+ * @param {number[]} values - Data (n ≥ 2)
+ * @returns {Object} intercept (x̄) and slope (s)
+ */
+export const qqReferenceLine = (values) => ({
+  intercept: jStat.mean(values),
+  slope: jStat.stdev(values, true)
+});
+
+/**
+ * Evaluate a polynomial c[0] + c[1]·x + c[2]·x² + …
+ */
+const polynomial = (coefficients, x) =>
+  coefficients.reduceRight((sum, c) => sum * x + c, 0);
+
+export const SHAPIRO_WILK_MIN_N = 3;
+export const SHAPIRO_WILK_MAX_N = 5000;
+export const ANDERSON_DARLING_MIN_N = 8;
+
+/**
+ * Shapiro-Wilk test of H₀: the data come from a normal distribution
+ * W = (Σ aᵢ(x₍ₙ₊₁₋ᵢ₎ − x₍ᵢ₎))² / Σ(xᵢ − x̄)², with Royston's (1995)
+ * approximations for the coefficients aᵢ and for the p-value (algorithm AS R94).
+ * W close to 1 means the sorted data line up with normal quantiles.
+ *
+ * @param {number[]} values - Data, 3 ≤ n ≤ 5000, not all equal
+ * @returns {Object|null} w and pValue, or null when the test does not apply
+ */
+export const shapiroWilk = (values) => {
+  const n = values.length;
+  if (n < SHAPIRO_WILK_MIN_N || n > SHAPIRO_WILK_MAX_N) return null;
+  const x = [...values].sort((a, b) => a - b);
+  if (x[n - 1] - x[0] === 0) return null;
+
+  const half = Math.floor(n / 2);
+  const a = new Array(half);
+  if (n === 3) {
+    a[0] = Math.SQRT1_2;
+  } else {
+    const m = Array.from({ length: half }, (_, i) => jStat.normal.inv((i + 1 - 0.375) / (n + 0.25), 0, 1));
+    const sumM2 = 2 * m.reduce((sum, mi) => sum + mi * mi, 0);
+    const rootSumM2 = Math.sqrt(sumM2);
+    const u = 1 / Math.sqrt(n);
+    const a1 = polynomial([0, 0.221157, -0.147981, -2.07119, 4.434685, -2.706056], u) - m[0] / rootSumM2;
+    a[0] = a1;
+
+    let first;
+    let scale;
+    if (n > 5) {
+      const a2 = polynomial([0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633], u) - m[1] / rootSumM2;
+      a[1] = a2;
+      first = 2;
+      scale = Math.sqrt((sumM2 - 2 * m[0] * m[0] - 2 * m[1] * m[1]) / (1 - 2 * a1 * a1 - 2 * a2 * a2));
+    } else {
+      first = 1;
+      scale = Math.sqrt((sumM2 - 2 * m[0] * m[0]) / (1 - 2 * a1 * a1));
+    }
+    for (let i = first; i < half; i++) a[i] = -m[i] / scale;
+  }
+
+  const mean = x.reduce((sum, v) => sum + v, 0) / n;
+  const ss = x.reduce((sum, v) => sum + (v - mean) * (v - mean), 0);
+  const numerator = a.reduce((sum, ai, i) => sum + ai * (x[n - 1 - i] - x[i]), 0);
+  const w = Math.min(1, (numerator * numerator) / ss);
+
+  let pValue;
+  if (n === 3) {
+    // Exact distribution for n = 3
+    pValue = Math.max(0, (6 / Math.PI) * (Math.asin(Math.sqrt(w)) - Math.PI / 3));
+  } else {
+    let y = Math.log(1 - w);
+    let mu;
+    let sigma;
+    if (n <= 11) {
+      const gamma = polynomial([-2.273, 0.459], n);
+      if (y >= gamma) return { w, pValue: 0 };
+      y = -Math.log(gamma - y);
+      mu = polynomial([0.544, -0.39978, 0.025054, -6.714e-4], n);
+      sigma = Math.exp(polynomial([1.3822, -0.77857, 0.062767, -0.0020322], n));
+    } else {
+      const logN = Math.log(n);
+      mu = polynomial([-1.5861, -0.31082, -0.083751, 0.0038915], logN);
+      sigma = Math.exp(polynomial([-0.4803, -0.082676, 0.0030302], logN));
+    }
+    pValue = 1 - jStat.normal.cdf(y, mu, sigma);
+  }
+
+  return { w, pValue: Math.min(1, pValue) };
+};
+
+/**
+ * Anderson-Darling test of H₀: the data come from a normal distribution
+ * (mean and SD estimated from the sample)
+ * A² = −n − (1/n) Σ (2i − 1)[ln Φ(zᵢ) + ln(1 − Φ(zₙ₊₁₋ᵢ))], weighting the
+ * tails more heavily than other goodness-of-fit tests. The p-value uses the
+ * small-sample adjustment A*² = A²(1 + 0.75/n + 2.25/n²) and the
+ * D'Agostino & Stephens (1986) formulas.
+ *
+ * @param {number[]} values - Data, n ≥ 8, not all equal
+ * @returns {Object|null} a2, a2Adjusted and pValue, or null when the test does not apply
+ */
+export const andersonDarling = (values) => {
+  const n = values.length;
+  if (n < ANDERSON_DARLING_MIN_N) return null;
+  const mean = jStat.mean(values);
+  const sd = jStat.stdev(values, true);
+  if (!(sd > 0)) return null;
+
+  // Clamp so that values far in the tails do not produce log(0)
+  const clamp = (p) => Math.min(1 - 1e-15, Math.max(1e-15, p));
+  const cdf = [...values]
+    .sort((a, b) => a - b)
+    .map(v => clamp(jStat.normal.cdf((v - mean) / sd, 0, 1)));
+  const sum = cdf.reduce((total, p, i) => total + (2 * i + 1) * (Math.log(p) + Math.log(1 - cdf[n - 1 - i])), 0);
+  const a2 = -n - sum / n;
+  const a2Adjusted = a2 * (1 + 0.75 / n + 2.25 / (n * n));
+
+  let pValue;
+  if (a2Adjusted < 0.2) {
+    pValue = 1 - Math.exp(-13.436 + 101.14 * a2Adjusted - 223.73 * a2Adjusted * a2Adjusted);
+  } else if (a2Adjusted < 0.34) {
+    pValue = 1 - Math.exp(-8.318 + 42.796 * a2Adjusted - 59.938 * a2Adjusted * a2Adjusted);
+  } else if (a2Adjusted < 0.6) {
+    pValue = Math.exp(0.9177 - 4.279 * a2Adjusted - 1.38 * a2Adjusted * a2Adjusted);
+  } else if (a2Adjusted < 10) {
+    pValue = Math.exp(1.2937 - 5.709 * a2Adjusted + 0.0186 * a2Adjusted * a2Adjusted);
+  } else {
+    pValue = 3.7e-24;
+  }
+
+  return { a2, a2Adjusted, pValue: Math.min(1, Math.max(0, pValue)) };
+};
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { shapiroWilk, andersonDarling, qqReferenceLine } from './normality';
+
+// Weights of 11 men from Shapiro & Wilk (1965)
+const WEIGHTS = [148, 154, 158, 160, 161, 162, 166, 170, 182, 195, 236];
+
+describe('shapiroWilk', () => {
+  it('matches the Shapiro & Wilk (1965) example', () => {
+    // R: shapiro.test(WEIGHTS) → W = 0.78881, p = 0.006704
+    const result = shapiroWilk(WEIGHTS);
+    expect(result.w).toBeCloseTo(0.78881, 5);
+    expect(result.pValue).toBeCloseTo(0.006704, 5);
+  });
+
+  it('does not apply to fewer than 3 values or constant data', () => {
+    expect(shapiroWilk([1, 2])).toBeNull();
+    expect(shapiroWilk([5, 5, 5, 5])).toBeNull();
+  });
+});
+
+describe('andersonDarling', () => {
+  it('matches nortest::ad.test', () => {
+    // R: ad.test(WEIGHTS) → A = 0.94677, p = 0.01045
+    const result = andersonDarling(WEIGHTS);
+    expect(result.a2).toBeCloseTo(0.94677, 5);
+    expect(result.pValue).toBeCloseTo(0.01045, 4);
+  });
+});
+
+describe('qqReferenceLine', () => {
+  it('runs through the sample mean with the sample SD as slope', () => {
+    const line = qqReferenceLine([2, 4, 4, 4, 5, 5, 7, 9]);
+    expect(line.intercept).toBe(5);
+    expect(line.slope).toBeCloseTo(2.138090, 6);
+  });
+});
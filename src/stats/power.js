@@ -0,0 +1,129 @@
+/**
+ * Power and Sample Size
+ *
+ * Power of the one-sample and two-sample mean and proportion tests, and the
+ * smallest sample size that reaches a target power. Uses the large-sample
+ * normal approximation: the estimate (x̄, p̂ or their difference) is treated
+ * as normal under both the null and the alternative hypothesis.
+ *
+ * Dependencies: jStat
+ */
+
+import { jStat } from 'jstat';
+import { TAIL_TYPES } from './inference';
+
+export const POWER_TEST_TYPES = {
+  ONE_MEAN: 'one-mean',
+  ONE_PROPORTION: 'one-proportion',
+  TWO_MEANS: 'two-means',
+  TWO_PROPORTIONS: 'two-proportions'
+};
+
+/**
+ * Sampling distributions of the estimate under H₀ and H₁
+ * For two-sample tests n is the size of EACH group and the estimate is the difference.
+ *
+ * @param {string} testType - One of POWER_TEST_TYPES
+ * @param {Object} params - mu0, mu1, sigma (one mean); p0, p1 (one proportion);
+ *   mu1, mu2, sigma (two means); p1, p2 (two proportions)
+ * @param {number} n - Sample size (per group for two-sample tests)
+ * @returns {Object} null and alt, each { mean, se }
+ */
+export const getSamplingDistributions = (testType, params, n) => {
+  switch (testType) {
+    case POWER_TEST_TYPES.ONE_MEAN: {
+      const se = params.sigma / Math.sqrt(n);
+      return { null: { mean: params.mu0, se }, alt: { mean: params.mu1, se } };
+    }
+    case POWER_TEST_TYPES.ONE_PROPORTION: {
+      const { p0, p1 } = params;
+      return {
+        null: { mean: p0, se: Math.sqrt((p0 * (1 - p0)) / n) },
+        alt: { mean: p1, se: Math.sqrt((p1 * (1 - p1)) / n) }
+      };
+    }
+    case POWER_TEST_TYPES.TWO_MEANS: {
+      const se = params.sigma * Math.sqrt(2 / n);
+      return { null: { mean: 0, se }, alt: { mean: params.mu1 - params.mu2, se } };
+    }
+    case POWER_TEST_TYPES.TWO_PROPORTIONS: {
+      const { p1, p2 } = params;
+      // Under H₀ both groups share the pooled proportion
+      const pooled = (p1 + p2) / 2;
+      return {
+        null: { mean: 0, se: Math.sqrt((2 * pooled * (1 - pooled)) / n) },
+        alt: { mean: p1 - p2, se: Math.sqrt((p1 * (1 - p1) + p2 * (1 - p2)) / n) }
+      };
+    }
+    default:
+      throw new Error(`Unknown test type: ${testType}`);
+  }
+};
+
+/**
+ * Rejection-region boundaries on the scale of the estimate
+ * @param {Object} nullDist - { mean, se } under H₀
+ * @param {number} alpha - Significance level
+ * @param {string} tailType - TAIL_TYPES value
+ * @returns {Object} lower and upper cutoffs (null when that side has no rejection region)
+ */
+export const getRejectionBounds = (nullDist, alpha, tailType) => {
+  const z = tailType === TAIL_TYPES.TWO
+    ? jStat.normal.inv(1 - alpha / 2, 0, 1)
+    : jStat.normal.inv(1 - alpha, 0, 1);
+  return {
+    lower: tailType === TAIL_TYPES.RIGHT ? null : nullDist.mean - z * nullDist.se,
+    upper: tailType === TAIL_TYPES.LEFT ? null : nullDist.mean + z * nullDist.se
+  };
+};
+
+/**
+ * Power: the probability of rejecting H₀ when the alternative is true
+ * @param {string} testType - One of POWER_TEST_TYPES
+ * @param {Object} params - Test parameters (see getSamplingDistributions)
+ * @param {number} n - Sample size (per group for two-sample tests)
+ * @param {number} alpha - Significance level
+ * @param {string} tailType - TAIL_TYPES value
+ * @returns {number} Power (1 − β)
+ */
+export const calculatePower = (testType, params, n, alpha, tailType) => {
+  const dists = getSamplingDistributions(testType, params, n);
+  const { lower, upper } = getRejectionBounds(dists.null, alpha, tailType);
+  const { mean, se } = dists.alt;
+
+  let power = 0;
+  if (lower !== null) power += jStat.normal.cdf(lower, mean, se);
+  if (upper !== null) power += 1 - jStat.normal.cdf(upper, mean, se);
+  return power;
+};
+
+/**
+ * Smallest sample size whose power reaches the target
+ * Power grows with n whenever the effect points the way H₁ expects,
+ * so a binary search over whole numbers finds the answer.
+ *
+ * @param {string} testType - One of POWER_TEST_TYPES
+ * @param {Object} params - Test parameters (see getSamplingDistributions)
+ * @param {number} alpha - Significance level
+ * @param {string} tailType - TAIL_TYPES value
+ * @param {number} targetPower - Desired power, e.g., 0.8
+ * @param {number} [maxN=1000000] - Largest sample size to consider
+ * @returns {number|null} Required n (per group for two-sample tests), or null if unreachable
+ */
+export const solveSampleSize = (testType, params, alpha, tailType, targetPower, maxN = 1000000) => {
+  const powerAt = (n) => calculatePower(testType, params, n, alpha, tailType);
+  if (powerAt(maxN) < targetPower) return null;
+
+  let low = 2;
+  let high = maxN;
+  if (powerAt(low) >= targetPower) return low;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (powerAt(mid) >= targetPower) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return high;
+};
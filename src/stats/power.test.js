@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { TAIL_TYPES } from './inference';
+import { POWER_TEST_TYPES, calculatePower, solveSampleSize } from './power';
+
+describe('solveSampleSize', () => {
+  it('needs 63 per group to detect d = 0.5 with 80% power', () => {
+    expect(solveSampleSize(POWER_TEST_TYPES.TWO_MEANS, { mu1: 105, mu2: 100, sigma: 10 }, 0.05, TAIL_TYPES.TWO, 0.8)).toBe(63);
+  });
+
+  it('needs 783 to tell 55% from 50%', () => {
+    expect(solveSampleSize(POWER_TEST_TYPES.ONE_PROPORTION, { p0: 0.5, p1: 0.55 }, 0.05, TAIL_TYPES.TWO, 0.8)).toBe(783);
+  });
+});
+
+describe('calculatePower', () => {
+  it('matches the z-test power formula', () => {
+    // Φ(3 / (10 / √20) − 1.645) ≈ 0.38
+    const power = calculatePower(POWER_TEST_TYPES.ONE_MEAN, { mu0: 70, mu1: 73, sigma: 10 }, 20, 0.05, TAIL_TYPES.RIGHT);
+    expect(power).toBeCloseTo(0.3808, 3);
+  });
+
+  it('equals α when there is no effect', () => {
+    const power = calculatePower(POWER_TEST_TYPES.ONE_MEAN, { mu0: 70, mu1: 70, sigma: 10 }, 20, 0.05, TAIL_TYPES.TWO);
+    expect(power).toBeCloseTo(0.05, 10);
+  });
+});
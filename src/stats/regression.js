@@ -0,0 +1,431 @@
+/**
+ * Linear Regression
+ *
+ * Ordinary least squares for one or more predictors, solved through the
+ * normal equations (XᵀX)b = Xᵀy. The inverse of XᵀX is kept because it also
+ * gives the coefficient standard errors and the width of the confidence and
+ * prediction intervals. Curved models (polynomial, exponential, logarithmic,
+ * power) are fitted with the same machinery after transforming x and/or y.
+ *
+ * Dependencies: jStat (through inference.js and anova.js)
+ */
+
+import { getPValue, getCriticalValue, DISTRIBUTION_TYPES, TAIL_TYPES } from './inference';
+import { getFPValue } from './anova';
+import { binomialCoefficient } from './distributions';
+
+export const CURVE_MODELS = {
+  LINEAR: 'linear',
+  POLYNOMIAL: 'polynomial',
+  EXPONENTIAL: 'exponential',
+  LOGARITHMIC: 'logarithmic',
+  POWER: 'power'
+};
+
+export const MIN_POLYNOMIAL_DEGREE = 2;
+export const MAX_POLYNOMIAL_DEGREE = 5;
+
+/**
+ * Invert a square matrix by Gauss-Jordan elimination with partial pivoting
+ * @param {number[][]} matrix - Square matrix (left unchanged)
+ * @returns {number[][]|null} Inverse, or null when the matrix is singular
+ */
+export const invertMatrix = (matrix) => {
+  const size = matrix.length;
+  // Augment with the identity: [A | I]
+  const rows = matrix.map((row, i) => [
+    ...row,
+    ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))
+  ]);
+  const scale = Math.max(...matrix.flat().map(Math.abs)) || 1;
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r++) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12 * scale) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    const pivotValue = rows[col][col];
+    for (let c = 0; c < 2 * size; c++) rows[col][c] /= pivotValue;
+
+    for (let r = 0; r < size; r++) {
+      if (r === col) continue;
+      const factor = rows[r][col];
+      if (factor === 0) continue;
+      for (let c = 0; c < 2 * size; c++) rows[r][c] -= factor * rows[col][c];
+    }
+  }
+
+  return rows.map(row => row.slice(size));
+};
+
+/**
+ * Fit y = b₀ + b₁x₁ + … + bₖxₖ by least squares
+ * @param {number[][]} predictors - One array of values per predictor (k ≥ 1), each of length n
+ * @param {number[]} y - Response values
+ * @returns {Object|null} n, k, coefficients [{ estimate, se, t, pValue }] (intercept first),
+ *   fitted, residuals, sse, ssr, sst, dfModel, dfError, mse, standardError, r2, adjustedR2,
+ *   f, fPValue, design, xtxInverse — or null when the predictors are perfectly collinear
+ */
+export const fitLinearModel = (predictors, y) => {
+  const n = y.length;
+  const k = predictors.length;
+  const p = k + 1;
+
+  // Design matrix rows: [1, x₁, …, xₖ]
+  const design = y.map((_, i) => [1, ...predictors.map(column => column[i])]);
+
+  const xtx = Array.from({ length: p }, (_, a) =>
+    Array.from({ length: p }, (_, b) => design.reduce((sum, row) => sum + row[a] * row[b], 0))
+  );
+  const xty = Array.from({ length: p }, (_, a) =>
+    design.reduce((sum, row, i) => sum + row[a] * y[i], 0)
+  );
+
+  const xtxInverse = invertMatrix(xtx);
+  if (!xtxInverse) return null;
+
+  const estimates = xtxInverse.map(row => row.reduce((sum, v, j) => sum + v * xty[j], 0));
+  const fitted = design.map(row => row.reduce((sum, v, j) => sum + v * estimates[j], 0));
+  const residuals = y.map((v, i) => v - fitted[i]);
+
+  const meanY = y.reduce((a, b) => a + b, 0) / n;
+  const sst = y.reduce((sum, v) => sum + Math.pow(v - meanY, 2), 0);
+  const sse = residuals.reduce((sum, e) => sum + e * e, 0);
+  const ssr = sst - sse;
+
+  const dfModel = k;
+  const dfError = n - p;
+  const mse = sse / dfError;
+  const r2 = sst > 0 ? 1 - sse / sst : 0;
+  const adjustedR2 = 1 - (1 - r2) * (n - 1) / dfError;
+  const f = (ssr / dfModel) / mse;
+
+  const coefficients = estimates.map((estimate, j) => {
+    const se = Math.sqrt(mse * xtxInverse[j][j]);
+    const t = estimate / se;
+    return {
+      estimate,
+      se,
+      t,
+      pValue: getPValue(t, DISTRIBUTION_TYPES.T, TAIL_TYPES.TWO, dfError)
+    };
+  });
+
+  return {
+    n,
+    k,
+    coefficients,
+    fitted,
+    residuals,
+    sse,
+    ssr,
+    sst,
+    dfModel,
+    dfError,
+    mse,
+    standardError: Math.sqrt(mse),
+    r2,
+    adjustedR2,
+    f,
+    fPValue: getFPValue(f, dfModel, dfError),
+    design,
+    xtxInverse
+  };
+};
+
+/**
+ * Variance inflation factors: VIFⱼ = 1 / (1 − Rⱼ²), where Rⱼ² comes from
+ * regressing predictor j on all the other predictors
+ * @param {number[][]} predictors - One array of values per predictor (k ≥ 2)
+ * @returns {number[]} VIF for each predictor (Infinity when perfectly explained by the others)
+ */
+export const calculateVIF = (predictors) => {
+  return predictors.map((column, j) => {
+    const others = predictors.filter((_, i) => i !== j);
+    const model = fitLinearModel(others, column);
+    if (!model || model.r2 >= 1) return Infinity;
+    return 1 / (1 - model.r2);
+  });
+};
+
+/**
+ * Predicted response for one set of predictor values
+ * @param {Object[]} coefficients - Coefficients from fitLinearModel (intercept first)
+ * @param {number[]} xValues - One value per predictor
+ * @returns {number} ŷ
+ */
+export const predictLinear = (coefficients, xValues) => {
+  return coefficients.reduce(
+    (sum, c, j) => sum + c.estimate * (j === 0 ? 1 : xValues[j - 1]),
+    0
+  );
+};
+
+/**
+ * Two-sided t critical value for the model's error degrees of freedom
+ * @param {Object} model - Result of fitLinearModel
+ * @param {number} confidenceLevel - e.g., 0.95
+ * @returns {number} Positive t*
+ */
+const getModelTCritical = (model, confidenceLevel) =>
+  Math.abs(getCriticalValue(1 - confidenceLevel, DISTRIBUTION_TYPES.T, TAIL_TYPES.TWO, model.dfError));
+
+/**
+ * Confidence intervals for every coefficient: b ± t* · SE(b)
+ * @param {Object} model - Result of fitLinearModel
+ * @param {number} confidenceLevel - e.g., 0.95
+ * @returns {Object[]} lower and upper bound per coefficient (intercept first)
+ */
+export const coefficientIntervals = (model, confidenceLevel) => {
+  const tCritical = getModelTCritical(model, confidenceLevel);
+  return model.coefficients.map(c => ({
+    lower: c.estimate - tCritical * c.se,
+    upper: c.estimate + tCritical * c.se
+  }));
+};
+
+/**
+ * Confidence interval for the mean response and prediction interval for one
+ * new observation at x₀. Both are centered on ŷ; the prediction interval adds
+ * the scatter of individual points around the line, so it is always wider.
+ *
+ * SE(mean) = s·√(x₀ᵀ(XᵀX)⁻¹x₀), SE(pred) = s·√(1 + x₀ᵀ(XᵀX)⁻¹x₀)
+ *
+ * @param {Object} model - Result of fitLinearModel
+ * @param {number[]} xValues - One value per predictor
+ * @param {number} confidenceLevel - e.g., 0.95
+ * @returns {Object} fit, seMean, sePrediction, tCritical, confidence and prediction ({ lower, upper })
+ */
+export const predictionIntervals = (model, xValues, confidenceLevel) => {
+  const x0 = [1, ...xValues];
+  const leverage = model.xtxInverse.reduce(
+    (sum, row, a) => sum + x0[a] * row.reduce((inner, v, b) => inner + v * x0[b], 0),
+    0
+  );
+  const fit = predictLinear(model.coefficients, xValues);
+  const seMean = Math.sqrt(model.mse * leverage);
+  const sePrediction = Math.sqrt(model.mse * (1 + leverage));
+  const tCritical = getModelTCritical(model, confidenceLevel);
+
+  return {
+    fit,
+    seMean,
+    sePrediction,
+    tCritical,
+    confidence: { lower: fit - tCritical * seMean, upper: fit + tCritical * seMean },
+    prediction: { lower: fit - tCritical * sePrediction, upper: fit + tCritical * sePrediction }
+  };
+};
+
+/**
+ * t-test of H₀: ρ = 0 for a sample correlation
+ * t = r·√(n − 2) / √(1 − r²) with n − 2 degrees of freedom. In simple
+ * regression this is the same t as the test of H₀: slope = 0.
+ *
+ * @param {number} r - Sample correlation coefficient
+ * @param {number} n - Number of pairs (n ≥ 3)
+ * @returns {Object} t, df, pValue (two-tailed)
+ */
+export const correlationTTest = (r, n) => {
+  const df = n - 2;
+  const t = Math.abs(r) >= 1
+    ? Math.sign(r) * Infinity
+    : r * Math.sqrt(df / (1 - r * r));
+  return {
+    t,
+    df,
+    pValue: Number.isFinite(t) ? getPValue(t, DISTRIBUTION_TYPES.T, TAIL_TYPES.TWO, df) : 0
+  };
+};
+
+/**
+ * Leverage of one design row: h = xᵀ(XᵀX)⁻¹x
+ * @param {number[][]} xtxInverse - (XᵀX)⁻¹ from fitLinearModel
+ * @param {number[]} row - Design row [1, x₁, …, xₖ]
+ * @returns {number} Hat value
+ */
+const hatValue = (xtxInverse, row) =>
+  xtxInverse.reduce(
+    (sum, inverseRow, a) => sum + row[a] * inverseRow.reduce((inner, v, b) => inner + v * row[b], 0),
+    0
+  );
+
+/**
+ * Case diagnostics for checking the regression assumptions
+ *
+ * - Leverage hᵢ: how far case i's predictor values sit from the rest (flag when hᵢ > 2p/n)
+ * - Standardized residual rᵢ = eᵢ / (s·√(1 − hᵢ))
+ * - Studentized residual tᵢ = rᵢ·√((n − p − 1) / (n − p − rᵢ²)), which leaves case i
+ *   out of s; flag when |tᵢ| > 2
+ * - Cook's distance Dᵢ = rᵢ² / p · hᵢ / (1 − hᵢ): how much all fitted values move
+ *   without case i; flag when Dᵢ > 4/n
+ * - Durbin-Watson d = Σ(eᵢ − eᵢ₋₁)² / Σeᵢ² for autocorrelation in data-entry order
+ *
+ * @param {Object} model - Result of fitLinearModel
+ * @returns {Object} cases [{ index, fitted, residual, leverage, standardized, studentized,
+ *   cooksDistance, highLeverage, outlier, influential }], thresholds, durbinWatson
+ */
+export const regressionDiagnostics = (model) => {
+  const { n, k, residuals, fitted, standardError, design, xtxInverse } = model;
+  const p = k + 1;
+  const dfError = n - p;
+  const thresholds = { leverage: (2 * p) / n, studentized: 2, cooksDistance: 4 / n };
+
+  const cases = residuals.map((residual, index) => {
+    const leverage = hatValue(xtxInverse, design[index]);
+    // A case with hᵢ = 1 is fitted exactly; its scaled residuals are undefined
+    const defined = 1 - leverage > 1e-10 && standardError > 0;
+    const standardized = defined ? residual / (standardError * Math.sqrt(1 - leverage)) : null;
+    const studentized = defined && dfError > 1 && dfError - standardized * standardized > 0
+      ? standardized * Math.sqrt((dfError - 1) / (dfError - standardized * standardized))
+      : null;
+    const cooksDistance = defined ? (standardized * standardized / p) * (leverage / (1 - leverage)) : null;
+
+    return {
+      index,
+      fitted: fitted[index],
+      residual,
+      leverage,
+      standardized,
+      studentized,
+      cooksDistance,
+      highLeverage: leverage > thresholds.leverage,
+      outlier: studentized !== null && Math.abs(studentized) > thresholds.studentized,
+      influential: cooksDistance !== null && cooksDistance > thresholds.cooksDistance
+    };
+  });
+
+  let squaredDifferences = 0;
+  for (let i = 1; i < n; i++) {
+    squaredDifferences += Math.pow(residuals[i] - residuals[i - 1], 2);
+  }
+  const sse = residuals.reduce((sum, e) => sum + e * e, 0);
+
+  return {
+    cases,
+    thresholds,
+    durbinWatson: sse > 0 ? squaredDifferences / sse : null
+  };
+};
+
+/**
+ * R² on the original y scale: 1 − SSE/SST
+ * Used for every curve so the models can be compared fairly, even when the fit
+ * itself was done on log(y).
+ */
+const originalScaleR2 = (y, predict, x) => {
+  const meanY = y.reduce((a, b) => a + b, 0) / y.length;
+  const sst = y.reduce((sum, v) => sum + Math.pow(v - meanY, 2), 0);
+  const sse = y.reduce((sum, v, i) => sum + Math.pow(v - predict(x[i]), 2), 0);
+  return sst > 0 ? 1 - sse / sst : 0;
+};
+
+/**
+ * Polynomial least squares y = c₀ + c₁x + … + c_d·x^d
+ * x is standardized to u = (x − x̄)/s before fitting so that high powers stay
+ * well conditioned, then the coefficients are expanded back to powers of x.
+ */
+const fitPolynomial = (x, y, degree) => {
+  const n = x.length;
+  const mean = x.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(x.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / n) || 1;
+  const u = x.map(v => (v - mean) / sd);
+
+  const model = fitLinearModel(
+    Array.from({ length: degree }, (_, j) => u.map(v => Math.pow(v, j + 1))),
+    y
+  );
+  if (!model) return null;
+
+  // Σ cⱼ·(a·x + b)ʲ with a = 1/s and b = −x̄/s, collected by powers of x
+  const a = 1 / sd;
+  const b = -mean / sd;
+  const coefficients = new Array(degree + 1).fill(0);
+  model.coefficients.forEach((c, j) => {
+    for (let i = 0; i <= j; i++) {
+      coefficients[i] += c.estimate * binomialCoefficient(j, i) * Math.pow(a, i) * Math.pow(b, j - i);
+    }
+  });
+  return coefficients;
+};
+
+/**
+ * Fit one of the CURVE_MODELS to (x, y) data
+ *
+ * - Linear:      y = a + b·x
+ * - Polynomial:  y = c₀ + c₁x + … + c_d·x^d
+ * - Exponential: y = a·e^(b·x), fitted as ln y = ln a + b·x (needs y > 0)
+ * - Logarithmic: y = a + b·ln x (needs x > 0)
+ * - Power:       y = a·x^b, fitted as ln y = ln a + b·ln x (needs x, y > 0)
+ *
+ * @param {string} modelType - One of CURVE_MODELS
+ * @param {number[]} x - Predictor values
+ * @param {number[]} y - Response values
+ * @param {number} [degree=2] - Polynomial degree (MIN_POLYNOMIAL_DEGREE to MAX_POLYNOMIAL_DEGREE)
+ * @returns {Object} type, degree, available, reason (when unavailable), coefficients
+ *   (polynomial: c₀…c_d; otherwise [a, b]), predict(x) and r2 on the original y scale
+ */
+export const fitCurve = (modelType, x, y, degree = MIN_POLYNOMIAL_DEGREE) => {
+  const unavailable = (reason) => ({ type: modelType, degree, available: false, reason });
+  const simpleFit = (xs, ys) => {
+    const model = fitLinearModel([xs], ys);
+    return model ? model.coefficients.map(c => c.estimate) : null;
+  };
+
+  let coefficients;
+  let predict;
+
+  switch (modelType) {
+    case CURVE_MODELS.LINEAR: {
+      coefficients = simpleFit(x, y);
+      if (!coefficients) return unavailable('X has no variation');
+      const [a, b] = coefficients;
+      predict = (v) => a + b * v;
+      break;
+    }
+    case CURVE_MODELS.POLYNOMIAL: {
+      if (x.length < degree + 2) return unavailable(`Needs at least ${degree + 2} points`);
+      coefficients = fitPolynomial(x, y, degree);
+      if (!coefficients) return unavailable(`Needs at least ${degree + 1} distinct X values`);
+      predict = (v) => coefficients.reduce((sum, c, i) => sum + c * Math.pow(v, i), 0);
+      break;
+    }
+    case CURVE_MODELS.EXPONENTIAL: {
+      if (y.some(v => v <= 0)) return unavailable('Needs every Y > 0');
+      const fit = simpleFit(x, y.map(Math.log));
+      if (!fit) return unavailable('X has no variation');
+      coefficients = [Math.exp(fit[0]), fit[1]];
+      predict = (v) => coefficients[0] * Math.exp(coefficients[1] * v);
+      break;
+    }
+    case CURVE_MODELS.LOGARITHMIC: {
+      if (x.some(v => v <= 0)) return unavailable('Needs every X > 0');
+      coefficients = simpleFit(x.map(Math.log), y);
+      if (!coefficients) return unavailable('X has no variation');
+      predict = (v) => coefficients[0] + coefficients[1] * Math.log(v);
+      break;
+    }
+    case CURVE_MODELS.POWER: {
+      if (x.some(v => v <= 0) || y.some(v => v <= 0)) return unavailable('Needs every X > 0 and Y > 0');
+      const fit = simpleFit(x.map(Math.log), y.map(Math.log));
+      if (!fit) return unavailable('X has no variation');
+      coefficients = [Math.exp(fit[0]), fit[1]];
+      predict = (v) => coefficients[0] * Math.pow(v, coefficients[1]);
+      break;
+    }
+    default:
+      throw new Error(`Unknown curve model: ${modelType}`);
+  }
+
+  return {
+    type: modelType,
+    degree,
+    available: true,
+    coefficients,
+    predict,
+    r2: originalScaleR2(y, predict, x)
+  };
+};
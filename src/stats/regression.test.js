@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { fitLinearModel, predictLinear, calculateVIF, correlationTTest, invertMatrix } from './regression';
+
+describe('fitLinearModel', () => {
+  it('fits the least-squares line', () => {
+    // ŷ = 2.2 + 0.6x, R² = 0.6, s = √0.8
+    const model = fitLinearModel([[1, 2, 3, 4, 5]], [2, 4, 5, 4, 5]);
+    expect(model.coefficients[0].estimate).toBeCloseTo(2.2, 10);
+    expect(model.coefficients[1].estimate).toBeCloseTo(0.6, 10);
+    expect(model.coefficients[1].se).toBeCloseTo(0.282843, 6);
+    expect(model.r2).toBeCloseTo(0.6, 10);
+    expect(model.standardError).toBeCloseTo(Math.sqrt(0.8), 10);
+    expect(predictLinear(model.coefficients, [6])).toBeCloseTo(5.8, 10);
+  });
+
+  it('fits a line through two points without standard errors', () => {
+    const model = fitLinearModel([[1, 2]], [3, 5]);
+    expect(model.coefficients.map(c => c.estimate)).toEqual([1, 2]);
+    expect(model.dfError).toBe(0);
+    expect(model.r2).toBe(1);
+  });
+
+  it('returns null for perfectly collinear predictors', () => {
+    expect(fitLinearModel([[1, 2, 3, 4], [2, 4, 6, 8]], [1, 3, 2, 5])).toBeNull();
+  });
+});
+
+describe('helpers', () => {
+  it('inverts a 2 × 2 matrix', () => {
+    const inverse = invertMatrix([[4, 7], [2, 6]]);
+    expect(inverse[0][0]).toBeCloseTo(0.6, 10);
+    expect(inverse[0][1]).toBeCloseTo(-0.7, 10);
+    expect(invertMatrix([[1, 2], [2, 4]])).toBeNull();
+  });
+
+  it('gives a VIF of 1 for uncorrelated predictors', () => {
+    const vif = calculateVIF([[1, -1, 1, -1], [1, 1, -1, -1]]);
+    vif.forEach(v => expect(v).toBeCloseTo(1, 10));
+  });
+
+  it('tests a correlation with n − 2 degrees of freedom', () => {
+    const result = correlationTTest(0.6, 10);
+    expect(result.df).toBe(8);
+    expect(result.t).toBeCloseTo(2.121320, 6);
+    expect(result.pValue).toBeCloseTo(0.066688, 5);
+  });
+});
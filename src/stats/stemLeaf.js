@@ -0,0 +1,152 @@
+/**
+ * Stem-and-Leaf Displays
+ *
+ * Splitting each value into a stem (its leading digits) and a leaf (the next
+ * digit), so the display keeps every data value while showing the shape:
+ * - Choosing a leaf unit that gives a readable number of stems
+ * - Ordinary and split stems (each stem on two lines: leaves 0–4 and 5–9)
+ * - Back-to-back displays of two datasets sharing the same stems
+ * Leaves are truncated, not rounded: with a leaf unit of 1, 47.8 has stem 4
+ * and leaf 7.
+ *
+ * No React or DOM dependencies — safe to use anywhere.
+ */
+
+export const MAX_STEMS = 20;
+
+// Beyond this many observations a display is too long to read leaf by leaf
+export const MAX_STEM_LEAF_VALUES = 300;
+
+// Number of decimal places written in a value (ignores floating-point noise)
+const decimalPlaces = (value) => {
+  const text = String(Number(value.toFixed(6)));
+  const dot = text.indexOf('.');
+  return dot === -1 ? 0 : text.length - dot - 1;
+};
+
+// Split |value| into a stem and a leaf for a leaf unit
+const splitValue = (value, leafUnit) => {
+  const scaled = Math.floor(Math.abs(value) / leafUnit + 1e-9);
+  return { negative: value < 0, stem: Math.floor(scaled / 10), leaf: scaled % 10 };
+};
+
+// Number of stem lines needed to cover the data for a leaf unit
+const countStems = (min, max, leafUnit) => {
+  const low = splitValue(min, leafUnit);
+  const high = splitValue(max, leafUnit);
+  if (low.negative === high.negative) return Math.abs(high.stem - low.stem) + 1;
+  // Negative and positive values: −k … −0 and 0 … m are separate stems
+  return low.stem + 1 + high.stem + 1;
+};
+
+/**
+ * Leaf unit for a display: the smallest power of ten that gives at most
+ * MAX_STEMS stems, but never finer than the decimals the data are written with
+ * (so whole numbers are never split into tenths).
+ *
+ * @param {number[]} values - Data (n ≥ 1)
+ * @returns {number} Leaf unit, e.g. 1 (leaf = ones digit) or 0.1 (leaf = tenths)
+ */
+export const chooseLeafUnit = (values) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const decimals = Math.min(6, Math.max(...values.map(decimalPlaces)));
+  const range = max - min;
+
+  let exponent = -decimals;
+  if (range > 0) exponent = Math.max(exponent, Math.floor(Math.log10(range)) - 1);
+  while (countStems(min, max, Math.pow(10, exponent)) > MAX_STEMS) exponent++;
+  return Math.pow(10, exponent);
+};
+
+// Display a number with the decimals implied by the leaf unit
+const formatForUnit = (value, leafUnit) => {
+  const decimals = Math.max(0, -Math.round(Math.log10(leafUnit)));
+  return value.toFixed(decimals);
+};
+
+/**
+ * Build a stem-and-leaf display for one or two datasets
+ * With two datasets both use the same leaf unit and the same stems, so they
+ * can be drawn back to back. Stems with no leaves inside the data range are
+ * kept, because gaps are part of the shape. Negative values get their own
+ * stems (… −1, −0, 0, 1 …) so that −3 and 3 are not on the same line.
+ *
+ * @param {number[][]} datasets - One or two arrays of data (at least one value overall)
+ * @param {Object} [options]
+ * @param {boolean} [options.split=false] - Split each stem into a low line
+ *   (leaves 0–4) and a high line (leaves 5–9)
+ * @param {number} [options.leafUnit] - Leaf unit; chosen from the data when omitted
+ * @returns {Object} leafUnit, split, truncated (true when some values lost
+ *   digits below the leaf unit), key (e.g. "4 | 5 = 45"), and rows — one per
+ *   stem line: { stem (label), half ('low' | 'high' | null), leaves[] and
+ *   values[] per dataset, both sorted outward from the stem }
+ */
+export const buildStemAndLeaf = (datasets, { split = false, leafUnit } = {}) => {
+  const all = datasets.flat();
+  const unit = leafUnit ?? chooseLeafUnit(all);
+  const min = Math.min(...all);
+  const max = Math.max(...all);
+  const low = splitValue(min, unit);
+  const high = splitValue(max, unit);
+
+  // Stems in number-line order: negatives from the largest magnitude to −0, then 0 upward
+  const stems = [];
+  if (low.negative) {
+    const lastNegative = high.negative ? high.stem : 0;
+    for (let s = low.stem; s >= lastNegative; s--) stems.push({ negative: true, stem: s });
+  }
+  if (!high.negative) {
+    for (let s = low.negative ? 0 : low.stem; s <= high.stem; s++) stems.push({ negative: false, stem: s });
+  }
+
+  // On the negative side larger leaves are further left on the number line,
+  // so the high half (−45 … −49) comes before the low half (−40 … −44)
+  const lines = stems.flatMap(({ negative, stem }) => {
+    if (!split) return [{ negative, stem, half: null }];
+    const halves = negative ? ['high', 'low'] : ['low', 'high'];
+    return halves.map(half => ({ negative, stem, half }));
+  });
+  const lineKey = (negative, stem, half) => `${negative ? '-' : '+'}${stem}${half ?? ''}`;
+  const lineIndex = new Map(lines.map((line, i) => [lineKey(line.negative, line.stem, line.half), i]));
+
+  const rows = lines.map(line => ({
+    stem: `${line.negative ? '-' : ''}${line.stem}`,
+    half: line.half,
+    leaves: datasets.map(() => []),
+    values: datasets.map(() => [])
+  }));
+
+  let truncated = false;
+  datasets.forEach((data, d) => {
+    [...data]
+      .sort((a, b) => Math.abs(a) - Math.abs(b))
+      .forEach(value => {
+        const { negative, stem, leaf } = splitValue(value, unit);
+        const half = split ? (leaf < 5 ? 'low' : 'high') : null;
+        const row = rows[lineIndex.get(lineKey(negative, stem, half))];
+        row.leaves[d].push(leaf);
+        row.values[d].push(value);
+        const kept = (negative ? -1 : 1) * (stem * 10 + leaf) * unit;
+        if (Math.abs(kept - value) > unit * 1e-6) truncated = true;
+      });
+  });
+
+  // Split stems can leave an empty half line before the minimum or after the maximum
+  const first = rows.findIndex(row => row.leaves.some(leaves => leaves.length > 0));
+  const last = rows.findLastIndex(row => row.leaves.some(leaves => leaves.length > 0));
+  rows.splice(last + 1);
+  rows.splice(0, first);
+
+  const example = rows.find(row => row.leaves.some(leaves => leaves.length > 0));
+  const exampleLeaf = example.leaves.find(leaves => leaves.length > 0)[0];
+  const exampleValue = (example.stem.startsWith('-') ? -1 : 1) * (Math.abs(Number(example.stem)) * 10 + exampleLeaf) * unit;
+
+  return {
+    leafUnit: unit,
+    split,
+    truncated,
+    key: `${example.stem} | ${exampleLeaf} = ${formatForUnit(exampleValue, unit)}`,
+    rows
+  };
+};
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { chooseLeafUnit, buildStemAndLeaf } from './stemLeaf';
+
+describe('buildStemAndLeaf', () => {
+  it('splits two-digit values into tens and ones', () => {
+    const plot = buildStemAndLeaf([[12, 15, 21, 27, 27, 43]]);
+    expect(plot.leafUnit).toBe(1);
+    expect(plot.key).toBe('1 | 2 = 12');
+    expect(plot.rows.map(row => row.stem)).toEqual(['1', '2', '3', '4']);
+    expect(plot.rows[1].leaves[0]).toEqual([1, 7, 7]);
+    expect(plot.rows[2].leaves[0]).toEqual([]);
+  });
+
+  it('truncates instead of rounding', () => {
+    const plot = buildStemAndLeaf([[47.8, 52.1]], { leafUnit: 1 });
+    expect(plot.rows[0].leaves[0]).toEqual([7]);
+    expect(plot.truncated).toBe(true);
+  });
+
+  it('never splits whole numbers into tenths', () => {
+    expect(chooseLeafUnit([3, 4, 5])).toBe(1);
+  });
+});
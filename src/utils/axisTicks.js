@@ -0,0 +1,27 @@
+/**
+ * Axis helpers shared by the hand-drawn SVG charts (box plot, dot plot).
+ */
+
+/**
+ * Format a number for an axis or chart label, trimming trailing zeros
+ */
+export function formatStatValue(v) {
+  return Number(v.toFixed(2)).toString();
+}
+
+/**
+ * Generate evenly spaced "nice" axis tick values (steps of 1, 2, or 5 × 10^k)
+ */
+export function niceTicks(min, max, count = 7) {
+  const span = max - min;
+  if (span <= 0) return [min];
+  const rawStep = span / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const normalized = rawStep / magnitude;
+  const step = (normalized >= 5 ? 5 : normalized >= 2 ? 2 : 1) * magnitude;
+  const ticks = [];
+  for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-6; v += step) {
+    ticks.push(Number(v.toFixed(10)));
+  }
+  return ticks;
+}
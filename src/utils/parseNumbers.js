@@ -0,0 +1,63 @@
+/**
+ * Number Parsing Utilities
+ *
+ * Shared tokenizer for the raw-data inputs used across calculators, so that
+ * pasted text and uploaded CSV/text files are read the same way everywhere.
+ */
+
+/**
+ * Split free-form text into raw tokens
+ * Tokens are separated by whitespace, commas and semicolons.
+ *
+ * @param {string} text - Raw text typed, pasted or read from a file
+ * @returns {string[]} Array of non-empty tokens
+ */
+export const extractTokens = (text) => {
+  return text
+    .trim()
+    .split(/[\s,;]+/)
+    .filter(token => token !== "");
+};
+
+/**
+ * Extract every numeric token from free-form text
+ * Anything that is not a number (e.g., a header row) is skipped.
+ *
+ * @param {string} text - Raw text typed, pasted or read from a file
+ * @returns {number[]} Array of parsed numbers
+ */
+export const extractNumbers = (text) => {
+  return extractTokens(text)
+    .map(Number)
+    .filter(n => !isNaN(n));
+};
+
+/**
+ * Read a two-column value/frequency table, one pair per line
+ * Lines with no numbers (e.g., a header row) are skipped. Lines that do not
+ * hold exactly one value and one non-negative frequency are reported back
+ * instead of being guessed at.
+ *
+ * @param {string} text - Raw text typed, pasted or read from a file
+ * @returns {Object} values, weights (same length), and invalidLines
+ *   (1-based line numbers that could not be read as a pair)
+ */
+export const extractValueFrequencyPairs = (text) => {
+  const values = [];
+  const weights = [];
+  const invalidLines = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const numbers = extractNumbers(line);
+    if (numbers.length === 0) return;
+    const [value, weight] = numbers;
+    if (numbers.length !== 2 || !isFinite(value) || !isFinite(weight) || weight < 0) {
+      invalidLines.push(index + 1);
+      return;
+    }
+    values.push(value);
+    weights.push(weight);
+  });
+
+  return { values, weights, invalidLines };
+};